@@ -21,6 +21,9 @@
 
 const McpServer = require('../lib/mcp/server');
 const Logger = require('../lib/logger');
+const { loadConfig } = require('../lib/config');
+const { PersistenceAdapter } = require('../lib/persistence');
+const { QuarantineManager } = require('../migration/quarantine');
 
 const args = process.argv.slice(2);
 let mode = 'mock';
@@ -37,5 +40,9 @@ const stderrLogger = new Logger('mcp-server', {
   output: { log: (...a) => process.stderr.write(a.join(' ') + '\n') },
 });
 
-const server = new McpServer({ mode, logger: stderrLogger });
+// Quarantine entries live in the same store as the migration dashboard's
+const persistence = new PersistenceAdapter({ mode: loadConfig().persistenceMode });
+const quarantine = new QuarantineManager({ persistence });
+
+const server = new McpServer({ mode, logger: stderrLogger, persistence, quarantine });
 server.startStdio();
@@ -0,0 +1,45 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Sample client rule pack: APIs banned by the client's architecture board.
+ * JS packs have the same shape as JSON packs; patterns may be RegExp literals.
+ */
+
+module.exports = {
+  packId: 'SAMPLE_BANNED_APIS',
+  name: 'Sample Client Banned APIs',
+  version: '1.0.0',
+  owner: 'Sample Architecture Board',
+  rules: [
+    {
+      id: 'SAMPLE-API-001',
+      category: 'Banned API',
+      severity: 'high',
+      title: 'Vendor BAPI called directly',
+      description: 'Vendor master access goes through the client BP facade.',
+      pattern: /^BAPI_VENDOR_/,
+      patternType: 'statement',
+      statement: { kinds: ['call_function'], on: 'name' },
+      remediation: 'Use ZCL_BP_FACADE instead of calling vendor BAPIs.',
+    },
+    {
+      id: 'SAMPLE-API-002',
+      category: 'Banned API',
+      severity: 'medium',
+      title: 'Front-end file transfer',
+      description: 'GUI file transfer does not work in background jobs or Fiori.',
+      pattern: /^(WS_DOWNLOAD|WS_UPLOAD|GUI_DOWNLOAD|GUI_UPLOAD)$/,
+      patternType: 'statement',
+      statement: { kinds: ['call_function'], on: 'name' },
+      remediation: 'Use the client file service (ZCL_FILE_SERVICE).',
+    },
+  ],
+};
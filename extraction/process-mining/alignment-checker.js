@@ -0,0 +1,680 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Alignment-Based Conformance Checking
+ *
+ * Computes an optimal alignment of each trace with a workflow net (see
+ * petri-net.js) by A* search over the synchronous product of trace and
+ * model (Adriansyah, van Dongen & van der Aalst, 2011). An alignment is a
+ * sequence of moves:
+ *   - sync:   trace event and model transition with the same label (cost 0)
+ *   - log:    trace event the model cannot do at that point (cost 1)
+ *   - model:  visible model transition missing from the trace (cost 1)
+ *   - silent: silent model transition (cost 0)
+ *
+ * These are the standard costs, so results are comparable with other tools:
+ *   trace fitness = 1 - cost / (trace length + cost of the cheapest model run)
+ *   log fitness   = 1 - Σ cost / Σ (trace length + cheapest model run)
+ *   precision     = 1 - escaping / enabled over the prefixes of the aligned
+ *                   model runs (align-ETC, Adriansyah et al., 2015)
+ *
+ * The search heuristic counts the trace's remaining occurrences of each
+ * activity beyond the number of times the model can still fire it. Each
+ * trace variant is aligned once. Searches stop after maxStates visited
+ * states; those cases are reported as not aligned.
+ */
+
+'use strict';
+
+const Logger = require('../../lib/logger');
+const { PetriNet, markingKey } = require('./petri-net');
+
+const DEFAULT_MAX_STATES = 100000;
+const DEFAULT_MAX_CASE_RESULTS = 100;
+/** Markings explored when looking past silent transitions for precision */
+const MAX_SILENT_CLOSURE = 200;
+
+const round4 = (x) => Math.round(x * 10000) / 10000;
+
+/**
+ * Binary min-heap on (f, -i, d, -seq): cheapest first, then furthest in
+ * the trace, then closest to firing the next activity (d), then newest.
+ * The last two only order ties; without them the free silent moves of
+ * parallel blocks are explored interleaving by interleaving.
+ */
+class StateQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  static _less(a, b) {
+    return a.f - b.f || b.i - a.i || a.d - b.d || b.seq - a.seq;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (StateQueue._less(items[parent], items[i]) <= 0) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let m = i;
+        if (l < items.length && StateQueue._less(items[l], items[m]) < 0) m = l;
+        if (r < items.length && StateQueue._less(items[r], items[m]) < 0) m = r;
+        if (m === i) break;
+        [items[m], items[i]] = [items[i], items[m]];
+        i = m;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * AlignmentResult
+ */
+class AlignmentResult {
+  constructor({ fitness, averageTraceFitness, precision, fitCases, totalCases, alignedCases, totalCost, caseResults, moveStats, modelName }) {
+    this.fitness = fitness;
+    this.averageTraceFitness = averageTraceFitness;
+    this.precision = precision;
+    this.fitCases = fitCases;
+    this.totalCases = totalCases;
+    this.alignedCases = alignedCases;
+    this.totalCost = totalCost;
+    this.caseResults = caseResults;
+    this.moveStats = moveStats;
+    this.modelName = modelName;
+  }
+
+  getSummary() {
+    return {
+      model: this.modelName,
+      fitness: this.fitness,
+      averageTraceFitness: this.averageTraceFitness,
+      precision: this.precision,
+      percentageFitTraces: this.totalCases > 0 ? Math.round((this.fitCases / this.totalCases) * 10000) / 100 : 100,
+      fitCases: this.fitCases,
+      totalCases: this.totalCases,
+      unalignedCases: this.totalCases - this.alignedCases,
+      logMoves: this.moveStats.logMoves,
+      modelMoves: this.moveStats.modelMoves,
+    };
+  }
+
+  toJSON() {
+    return {
+      summary: this.getSummary(),
+      fitness: this.fitness,
+      precision: this.precision,
+      totalCost: this.totalCost,
+      moveStats: this.moveStats,
+      caseResults: this.caseResults,
+    };
+  }
+}
+
+class AlignmentChecker {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxStates=100000]     - Search states per trace before giving up
+   * @param {number} [options.maxCaseResults=100]   - Case details kept in the result
+   * @param {string} [options.logLevel]
+   */
+  constructor(options = {}) {
+    this.maxStates = options.maxStates || DEFAULT_MAX_STATES;
+    this.maxCaseResults = options.maxCaseResults || DEFAULT_MAX_CASE_RESULTS;
+    this.log = new Logger('alignment-checker', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * Align every trace of an event log with a model.
+   *
+   * @param {import('./event-log').EventLog} eventLog
+   * @param {PetriNet|object} model - PetriNet, ReferenceModel, ProcessModel or parsed BPMN
+   * @returns {AlignmentResult}
+   */
+  check(eventLog, model) {
+    const net = PetriNet.from(model);
+    const info = this._analyze(net);
+    const empty = this._align([], net, info);
+    if (!empty) {
+      throw new Error(`The final marking of '${net.name}' is not reachable from its initial marking within ${this.maxStates} states`);
+    }
+    this.log.info(`Aligning ${eventLog.getCaseCount()} cases with "${net.name}" (${net.transitions.size} transitions)`);
+
+    // One alignment per variant
+    const variants = new Map();
+    for (const [caseId, trace] of this._getTraces(eventLog)) {
+      const activities = (trace.events || []).map((e) => e.activity);
+      const key = activities.join('\u0000');
+      if (!variants.has(key)) variants.set(key, { activities, caseIds: [] });
+      variants.get(key).caseIds.push(caseId);
+    }
+
+    const caseResults = [];
+    const aligned = [];
+    const byActivity = new Map();
+    let totalCost = 0;
+    let totalWorst = 0;
+    let fitnessSum = 0;
+    let fitCases = 0;
+    let alignedCases = 0;
+    let logMoves = 0;
+    let modelMoves = 0;
+    let totalCases = 0;
+
+    for (const { activities, caseIds } of variants.values()) {
+      const n = caseIds.length;
+      totalCases += n;
+      const alignment = this._align(activities, net, info);
+      if (!alignment) {
+        this.log.warn(`No alignment within ${this.maxStates} states for a variant of ${activities.length} events (${n} cases)`);
+        for (const caseId of caseIds) {
+          caseResults.push({ caseId, aligned: false, fitness: null, cost: null, traceLength: activities.length });
+        }
+        continue;
+      }
+
+      const worst = activities.length + empty.cost;
+      const fitness = worst > 0 ? 1 - alignment.cost / worst : 1;
+      alignedCases += n;
+      totalCost += alignment.cost * n;
+      totalWorst += worst * n;
+      fitnessSum += fitness * n;
+      if (alignment.cost === 0) fitCases += n;
+      aligned.push({ moves: alignment.moves, weight: n });
+
+      for (const move of alignment.moves) {
+        if (move.type !== 'log' && move.type !== 'model') continue;
+        if (!byActivity.has(move.activity)) byActivity.set(move.activity, { activity: move.activity, logMoves: 0, modelMoves: 0 });
+        byActivity.get(move.activity)[move.type === 'log' ? 'logMoves' : 'modelMoves'] += n;
+        if (move.type === 'log') logMoves += n;
+        else modelMoves += n;
+      }
+
+      for (const caseId of caseIds) {
+        caseResults.push({
+          caseId,
+          aligned: true,
+          fitness: round4(fitness),
+          cost: alignment.cost,
+          isConformant: alignment.cost === 0,
+          traceLength: activities.length,
+          alignment: alignment.moves.filter((m) => m.type !== 'silent'),
+          statesVisited: alignment.statesVisited,
+        });
+      }
+    }
+
+    return new AlignmentResult({
+      fitness: round4(totalWorst > 0 ? 1 - totalCost / totalWorst : 1),
+      averageTraceFitness: round4(alignedCases > 0 ? fitnessSum / alignedCases : 1),
+      precision: round4(this._precision(aligned, net, info)),
+      fitCases,
+      totalCases,
+      alignedCases,
+      totalCost,
+      caseResults: caseResults.slice(0, this.maxCaseResults),
+      moveStats: {
+        logMoves,
+        modelMoves,
+        byActivity: [...byActivity.values()]
+          .sort((a, b) => (b.logMoves + b.modelMoves) - (a.logMoves + a.modelMoves) || a.activity.localeCompare(b.activity))
+          .slice(0, 20),
+      },
+      modelName: net.name,
+    });
+  }
+
+  /**
+   * Optimal alignment of one activity sequence with a net.
+   *
+   * @param {string[]} activities
+   * @param {PetriNet} net
+   * @returns {{ cost: number, moves: object[], statesVisited: number }|null} null when the search limit is hit
+   */
+  align(activities, net) {
+    return this._align(activities, net, this._analyze(net));
+  }
+
+  /** @private */
+  _align(activities, net, info) {
+    const n = activities.length;
+
+    // Admissible and consistent: occurrences of an activity beyond the
+    // number of times the model can still fire it must be log moves, and
+    // transitions the model must still fire beyond the remaining
+    // occurrences of their activity must be model moves
+    const traceLabels = [...new Set(activities)];
+    const labelIndex = new Map(traceLabels.map((label, k) => [label, k]));
+    const remaining = traceLabels.map((label) => {
+      const counts = new Array(n + 1).fill(0);
+      for (let i = n - 1; i >= 0; i--) counts[i] = counts[i + 1] + (activities[i] === label ? 1 : 0);
+      return counts;
+    });
+    const heuristic = (i, marking) => {
+      let h = 0;
+      traceLabels.forEach((label, k) => {
+        const rest = remaining[k][i];
+        if (rest === 0) return;
+        const bound = info.firingBound(label);
+        let cap = 0;
+        for (const p of Object.keys(marking)) cap += bound.get(p) * marking[p];
+        if (rest > cap) h += rest - cap;
+      });
+      const required = new Map();
+      const mustFire = new Set();
+      for (const p of Object.keys(marking)) {
+        for (const t of info.mustFire.get(p)) mustFire.add(t);
+      }
+      for (const t of mustFire) required.set(t.label, (required.get(t.label) || 0) + 1);
+      for (const [label, count] of required) {
+        const rest = labelIndex.has(label) ? remaining[labelIndex.get(label)][i] : 0;
+        if (count > rest) h += count - rest;
+      }
+      return h;
+    };
+
+    // Tie-breaker: steps until the next activity can fire, or until the final marking
+    const guide = (i, marking) => {
+      const places = Object.keys(marking);
+      if (i === n) return places.reduce((sum, p) => sum + info.toFinal.get(p) * marking[p], 0);
+      const distance = info.distanceTo(activities[i]);
+      return places.reduce((min, p) => Math.min(min, distance.get(p)), net.places.size + 1);
+    };
+
+    const queue = new StateQueue();
+    const best = new Map();
+    const closed = new Set();
+    let seq = 0;
+    let visited = 0;
+
+    const push = (i, marking, g, parent, move) => {
+      const key = `${i}|${markingKey(marking)}`;
+      if (closed.has(key) || (best.has(key) && best.get(key) <= g)) return;
+      best.set(key, g);
+      queue.push({ i, marking, key, g, f: g + heuristic(i, marking), d: guide(i, marking), seq: seq++, parent, move });
+    };
+    push(0, net.initialMarking, 0, null, null);
+
+    while (queue.size > 0) {
+      const node = queue.pop();
+      if (closed.has(node.key)) continue;
+      closed.add(node.key);
+      if (++visited > this.maxStates) return null;
+
+      if (node.i === n && markingKey(node.marking) === info.finalKey) {
+        const moves = [];
+        for (let m = node; m.move; m = m.parent) moves.push(m.move);
+        return { cost: node.g, moves: moves.reverse(), statesVisited: visited };
+      }
+
+      const activity = node.i < n ? activities[node.i] : null;
+      if (activity !== null) {
+        push(node.i + 1, node.marking, node.g + 1, node, { type: 'log', activity });
+      }
+      for (const t of info.candidates(node.marking)) {
+        if (!net._enabled(t, node.marking)) continue;
+        const next = net._fire(t, node.marking);
+        if (!t.label) {
+          push(node.i, next, node.g, node, { type: 'silent', activity: null, transition: t.id });
+          continue;
+        }
+        if (t.label === activity) {
+          push(node.i + 1, next, node.g, node, { type: 'sync', activity, transition: t.id });
+        }
+        push(node.i, next, node.g + 1, node, { type: 'model', activity: t.label, transition: t.id });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Structure of a net shared by all alignments with it: transitions by
+   * input place, and per-activity firing bounds and distances (computed on
+   * first use).
+   * @private
+   */
+  _analyze(net) {
+    const consumers = new Map();
+    const producers = new Map();
+    const always = [];
+    for (const t of net.transitions.values()) {
+      if (t.pre.length === 0) always.push(t);
+      for (const p of new Set(t.pre)) {
+        if (!consumers.has(p)) consumers.set(p, []);
+        consumers.get(p).push(t);
+      }
+      for (const p of new Set(t.post)) {
+        if (!producers.has(p)) producers.set(p, []);
+        producers.get(p).push(t);
+      }
+    }
+
+    // Transitions on a cycle of the net graph
+    const cyclic = new Set();
+    for (const t of net.transitions.values()) {
+      const seen = new Set();
+      const stack = [...t.post];
+      while (stack.length > 0 && !cyclic.has(t)) {
+        const p = stack.pop();
+        if (seen.has(p)) continue;
+        seen.add(p);
+        for (const u of consumers.get(p) || []) {
+          if (u === t) cyclic.add(t);
+          else stack.push(...u.post);
+        }
+      }
+    }
+
+    const bounds = new Map();
+    const distances = new Map();
+    const mustFire = this._mustFire(net, consumers);
+    const labelled = (label) => [...net.transitions.values()].filter((t) => t.label === label);
+    return {
+      labels: net.getLabels(),
+      finalKey: markingKey(net.finalMarking),
+      candidates: (marking) => {
+        const result = new Set(always);
+        for (const p of Object.keys(marking)) {
+          for (const t of consumers.get(p) || []) result.add(t);
+        }
+        return result;
+      },
+      mustFire,
+      toFinal: this._placeDistances(net, Object.keys(net.finalMarking)),
+      distanceTo: (label) => {
+        if (!distances.has(label)) distances.set(label, this._placeDistances(net, labelled(label).flatMap((t) => t.pre)));
+        return distances.get(label);
+      },
+      firingBound: (label) => {
+        if (!bounds.has(label)) bounds.set(label, this._firingBounds(net, labelled(label), { consumers, producers, cyclic }));
+        return bounds.get(label);
+      },
+    };
+  }
+
+  /**
+   * Most firings of the given transitions that one token in each place can
+   * lead to, ignoring synchronisation (AND-joins): the maximum over the
+   * place's consumers of their own firing plus the bounds of their outputs.
+   * Infinite where a cycle leading to the transitions is reachable. Firing
+   * any transition never increases the bound of a marking.
+   * @private
+   */
+  _firingBounds(net, targets, { consumers, producers, cyclic }) {
+    const targetSet = new Set(targets);
+    // Nodes from which a target can be reached
+    const reaches = new Set(targets);
+    const places = new Set();
+    const stack = [...targets];
+    while (stack.length > 0) {
+      const t = stack.pop();
+      for (const p of t.pre) {
+        if (places.has(p)) continue;
+        places.add(p);
+        for (const u of producers.get(p) || []) {
+          if (!reaches.has(u)) {
+            reaches.add(u);
+            stack.push(u);
+          }
+        }
+      }
+    }
+    // Places that can reach a cycle leading to a target
+    const infinite = new Set();
+    const loopStack = [...reaches].filter((t) => cyclic.has(t));
+    const seenLoop = new Set(loopStack);
+    while (loopStack.length > 0) {
+      const t = loopStack.pop();
+      for (const p of t.pre) {
+        if (infinite.has(p)) continue;
+        infinite.add(p);
+        for (const u of producers.get(p) || []) {
+          if (!seenLoop.has(u)) {
+            seenLoop.add(u);
+            loopStack.push(u);
+          }
+        }
+      }
+    }
+
+    const bound = new Map();
+    const of = (p) => {
+      if (bound.has(p)) return bound.get(p);
+      let best = 0;
+      if (infinite.has(p)) {
+        best = Infinity;
+      } else if (places.has(p)) {
+        // Acyclic here: a cycle through p would make p infinite
+        for (const t of consumers.get(p) || []) {
+          if (!reaches.has(t)) continue;
+          let firings = targetSet.has(t) ? 1 : 0;
+          for (const q of t.post) firings += of(q);
+          best = Math.max(best, firings);
+        }
+      }
+      bound.set(p, best);
+      return best;
+    };
+    for (const p of net.places.keys()) of(p);
+    return bound;
+  }
+
+  /**
+   * Visible transitions on every path from each place to a place of the
+   * final marking: whatever happens, they fire before a token there can
+   * finish. Greatest fixpoint of the intersection over consumers, null
+   * standing for all transitions.
+   * @private
+   */
+  _mustFire(net, consumers) {
+    const finals = new Set(Object.keys(net.finalMarking));
+    // Places from which a token can reach the final marking or be consumed for good
+    const finishing = new Set(finals);
+    let grown = true;
+    while (grown) {
+      grown = false;
+      for (const t of net.transitions.values()) {
+        if (t.post.length > 0 && !t.post.some((q) => finishing.has(q))) continue;
+        for (const p of t.pre) {
+          if (!finishing.has(p)) {
+            finishing.add(p);
+            grown = true;
+          }
+        }
+      }
+    }
+    const finishes = (p) => finishing.has(p);
+    const intersect = (a, b) => (a === null ? b : b === null ? a : new Set([...a].filter((t) => b.has(t))));
+
+    const must = new Map();
+    for (const p of net.places.keys()) must.set(p, finals.has(p) || !finishes(p) ? new Set() : null);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const p of net.places.keys()) {
+        if (finals.has(p) || !finishes(p)) continue;
+        let result = null;
+        for (const t of consumers.get(p) || []) {
+          const outputs = t.post.filter(finishes);
+          if (outputs.length === 0 && t.post.length > 0) continue;
+          let via = outputs.length === 0 ? new Set() : null;
+          for (const q of outputs) via = intersect(via, must.get(q));
+          via = via === null ? null : new Set(via);
+          if (via !== null && t.label) via.add(t);
+          result = intersect(result, via);
+        }
+        const current = must.get(p);
+        if (result !== null && (current === null || result.size < current.size)) {
+          must.set(p, result);
+          changed = true;
+        }
+      }
+    }
+    for (const [p, set] of must) {
+      if (set === null) must.set(p, new Set());
+    }
+    return must;
+  }
+
+  /**
+   * Transitions on the shortest path from each place to one of the target
+   * places, ignoring synchronisation. Only used to order search ties.
+   * @private
+   */
+  _placeDistances(net, targets) {
+    const distance = new Map([...net.places.keys()].map((p) => [p, net.places.size + 1]));
+    for (const p of targets) distance.set(p, 0);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const t of net.transitions.values()) {
+        if (t.post.length === 0) continue;
+        const via = 1 + Math.min(...t.post.map((p) => distance.get(p)));
+        for (const p of t.pre) {
+          if (via < distance.get(p)) {
+            distance.set(p, via);
+            changed = true;
+          }
+        }
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * Align-ETC precision: at every prefix of the aligned model runs, the
+   * activities the model enables but no aligned run continues with escape.
+   * @private
+   */
+  _precision(aligned, net, { candidates, labels }) {
+    const labelCount = labels.size;
+    const enabledIn = new Map();
+    const prefixes = new Map();
+    const visit = (key, marking, weight) => {
+      if (!prefixes.has(key)) prefixes.set(key, { weight: 0, observed: new Set(), enabled: new Set() });
+      const state = prefixes.get(key);
+      state.weight += weight;
+      const mk = markingKey(marking);
+      if (!enabledIn.has(mk)) enabledIn.set(mk, this._enabledLabels(net, marking, candidates, labelCount));
+      for (const label of enabledIn.get(mk)) state.enabled.add(label);
+      return state;
+    };
+
+    for (const { moves, weight } of aligned) {
+      let marking = net.initialMarking;
+      let prefix = '';
+      let state = visit(prefix, marking, weight);
+      for (const move of moves) {
+        if (move.type === 'log') continue;
+        marking = net._fire(net.transitions.get(move.transition), marking);
+        if (move.type === 'silent') continue;
+        state.observed.add(move.activity);
+        prefix += `\u0000${move.activity}`;
+        state = visit(prefix, marking, weight);
+      }
+    }
+
+    let enabled = 0;
+    let escaping = 0;
+    for (const state of prefixes.values()) {
+      enabled += state.weight * state.enabled.size;
+      for (const label of state.enabled) {
+        if (!state.observed.has(label)) escaping += state.weight;
+      }
+    }
+    return enabled > 0 ? 1 - escaping / enabled : 1;
+  }
+
+  /**
+   * Visible activities enabled in a marking or after silent steps from it.
+   * Explores the silent steps marking by marking; past MAX_SILENT_CLOSURE
+   * markings it falls back to the places silent steps can reach, which
+   * ignores that joins need all their inputs at once (exact for
+   * block-structured nets, a superset otherwise).
+   * @private
+   */
+  _enabledLabels(net, marking, candidates, labelCount) {
+    const labels = new Set();
+    const seen = new Set([markingKey(marking)]);
+    const queue = [marking];
+    while (queue.length > 0 && labels.size < labelCount) {
+      if (seen.size > MAX_SILENT_CLOSURE) return this._reachableLabels(net, marking);
+      const m = queue.shift();
+      for (const t of candidates(m)) {
+        if (!net._enabled(t, m)) continue;
+        if (t.label) {
+          labels.add(t.label);
+          continue;
+        }
+        const next = net._fire(t, m);
+        const key = markingKey(next);
+        if (!seen.has(key)) {
+          seen.add(key);
+          queue.push(next);
+        }
+      }
+    }
+    return labels;
+  }
+
+  /** @private */
+  _reachableLabels(net, marking) {
+    const reached = new Set(Object.keys(marking));
+    const labels = new Set();
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const t of net.transitions.values()) {
+        if (!t.pre.every((p) => reached.has(p))) continue;
+        if (t.label) {
+          labels.add(t.label);
+          continue;
+        }
+        for (const q of t.post) {
+          if (!reached.has(q)) {
+            reached.add(q);
+            changed = true;
+          }
+        }
+      }
+    }
+    return labels;
+  }
+
+  _getTraces(eventLog) {
+    const traces = eventLog.traces || eventLog._traces;
+    return traces instanceof Map ? traces : new Map(Object.entries(traces || {}));
+  }
+}
+
+module.exports = { AlignmentChecker, AlignmentResult };
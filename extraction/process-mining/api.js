@@ -19,12 +19,17 @@
  *   GET  /api/process-mining/processes/:id           — get process config
  *   GET  /api/process-mining/processes/:id/reference-model — get reference model
  *   POST /api/process-mining/analyze                 — full analysis
- *   POST /api/process-mining/discover                — heuristic mining
- *   POST /api/process-mining/conformance             — conformance checking
+ *   POST /api/process-mining/discover                — heuristic mining (?algorithm=inductive: process tree)
+ *   POST /api/process-mining/conformance             — conformance checking (token replay or alignments)
  *   POST /api/process-mining/performance             — performance analysis
  *   POST /api/process-mining/variants                — variant analysis
  *   POST /api/process-mining/social-network          — social network mining
  *   POST /api/process-mining/kpis                    — KPI calculation
+ *   POST /api/process-mining/predict                 — remaining time, next activity, SLA risk of open cases
+ *   POST /api/process-mining/ocel                    — object-centric log, summary and DFG
+ *   POST /api/process-mining/ocel/flatten            — flatten an OCEL to one object type
+ *   POST /api/process-mining/import/xes              — streaming XES / XES-gzip import (raw body;
+ *                                                      at most 1000 traces without ?limit or ?sampleRate)
  *   GET  /api/process-mining/demo/:processId         — demo analysis
  */
 
@@ -36,13 +41,22 @@ const Logger = require('../../lib/logger');
 const { ProcessIntelligenceEngine } = require('./process-intelligence-engine');
 const { EventLog, Event, Trace } = require('./event-log');
 const { HeuristicMiner } = require('./heuristic-miner');
+const { InductiveMiner } = require('./inductive-miner');
 const { ConformanceChecker } = require('./conformance-checker');
+const { AlignmentChecker } = require('./alignment-checker');
 const { PerformanceAnalyzer } = require('./performance-analyzer');
 const { VariantAnalyzer } = require('./variant-analyzer');
 const { SocialNetworkMiner } = require('./social-network-miner');
 const { KPIEngine } = require('./kpi-engine');
+const { PredictiveMonitor } = require('./predictive-monitor');
+const { ObjectCentricEventLog } = require('./ocel');
+const { XesImporter } = require('./xes-importer');
 const { getAllProcessIds, getProcessConfig } = require('./sap-table-config');
 const { getReferenceModel } = require('./reference-models');
+const BpmnParser = require('../../lib/signavio/bpmn-parser');
+
+// Traces an XES import returns when the caller neither limits nor samples
+const DEFAULT_XES_TRACE_LIMIT = 1000;
 
 /**
  * Create and return an Express Router for process mining endpoints.
@@ -108,7 +122,23 @@ function createProcessMiningRouter() {
   router.post('/api/process-mining/discover', (req, res) => {
     try {
       const eventLog = _reconstructEventLog(req.body);
-      const miner = new HeuristicMiner(req.body.options || {});
+      const opts = req.body.options || {};
+      const algorithm = req.query.algorithm || 'heuristic';
+      if (algorithm === 'inductive') {
+        const tree = new InductiveMiner(opts).mine(eventLog);
+        return res.json({
+          algorithm,
+          tree: tree.toString(),
+          processTree: tree.toJSON(),
+          stats: tree.getStats(),
+          petriNet: tree.toPetriNet(opts.name || 'Discovered Process').toJSON(),
+          bpmn: tree.toBpmn({ name: opts.name }),
+        });
+      }
+      if (algorithm !== 'heuristic') {
+        return res.status(400).json({ error: `Unknown discovery algorithm: ${algorithm}` });
+      }
+      const miner = new HeuristicMiner(opts);
       const model = miner.mine(eventLog);
       res.json(model.toJSON());
     } catch (err) {
@@ -125,6 +155,14 @@ function createProcessMiningRouter() {
       const opts = req.body.options || {};
       const processId = opts.processId;
       const referenceModel = processId ? getReferenceModel(processId) : null;
+      if (opts.method === 'alignments') {
+        const model = opts.bpmn ? BpmnParser.parse(opts.bpmn) : referenceModel;
+        if (!model) {
+          return res.status(400).json({ error: 'options.processId or options.bpmn required for alignments' });
+        }
+        const result = new AlignmentChecker(opts).check(eventLog, model);
+        return res.json(result.toJSON());
+      }
       if (!referenceModel) {
         return res.status(400).json({ error: 'options.processId required for conformance checking' });
       }
@@ -193,6 +231,80 @@ function createProcessMiningRouter() {
     }
   });
 
+  // ── POST /api/process-mining/predict ──────────────────────────
+
+  router.post('/api/process-mining/predict', (req, res) => {
+    try {
+      const history = _reconstructEventLog(req.body);
+      const opts = { ...(req.body.options || {}) };
+      if (!opts.endActivities && opts.processId) {
+        const referenceModel = getReferenceModel(String(opts.processId).toUpperCase());
+        if (referenceModel) opts.endActivities = referenceModel.endActivities;
+      }
+      let open = history;
+      if (req.body.openEvents) {
+        open = _reconstructEventLog({ events: req.body.openEvents });
+      } else if (!opts.endActivities) {
+        throw new Error('Provide "openEvents", or "endActivities"/"processId" in options to find open cases in "events"');
+      }
+      const result = new PredictiveMonitor(opts).train(history).predict(open);
+      res.json(result.toJSON());
+    } catch (err) {
+      log.error(`Prediction failed: ${err.message}`);
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // ── POST /api/process-mining/ocel ─────────────────────────────
+
+  router.post('/api/process-mining/ocel', (req, res) => {
+    try {
+      const ocel = _reconstructOcel(req.body);
+      if (req.body.format === 'xml') {
+        return res.type('application/xml').send(ocel.toXML());
+      }
+      res.json({
+        summary: ocel.getSummary(),
+        dfg: ocel.getDirectlyFollowsGraph({ objectTypes: req.body.objectTypes }),
+        ocel: ocel.toJSON(),
+      });
+    } catch (err) {
+      log.error(`OCEL failed: ${err.message}`);
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // ── POST /api/process-mining/ocel/flatten ─────────────────────
+
+  router.post('/api/process-mining/ocel/flatten', (req, res) => {
+    try {
+      if (!req.body || !req.body.objectType) {
+        throw new Error('Request body must include "objectType"');
+      }
+      const eventLog = _reconstructOcel(req.body).flatten(req.body.objectType);
+      res.json({ summary: eventLog.getSummary(), eventLog: eventLog.toJSON() });
+    } catch (err) {
+      log.error(`OCEL flatten failed: ${err.message}`);
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // ── POST /api/process-mining/import/xes ───────────────────────
+
+  router.post('/api/process-mining/import/xes', async (req, res) => {
+    try {
+      if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+        throw new Error('Send the XES document as the raw request body (application/xml or application/gzip)');
+      }
+      const importer = new XesImporter(_xesImportOptions(req.query));
+      const eventLog = await importer.importStream(req);
+      res.json({ summary: eventLog.getSummary(), stats: importer.stats, eventLog: eventLog.toJSON() });
+    } catch (err) {
+      log.error(`XES import failed: ${err.message}`);
+      res.status(400).json({ error: err.message });
+    }
+  });
+
   // ── GET /api/process-mining/demo/:processId ───────────────────
 
   router.get('/api/process-mining/demo/:processId', async (req, res) => {
@@ -247,6 +359,40 @@ function _reconstructEventLog(body) {
   return eventLog;
 }
 
+/**
+ * Reconstruct an object-centric log from a POST payload.
+ * Expects { ocel: <OCEL 2.0 JSON> } or { processId, tables: { VBAK: [...] } }
+ */
+function _reconstructOcel(body) {
+  if (body && body.ocel) {
+    return ObjectCentricEventLog.fromJSON(body.ocel, 'api-upload');
+  }
+  if (body && body.processId && body.tables && typeof body.tables === 'object') {
+    return ObjectCentricEventLog.fromSapTables(String(body.processId).toUpperCase(), body.tables);
+  }
+  throw new Error('Request body must include "ocel" (OCEL 2.0 JSON) or "processId" and "tables"');
+}
+
+/**
+ * XesImporter options from query parameters:
+ * ?name=&sampleRate=&seed=&limit=&activities=A,B&lifecycles=complete&start=&end=
+ * Without limit or sampleRate the import stops at DEFAULT_XES_TRACE_LIMIT traces,
+ * so an unbounded upload never ends up in one response.
+ */
+function _xesImportOptions(query) {
+  const number = (value) => (value === undefined ? undefined : Number(value));
+  const list = (value) => (value ? String(value).split(',').map((v) => v.trim()).filter(Boolean) : undefined);
+  return {
+    name: query.name,
+    sampleRate: number(query.sampleRate),
+    seed: number(query.seed),
+    limit: query.limit === undefined && query.sampleRate === undefined ? DEFAULT_XES_TRACE_LIMIT : number(query.limit),
+    activities: list(query.activities),
+    lifecycles: list(query.lifecycles),
+    timeRange: { start: query.start, end: query.end },
+  };
+}
+
 /**
  * Generate a synthetic demo event log for a given SAP process.
  * Creates realistic traces with typical activities.
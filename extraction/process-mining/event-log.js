@@ -20,7 +20,7 @@
  *   - Directly-follows graph (DFG) computation
  *   - Rework detection
  *   - Export to XES XML, JSON, and CSV
- *   - Import from JSON and CSV
+ *   - Import from JSON and CSV (streaming XES import: xes-importer.js)
  *   - Forensic evidence linking via sourceRef
  *
  * No external dependencies. Pure JavaScript.
@@ -1335,4 +1335,4 @@ function _xesAttribute(key, value) {
 // Exports
 // ─────────────────────────────────────────────────────────────────────────────
 
-module.exports = { Event, Trace, EventLog };
+module.exports = { Event, Trace, EventLog, XES_EXTENSIONS };
@@ -28,14 +28,20 @@
 
 // Foundation
 const { Event, Trace, EventLog } = require('./event-log');
+const { ObjectCentricEventLog, OcelObject, OcelEvent } = require('./ocel');
+const { XesImporter } = require('./xes-importer');
 
 // Algorithms
 const { HeuristicMiner, ProcessModel } = require('./heuristic-miner');
+const { InductiveMiner, ProcessTree } = require('./inductive-miner');
 const { VariantAnalyzer, VariantAnalysisResult } = require('./variant-analyzer');
 const { PerformanceAnalyzer, PerformanceResult } = require('./performance-analyzer');
 const { ConformanceChecker, ConformanceResult } = require('./conformance-checker');
+const { PetriNet } = require('./petri-net');
+const { AlignmentChecker, AlignmentResult } = require('./alignment-checker');
 const { SocialNetworkMiner, SocialNetworkResult } = require('./social-network-miner');
 const { KPIEngine, KPIReport } = require('./kpi-engine');
+const { PredictiveMonitor, PredictionResult } = require('./predictive-monitor');
 
 // SAP Configuration
 const {
@@ -69,20 +75,31 @@ module.exports = {
   Event,
   Trace,
   EventLog,
+  ObjectCentricEventLog,
+  OcelObject,
+  OcelEvent,
+  XesImporter,
 
   // Algorithms
   HeuristicMiner,
   ProcessModel,
+  InductiveMiner,
+  ProcessTree,
   VariantAnalyzer,
   VariantAnalysisResult,
   PerformanceAnalyzer,
   PerformanceResult,
   ConformanceChecker,
   ConformanceResult,
+  PetriNet,
+  AlignmentChecker,
+  AlignmentResult,
   SocialNetworkMiner,
   SocialNetworkResult,
   KPIEngine,
   KPIReport,
+  PredictiveMonitor,
+  PredictionResult,
 
   // SAP Configuration
   TABLE_TYPES,
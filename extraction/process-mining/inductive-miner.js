@@ -0,0 +1,695 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Inductive Miner — Process Discovery Algorithm
+ *
+ * Discovers a block-structured process tree by recursively splitting the
+ * log on cuts of its directly-follows graph (exclusive choice, sequence,
+ * parallel, loop). Process trees are sound by construction and every trace
+ * of the log fits the discovered model.
+ *
+ * With noiseThreshold > 0 this is the Inductive Miner – infrequent (IMf):
+ * where no cut exists, infrequent directly-follows edges, start/end
+ * activities, empty traces and repetitions are filtered before retrying,
+ * and the log split drops the events that contradict the cut.
+ *
+ * Based on: Leemans, Fahland & van der Aalst (2013) "Discovering
+ * Block-Structured Process Models from Event Logs" and "... Containing
+ * Infrequent Behaviour".
+ *
+ * Output: a ProcessTree, convertible to a workflow net (toPetriNet) and to
+ * BPMN 2.0 XML readable by lib/signavio/bpmn-parser.js (toBpmn).
+ */
+
+'use strict';
+
+const Logger = require('../../lib/logger');
+const { PetriNet } = require('./petri-net');
+
+/** Operator symbols used by toString(), as in the literature */
+const OPERATOR_SYMBOLS = { sequence: '->', xor: 'X', and: '+', loop: '*' };
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * ProcessTree — Output of the Inductive Miner
+ *
+ * A leaf is an activity (label) or a silent step (label null, "tau").
+ * Operators: sequence, xor (exclusive choice), and (parallel) and loop,
+ * where loop(do, redo) executes do, then any number of times redo and do.
+ */
+class ProcessTree {
+  /**
+   * @param {object} [spec]
+   * @param {string|null} [spec.operator] - sequence | xor | and | loop; null for a leaf
+   * @param {string|null} [spec.label]    - Activity of a leaf; null for tau
+   * @param {ProcessTree[]} [spec.children]
+   */
+  constructor({ operator = null, label = null, children = [] } = {}) {
+    if (operator && !OPERATOR_SYMBOLS[operator]) {
+      throw new Error(`Unknown process tree operator: ${operator}`);
+    }
+    if (operator === 'loop' && children.length !== 2) {
+      throw new Error('A loop node needs exactly two children (do, redo)');
+    }
+    this.operator = operator;
+    this.label = operator ? null : label;
+    this.children = children;
+  }
+
+  static leaf(label) {
+    return new ProcessTree({ label });
+  }
+
+  static tau() {
+    return new ProcessTree();
+  }
+
+  /**
+   * Operator node; nested nodes of the same associative operator are
+   * flattened, and a one-child sequence/xor/and is its child.
+   */
+  static node(operator, children) {
+    if (operator !== 'loop') {
+      children = children.flatMap((c) => (c.operator === operator ? c.children : [c]));
+      if (operator === 'xor') {
+        // One silent branch is enough
+        const taus = children.filter((c) => c.isTau());
+        if (taus.length > 1) children = [...children.filter((c) => !c.isTau()), taus[0]];
+      }
+      if (children.length === 1) return children[0];
+    }
+    return new ProcessTree({ operator, children });
+  }
+
+  isLeaf() {
+    return !this.operator;
+  }
+
+  isTau() {
+    return !this.operator && this.label === null;
+  }
+
+  /** Activities of all leaves, sorted */
+  getActivities() {
+    const activities = new Set();
+    const visit = (node) => {
+      if (node.isLeaf()) {
+        if (node.label !== null) activities.add(node.label);
+      } else {
+        node.children.forEach(visit);
+      }
+    };
+    visit(this);
+    return [...activities].sort();
+  }
+
+  /** Node counts by kind */
+  getStats() {
+    const stats = { activities: 0, silent: 0, sequence: 0, xor: 0, and: 0, loop: 0, depth: 0 };
+    const visit = (node, depth) => {
+      stats.depth = Math.max(stats.depth, depth);
+      if (node.isTau()) stats.silent++;
+      else if (node.isLeaf()) stats.activities++;
+      else {
+        stats[node.operator]++;
+        node.children.forEach((c) => visit(c, depth + 1));
+      }
+    };
+    visit(this, 0);
+    return stats;
+  }
+
+  /** Notation of the literature, e.g. ->('A', X('B', tau), +('C', 'D')) */
+  toString() {
+    if (this.isTau()) return 'tau';
+    if (this.isLeaf()) return `'${this.label}'`;
+    return `${OPERATOR_SYMBOLS[this.operator]}(${this.children.map((c) => c.toString()).join(', ')})`;
+  }
+
+  toJSON() {
+    if (this.isLeaf()) return { label: this.label };
+    return { operator: this.operator, children: this.children.map((c) => c.toJSON()) };
+  }
+
+  static fromJSON(json) {
+    if (!json || typeof json !== 'object') throw new Error('Invalid process tree JSON');
+    if (!json.operator) return new ProcessTree({ label: json.label ?? null });
+    return new ProcessTree({
+      operator: json.operator,
+      children: (json.children || []).map((c) => ProcessTree.fromJSON(c)),
+    });
+  }
+
+  /**
+   * Workflow net with the same language: leaves become transitions,
+   * parallel blocks and loops get silent split/join transitions.
+   *
+   * @param {string} [name='Process Tree']
+   * @returns {PetriNet}
+   */
+  toPetriNet(name = 'Process Tree') {
+    const net = new PetriNet(name);
+    net.addPlace('source').addPlace('sink');
+    net.initialMarking = { source: 1 };
+    net.finalMarking = { sink: 1 };
+    let places = 0;
+    let transitions = 0;
+    const place = () => {
+      const id = `p${++places}`;
+      net.addPlace(id);
+      return id;
+    };
+    const transition = (label, pre, post) => {
+      net.addTransition(`t${++transitions}`, label, { pre, post, name: label || 'tau' });
+    };
+
+    const build = (node, from, to) => {
+      if (node.isLeaf()) {
+        transition(node.label, [from], [to]);
+        return;
+      }
+      const children = node.children;
+      if (node.operator === 'sequence') {
+        let current = from;
+        children.forEach((child, i) => {
+          const next = i === children.length - 1 ? to : place();
+          build(child, current, next);
+          current = next;
+        });
+      } else if (node.operator === 'xor') {
+        for (const child of children) build(child, from, to);
+      } else if (node.operator === 'and') {
+        const starts = children.map(place);
+        const ends = children.map(place);
+        transition(null, [from], starts);
+        children.forEach((child, i) => build(child, starts[i], ends[i]));
+        transition(null, ends, [to]);
+      } else {
+        const entry = place();
+        const exit = place();
+        transition(null, [from], [entry]);
+        build(children[0], entry, exit);
+        build(children[1], exit, entry);
+        transition(null, [exit], [to]);
+      }
+    };
+
+    build(this, 'source', 'sink');
+    return net;
+  }
+
+  /**
+   * BPMN 2.0 process XML: tasks for activities, exclusive gateways for
+   * choices and loops, parallel gateways for concurrency. Silent steps
+   * become direct sequence flows.
+   *
+   * @param {object} [options]
+   * @param {string} [options.id='Process_1']
+   * @param {string} [options.name='Discovered Process']
+   * @returns {string}
+   */
+  toBpmn(options = {}) {
+    const processId = options.id || 'Process_1';
+    const elements = [];
+    const flows = [];
+    const counters = {};
+    const add = (type, name, prefix) => {
+      counters[prefix] = (counters[prefix] || 0) + 1;
+      const id = `${prefix}_${counters[prefix]}`;
+      elements.push({ type, id, name });
+      return id;
+    };
+    const flow = (sourceRef, targetRef) => {
+      flows.push({ id: `Flow_${flows.length + 1}`, sourceRef, targetRef });
+    };
+
+    // Returns the entry and exit element of a block, or null for a silent one
+    const build = (node) => {
+      if (node.isTau()) return null;
+      if (node.isLeaf()) {
+        const id = add('task', node.label, 'Activity');
+        return { entry: id, exit: id };
+      }
+      if (node.operator === 'sequence' || node.operator === 'and') {
+        const parts = node.children.map(build).filter(Boolean);
+        if (parts.length === 0) return null;
+        if (parts.length === 1) return parts[0];
+        if (node.operator === 'sequence') {
+          for (let i = 1; i < parts.length; i++) flow(parts[i - 1].exit, parts[i].entry);
+          return { entry: parts[0].entry, exit: parts[parts.length - 1].exit };
+        }
+        const split = add('parallelGateway', null, 'Gateway');
+        const join = add('parallelGateway', null, 'Gateway');
+        for (const part of parts) {
+          flow(split, part.entry);
+          flow(part.exit, join);
+        }
+        return { entry: split, exit: join };
+      }
+      if (node.operator === 'xor') {
+        const split = add('exclusiveGateway', null, 'Gateway');
+        const join = add('exclusiveGateway', null, 'Gateway');
+        let skip = false;
+        for (const child of node.children) {
+          const part = build(child);
+          if (part) {
+            flow(split, part.entry);
+            flow(part.exit, join);
+          } else if (!skip) {
+            flow(split, join);
+            skip = true;
+          }
+        }
+        return { entry: split, exit: join };
+      }
+      // loop: join -> do -> split -> (exit | redo -> join)
+      const join = add('exclusiveGateway', null, 'Gateway');
+      const split = add('exclusiveGateway', null, 'Gateway');
+      const body = build(node.children[0]);
+      if (body) {
+        flow(join, body.entry);
+        flow(body.exit, split);
+      } else {
+        flow(join, split);
+      }
+      const redo = build(node.children[1]);
+      if (redo) {
+        flow(split, redo.entry);
+        flow(redo.exit, join);
+      } else {
+        flow(split, join);
+      }
+      return { entry: join, exit: split };
+    };
+
+    const start = add('startEvent', null, 'StartEvent');
+    const root = build(this);
+    const end = add('endEvent', null, 'EndEvent');
+    if (root) {
+      flow(start, root.entry);
+      flow(root.exit, end);
+    } else {
+      flow(start, end);
+    }
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL"',
+      '                  id="Definitions_1"',
+      '                  targetNamespace="http://example.com/sapconnect">',
+      `  <bpmn:process id="${escapeXml(processId)}" name="${escapeXml(options.name || 'Discovered Process')}" isExecutable="false">`,
+    ];
+    for (const el of elements) {
+      const name = el.name !== null ? ` name="${escapeXml(el.name)}"` : '';
+      lines.push(`    <bpmn:${el.type} id="${el.id}"${name}/>`);
+    }
+    for (const f of flows) {
+      lines.push(`    <bpmn:sequenceFlow id="${f.id}" sourceRef="${f.sourceRef}" targetRef="${f.targetRef}"/>`);
+    }
+    lines.push('  </bpmn:process>', '</bpmn:definitions>');
+    return lines.join('\n');
+  }
+}
+
+class InductiveMiner {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.noiseThreshold=0] — IMf filter (0-1); 0 is the plain Inductive Miner
+   * @param {string} [options.logLevel]
+   */
+  constructor(options = {}) {
+    this.noiseThreshold = options.noiseThreshold ?? 0;
+    if (this.noiseThreshold < 0 || this.noiseThreshold >= 1) {
+      throw new Error('noiseThreshold must be at least 0 and below 1');
+    }
+    this.log = new Logger('inductive-miner', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * Discover a process tree from an event log.
+   *
+   * @param {import('./event-log').EventLog} eventLog
+   * @returns {ProcessTree}
+   */
+  mine(eventLog) {
+    this.log.info(`Mining process tree from ${eventLog.getCaseCount()} cases (noise threshold ${this.noiseThreshold})`);
+
+    const traces = eventLog.traces || eventLog._traces;
+    const traceMap = traces instanceof Map ? traces : new Map(Object.entries(traces || {}));
+    const tree = this._discover(this._variants([...traceMap.values()].map((t) => (t.events || []).map((e) => e.activity))));
+
+    const stats = tree.getStats();
+    this.log.info(`Discovered process tree: ${stats.activities} activities, ${stats.sequence + stats.xor + stats.and + stats.loop} operators`);
+    return tree;
+  }
+
+  // ── Recursion ──────────────────────────────────────────────────
+
+  /**
+   * @param {Array<{ trace: string[], count: number }>} log - Distinct traces with counts
+   * @returns {ProcessTree}
+   * @private
+   */
+  _discover(log) {
+    const total = log.reduce((sum, v) => sum + v.count, 0);
+    const emptyCount = log.filter((v) => v.trace.length === 0).reduce((sum, v) => sum + v.count, 0);
+    if (total === 0 || emptyCount === total) return ProcessTree.tau();
+
+    // Empty traces: the whole behaviour is optional, unless they are noise
+    if (emptyCount > 0) {
+      const rest = log.filter((v) => v.trace.length > 0);
+      if (emptyCount / total < this.noiseThreshold) return this._discover(rest);
+      return ProcessTree.node('xor', [ProcessTree.tau(), this._discover(rest)]);
+    }
+
+    // Base case: a single activity
+    const dfg = this._dfg(log);
+    if (dfg.activities.size === 1) {
+      const [activity] = dfg.activities.keys();
+      const repeated = log.filter((v) => v.trace.length > 1).reduce((sum, v) => sum + v.count, 0);
+      if (repeated === 0 || repeated / total < this.noiseThreshold) return ProcessTree.leaf(activity);
+      return ProcessTree.node('loop', [ProcessTree.leaf(activity), ProcessTree.tau()]);
+    }
+
+    let cut = this._findCut(dfg);
+    if (!cut && this.noiseThreshold > 0) cut = this._findCut(this._filterDfg(dfg));
+    if (cut) {
+      const sublogs = this._split(log, cut);
+      const children = sublogs.map((sublog) => this._discover(sublog));
+      if (cut.operator === 'loop') {
+        const redo = children.length > 2 ? ProcessTree.node('xor', children.slice(1)) : children[1];
+        return ProcessTree.node('loop', [children[0], redo]);
+      }
+      return ProcessTree.node(cut.operator, children);
+    }
+
+    return this._fallThrough(log, dfg);
+  }
+
+  /** @private Fall-throughs, from most to least specific */
+  _fallThrough(log, dfg) {
+    const activities = [...dfg.activities.keys()].sort();
+
+    // An activity that occurs exactly once in every trace runs in parallel
+    for (const activity of activities) {
+      if (log.every((v) => v.trace.filter((a) => a === activity).length === 1)) {
+        this.log.debug(`Fall-through: activity once per trace (${activity})`);
+        return this._parallelWithRest(log, activity, activities);
+      }
+    }
+
+    // An activity whose removal reveals a cut is taken out in parallel
+    for (const activity of activities) {
+      const rest = this._project(log, new Set(activities.filter((a) => a !== activity)));
+      const restDfg = this._dfg(rest.filter((v) => v.trace.length > 0));
+      if (restDfg.activities.size > 1 && this._findCut(restDfg)) {
+        this.log.debug(`Fall-through: activity concurrent (${activity})`);
+        return this._parallelWithRest(log, activity, activities);
+      }
+    }
+
+    // Traces that restart: split them where an end activity is followed by a start activity
+    for (const strict of [true, false]) {
+      const split = this._splitOnRestart(log, dfg, strict);
+      if (split) {
+        this.log.debug(`Fall-through: ${strict ? 'strict ' : ''}tau loop`);
+        return ProcessTree.node('loop', [this._discover(split), ProcessTree.tau()]);
+      }
+    }
+
+    // Flower model: any activity in any order
+    this.log.debug(`Fall-through: flower model over ${activities.length} activities`);
+    return ProcessTree.node('loop', [
+      ProcessTree.tau(),
+      ProcessTree.node('xor', activities.map((a) => ProcessTree.leaf(a))),
+    ]);
+  }
+
+  /** @private */
+  _parallelWithRest(log, activity, activities) {
+    const rest = new Set(activities.filter((a) => a !== activity));
+    return ProcessTree.node('and', [
+      this._discover(this._project(log, new Set([activity]))),
+      this._discover(this._project(log, rest)),
+    ]);
+  }
+
+  /** @private Split traces at restarts; null if no trace restarts */
+  _splitOnRestart(log, dfg, strict) {
+    let changed = false;
+    const pieces = [];
+    for (const { trace, count } of log) {
+      let current = [trace[0]];
+      for (let i = 1; i < trace.length; i++) {
+        if (dfg.start.has(trace[i]) && (!strict || dfg.end.has(trace[i - 1]))) {
+          pieces.push({ trace: current, count });
+          current = [];
+          changed = true;
+        }
+        current.push(trace[i]);
+      }
+      pieces.push({ trace: current, count });
+    }
+    return changed ? this._merge(pieces) : null;
+  }
+
+  // ── Directly-follows graph ─────────────────────────────────────
+
+  /** @private */
+  _dfg(log) {
+    const activities = new Map();
+    const edges = new Map();
+    const start = new Map();
+    const end = new Map();
+    const inc = (map, key, n) => map.set(key, (map.get(key) || 0) + n);
+    for (const { trace, count } of log) {
+      if (trace.length === 0) continue;
+      inc(start, trace[0], count);
+      inc(end, trace[trace.length - 1], count);
+      for (let i = 0; i < trace.length; i++) {
+        inc(activities, trace[i], count);
+        if (i > 0) {
+          if (!edges.has(trace[i - 1])) edges.set(trace[i - 1], new Map());
+          inc(edges.get(trace[i - 1]), trace[i], count);
+        }
+      }
+    }
+    return { activities, edges, start, end };
+  }
+
+  /**
+   * IMf filter: keep an edge only if it is at least noiseThreshold times
+   * the most frequent outgoing edge of its source; likewise for start and
+   * end activities.
+   * @private
+   */
+  _filterDfg(dfg) {
+    const keepFrequent = (map) => {
+      const max = Math.max(0, ...map.values());
+      return new Map([...map].filter(([, n]) => n >= this.noiseThreshold * max));
+    };
+    const edges = new Map();
+    for (const [a, targets] of dfg.edges) edges.set(a, keepFrequent(targets));
+    return { activities: dfg.activities, edges, start: keepFrequent(dfg.start), end: keepFrequent(dfg.end) };
+  }
+
+  /** @private */
+  _hasEdge(dfg, a, b) {
+    const row = dfg.edges.get(a);
+    return Boolean(row && row.has(b));
+  }
+
+  // ── Cut detection ──────────────────────────────────────────────
+
+  /** @private First cut found, in the order xor, sequence, and, loop */
+  _findCut(dfg) {
+    const activities = [...dfg.activities.keys()].sort();
+    return this._xorCut(dfg, activities)
+      || this._sequenceCut(dfg, activities)
+      || this._parallelCut(dfg, activities)
+      || this._loopCut(dfg, activities);
+  }
+
+  /** @private Groups of activities joined by the relation, in first-member order */
+  _components(activities, related) {
+    const parent = new Map(activities.map((a) => [a, a]));
+    const find = (a) => {
+      while (parent.get(a) !== a) a = parent.get(a);
+      return a;
+    };
+    for (let i = 0; i < activities.length; i++) {
+      for (let j = i + 1; j < activities.length; j++) {
+        if (related(activities[i], activities[j])) parent.set(find(activities[i]), find(activities[j]));
+      }
+    }
+    const groups = new Map();
+    for (const a of activities) {
+      const root = find(a);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(a);
+    }
+    return [...groups.values()];
+  }
+
+  /** @private Unconnected parts of the graph are exclusive */
+  _xorCut(dfg, activities) {
+    const groups = this._components(activities, (a, b) => this._hasEdge(dfg, a, b) || this._hasEdge(dfg, b, a));
+    return groups.length > 1 ? { operator: 'xor', groups } : null;
+  }
+
+  /** @private Groups reachable from earlier groups but never back */
+  _sequenceCut(dfg, activities) {
+    const reach = new Map();
+    for (const a of activities) {
+      const seen = new Set();
+      const stack = [...(dfg.edges.get(a) || new Map()).keys()];
+      while (stack.length > 0) {
+        const b = stack.pop();
+        if (seen.has(b)) continue;
+        seen.add(b);
+        for (const c of (dfg.edges.get(b) || new Map()).keys()) stack.push(c);
+      }
+      reach.set(a, seen);
+    }
+    // Mutually reachable or mutually unreachable activities share a group
+    const groups = this._components(activities, (a, b) => reach.get(a).has(b) === reach.get(b).has(a));
+    if (groups.length < 2) return null;
+
+    groups.sort((g, h) => (reach.get(g[0]).has(h[0]) ? -1 : reach.get(h[0]).has(g[0]) ? 1 : 0));
+    for (let i = 0; i < groups.length; i++) {
+      for (let j = i + 1; j < groups.length; j++) {
+        for (const a of groups[i]) {
+          for (const b of groups[j]) {
+            if (!reach.get(a).has(b) || reach.get(b).has(a)) return null;
+          }
+        }
+      }
+    }
+    return { operator: 'sequence', groups };
+  }
+
+  /** @private Groups fully connected in both directions, each with a start and an end activity */
+  _parallelCut(dfg, activities) {
+    const groups = this._components(activities, (a, b) => !(this._hasEdge(dfg, a, b) && this._hasEdge(dfg, b, a)));
+    const complete = (group) => group.some((a) => dfg.start.has(a)) && group.some((a) => dfg.end.has(a));
+    const merged = groups.filter(complete);
+    if (merged.length < 2) return null;
+    // Groups without a start or end activity cannot run on their own
+    for (const group of groups.filter((g) => !complete(g))) merged[0].push(...group);
+    merged[0].sort();
+    return { operator: 'and', groups: merged };
+  }
+
+  /** @private Do part with the start and end activities, redo parts entered from ends and left to starts */
+  _loopCut(dfg, activities) {
+    const boundary = new Set([...dfg.start.keys(), ...dfg.end.keys()]);
+    const inner = activities.filter((a) => !boundary.has(a));
+    const doGroup = activities.filter((a) => boundary.has(a));
+    const redoGroups = [];
+    const related = (a, b) => this._hasEdge(dfg, a, b) || this._hasEdge(dfg, b, a);
+
+    for (const group of this._components(inner, related)) {
+      const members = new Set(group);
+      let redo = true;
+      for (const a of activities) {
+        if (members.has(a)) continue;
+        for (const b of group) {
+          // Entered only from end activities, and from all of them
+          if (this._hasEdge(dfg, a, b) && (!dfg.end.has(a) || ![...dfg.end.keys()].every((e) => this._hasEdge(dfg, e, b)))) redo = false;
+          // Left only to start activities, and to all of them
+          if (this._hasEdge(dfg, b, a) && (!dfg.start.has(a) || ![...dfg.start.keys()].every((s) => this._hasEdge(dfg, b, s)))) redo = false;
+        }
+      }
+      if (redo) redoGroups.push(group);
+      else doGroup.push(...group);
+    }
+    if (redoGroups.length === 0) return null;
+    return { operator: 'loop', groups: [doGroup.sort(), ...redoGroups] };
+  }
+
+  // ── Log splitting ──────────────────────────────────────────────
+
+  /** @private One sub-log per group of the cut */
+  _split(log, cut) {
+    const groupOf = new Map();
+    cut.groups.forEach((group, i) => group.forEach((a) => groupOf.set(a, i)));
+    const sublogs = cut.groups.map(() => []);
+
+    for (const { trace, count } of log) {
+      if (cut.operator === 'xor') {
+        // The group with most of the trace's events; others are noise
+        const hits = cut.groups.map(() => 0);
+        for (const a of trace) hits[groupOf.get(a)]++;
+        const best = hits.indexOf(Math.max(...hits));
+        sublogs[best].push({ trace: trace.filter((a) => groupOf.get(a) === best), count });
+      } else if (cut.operator === 'loop') {
+        // Alternate do and redo runs; a missing do run is empty
+        let expectDo = true;
+        let run = null;
+        const flush = () => {
+          if (!run) return;
+          if (run.group === 0) {
+            sublogs[0].push({ trace: run.events, count });
+            expectDo = false;
+          } else {
+            if (expectDo) sublogs[0].push({ trace: [], count });
+            sublogs[run.group].push({ trace: run.events, count });
+            expectDo = true;
+          }
+        };
+        for (const a of trace) {
+          const group = groupOf.get(a);
+          if (!run || run.group !== group) {
+            flush();
+            run = { group, events: [] };
+          }
+          run.events.push(a);
+        }
+        flush();
+        if (expectDo) sublogs[0].push({ trace: [], count });
+      } else {
+        // sequence and parallel: project the trace on each group
+        cut.groups.forEach((_, i) => sublogs[i].push({ trace: trace.filter((a) => groupOf.get(a) === i), count }));
+      }
+    }
+    return sublogs.map((sublog) => this._merge(sublog));
+  }
+
+  /** @private */
+  _project(log, keep) {
+    return this._merge(log.map(({ trace, count }) => ({ trace: trace.filter((a) => keep.has(a)), count })));
+  }
+
+  /** @private Merge identical traces */
+  _merge(log) {
+    const merged = new Map();
+    for (const { trace, count } of log) {
+      const key = trace.join('\u0000');
+      if (merged.has(key)) merged.get(key).count += count;
+      else merged.set(key, { trace, count });
+    }
+    return [...merged.values()];
+  }
+
+  /** @private */
+  _variants(traces) {
+    return this._merge(traces.map((trace) => ({ trace, count: 1 })));
+  }
+}
+
+module.exports = { InductiveMiner, ProcessTree };
@@ -0,0 +1,904 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Object-Centric Event Log (OCEL 2.0)
+ *
+ * A classic EventLog forces every event into exactly one case. SAP documents
+ * do not work that way: one delivery ships several sales orders, one invoice
+ * bills several deliveries. An object-centric log keeps the business objects
+ * and relates each event to all objects it touches:
+ *
+ *   - objects with a type, time-varying attributes and qualified
+ *     object-to-object (O2O) relationships
+ *   - events with a type, a timestamp, attributes and qualified
+ *     event-to-object (E2O) relationships
+ *
+ * Supported operations:
+ *   - OCEL 2.0 JSON and XML import/export
+ *   - flatten(objectType): a classic EventLog with one trace per object of
+ *     that type. Events shared by several objects appear in each of their
+ *     traces (convergence), so counts over the flattened log may exceed the
+ *     number of events.
+ *   - getDirectlyFollowsGraph(): one DFG per object type, each edge counted
+ *     over the event sequences of the objects of that type
+ *   - fromSapTables(): build from extracted SAP tables using the
+ *     objectCentric section of the process configuration (sap-table-config.js)
+ *
+ * No external dependencies. Pure JavaScript.
+ *
+ * @see https://www.ocel-standard.org/
+ */
+
+'use strict';
+
+const Logger = require('../../lib/logger');
+const { Event, EventLog } = require('./event-log');
+const { getProcessConfig } = require('./sap-table-config');
+const { parseXml, childrenNamed } = require('./xml-reader');
+
+const logger = new Logger('process-mining:ocel');
+
+/** Time of attribute values that hold from the start (OCEL 2.0 convention) */
+const INITIAL_TIME = new Date(0);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * @param {Date|string|number} value
+ * @returns {Date}
+ */
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Unparseable timestamp: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * OCEL attribute type of a JavaScript value.
+ *
+ * @param {*} value
+ * @returns {string} 'string' | 'integer' | 'float' | 'boolean' | 'time'
+ */
+function attributeType(value) {
+  if (value instanceof Date) return 'time';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'float';
+  if (typeof value === 'boolean') return 'boolean';
+  return 'string';
+}
+
+/**
+ * Convert a serialized attribute value back to its declared type.
+ *
+ * @param {*} value
+ * @param {string} [type]
+ * @returns {*}
+ */
+function castAttribute(value, type) {
+  if (value === null || value === undefined) return value;
+  switch (type) {
+    case 'integer':
+    case 'float':
+      return Number(value);
+    case 'boolean':
+      return value === true || value === 'true';
+    case 'time':
+      return toDate(value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function serializeValue(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Parse an SAP date (YYYYMMDD or YYYY-MM-DD) with an optional time
+ * (HHMMSS or HH:MM:SS) as UTC. Empty and initial ('00000000') dates
+ * yield null.
+ *
+ * @param {string|Date} date
+ * @param {string} [time]
+ * @returns {Date|null}
+ */
+function parseSapTimestamp(date, time) {
+  if (date instanceof Date) return isNaN(date.getTime()) ? null : date;
+  if (date === null || date === undefined) return null;
+  const d = String(date).trim().replace(/-/g, '');
+  if (!/^\d{8}$/.test(d) || /^0+$/.test(d)) return null;
+  const t = time ? String(time).trim().replace(/:/g, '').padEnd(6, '0') : '000000';
+  const result = new Date(
+    `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}T${t.slice(0, 2)}:${t.slice(2, 4)}:${t.slice(4, 6)}Z`,
+  );
+  return isNaN(result.getTime()) ? null : result;
+}
+
+/**
+ * Evaluate an activity condition from sap-table-config.js against a row.
+ * Understands 'F IS NOT NULL', 'F = v', 'F = " "', 'F IN (a,b)' joined by
+ * AND; anything else does not match.
+ *
+ * @param {string} [condition]
+ * @param {object} row
+ * @returns {boolean}
+ */
+function matchesCondition(condition, row) {
+  if (!condition) return true;
+  return condition.split(/\s+AND\s+/i).every((part) => {
+    let m = part.match(/^\s*(\w+)\s+IS\s+NOT\s+NULL\s*$/i);
+    if (m) return row[m[1]] !== null && row[m[1]] !== undefined && String(row[m[1]]).trim() !== '' && !/^0+$/.test(String(row[m[1]]).trim());
+    m = part.match(/^\s*(\w+)\s+IN\s*\(([^)]*)\)\s*$/i);
+    if (m) {
+      const values = m[2].split(',').map((v) => v.trim().replace(/^["']|["']$/g, ''));
+      return values.includes(String(row[m[1]] ?? '').trim());
+    }
+    m = part.match(/^\s*(\w+)\s*=\s*(?:"([^"]*)"|'([^']*)'|(\S+))\s*$/);
+    if (m) {
+      const expected = m[2] ?? m[3] ?? m[4];
+      const actual = row[m[1]] === null || row[m[1]] === undefined ? '' : String(row[m[1]]);
+      return expected.trim() === '' ? actual.trim() === '' : actual.trim() === expected;
+    }
+    logger.debug(`Unsupported condition '${part.trim()}' — rows do not match`);
+    return false;
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// OcelObject / OcelEvent
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * A business object. Attribute values are kept with the time they became
+ * valid, oldest first.
+ */
+class OcelObject {
+  /**
+   * @param {string} id
+   * @param {string} type
+   */
+  constructor(id, type) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('OcelObject requires a non-empty id string');
+    }
+    if (!type || typeof type !== 'string') {
+      throw new Error(`OcelObject '${id}' requires a type`);
+    }
+    /** @type {string} */
+    this.id = id;
+    /** @type {string} */
+    this.type = type;
+    /** @type {Array<{name: string, value: *, time: Date}>} */
+    this.attributes = [];
+    /** @type {Array<{objectId: string, qualifier: string}>} O2O relationships */
+    this.relationships = [];
+  }
+
+  /**
+   * Record an attribute value valid from a point in time.
+   *
+   * @param {string} name
+   * @param {*} value
+   * @param {Date|string|number} [time] - Default: from the start
+   * @returns {OcelObject} this
+   */
+  setAttribute(name, value, time) {
+    const at = time === undefined || time === null ? INITIAL_TIME : toDate(time);
+    const existing = this.attributes.find((a) => a.name === name && a.time.getTime() === at.getTime());
+    if (existing) {
+      existing.value = value;
+    } else {
+      this.attributes.push({ name, value, time: at });
+      this.attributes.sort((a, b) => a.time - b.time);
+    }
+    return this;
+  }
+
+  /**
+   * Value of an attribute at a point in time (default: the latest value).
+   *
+   * @param {string} name
+   * @param {Date|string|number} [time]
+   * @returns {*} undefined when not set by then
+   */
+  getAttribute(name, time) {
+    const at = time === undefined ? Infinity : toDate(time).getTime();
+    let value;
+    for (const a of this.attributes) {
+      if (a.name === name && a.time.getTime() <= at) value = a.value;
+    }
+    return value;
+  }
+
+  /**
+   * Latest value of every attribute.
+   *
+   * @returns {object}
+   */
+  getCurrentAttributes() {
+    const current = {};
+    for (const a of this.attributes) current[a.name] = a.value;
+    return current;
+  }
+}
+
+/**
+ * An event related to one or more objects.
+ */
+class OcelEvent {
+  /**
+   * @param {object} params
+   * @param {string} params.id
+   * @param {string} params.type                  - Activity
+   * @param {Date|string|number} params.time
+   * @param {object} [params.attributes]          - name -> value
+   */
+  constructor({ id, type, time, attributes } = {}) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('OcelEvent requires a non-empty id string');
+    }
+    if (!type || typeof type !== 'string') {
+      throw new Error(`OcelEvent '${id}' requires a type`);
+    }
+    if (time === undefined || time === null) {
+      throw new Error(`OcelEvent '${id}' requires a time`);
+    }
+    /** @type {string} */
+    this.id = id;
+    /** @type {string} */
+    this.type = type;
+    /** @type {Date} */
+    this.time = toDate(time);
+    /** @type {object} */
+    this.attributes = { ...(attributes || {}) };
+    /** @type {Array<{objectId: string, qualifier: string}>} E2O relationships */
+    this.relationships = [];
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ObjectCentricEventLog
+// ─────────────────────────────────────────────────────────────────────────────
+
+class ObjectCentricEventLog {
+  /**
+   * @param {string} [name]
+   */
+  constructor(name) {
+    /** @type {string} */
+    this.name = name || 'ObjectCentricEventLog';
+    /** @type {Map<string, OcelObject>} */
+    this.objects = new Map();
+    /** @type {Map<string, OcelEvent>} */
+    this.events = new Map();
+    /** @type {Map<string, Map<string, string>>} Object type -> attribute name -> type */
+    this.objectTypes = new Map();
+    /** @type {Map<string, Map<string, string>>} Event type -> attribute name -> type */
+    this.eventTypes = new Map();
+    /** @private Object id -> events related to it */
+    this._eventsByObject = new Map();
+    /** @private */
+    this._nextEventId = 1;
+  }
+
+  // ── Objects ─────────────────────────────────────────────────────────────
+
+  /**
+   * Add an object, or return the existing one with the same id.
+   *
+   * @param {object} params
+   * @param {string} params.id
+   * @param {string} params.type
+   * @param {object} [params.attributes] - name -> initial value
+   * @returns {OcelObject}
+   */
+  addObject({ id, type, attributes } = {}) {
+    let object = this.objects.get(id);
+    if (object) {
+      if (object.type !== type) {
+        throw new Error(`Object '${id}' already exists with type '${object.type}', not '${type}'`);
+      }
+    } else {
+      object = new OcelObject(id, type);
+      this.objects.set(id, object);
+      this._declare(this.objectTypes, type);
+    }
+    for (const [name, value] of Object.entries(attributes || {})) {
+      if (value === undefined || value === null || value === '') continue;
+      object.setAttribute(name, value);
+      this._declare(this.objectTypes, type, name, value);
+    }
+    return object;
+  }
+
+  /**
+   * Record a new value of an object attribute from a point in time.
+   *
+   * @param {string} objectId
+   * @param {string} name
+   * @param {*} value
+   * @param {Date|string|number} time
+   * @returns {ObjectCentricEventLog} this
+   */
+  setObjectAttribute(objectId, name, value, time) {
+    const object = this._object(objectId);
+    object.setAttribute(name, value, time);
+    this._declare(this.objectTypes, object.type, name, value);
+    return this;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {OcelObject|undefined}
+   */
+  getObject(id) {
+    return this.objects.get(id);
+  }
+
+  /**
+   * @param {string} type
+   * @returns {OcelObject[]}
+   */
+  getObjectsByType(type) {
+    return [...this.objects.values()].filter((o) => o.type === type);
+  }
+
+  /**
+   * Add a qualified object-to-object relationship. Duplicates are ignored.
+   *
+   * @param {string} sourceId
+   * @param {string} targetId
+   * @param {string} [qualifier]
+   * @returns {ObjectCentricEventLog} this
+   */
+  relate(sourceId, targetId, qualifier = '') {
+    const source = this._object(sourceId);
+    this._object(targetId);
+    if (sourceId !== targetId && !source.relationships.some((r) => r.objectId === targetId && r.qualifier === qualifier)) {
+      source.relationships.push({ objectId: targetId, qualifier });
+    }
+    return this;
+  }
+
+  // ── Events ──────────────────────────────────────────────────────────────
+
+  /**
+   * Add an event. Related objects must exist.
+   *
+   * @param {object} params
+   * @param {string} [params.id]                  - Default: e1, e2, ...
+   * @param {string} params.type
+   * @param {Date|string|number} params.time
+   * @param {object} [params.attributes]
+   * @param {Array<{objectId: string, qualifier?: string}>} [params.relationships]
+   * @returns {OcelEvent}
+   */
+  addEvent({ id, type, time, attributes, relationships } = {}) {
+    for (const r of relationships || []) this._object(r.objectId);
+    let eventId = id;
+    if (!eventId) {
+      do {
+        eventId = `e${this._nextEventId++}`;
+      } while (this.events.has(eventId));
+    }
+    if (this.events.has(eventId)) {
+      throw new Error(`Event '${eventId}' already exists`);
+    }
+    const event = new OcelEvent({ id: eventId, type, time, attributes });
+    this.events.set(eventId, event);
+    this._declare(this.eventTypes, type);
+    for (const [name, value] of Object.entries(event.attributes)) {
+      this._declare(this.eventTypes, type, name, value);
+    }
+    for (const r of relationships || []) {
+      this.linkEvent(eventId, r.objectId, r.qualifier);
+    }
+    return event;
+  }
+
+  /**
+   * Add a qualified event-to-object relationship. Duplicates are ignored.
+   *
+   * @param {string} eventId
+   * @param {string} objectId
+   * @param {string} [qualifier]
+   * @returns {ObjectCentricEventLog} this
+   */
+  linkEvent(eventId, objectId, qualifier = '') {
+    const event = this.events.get(eventId);
+    if (!event) throw new Error(`Unknown event '${eventId}'`);
+    this._object(objectId);
+    if (event.relationships.some((r) => r.objectId === objectId)) return this;
+    event.relationships.push({ objectId, qualifier });
+    if (!this._eventsByObject.has(objectId)) this._eventsByObject.set(objectId, []);
+    this._eventsByObject.get(objectId).push(event);
+    return this;
+  }
+
+  /**
+   * Events related to an object in chronological order.
+   *
+   * @param {string} objectId
+   * @returns {OcelEvent[]}
+   */
+  getEventsForObject(objectId) {
+    return [...(this._eventsByObject.get(objectId) || [])]
+      .sort((a, b) => a.time - b.time || a.id.localeCompare(b.id, undefined, { numeric: true }));
+  }
+
+  // ── Analysis ────────────────────────────────────────────────────────────
+
+  /**
+   * Flatten to a classic EventLog for one object type: one trace per object
+   * of that type with all events related to it. Objects without events are
+   * left out.
+   *
+   * @param {string} objectType
+   * @returns {EventLog}
+   */
+  flatten(objectType) {
+    if (!this.objectTypes.has(objectType)) {
+      throw new Error(`Unknown object type '${objectType}'. Known: ${[...this.objectTypes.keys()].join(', ')}`);
+    }
+    const log = new EventLog(`${this.name} (${objectType})`, { 'ocel:objectType': objectType });
+
+    for (const object of this.getObjectsByType(objectType)) {
+      const events = this.getEventsForObject(object.id);
+      if (events.length === 0) continue;
+      for (const e of events) {
+        const { resource, ...attributes } = e.attributes;
+        log.addEvent(object.id, new Event({
+          activity: e.type,
+          timestamp: e.time,
+          resource: resource || undefined,
+          attributes: { ...attributes, 'ocel:eid': e.id },
+        }));
+      }
+      const trace = log.getTrace(object.id);
+      for (const [name, value] of Object.entries(object.getCurrentAttributes())) {
+        trace.attributes.set(name, value);
+      }
+    }
+
+    logger.info(`Flattened OCEL '${this.name}' on ${objectType}: ${log.getCaseCount()} cases, ${log.getEventCount()} events`);
+    return log;
+  }
+
+  /**
+   * Object-centric directly-follows graph: for each object type, the edges
+   * between consecutive events of each object of that type.
+   *
+   * @param {object} [options]
+   * @param {string[]} [options.objectTypes] - Default: all types
+   * @returns {object} type -> { objects, activities, edges: [{ from, to, count, objects }], startActivities, endActivities }
+   */
+  getDirectlyFollowsGraph(options = {}) {
+    const types = options.objectTypes || [...this.objectTypes.keys()];
+    const graph = {};
+
+    for (const type of types) {
+      if (!this.objectTypes.has(type)) {
+        throw new Error(`Unknown object type '${type}'`);
+      }
+      const activities = {};
+      const startActivities = {};
+      const endActivities = {};
+      const edges = new Map();
+      let objects = 0;
+
+      for (const object of this.getObjectsByType(type)) {
+        const events = this.getEventsForObject(object.id);
+        if (events.length === 0) continue;
+        objects++;
+        startActivities[events[0].type] = (startActivities[events[0].type] || 0) + 1;
+        const last = events[events.length - 1].type;
+        endActivities[last] = (endActivities[last] || 0) + 1;
+        const seen = new Set();
+        for (let i = 0; i < events.length; i++) {
+          activities[events[i].type] = (activities[events[i].type] || 0) + 1;
+          if (i === 0) continue;
+          const key = `${events[i - 1].type}\u0000${events[i].type}`;
+          if (!edges.has(key)) edges.set(key, { from: events[i - 1].type, to: events[i].type, count: 0, objects: 0 });
+          const edge = edges.get(key);
+          edge.count++;
+          if (!seen.has(key)) {
+            edge.objects++;
+            seen.add(key);
+          }
+        }
+      }
+
+      graph[type] = {
+        objects,
+        activities,
+        edges: [...edges.values()].sort((a, b) => b.count - a.count || a.from.localeCompare(b.from) || a.to.localeCompare(b.to)),
+        startActivities,
+        endActivities,
+      };
+    }
+    return graph;
+  }
+
+  /**
+   * @returns {object} { name, objects, events, objectTypes: { type: count }, eventTypes: { type: count }, o2o, e2o }
+   */
+  getSummary() {
+    const objectTypes = {};
+    const eventTypes = {};
+    let o2o = 0;
+    let e2o = 0;
+    for (const o of this.objects.values()) {
+      objectTypes[o.type] = (objectTypes[o.type] || 0) + 1;
+      o2o += o.relationships.length;
+    }
+    for (const e of this.events.values()) {
+      eventTypes[e.type] = (eventTypes[e.type] || 0) + 1;
+      e2o += e.relationships.length;
+    }
+    return { name: this.name, objects: this.objects.size, events: this.events.size, objectTypes, eventTypes, o2o, e2o };
+  }
+
+  // ── OCEL 2.0 JSON ───────────────────────────────────────────────────────
+
+  /**
+   * @returns {object} OCEL 2.0 JSON
+   */
+  toJSON() {
+    return {
+      objectTypes: this._typesToJSON(this.objectTypes),
+      eventTypes: this._typesToJSON(this.eventTypes),
+      objects: [...this.objects.values()].map((o) => ({
+        id: o.id,
+        type: o.type,
+        attributes: o.attributes.map((a) => ({ name: a.name, time: a.time.toISOString(), value: serializeValue(a.value) })),
+        relationships: o.relationships.map((r) => ({ objectId: r.objectId, qualifier: r.qualifier })),
+      })),
+      events: [...this.events.values()].map((e) => ({
+        id: e.id,
+        type: e.type,
+        time: e.time.toISOString(),
+        attributes: Object.entries(e.attributes).map(([name, value]) => ({ name, value: serializeValue(value) })),
+        relationships: e.relationships.map((r) => ({ objectId: r.objectId, qualifier: r.qualifier })),
+      })),
+    };
+  }
+
+  /**
+   * @param {object|string} json - OCEL 2.0 JSON
+   * @param {string} [name]
+   * @returns {ObjectCentricEventLog}
+   */
+  static fromJSON(json, name) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || !Array.isArray(data.objects) || !Array.isArray(data.events)) {
+      throw new Error('Invalid OCEL 2.0 JSON: expected objects and events arrays');
+    }
+    const ocel = new ObjectCentricEventLog(name);
+    const objectTypes = ObjectCentricEventLog._typesFromJSON(data.objectTypes);
+    const eventTypes = ObjectCentricEventLog._typesFromJSON(data.eventTypes);
+
+    ocel._loadTypes(objectTypes, eventTypes);
+    for (const o of data.objects) {
+      const object = ocel.addObject({ id: o.id, type: o.type });
+      for (const a of o.attributes || []) {
+        ocel.setObjectAttribute(object.id, a.name, castAttribute(a.value, (objectTypes[o.type] || {})[a.name]), a.time);
+      }
+    }
+    for (const o of data.objects) {
+      for (const r of o.relationships || []) ocel.relate(o.id, r.objectId, r.qualifier || '');
+    }
+    for (const e of data.events) {
+      const attributes = {};
+      for (const a of e.attributes || []) {
+        attributes[a.name] = castAttribute(a.value, (eventTypes[e.type] || {})[a.name]);
+      }
+      ocel.addEvent({ id: e.id, type: e.type, time: e.time, attributes, relationships: e.relationships });
+    }
+
+    logger.info(`Imported OCEL JSON: ${ocel.objects.size} objects, ${ocel.events.size} events`);
+    return ocel;
+  }
+
+  // ── OCEL 2.0 XML ────────────────────────────────────────────────────────
+
+  /**
+   * @returns {string} OCEL 2.0 XML
+   */
+  toXML() {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<log>'];
+    const types = (tag, map) => {
+      lines.push(`  <${tag}s>`);
+      for (const [name, attrs] of map) {
+        lines.push(`    <${tag} name="${escapeXml(name)}">`);
+        lines.push('      <attributes>');
+        for (const [attr, type] of attrs) {
+          lines.push(`        <attribute name="${escapeXml(attr)}" type="${type}"/>`);
+        }
+        lines.push('      </attributes>');
+        lines.push(`    </${tag}>`);
+      }
+      lines.push(`  </${tag}s>`);
+    };
+    const relationships = (list, indent) => {
+      lines.push(`${indent}<objects>`);
+      for (const r of list) {
+        lines.push(`${indent}  <relationship object-id="${escapeXml(r.objectId)}" qualifier="${escapeXml(r.qualifier)}"/>`);
+      }
+      lines.push(`${indent}</objects>`);
+    };
+
+    types('object-type', this.objectTypes);
+    types('event-type', this.eventTypes);
+
+    lines.push('  <objects>');
+    for (const o of this.objects.values()) {
+      lines.push(`    <object id="${escapeXml(o.id)}" type="${escapeXml(o.type)}">`);
+      lines.push('      <attributes>');
+      for (const a of o.attributes) {
+        lines.push(`        <attribute name="${escapeXml(a.name)}" time="${a.time.toISOString()}">${escapeXml(serializeValue(a.value))}</attribute>`);
+      }
+      lines.push('      </attributes>');
+      relationships(o.relationships, '      ');
+      lines.push('    </object>');
+    }
+    lines.push('  </objects>');
+
+    lines.push('  <events>');
+    for (const e of this.events.values()) {
+      lines.push(`    <event id="${escapeXml(e.id)}" type="${escapeXml(e.type)}" time="${e.time.toISOString()}">`);
+      lines.push('      <attributes>');
+      for (const [name, value] of Object.entries(e.attributes)) {
+        lines.push(`        <attribute name="${escapeXml(name)}">${escapeXml(serializeValue(value))}</attribute>`);
+      }
+      lines.push('      </attributes>');
+      relationships(e.relationships, '      ');
+      lines.push('    </event>');
+    }
+    lines.push('  </events>');
+    lines.push('</log>');
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {string} xml - OCEL 2.0 XML
+   * @param {string} [name]
+   * @returns {ObjectCentricEventLog}
+   */
+  static fromXML(xml, name) {
+    const root = parseXml(xml);
+    if (root.name !== 'log') {
+      throw new Error(`Invalid OCEL 2.0 XML: expected <log> root, got <${root.name}>`);
+    }
+    const section = (tag) => childrenNamed(root, tag)[0];
+    const readTypes = (tag, childTag) => childrenNamed(section(tag), childTag).map((t) => ({
+      name: t.attributes.name,
+      attributes: childrenNamed(childrenNamed(t, 'attributes')[0], 'attribute')
+        .map((a) => ({ name: a.attributes.name, type: a.attributes.type })),
+    }));
+    const readRelationships = (el) => childrenNamed(childrenNamed(el, 'objects')[0], 'relationship')
+      .map((r) => ({ objectId: r.attributes['object-id'], qualifier: r.attributes.qualifier || '' }));
+
+    return ObjectCentricEventLog.fromJSON({
+      objectTypes: readTypes('object-types', 'object-type'),
+      eventTypes: readTypes('event-types', 'event-type'),
+      objects: childrenNamed(section('objects'), 'object').map((o) => ({
+        id: o.attributes.id,
+        type: o.attributes.type,
+        attributes: childrenNamed(childrenNamed(o, 'attributes')[0], 'attribute')
+          .map((a) => ({ name: a.attributes.name, time: a.attributes.time || INITIAL_TIME.toISOString(), value: a.text })),
+        relationships: readRelationships(o),
+      })),
+      events: childrenNamed(section('events'), 'event').map((e) => ({
+        id: e.attributes.id,
+        type: e.attributes.type,
+        time: e.attributes.time,
+        attributes: childrenNamed(childrenNamed(e, 'attributes')[0], 'attribute')
+          .map((a) => ({ name: a.attributes.name, value: a.text })),
+        relationships: readRelationships(e),
+      })),
+    }, name);
+  }
+
+  // ── SAP extraction ──────────────────────────────────────────────────────
+
+  /**
+   * Build an object-centric log from extracted SAP tables, following the
+   * objectCentric section of the process configuration. Object ids are
+   * '<type>:<key>'; a composite key (idField as a list, e.g. BUKRS, BELNR,
+   * GJAHR) joins its parts with '/'. Every event is related to its own
+   * object and to the objects that object references.
+   *
+   * @param {string} processId                    - e.g. 'O2C', 'P2P'
+   * @param {object} tables                       - Table name -> rows
+   * @param {object} [options]
+   * @param {string} [options.name]
+   * @returns {ObjectCentricEventLog}
+   */
+  static fromSapTables(processId, tables, options = {}) {
+    const config = getProcessConfig(processId);
+    if (!config) throw new Error(`Unknown process '${processId}'`);
+    const oc = config.objectCentric;
+    if (!oc) throw new Error(`Process '${processId}' has no object-centric configuration`);
+
+    const ocel = new ObjectCentricEventLog(options.name || `${processId} object-centric log`);
+    const rowsOf = (table) => (Array.isArray(tables[table]) ? tables[table] : []);
+    const keyOf = (value) => (value === null || value === undefined ? '' : String(value).trim());
+    // The key in fields (one or a list), or cut from one field by keyParts
+    // ([[start, end], ...], e.g. AWKEY); empty when any part is
+    const idOf = (row, fields, keyParts) => {
+      let parts = [].concat(fields).map((field) => keyOf(row[field]));
+      if (keyParts) parts = keyParts.map(([start, end]) => parts[0].slice(start, end).trim());
+      return parts.every(Boolean) ? parts.join('/') : '';
+    };
+    const ensure = (type, key) => {
+      const id = `${type}:${key}`;
+      return ocel.objects.get(id) || ocel.addObject({ id, type });
+    };
+    // Table -> the object type its rows describe
+    const ownerOf = {};
+    for (const [type, def] of Object.entries(oc.objectTypes)) ownerOf[def.table] = { objectType: type, ...def };
+    for (const [table, def] of Object.entries(oc.eventObjects || {})) ownerOf[table] = def;
+
+    // Objects
+    for (const [type, def] of Object.entries(oc.objectTypes)) {
+      for (const row of rowsOf(def.table)) {
+        if (!matchesCondition(def.condition, row)) continue;
+        const key = idOf(row, def.idField);
+        if (!key) continue;
+        const attributes = {};
+        for (const field of def.attributes || []) attributes[field] = row[field];
+        ocel.addObject({ id: `${type}:${key}`, type, attributes });
+      }
+    }
+
+    // Object-to-object relationships
+    for (const ref of oc.references || []) {
+      const owner = ref.owner ? { objectType: ref.owner, idField: ref.ownerField } : ownerOf[ref.table];
+      if (!owner) continue;
+      for (const row of rowsOf(ref.table)) {
+        if (!matchesCondition(ref.condition, row)) continue;
+        const sourceKey = idOf(row, owner.idField);
+        const targetKey = idOf(row, ref.field, ref.keyParts);
+        if (!sourceKey || !targetKey) continue;
+        const source = ensure(owner.objectType, sourceKey);
+        ocel.relate(source.id, ensure(ref.objectType, targetKey).id, ref.qualifier);
+      }
+    }
+    for (const flow of oc.flows || []) {
+      for (const row of rowsOf(flow.table)) {
+        const fromType = flow.documentTypes[keyOf(row[flow.from.typeField])];
+        const toType = flow.documentTypes[keyOf(row[flow.to.typeField])];
+        const fromKey = keyOf(row[flow.from.field]);
+        const toKey = keyOf(row[flow.to.field]);
+        if (!fromType || !toType || !fromKey || !toKey) continue;
+        ocel.relate(ensure(toType, toKey).id, ensure(fromType, fromKey).id, flow.qualifier);
+      }
+    }
+
+    // Events, deduplicated per object, activity and time (item rows repeat headers)
+    const seen = new Set();
+    const emit = (objectId, activity, time, resource, sourceTable) => {
+      const key = `${objectId}\u0000${activity}\u0000${time.getTime()}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      const object = ocel.objects.get(objectId);
+      const relationships = [{ objectId, qualifier: object.type }]
+        .concat(object.relationships.map((r) => ({ objectId: r.objectId, qualifier: r.qualifier })));
+      const attributes = { sourceTable };
+      if (resource) attributes.resource = String(resource).trim();
+      ocel.addEvent({ type: activity, time, attributes, relationships });
+    };
+
+    for (const [table, tableConfig] of Object.entries(config.tables)) {
+      const owner = ownerOf[table];
+      if (!owner || !tableConfig.activityMapping) continue;
+      const mappings = [tableConfig.activityMapping, ...(tableConfig.additionalActivities || [])];
+      for (const row of rowsOf(table)) {
+        const key = idOf(row, owner.idField);
+        if (!key || !matchesCondition(owner.condition, row)) continue;
+        for (const mapping of mappings) {
+          if (!matchesCondition(mapping.condition, row)) continue;
+          const time = parseSapTimestamp(row[mapping.timestampField], mapping.timeField ? row[mapping.timeField] : null);
+          if (!time) continue;
+          emit(ensure(owner.objectType, key).id, mapping.activity, time, mapping.resourceField ? row[mapping.resourceField] : null, table);
+        }
+      }
+    }
+
+    for (const flowEvent of oc.flowEvents || []) {
+      const typeMap = (config.tables[flowEvent.table] || {}).documentTypeMap || {};
+      for (const row of rowsOf(flowEvent.table)) {
+        if (!matchesCondition(flowEvent.condition, row)) continue;
+        const key = idOf(row, flowEvent.idField);
+        const activity = typeMap[keyOf(row[flowEvent.activityField])];
+        const time = parseSapTimestamp(row[flowEvent.timestampField], flowEvent.timeField ? row[flowEvent.timeField] : null);
+        if (!key || !activity || !time) continue;
+        emit(ensure(flowEvent.objectType, key).id, activity, time, row[flowEvent.resourceField], flowEvent.table);
+      }
+    }
+
+    const summary = ocel.getSummary();
+    logger.info(`Built ${processId} OCEL from SAP tables: ${summary.objects} objects, ${summary.events} events, ${summary.o2o} O2O relationships`);
+    return ocel;
+  }
+
+  // ── Internals ───────────────────────────────────────────────────────────
+
+  /** @private */
+  _object(id) {
+    const object = this.objects.get(id);
+    if (!object) throw new Error(`Unknown object '${id}'`);
+    return object;
+  }
+
+  /** @private Register a type and, optionally, one of its attributes */
+  _declare(types, type, attribute, value) {
+    if (!types.has(type)) types.set(type, new Map());
+    if (attribute !== undefined && !types.get(type).has(attribute)) {
+      types.get(type).set(attribute, attributeType(value));
+    }
+  }
+
+  /** @private */
+  _loadTypes(objectTypes, eventTypes) {
+    for (const [target, source] of [[this.objectTypes, objectTypes], [this.eventTypes, eventTypes]]) {
+      for (const [type, attrs] of Object.entries(source)) {
+        target.set(type, new Map(Object.entries(attrs)));
+      }
+    }
+  }
+
+  /** @private */
+  _typesToJSON(types) {
+    return [...types].map(([name, attrs]) => ({
+      name,
+      attributes: [...attrs].map(([attr, type]) => ({ name: attr, type })),
+    }));
+  }
+
+  /** @private type -> { attribute: type } */
+  static _typesFromJSON(list) {
+    const types = {};
+    for (const t of list || []) {
+      types[t.name] = {};
+      for (const a of t.attributes || []) types[t.name][a.name] = a.type;
+    }
+    return types;
+  }
+}
+
+module.exports = {
+  ObjectCentricEventLog,
+  OcelObject,
+  OcelEvent,
+  parseSapTimestamp,
+  matchesCondition,
+};
@@ -0,0 +1,534 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Labelled Petri Nets / Workflow Nets
+ *
+ * Process models with true concurrency for alignment-based conformance
+ * checking. A workflow net has one source place (initial marking: one token)
+ * and one sink place (final marking: one token). Transitions carry an
+ * activity label, or none for silent (tau) routing steps; several
+ * transitions may share a label.
+ *
+ * Converters:
+ *   - fromReferenceModel(): edges are read as a directly-follows graph, so a
+ *     reference model becomes a state machine (edge types add no concurrency)
+ *   - fromProcessModel(): heuristics net from HeuristicMiner; AND splits and
+ *     joins become concurrent branches, XOR ones choices, OR ones a choice
+ *     between each single branch and all branches; length-1 loops can repeat
+ *   - fromBpmn(): a process from BpmnParser.parse(); exclusive and
+ *     event-based gateways are choices, parallel gateways concurrency,
+ *     inclusive gateways a choice over every non-empty branch subset
+ *
+ * Markings are plain objects: { placeId: tokenCount }.
+ */
+
+'use strict';
+
+const Logger = require('../../lib/logger');
+const { ReferenceModel } = require('./reference-models');
+const { ProcessModel } = require('./heuristic-miner');
+
+const logger = new Logger('process-mining:petri-net');
+
+/** Branch limit for inclusive gateways (2^n - 1 transitions) */
+const MAX_INCLUSIVE_BRANCHES = 6;
+
+/**
+ * Canonical string for a marking.
+ *
+ * @param {object} marking
+ * @returns {string}
+ */
+function markingKey(marking) {
+  return Object.keys(marking)
+    .filter((p) => marking[p] > 0)
+    .sort()
+    .map((p) => (marking[p] === 1 ? p : `${p}*${marking[p]}`))
+    .join(',');
+}
+
+/**
+ * Non-empty subsets of a list, smallest first.
+ *
+ * @param {Array} items
+ * @returns {Array[]}
+ */
+function subsets(items) {
+  const result = [];
+  for (let mask = 1; mask < (1 << items.length); mask++) {
+    result.push(items.filter((_, i) => mask & (1 << i)));
+  }
+  return result.sort((a, b) => a.length - b.length);
+}
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+class PetriNet {
+  /**
+   * @param {string} [name]
+   */
+  constructor(name) {
+    /** @type {string} */
+    this.name = name || 'PetriNet';
+    /** @type {Map<string, {id: string, name: string}>} */
+    this.places = new Map();
+    /** @type {Map<string, {id: string, label: string|null, name: string, pre: string[], post: string[]}>} */
+    this.transitions = new Map();
+    /** @type {object} */
+    this.initialMarking = {};
+    /** @type {object} */
+    this.finalMarking = {};
+  }
+
+  // ── Construction ────────────────────────────────────────────────────────
+
+  /**
+   * @param {string} id
+   * @param {string} [name]
+   * @returns {PetriNet} this
+   */
+  addPlace(id, name) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('addPlace requires a non-empty id string');
+    }
+    if (!this.places.has(id)) this.places.set(id, { id, name: name || id });
+    return this;
+  }
+
+  /**
+   * Add a transition with its input (pre) and output (post) places.
+   *
+   * @param {string} id
+   * @param {string|null} label - Activity; null for a silent transition
+   * @param {object} arcs
+   * @param {string[]} arcs.pre
+   * @param {string[]} arcs.post
+   * @param {string} [arcs.name]
+   * @returns {PetriNet} this
+   */
+  addTransition(id, label, { pre = [], post = [], name } = {}) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('addTransition requires a non-empty id string');
+    }
+    if (this.transitions.has(id)) {
+      throw new Error(`Transition '${id}' already exists`);
+    }
+    for (const p of [...pre, ...post]) {
+      if (!this.places.has(p)) throw new Error(`Transition '${id}' refers to unknown place '${p}'`);
+    }
+    this.transitions.set(id, { id, label: label || null, name: name || label || id, pre: [...pre], post: [...post] });
+    return this;
+  }
+
+  // ── Semantics ───────────────────────────────────────────────────────────
+
+  /**
+   * @param {string} transitionId
+   * @param {object} marking
+   * @returns {boolean}
+   */
+  isEnabled(transitionId, marking) {
+    const t = this.transitions.get(transitionId);
+    if (!t) throw new Error(`Unknown transition '${transitionId}'`);
+    return this._enabled(t, marking);
+  }
+
+  /**
+   * Transitions enabled in a marking.
+   *
+   * @param {object} marking
+   * @returns {object[]}
+   */
+  enabledTransitions(marking) {
+    return [...this.transitions.values()].filter((t) => this._enabled(t, marking));
+  }
+
+  /**
+   * Fire a transition.
+   *
+   * @param {string} transitionId
+   * @param {object} marking
+   * @returns {object} The new marking
+   */
+  fire(transitionId, marking) {
+    const t = this.transitions.get(transitionId);
+    if (!t) throw new Error(`Unknown transition '${transitionId}'`);
+    if (!this._enabled(t, marking)) {
+      throw new Error(`Transition '${transitionId}' is not enabled in [${markingKey(marking)}]`);
+    }
+    return this._fire(t, marking);
+  }
+
+  /**
+   * @returns {Set<string>} Activity labels of visible transitions
+   */
+  getLabels() {
+    const labels = new Set();
+    for (const t of this.transitions.values()) if (t.label) labels.add(t.label);
+    return labels;
+  }
+
+  /**
+   * Check the workflow net structure: one source place, one sink place,
+   * every node on a path from source to sink, markings on source and sink.
+   *
+   * @returns {{ valid: boolean, issues: string[] }}
+   */
+  validate() {
+    const issues = [];
+    const incoming = new Map([...this.places.keys()].map((p) => [p, 0]));
+    const outgoing = new Map([...this.places.keys()].map((p) => [p, 0]));
+    for (const t of this.transitions.values()) {
+      for (const p of t.pre) outgoing.set(p, outgoing.get(p) + 1);
+      for (const p of t.post) incoming.set(p, incoming.get(p) + 1);
+      if (t.pre.length === 0) issues.push(`Transition '${t.id}' has no input place`);
+      if (t.post.length === 0) issues.push(`Transition '${t.id}' has no output place`);
+    }
+    const sources = [...incoming].filter(([, n]) => n === 0).map(([p]) => p);
+    const sinks = [...outgoing].filter(([, n]) => n === 0).map(([p]) => p);
+    if (sources.length !== 1) issues.push(`Expected one source place, found ${sources.length}`);
+    if (sinks.length !== 1) issues.push(`Expected one sink place, found ${sinks.length}`);
+
+    if (sources.length === 1 && sinks.length === 1) {
+      if (markingKey(this.initialMarking) !== sources[0]) issues.push(`Initial marking must be one token on '${sources[0]}'`);
+      if (markingKey(this.finalMarking) !== sinks[0]) issues.push(`Final marking must be one token on '${sinks[0]}'`);
+      const forward = this._reachableNodes(sources[0], false);
+      const backward = this._reachableNodes(sinks[0], true);
+      for (const [kind, ids] of [['p', this.places.keys()], ['t', this.transitions.keys()]]) {
+        for (const id of ids) {
+          const node = `${kind}:${id}`;
+          if (!forward.has(node) || !backward.has(node)) issues.push(`'${id}' is not on a path from source to sink`);
+        }
+      }
+    }
+    return { valid: issues.length === 0, issues };
+  }
+
+  // ── Serialization ───────────────────────────────────────────────────────
+
+  /**
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      places: [...this.places.values()].map((p) => ({ ...p })),
+      transitions: [...this.transitions.values()].map((t) => ({ id: t.id, label: t.label, name: t.name, pre: [...t.pre], post: [...t.post] })),
+      initialMarking: { ...this.initialMarking },
+      finalMarking: { ...this.finalMarking },
+    };
+  }
+
+  /**
+   * @param {object} json - Output of toJSON()
+   * @returns {PetriNet}
+   */
+  static fromJSON(json) {
+    if (!json || !Array.isArray(json.places) || !Array.isArray(json.transitions)) {
+      throw new Error('Invalid Petri net JSON: expected places and transitions arrays');
+    }
+    const net = new PetriNet(json.name);
+    for (const p of json.places) net.addPlace(p.id, p.name);
+    for (const t of json.transitions) net.addTransition(t.id, t.label, { pre: t.pre, post: t.post, name: t.name });
+    net.initialMarking = { ...(json.initialMarking || {}) };
+    net.finalMarking = { ...(json.finalMarking || {}) };
+    return net;
+  }
+
+  /**
+   * Export as PNML (ISO/IEC 15909-2) for use in other process mining tools.
+   * Silent transitions carry the toolspecific 'invisible' activity flag.
+   *
+   * @returns {string}
+   */
+  toPNML() {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<pnml>',
+      '  <net id="net1" type="http://www.pnml.org/version-2009/grammar/pnmlcoremodel">',
+      `    <name><text>${escapeXml(this.name)}</text></name>`,
+      '    <page id="n0">',
+    ];
+    for (const p of this.places.values()) {
+      lines.push(`      <place id="${escapeXml(p.id)}">`);
+      lines.push(`        <name><text>${escapeXml(p.name)}</text></name>`);
+      if (this.initialMarking[p.id]) {
+        lines.push(`        <initialMarking><text>${this.initialMarking[p.id]}</text></initialMarking>`);
+      }
+      lines.push('      </place>');
+    }
+    for (const t of this.transitions.values()) {
+      lines.push(`      <transition id="${escapeXml(t.id)}">`);
+      lines.push(`        <name><text>${escapeXml(t.label || t.name)}</text></name>`);
+      if (!t.label) {
+        lines.push('        <toolspecific tool="ProM" version="6.4" activity="$invisible$" localNodeID="' + escapeXml(t.id) + '"/>');
+      }
+      lines.push('      </transition>');
+    }
+    let arc = 0;
+    for (const t of this.transitions.values()) {
+      for (const p of t.pre) lines.push(`      <arc id="a${++arc}" source="${escapeXml(p)}" target="${escapeXml(t.id)}"/>`);
+      for (const p of t.post) lines.push(`      <arc id="a${++arc}" source="${escapeXml(t.id)}" target="${escapeXml(p)}"/>`);
+    }
+    lines.push('    </page>');
+    lines.push('    <finalmarkings>');
+    lines.push('      <marking>');
+    for (const [p, n] of Object.entries(this.finalMarking)) {
+      lines.push(`        <place idref="${escapeXml(p)}"><text>${n}</text></place>`);
+    }
+    lines.push('      </marking>');
+    lines.push('    </finalmarkings>');
+    lines.push('  </net>');
+    lines.push('</pnml>');
+    return lines.join('\n');
+  }
+
+  // ── Converters ──────────────────────────────────────────────────────────
+
+  /**
+   * Workflow net of a ReferenceModel, read as a directly-follows graph: one
+   * place per activity ("just did A"), one transition labelled B per edge
+   * A→B, and start/end transitions from the source and to the sink.
+   *
+   * @param {import('./reference-models').ReferenceModel} model
+   * @returns {PetriNet}
+   */
+  static fromReferenceModel(model) {
+    if (!model || !Array.isArray(model.edges) || !Array.isArray(model.startActivities)) {
+      throw new Error('fromReferenceModel requires a ReferenceModel');
+    }
+    const net = PetriNet._workflowNet(model.name || model.id);
+    const after = (a) => {
+      const id = `after:${a}`;
+      net.addPlace(id, `after ${a}`);
+      return id;
+    };
+
+    for (const a of model.startActivities) {
+      net.addTransition(`start:${a}`, a, { pre: ['source'], post: [after(a)] });
+    }
+    for (const edge of model.edges) {
+      const id = `${edge.from}->${edge.to}`;
+      if (net.transitions.has(id)) continue;
+      net.addTransition(id, edge.to, { pre: [after(edge.from)], post: [after(edge.to)] });
+    }
+    for (const a of model.endActivities || []) {
+      net.addTransition(`end:${a}`, null, { pre: [after(a)], post: ['sink'] });
+    }
+
+    logger.debug(`Converted reference model '${net.name}': ${net.places.size} places, ${net.transitions.size} transitions`);
+    return net;
+  }
+
+  /**
+   * Workflow net of a heuristics net: one place per dependency edge, and per
+   * activity one transition for each combination of input and output
+   * bindings allowed by its join and split types.
+   *
+   * @param {import('./heuristic-miner').ProcessModel} model
+   * @returns {PetriNet}
+   */
+  static fromProcessModel(model) {
+    if (!model || !Array.isArray(model.activities) || !Array.isArray(model.edges)) {
+      throw new Error('fromProcessModel requires a HeuristicMiner ProcessModel');
+    }
+    const net = PetriNet._workflowNet(model.name || 'Discovered model');
+    const activityOf = (x) => (typeof x === 'string' ? x : x.activity);
+    const starts = new Set((model.startActivities || []).map(activityOf));
+    const ends = new Set((model.endActivities || []).map(activityOf));
+    const gatewayType = (activity, kind) => {
+      const g = (model.gateways || []).find((x) => x.activity === activity && x.gatewayType === kind);
+      return g ? g.type : 'xor';
+    };
+    const bindings = (places, type) => {
+      if (places.length <= 1 || type === 'xor') return places.map((p) => [p]);
+      if (type === 'and') return [places];
+      return [...places.map((p) => [p]), places];
+    };
+
+    for (const edge of model.edges) {
+      net.addPlace(`${edge.source}->${edge.target}`);
+    }
+    const selfLoops = new Set((model.loopsL1 || []).map((l) => l.activity));
+
+    for (const a of model.activities) {
+      const ins = model.edges.filter((e) => e.target === a).map((e) => `${e.source}->${e.target}`);
+      const outs = model.edges.filter((e) => e.source === a).map((e) => `${e.source}->${e.target}`);
+      const inputs = bindings(ins, gatewayType(a, 'join'));
+      const outputs = bindings(outs, gatewayType(a, 'split'));
+      if (starts.has(a) || inputs.length === 0) inputs.push(['source']);
+      if (ends.has(a) || outputs.length === 0) outputs.push(['sink']);
+
+      let n = 0;
+      for (const pre of inputs) {
+        for (const post of outputs) {
+          net.addTransition(`${a}#${++n}`, a, { pre, post });
+        }
+      }
+      // A repeat consumes and returns the tokens of one completion of a
+      if (selfLoops.has(a)) {
+        for (const post of outputs) {
+          net.addTransition(`${a}#${++n}`, a, { pre: post, post, name: `${a} (repeat)` });
+        }
+      }
+    }
+
+    logger.debug(`Converted heuristics net: ${net.places.size} places, ${net.transitions.size} transitions`);
+    return net;
+  }
+
+  /**
+   * Workflow net of a BPMN process: one place per sequence flow; tasks are
+   * labelled transitions (one per incoming flow, producing on all outgoing
+   * flows); events and gateways are silent routing transitions.
+   *
+   * @param {object} parsed - BpmnParser.parse() output
+   * @param {object} [options]
+   * @param {number} [options.processIndex=0]
+   * @returns {PetriNet}
+   */
+  static fromBpmn(parsed, options = {}) {
+    const process = parsed && parsed.processes ? parsed.processes[options.processIndex || 0] : null;
+    if (!process) throw new Error('fromBpmn requires a parsed BPMN document with a process');
+    const net = PetriNet._workflowNet(process.name || process.id || 'BPMN process');
+
+    for (const flow of process.sequenceFlows) {
+      net.addPlace(`flow:${flow.id}`, flow.name || `${flow.sourceRef}->${flow.targetRef}`);
+    }
+    const flowsInto = (id) => process.sequenceFlows.filter((f) => f.targetRef === id).map((f) => `flow:${f.id}`);
+    const flowsOutOf = (id) => process.sequenceFlows.filter((f) => f.sourceRef === id).map((f) => `flow:${f.id}`);
+
+    const nodes = [
+      ...process.tasks.map((t) => ({ ...t, kind: 'task' })),
+      ...process.events.map((e) => ({ ...e, kind: 'event' })),
+      ...process.gateways.map((g) => ({ ...g, kind: 'gateway' })),
+    ];
+
+    for (const node of nodes) {
+      let ins = flowsInto(node.id);
+      let outs = flowsOutOf(node.id);
+      if (node.type === 'startEvent' || ins.length === 0) ins = ['source'];
+      if (node.type === 'endEvent' || outs.length === 0) outs = ['sink'];
+
+      let inputs;
+      let outputs;
+      if (node.kind === 'gateway' && node.type === 'parallelGateway') {
+        inputs = [ins];
+        outputs = [outs];
+      } else if (node.kind === 'gateway' && node.type === 'inclusiveGateway') {
+        if (ins.length > MAX_INCLUSIVE_BRANCHES || outs.length > MAX_INCLUSIVE_BRANCHES) {
+          throw new Error(`Inclusive gateway '${node.id}' has more than ${MAX_INCLUSIVE_BRANCHES} branches`);
+        }
+        inputs = subsets(ins);
+        outputs = subsets(outs);
+      } else if (node.kind === 'gateway') {
+        // exclusive and event-based
+        inputs = ins.map((p) => [p]);
+        outputs = outs.map((p) => [p]);
+      } else {
+        // Tasks and events merge their incoming flows and fork on the outgoing ones
+        inputs = ins.map((p) => [p]);
+        outputs = [outs];
+      }
+
+      const label = node.kind === 'task' ? (node.name || node.id) : null;
+      let n = 0;
+      for (const pre of inputs) {
+        for (const post of outputs) {
+          const id = inputs.length * outputs.length === 1 ? node.id : `${node.id}#${++n}`;
+          net.addTransition(id, label, { pre, post, name: node.name || node.id });
+        }
+      }
+    }
+
+    logger.debug(`Converted BPMN process '${net.name}': ${net.places.size} places, ${net.transitions.size} transitions`);
+    return net;
+  }
+
+  /**
+   * Petri net for a model of any supported kind.
+   *
+   * @param {PetriNet|object} model - PetriNet, ReferenceModel, ProcessModel, ProcessTree or BpmnParser output
+   * @returns {PetriNet}
+   */
+  static from(model) {
+    if (model instanceof PetriNet) return model;
+    if (model && typeof model.toPetriNet === 'function') return model.toPetriNet();
+    if (model instanceof ReferenceModel) return PetriNet.fromReferenceModel(model);
+    if (model instanceof ProcessModel) return PetriNet.fromProcessModel(model);
+    if (model && Array.isArray(model.processes)) return PetriNet.fromBpmn(model);
+    throw new Error('Unsupported model: expected a PetriNet, ReferenceModel, ProcessModel, ProcessTree or parsed BPMN');
+  }
+
+  // ── Internals ───────────────────────────────────────────────────────────
+
+  /** @private Net with source and sink places and their markings */
+  static _workflowNet(name) {
+    const net = new PetriNet(name);
+    net.addPlace('source', 'source');
+    net.addPlace('sink', 'sink');
+    net.initialMarking = { source: 1 };
+    net.finalMarking = { sink: 1 };
+    return net;
+  }
+
+  /** @private */
+  _enabled(t, marking) {
+    if (t.pre.length === 1) return (marking[t.pre[0]] || 0) >= 1;
+    const need = {};
+    for (const p of t.pre) need[p] = (need[p] || 0) + 1;
+    return Object.keys(need).every((p) => (marking[p] || 0) >= need[p]);
+  }
+
+  /** @private Fire without checking enablement */
+  _fire(t, marking) {
+    const next = { ...marking };
+    for (const p of t.pre) {
+      next[p]--;
+      if (next[p] === 0) delete next[p];
+    }
+    for (const p of t.post) next[p] = (next[p] || 0) + 1;
+    return next;
+  }
+
+  /** @private Nodes ('p:id', 't:id') reachable from a place, following arcs forward or backward */
+  _reachableNodes(start, backward) {
+    const seen = new Set([`p:${start}`]);
+    const queue = [start];
+    while (queue.length > 0) {
+      const place = queue.shift();
+      for (const t of this.transitions.values()) {
+        if (!(backward ? t.post : t.pre).includes(place) || seen.has(`t:${t.id}`)) continue;
+        seen.add(`t:${t.id}`);
+        for (const p of backward ? t.pre : t.post) {
+          if (!seen.has(`p:${p}`)) {
+            seen.add(`p:${p}`);
+            queue.push(p);
+          }
+        }
+      }
+    }
+    return seen;
+  }
+}
+
+module.exports = { PetriNet, markingKey };
@@ -0,0 +1,587 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Predictive Process Monitoring — Remaining Time, Next Activity, SLA Risk
+ *
+ * Learns from the completed cases of a historical EventLog and predicts, for
+ * running cases (e.g. open sales orders):
+ *
+ *   - remaining time until the case completes
+ *   - the next activity (or that the case ends)
+ *   - the probability that the case breaches a case-duration SLA
+ *
+ * Two lightweight local models are trained on every prefix of every case:
+ *
+ *   - Transition system annotation: each prefix is abstracted to a state (the
+ *     last `horizon` activities as a sequence, multiset or set) annotated with
+ *     the remaining times and next activities observed there. States with too
+ *     little support back off to shorter horizons.
+ *   - k-nearest-neighbour regression over prefix features (elapsed time,
+ *     length, time since the previous event, last activity, activity mix).
+ *
+ * Both yield a sample of remaining times for a prefix: its median is the
+ * prediction and the share exceeding the SLA budget left is the breach
+ * probability. Accuracy is measured on a temporal hold-out (the most
+ * recently started cases) before the final model is fitted on all cases; with
+ * remainingTimeModel 'auto' the model with the lower held-out error is used.
+ *
+ * No external dependencies. No gradient-based training.
+ */
+
+'use strict';
+
+const Logger = require('../../lib/logger');
+const { Trace } = require('./event-log');
+
+/** Next-activity label for "the case completes" */
+const END = '__END__';
+
+const ABSTRACTIONS = ['sequence', 'multiset', 'set'];
+const REMAINING_TIME_MODELS = ['auto', 'transition-system', 'knn'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Median of an ascending array */
+function median(sorted) {
+  const n = sorted.length;
+  if (n === 0) return 0;
+  return n % 2 === 0 ? (sorted[n / 2 - 1] + sorted[n / 2]) / 2 : sorted[(n - 1) / 2];
+}
+
+/** Share of an ascending array strictly greater than a value */
+function shareAbove(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= value) lo = mid + 1;
+    else hi = mid;
+  }
+  return sorted.length > 0 ? (sorted.length - lo) / sorted.length : 0;
+}
+
+function round(value, digits = 4) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Every prefix of a completed case with its targets.
+ *
+ * @param {Trace} trace
+ * @param {number|null} slaMs
+ * @returns {object[]} { activities, elapsedMs, sinceLastMs, remainingMs, next, breach }
+ */
+function casePrefixes(trace, slaMs) {
+  const events = trace.events;
+  const start = events[0].timestamp.getTime();
+  const end = events[events.length - 1].timestamp.getTime();
+  const activities = events.map((e) => e.activity);
+  const prefixes = [];
+  for (let j = 1; j <= events.length; j++) {
+    const at = events[j - 1].timestamp.getTime();
+    prefixes.push({
+      activities: activities.slice(0, j),
+      elapsedMs: at - start,
+      sinceLastMs: j > 1 ? at - events[j - 2].timestamp.getTime() : 0,
+      remainingMs: end - at,
+      next: j < events.length ? activities[j] : END,
+      breach: slaMs !== null ? end - start > slaMs : null,
+    });
+  }
+  return prefixes;
+}
+
+/**
+ * Prefix of a running case, in the shape casePrefixes() produces.
+ *
+ * @param {Trace} trace
+ * @returns {object}
+ */
+function runningPrefix(trace) {
+  const events = trace.events;
+  const n = events.length;
+  return {
+    activities: events.map((e) => e.activity),
+    elapsedMs: events[n - 1].timestamp.getTime() - events[0].timestamp.getTime(),
+    sinceLastMs: n > 1 ? events[n - 1].timestamp.getTime() - events[n - 2].timestamp.getTime() : 0,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Transition system annotation
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TransitionSystemModel {
+  /**
+   * @param {object} options
+   * @param {string} options.abstraction - sequence | multiset | set
+   * @param {number} options.horizon     - Activities of the prefix that form the state
+   * @param {number} options.minSupport  - Samples a state needs before it is used
+   */
+  constructor({ abstraction, horizon, minSupport }) {
+    this.abstraction = abstraction;
+    this.horizon = horizon;
+    this.minSupport = minSupport;
+    /** @type {Map<string, { remaining: number[], next: Map<string, number> }>[]} one map per horizon 0..horizon */
+    this.levels = [];
+  }
+
+  /** State key of a prefix at a horizon */
+  stateKey(activities, h) {
+    const window = h === 0 ? [] : activities.slice(-h);
+    if (this.abstraction === 'set') return JSON.stringify([...new Set(window)].sort());
+    if (this.abstraction === 'multiset') return JSON.stringify([...window].sort());
+    return JSON.stringify(window);
+  }
+
+  fit(prefixes) {
+    this.levels = [];
+    for (let h = 0; h <= this.horizon; h++) {
+      const states = new Map();
+      for (const p of prefixes) {
+        const key = this.stateKey(p.activities, h);
+        let state = states.get(key);
+        if (!state) {
+          state = { remaining: [], next: new Map() };
+          states.set(key, state);
+        }
+        state.remaining.push(p.remainingMs);
+        state.next.set(p.next, (state.next.get(p.next) || 0) + 1);
+      }
+      for (const state of states.values()) state.remaining.sort((a, b) => a - b);
+      this.levels.push(states);
+    }
+    return this;
+  }
+
+  /**
+   * Annotation of the longest-horizon state with enough support.
+   *
+   * @returns {{ remaining: number[], next: Map<string, number>, horizon: number, support: number }}
+   */
+  lookup(activities) {
+    for (let h = Math.min(this.horizon, activities.length); h >= 0; h--) {
+      const state = this.levels[h].get(this.stateKey(activities, h));
+      if (state && (state.remaining.length >= this.minSupport || h === 0)) {
+        return { ...state, horizon: h, support: state.remaining.length };
+      }
+    }
+    return { remaining: [], next: new Map(), horizon: 0, support: 0 };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// k-nearest-neighbour regression
+// ─────────────────────────────────────────────────────────────────────────────
+
+class KnnModel {
+  /**
+   * @param {object} options
+   * @param {number} options.k          - Neighbours per prediction
+   * @param {number} options.maxSamples - Training prefixes kept (evenly spaced)
+   */
+  constructor({ k, maxSamples }) {
+    this.k = k;
+    this.maxSamples = maxSamples;
+    this.activityIndex = new Map();
+    this.scale = [1, 1, 1];
+    this.points = [];
+    this.targets = [];
+  }
+
+  fit(prefixes) {
+    this.activityIndex = new Map();
+    for (const p of prefixes) {
+      for (const a of p.activities) {
+        if (!this.activityIndex.has(a)) this.activityIndex.set(a, this.activityIndex.size);
+      }
+    }
+
+    const stride = Math.max(1, prefixes.length / this.maxSamples);
+    const sample = [];
+    for (let i = 0; i < prefixes.length; i += stride) sample.push(prefixes[Math.floor(i)]);
+
+    // Standardize the numeric features by their spread in the sample
+    this.scale = [0, 1, 2].map((f) => {
+      const values = sample.map((p) => this._numeric(p)[f]);
+      const mean = values.reduce((s, v) => s + v, 0) / (values.length || 1);
+      const sd = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length || 1));
+      return sd > 0 ? sd : 1;
+    });
+    this.points = sample.map((p) => this.features(p));
+    this.targets = sample.map((p) => p.remainingMs);
+    return this;
+  }
+
+  /** @private */
+  _numeric(prefix) {
+    return [prefix.elapsedMs, prefix.activities.length, prefix.sinceLastMs];
+  }
+
+  /** Feature vector: scaled numerics, last activity one-hot, activity frequencies */
+  features(prefix) {
+    const a = this.activityIndex.size;
+    const vector = new Float64Array(3 + 2 * a);
+    const numeric = this._numeric(prefix);
+    for (let f = 0; f < 3; f++) vector[f] = numeric[f] / this.scale[f];
+
+    const n = prefix.activities.length;
+    const last = this.activityIndex.get(prefix.activities[n - 1]);
+    if (last !== undefined) vector[3 + last] = 1;
+    for (const activity of prefix.activities) {
+      const i = this.activityIndex.get(activity);
+      if (i !== undefined) vector[3 + a + i] += 1 / n;
+    }
+    return vector;
+  }
+
+  /**
+   * Remaining times of the k nearest training prefixes, ascending.
+   *
+   * @returns {number[]}
+   */
+  neighbours(prefix) {
+    const query = this.features(prefix);
+    const best = []; // [distance, target], ascending, at most k
+    for (let i = 0; i < this.points.length; i++) {
+      const point = this.points[i];
+      let d = 0;
+      for (let f = 0; f < query.length; f++) {
+        const diff = query[f] - point[f];
+        d += diff * diff;
+      }
+      if (best.length === this.k && d >= best[best.length - 1][0]) continue;
+      let at = best.length;
+      while (at > 0 && best[at - 1][0] > d) at--;
+      best.splice(at, 0, [d, this.targets[i]]);
+      if (best.length > this.k) best.pop();
+    }
+    return best.map((b) => b[1]).sort((x, y) => x - y);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PredictionResult
+// ─────────────────────────────────────────────────────────────────────────────
+
+class PredictionResult {
+  constructor({ predictions, evaluation, model, riskThreshold }) {
+    this.predictions = predictions;
+    this.evaluation = evaluation;
+    this.model = model;
+    this.riskThreshold = riskThreshold;
+  }
+
+  /** Predictions whose SLA breach probability reaches the risk threshold, most at risk first */
+  getAtRisk() {
+    return this.predictions
+      .filter((p) => p.slaBreachProbability !== null && p.slaBreachProbability >= this.riskThreshold)
+      .sort((a, b) => b.slaBreachProbability - a.slaBreachProbability);
+  }
+
+  getSummary() {
+    const n = this.predictions.length;
+    return {
+      openCases: n,
+      avgRemainingTimeMs: n > 0 ? Math.round(this.predictions.reduce((s, p) => s + p.remainingTimeMs, 0) / n) : 0,
+      atRisk: this.model.slaMs !== null ? this.getAtRisk().length : null,
+      remainingTimeModel: this.model.remainingTimeModel,
+      remainingTimeMaeMs: this.evaluation ? this.evaluation.remainingTime.maeMs : null,
+      nextActivityAccuracy: this.evaluation ? this.evaluation.nextActivity.accuracy : null,
+    };
+  }
+
+  toJSON() {
+    return {
+      summary: this.getSummary(),
+      model: this.model,
+      evaluation: this.evaluation,
+      predictions: this.predictions,
+    };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PredictiveMonitor
+// ─────────────────────────────────────────────────────────────────────────────
+
+class PredictiveMonitor {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.abstraction='sequence']  - State abstraction: sequence | multiset | set
+   * @param {number} [options.horizon=3]               - Last activities that form a state
+   * @param {number} [options.minSupport=3]            - Samples a state needs before shorter horizons are skipped
+   * @param {number} [options.k=10]                    - Neighbours of the kNN regressor
+   * @param {number} [options.maxSamples=5000]         - Training prefixes kept by the kNN regressor
+   * @param {string} [options.remainingTimeModel='auto'] - auto | transition-system | knn
+   * @param {number} [options.testRatio=0.2]           - Share of cases (most recently started) held out for evaluation
+   * @param {number} [options.maxEvaluationPrefixes=2000] - Held-out prefixes scored (evenly spaced)
+   * @param {number|object} [options.sla]              - Case duration SLA in ms, or { target, unit }
+   * @param {number} [options.riskThreshold=0.5]       - Breach probability from which a case counts as at risk
+   * @param {string[]} [options.endActivities]         - Activities that complete a case. Traces ending elsewhere are
+   *                                                     running: excluded from training, the only ones predicted
+   * @param {string} [options.logLevel]
+   */
+  constructor(options = {}) {
+    this.abstraction = options.abstraction || 'sequence';
+    if (!ABSTRACTIONS.includes(this.abstraction)) {
+      throw new Error(`Unknown abstraction '${this.abstraction}' (expected ${ABSTRACTIONS.join(', ')})`);
+    }
+    this.remainingTimeModel = options.remainingTimeModel || 'auto';
+    if (!REMAINING_TIME_MODELS.includes(this.remainingTimeModel)) {
+      throw new Error(`Unknown remainingTimeModel '${this.remainingTimeModel}' (expected ${REMAINING_TIME_MODELS.join(', ')})`);
+    }
+    this.testRatio = options.testRatio ?? 0.2;
+    if (!(this.testRatio >= 0 && this.testRatio < 1)) {
+      throw new Error(`testRatio must be in [0, 1), got ${options.testRatio}`);
+    }
+    this.horizon = options.horizon ?? 3;
+    this.minSupport = options.minSupport ?? 3;
+    this.k = options.k ?? 10;
+    this.maxSamples = options.maxSamples ?? 5000;
+    this.maxEvaluationPrefixes = options.maxEvaluationPrefixes ?? 2000;
+    this.slaMs = this._slaMs(options.sla);
+    this.riskThreshold = options.riskThreshold ?? 0.5;
+    this.endActivities = options.endActivities ? new Set(options.endActivities) : null;
+    this.log = new Logger('predictive-monitor', { level: options.logLevel || 'info' });
+
+    this.transitionSystem = null;
+    this.knn = null;
+    this.evaluation = null;
+    this.selectedModel = null;
+    this.trainedCases = 0;
+  }
+
+  /**
+   * Train on the completed cases of a historical log: evaluate on the held-out
+   * split, then fit the final models on all completed cases.
+   *
+   * @param {import('./event-log').EventLog} eventLog
+   * @returns {PredictiveMonitor} this
+   */
+  train(eventLog) {
+    const cases = [...eventLog.traces.values()]
+      .filter((t) => t.events.length > 0 && this._isCompleted(t))
+      .sort((a, b) => a.events[0].timestamp - b.events[0].timestamp);
+    if (cases.length === 0) {
+      throw new Error('Training requires at least one completed case');
+    }
+    this.log.info(`Training predictive monitor on ${cases.length} completed cases`);
+
+    const testCount = Math.floor(cases.length * this.testRatio);
+    this.evaluation = testCount > 0 && testCount < cases.length
+      ? this._evaluate(cases.slice(0, cases.length - testCount), cases.slice(cases.length - testCount))
+      : null;
+    if (!this.evaluation && this.testRatio > 0) {
+      this.log.warn(`Too few completed cases (${cases.length}) for a held-out evaluation`);
+    }
+
+    this.selectedModel = this.remainingTimeModel !== 'auto'
+      ? this.remainingTimeModel
+      : this.evaluation ? this.evaluation.remainingTime.selected : 'transition-system';
+    this._fit(cases.flatMap((t) => casePrefixes(t, this.slaMs)));
+    this.trainedCases = cases.length;
+    return this;
+  }
+
+  /**
+   * Predict for running cases. With endActivities set, completed traces are skipped.
+   *
+   * @param {import('./event-log').EventLog|Trace} input
+   * @returns {PredictionResult}
+   */
+  predict(input) {
+    if (!this.transitionSystem) {
+      throw new Error('PredictiveMonitor must be trained before predicting');
+    }
+    const traces = input instanceof Trace ? [input] : [...input.traces.values()];
+    const predictions = traces
+      .filter((t) => t.events.length > 0 && !(this.endActivities && this._isCompleted(t)))
+      .map((t) => this._predictCase(t));
+
+    return new PredictionResult({
+      predictions,
+      evaluation: this.evaluation,
+      model: {
+        abstraction: this.abstraction,
+        horizon: this.horizon,
+        remainingTimeModel: this.selectedModel,
+        trainedCases: this.trainedCases,
+        slaMs: this.slaMs,
+      },
+      riskThreshold: this.riskThreshold,
+    });
+  }
+
+  // ── Training ─────────────────────────────────────────────────
+
+  /** @private */
+  _fit(prefixes) {
+    this.transitionSystem = new TransitionSystemModel({
+      abstraction: this.abstraction,
+      horizon: this.horizon,
+      minSupport: this.minSupport,
+    }).fit(prefixes);
+    this.knn = new KnnModel({ k: this.k, maxSamples: this.maxSamples }).fit(prefixes);
+  }
+
+  /**
+   * Fit on the training cases and score every held-out prefix.
+   * @private
+   */
+  _evaluate(trainCases, testCases) {
+    const trainPrefixes = trainCases.flatMap((t) => casePrefixes(t, this.slaMs));
+    this._fit(trainPrefixes);
+
+    let testPrefixes = testCases.flatMap((t) => casePrefixes(t, this.slaMs));
+    if (testPrefixes.length > this.maxEvaluationPrefixes) {
+      const stride = testPrefixes.length / this.maxEvaluationPrefixes;
+      testPrefixes = Array.from({ length: this.maxEvaluationPrefixes }, (_, i) => testPrefixes[Math.floor(i * stride)]);
+    }
+
+    // Baselines: the overall median remaining time and the most frequent next activity
+    const baselineRemaining = median(trainPrefixes.map((p) => p.remainingMs).sort((a, b) => a - b));
+    const nextCounts = new Map();
+    for (const p of trainPrefixes) nextCounts.set(p.next, (nextCounts.get(p.next) || 0) + 1);
+    const baselineNext = [...nextCounts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    const error = { 'transition-system': 0, knn: 0, baseline: 0 };
+    let nextHits = 0;
+    let baselineNextHits = 0;
+    const sla = { 'transition-system': { hits: 0, brier: 0 }, knn: { hits: 0, brier: 0 }, breaches: 0 };
+
+    for (const p of testPrefixes) {
+      const state = this.transitionSystem.lookup(p.activities);
+      const samples = { 'transition-system': state.remaining, knn: this.knn.neighbours(p) };
+      error['transition-system'] += Math.abs(median(samples['transition-system']) - p.remainingMs);
+      error.knn += Math.abs(median(samples.knn) - p.remainingMs);
+      error.baseline += Math.abs(baselineRemaining - p.remainingMs);
+
+      if (this._mostLikelyNext(state.next)[0] === p.next) nextHits++;
+      if (baselineNext === p.next) baselineNextHits++;
+
+      if (this.slaMs !== null) {
+        for (const model of ['transition-system', 'knn']) {
+          const probability = shareAbove(samples[model], this.slaMs - p.elapsedMs);
+          if ((probability >= this.riskThreshold) === p.breach) sla[model].hits++;
+          sla[model].brier += (probability - (p.breach ? 1 : 0)) ** 2;
+        }
+        if (p.breach) sla.breaches++;
+      }
+    }
+
+    const n = testPrefixes.length;
+    const mae = (total) => Math.round(total / n);
+    const selected = this.remainingTimeModel !== 'auto'
+      ? this.remainingTimeModel
+      : error.knn < error['transition-system'] ? 'knn' : 'transition-system';
+
+    const evaluation = {
+      trainCases: trainCases.length,
+      testCases: testCases.length,
+      testPrefixes: n,
+      remainingTime: {
+        selected,
+        maeMs: mae(error[selected]),
+        byModel: { 'transition-system': mae(error['transition-system']), knn: mae(error.knn) },
+        baselineMaeMs: mae(error.baseline),
+      },
+      nextActivity: {
+        accuracy: round(nextHits / n),
+        baselineAccuracy: round(baselineNextHits / n),
+      },
+      slaBreach: this.slaMs !== null
+        ? {
+          accuracy: round(sla[selected].hits / n),
+          brierScore: round(sla[selected].brier / n),
+          breachRate: round(sla.breaches / n),
+        }
+        : null,
+    };
+    this.log.info(
+      `Held-out evaluation on ${n} prefixes: remaining time MAE ${evaluation.remainingTime.maeMs} ms (${selected}), ` +
+      `next activity accuracy ${evaluation.nextActivity.accuracy}`
+    );
+    return evaluation;
+  }
+
+  // ── Prediction ───────────────────────────────────────────────
+
+  /** @private */
+  _predictCase(trace) {
+    const prefix = runningPrefix(trace);
+    const state = this.transitionSystem.lookup(prefix.activities);
+    const samples = this.selectedModel === 'knn' ? this.knn.neighbours(prefix) : state.remaining;
+    const remainingTimeMs = Math.round(median(samples));
+    const lastEvent = trace.events[trace.events.length - 1];
+
+    const total = [...state.next.values()].reduce((s, c) => s + c, 0);
+    const nextActivities = [...state.next.entries()]
+      .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+      .slice(0, 3)
+      .map(([activity, count]) => ({ activity, probability: round(count / total) }));
+    const [nextActivity, nextCount] = this._mostLikelyNext(state.next);
+
+    return {
+      caseId: trace.caseId,
+      events: trace.events.length,
+      lastActivity: lastEvent.activity,
+      elapsedMs: prefix.elapsedMs,
+      remainingTimeMs,
+      predictedCompletion: new Date(lastEvent.timestamp.getTime() + remainingTimeMs).toISOString(),
+      nextActivity,
+      nextActivityProbability: total > 0 ? round(nextCount / total) : 0,
+      nextActivities,
+      slaBreachProbability: this.slaMs !== null ? round(shareAbove(samples, this.slaMs - prefix.elapsedMs)) : null,
+      state: { horizon: state.horizon, support: state.support },
+    };
+  }
+
+  /** @private [activity, count] with the highest count; ties by name */
+  _mostLikelyNext(next) {
+    let best = [null, 0];
+    for (const [activity, count] of next) {
+      if (count > best[1] || (count === best[1] && String(activity) < String(best[0]))) best = [activity, count];
+    }
+    return best;
+  }
+
+  // ── Helpers ──────────────────────────────────────────────────
+
+  /** @private */
+  _isCompleted(trace) {
+    return !this.endActivities || this.endActivities.has(trace.events[trace.events.length - 1].activity);
+  }
+
+  /** @private */
+  _slaMs(sla) {
+    if (sla === undefined || sla === null) return null;
+    const ms = typeof sla === 'number' ? sla : this._normalizeToMs(sla.target, sla.unit);
+    if (!(ms > 0)) throw new Error(`sla must be a positive duration, got ${JSON.stringify(sla)}`);
+    return ms;
+  }
+
+  _normalizeToMs(value, unit) {
+    switch (unit) {
+      case 'ms': return value;
+      case 'seconds': case 's': return value * 1000;
+      case 'minutes': case 'min': return value * 60000;
+      case 'hours': case 'h': return value * 3600000;
+      case 'days': case 'd': return value * 86400000;
+      default: return value; // assume ms
+    }
+  }
+}
+
+module.exports = { PredictiveMonitor, PredictionResult, END };
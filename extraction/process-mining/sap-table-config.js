@@ -25,6 +25,17 @@
  *   DETAIL      - line items (EKPO, BSEG)                     -> enrichment, no events
  *   STATUS      - status tables (VBUK, JEST)                  -> activity from status transitions
  *   MASTER      - master data (KNA1, LFA1)                    -> enrichment only
+ *
+ * objectCentric (O2C, P2P) maps the same tables to an object-centric event
+ * log (ocel.js): objectTypes name the table and key each business object
+ * comes from, eventObjects the object a non-object table's events belong
+ * to, references the row fields relating one object to another (items via
+ * owner/ownerField), flows the document flow rows linking successor and
+ * predecessor documents, and flowEvents flow rows that are events themselves.
+ * Keys are a field or a list of fields: accounting documents are unique per
+ * company code and fiscal year (BUKRS, BELNR, GJAHR), material and invoice
+ * documents per fiscal year (BELNR, GJAHR). keyParts cuts such a key from
+ * one reference field, e.g. AWKEY ([[start, end], ...]).
  */
 
 'use strict';
@@ -404,6 +415,41 @@ const O2C = {
     TVKO: { joinField: 'VKORG', enrichFields: ['VTEXT'] },
   },
 
+  objectCentric: {
+    objectTypes: {
+      SalesOrder: { table: 'VBAK', idField: 'VBELN', attributes: ['AUART', 'VKORG', 'NETWR', 'WAERK'] },
+      Delivery: { table: 'LIKP', idField: 'VBELN', attributes: ['LFART', 'VSTEL', 'ROUTE'] },
+      Invoice: { table: 'VBRK', idField: 'VBELN', attributes: ['FKART', 'NETWR', 'WAERK'] },
+      AccountingDocument: { table: 'BKPF', idField: ['BUKRS', 'BELNR', 'GJAHR'], attributes: ['BUKRS', 'GJAHR', 'BLART'] },
+      Customer: { table: 'KNA1', idField: 'KUNNR', attributes: ['NAME1', 'LAND1'] },
+      Material: { table: 'MARA', idField: 'MATNR', attributes: ['MTART', 'MATKL'] },
+    },
+    eventObjects: {
+      BSAD: { objectType: 'AccountingDocument', idField: ['BUKRS', 'BELNR', 'GJAHR'] },
+      NAST: { objectType: 'Invoice', idField: 'OBJKY' },
+    },
+    references: [
+      { table: 'VBAK', field: 'KUNNR', objectType: 'Customer', qualifier: 'sold-to party' },
+      { table: 'VBAP', field: 'MATNR', objectType: 'Material', qualifier: 'item', owner: 'SalesOrder', ownerField: 'VBELN' },
+      { table: 'LIKP', field: 'KUNNR', objectType: 'Customer', qualifier: 'ship-to party' },
+      { table: 'LIPS', field: 'MATNR', objectType: 'Material', qualifier: 'item', owner: 'Delivery', ownerField: 'VBELN' },
+      { table: 'VBRK', field: 'KUNAG', objectType: 'Customer', qualifier: 'sold-to party' },
+      { table: 'VBRK', field: ['BUKRS', 'BELNR', 'GJAHR'], objectType: 'AccountingDocument', qualifier: 'accounting document' },
+      // AWKEY of a billing document posting: VBELN
+      { table: 'BKPF', field: 'AWKEY', objectType: 'Invoice', qualifier: 'reference document', keyParts: [[0, 10]] },
+      { table: 'BSAD', field: 'KUNNR', objectType: 'Customer', qualifier: 'customer' },
+    ],
+    flows: [
+      {
+        table: 'VBFA',
+        from: { field: 'VBELV', typeField: 'VBTYP_V' },
+        to: { field: 'VBELN', typeField: 'VBTYP_N' },
+        documentTypes: { C: 'SalesOrder', J: 'Delivery', M: 'Invoice' },
+        qualifier: 'predecessor',
+      },
+    ],
+  },
+
   s4hana: {
     tableReplacements: {
       'VBUK': null,
@@ -755,6 +801,48 @@ const P2P = {
     T024: { joinField: 'EKGRP', enrichFields: ['EKNAM'] },
   },
 
+  objectCentric: {
+    objectTypes: {
+      PurchaseRequisition: { table: 'EBAN', idField: 'BANFN', attributes: ['BSART', 'WERKS', 'EKGRP'] },
+      PurchaseOrder: { table: 'EKKO', idField: 'EBELN', attributes: ['BSART', 'BUKRS', 'EKORG'] },
+      GoodsReceipt: { table: 'EKBE', idField: ['BELNR', 'GJAHR'], condition: 'VGABE IN (1,E)', attributes: ['BWART', 'GJAHR'] },
+      SupplierInvoice: { table: 'RBKP', idField: ['BELNR', 'GJAHR'], attributes: ['RMWWR', 'WAERS'] },
+      AccountingDocument: { table: 'BKPF', idField: ['BUKRS', 'BELNR', 'GJAHR'], attributes: ['BUKRS', 'GJAHR', 'BLART'] },
+      Supplier: { table: 'LFA1', idField: 'LIFNR', attributes: ['NAME1', 'LAND1'] },
+      Material: { table: 'MARA', idField: 'MATNR', attributes: ['MTART', 'MATKL'] },
+    },
+    eventObjects: {
+      BSAK: { objectType: 'AccountingDocument', idField: ['BUKRS', 'BELNR', 'GJAHR'] },
+      NAST: { objectType: 'PurchaseOrder', idField: 'OBJKY' },
+    },
+    // PO history rows of goods receipts are events of their own, named by
+    // the EKBE documentTypeMap
+    flowEvents: [
+      {
+        table: 'EKBE',
+        condition: 'VGABE IN (1,E)',
+        activityField: 'VGABE',
+        timestampField: 'CPUDT',
+        timeField: 'CPUTM',
+        resourceField: 'USNAM',
+        objectType: 'GoodsReceipt',
+        idField: ['BELNR', 'GJAHR'],
+      },
+    ],
+    references: [
+      { table: 'EBAN', field: 'BANFN', objectType: 'PurchaseRequisition', qualifier: 'requisition', owner: 'PurchaseOrder', ownerField: 'EBELN' },
+      { table: 'EBAN', field: 'MATNR', objectType: 'Material', qualifier: 'material' },
+      { table: 'EKKO', field: 'LIFNR', objectType: 'Supplier', qualifier: 'supplier' },
+      { table: 'EKPO', field: 'MATNR', objectType: 'Material', qualifier: 'item', owner: 'PurchaseOrder', ownerField: 'EBELN' },
+      { table: 'EKBE', field: 'EBELN', objectType: 'PurchaseOrder', qualifier: 'purchase order', owner: 'GoodsReceipt', ownerField: ['BELNR', 'GJAHR'], condition: 'VGABE IN (1,E)' },
+      { table: 'RBKP', field: 'LIFNR', objectType: 'Supplier', qualifier: 'supplier' },
+      { table: 'RSEG', field: 'EBELN', objectType: 'PurchaseOrder', qualifier: 'purchase order', owner: 'SupplierInvoice', ownerField: ['BELNR', 'GJAHR'] },
+      // AWKEY of an invoice verification posting: BELNR followed by GJAHR
+      { table: 'BKPF', field: 'AWKEY', objectType: 'SupplierInvoice', qualifier: 'reference document', keyParts: [[0, 10], [10, 14]] },
+      { table: 'BSAK', field: 'LIFNR', objectType: 'Supplier', qualifier: 'supplier' },
+    ],
+  },
+
   s4hana: {
     tableReplacements: {},
     cdsViews: {
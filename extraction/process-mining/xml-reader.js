@@ -0,0 +1,279 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Minimal XML Reader
+ *
+ * Just enough XML for the interchange formats process mining reads (OCEL 2.0
+ * XML, XES): elements, attributes, text, CDATA and the predefined and numeric
+ * entities. Comments, processing instructions and DOCTYPE declarations are
+ * skipped; namespaces are kept as part of the name.
+ *
+ *   - XmlTokenizer: push-based, accepts the document in chunks of any size
+ *     and reports open/close/text callbacks, so large files can be read
+ *     without holding them in memory.
+ *   - parseXml(): whole-document parse into a { name, attributes, children,
+ *     text } element tree.
+ *
+ * No external dependencies. Malformed input throws an Error.
+ */
+
+'use strict';
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Replace entity references in text or attribute values.
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+function decodeEntities(str) {
+  if (!str.includes('&')) return str;
+  return str.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[ref] !== undefined ? ENTITIES[ref] : match;
+  });
+}
+
+/**
+ * Parse the attributes of a start tag body (the part after the name).
+ *
+ * @param {string} body
+ * @returns {object} name -> decoded value
+ */
+function parseAttributes(body) {
+  const attributes = {};
+  const re = /([^\s=/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(body)) !== null) {
+    attributes[m[1]] = decodeEntities(m[3] !== undefined ? m[3] : m[4]);
+  }
+  return attributes;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// XmlTokenizer
+// ─────────────────────────────────────────────────────────────────────────────
+
+class XmlTokenizer {
+  /**
+   * @param {object} handlers
+   * @param {function(string, object, boolean)} [handlers.onOpen]  - (name, attributes, selfClosing)
+   * @param {function(string)} [handlers.onClose]                  - (name); also called for self-closing tags
+   * @param {function(string)} [handlers.onText]                   - Decoded text, CDATA included; whitespace-only text is dropped
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    this._buffer = '';
+    this._stack = [];
+    this._ended = false;
+  }
+
+  /**
+   * Feed the next chunk of the document.
+   *
+   * @param {string|Buffer} chunk
+   * @returns {XmlTokenizer} this
+   */
+  write(chunk) {
+    if (this._ended) throw new Error('Cannot write to an ended XML tokenizer');
+    this._buffer += String(chunk);
+    this._drain(false);
+    return this;
+  }
+
+  /**
+   * Signal the end of the document.
+   *
+   * @returns {XmlTokenizer} this
+   */
+  end() {
+    this._drain(true);
+    this._ended = true;
+    if (this._buffer.trim()) {
+      throw new Error(`Malformed XML: unterminated markup '${this._buffer.slice(0, 40)}'`);
+    }
+    if (this._stack.length > 0) {
+      throw new Error(`Malformed XML: unclosed element <${this._stack[this._stack.length - 1]}>`);
+    }
+    return this;
+  }
+
+  /** @private Consume every complete construct in the buffer */
+  _drain(final) {
+    let pos = 0;
+    const buf = this._buffer;
+
+    while (pos < buf.length) {
+      if (buf[pos] !== '<') {
+        const next = buf.indexOf('<', pos);
+        if (next === -1 && !final) break;
+        const end = next === -1 ? buf.length : next;
+        this._text(buf.slice(pos, end));
+        pos = end;
+        continue;
+      }
+
+      let end;
+      if (buf.startsWith('<!--', pos)) {
+        end = buf.indexOf('-->', pos + 4);
+        if (end === -1) break;
+        pos = end + 3;
+      } else if (buf.startsWith('<![CDATA[', pos)) {
+        end = buf.indexOf(']]>', pos + 9);
+        if (end === -1) break;
+        this._emitText(buf.slice(pos + 9, end));
+        pos = end + 3;
+      } else if (buf.startsWith('<?', pos)) {
+        end = buf.indexOf('?>', pos + 2);
+        if (end === -1) break;
+        pos = end + 2;
+      } else if (buf.startsWith('<!', pos)) {
+        end = this._declarationEnd(buf, pos);
+        if (end === -1) break;
+        pos = end + 1;
+      } else {
+        end = this._tagEnd(buf, pos);
+        if (end === -1) break;
+        this._tag(buf.slice(pos + 1, end));
+        pos = end + 1;
+      }
+    }
+
+    this._buffer = buf.slice(pos);
+  }
+
+  /** @private Index of the '>' closing a tag, skipping quoted attribute values */
+  _tagEnd(buf, start) {
+    let quote = null;
+    for (let i = start + 1; i < buf.length; i++) {
+      const ch = buf[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '>') {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /** @private Index of the '>' closing a DOCTYPE, past any internal subset */
+  _declarationEnd(buf, start) {
+    let depth = 0;
+    for (let i = start + 2; i < buf.length; i++) {
+      if (buf[i] === '[') depth++;
+      else if (buf[i] === ']') depth--;
+      else if (buf[i] === '>' && depth <= 0) return i;
+    }
+    return -1;
+  }
+
+  /** @private */
+  _tag(body) {
+    if (body[0] === '/') {
+      const name = body.slice(1).trim();
+      const open = this._stack.pop();
+      if (open !== name) {
+        throw new Error(`Malformed XML: </${name}> does not close <${open || ''}>`);
+      }
+      if (this.handlers.onClose) this.handlers.onClose(name);
+      return;
+    }
+
+    const selfClosing = body.endsWith('/');
+    const inner = selfClosing ? body.slice(0, -1) : body;
+    const match = inner.match(/^([^\s/>]+)/);
+    if (!match) throw new Error(`Malformed XML: invalid tag '<${body}>'`);
+    const name = match[1];
+    const attributes = parseAttributes(inner.slice(name.length));
+
+    if (this.handlers.onOpen) this.handlers.onOpen(name, attributes, selfClosing);
+    if (selfClosing) {
+      if (this.handlers.onClose) this.handlers.onClose(name);
+    } else {
+      this._stack.push(name);
+    }
+  }
+
+  /** @private */
+  _text(raw) {
+    if (!raw.trim()) return;
+    if (this._stack.length === 0) {
+      throw new Error(`Malformed XML: text outside the root element '${raw.trim().slice(0, 40)}'`);
+    }
+    this._emitText(decodeEntities(raw));
+  }
+
+  /** @private */
+  _emitText(text) {
+    if (text && this.handlers.onText) this.handlers.onText(text);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Tree parsing
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a complete XML document into an element tree.
+ *
+ * @param {string} xml
+ * @returns {{ name: string, attributes: object, children: object[], text: string }} Root element
+ */
+function parseXml(xml) {
+  if (typeof xml !== 'string') {
+    throw new Error('parseXml requires an XML string');
+  }
+  const stack = [];
+  let root = null;
+
+  const tokenizer = new XmlTokenizer({
+    onOpen(name, attributes) {
+      const element = { name, attributes, children: [], text: '' };
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(element);
+      } else if (root) {
+        throw new Error(`Malformed XML: second root element <${name}>`);
+      } else {
+        root = element;
+      }
+      stack.push(element);
+    },
+    onClose() {
+      stack.pop();
+    },
+    onText(text) {
+      stack[stack.length - 1].text += text;
+    },
+  });
+  tokenizer.write(xml).end();
+
+  if (!root) throw new Error('Malformed XML: no root element');
+  return root;
+}
+
+/**
+ * Child elements of an element with the given name.
+ *
+ * @param {object} element
+ * @param {string} name
+ * @returns {object[]}
+ */
+function childrenNamed(element, name) {
+  return element ? element.children.filter((c) => c.name === name) : [];
+}
+
+module.exports = { XmlTokenizer, parseXml, childrenNamed, decodeEntities };
@@ -13,12 +13,19 @@
  *
  * Express Router providing test generation, template management,
  * test execution, and reporting endpoints for SAP migration testing.
+ * Test execution runs generated steps through lib/testing execution
+ * adapters; the latest run's report is served by GET /api/testing/report.
+ * Every run is kept in the test history per suite and environment, whose
+ * trends, flaky and newly failing tests GET /api/testing/history serves.
  */
 
 'use strict';
 
 const express = require('express');
 const Logger = require('../lib/logger');
+const { TestExecutor } = require('../lib/testing/test-executor');
+const { RecordedMockAdapter } = require('../lib/testing/execution-adapters');
+const { TestHistory } = require('../lib/testing/test-history');
 
 // ── Mock data ───────────────────────────────────────────────
 
@@ -97,6 +104,9 @@ const MOCK_REPORT = {
   },
 };
 
+/** TestReport outcome status -> API result status */
+const STATUS_LABELS = { pass: 'passed', fail: 'failed', skip: 'skipped', error: 'error' };
+
 /**
  * Create and return an Express Router for testing endpoints.
  * @param {object} state - Shared forensic state from server.js
@@ -105,6 +115,8 @@ const MOCK_REPORT = {
 function createTestingRouter(state) {
   const router = express.Router();
   const log = new Logger('testing-api');
+  let lastReport = null;
+  const history = state.testHistory || new TestHistory({ logLevel: 'warn' });
 
   /**
    * POST /api/testing/generate - Generate test cases
@@ -230,32 +242,51 @@ function createTestingRouter(state) {
   });
 
   /**
-   * POST /api/testing/execute - Run test suite (mock)
+   * POST /api/testing/execute - Run test cases through execution adapters
+   *
+   * Uses state.testExecutor when the server configured one (OData / BAPI
+   * adapters against a target); otherwise replays body.recording offline.
+   * Without either there is nothing to run the steps against: 400.
+   * The run is recorded in the history under body.suite and
+   * body.environment (both 'default' when omitted).
    */
-  router.post('/api/testing/execute', (req, res) => {
+  router.post('/api/testing/execute', async (req, res) => {
     try {
-      const { testCases } = req.body || {};
+      const { testCases, recording, variables, suite, environment, runId } = req.body || {};
       if (state.testing) {
         return res.json(state.testing.execute(testCases));
       }
-      const cases = testCases || [];
-      const results = cases.map((tc, i) => ({
-        testId: tc.id || `tc-${i + 1}`,
-        name: tc.name || `Test ${i + 1}`,
-        status: i === 0 ? 'passed' : i === cases.length - 1 ? 'failed' : 'passed',
-        durationMs: Math.floor(Math.random() * 5000) + 500,
-        executedAt: new Date().toISOString(),
-      }));
-      const passed = results.filter((r) => r.status === 'passed').length;
-      const failed = results.filter((r) => r.status === 'failed').length;
+      TestHistory.checkRunId(runId);
+      let executor = state.testExecutor;
+      if (!executor && recording) {
+        executor = new TestExecutor({ adapters: [new RecordedMockAdapter({ recording })], logLevel: 'warn' });
+      }
+      if (!executor) {
+        return res.status(400).json({
+          error: 'No test target configured: set SAP_BASE_URL or SAP_RFC_* on the server, or pass a recording to replay',
+        });
+      }
+      const report = await executor.execute(testCases || [], { variables });
+      lastReport = report;
+      const run = await history.record(report, { suite, environment, runId });
       res.json({
-        summary: { total: results.length, passed, failed },
-        results,
-        executedAt: new Date().toISOString(),
+        summary: report.getSummary(),
+        results: report.results.map((r) => ({
+          testId: r.testCase.id,
+          name: r.testCase.name,
+          module: r.testCase.module,
+          status: STATUS_LABELS[r.outcome.status] || r.outcome.status,
+          durationMs: r.outcome.duration,
+          message: r.outcome.message,
+          steps: r.outcome.details.steps || [],
+          executedAt: r.recordedAt,
+        })),
+        executedAt: report.timestamp,
+        runId: run.runId,
       });
     } catch (err) {
       log.error('Failed to execute tests', { error: err.message });
-      res.status(500).json({ error: err.message });
+      res.status(err.code === 'ERR_TESTING' ? 400 : 500).json({ error: err.message });
     }
   });
 
@@ -267,6 +298,10 @@ function createTestingRouter(state) {
       if (state.testing) {
         return res.json(state.testing.getReport());
       }
+      if (lastReport) {
+        const report = lastReport.toJSON();
+        return res.json({ ...report, modules: report.byModule });
+      }
       res.json(MOCK_REPORT);
     } catch (err) {
       log.error('Failed to get test report', { error: err.message });
@@ -274,6 +309,29 @@ function createTestingRouter(state) {
     }
   });
 
+  /**
+   * GET /api/testing/history - Pass rate trends, flaky and newly failing tests
+   *
+   * Query: suite, environment (both required: one series per suite and
+   * environment), limit (recent runs, default 20)
+   */
+  router.get('/api/testing/history', async (req, res) => {
+    try {
+      const { suite, environment } = req.query;
+      if (!suite || !environment) {
+        return res.status(400).json({ error: 'suite and environment are required' });
+      }
+      const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+      if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json({ error: 'limit must be a positive integer' });
+      }
+      res.json(await history.analyze({ suite, environment, limit }));
+    } catch (err) {
+      log.error('Failed to get test history', { error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   return router;
 }
 
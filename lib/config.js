@@ -43,6 +43,7 @@ const DEFAULTS = {
   CHECKPOINT_DIR: path.join(process.cwd(), '.sapconnect-checkpoints'),
   MIGRATION_BATCH_SIZE: 500,
   MIGRATION_CONCURRENCY: 5,
+  PERSISTENCE_MODE: 'memory',
 
   // Cloud ALM
   CLOUD_ALM_MODE: 'mock',
@@ -108,6 +109,9 @@ function loadConfig(overrides = {}) {
     checkpointDir: env.CHECKPOINT_DIR || DEFAULTS.CHECKPOINT_DIR,
     migrationBatchSize: _int(env.MIGRATION_BATCH_SIZE, DEFAULTS.MIGRATION_BATCH_SIZE),
     migrationConcurrency: _int(env.MIGRATION_CONCURRENCY, DEFAULTS.MIGRATION_CONCURRENCY),
+    migrationObjectDirs: _list(env.MIGRATION_OBJECT_DIRS, []),
+    clientDirs: _list(env.CLIENT_DIRS, []),
+    persistenceMode: env.PERSISTENCE_MODE || DEFAULTS.PERSISTENCE_MODE,
 
     // Cloud ALM
     cloudAlmMode: env.CLOUD_ALM_MODE || DEFAULTS.CLOUD_ALM_MODE,
@@ -152,6 +156,10 @@ function validateConfig(config, mode = 'mock') {
     errors.push(`Invalid LOG_LEVEL: ${config.logLevel}`);
   }
 
+  if (config.persistenceMode && !['memory', 'cds'].includes(config.persistenceMode)) {
+    errors.push(`Invalid PERSISTENCE_MODE: ${config.persistenceMode}`);
+  }
+
   if (mode === 'live') {
     if (!config.sapBaseUrl) errors.push('SAP_BASE_URL is required for live mode');
     if (!config.sapUsername) errors.push('SAP_USERNAME is required for live mode');
@@ -168,6 +176,27 @@ function validateConfig(config, mode = 'mock') {
   return { valid: errors.length === 0, errors };
 }
 
+/**
+ * RFC connection parameters (lib/rfc/client.js format) from the config.
+ * @param {object} config - Config from loadConfig()
+ * @returns {object|null} null when neither SAP_RFC_ASHOST nor SAP_RFC_MSHOST is set
+ */
+function rfcConnectionParams(config) {
+  if (!config.sapRfcAshost && !config.sapRfcMshost) return null;
+  return {
+    ashost: config.sapRfcAshost,
+    sysnr: config.sapRfcSysnr,
+    mshost: config.sapRfcMshost,
+    msserv: config.sapRfcMsserv,
+    group: config.sapRfcGroup,
+    r3name: config.sapRfcR3name,
+    saprouter: config.sapRfcSapRouter,
+    client: config.sapClient,
+    user: config.sapUsername,
+    passwd: config.sapPassword,
+  };
+}
+
 // ── Helpers ──────────────────────────────────────────────────
 
 function _int(val, fallback) {
@@ -188,4 +217,4 @@ function _list(val, fallback) {
   return val.split(',').map(s => s.trim()).filter(Boolean);
 }
 
-module.exports = { loadConfig, validateConfig, DEFAULTS };
+module.exports = { loadConfig, validateConfig, rfcConnectionParams, DEFAULTS };
@@ -0,0 +1,91 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * JSON Schema Subset Validator
+ *
+ * Validates configuration files (migration object descriptors, rule packs)
+ * against the draft-07 subset their schemas use: type, required,
+ * properties, additionalProperties, items, enum, pattern, minItems,
+ * minLength, minimum, maximum and $ref to #/definitions.
+ */
+
+/**
+ * Validate a value against a schema.
+ * @param {*} value
+ * @param {object} schema - Root schema; $refs resolve against its definitions
+ * @param {object} [options] - { label: name used for the root value (default 'value') }
+ * @returns {string[]} Errors as '<path>: <problem>'
+ */
+function validateSchema(value, schema, options = {}) {
+  const errors = [];
+  validateNode(value, schema, '', { root: schema, label: options.label || 'value' }, errors);
+  return errors;
+}
+
+/** @private */
+function validateNode(value, schema, at, ctx, errors) {
+  if (schema.$ref) {
+    schema = ctx.root.definitions[schema.$ref.split('/').pop()];
+  }
+  const label = at || ctx.label;
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${label}: expected ${schema.type}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${label}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${label}: does not match ${schema.pattern}`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label}: must be <= ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${label}[${i}]`, ctx, errors));
+    }
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${label}: missing required property '${key}'`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childAt = at ? `${at}.${key}` : key;
+      if (properties[key]) validateNode(child, properties[key], childAt, ctx, errors);
+      else if (schema.additionalProperties === false) errors.push(`${label}: unknown property '${key}'`);
+    }
+  }
+}
+
+/** @private */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+module.exports = { validateSchema };
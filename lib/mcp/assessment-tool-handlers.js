@@ -19,6 +19,7 @@
 'use strict';
 
 const Logger = require('../logger');
+const { EffortModel, DEFAULT_HOURS_PER_SEVERITY } = require('../scoring/effort-model');
 
 class AssessmentToolHandlers {
   /**
@@ -26,11 +27,16 @@ class AssessmentToolHandlers {
    * @param {string} [options.mode='mock'] - 'mock' or 'live'
    * @param {object} [options.sessionContext] - Shared SessionContext instance for caching
    * @param {object} [options.logger] - Logger instance
+   * @param {object} [options.effortModel] - EffortModel for remediation estimates
+   *   (default: the clientName's model, or the uncalibrated one)
+   * @param {string} [options.clientsDir='clients'] - Directory holding client folders
    */
   constructor(options = {}) {
     this.mode = options.mode || 'mock';
     this.sessionContext = options.sessionContext || {};
     this.logger = options.logger || new Logger('mcp-assessment-handlers');
+    this.effortModel = options.effortModel || null;
+    this.clientsDir = options.clientsDir || 'clients';
   }
 
   /**
@@ -459,6 +465,7 @@ class AssessmentToolHandlers {
     const durationMultiplier = timeline === 'aggressive' ? 0.7 : timeline === 'conservative' ? 1.4 : 1.0;
     const baseDuration = strategy === 'big-bang' ? 32 : strategy === 'hybrid' ? 38 : 44;
     const totalDurationWeeks = Math.round(baseDuration * durationMultiplier);
+    const remediation = await this._estimateRemediation(params);
 
     const plan = {
       planId: `MIG-PLAN-${Date.now()}`,
@@ -485,7 +492,9 @@ class AssessmentToolHandlers {
           duration: `${Math.round(14 * durationMultiplier)} weeks`,
           activities: [
             'Configure S/4HANA target system per fit-gap decisions',
-            'Remediate custom ABAP code (142 programs)',
+            remediation
+              ? `Remediate custom ABAP code (${remediation.objects} objects, ${remediation.findings} findings, est. ${remediation.hours} hours)`
+              : 'Remediate custom ABAP code (142 programs)',
             'Build data migration programs and transformation rules',
             'Redesign integration interfaces for S/4HANA APIs',
             'Develop extensions and custom Fiori apps',
@@ -536,6 +545,7 @@ class AssessmentToolHandlers {
         },
       ],
       totalDurationWeeks,
+      remediationEstimate: remediation,
       resourceRequirements: {
         functional: 8,
         technical: 12,
@@ -547,7 +557,9 @@ class AssessmentToolHandlers {
           description: 'Custom code remediation may uncover additional dependencies not detected in static analysis',
           probability: 'high',
           impact: 'medium',
-          mitigation: 'Include 20% buffer in remediation estimates; prioritize critical path programs first',
+          mitigation: remediation
+            ? `Plan remediation to the upper bound of the ${Math.round(remediation.confidence * 100)}% effort interval (${remediation.high} hours); prioritize critical path programs first`
+            : 'Include 20% buffer in remediation estimates; prioritize critical path programs first',
         },
         {
           id: 'RISK-002',
@@ -612,6 +624,90 @@ class AssessmentToolHandlers {
 
     return plan;
   }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Effort Calibration Tools
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Record the actual hours of a completed remediation, refit the client's
+   * effort model and save it.
+   * @param {object} params
+   * @param {string} params.clientName
+   * @param {string} params.ruleId
+   * @param {number} params.hours
+   * @param {string} [params.severity]
+   * @param {string} [params.objectType]
+   * @param {string} [params.object]
+   * @param {string} [params.fingerprint]
+   * @param {string} [params.recordedBy]
+   * @param {string} [params.completedAt]
+   * @returns {object} The recorded actual and the refitted factors for its rule and object type
+   */
+  async _handle_assessment_record_remediation_actual(params) {
+    const name = params.clientName;
+    if (!this.effortModel && (typeof name !== 'string' || !/^[\w-]+$/.test(name))) {
+      throw new Error(`Invalid clientName: ${name}`);
+    }
+    // Fitted against the severity's hours, so a missing one would skew the model
+    const severities = Object.keys(DEFAULT_HOURS_PER_SEVERITY);
+    if (!severities.includes(params.severity)) {
+      throw new Error(`Invalid severity: ${params.severity} (expected ${severities.join(', ')})`);
+    }
+    const model = this.effortModel
+      || EffortModel.load({ clientName: params.clientName, baseDir: this.clientsDir, logLevel: 'error' });
+    const finding = {
+      ruleId: params.ruleId,
+      severity: params.severity,
+      objectType: params.objectType,
+      object: params.object,
+      fingerprint: params.fingerprint,
+    };
+    const actual = model.recordActual(finding, params.hours, {
+      recordedBy: params.recordedBy,
+      completedAt: params.completedAt,
+    });
+    model.fit();
+    if (model.file) model.save();
+
+    return {
+      actual,
+      file: model.file,
+      fittedSamples: model.fittedSamples,
+      sigma: model.toJSON().sigma,
+      ruleFactor: model.ruleFactors[actual.ruleId] || null,
+      typeFactor: actual.objectType ? model.typeFactors[actual.objectType] || null : null,
+      estimate: model.estimateFinding(finding),
+    };
+  }
+
+  /**
+   * Estimate custom code remediation for the plan from the session's last
+   * assessment (the mock assessment in mock mode) with the client's effort model.
+   * @param {object} params - { clientName, confidence }
+   * @returns {object|null} EffortModel estimate plus the object count; null without findings
+   */
+  async _estimateRemediation(params) {
+    let findings = this.sessionContext.lastAssessment ? this.sessionContext.lastAssessment.findings : null;
+    if (!findings && this.mode === 'mock') {
+      const Scanner = require('../../migration/scanner');
+      const Analyzer = require('../../migration/analyzer');
+      const scanResult = await new Scanner({ mode: 'mock' }, { logLevel: 'error' }).scan();
+      findings = new Analyzer({ logLevel: 'error' }).analyze(scanResult).findings;
+    }
+    if (!findings) return null;
+
+    const model = this.effortModel
+      || (params.clientName
+        ? EffortModel.load({ clientName: params.clientName, baseDir: this.clientsDir, logLevel: 'error' })
+        : new EffortModel({}, { logLevel: 'error' }));
+    const estimate = model.estimate(findings, { confidence: params.confidence });
+    return {
+      ...estimate,
+      objects: new Set(findings.map((f) => f.object)).size,
+      byRule: estimate.byRule.slice(0, 10),
+    };
+  }
 }
 
 module.exports = { AssessmentToolHandlers };
@@ -11,8 +11,9 @@
 /**
  * MCP Assessment Tool Definitions
  *
- * 7 MCP tool definitions for migration assessment — covering gap analysis,
- * confidence scoring, process mining, human checklists, and migration planning.
+ * 8 MCP tool definitions for migration assessment — covering gap analysis,
+ * confidence scoring, process mining, human checklists, migration planning,
+ * and calibrating the remediation effort model.
  *
  * Same format as TOOL_DEFINITIONS in server.js for seamless registration.
  */
@@ -83,9 +84,30 @@ const ASSESSMENT_TOOL_DEFINITIONS = [
       properties: {
         strategy: { type: 'string', description: 'Migration strategy: "big-bang", "phased", or "hybrid"', default: 'phased' },
         timeline: { type: 'string', description: 'Timeline aggressiveness: "aggressive", "standard", or "conservative"', default: 'standard' },
+        clientName: { type: 'string', description: 'Client folder whose calibrated effort model (clients/<name>/effort-model.json) estimates custom code remediation' },
+        confidence: { type: 'number', description: 'Confidence level of the remediation effort interval (0-1)', default: 0.8 },
       },
     },
   },
+  {
+    name: 'assessment_record_remediation_actual',
+    description: 'Record the actual hours spent remediating a custom code finding, refit the client\'s effort model and save it to clients/<name>/effort-model.json. Later estimates are calibrated per rule and object type. Does not write to SAP.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        clientName: { type: 'string', description: 'Client folder holding the effort model' },
+        ruleId: { type: 'string', description: 'Rule of the remediated finding (e.g., "SIMPL-FI-001")' },
+        severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low'], description: 'Severity of the finding' },
+        objectType: { type: 'string', description: 'Object type of the remediated object (e.g., "PROG", "CLAS")' },
+        object: { type: 'string', description: 'Remediated object name' },
+        fingerprint: { type: 'string', description: 'Finding fingerprint from the assessment' },
+        hours: { type: 'number', description: 'Actual hours spent, > 0' },
+        recordedBy: { type: 'string', description: 'Who recorded the actual' },
+        completedAt: { type: 'string', description: 'ISO timestamp the remediation was completed (default: now)' },
+      },
+      required: ['clientName', 'ruleId', 'severity', 'hours'],
+    },
+  },
 ];
 
 module.exports = { ASSESSMENT_TOOL_DEFINITIONS };
@@ -11,7 +11,7 @@
 /**
  * MCP Migration Tool Handlers
  *
- * Handler functions for each of the 8 migration MCP tools.
+ * Handler functions for each of the 12 migration MCP tools.
  * Mock mode returns realistic SAP ETLV migration data; live mode will
  * connect to actual migration framework when available.
  */
@@ -19,6 +19,7 @@
 'use strict';
 
 const Logger = require('../logger');
+const { DEFAULT_CONCURRENCY } = require('../../migration/wave-scheduler');
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Migration Object Catalog (mock data)
@@ -44,6 +45,11 @@ class MigrationToolHandlers {
    * @param {string} [options.mode='mock'] - 'mock' or 'live'
    * @param {object} [options.sessionContext] - MCP session context
    * @param {object} [options.logger] - Logger instance
+   * @param {object} [options.persistence] - PersistenceAdapter backing the default quarantine and journal
+   * @param {object} [options.quarantine] - QuarantineManager shared with the dashboard (default: on options.persistence)
+   * @param {object} [options.registry] - MigrationObjectRegistry for runs and re-submission
+   * @param {object} [options.progressBus] - ProgressBus for per-object run progress
+   * @param {object} [options.journal] - LoadJournal for run rollback (default: in-memory)
    */
   constructor(options = {}) {
     this.mode = options.mode || 'mock';
@@ -52,6 +58,12 @@ class MigrationToolHandlers {
 
     /** @type {object|null} Lazily created SafetyGatesBridge */
     this._safetyBridge = null;
+    /** @type {object|null} Lazily created QuarantineManager / registry */
+    this._persistence = options.persistence || null;
+    this._quarantine = options.quarantine || null;
+    this._registry = options.registry || null;
+    this._progressBus = options.progressBus || null;
+    this._journal = options.journal || null;
   }
 
   /**
@@ -273,6 +285,60 @@ class MigrationToolHandlers {
     };
   }
 
+  /**
+   * List quarantined records.
+   * @param {object} params
+   * @param {string} [params.objectId] - Filter by object
+   * @param {string} [params.phase] - Filter by phase
+   * @param {string} [params.status='open'] - Filter by status
+   * @param {number} [params.limit=100] - Max entries
+   * @returns {object} Entries and open-entry summary
+   */
+  async _handle_migration_quarantine_list(params) {
+    const quarantine = this._getQuarantine();
+    const filter = {
+      objectId: params.objectId,
+      phase: params.phase,
+      status: params.status || 'open',
+    };
+    const entries = await quarantine.list(filter, params.limit || 100);
+    return {
+      count: entries.length,
+      entries: entries.map(e => ({
+        id: e.ID,
+        objectId: e.objectId,
+        runId: e.runId,
+        sourceKey: e.sourceKey,
+        phase: e.phase,
+        error: e.error,
+        status: e.status,
+        attempts: e.attempts,
+        payload: e.payload,
+        sourceRecord: e.sourceRecord,
+      })),
+      summary: await quarantine.summary(),
+    };
+  }
+
+  /**
+   * Fix a quarantined record's payload or source record.
+   * @param {object} params
+   * @param {string} params.id - Entry ID
+   * @param {object} [params.payload] - Corrected payload
+   * @param {object} [params.sourceRecord] - Corrected source record
+   * @param {string} [params.comment] - Fix reason
+   * @returns {object} Updated entry
+   */
+  async _handle_migration_quarantine_fix(params) {
+    const { id, payload, sourceRecord, comment } = params;
+    try {
+      const entry = await this._getQuarantine().fix(id, { payload, sourceRecord }, { by: 'mcp', comment });
+      return { id: entry.ID, objectId: entry.objectId, status: entry.status, phase: entry.phase, payload: entry.payload, sourceRecord: entry.sourceRecord };
+    } catch (e) {
+      return { error: e.details === 'QUARANTINE_NOT_FOUND' ? 'not_found' : 'invalid', message: e.message };
+    }
+  }
+
   // ─────────────────────────────────────────────────────────────────────────
   // Write Operations (safety-gated)
   // ─────────────────────────────────────────────────────────────────────────
@@ -343,16 +409,20 @@ class MigrationToolHandlers {
   }
 
   /**
-   * Run ETLV for all migration objects in dependency order.
+   * Run ETLV for all migration objects in dependency order, each wave
+   * concurrently through the registry's WaveScheduler.
    * @param {object} params
-   * @param {boolean} [params.dryRun=true] - Dry-run mode
-   * @param {number} [params.limit=100] - Record limit per object
+   * @param {boolean} [params.dryRun=true] - Dry-run mode (returns the wave plan)
+   * @param {number} [params.concurrency=4] - Max objects running at once
+   * @param {string[]} [params.objectIds] - Subset of objects (default: all)
    * @returns {object} Full migration run results
    */
   async _handle_migration_run_all(params) {
-    const { limit } = params;
     const dryRun = params.dryRun !== false;
-    const maxRecords = limit || 100;
+    const concurrency = params.concurrency === undefined ? DEFAULT_CONCURRENCY : params.concurrency;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      return { error: 'invalid', message: 'concurrency must be a positive integer' };
+    }
 
     // Safety gate check for write operations
     if (!this._safetyBridge) {
@@ -368,25 +438,171 @@ class MigrationToolHandlers {
       return { error: 'blocked', reason: safety.reason, gateResults: safety.gateResults };
     }
 
-    const totalRecords = MIGRATION_OBJECTS.length * maxRecords;
+    const registry = this._getRegistry();
+    const known = new Set(registry.listObjectIds());
+    const objectIds = params.objectIds && params.objectIds.length > 0 ? params.objectIds : [...known];
+    const unknown = objectIds.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+      return { error: 'not_found', message: `Unknown migration object(s): ${unknown.join(', ')}` };
+    }
+
+    if (dryRun) {
+      const waves = registry.getExecutionWaves(objectIds);
+      return {
+        dryRun,
+        status: 'planned',
+        concurrency,
+        totalObjects: objectIds.length,
+        waves: waves.map((objects, i) => ({ wave: i + 1, objects, status: 'pending' })),
+      };
+    }
+
+    const run = await registry.runAll({ mode: this.mode }, {
+      objectIds,
+      concurrency,
+      progressBus: this._progressBus || undefined,
+      journal: this._getJournal(),
+      quarantine: this._getQuarantine(),
+    });
+    const { stats } = run;
 
     return {
       dryRun,
-      status: 'completed',
-      waves: [
-        { wave: 1, objects: ['GL_ACCOUNT', 'COST_CENTER', 'PROFIT_CENTER'], status: 'completed' },
-        { wave: 2, objects: ['CUSTOMER_MASTER', 'VENDOR_MASTER'], status: 'completed' },
-        { wave: 3, objects: ['MATERIAL_MASTER', 'BOM'], status: 'completed' },
-        { wave: 4, objects: ['ROUTING', 'CONDITION_RECORD'], status: 'completed' },
-        { wave: 5, objects: ['SALES_ORDER', 'PURCHASE_ORDER'], status: 'completed' },
-      ],
-      totalObjects: MIGRATION_OBJECTS.length,
-      totalRecords,
-      errors: 7,
-      duration: `${(totalRecords * 0.018).toFixed(1)}s`,
-      humanDecisionsRequired: [],
+      runId: run.runId,
+      status: stats.failed > 0 ? 'completed_with_errors' : 'completed',
+      concurrency: stats.concurrency,
+      totalObjects: stats.total,
+      completed: stats.completed,
+      failed: stats.failed,
+      skipped: stats.skipped,
+      waves: stats.waveStatus,
+      totalRecords: run.results.reduce((sum, r) => sum + r.stats.loadedRecords, 0),
+      errors: run.results.reduce((sum, r) => sum + r.stats.loadErrors, 0),
+      failures: run.results
+        .filter(r => ['error', 'validation_failed', 'skipped'].includes(r.status))
+        .map(r => ({ objectId: r.objectId, status: r.status, reason: r.reason || null, blockedBy: r.blockedBy || [], error: r.error || null })),
+      duration: `${(stats.totalDurationMs / 1000).toFixed(1)}s`,
     };
   }
+
+  /**
+   * Re-submit quarantined records through their migration objects.
+   * @param {object} params
+   * @param {string[]} [params.ids] - Entry IDs
+   * @param {string} [params.objectId] - All open entries of this object
+   * @param {boolean} [params.dryRun=true] - Preview only
+   * @returns {object} Re-submission results
+   */
+  async _handle_migration_quarantine_resubmit(params) {
+    const dryRun = params.dryRun !== false;
+
+    if (!this._safetyBridge) {
+      const SafetyGatesBridge = require('./safety-gates-bridge');
+      this._safetyBridge = new SafetyGatesBridge({ mode: this.mode });
+    }
+    const safety = await this._safetyBridge.check({
+      toolName: 'migration_quarantine_resubmit',
+      operation: 'Re-submit quarantined migration records',
+      dryRun,
+    });
+    if (!safety.allowed) {
+      return { error: 'blocked', reason: safety.reason, gateResults: safety.gateResults };
+    }
+
+    const quarantine = this._getQuarantine();
+    let ids = params.ids;
+    if (!ids || ids.length === 0) {
+      const open = await quarantine.list({ objectId: params.objectId, status: 'open' }, Number.MAX_SAFE_INTEGER);
+      ids = open.map(e => e.ID);
+    }
+
+    if (dryRun) {
+      const entries = [];
+      for (const id of ids) {
+        const entry = await quarantine.get(id);
+        if (entry) entries.push({ id: entry.ID, objectId: entry.objectId, sourceKey: entry.sourceKey, phase: entry.phase, status: entry.status });
+      }
+      return { dryRun, wouldResubmit: entries.length, entries };
+    }
+
+    try {
+      const result = await quarantine.resubmitAll(this._getRegistry(), { mode: this.mode }, ids);
+      return { dryRun, ...result };
+    } catch (e) {
+      return { error: e.details === 'QUARANTINE_NOT_FOUND' ? 'not_found' : 'invalid', message: e.message };
+    }
+  }
+
+  /**
+   * Roll back journaled loads of a run or object in reverse dependency order.
+   * @param {object} params
+   * @param {string} [params.runId] - Run to roll back
+   * @param {string} [params.objectId] - Object to roll back (within runId if given)
+   * @param {boolean} [params.force=false] - Ignore dependents that still have loaded records
+   * @param {boolean} [params.dryRun=true] - Preview only
+   * @returns {object} Rollback plan or results
+   */
+  async _handle_migration_rollback(params) {
+    const dryRun = params.dryRun !== false;
+    if (!params.runId && !params.objectId) {
+      return { error: 'invalid', message: 'runId or objectId is required' };
+    }
+
+    if (!this._safetyBridge) {
+      const SafetyGatesBridge = require('./safety-gates-bridge');
+      this._safetyBridge = new SafetyGatesBridge({ mode: this.mode });
+    }
+    const safety = await this._safetyBridge.check({
+      toolName: 'migration_rollback',
+      operation: 'Roll back migration loads (reversal postings / deletion flags)',
+      dryRun,
+    });
+    if (!safety.allowed) {
+      return { error: 'blocked', reason: safety.reason, gateResults: safety.gateResults };
+    }
+
+    try {
+      return await this._getJournal().rollback(this._getRegistry(), { mode: this.mode }, {
+        runId: params.runId,
+        objectId: params.objectId,
+        force: params.force === true,
+        dryRun,
+      });
+    } catch (e) {
+      return { error: e.details === 'MIGOBJ_UNKNOWN' ? 'not_found' : 'invalid', message: e.message };
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Helpers
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /** @private */
+  _getJournal() {
+    if (!this._journal) {
+      const { LoadJournal } = require('../../migration/load-journal');
+      this._journal = new LoadJournal({ persistence: this._persistence || undefined });
+    }
+    return this._journal;
+  }
+
+  /** @private */
+  _getQuarantine() {
+    if (!this._quarantine) {
+      const { QuarantineManager } = require('../../migration/quarantine');
+      this._quarantine = new QuarantineManager({ persistence: this._persistence || undefined });
+    }
+    return this._quarantine;
+  }
+
+  /** @private */
+  _getRegistry() {
+    if (!this._registry) {
+      const MigrationObjectRegistry = require('../../migration/objects/registry');
+      this._registry = new MigrationObjectRegistry();
+    }
+    return this._registry;
+  }
 }
 
 module.exports = { MigrationToolHandlers };
@@ -11,9 +11,9 @@
 /**
  * MCP Migration Tool Definitions
  *
- * 8 MCP tool definitions for SAP ETLV migration — covering object listing,
+ * 12 MCP tool definitions for SAP ETLV migration — covering object listing,
  * object details, ETLV execution, dependency graph, execution ordering,
- * reconciliation, and migration statistics.
+ * reconciliation, migration statistics, record quarantine, and load rollback.
  *
  * Same format as TOOL_DEFINITIONS in server.js for seamless registration.
  */
@@ -57,12 +57,13 @@ const MIGRATION_TOOL_DEFINITIONS = [
   },
   {
     name: 'migration_run_all',
-    description: '[WRITE OPERATION — requires dryRun=false for live execution. User must hold valid SAP Named User license.] Run ETLV for all migration objects in dependency order. dryRun=true by default.',
+    description: '[WRITE OPERATION — requires dryRun=false for live execution. User must hold valid SAP Named User license.] Run ETLV for all migration objects in dependency order. Objects in the same wave run concurrently; dependents of failed objects are skipped. dryRun=true by default (returns the wave plan).',
     inputSchema: {
       type: 'object',
       properties: {
-        dryRun: { type: 'boolean', description: 'If true, simulate without loading to target', default: true },
-        limit: { type: 'number', description: 'Maximum records per object to process', default: 100 },
+        dryRun: { type: 'boolean', description: 'If true, return the execution plan without loading to target', default: true },
+        concurrency: { type: 'number', description: 'Maximum objects running at once within a wave', default: 4 },
+        objectIds: { type: 'array', items: { type: 'string' }, description: 'Subset of migration objects to run (default: all)' },
       },
     },
   },
@@ -100,6 +101,58 @@ const MIGRATION_TOOL_DEFINITIONS = [
       properties: {},
     },
   },
+  {
+    name: 'migration_quarantine_list',
+    description: 'List records quarantined during migration runs (failed transform, validate or load), with source key, payload, phase and error message.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        objectId: { type: 'string', description: 'Filter by migration object ID (e.g., "GL_BALANCE")' },
+        phase: { type: 'string', enum: ['transform', 'validate', 'load'], description: 'Filter by failing phase' },
+        status: { type: 'string', enum: ['open', 'resolved', 'discarded'], description: 'Filter by status (default: open)', default: 'open' },
+        limit: { type: 'number', description: 'Maximum entries to return', default: 100 },
+      },
+    },
+  },
+  {
+    name: 'migration_quarantine_fix',
+    description: 'Fix a quarantined record by replacing its transformed payload (validate/load failures) or source record (transform failures). Does not write to SAP.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Quarantine entry ID' },
+        payload: { type: 'object', description: 'Corrected target payload' },
+        sourceRecord: { type: 'object', description: 'Corrected source record (transform failures)' },
+        comment: { type: 'string', description: 'Reason for the fix (kept in the entry history)' },
+      },
+      required: ['id'],
+    },
+  },
+  {
+    name: 'migration_quarantine_resubmit',
+    description: '[WRITE OPERATION — requires dryRun=false for live execution. User must hold valid SAP Named User license.] Re-submit quarantined records through their migration object (validate and load only these records). dryRun=true by default.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ids: { type: 'array', items: { type: 'string' }, description: 'Quarantine entry IDs. If omitted, all open entries (optionally filtered by objectId).' },
+        objectId: { type: 'string', description: 'Re-submit all open entries of this migration object' },
+        dryRun: { type: 'boolean', description: 'If true, list what would be re-submitted without loading', default: true },
+      },
+    },
+  },
+  {
+    name: 'migration_rollback',
+    description: '[WRITE OPERATION — requires dryRun=false for live execution. User must hold valid SAP Named User license.] Roll back journaled migration loads of a run or an object in reverse dependency order: reversal postings for FI documents, deletion flags for master data. dryRun=true by default (preview only).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        runId: { type: 'string', description: 'Roll back every object loaded in this run' },
+        objectId: { type: 'string', description: 'Roll back this migration object (within runId if given)' },
+        force: { type: 'boolean', description: 'Roll back even if dependent objects still have loaded records', default: false },
+        dryRun: { type: 'boolean', description: 'If true, return the rollback plan without reversing anything', default: true },
+      },
+    },
+  },
 ];
 
 module.exports = { MIGRATION_TOOL_DEFINITIONS };
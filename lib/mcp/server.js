@@ -1314,11 +1314,15 @@ class McpServer {
    * @param {object} [options.sapGateway] — SAP gateway instance for live calls
    * @param {string} [options.mode='mock'] — 'mock' or 'live'
    * @param {object} [options.logger]
+   * @param {object} [options.persistence] — PersistenceAdapter for migration state
+   * @param {object} [options.quarantine] — QuarantineManager shared with the migration dashboard
    */
   constructor(options = {}) {
     this.sapGateway = options.sapGateway || null;
     this.mode = options.mode || 'mock';
     this.log = options.logger || new Logger('mcp-server');
+    this.persistence = options.persistence || null;
+    this.quarantine = options.quarantine || null;
     this._initialized = false;
     this._stdinBuffer = '';
     this._sessionContext = new SessionContext();
@@ -1475,7 +1479,13 @@ class McpServer {
     for (const [prefix, { prop, Cls }] of Object.entries(HANDLER_MAP)) {
       if (name.startsWith(prefix)) {
         if (!this[prop]) {
-          this[prop] = new (Cls())({ mode: this.mode, sessionContext: this._sessionContext, logger: this.log });
+          this[prop] = new (Cls())({
+            mode: this.mode,
+            sessionContext: this._sessionContext,
+            logger: this.log,
+            persistence: this.persistence || undefined,
+            quarantine: this.quarantine || undefined,
+          });
         }
         const result = await this[prop].handle(name, args);
         return {
@@ -15,7 +15,8 @@
  *   - memory: In-memory Map storage (development, testing)
  *   - cds:    SAP CAP CDS persistence (production w/ HANA Cloud or SQLite)
  *
- * Provides checkpoint/resume support for long-running extractions.
+ * Provides checkpoint/resume support for long-running extractions and
+ * delta high-water marks for incremental migration runs.
  *
  * Usage:
  *   const store = new PersistenceAdapter({ mode: 'memory' });
@@ -50,6 +51,12 @@ class PersistenceAdapter {
     this._results = new Map();
     this._checkpoints = new Map();
     this._migrationRuns = new Map();
+    this._watermarks = new Map();
+    this._quarantine = new Map();
+    this._valueMappings = new Map();
+    this._runbooks = new Map();
+    this._loadJournal = new Map();
+    this._testRuns = new Map();
   }
 
   get mode() { return this._mode; }
@@ -289,6 +296,423 @@ class PersistenceAdapter {
     return this._migrationRuns.get(runId) || null;
   }
 
+  // ── Delta Watermarks ───────────────────────────────────────
+
+  /**
+   * Save the delta high-water mark for a migration object.
+   * @param {string} objectId
+   * @param {object} state — { strategy, watermark, recordCount, runId }
+   */
+  async saveWatermark(objectId, state) {
+    const record = {
+      ID: generateId(),
+      objectId,
+      strategy: state.strategy || null,
+      watermark: JSON.stringify(state.watermark === undefined ? null : state.watermark),
+      recordCount: state.recordCount || 0,
+      runId: state.runId || null,
+      createdAt: new Date().toISOString(),
+      modifiedAt: new Date().toISOString(),
+    };
+
+    if (this._mode === 'cds') {
+      const existing = await this._cdsSelectOne('sapconnect.MigrationWatermarks', { objectId });
+      if (existing) {
+        record.ID = existing.ID;
+        record.createdAt = existing.createdAt;
+      }
+      return this._cdsUpsert('sapconnect.MigrationWatermarks', record);
+    }
+
+    const existing = this._watermarks.get(objectId);
+    if (existing) {
+      record.ID = existing.ID;
+      record.createdAt = existing.createdAt;
+    }
+    this._watermarks.set(objectId, record);
+    return record;
+  }
+
+  /**
+   * Load the delta high-water mark for a migration object.
+   * @param {string} objectId
+   * @returns {object|null} — { objectId, strategy, watermark, recordCount, runId, modifiedAt }
+   */
+  async loadWatermark(objectId) {
+    let record;
+    if (this._mode === 'cds') {
+      record = await this._cdsSelectOne('sapconnect.MigrationWatermarks', { objectId });
+    } else {
+      record = this._watermarks.get(objectId) || null;
+    }
+
+    if (!record) return null;
+
+    let watermark;
+    try {
+      watermark = JSON.parse(record.watermark);
+    } catch {
+      return null;
+    }
+    return {
+      objectId: record.objectId,
+      strategy: record.strategy,
+      watermark,
+      recordCount: record.recordCount,
+      runId: record.runId,
+      modifiedAt: record.modifiedAt,
+    };
+  }
+
+  /**
+   * Remove the delta high-water mark, forcing the next run to do a full load.
+   * @param {string} objectId
+   * @returns {boolean} true if a watermark existed
+   */
+  async clearWatermark(objectId) {
+    if (this._mode === 'cds') {
+      const existing = await this._cdsSelectOne('sapconnect.MigrationWatermarks', { objectId });
+      if (!existing) return false;
+      await this._cdsDelete('sapconnect.MigrationWatermarks', { objectId });
+      return true;
+    }
+    return this._watermarks.delete(objectId);
+  }
+
+  // ── Quarantined Records ────────────────────────────────────
+
+  /**
+   * Save or update a quarantined record.
+   * @param {object} entry — { ID, objectId, runId, sourceKey, phase, error, payload, sourceRecord, status, ... }
+   * @returns {object} The saved entry
+   */
+  async saveQuarantineEntry(entry) {
+    const record = {
+      ...entry,
+      ID: entry.ID || generateId(),
+      status: entry.status || 'open',
+      attempts: entry.attempts || 0,
+      createdAt: entry.createdAt || new Date().toISOString(),
+      modifiedAt: new Date().toISOString(),
+    };
+
+    if (this._mode === 'cds') {
+      await this._cdsUpsert('sapconnect.QuarantinedRecords', {
+        ...record,
+        payload: JSON.stringify(record.payload === undefined ? null : record.payload),
+        sourceRecord: JSON.stringify(record.sourceRecord === undefined ? null : record.sourceRecord),
+        history: JSON.stringify(record.history || []),
+      });
+      return record;
+    }
+
+    this._quarantine.set(record.ID, record);
+    return record;
+  }
+
+  /**
+   * Get a quarantined record by ID.
+   * @param {string} id
+   * @returns {object|null}
+   */
+  async getQuarantineEntry(id) {
+    if (this._mode === 'cds') {
+      const row = await this._cdsSelectOne('sapconnect.QuarantinedRecords', { ID: id });
+      return row ? this._parseQuarantineRow(row) : null;
+    }
+    return this._quarantine.get(id) || null;
+  }
+
+  /**
+   * List quarantined records, oldest first.
+   * @param {object} [filter] — { objectId, runId, phase, status }
+   * @param {number} [limit=100]
+   * @returns {object[]}
+   */
+  async listQuarantineEntries(filter = {}, limit = 100) {
+    const where = {};
+    for (const key of ['objectId', 'runId', 'phase', 'status']) {
+      if (filter[key]) where[key] = filter[key];
+    }
+
+    if (this._mode === 'cds') {
+      const rows = await this._cdsSelect('sapconnect.QuarantinedRecords', where, limit, 'createdAt asc');
+      return rows.map((r) => this._parseQuarantineRow(r));
+    }
+
+    return Array.from(this._quarantine.values())
+      .filter((r) => Object.entries(where).every(([k, v]) => r[k] === v))
+      .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+      .slice(0, limit);
+  }
+
+  /** @private */
+  _parseQuarantineRow(row) {
+    const parse = (v, fallback) => {
+      try { return JSON.parse(v); } catch { return fallback; }
+    };
+    return {
+      ...row,
+      payload: parse(row.payload, null),
+      sourceRecord: parse(row.sourceRecord, null),
+      history: parse(row.history, []),
+    };
+  }
+
+  // ── Value-Mapping Versions ─────────────────────────────────
+
+  /**
+   * Save a new version of a value-mapping table.
+   * @param {object} version — { clientName, name, version, hash, entries, defaultValue, description, source, changes, changedBy, comment }
+   * @returns {object} The saved version
+   */
+  async saveValueMappingVersion(version) {
+    const record = {
+      ...version,
+      ID: version.ID || generateId(),
+      clientName: version.clientName || '',
+      createdAt: version.createdAt || new Date().toISOString(),
+    };
+
+    if (this._mode === 'cds') {
+      await this._cdsUpsert('sapconnect.ValueMappingVersions', {
+        ...record,
+        entries: JSON.stringify(record.entries || {}),
+        defaultValue: JSON.stringify(record.defaultValue === undefined ? null : record.defaultValue),
+        changes: JSON.stringify(record.changes || null),
+      });
+      return record;
+    }
+
+    this._valueMappings.set(`${record.clientName}:${record.name}:${record.version}`, record);
+    return record;
+  }
+
+  /**
+   * Get one version of a value-mapping table.
+   * @param {string} clientName
+   * @param {string} name
+   * @param {number} [version] — Latest if omitted
+   * @returns {object|null}
+   */
+  async getValueMappingVersion(clientName, name, version) {
+    if (version === undefined || version === null) {
+      const versions = await this.listValueMappingVersions(clientName, name);
+      return versions.length > 0 ? versions[versions.length - 1] : null;
+    }
+    if (this._mode === 'cds') {
+      const row = await this._cdsSelectOne('sapconnect.ValueMappingVersions', { clientName: clientName || '', name, version });
+      return row ? this._parseValueMappingRow(row) : null;
+    }
+    return this._valueMappings.get(`${clientName || ''}:${name}:${version}`) || null;
+  }
+
+  /**
+   * List all versions of a value-mapping table, oldest first.
+   * @param {string} clientName
+   * @param {string} name
+   * @returns {object[]}
+   */
+  async listValueMappingVersions(clientName, name) {
+    const where = { clientName: clientName || '', name };
+
+    if (this._mode === 'cds') {
+      const rows = await this._cdsSelect('sapconnect.ValueMappingVersions', where, Number.MAX_SAFE_INTEGER, 'version asc');
+      return rows.map((r) => this._parseValueMappingRow(r));
+    }
+
+    return Array.from(this._valueMappings.values())
+      .filter((r) => r.clientName === where.clientName && r.name === name)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /** @private */
+  _parseValueMappingRow(row) {
+    const parse = (v, fallback) => {
+      try { return JSON.parse(v); } catch { return fallback; }
+    };
+    return {
+      ...row,
+      entries: parse(row.entries, {}),
+      defaultValue: parse(row.defaultValue, null),
+      changes: parse(row.changes, null),
+    };
+  }
+
+  // ── Cutover Runbooks ───────────────────────────────────────
+
+  /**
+   * Save the state of a cutover runbook.
+   * @param {object} runbook — { runbookId, status, state }
+   * @returns {object} The saved runbook
+   */
+  async saveCutoverRunbook(runbook) {
+    const record = {
+      ID: generateId(),
+      runbookId: runbook.runbookId,
+      status: runbook.status || null,
+      state: runbook.state,
+      createdAt: new Date().toISOString(),
+      modifiedAt: new Date().toISOString(),
+    };
+
+    if (this._mode === 'cds') {
+      const existing = await this._cdsSelectOne('sapconnect.CutoverRunbooks', { runbookId: record.runbookId });
+      if (existing) {
+        record.ID = existing.ID;
+        record.createdAt = existing.createdAt;
+      }
+      await this._cdsUpsert('sapconnect.CutoverRunbooks', { ...record, state: JSON.stringify(record.state) });
+      return record;
+    }
+
+    const existing = this._runbooks.get(record.runbookId);
+    if (existing) {
+      record.ID = existing.ID;
+      record.createdAt = existing.createdAt;
+    }
+    // Store a copy so later in-memory changes are only kept when saved
+    this._runbooks.set(record.runbookId, { ...record, state: JSON.parse(JSON.stringify(record.state)) });
+    return record;
+  }
+
+  /**
+   * Load a cutover runbook.
+   * @param {string} runbookId
+   * @returns {object|null} — { runbookId, status, state, modifiedAt }
+   */
+  async loadCutoverRunbook(runbookId) {
+    if (this._mode === 'cds') {
+      const row = await this._cdsSelectOne('sapconnect.CutoverRunbooks', { runbookId });
+      if (!row) return null;
+      try {
+        return { ...row, state: JSON.parse(row.state) };
+      } catch {
+        return null;
+      }
+    }
+    const record = this._runbooks.get(runbookId);
+    return record ? { ...record, state: JSON.parse(JSON.stringify(record.state)) } : null;
+  }
+
+  // ── Load Journal ───────────────────────────────────────────
+
+  /**
+   * Save or update a load journal entry (one created target record).
+   * @param {object} entry — { ID, runId, objectId, targetKey, keys, documentNumber, strategy, status, ... }
+   * @returns {object} The saved entry
+   */
+  async saveLoadJournalEntry(entry) {
+    const record = {
+      ...entry,
+      ID: entry.ID || generateId(),
+      status: entry.status || 'loaded',
+      createdAt: entry.createdAt || new Date().toISOString(),
+      modifiedAt: new Date().toISOString(),
+    };
+
+    if (this._mode === 'cds') {
+      await this._cdsUpsert('sapconnect.LoadJournal', {
+        ...record,
+        keys: JSON.stringify(record.keys || {}),
+      });
+      return record;
+    }
+
+    this._loadJournal.set(record.ID, record);
+    return record;
+  }
+
+  /**
+   * List load journal entries in load order.
+   * @param {object} [filter] — { runId, objectId, status }
+   * @param {number} [limit=100]
+   * @returns {object[]}
+   */
+  async listLoadJournalEntries(filter = {}, limit = 100) {
+    const where = {};
+    for (const key of ['runId', 'objectId', 'status']) {
+      if (filter[key]) where[key] = filter[key];
+    }
+
+    if (this._mode === 'cds') {
+      const rows = await this._cdsSelect('sapconnect.LoadJournal', where, limit, 'createdAt asc');
+      return rows.map((r) => {
+        try { return { ...r, keys: JSON.parse(r.keys) }; } catch { return { ...r, keys: {} }; }
+      });
+    }
+
+    return Array.from(this._loadJournal.values())
+      .filter((r) => Object.entries(where).every(([k, v]) => r[k] === v))
+      .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+      .slice(0, limit);
+  }
+
+  // ── Test Run History ───────────────────────────────────────
+
+  /**
+   * Save an executed test run.
+   * @param {object} run — { runId, suite, environment, name, executedAt, summary, byModule, results }
+   * @returns {object} The saved run
+   */
+  async saveTestRun(run) {
+    const record = {
+      ID: run.ID || generateId(),
+      runId: run.runId,
+      suite: run.suite || 'default',
+      environment: run.environment || 'default',
+      name: run.name || null,
+      executedAt: run.executedAt || new Date().toISOString(),
+      summary: run.summary || {},
+      byModule: run.byModule || {},
+      results: run.results || [],
+      createdAt: new Date().toISOString(),
+    };
+
+    if (this._mode === 'cds') {
+      await this._cdsUpsert('sapconnect.TestRuns', {
+        ...record,
+        summary: JSON.stringify(record.summary),
+        byModule: JSON.stringify(record.byModule),
+        results: JSON.stringify(record.results),
+      });
+      return record;
+    }
+
+    this._testRuns.set(record.ID, JSON.parse(JSON.stringify(record)));
+    return record;
+  }
+
+  /**
+   * List the most recent test runs, oldest first.
+   * @param {object} [filter] — { suite, environment }
+   * @param {number} [limit=50]
+   * @returns {object[]}
+   */
+  async listTestRuns(filter = {}, limit = 50) {
+    const where = {};
+    for (const key of ['suite', 'environment']) {
+      if (filter[key]) where[key] = filter[key];
+    }
+
+    if (this._mode === 'cds') {
+      const rows = await this._cdsSelect('sapconnect.TestRuns', where, limit, 'executedAt desc');
+      return rows.reverse().map((r) => {
+        try {
+          return { ...r, summary: JSON.parse(r.summary), byModule: JSON.parse(r.byModule), results: JSON.parse(r.results) };
+        } catch {
+          return { ...r, summary: {}, byModule: {}, results: [] };
+        }
+      });
+    }
+
+    return Array.from(this._testRuns.values())
+      .filter((r) => Object.entries(where).every(([k, v]) => r[k] === v))
+      .sort((a, b) => a.executedAt.localeCompare(b.executedAt))
+      .slice(-limit)
+      .map((r) => JSON.parse(JSON.stringify(r)));
+  }
+
   // ── CDS Operations (production) ────────────────────────────
 
   /** @private */
@@ -317,6 +741,14 @@ class PersistenceAdapter {
     if (orderBy) query = query.orderBy(orderBy);
     return db.run(query);
   }
+
+  /** @private */
+  async _cdsDelete(entity, where) {
+    const cds = require('@sap/cds');
+    const db = await cds.connect.to('db');
+    const { [entity.split('.').pop()]: Entity } = db.entities('sapconnect');
+    return db.run(db.delete(Entity).where(where));
+  }
 }
 
 module.exports = { PersistenceAdapter };
@@ -35,6 +35,7 @@ const EVENT_TYPES = [
   'migration:progress',
   'migration:complete',
   'migration:error',
+  'cutover:task',
   'agent:start',
   'agent:progress',
   'agent:complete',
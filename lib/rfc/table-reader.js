@@ -86,11 +86,12 @@ class TableReader {
    * @param {string[]} [opts.fields] - Fields to select
    * @param {string} [opts.where] - WHERE clause
    * @param {number} [opts.chunkSize] - Rows per chunk
+   * @param {number} [opts.offset=0] - Row to start at (resume after an interrupted read)
    * @yields {{ rows: object[], chunk: number, offset: number }}
    */
   async *streamTable(tableName, opts = {}) {
     const chunkSize = opts.chunkSize || this.chunkSize;
-    let offset = 0;
+    let offset = opts.offset || 0;
     let chunk = 0;
     let hasMore = true;
 
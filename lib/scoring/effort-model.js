@@ -0,0 +1,352 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Remediation Effort Model
+ *
+ * Estimates custom code remediation hours per finding and calibrates the
+ * estimate from actual hours recorded when remediation is completed.
+ *
+ * A finding's estimate is hours-per-severity × rule factor × object type
+ * factor. Factors are fitted in log space from the recorded actuals and
+ * shrunk toward 1 by priorWeight pseudo-observations, so a rule with one
+ * completed fix moves the estimate only part of the way. The spread of the
+ * actuals around the fitted estimates gives a lognormal confidence interval
+ * per finding. Point estimates are medians, so they add up to the fixed hours
+ * when nothing is calibrated; the spread of a total combines findings as
+ * independent lognormals (Fenton-Wilkinson moment matching).
+ *
+ * Uncalibrated, the model reproduces the fixed hours per severity with
+ * DEFAULT_SIGMA as the uncertainty. The calibrated model and its actuals are
+ * kept per client in clients/<name>/effort-model.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../logger');
+const { SapConnectError } = require('../errors');
+
+const DEFAULT_HOURS_PER_SEVERITY = { critical: 40, high: 24, medium: 8, low: 4 };
+const UNKNOWN_SEVERITY_HOURS = 8;
+const HOURS_PER_DAY = 8;
+const DEFAULT_SIGMA = 0.6;
+const DEFAULT_PRIOR_WEIGHT = 3;
+const DEFAULT_CONFIDENCE = 0.8;
+const MODEL_FILE = 'effort-model.json';
+const FIT_ITERATIONS = 20;
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation,
+ * relative error below 1.2e-9).
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number}
+ */
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+    / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+    / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+class EffortModel {
+  /**
+   * @param {object} [data] - Saved model (toJSON() output)
+   * @param {object} [options] - { file, logLevel }
+   */
+  constructor(data = {}, options = {}) {
+    this.hoursPerSeverity = { ...DEFAULT_HOURS_PER_SEVERITY, ...(data.hoursPerSeverity || {}) };
+    this.priorWeight = data.priorWeight === undefined ? DEFAULT_PRIOR_WEIGHT : data.priorWeight;
+    this.sigma = data.sigma || DEFAULT_SIGMA;
+    this.ruleFactors = { ...(data.ruleFactors || {}) };
+    this.typeFactors = { ...(data.typeFactors || {}) };
+    this.actuals = (data.actuals || []).map((a) => ({ ...a }));
+    this.fittedAt = data.fittedAt || null;
+    this.fittedSamples = data.fittedSamples || 0;
+    this.file = options.file || null;
+    this.logger = new Logger('effort-model', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * Load a client's model; an uncalibrated model when the client has none yet.
+   * @param {object} options - { clientName, clientDir, baseDir = 'clients', file, logLevel }
+   * @returns {EffortModel}
+   */
+  static load(options = {}) {
+    const file = EffortModel.modelFile(options);
+    if (!fs.existsSync(file)) return new EffortModel({}, { file, logLevel: options.logLevel });
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new SapConnectError(`Cannot read effort model ${path.basename(file)}: ${err.message}`, 'ERR_EFFORT_MODEL');
+    }
+    return new EffortModel(data, { file, logLevel: options.logLevel });
+  }
+
+  /**
+   * @param {object} options - { clientName, clientDir, baseDir = 'clients', file }
+   * @returns {string} Path of the client's model file
+   */
+  static modelFile(options = {}) {
+    if (options.file) return options.file;
+    const clientDir = options.clientDir
+      || (options.clientName ? path.join(options.baseDir || 'clients', options.clientName) : null);
+    if (!clientDir) {
+      throw new SapConnectError('Effort model requires clientName, clientDir or file', 'ERR_EFFORT_MODEL');
+    }
+    return path.join(clientDir, MODEL_FILE);
+  }
+
+  /** Whether any recorded actuals went into the current factors */
+  get calibrated() {
+    return this.fittedSamples > 0;
+  }
+
+  /**
+   * Record the actual hours spent remediating a finding.
+   * @param {object} finding - Analyzer finding ({ ruleId, severity, objectType, object })
+   * @param {number} hours - Actual hours, > 0
+   * @param {object} [meta] - { completedAt, recordedBy }
+   * @returns {object} The recorded actual
+   */
+  recordActual(finding, hours, meta = {}) {
+    if (!finding || !finding.ruleId) {
+      throw new SapConnectError('Effort actual requires a finding with a ruleId', 'ERR_EFFORT_ACTUAL');
+    }
+    if (typeof hours !== 'number' || !Number.isFinite(hours) || hours <= 0) {
+      throw new SapConnectError(`Effort actual for ${finding.ruleId} must be a positive number of hours`, 'ERR_EFFORT_ACTUAL');
+    }
+    const actual = {
+      ruleId: finding.ruleId,
+      severity: finding.severity || null,
+      objectType: finding.objectType || null,
+      object: finding.object || null,
+      fingerprint: finding.fingerprint || null,
+      hours,
+      completedAt: meta.completedAt || new Date().toISOString(),
+      recordedBy: meta.recordedBy || null,
+    };
+    this.actuals.push(actual);
+    return actual;
+  }
+
+  /**
+   * Fit rule and object type factors from the recorded actuals. Factors are
+   * fitted alternately (each against the other's current value) until they
+   * settle.
+   * @param {object} [options] - { now }
+   * @returns {EffortModel} this
+   */
+  fit(options = {}) {
+    const k = this.priorWeight;
+    const samples = this.actuals.map((a) => ({
+      rule: a.ruleId,
+      type: a.objectType || '',
+      residual: Math.log(a.hours) - Math.log(this._baseHours(a.severity)),
+    }));
+
+    const ruleLog = {};
+    const typeLog = {};
+    for (let iter = 0; iter < FIT_ITERATIONS; iter++) {
+      this._fitGroup(samples, 'rule', ruleLog, (s) => s.residual - (typeLog[s.type] || 0), k);
+      this._fitGroup(samples, 'type', typeLog, (s) => s.residual - (ruleLog[s.rule] || 0), k);
+    }
+
+    // Residual spread, shrunk toward the default like the factors
+    let sse = 0;
+    for (const s of samples) {
+      const e = s.residual - (ruleLog[s.rule] || 0) - (typeLog[s.type] || 0);
+      sse += e * e;
+    }
+    this.sigma = Math.sqrt((k * DEFAULT_SIGMA * DEFAULT_SIGMA + sse) / (k + samples.length));
+
+    const ruleCounts = {};
+    const typeCounts = {};
+    for (const s of samples) {
+      ruleCounts[s.rule] = (ruleCounts[s.rule] || 0) + 1;
+      typeCounts[s.type] = (typeCounts[s.type] || 0) + 1;
+    }
+    this.ruleFactors = {};
+    for (const [rule, v] of Object.entries(ruleLog)) {
+      this.ruleFactors[rule] = { factor: Math.round(Math.exp(v) * 1000) / 1000, samples: ruleCounts[rule] };
+    }
+    this.typeFactors = {};
+    for (const [type, v] of Object.entries(typeLog)) {
+      if (type) this.typeFactors[type] = { factor: Math.round(Math.exp(v) * 1000) / 1000, samples: typeCounts[type] };
+    }
+    this.fittedSamples = samples.length;
+    this.fittedAt = (options.now || new Date()).toISOString();
+    this.logger.debug(`Fitted effort model on ${samples.length} actual(s), sigma ${this.sigma.toFixed(3)}`);
+    return this;
+  }
+
+  /** @private */
+  _fitGroup(samples, key, target, residualOf, k) {
+    const sums = {};
+    const counts = {};
+    for (const s of samples) {
+      sums[s[key]] = (sums[s[key]] || 0) + residualOf(s);
+      counts[s[key]] = (counts[s[key]] || 0) + 1;
+    }
+    for (const g of Object.keys(sums)) target[g] = sums[g] / (counts[g] + k);
+  }
+
+  /** @private */
+  _baseHours(severity) {
+    return this.hoursPerSeverity[severity] || UNKNOWN_SEVERITY_HOURS;
+  }
+
+  /**
+   * Estimate hours for one finding.
+   * @param {object} finding - { ruleId, severity, objectType }
+   * @param {object} [options] - { confidence = 0.8 }
+   * @returns {object} { hours (median), mean, low, high, basis: 'rule' | 'object_type' | 'default' }
+   *   — the most specific calibration that applied
+   */
+  estimateFinding(finding, options = {}) {
+    const z = normalQuantile(0.5 + this._confidence(options) / 2);
+    const mu = this._logMedian(finding);
+    return {
+      hours: round1(Math.exp(mu)),
+      mean: round1(Math.exp(mu + this.sigma * this.sigma / 2)),
+      low: round1(Math.exp(mu - z * this.sigma)),
+      high: round1(Math.exp(mu + z * this.sigma)),
+      basis: this._basis(finding),
+    };
+  }
+
+  /**
+   * Estimate total remediation effort for a set of findings.
+   * @param {object[]} findings - Analyzer findings
+   * @param {object} [options] - { confidence = 0.8 }
+   * @returns {object} { hours (sum of medians), mean, days, low, high, confidence, calibrated,
+   *   sampleSize, findings, byRule: [{ ruleId, findings, hours, factor, samples }] }
+   */
+  estimate(findings, options = {}) {
+    const confidence = this._confidence(options);
+    const z = normalQuantile(0.5 + confidence / 2);
+    const s2 = this.sigma * this.sigma;
+
+    let hours = 0;
+    let mean = 0;
+    let variance = 0;
+    const byRule = new Map();
+    for (const f of findings) {
+      const median = Math.exp(this._logMedian(f));
+      const m = median * Math.exp(s2 / 2);
+      hours += median;
+      mean += m;
+      variance += (Math.exp(s2) - 1) * m * m;
+      const entry = byRule.get(f.ruleId) || {
+        ruleId: f.ruleId,
+        findings: 0,
+        hours: 0,
+        factor: this.ruleFactors[f.ruleId] ? this.ruleFactors[f.ruleId].factor : 1,
+        samples: this.ruleFactors[f.ruleId] ? this.ruleFactors[f.ruleId].samples : 0,
+      };
+      entry.findings++;
+      entry.hours += median;
+      byRule.set(f.ruleId, entry);
+    }
+
+    let low = 0;
+    let high = 0;
+    if (mean > 0) {
+      // The total's spread from moment matching, around the point estimate
+      const totalSigma = Math.sqrt(Math.log(1 + variance / (mean * mean)));
+      low = hours * Math.exp(-z * totalSigma);
+      high = hours * Math.exp(z * totalSigma);
+    }
+
+    return {
+      hours: round1(hours),
+      mean: round1(mean),
+      days: round1(hours / HOURS_PER_DAY),
+      low: round1(low),
+      high: round1(high),
+      confidence,
+      calibrated: this.calibrated,
+      sampleSize: this.fittedSamples,
+      findings: findings.length,
+      byRule: [...byRule.values()]
+        .map((r) => ({ ...r, hours: round1(r.hours) }))
+        .sort((a, b) => b.hours - a.hours || a.ruleId.localeCompare(b.ruleId)),
+    };
+  }
+
+  /** @private */
+  _logMedian(finding) {
+    const rule = this.ruleFactors[finding.ruleId];
+    const type = this.typeFactors[finding.objectType];
+    return Math.log(this._baseHours(finding.severity))
+      + Math.log(rule ? rule.factor : 1)
+      + Math.log(type ? type.factor : 1);
+  }
+
+  /** @private */
+  _basis(finding) {
+    if (this.ruleFactors[finding.ruleId]) return 'rule';
+    return this.typeFactors[finding.objectType] ? 'object_type' : 'default';
+  }
+
+  /** @private */
+  _confidence(options) {
+    const confidence = options.confidence === undefined ? DEFAULT_CONFIDENCE : options.confidence;
+    if (!(confidence > 0 && confidence < 1)) {
+      throw new SapConnectError(`Confidence must be between 0 and 1, got ${confidence}`, 'ERR_EFFORT_MODEL');
+    }
+    return confidence;
+  }
+
+  toJSON() {
+    return {
+      version: 1,
+      fittedAt: this.fittedAt,
+      fittedSamples: this.fittedSamples,
+      hoursPerSeverity: this.hoursPerSeverity,
+      priorWeight: this.priorWeight,
+      sigma: Math.round(this.sigma * 10000) / 10000,
+      ruleFactors: this.ruleFactors,
+      typeFactors: this.typeFactors,
+      actuals: this.actuals,
+    };
+  }
+
+  /**
+   * Write the model with its actuals.
+   * @param {string} [file] - Defaults to the file it was loaded from
+   */
+  save(file = this.file) {
+    if (!file) throw new SapConnectError('No file to save the effort model to', 'ERR_EFFORT_MODEL');
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(this.toJSON(), null, 2)}\n`);
+    this.file = file;
+    this.logger.info(`Wrote effort model (${this.actuals.length} actual(s)) to ${file}`);
+  }
+}
+
+module.exports = {
+  EffortModel,
+  normalQuantile,
+  DEFAULT_HOURS_PER_SEVERITY,
+  HOURS_PER_DAY,
+  MODEL_FILE,
+};
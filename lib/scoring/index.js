@@ -11,11 +11,13 @@
 /**
  * Migration Complexity Scoring Module
  *
- * Exports the scoring engine, report generator, and weight configuration.
+ * Exports the scoring engine, report generator, weight configuration and
+ * the calibrated remediation effort model.
  */
 
 const ComplexityScorer = require('./complexity-scorer');
 const ScoringReport = require('./scoring-report');
+const { EffortModel, DEFAULT_HOURS_PER_SEVERITY } = require('./effort-model');
 const {
   COMPLEXITY_WEIGHTS,
   TIMELINE_RANGES,
@@ -25,6 +27,8 @@ const {
 module.exports = {
   ComplexityScorer,
   ScoringReport,
+  EffortModel,
+  DEFAULT_HOURS_PER_SEVERITY,
   COMPLEXITY_WEIGHTS,
   TIMELINE_RANGES,
   DIMENSION_THRESHOLDS,
@@ -32,6 +32,7 @@ class ScoringReport {
    * @param {string} [options.projectName] - Project name for report header
    * @param {string} [options.clientName] - Client name
    * @param {string} [options.assessmentDate] - Date of assessment
+   * @param {Object} [options.effortEstimate] - Remediation estimate from EffortModel.estimate()
    * @returns {ScoringReport} Report instance with toJSON() and toMarkdown()
    */
   static generate(scoreResult, assessmentData, options = {}) {
@@ -56,6 +57,9 @@ class ScoringReport {
     report.estimatedTimeline = scoreResult.timeline.months;
     report.dimensionBreakdown = ScoringReport._buildDimensionBreakdown(scoreResult.dimensions);
     report.riskFactors = scoreResult.riskFactors;
+    report.remediationEffort = options.effortEstimate
+      ? ScoringReport._buildRemediationEffort(options.effortEstimate)
+      : null;
     report.recommendations = ScoringReport._buildRecommendations(scoreResult, assessmentData);
     report.executiveSummary = ScoringReport._buildExecutiveSummary(report);
 
@@ -75,6 +79,7 @@ class ScoringReport {
       estimatedTimeline: this.estimatedTimeline,
       dimensionBreakdown: this.dimensionBreakdown,
       riskFactors: this.riskFactors,
+      remediationEffort: this.remediationEffort,
       recommendations: this.recommendations,
       executiveSummary: this.executiveSummary,
     };
@@ -135,6 +140,28 @@ class ScoringReport {
       }
     }
 
+    // Remediation Effort
+    if (this.remediationEffort) {
+      const effort = this.remediationEffort;
+      lines.push('## Remediation Effort');
+      lines.push('');
+      lines.push('| Metric | Value |');
+      lines.push('|--------|-------|');
+      lines.push(`| Expected Effort | ${effort.hours} hours (${effort.days} days) |`);
+      lines.push(`| ${Math.round(effort.confidence * 100)}% Interval | ${effort.low}-${effort.high} hours |`);
+      lines.push(`| Findings | ${effort.findings} |`);
+      lines.push(`| Calibration | ${effort.calibrated ? `${effort.sampleSize} completed findings` : 'Default hours per severity'} |`);
+      lines.push('');
+      if (effort.topRules.length > 0) {
+        lines.push('| Rule | Findings | Hours | Factor |');
+        lines.push('|------|----------|-------|--------|');
+        for (const r of effort.topRules) {
+          lines.push(`| ${r.ruleId} | ${r.findings} | ${r.hours} | ${r.factor} |`);
+        }
+        lines.push('');
+      }
+    }
+
     // Recommendations
     if (this.recommendations.length > 0) {
       lines.push('## Recommendations');
@@ -161,6 +188,20 @@ class ScoringReport {
     }));
   }
 
+  static _buildRemediationEffort(estimate) {
+    return {
+      hours: estimate.hours,
+      days: estimate.days,
+      low: estimate.low,
+      high: estimate.high,
+      confidence: estimate.confidence,
+      calibrated: estimate.calibrated,
+      sampleSize: estimate.sampleSize,
+      findings: estimate.findings,
+      topRules: (estimate.byRule || []).slice(0, 10),
+    };
+  }
+
   static _buildRecommendations(scoreResult, assessmentData) {
     const recs = [];
 
@@ -227,12 +268,17 @@ class ScoringReport {
     const riskSuffix = riskCount > 0
       ? ` ${riskCount} high-risk area${riskCount > 1 ? 's' : ''} identified requiring focused attention.`
       : ' No high-risk areas identified.';
+    const effort = report.remediationEffort;
+    const effortSuffix = effort
+      ? ` Custom code remediation is estimated at ${effort.hours} hours (${Math.round(effort.confidence * 100)}% interval ${effort.low}-${effort.high} hours).`
+      : '';
 
     return (
       `This assessment evaluates the migration complexity for ${report.clientName}. ` +
       `The overall complexity score is ${report.overallScore}/10, classified as "${report.complexityLevel}". ` +
       `The estimated migration timeline is ${report.estimatedTimeline} months.` +
-      riskSuffix
+      riskSuffix +
+      effortSuffix
     );
   }
 }
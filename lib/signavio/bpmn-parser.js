@@ -590,7 +590,14 @@ class BpmnParser {
   static _extractAttr(attrString, attrName) {
     const regex = new RegExp(`${attrName}="([^"]*)"`, 'i');
     const match = attrString.match(regex);
-    return match ? match[1] : '';
+    return match ? BpmnParser._decodeEntities(match[1]) : '';
+  }
+
+  static _decodeEntities(value) {
+    return value
+      .replace(/&(lt|gt|quot|apos);/g, (_, e) => ({ lt: '<', gt: '>', quot: '"', apos: "'" })[e])
+      .replace(/&#(x[0-9a-fA-F]+|[0-9]+);/g, (_, n) => String.fromCodePoint(n[0] === 'x' ? parseInt(n.slice(1), 16) : Number(n)))
+      .replace(/&amp;/g, '&');
   }
 }
 
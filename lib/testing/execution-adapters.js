@@ -0,0 +1,263 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+'use strict';
+
+/**
+ * Test Execution Adapters
+ *
+ * Adapters run individual generated test steps against a target. Each has
+ *   - name
+ *   - supports(step) — whether it can run the step
+ *   - async execute(step) — the response the step's assertions evaluate;
+ *     throws when the call fails
+ * and receives steps with their {{variable}} placeholders already resolved.
+ *
+ * - ODataExecutionAdapter: odata_request steps through an ODataClient
+ *   (params: method, path, query, body)
+ * - BapiExecutionAdapter: bapi_call steps through a FunctionCaller (params:
+ *   bapi, imports, tables, commit) and table_check steps through a
+ *   TableReader (params: table, fields, where, maxRows)
+ * - RecordedMockAdapter: replays responses recorded from another adapter,
+ *   for offline runs; in record mode it passes steps through and keeps
+ *   their responses
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../logger');
+const { TestingError } = require('../errors');
+
+const RECORDING_VERSION = 1;
+
+/** Step types the recorded mock can synthesize a response for */
+const SYNTHESIZED_TYPES = ['odata_request', 'bapi_call', 'table_check'];
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Identify a step's call independently of its wording, so a recording made
+ * from one generated suite replays for another that makes the same calls.
+ * @param {object} step - Resolved step
+ * @returns {string} e.g. 'bapi_call BAPI_PO_CREATE1 3f2a9c01be44'
+ */
+function stepSignature(step) {
+  const params = step.params || {};
+  let target = step.action || '';
+  if (step.type === 'odata_request') target = `${(params.method || 'GET').toUpperCase()} ${params.path || ''}`;
+  else if (step.type === 'bapi_call') target = params.bapi || '';
+  else if (step.type === 'table_check') target = params.table || '';
+  else if (params.tcode) target = params.tcode;
+  const hash = crypto.createHash('sha256').update(stableStringify(params)).digest('hex').slice(0, 12);
+  return `${step.type} ${target} ${hash}`;
+}
+
+class ODataExecutionAdapter {
+  /**
+   * @param {object} client - ODataClient (get, getAll, post, patch, delete)
+   */
+  constructor(client) {
+    this.name = 'odata';
+    this.client = client;
+  }
+
+  supports(step) {
+    return step.type === 'odata_request' && Boolean(step.params && step.params.path);
+  }
+
+  async execute(step) {
+    const { method = 'GET', path: servicePath, query = {}, body, all = false } = step.params;
+    switch (method.toUpperCase()) {
+      case 'GET':
+        return all ? { results: await this.client.getAll(servicePath, query) } : this.client.get(servicePath, query);
+      case 'POST':
+        return this.client.post(servicePath, body);
+      case 'PATCH':
+        return (await this.client.patch(servicePath, body)) || {};
+      case 'DELETE':
+        return (await this.client.delete(servicePath)) || {};
+      default:
+        throw new TestingError(`Unsupported OData method ${method}`, { step: step.stepNumber });
+    }
+  }
+}
+
+class BapiExecutionAdapter {
+  /**
+   * @param {object} functionCaller - FunctionCaller (call, callWithCommit)
+   * @param {object} [options]
+   * @param {object} [options.tableReader] - TableReader for table_check steps
+   */
+  constructor(functionCaller, options = {}) {
+    this.name = 'bapi';
+    this.functionCaller = functionCaller;
+    this.tableReader = options.tableReader || null;
+  }
+
+  supports(step) {
+    const params = step.params || {};
+    if (step.type === 'bapi_call') {
+      // Calls run on pooled connections, so a separate commit step would
+      // commit nothing; posting steps set params.commit instead
+      return Boolean(this.functionCaller && params.bapi) && params.bapi !== 'BAPI_TRANSACTION_COMMIT';
+    }
+    return step.type === 'table_check' && Boolean(this.tableReader && params.table);
+  }
+
+  async execute(step) {
+    const params = step.params;
+    if (step.type === 'table_check') {
+      return this.tableReader.readTable(params.table, {
+        fields: params.fields,
+        where: params.where,
+        maxRows: params.maxRows === undefined ? 100 : params.maxRows,
+      });
+    }
+    if (params.commit) return this.functionCaller.callWithCommit(params.bapi, params.imports || {});
+    return this.functionCaller.call(params.bapi, params.imports || {}, params.tables || {});
+  }
+}
+
+class RecordedMockAdapter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.recording] - Recording (toJSON() output) to replay
+   * @param {string} [options.mode='replay'] - 'replay' or 'record'
+   * @param {object[]} [options.targets] - Adapters to record through (record mode)
+   * @param {string} [options.onMissing='error'] - Replay of an unrecorded step:
+   *   'error', or 'synthesize' a minimal successful response
+   * @param {string} [options.logLevel]
+   */
+  constructor(options = {}) {
+    this.name = 'recorded';
+    this.mode = options.mode || 'replay';
+    if (!['replay', 'record'].includes(this.mode)) {
+      throw new TestingError(`Unknown recording mode '${this.mode}'`, { mode: this.mode });
+    }
+    this.targets = options.targets || [];
+    this.onMissing = options.onMissing || 'error';
+    const recording = options.recording || {};
+    if (recording.version && recording.version !== RECORDING_VERSION) {
+      throw new TestingError(`Unsupported recording version ${recording.version}`, { version: recording.version });
+    }
+    this.steps = JSON.parse(JSON.stringify(recording.steps || {}));
+    this.recordedAt = recording.recordedAt || null;
+    this._cursor = {};
+    this.log = new Logger('recorded-mock', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * @param {string} file - Recording JSON file
+   * @param {object} [options] - Constructor options besides recording
+   * @returns {RecordedMockAdapter}
+   */
+  static load(file, options = {}) {
+    let recording;
+    try {
+      recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new TestingError(`Cannot read recording ${path.basename(file)}: ${err.message}`, { file });
+    }
+    return new RecordedMockAdapter({ ...options, recording });
+  }
+
+  supports(step) {
+    if (this.mode === 'record') return this.targets.some((t) => t.supports(step));
+    if (this.steps[stepSignature(step)]) return true;
+    return this.onMissing === 'synthesize' && SYNTHESIZED_TYPES.includes(step.type);
+  }
+
+  async execute(step) {
+    const key = stepSignature(step);
+    if (this.mode === 'record') return this._record(key, step);
+
+    const entries = this.steps[key];
+    if (!entries) {
+      if (this.onMissing === 'synthesize') return this._synthesize(step);
+      throw new TestingError(`No recorded response for step ${step.stepNumber} (${key})`, { signature: key });
+    }
+    // Repeated identical calls replay in recorded order, then repeat the last
+    const index = Math.min(this._cursor[key] || 0, entries.length - 1);
+    this._cursor[key] = index + 1;
+    const entry = entries[index];
+    if (entry.error) {
+      const err = new Error(entry.error.message);
+      err.name = entry.error.name || 'Error';
+      if (entry.error.statusCode) err.statusCode = entry.error.statusCode;
+      if (entry.error.details) err.details = entry.error.details;
+      throw err;
+    }
+    return JSON.parse(JSON.stringify(entry.response));
+  }
+
+  /** @private */
+  async _record(key, step) {
+    const target = this.targets.find((t) => t.supports(step));
+    if (!target) throw new TestingError(`No adapter to record step ${step.stepNumber} through`, { signature: key });
+    if (!this.steps[key]) this.steps[key] = [];
+    try {
+      const response = await target.execute(step);
+      this.steps[key].push({ response: response === undefined ? null : response });
+      return response;
+    } catch (err) {
+      this.steps[key].push({
+        error: { name: err.name, message: err.message, statusCode: err.statusCode, details: err.details },
+      });
+      throw err;
+    }
+  }
+
+  /** @private */
+  _synthesize(step) {
+    const params = step.params || {};
+    if (step.type === 'table_check') {
+      const rows = params.expectEmpty ? [] : [{}];
+      return { rows, totalRows: rows.length, fields: params.fields || [] };
+    }
+    if (step.type === 'bapi_call') return { RETURN: [] };
+    return { d: {} };
+  }
+
+  /** Reset replay positions, e.g. before the next run */
+  rewind() {
+    this._cursor = {};
+  }
+
+  toJSON() {
+    return {
+      version: RECORDING_VERSION,
+      recordedAt: this.recordedAt || new Date().toISOString(),
+      steps: this.steps,
+    };
+  }
+
+  /**
+   * @param {string} file - Recording JSON file
+   */
+  save(file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(this.toJSON(), null, 2)}\n`);
+    this.log.info(`Wrote recording of ${Object.keys(this.steps).length} call(s) to ${file}`);
+  }
+}
+
+module.exports = {
+  ODataExecutionAdapter,
+  BapiExecutionAdapter,
+  RecordedMockAdapter,
+  stepSignature,
+};
@@ -13,6 +13,23 @@
 const { TestEngine } = require('./test-engine');
 const { TestCatalog } = require('./test-catalog');
 const { TestReport } = require('./test-report');
+const { TestExecutor } = require('./test-executor');
+const { TestHistory } = require('./test-history');
+const {
+  ODataExecutionAdapter,
+  BapiExecutionAdapter,
+  RecordedMockAdapter,
+} = require('./execution-adapters');
 const { TestingError } = require('../errors');
 
-module.exports = { TestEngine, TestCatalog, TestReport, TestingError };
+module.exports = {
+  TestEngine,
+  TestCatalog,
+  TestReport,
+  TestExecutor,
+  TestHistory,
+  ODataExecutionAdapter,
+  BapiExecutionAdapter,
+  RecordedMockAdapter,
+  TestingError,
+};
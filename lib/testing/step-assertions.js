@@ -0,0 +1,149 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+'use strict';
+
+/**
+ * Test Step Assertions
+ *
+ * Evaluates a step's expected results against the response an execution
+ * adapter returned. Assertions are { path, op, value }: path reads the
+ * response ('d.results[0].SalesOrder', 'rows'), or the run's captured
+ * variables with a '$vars.' prefix; value may use {{variable}} placeholders.
+ *
+ * Steps without explicit assertions get defaults from their type: a table
+ * check expects rows (none with params.expectEmpty); other steps pass when
+ * the call succeeds.
+ */
+
+const { TestingError } = require('../errors');
+
+const isNil = (v) => v === null || v === undefined;
+
+const OPERATORS = {
+  equals: (actual, value) => actual === value || (!isNil(actual) && !isNil(value) && String(actual) === String(value)),
+  notEquals: (actual, value) => !OPERATORS.equals(actual, value),
+  exists: (actual) => actual !== undefined && actual !== null && actual !== '',
+  notExists: (actual) => !OPERATORS.exists(actual),
+  contains: (actual, value) => (Array.isArray(actual) ? actual.includes(value) : String(actual ?? '').includes(String(value))),
+  matches: (actual, value) => new RegExp(value).test(String(actual ?? '')),
+  gt: (actual, value) => Number(actual) > Number(value),
+  gte: (actual, value) => Number(actual) >= Number(value),
+  lt: (actual, value) => Number(actual) < Number(value),
+  lte: (actual, value) => Number(actual) <= Number(value),
+  length: (actual, value) => !isNil(actual) && actual.length === Number(value),
+  empty: (actual) => isNil(actual) || actual.length === 0,
+  notEmpty: (actual) => !isNil(actual) && actual.length > 0,
+};
+
+/**
+ * Read a dotted path ('a.b[0].c') from a value.
+ * @param {*} root
+ * @param {string} [path] - Empty path returns root
+ * @returns {*}
+ */
+function getPath(root, path) {
+  if (!path) return root;
+  let value = root;
+  for (const part of path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean)) {
+    if (value === null || value === undefined) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Replace {{name}} placeholders in strings, arrays and objects with captured
+ * variables. A string that is just one placeholder keeps the variable's type.
+ * @param {*} value
+ * @param {object} variables
+ * @returns {*}
+ */
+function resolveTemplate(value, variables) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      const v = getPath(variables, whole[1]);
+      return v === undefined ? value : v;
+    }
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (m, name) => {
+      const v = getPath(variables, name);
+      return v === undefined ? m : String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => resolveTemplate(v, variables));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = resolveTemplate(v, variables);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Check that assertions are well-formed.
+ * @param {object[]} assertions
+ * @throws {TestingError}
+ */
+function validateAssertions(assertions) {
+  for (const a of assertions) {
+    if (!a || !OPERATORS[a.op]) {
+      throw new TestingError(`Unknown assertion operator '${a && a.op}'`, { assertion: a, operators: Object.keys(OPERATORS) });
+    }
+  }
+}
+
+/**
+ * @param {object} step - Generated test step
+ * @returns {object[]} The step's assertions, or the defaults for its type
+ */
+function assertionsFor(step) {
+  if (Array.isArray(step.assertions)) return step.assertions;
+  const params = step.params || {};
+  if (step.type === 'table_check') {
+    return [{ path: 'rows', op: params.expectEmpty ? 'empty' : 'notEmpty' }];
+  }
+  return [];
+}
+
+/**
+ * Evaluate assertions against a step response.
+ * @param {object[]} assertions
+ * @param {*} response - Adapter response
+ * @param {object} [variables] - Captured run variables
+ * @returns {object[]} [{ path, op, value, actual, passed, message }]
+ */
+function evaluateAssertions(assertions, response, variables = {}) {
+  validateAssertions(assertions);
+  return assertions.map((a) => {
+    const actual = a.path && a.path.startsWith('$vars.')
+      ? getPath(variables, a.path.slice(6))
+      : getPath(response, a.path);
+    const passed = OPERATORS[a.op](actual, a.value);
+    const expected = a.value === undefined ? '' : ` ${JSON.stringify(a.value)}`;
+    return {
+      path: a.path || '',
+      op: a.op,
+      value: a.value,
+      actual,
+      passed,
+      message: passed ? '' : `Expected ${a.path || 'response'} ${a.op}${expected}, got ${JSON.stringify(actual)}`,
+    };
+  });
+}
+
+module.exports = {
+  getPath,
+  resolveTemplate,
+  assertionsFor,
+  evaluateAssertions,
+  validateAssertions,
+  OPERATORS,
+};
@@ -0,0 +1,229 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+'use strict';
+
+/**
+ * Test Executor
+ *
+ * Runs generated test cases step by step through execution adapters and
+ * collects the outcomes in a TestReport.
+ *
+ * Each step goes to the first adapter that supports it; steps no adapter
+ * supports (screen navigation, manual checks) are skipped. A step's
+ * {{variable}} placeholders are resolved from the run variables first, and
+ * step.capture ({ name: 'response.path' }) stores response values for later
+ * steps — e.g. the order number a create call returned.
+ *
+ * A step passes when its call succeeds and its assertions hold. Steps with
+ * expectError (true, or a pattern the error message must match) and negative
+ * steps (params.invalidData / params.incomplete) pass when the target
+ * rejects the call (BAPI error messages, HTTP 4xx). Any other failed call —
+ * connection refused, timeout, 5xx — is an error, negative step or not.
+ */
+
+const Logger = require('../logger');
+const { TestReport } = require('./test-report');
+const { resolveTemplate, assertionsFor, evaluateAssertions, getPath } = require('./step-assertions');
+
+class TestExecutor {
+  /**
+   * @param {object} [options]
+   * @param {object[]} [options.adapters] - Execution adapters, in order of preference
+   * @param {boolean} [options.stopOnFailure=true] - Skip a test's remaining steps after a failure
+   * @param {object} [options.variables] - Initial variables for every test case
+   * @param {string} [options.logLevel]
+   */
+  constructor(options = {}) {
+    this.adapters = options.adapters || [];
+    this.stopOnFailure = options.stopOnFailure !== false;
+    this.variables = options.variables || {};
+    this.log = new Logger('test-executor', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * Executor against the target system in the server config: OData steps
+   * through SAP_BASE_URL, BAPI and table steps over RFC (SAP_RFC_*).
+   * @param {object} config - Config from lib/config.js loadConfig()
+   * @param {object} [options] - Constructor options besides adapters
+   * @returns {TestExecutor|null} null when the config names no target
+   */
+  static fromConfig(config, options = {}) {
+    const { ODataExecutionAdapter, BapiExecutionAdapter } = require('./execution-adapters');
+    const { rfcConnectionParams } = require('../config');
+    const adapters = [];
+
+    if (config.sapBaseUrl) {
+      const ODataClient = require('../odata/client');
+      const { BasicAuthProvider } = require('../odata/auth');
+      adapters.push(new ODataExecutionAdapter(new ODataClient({
+        baseUrl: config.sapBaseUrl,
+        authProvider: new BasicAuthProvider(config.sapUsername, config.sapPassword),
+        version: config.sapODataVersion,
+        timeout: config.sapTimeout,
+        retries: config.sapRetries,
+        sapClient: config.sapClient,
+      })));
+    }
+
+    const rfcParams = rfcConnectionParams(config);
+    if (rfcParams) {
+      const { RfcPool, FunctionCaller, TableReader } = require('../rfc');
+      const pool = new RfcPool(rfcParams, { callTimeout: config.sapTimeout });
+      adapters.push(new BapiExecutionAdapter(new FunctionCaller(pool), { tableReader: new TableReader(pool) }));
+    }
+
+    return adapters.length > 0 ? new TestExecutor({ ...options, adapters }) : null;
+  }
+
+  /**
+   * Execute test cases and report their outcomes.
+   * @param {object[]} testCases - Generated test cases (TestEngine output)
+   * @param {object} [options]
+   * @param {string} [options.name] - Report name
+   * @param {object} [options.report] - Existing TestReport to add to
+   * @param {object} [options.variables] - Variables per test case id, merged over the executor's
+   * @returns {Promise<TestReport>}
+   */
+  async execute(testCases, options = {}) {
+    const report = options.report || new TestReport({ name: options.name || 'SAP Test Execution' });
+    for (const testCase of testCases) {
+      const caseVariables = (options.variables || {})[testCase.id] || {};
+      const outcome = await this.runTestCase(testCase, caseVariables);
+      report.addResult(testCase, outcome);
+    }
+    const summary = report.getSummary();
+    this.log.info(`Executed ${summary.total} test case(s): ${summary.passed} passed, ${summary.failed} failed, ${summary.errors} errors`);
+    return report;
+  }
+
+  /**
+   * Run one test case.
+   * @param {object} testCase
+   * @param {object} [variables] - Variables for this test case
+   * @returns {Promise<object>} TestReport outcome { status, duration, message, details: { steps, variables } }
+   */
+  async runTestCase(testCase, variables = {}) {
+    const started = Date.now();
+    const vars = { ...this.variables, ...variables };
+    const steps = [];
+    let stopped = null;
+
+    for (const [i, raw] of (testCase.steps || []).entries()) {
+      const stepNumber = raw.stepNumber || i + 1;
+      if (stopped) {
+        steps.push(this._stepResult(raw, stepNumber, 'skip', 0, `Skipped after step ${stopped} failed`));
+        continue;
+      }
+      const result = await this._runStep({ ...raw, stepNumber, params: resolveTemplate(raw.params || {}, vars) }, vars);
+      steps.push(result);
+      if ((result.status === 'fail' || result.status === 'error') && this.stopOnFailure) stopped = stepNumber;
+    }
+
+    const failed = steps.find((s) => s.status === 'error') || steps.find((s) => s.status === 'fail');
+    let status = 'pass';
+    let message = '';
+    if (failed) {
+      status = failed.status;
+      message = `Step ${failed.stepNumber} (${failed.action}): ${failed.message}`;
+    } else if (!steps.some((s) => s.status === 'pass')) {
+      status = 'skip';
+      message = steps.length === 0 ? 'Test case has no steps' : 'No step could be executed by the configured adapters';
+    }
+
+    return {
+      status,
+      duration: Date.now() - started,
+      message,
+      details: { steps, variables: vars },
+    };
+  }
+
+  /** @private */
+  async _runStep(step, vars) {
+    const adapter = this.adapters.find((a) => a.supports(step));
+    if (!adapter) {
+      return this._stepResult(step, step.stepNumber, 'skip', 0, `No execution adapter for ${step.type} step`);
+    }
+
+    const expectError = this._expectedError(step);
+    let pattern = null;
+    if (expectError && expectError !== true) {
+      try {
+        pattern = new RegExp(expectError, 'i');
+      } catch (err) {
+        return this._stepResult(step, step.stepNumber, 'error', 0, `Invalid expectError pattern: ${err.message}`, adapter.name);
+      }
+    }
+
+    const started = Date.now();
+    let response;
+    try {
+      response = await adapter.execute(step);
+    } catch (err) {
+      const duration = Date.now() - started;
+      // A call that never reached a verdict proves nothing, expected error or not
+      if (!this._isRejection(err)) {
+        return this._stepResult(step, step.stepNumber, 'error', duration, err.message, adapter.name);
+      }
+      if (expectError) {
+        const matches = !pattern || pattern.test(err.message);
+        return this._stepResult(step, step.stepNumber, matches ? 'pass' : 'fail', duration,
+          matches ? '' : `Expected error matching /${expectError}/, got: ${err.message}`, adapter.name);
+      }
+      return this._stepResult(step, step.stepNumber, 'fail', duration, err.message, adapter.name);
+    }
+
+    for (const [name, responsePath] of Object.entries(step.capture || {})) {
+      vars[name] = getPath(response, responsePath);
+    }
+    const duration = Date.now() - started;
+    if (expectError) {
+      return this._stepResult(step, step.stepNumber, 'fail', duration, 'Expected the call to fail, but it succeeded', adapter.name);
+    }
+
+    const assertions = evaluateAssertions(resolveTemplate(assertionsFor(step), vars), response, vars);
+    const failed = assertions.filter((a) => !a.passed);
+    return {
+      ...this._stepResult(step, step.stepNumber, failed.length > 0 ? 'fail' : 'pass', duration,
+        failed.map((a) => a.message).join('; '), adapter.name),
+      assertions,
+    };
+  }
+
+  /** @private */
+  _expectedError(step) {
+    if (step.expectError) return step.expectError;
+    const params = step.params || {};
+    return params.invalidData || params.incomplete ? true : null;
+  }
+
+  /** @private Whether the target rejected the call (as opposed to it not completing) */
+  _isRejection(err) {
+    if (err.details && err.details.bapiErrors) return true;
+    return err.statusCode >= 400 && err.statusCode < 500;
+  }
+
+  /** @private */
+  _stepResult(step, stepNumber, status, duration, message, adapter = null) {
+    return {
+      stepNumber,
+      action: step.action,
+      type: step.type,
+      adapter,
+      status,
+      duration,
+      message: message || '',
+      expectedResult: step.expectedResult || '',
+    };
+  }
+}
+
+module.exports = { TestExecutor };
@@ -0,0 +1,243 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+'use strict';
+
+/**
+ * Test Run History
+ *
+ * Keeps executed TestReports per suite and environment (through a
+ * PersistenceAdapter) and analyzes the recent runs:
+ *   - pass rate trend, overall and per module, as series aligned to runs
+ *   - flaky tests: outcomes that keep switching between pass and fail
+ *   - newly failing tests: failing in the latest run although they passed
+ *     in the last green run (a run with passes and no failures or errors)
+ *
+ * Pass rates leave skipped tests out, as TestReport.getSummary() does.
+ */
+
+const Logger = require('../logger');
+const { PersistenceAdapter } = require('../persistence');
+const { TestingError } = require('../errors');
+
+const DEFAULT_WINDOW = 20;
+const MAX_RUN_ID = 64; // TestRuns.runId : String(64)
+const DEFAULT_MIN_FLIPS = 2;
+
+const isFailure = (status) => status === 'fail' || status === 'error';
+const isGreen = (run) => run.summary.passed > 0 && !run.summary.failed && !run.summary.errors;
+
+function passRate(counts) {
+  const denominator = counts.total - (counts.skipped || 0);
+  return denominator > 0 ? Math.round((counts.passed / denominator) * 10000) / 100 : null;
+}
+
+class TestHistory {
+  /**
+   * @param {object} [options]
+   * @param {PersistenceAdapter} [options.persistence] - Store (default: in-memory)
+   * @param {number} [options.minFlips=2] - Pass/fail switches that make a test flaky
+   * @param {string} [options.logLevel]
+   */
+  constructor(options = {}) {
+    this.store = options.persistence || new PersistenceAdapter({ mode: 'memory' });
+    this.minFlips = options.minFlips || DEFAULT_MIN_FLIPS;
+    this.log = new Logger('test-history', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * Record an executed report.
+   * @param {TestReport} report
+   * @param {object} [meta] - { runId, suite = 'default', environment = 'default' }
+   *   runId defaults to `<suite>-<timestamp>`, the suite cut to fit 64 characters
+   * @returns {Promise<object>} The saved run
+   */
+  async record(report, meta = {}) {
+    if (!report || !Array.isArray(report.results)) {
+      throw new TestingError('Test history requires an executed TestReport', { report: typeof report });
+    }
+    TestHistory.checkRunId(meta.runId);
+    const suffix = `-${report.timestamp}`;
+    const run = await this.store.saveTestRun({
+      runId: meta.runId || `${(meta.suite || 'default').slice(0, Math.max(0, MAX_RUN_ID - suffix.length))}${suffix}`,
+      suite: meta.suite,
+      environment: meta.environment,
+      name: report.name,
+      executedAt: report.timestamp,
+      summary: report.getSummary(),
+      byModule: report.getByModule(),
+      results: report.results.map((r) => ({
+        id: r.testCase.id,
+        name: r.testCase.name || '',
+        module: r.testCase.module || 'UNKNOWN',
+        status: r.outcome.status,
+        message: r.outcome.message || '',
+      })),
+    });
+    this.log.info(`Recorded test run ${run.runId} (${run.suite}/${run.environment}): ${run.summary.passed}/${run.summary.total} passed`);
+    return run;
+  }
+
+  /**
+   * Reject a run id the TestRuns table cannot hold.
+   * @param {string} [runId]
+   */
+  static checkRunId(runId) {
+    if (runId !== undefined && runId !== null && (typeof runId !== 'string' || runId.length > MAX_RUN_ID)) {
+      throw new TestingError(`runId must be a string of at most ${MAX_RUN_ID} characters`, { runId });
+    }
+  }
+
+  /**
+   * Recent runs of a suite in an environment, oldest first.
+   * @param {object} [options] - { suite, environment, limit = 20 }
+   * @returns {Promise<object[]>}
+   */
+  async list(options = {}) {
+    return this.store.listTestRuns(
+      { suite: options.suite, environment: options.environment },
+      options.limit || DEFAULT_WINDOW,
+    );
+  }
+
+  /**
+   * Analyze the recent runs of one suite in one environment; runs of other
+   * suites or environments never enter the series.
+   * @param {object} [options] - { suite = 'default', environment = 'default', limit = 20 }
+   * @returns {Promise<object>} { suite, environment, runs, trend, flaky, newlyFailing, lastGreenRun }
+   */
+  async analyze(options = {}) {
+    const suite = options.suite || 'default';
+    const environment = options.environment || 'default';
+    const runs = await this.list({ suite, environment, limit: options.limit });
+    const lastGreen = [...runs].reverse().find(isGreen) || null;
+
+    return {
+      suite,
+      environment,
+      runs: runs.map((r) => ({
+        runId: r.runId,
+        suite: r.suite,
+        environment: r.environment,
+        executedAt: r.executedAt,
+        summary: r.summary,
+      })),
+      trend: this.trend(runs),
+      flaky: this.flaky(runs),
+      newlyFailing: this.newlyFailing(runs, lastGreen),
+      lastGreenRun: lastGreen ? { runId: lastGreen.runId, executedAt: lastGreen.executedAt } : null,
+    };
+  }
+
+  /**
+   * Pass rate series aligned to runs; a module absent from a run is null.
+   * @param {object[]} runs - Oldest first
+   * @returns {object} { labels, runIds, passRate, modules: { FI: [..] } }
+   */
+  trend(runs) {
+    const moduleNames = [...new Set(runs.flatMap((r) => Object.keys(r.byModule || {})))].sort();
+    const modules = {};
+    for (const mod of moduleNames) {
+      modules[mod] = runs.map((r) => (r.byModule && r.byModule[mod] ? passRate(r.byModule[mod]) : null));
+    }
+    return {
+      labels: runs.map((r) => r.executedAt),
+      runIds: runs.map((r) => r.runId),
+      passRate: runs.map((r) => passRate(r.summary)),
+      modules,
+    };
+  }
+
+  /**
+   * Tests whose outcome switched between pass and failure at least minFlips
+   * times over the runs; skipped runs of a test are ignored.
+   * @param {object[]} runs - Oldest first
+   * @returns {object[]} [{ testId, name, module, flips, flipRate, outcomes, lastStatus }], most flips first
+   */
+  flaky(runs) {
+    const flaky = [];
+    for (const [testId, history] of this._byTest(runs)) {
+      const outcomes = history.filter((h) => h.status !== 'skip');
+      let flips = 0;
+      for (let i = 1; i < outcomes.length; i++) {
+        if (isFailure(outcomes[i].status) !== isFailure(outcomes[i - 1].status)) flips++;
+      }
+      if (flips < this.minFlips) continue;
+      const last = history[history.length - 1];
+      flaky.push({
+        testId,
+        name: last.name,
+        module: last.module,
+        flips,
+        flipRate: Math.round((flips / (outcomes.length - 1)) * 100) / 100,
+        outcomes: history.map((h) => ({ runId: h.runId, status: h.status })),
+        lastStatus: last.status,
+      });
+    }
+    return flaky.sort((a, b) => b.flips - a.flips || a.testId.localeCompare(b.testId));
+  }
+
+  /**
+   * Tests failing in the latest run that passed in the last green run, with
+   * the run they have been failing since.
+   * @param {object[]} runs - Oldest first
+   * @param {object} [lastGreen] - Last run without failures (default: found in runs)
+   * @returns {object[]} [{ testId, name, module, status, message, failingSince, failedRuns, flaky }]
+   */
+  newlyFailing(runs, lastGreen) {
+    if (runs.length === 0) return [];
+    const green = lastGreen === undefined ? [...runs].reverse().find(isGreen) : lastGreen;
+    if (!green) return [];
+    const latest = runs[runs.length - 1];
+    if (latest === green) return [];
+
+    const passedInGreen = new Set(green.results.filter((r) => r.status === 'pass').map((r) => r.id));
+    const after = runs.slice(runs.indexOf(green) + 1);
+    const flakyIds = new Set(this.flaky(runs).map((f) => f.testId));
+
+    return latest.results
+      .filter((r) => isFailure(r.status) && passedInGreen.has(r.id))
+      .map((r) => {
+        // Earliest run after the green one from which the test kept failing
+        let failingSince = latest.runId;
+        let failedRuns = 0;
+        for (let i = after.length - 1; i >= 0; i--) {
+          const result = after[i].results.find((x) => x.id === r.id);
+          if (!result || !isFailure(result.status)) break;
+          failingSince = after[i].runId;
+          failedRuns++;
+        }
+        return {
+          testId: r.id,
+          name: r.name,
+          module: r.module,
+          status: r.status,
+          message: r.message,
+          failingSince,
+          failedRuns,
+          flaky: flakyIds.has(r.id),
+        };
+      });
+  }
+
+  /** @private Outcomes per test id across runs, oldest first */
+  _byTest(runs) {
+    const byTest = new Map();
+    for (const run of runs) {
+      for (const r of run.results || []) {
+        if (!byTest.has(r.id)) byTest.set(r.id, []);
+        byTest.get(r.id).push({ ...r, runId: run.runId });
+      }
+    }
+    return byTest;
+  }
+}
+
+module.exports = { TestHistory };
@@ -0,0 +1,470 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * ABAP Tokenizer and Statement Parser
+ *
+ * Splits ABAP source into tokens (words, literals, string templates,
+ * comments, pragmas, punctuation) and statements, so simplification rules
+ * can look at code rather than raw lines:
+ *
+ *   - full-line (*) and end-of-line (") comments are recognised and
+ *     never matched by rules
+ *   - statements end at a period, wherever the line breaks are, so a
+ *     SELECT spread over five lines is one statement
+ *   - chained statements (DATA: a TYPE i, b TYPE c.) are expanded into
+ *     one statement per chain part
+ *
+ * Each statement is classified by kind (select, insert, update, modify,
+ * delete, call_function, call_method, call_transaction, perform, submit,
+ * data, types, assignment, method_call, ...) and carries the database
+ * tables it reads or writes, the types it references (TYPE / LIKE), and
+ * the name of the called unit for CALL / PERFORM / SUBMIT / INCLUDE.
+ *
+ * The parser is deliberately forgiving: it never throws on malformed or
+ * non-ABAP input (CDS DDL, snippets without periods) and simply returns
+ * whatever statements it can delimit. checkSyntax() reports the structural
+ * problems it can see (unclosed literals, blocks, parentheses).
+ */
+
+// Words between TYPE / LIKE and the referenced type
+const TYPE_MODIFIERS = new Set([
+  'STANDARD', 'SORTED', 'HASHED', 'ANY', 'INDEX', 'TABLE', 'OF', 'REF', 'TO',
+  'RANGE', 'LINE', 'UNIQUE', 'NON-UNIQUE', 'KEY', 'DEFAULT', 'EMPTY',
+]);
+
+// Free-text literals are blanked for regex rules; literals that look like a
+// name (function module, transaction, dynamic table) stay visible.
+const NAME_LITERAL = /^[A-Za-z0-9_/%-]*$/;
+
+// ── Tokenizer ────────────────────────────────────────────────────────
+
+/**
+ * Tokenize ABAP source.
+ * @param {string} source
+ * @returns {object[]} [{ type, value, start, end, line, column }] where type is
+ *   word | string | template | comment | pragma | punct | period
+ */
+function tokenize(source) {
+  const tokens = [];
+  const src = source || '';
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const push = (type, start, end, value) => {
+    tokens.push({ type, value: value === undefined ? src.slice(start, end) : value, start, end, line, column: start - lineStart + 1 });
+  };
+  const endOfLine = (from) => {
+    const nl = src.indexOf('\n', from);
+    return nl === -1 ? src.length : nl;
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '\n') {
+      i++;
+      line++;
+      lineStart = i;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else if ((ch === '*' && i === lineStart) || ch === '"') {
+      const end = endOfLine(i);
+      push('comment', i, end);
+      i = end;
+    } else if (ch === "'" || ch === '`') {
+      // Quotes are escaped by doubling them; literals cannot span lines
+      const eol = endOfLine(i);
+      let j = i + 1;
+      let value = '';
+      while (j < eol) {
+        if (src[j] === ch) {
+          if (src[j + 1] === ch) {
+            value += ch;
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += src[j++];
+      }
+      const end = Math.min(j + 1, eol);
+      push('string', i, end, value);
+      if (j >= eol) tokens[tokens.length - 1].unterminated = true;
+      i = end;
+    } else if (ch === '|') {
+      // String template: | text { expression } text |
+      const eol = endOfLine(i);
+      let j = i + 1;
+      let depth = 0;
+      while (j < eol) {
+        if (src[j] === '\\') j++;
+        else if (src[j] === '{') depth++;
+        else if (src[j] === '}') depth = Math.max(0, depth - 1);
+        else if (src[j] === '|' && depth === 0) break;
+        j++;
+      }
+      const end = Math.min(j + 1, eol);
+      push('template', i, end, src.slice(i + 1, Math.max(i + 1, end - 1)));
+      if (j >= eol) tokens[tokens.length - 1].unterminated = true;
+      i = end;
+    } else if ('(),:'.includes(ch)) {
+      push('punct', i, i + 1);
+      i++;
+    } else if (ch === '.' && isTerminator(src, i)) {
+      push('period', i, i + 1);
+      i++;
+    } else {
+      let j = i;
+      while (j < src.length && !/[\s'`|"(),:]/.test(src[j]) && !(src[j] === '.' && isTerminator(src, j))) j++;
+      push(src.startsWith('##', i) ? 'pragma' : 'word', i, j);
+      i = j;
+    }
+  }
+  return tokens;
+}
+
+/** A period ends a statement when followed by whitespace, a comment or the end of input */
+function isTerminator(src, i) {
+  const next = src[i + 1];
+  return next === undefined || next === '"' || /\s/.test(next);
+}
+
+// ── Statements ───────────────────────────────────────────────────────
+
+/**
+ * Parse ABAP source into statements.
+ * @param {string} source
+ * @returns {object} {
+ *   source, tokens,
+ *   statements: [{ kind, keyword, text, tokens, line, column, endLine, start, end,
+ *                  chained, tables, typeRefs, name, refs }],
+ *   segments: [{ start, end, line }]  — raw statement spans (chains unexpanded),
+ *   masked — source with comments and free-text literals blanked,
+ *   lines, locate(offset) → { line, column }
+ * }
+ */
+function parseSource(source) {
+  const src = source || '';
+  const tokens = tokenize(src);
+  const statements = [];
+  const segments = [];
+
+  let current = [];
+  const flush = (period) => {
+    if (current.length > 0) {
+      const start = current[0].start;
+      const end = period ? period.end : current[current.length - 1].end;
+      segments.push({ start, end, line: current[0].line });
+      const endLine = (period || current[current.length - 1]).line;
+      for (const part of expandChain(current)) {
+        statements.push(buildStatement(part.tokens, { start, end, endLine, chained: part.chained, anchor: part.anchor }));
+      }
+    }
+    current = [];
+  };
+  for (const token of tokens) {
+    if (token.type === 'comment' || token.type === 'pragma') continue;
+    if (token.type === 'period') flush(token);
+    else current.push(token);
+  }
+  flush(null);
+
+  const lineStarts = [0];
+  for (let i = 0; i < src.length; i++) if (src[i] === '\n') lineStarts.push(i + 1);
+
+  return {
+    source: src,
+    tokens,
+    statements,
+    segments,
+    masked: maskSource(src, tokens),
+    lines: src.split('\n'),
+    locate(offset) {
+      let lo = 0;
+      let hi = lineStarts.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (lineStarts[mid] <= offset) lo = mid;
+        else hi = mid - 1;
+      }
+      return { line: lo + 1, column: offset - lineStarts[lo] + 1 };
+    },
+  };
+}
+
+/**
+ * Convenience wrapper returning only the statements.
+ * @param {string} source
+ * @returns {object[]}
+ */
+function parseStatements(source) {
+  return parseSource(source).statements;
+}
+
+/**
+ * Blank comments and free-text literals, keeping offsets and line breaks.
+ * Literal delimiters stay so statements keep their shape.
+ * @param {string} source
+ * @param {object[]} [tokens] - From tokenize(source)
+ * @returns {string}
+ */
+function maskSource(source, tokens) {
+  const chars = (source || '').split('');
+  const blank = (from, to) => {
+    for (let k = from; k < to; k++) if (chars[k] !== '\n') chars[k] = ' ';
+  };
+  for (const t of tokens || tokenize(source)) {
+    if (t.type === 'comment') blank(t.start, t.end);
+    else if (t.type === 'template' || (t.type === 'string' && !NAME_LITERAL.test(t.value))) blank(t.start + 1, t.end - 1);
+  }
+  return chars.join('');
+}
+
+/** @private — split "A B: x, y." into [A B x] and [A B y] */
+function expandChain(tokens) {
+  const colon = tokens.findIndex((t) => t.type === 'punct' && t.value === ':');
+  if (colon === -1) return [{ tokens, chained: false, anchor: tokens[0] }];
+  const prefix = tokens.slice(0, colon);
+  const parts = [];
+  let part = [];
+  let depth = 0;
+  for (const t of tokens.slice(colon + 1)) {
+    if (t.type === 'punct' && t.value === '(') depth++;
+    if (t.type === 'punct' && t.value === ')') depth = Math.max(0, depth - 1);
+    if (t.type === 'punct' && t.value === ',' && depth === 0) {
+      parts.push(part);
+      part = [];
+    } else {
+      part.push(t);
+    }
+  }
+  parts.push(part);
+  const nonEmpty = parts.filter((p) => p.length > 0);
+  if (nonEmpty.length === 0) return [{ tokens: prefix, chained: false, anchor: tokens[0] }];
+  return nonEmpty.map((p) => ({ tokens: [...prefix, ...p], chained: true, anchor: p[0] }));
+}
+
+/** @private */
+function buildStatement(tokens, span) {
+  const words = tokens.map((t) => (t.type === 'word' ? t.value.toUpperCase() : null));
+  const stmt = {
+    kind: classify(tokens, words),
+    keyword: words[0] || '',
+    text: tokens.map(tokenText).join(' '),
+    tokens,
+    line: span.anchor.line,
+    column: span.anchor.column,
+    endLine: span.endLine,
+    start: span.start,
+    end: span.end,
+    chained: span.chained,
+    tables: [],
+    typeRefs: [],
+    name: null,
+    refs: [],
+  };
+
+  // start / end delimit the name itself: no quotes, no @ host-variable marker
+  const ref = (type, token, value) => {
+    const start = token.start + (token.type === 'string' || token.value.startsWith('@') ? 1 : 0);
+    stmt.refs.push({ type, value, line: token.line, column: token.column, start, end: start + value.length });
+    if (type === 'table' && !stmt.tables.includes(value)) stmt.tables.push(value);
+    if (type === 'type' && !stmt.typeRefs.includes(value)) stmt.typeRefs.push(value);
+    if (type === 'name' && stmt.name === null) stmt.name = value;
+  };
+  const wordAt = (i) => (tokens[i] && tokens[i].type === 'word' ? words[i] : null);
+
+  // Database tables
+  const isSql = words.includes('SELECT');
+  if (isSql) {
+    words.forEach((w, i) => {
+      if ((w === 'FROM' || w === 'JOIN') && wordAt(i + 1)) ref('table', tokens[i + 1], tableName(words[i + 1]));
+    });
+  }
+  const dbTarget = dmlTarget(stmt.kind, words, wordAt);
+  if (dbTarget !== null) ref('table', tokens[dbTarget], tableName(words[dbTarget]));
+  if (stmt.kind === 'tables' || stmt.kind === 'nodes') {
+    tokens.slice(1).forEach((t, i) => { if (wordAt(i + 1)) ref('table', t, words[i + 1]); });
+  }
+
+  // Type references (LIKE in a WHERE clause is a comparison, not a type)
+  words.forEach((w, i) => {
+    if (isSql || (w !== 'TYPE' && w !== 'LIKE')) return;
+    let j = i + 1;
+    while (wordAt(j) && TYPE_MODIFIERS.has(words[j]) && wordAt(j + 1)) j++;
+    if (wordAt(j) && !TYPE_MODIFIERS.has(words[j])) ref('type', tokens[j], words[j]);
+  });
+
+  // Called unit
+  const nameIndex = calledName(stmt.kind, words);
+  if (nameIndex !== null && tokens[nameIndex]) {
+    const t = tokens[nameIndex];
+    if (t.type === 'string') ref('name', t, t.value.toUpperCase());
+    else if (t.type === 'word') ref('name', t, words[nameIndex]);
+  }
+  return stmt;
+}
+
+/** @private */
+function classify(tokens, words) {
+  const first = words[0];
+  if (!first) return 'unknown';
+  const second = tokens[1];
+  const adjacentParen = second && second.type === 'punct' && second.value === '(' && second.start === tokens[0].end;
+
+  if (second && second.type === 'word' && /^[-+*/?]?=$|^&&=$/.test(second.value)) return 'assignment';
+  if (adjacentParen && (first === 'DATA' || first === 'FINAL')) return 'assignment';
+  if (first === 'CALL' && words[1]) return `call_${words[1].toLowerCase().replace(/-/g, '_')}`;
+  if (first === 'OPEN' && words[1] === 'CURSOR') return 'open_cursor';
+  if (/->|=>/.test(first) || adjacentParen) {
+    let depth = 0;
+    for (const t of tokens) {
+      if (t.type === 'punct' && t.value === '(') depth++;
+      else if (t.type === 'punct' && t.value === ')') depth--;
+      else if (depth === 0 && t.type === 'word' && /^[?]?=$/.test(t.value)) return 'assignment';
+    }
+    return 'method_call';
+  }
+  return first.toLowerCase().replace(/-/g, '_');
+}
+
+/** @private — index of the database table written by INSERT / UPDATE / MODIFY / DELETE, or null */
+function dmlTarget(kind, words, wordAt) {
+  switch (kind) {
+    case 'insert':
+      if (words[1] === 'INTO' && words[2] !== 'TABLE' && wordAt(2)) return 2;
+      if (wordAt(1) && words[2] === 'FROM' && !words.includes('INTO')) return 1;
+      return null;
+    case 'update':
+      return wordAt(1) && (words[2] === 'SET' || words[2] === 'FROM') ? 1 : null;
+    case 'modify':
+    case 'delete':
+      if (kind === 'delete' && words[1] === 'FROM' && wordAt(2)) return 2;
+      if (wordAt(1) && words[1] !== 'TABLE' && words[2] === 'FROM'
+        && !['INDEX', 'TRANSPORTING', 'WHERE'].some((w) => words.includes(w))) return 1;
+      return null;
+    default:
+      return null;
+  }
+}
+
+/** @private — token index of the called unit, or null */
+function calledName(kind, words) {
+  switch (kind) {
+    case 'call_function':
+    case 'call_transaction':
+    case 'call_method':
+    case 'call_screen':
+    case 'call_badi':
+    case 'call_customer_function':
+      return 2;
+    case 'perform':
+      return 1;
+    case 'submit':
+      return 1;
+    case 'include':
+      return ['STRUCTURE', 'TYPE'].includes(words[1]) ? null : 1;
+    default:
+      return null;
+  }
+}
+
+/** @private — strip an alias or host-variable marker: "bkpf~belnr" → BKPF */
+function tableName(word) {
+  return word.replace(/^@/, '').split('~')[0];
+}
+
+/** @private */
+function tokenText(t) {
+  if (t.type === 'string') return `'${t.value}'`;
+  if (t.type === 'template') return `|${t.value}|`;
+  return t.value;
+}
+
+// ── Local syntax check ──────────────────────────────────────────────
+
+// Block statements and the statement that closes them
+const BLOCKS = {
+  if: 'endif', case: 'endcase', do: 'enddo', while: 'endwhile', loop: 'endloop',
+  try: 'endtry', method: 'endmethod', form: 'endform', function: 'endfunction',
+  class: 'endclass', interface: 'endinterface', module: 'endmodule', provide: 'endprovide',
+};
+const BLOCK_ENDS = new Map(Object.entries(BLOCKS).map(([open, close]) => [close, open]));
+
+/**
+ * Structural syntax check without a backend: unterminated literals and
+ * statements, unbalanced parentheses, and unmatched block statements
+ * (IF/ENDIF, LOOP/ENDLOOP, METHOD/ENDMETHOD, ...). Used when no ADT
+ * connection is available; returns the shape of AdtClient.getSyntaxCheck().
+ *
+ * @param {string} source
+ * @returns {{ valid: boolean, messages: Array<{ severity, line, column, text }> }}
+ */
+function checkSyntax(source) {
+  const parsed = parseSource(source);
+  const messages = [];
+  const error = (at, text) => messages.push({ severity: 'error', line: at.line, column: at.column, text });
+
+  // Literals and parentheses, statement by statement
+  const open = [];
+  for (const t of parsed.tokens) {
+    if (t.type === 'comment' || t.type === 'pragma') continue;
+    if (t.unterminated) error(t, t.type === 'template' ? 'String template is not closed' : 'Literal is not closed');
+    if (t.type === 'punct' && t.value === '(') open.push(t);
+    if (t.type === 'punct' && t.value === ')' && !open.pop()) {
+      error(t, 'Closing parenthesis without opening parenthesis');
+    }
+    if (t.type === 'period' || t === parsed.tokens[parsed.tokens.length - 1]) {
+      if (open.length > 0) error(open[open.length - 1], 'Parenthesis is not closed');
+      open.length = 0;
+    }
+  }
+
+  // Block statements
+  const stack = [];
+  for (const stmt of parsed.statements) {
+    const deferred = stmt.kind === 'class' || stmt.kind === 'interface'
+      ? stmt.tokens.some((t) => t.type === 'word' && /^(DEFERRED|LOAD)$/i.test(t.value))
+      : false;
+    if (BLOCKS[stmt.kind] && !deferred) {
+      stack.push(stmt);
+    } else if (BLOCK_ENDS.has(stmt.kind)) {
+      const open = BLOCK_ENDS.get(stmt.kind);
+      const index = stack.map((s) => s.kind).lastIndexOf(open);
+      if (index === -1) {
+        error(stmt, `${stmt.keyword} without ${open.toUpperCase()}`);
+      } else {
+        for (const unclosed of stack.splice(index).slice(1)) {
+          error(unclosed, `${unclosed.keyword} is not closed by ${BLOCKS[unclosed.kind].toUpperCase()}`);
+        }
+      }
+    }
+  }
+  for (const unclosed of stack) {
+    error(unclosed, `${unclosed.keyword} is not closed by ${BLOCKS[unclosed.kind].toUpperCase()}`);
+  }
+
+  const last = parsed.segments[parsed.segments.length - 1];
+  if (last && parsed.masked[last.end - 1] !== '.') {
+    error(parsed.locate(last.start), 'Statement is not terminated by a period');
+  }
+
+  messages.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { valid: messages.length === 0, messages };
+}
+
+module.exports = {
+  tokenize,
+  parseSource,
+  parseStatements,
+  maskSource,
+  checkSyntax,
+};
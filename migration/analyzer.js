@@ -8,7 +8,9 @@
  *
  *     http://www.apache.org/licenses/LICENSE-2.0
  */
-const { checkSource, severityWeight, getAllRules } = require('./rules');
+const { registry, severityWeight } = require('./rules');
+const { BUILTIN_PACK } = require('./rules/rule-packs');
+const { fingerprintFindings } = require('./baseline');
 const Logger = require('../lib/logger');
 
 /**
@@ -17,10 +19,26 @@ const Logger = require('../lib/logger');
  * Applies simplification rules against scanned custom code,
  * categorizes findings by severity, calculates readiness score,
  * and estimates remediation effort.
+ *
+ * options.ruleRegistry (e.g. from createRuleRegistry() with a client's rule
+ * packs) replaces the built-in rules; each finding names the rule pack that
+ * produced it and any severity override applied by a pack.
+ *
+ * options.baseline (an AssessmentBaseline) marks findings as new or existing
+ * and applies its unexpired suppressions: suppressed findings are reported
+ * separately and left out of counts, readiness and effort.
+ *
+ * options.effortModel (an EffortModel from lib/scoring, usually the client's
+ * calibrated one) replaces the fixed days per severity in the effort
+ * estimate and adds its confidence interval.
  */
 class Analyzer {
   constructor(options = {}) {
     this.verbose = options.verbose || false;
+    this.rules = options.ruleRegistry || registry;
+    this.baseline = options.baseline || null;
+    this.now = options.now || null;
+    this.effortModel = options.effortModel || null;
     this.logger = new Logger('analyzer', { level: options.logLevel || 'info' });
   }
 
@@ -37,12 +55,12 @@ class Analyzer {
     this._log('Starting compatibility analysis...');
 
     const { objects, sources, stats: scanStats } = scanResult;
-    const findings = [];
+    let findings = [];
     const objectSummary = [];
 
     // Check each source against all rules
     for (const [objectName, sourceInfo] of Object.entries(sources)) {
-      const sourceFindings = checkSource(sourceInfo.source, objectName);
+      const sourceFindings = this.rules.checkSource(sourceInfo.source, objectName);
 
       if (sourceFindings.length > 0) {
         for (const finding of sourceFindings) {
@@ -55,8 +73,10 @@ class Analyzer {
             title: finding.rule.title,
             description: finding.rule.description,
             remediation: finding.rule.remediation,
+            simplificationId: finding.rule.simplificationId || null,
             matches: finding.matches,
             matchCount: finding.matches.length,
+            ...this._packInfo(finding.rule),
           });
         }
       }
@@ -65,15 +85,13 @@ class Analyzer {
         name: objectName,
         type: sourceInfo.type,
         lines: sourceInfo.lines,
-        findingCount: sourceFindings.length,
-        maxSeverity: this._maxSeverity(sourceFindings),
       });
     }
 
     // Also check objects without source (by name pattern)
     for (const obj of objects) {
       if (!sources[obj.name]) {
-        const nameFindings = checkSource('', obj.name);
+        const nameFindings = this.rules.checkSource('', obj.name);
         if (nameFindings.length > 0) {
           for (const finding of nameFindings) {
             findings.push({
@@ -85,14 +103,33 @@ class Analyzer {
               title: finding.rule.title,
               description: finding.rule.description,
               remediation: finding.rule.remediation,
+              simplificationId: finding.rule.simplificationId || null,
               matches: finding.matches,
               matchCount: finding.matches.length,
+              ...this._packInfo(finding.rule),
             });
           }
         }
       }
     }
 
+    fingerprintFindings(findings);
+    let suppressedFindings = [];
+    let suppressions = null;
+    if (this.baseline) {
+      const applied = this.baseline.applySuppressions(findings, this.now || new Date());
+      findings = applied.active;
+      suppressedFindings = applied.suppressed;
+      suppressions = { applied: suppressedFindings.length, expired: applied.expired, unused: applied.unused };
+      if (applied.expired.length > 0) this._log(`${applied.expired.length} suppression(s) expired`);
+    }
+
+    for (const obj of objectSummary) {
+      const objFindings = findings.filter((f) => f.object === obj.name);
+      obj.findingCount = objFindings.length;
+      obj.maxSeverity = this._maxSeverity(objFindings);
+    }
+
     // Calculate statistics
     const severityCounts = this._countBySeverity(findings);
     const categoryCounts = this._countByCategory(findings);
@@ -107,6 +144,7 @@ class Analyzer {
         totalObjects: objects.length,
         objectsScanned: Object.keys(sources).length,
         totalFindings: findings.length,
+        suppressedFindings: suppressedFindings.length,
         readinessScore,
         readinessGrade: this._readinessGrade(readinessScore),
         effortEstimate,
@@ -119,10 +157,39 @@ class Analyzer {
         return (sevOrder[a.maxSeverity] || 4) - (sevOrder[b.maxSeverity] || 4);
       }),
       riskMatrix,
-      rulesChecked: getAllRules().length,
+      rulesChecked: this.rules.getAll().length,
+      rulePacks: this._summarizePacks(findings),
+      suppressedFindings: this._sortFindings(suppressedFindings),
+      suppressions,
+      baseline: this.baseline && this.baseline.hasFindings
+        ? this.baseline.compare(findings, suppressedFindings)
+        : null,
     };
   }
 
+  /**
+   * Rule pack fields of a finding
+   */
+  _packInfo(rule) {
+    const info = { rulePack: rule.pack || BUILTIN_PACK.packId };
+    if (rule.override) info.severityOverride = rule.override;
+    return info;
+  }
+
+  /**
+   * Built-in rules and registered rule packs, with their finding counts
+   */
+  _summarizePacks(findings) {
+    const packs = [
+      { ...BUILTIN_PACK, ruleCount: this.rules.getAll().filter((r) => !r.pack).length },
+      ...this.rules.getPacks(),
+    ];
+    return packs.map((p) => ({
+      ...p,
+      findingCount: findings.filter((f) => f.rulePack === p.packId).length,
+    }));
+  }
+
   /**
    * Get highest severity from a list of findings
    */
@@ -130,7 +197,7 @@ class Analyzer {
     if (!findings || findings.length === 0) return 'none';
     const order = ['critical', 'high', 'medium', 'low'];
     for (const sev of order) {
-      if (findings.some((f) => f.rule.severity === sev)) return sev;
+      if (findings.some((f) => f.severity === sev)) return sev;
     }
     return 'none';
   }
@@ -163,6 +230,7 @@ class Analyzer {
    * Score = 100 - penalty
    * Penalty based on weighted findings relative to total object count.
    * Critical findings have 10x the weight of low findings.
+   * Suppressed findings are not passed in, so waivers raise the score.
    */
   _calculateReadiness(findings, totalObjects) {
     if (totalObjects === 0) return 100;
@@ -194,17 +262,32 @@ class Analyzer {
    * Estimate remediation effort
    */
   _estimateEffort(findings) {
-    const effortPerSeverity = { critical: 5, high: 3, medium: 1, low: 0.5 };
     let totalDays = 0;
+    let interval = null;
 
-    for (const f of findings) {
-      totalDays += effortPerSeverity[f.severity] || 1;
+    if (this.effortModel) {
+      const estimate = this.effortModel.estimate(findings);
+      totalDays = estimate.days;
+      interval = {
+        hours: estimate.hours,
+        low: estimate.low,
+        high: estimate.high,
+        confidence: estimate.confidence,
+        calibrated: estimate.calibrated,
+        sampleSize: estimate.sampleSize,
+      };
+    } else {
+      const effortPerSeverity = { critical: 5, high: 3, medium: 1, low: 0.5 };
+      for (const f of findings) {
+        totalDays += effortPerSeverity[f.severity] || 1;
+      }
     }
 
-    if (totalDays <= 5) return { days: totalDays, level: 'Low', range: '1-5 days' };
-    if (totalDays <= 20) return { days: totalDays, level: 'Medium', range: '1-4 weeks' };
-    if (totalDays <= 60) return { days: totalDays, level: 'High', range: '1-3 months' };
-    return { days: totalDays, level: 'Very High', range: '3+ months' };
+    const withInterval = (effort) => (interval ? { ...effort, interval } : effort);
+    if (totalDays <= 5) return withInterval({ days: totalDays, level: 'Low', range: '1-5 days' });
+    if (totalDays <= 20) return withInterval({ days: totalDays, level: 'Medium', range: '1-4 weeks' });
+    if (totalDays <= 60) return withInterval({ days: totalDays, level: 'High', range: '1-3 months' });
+    return withInterval({ days: totalDays, level: 'Very High', range: '3+ months' });
   }
 
   /**
@@ -16,10 +16,16 @@
  * Usage:
  *   npm run assess                          # Mock mode assessment
  *   npm run assess -- --format md           # Markdown output
+ *   npm run assess -- --format sarif -o assessment.sarif  # SARIF 2.1.0 for code-scanning viewers
  *   npm run assess -- --client "Acme Corp"  # With client name
+ *   npm run assess -- --client-id acme      # With clients/acme/rules/ packs and effort model
+ *   npm run assess -- --baseline b.json     # Report new/resolved findings, apply waivers
+ *   npm run assess -- --baseline b.json --update-baseline  # Accept current findings
+ *   npm run assess -- --call-graph --usage     # Dead code and critical finding impact
  *   npm run assess -- -P /path/to/vsp -S DEV  # Live SAP via vsp
  */
 
+const fs = require('fs');
 const SapGateway = require('../agent/sap-gateway');
 const Scanner = require('./scanner');
 const Analyzer = require('./analyzer');
@@ -27,6 +33,14 @@ const AssessmentReport = require('./report');
 const InterfaceScanner = require('./interface-scanner');
 const UsageAnalyzer = require('./usage-analyzer');
 const AtcClient = require('./atc-client');
+const { createRuleRegistry } = require('./rules');
+const { AssessmentBaseline } = require('./baseline');
+const { CallGraph, readEntryPoints } = require('./call-graph');
+const { EffortModel } = require('../lib/scoring/effort-model');
+const { loadConfig, rfcConnectionParams } = require('../lib/config');
+const Logger = require('../lib/logger');
+const RfcPool = require('../lib/rfc/pool');
+const { TableReader } = require('../lib/rfc/table-reader');
 
 function parseArgs(argv) {
   const args = {
@@ -45,9 +59,28 @@ function parseArgs(argv) {
       case '-c':
         args.clientName = argv[++i];
         break;
+      case '--output':
+      case '-o':
+        args.output = argv[++i];
+        break;
+      case '--source-root':
+        args.sourceRoot = argv[++i];
+        break;
       case '--system-id':
         args.systemId = argv[++i];
         break;
+      case '--client-id':
+        args.clientId = argv[++i];
+        break;
+      case '--rules-dir':
+        args.rulesDirs = [...(args.rulesDirs || []), argv[++i]];
+        break;
+      case '--baseline':
+        args.baseline = argv[++i];
+        break;
+      case '--update-baseline':
+        args.updateBaseline = true;
+        break;
       case '--sap-system':
       case '-s':
         args.sapSystem = argv[++i];
@@ -69,6 +102,12 @@ function parseArgs(argv) {
       case '--usage':
         args.usage = true;
         break;
+      case '--call-graph':
+        args.callGraph = true;
+        break;
+      case '--entry-points':
+        args.entryPoints = argv[++i];
+        break;
       case '--verbose':
       case '-v':
         args.verbose = true;
@@ -88,6 +127,11 @@ function parseArgs(argv) {
     }
   }
 
+  if (args.format === 'sarif' && !args.output) {
+    console.error('--format sarif requires --output <file>');
+    process.exit(1);
+  }
+
   return args;
 }
 
@@ -105,15 +149,31 @@ Usage:
   npm run assess [options]
 
 Options:
-  -f, --format <fmt>       Output format: terminal (default) or md
+  -f, --format <fmt>       Output format: terminal (default), md or sarif
+  -o, --output <file>      Write the report to a file (required for sarif)
+  --source-root <uri>      SARIF only: URI the abapGit-style artifact paths are
+                           relative to (e.g. file:///work/abap/src/)
   -c, --client <name>      Client name for the report header
   --system-id <id>         System ID (e.g., PRD, QAS, DEV)
+  --client-id <name>       Client folder: loads rule packs from clients/<name>/rules/
+                           and the calibrated effort model, if any
+  --rules-dir <dir>        Additional rule pack directory (repeatable)
+  --baseline <file>        Baseline file: report only new/resolved findings and
+                           apply its suppressions (waivers)
+  --update-baseline        Write the current findings to the --baseline file,
+                           keeping its suppressions
   -s, --sap-system <url>   SAP system URL (enables live connection)
   -P, --vsp-path <path>    Path to vsp binary (enables vsp mode)
   -S, --vsp-system <name>  vsp system profile (from .vsp.json)
   --interfaces             Include interface inventory in assessment
   --atc                    Run ATC S/4HANA readiness check
   --usage                  Analyze object usage and dead code
+  --call-graph             Build the custom code call graph: unreachable/unused
+                           objects and transactions/jobs hit by critical findings
+                           (joins usage statistics when combined with --usage)
+  --entry-points <file>    JSON list of { type: transaction|job, name, program }
+                           for --call-graph (default: from the scan; live mode
+                           reads TSTC/TBTCP over RFC when SAP_RFC_* is set)
   -v, --verbose            Show detailed scan/analysis logs
   -h, --help               Show this help
 
@@ -123,14 +183,48 @@ Environment Variables:
   SAP_HOSTNAME             SAP system hostname
   SAP_USERNAME             SAP system username
   SAP_PASSWORD             SAP system password
+  SAP_RFC_ASHOST           RFC application server for live --call-graph
+  SAP_RFC_SYSNR            RFC system number
+  SAP_RFC_MSHOST           RFC message server (load-balanced, instead of ASHOST)
+  SAP_CLIENT               SAP client for RFC logon
 
 Examples:
   npm run assess
   npm run assess -- --format md --client "Acme Corp"
+  npm run assess -- --format sarif --atc -o assessment.sarif
+  npm run assess -- --client-id sample-client
+  npm run assess -- --baseline assessment-baseline.json --update-baseline
   npm run assess -- -P /usr/local/bin/vsp -S PRD --client "BigCo" -v
   `);
 }
 
+/**
+ * Read the transactions and jobs that start custom programs from the live
+ * system over RFC. Without RFC settings, or when the read fails, the call
+ * graph gets no entry points and does not assess reachability.
+ * @returns {Promise<object[]>} [{ type, name, program }]
+ */
+async function readLiveEntryPoints() {
+  const params = rfcConnectionParams(loadConfig());
+  const log = new Logger('call-graph');
+  if (!params) {
+    log.warn('No RFC connection configured (SAP_RFC_ASHOST / SAP_RFC_MSHOST), reachability not assessed');
+    return [];
+  }
+
+  const pool = new RfcPool(params, { poolSize: 1 });
+  try {
+    const entryPoints = await readEntryPoints(new TableReader(pool));
+    log.info(`${entryPoints.length} entry points read from TSTC/TBTCP`);
+    return entryPoints;
+  } catch (err) {
+    log.warn(`Entry points could not be read (${err.message}), reachability not assessed`);
+    return [];
+  } finally {
+    await pool.drain();
+  }
+}
+
 async function main() {
   const args = parseArgs(process.argv);
 
@@ -160,10 +254,25 @@ async function main() {
     console.log('  Analyzing S/4HANA compatibility...');
     console.log('');
 
-    // Phase 2: Analyze
-    const analyzer = new Analyzer({ verbose: args.verbose });
+    // Phase 2: Analyze, with the client's rule packs if any
+    const ruleRegistry = createRuleRegistry({ clientName: args.clientId, packDirs: args.rulesDirs });
+    const baseline = args.baseline && fs.existsSync(args.baseline)
+      ? AssessmentBaseline.load(args.baseline)
+      : null;
+    const effortModel = args.clientId && fs.existsSync(EffortModel.modelFile({ clientName: args.clientId }))
+      ? EffortModel.load({ clientName: args.clientId })
+      : null;
+    const analyzer = new Analyzer({ verbose: args.verbose, ruleRegistry, baseline, effortModel });
     const analysis = analyzer.analyze(scanResult);
 
+    if (args.updateBaseline) {
+      if (!args.baseline) throw new Error('--update-baseline requires --baseline <file>');
+      AssessmentBaseline.fromAnalysis(analysis, {
+        suppressions: baseline ? baseline.suppressions : [],
+        systemId: args.systemId,
+      }).save(args.baseline);
+    }
+
     // Optional: Interface inventory
     let interfaceData = null;
     if (args.interfaces) {
@@ -196,6 +305,15 @@ async function main() {
       console.log('');
     }
 
+    // Optional: Call graph (dead code, critical finding impact)
+    let callGraphData = null;
+    if (args.callGraph) {
+      let entryPoints = args.entryPoints ? JSON.parse(fs.readFileSync(args.entryPoints, 'utf8')) : undefined;
+      if (!entryPoints && gateway.mode === 'live') entryPoints = await readLiveEntryPoints();
+      const graph = CallGraph.fromScan(scanResult, { usageData, entryPoints, logLevel: args.verbose ? 'debug' : 'info' });
+      callGraphData = graph.analyze(analysis);
+    }
+
     // Factor optional data into analysis
     if (interfaceData || atcData) {
       analyzer.enrichAnalysis(analysis, { interfaceData, atcData, usageData });
@@ -208,13 +326,23 @@ async function main() {
       interfaceData,
       atcData,
       usageData,
+      callGraphData,
     });
 
     const isMarkdown = args.format === 'md' || args.format === 'markdown';
-    if (isMarkdown) {
-      console.log(report.toMarkdown());
+    let output;
+    if (args.format === 'sarif') {
+      output = `${JSON.stringify(report.toSarif({ sourceRoot: args.sourceRoot }), null, 2)}\n`;
+    } else if (isMarkdown) {
+      output = report.toMarkdown();
+    } else {
+      output = report.toTerminal();
+    }
+    if (args.output) {
+      fs.writeFileSync(args.output, output);
+      console.log(`  Report written to ${args.output}`);
     } else {
-      console.log(report.toTerminal());
+      console.log(output);
     }
   } catch (err) {
     console.error(`Assessment failed: ${err.message}`);
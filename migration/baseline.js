@@ -0,0 +1,259 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Assessment Baselines and Suppressions
+ *
+ * A baseline file records the finding occurrences accepted at one point in
+ * time, so later assessments report only what is new or resolved since.
+ * Occurrences are identified by fingerprint: a hash of rule id, object and
+ * the normalized source line (whitespace and case folded), plus an ordinal
+ * when the same line repeats. Line numbers are left out, so edits elsewhere
+ * in an object do not churn the baseline.
+ *
+ * Suppressions (waivers) take findings out of the assessment — and out of
+ * the readiness score — until they expire. A suppression names a rule (or
+ * '*'), optionally an object name pattern and a single occurrence
+ * fingerprint, and carries a justification, approver and expiry date.
+ * Expired suppressions are reported and no longer applied.
+ *
+ * File format: baseline.schema.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('../lib/logger');
+const { RuleValidationError } = require('../lib/errors');
+const { validateSchema } = require('../lib/json-schema');
+const BASELINE_SCHEMA = require('./baseline.schema.json');
+
+/** Line content as it is fingerprinted */
+function normalizeContent(content) {
+  return String(content || '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * Set match.fingerprint on every match of the findings.
+ * @param {object[]} findings - Analyzer findings ({ ruleId, object, matches[] })
+ * @returns {object[]} The same findings
+ */
+function fingerprintFindings(findings) {
+  for (const finding of findings) {
+    const seen = new Map();
+    for (const match of finding.matches) {
+      const content = normalizeContent(match.content);
+      const ordinal = (seen.get(content) || 0) + 1;
+      seen.set(content, ordinal);
+      match.fingerprint = crypto.createHash('sha256')
+        .update(`${finding.ruleId}\n${finding.object}\n${content}\n${ordinal}`)
+        .digest('hex')
+        .slice(0, 20);
+    }
+  }
+  return findings;
+}
+
+class AssessmentBaseline {
+  /**
+   * @param {object} [data] - Baseline file content
+   * @param {object} [options] - { file, logLevel }
+   */
+  constructor(data = {}, options = {}) {
+    const errors = validateSchema(data, BASELINE_SCHEMA, { label: 'baseline' });
+    (data.suppressions || []).forEach((s, i) => {
+      if (errors.length === 0 && Number.isNaN(expiryTime(s))) {
+        errors.push(`suppressions[${i}].expires: ${s.expires} is not a valid date`);
+      }
+    });
+    if (errors.length > 0) {
+      const where = options.file ? ` ${path.basename(options.file)}` : '';
+      throw new RuleValidationError(`Invalid baseline${where}: ${errors.join('; ')}`, { file: options.file || null, errors });
+    }
+
+    this.file = options.file || null;
+    this.createdAt = data.createdAt || null;
+    this.systemId = data.systemId || null;
+    this.hasFindings = Array.isArray(data.findings);
+    this.findings = (data.findings || []).map((f) => ({ ...f }));
+    this.suppressions = (data.suppressions || []).map((s) => ({ ...s }));
+    this.logger = new Logger('baseline', { level: options.logLevel || 'info' });
+    this._fingerprints = new Set(this.findings.map((f) => f.fingerprint));
+  }
+
+  /**
+   * Read a baseline file.
+   * @param {string} file
+   * @param {object} [options] - { logLevel }
+   * @returns {AssessmentBaseline}
+   */
+  static load(file, options = {}) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new RuleValidationError(`Cannot read baseline ${path.basename(file)}: ${err.message}`, { file });
+    }
+    return new AssessmentBaseline(data, { ...options, file });
+  }
+
+  /**
+   * Baseline accepting every finding occurrence of an analysis, including
+   * suppressed ones.
+   * @param {object} analysis - Analyzer.analyze() result
+   * @param {object} [options] - { suppressions, systemId, now, file, logLevel }
+   * @returns {AssessmentBaseline}
+   */
+  static fromAnalysis(analysis, options = {}) {
+    const findings = [];
+    for (const f of [...analysis.findings, ...(analysis.suppressedFindings || [])]) {
+      for (const m of f.matches) {
+        findings.push({
+          fingerprint: m.fingerprint,
+          ruleId: f.ruleId,
+          object: f.object,
+          severity: f.severity,
+          line: m.line || 0,
+          content: m.content,
+        });
+      }
+    }
+    findings.sort((a, b) => a.object.localeCompare(b.object) || a.ruleId.localeCompare(b.ruleId) || a.line - b.line);
+    return new AssessmentBaseline({
+      version: 1,
+      createdAt: (options.now || new Date()).toISOString(),
+      ...(options.systemId ? { systemId: options.systemId } : {}),
+      findings,
+      suppressions: options.suppressions || [],
+    }, options);
+  }
+
+  toJSON() {
+    return {
+      version: 1,
+      createdAt: this.createdAt,
+      ...(this.systemId ? { systemId: this.systemId } : {}),
+      findings: this.findings,
+      suppressions: this.suppressions,
+    };
+  }
+
+  /**
+   * Write the baseline as JSON.
+   * @param {string} [file] - Defaults to the file it was loaded from
+   */
+  save(file = this.file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(this.toJSON(), null, 2)}\n`);
+    this.file = file;
+    this.logger.info(`Wrote baseline with ${this.findings.length} finding occurrence(s) to ${file}`);
+  }
+
+  /**
+   * Split findings into active and suppressed ones. A suppression with a
+   * fingerprint waives just that occurrence; the finding stays active with
+   * its remaining matches.
+   * @param {object[]} findings - Fingerprinted findings
+   * @param {Date} [now]
+   * @returns {{ active: object[], suppressed: object[], expired: object[], unused: object[] }}
+   *   suppressed findings carry suppression: { id, justification, approver, expires }
+   */
+  applySuppressions(findings, now = new Date()) {
+    const valid = this.suppressions.filter((s) => expiryTime(s) >= now.getTime());
+    const expired = this.suppressions.filter((s) => expiryTime(s) < now.getTime());
+    const used = new Set();
+    const active = [];
+    const suppressed = [];
+
+    for (const finding of findings) {
+      const kept = [];
+      const waived = new Map(); // suppression → matches
+      for (const match of finding.matches) {
+        const suppression = valid.find((s) => suppressionApplies(s, finding, match));
+        if (!suppression) {
+          kept.push(match);
+          continue;
+        }
+        used.add(suppression);
+        if (!waived.has(suppression)) waived.set(suppression, []);
+        waived.get(suppression).push(match);
+      }
+      if (waived.size === 0) {
+        active.push(finding);
+        continue;
+      }
+      for (const [s, matches] of waived) {
+        suppressed.push({
+          ...finding,
+          matches,
+          matchCount: matches.length,
+          suppression: { id: s.id || null, justification: s.justification, approver: s.approver, expires: s.expires },
+        });
+      }
+      if (kept.length > 0) active.push({ ...finding, matches: kept, matchCount: kept.length });
+    }
+
+    return { active, suppressed, expired, unused: valid.filter((s) => !used.has(s)) };
+  }
+
+  /**
+   * Compare active findings with the accepted ones. Sets baselineStatus
+   * ('new' | 'existing') on each active finding and each of its matches,
+   * and newMatchCount on the finding.
+   * @param {object[]} findings - Active findings
+   * @param {object[]} [suppressed] - Suppressed findings (still present, so not resolved)
+   * @returns {{ file, createdAt, newCount, existingCount, resolvedCount, resolved: object[] }}
+   */
+  compare(findings, suppressed = []) {
+    const current = new Set();
+    for (const f of [...findings, ...suppressed]) {
+      for (const m of f.matches) current.add(m.fingerprint);
+    }
+
+    let newCount = 0;
+    for (const f of findings) {
+      for (const m of f.matches) m.baselineStatus = this._fingerprints.has(m.fingerprint) ? 'existing' : 'new';
+      f.newMatchCount = f.matches.filter((m) => m.baselineStatus === 'new').length;
+      f.baselineStatus = f.newMatchCount > 0 ? 'new' : 'existing';
+      if (f.newMatchCount > 0) newCount++;
+    }
+    const resolved = this.findings.filter((b) => !current.has(b.fingerprint));
+
+    return {
+      file: this.file,
+      createdAt: this.createdAt,
+      newCount,
+      existingCount: findings.length - newCount,
+      resolvedCount: resolved.length,
+      resolved,
+    };
+  }
+}
+
+/** @private — end of the expiry day (UTC), as epoch ms */
+function expiryTime(suppression) {
+  return Date.parse(`${suppression.expires}T23:59:59.999Z`);
+}
+
+/** @private */
+function suppressionApplies(suppression, finding, match) {
+  if (suppression.ruleId !== '*' && suppression.ruleId !== finding.ruleId) return false;
+  if (suppression.fingerprint && suppression.fingerprint !== match.fingerprint) return false;
+  if (!suppression.object) return true;
+  const pattern = suppression.object.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${pattern}$`, 'i').test(finding.object);
+}
+
+module.exports = {
+  AssessmentBaseline,
+  fingerprintFindings,
+  normalizeContent,
+  BASELINE_SCHEMA,
+};
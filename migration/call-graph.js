@@ -0,0 +1,403 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Custom Code Call Graph
+ *
+ * Builds a graph of the scanned custom objects from their parsed sources —
+ * CALL FUNCTION, PERFORM ... IN PROGRAM, CALL METHOD and static method calls,
+ * NEW / CREATE OBJECT, SUBMIT, INCLUDE, CALL TRANSACTION, TYPE REF TO,
+ * INHERITING FROM and INTERFACES — and joins it with usage statistics
+ * (UsageAnalyzer) and entry points: transactions and background jobs with
+ * the program they start.
+ *
+ * On top of the graph:
+ *   - findDeadCode() lists code objects no transaction or job reaches, and
+ *     reachable objects that usage statistics show are never executed —
+ *     candidates to retire before remediation
+ *   - impactOf() walks callers back to the transactions and jobs that
+ *     transitively reach an object, with the shortest call path
+ *
+ * Only edges between custom objects are kept; calls into SAP standard are
+ * counted per object as external calls. Dynamic calls (CALL FUNCTION lv_fm,
+ * SUBMIT (lv_prog)) cannot be resolved and are counted, since they may reach
+ * objects the graph considers dead.
+ */
+
+const Logger = require('../lib/logger');
+const { parseSource } = require('./abap-parser');
+
+/** Object types that hold executable code */
+const CODE_TYPES = new Set(['CLAS', 'INTF', 'PROG', 'FUGR', 'FUNC', 'REPS']);
+
+/** Days without execution after which an object counts as unused */
+const DEFAULT_STALE_DAYS = 365;
+
+const ENTRY_TYPES = { transaction: 'TRAN', job: 'JOB' };
+
+class CallGraph {
+  constructor(options = {}) {
+    this.nodes = new Map();
+    this.edges = [];
+    this._out = new Map();
+    this._in = new Map();
+    this.logger = new Logger('call-graph', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * Build the graph from a scan.
+   * @param {object} scanResult - Scanner.scan() output ({ objects, sources, entryPoints? })
+   * @param {object} [options]
+   * @param {object} [options.usageData] - UsageAnalyzer.analyze() output
+   * @param {object[]} [options.entryPoints] - [{ type: 'transaction' | 'job', name, program }];
+   *   defaults to scanResult.entryPoints
+   * @returns {CallGraph}
+   */
+  static fromScan(scanResult, options = {}) {
+    const graph = new CallGraph(options);
+    for (const obj of scanResult.objects) graph.addNode(obj.name, { type: obj.type, custom: true });
+    for (const [name, info] of Object.entries(scanResult.sources)) {
+      if (!graph.nodes.has(name)) graph.addNode(name, { type: info.type, custom: true });
+    }
+
+    const parsed = Object.entries(scanResult.sources).map(([name, info]) => [name, parseSource(info.source)]);
+
+    // Function modules resolve to the function group that contains them
+    const functionGroups = new Map();
+    for (const [name, { statements }] of parsed) {
+      if (graph.nodes.get(name).type !== 'FUGR') continue;
+      for (const stmt of statements) {
+        const fm = stmt.kind === 'function' && stmt.tokens[1] ? stmt.tokens[1].value.toUpperCase() : null;
+        if (fm) functionGroups.set(fm, name);
+      }
+    }
+
+    for (const e of options.entryPoints || scanResult.entryPoints || []) graph.addEntryPoint(e);
+    for (const [name, { statements }] of parsed) {
+      for (const stmt of statements) graph._addStatementEdges(name, stmt, functionGroups);
+    }
+    if (options.usageData) graph.addUsage(options.usageData);
+
+    graph.logger.debug(`Call graph: ${graph.nodes.size} nodes, ${graph.edges.length} edges`);
+    return graph;
+  }
+
+  /**
+   * @param {string} id
+   * @param {object} attrs - { type, custom, entry }
+   */
+  addNode(id, attrs = {}) {
+    if (!this.nodes.has(id)) {
+      this.nodes.set(id, { id, name: id, type: null, custom: false, entry: false, externalCalls: 0, dynamicCalls: 0, usage: null, ...attrs });
+      this._out.set(id, []);
+      this._in.set(id, []);
+    }
+    return this.nodes.get(id);
+  }
+
+  /**
+   * Add a call edge; self-references and duplicates (same kind) are dropped.
+   * @param {string} from
+   * @param {string} to
+   * @param {string} kind - call_function | perform | call_method | submit | include | ...
+   * @param {number} [line]
+   */
+  addEdge(from, to, kind, line = 0) {
+    if (from === to || !this.nodes.has(from) || !this.nodes.has(to)) return;
+    if (this._out.get(from).some((e) => e.to === to && e.kind === kind)) return;
+    const edge = { from, to, kind, line };
+    this.edges.push(edge);
+    this._out.get(from).push(edge);
+    this._in.get(to).push(edge);
+  }
+
+  /**
+   * Register a transaction or background job and the program it starts.
+   * @param {object} entry - { type: 'transaction' | 'job', name, program }
+   */
+  addEntryPoint(entry) {
+    const prefix = ENTRY_TYPES[entry.type];
+    if (!prefix) return;
+    const id = `${prefix}:${entry.name.toUpperCase()}`;
+    this.addNode(id, { name: entry.name.toUpperCase(), type: prefix, entry: true });
+    const program = (entry.program || '').toUpperCase();
+    if (this.nodes.has(program)) this.addEdge(id, program, entry.type === 'job' ? 'job_step' : 'starts');
+  }
+
+  /**
+   * Attach usage statistics and add where-used callers between custom objects.
+   * @param {object} usageData - UsageAnalyzer.analyze() output
+   */
+  addUsage(usageData) {
+    for (const stat of usageData.usageStats || []) {
+      const node = this.nodes.get(stat.object);
+      if (node) node.usage = stat;
+    }
+    for (const [name, { callers }] of Object.entries(usageData.callHierarchy || {})) {
+      for (const caller of callers || []) this.addEdge(caller, name, 'where_used');
+    }
+  }
+
+  /** @returns {object[]} Outgoing edges */
+  callees(id) {
+    return this._out.get(id) || [];
+  }
+
+  /** @returns {object[]} Incoming edges */
+  callers(id) {
+    return this._in.get(id) || [];
+  }
+
+  /** @returns {object[]} Transaction and job nodes */
+  getEntryPoints() {
+    return [...this.nodes.values()].filter((n) => n.entry);
+  }
+
+  /**
+   * Nodes reachable from the given nodes (inclusive).
+   * @param {string[]} ids
+   * @returns {Set<string>}
+   */
+  reachableFrom(ids) {
+    const seen = new Set(ids.filter((id) => this.nodes.has(id)));
+    const queue = [...seen];
+    while (queue.length > 0) {
+      for (const e of this.callees(queue.shift())) {
+        if (!seen.has(e.to)) {
+          seen.add(e.to);
+          queue.push(e.to);
+        }
+      }
+    }
+    return seen;
+  }
+
+  /**
+   * Transactions and jobs that transitively reach an object.
+   * @param {string} id
+   * @returns {{ transactions: object[], jobs: object[] }} each { name, path: [entry, ..., id] }
+   */
+  impactOf(id) {
+    const parent = new Map([[id, null]]);
+    const queue = [id];
+    const reached = [];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (this.nodes.get(current).entry) reached.push(current);
+      for (const e of this.callers(current)) {
+        if (!parent.has(e.from)) {
+          parent.set(e.from, current);
+          queue.push(e.from);
+        }
+      }
+    }
+
+    const impact = { transactions: [], jobs: [] };
+    for (const entry of reached) {
+      const path = [];
+      for (let n = entry; n !== null; n = parent.get(n)) path.push(this.nodes.get(n).name);
+      const node = this.nodes.get(entry);
+      (node.type === 'JOB' ? impact.jobs : impact.transactions).push({ name: node.name, path });
+    }
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    impact.transactions.sort(byName);
+    impact.jobs.sort(byName);
+    return impact;
+  }
+
+  /**
+   * Code objects to retire: not reachable from any entry point (status
+   * 'unreachable'), or reachable but not executed within staleDays
+   * according to usage statistics (status 'unused'). Without entry points
+   * reachability is unknown — an object without callers may still be a
+   * transaction's program — so only usage statistics are reported.
+   * Objects executed recently are never reported — they may be called
+   * dynamically.
+   *
+   * @param {object} [options] - { staleDays }
+   * @returns {object[]} [{ object, type, status, confidence, reasons, callers, usage }]
+   */
+  findDeadCode(options = {}) {
+    const staleDays = options.staleDays === undefined ? DEFAULT_STALE_DAYS : options.staleDays;
+    const entries = this.getEntryPoints().map((n) => n.id);
+    const reachable = this.reachableFrom(entries);
+    const dead = [];
+
+    for (const node of this.nodes.values()) {
+      if (!node.custom || !CODE_TYPES.has(node.type)) continue;
+      const usage = node.usage;
+      if (usage && usage.callCount > 0 && usage.daysSinceLastUse <= staleDays) continue;
+
+      const callers = this.callers(node.id).map((e) => this.nodes.get(e.from).name);
+      const unreachable = entries.length > 0 && !reachable.has(node.id);
+      if (!unreachable && !usage) continue;
+
+      const reasons = [];
+      if (unreachable) reasons.push('Not reachable from any transaction or job');
+      if (usage) {
+        reasons.push(usage.callCount > 0 ? `Not executed in ${usage.daysSinceLastUse} days` : 'Never executed');
+      }
+      dead.push({
+        object: node.name,
+        type: node.type,
+        status: unreachable ? 'unreachable' : 'unused',
+        confidence: unreachable && usage ? 'high' : 'medium',
+        reasons,
+        callers,
+        usage: usage ? { callCount: usage.callCount, lastUsed: usage.lastUsed } : null,
+      });
+    }
+
+    const order = { unreachable: 0, unused: 1 };
+    return dead.sort((a, b) => order[a.status] - order[b.status] || a.object.localeCompare(b.object));
+  }
+
+  /**
+   * Dead code and finding impact for an assessment.
+   * @param {object} analysis - Analyzer.analyze() result
+   * @param {object} [options] - { staleDays, severities: finding severities to trace (default ['critical']) }
+   * @returns {{ summary: object, deadCode: object[], impact: object[] }}
+   */
+  analyze(analysis, options = {}) {
+    const severities = options.severities || ['critical'];
+    const findingsByObject = new Map();
+    for (const f of analysis.findings) {
+      if (!findingsByObject.has(f.object)) findingsByObject.set(f.object, []);
+      findingsByObject.get(f.object).push(f);
+    }
+
+    const deadCode = this.findDeadCode(options).map((d) => ({
+      ...d,
+      findingCount: (findingsByObject.get(d.object) || []).length,
+    }));
+
+    const impact = [];
+    for (const [object, findings] of findingsByObject) {
+      const traced = findings.filter((f) => severities.includes(f.severity));
+      if (traced.length === 0 || !this.nodes.has(object)) continue;
+      impact.push({ object, ruleIds: traced.map((f) => f.ruleId), ...this.impactOf(object) });
+    }
+    impact.sort((a, b) => (b.transactions.length + b.jobs.length) - (a.transactions.length + a.jobs.length)
+      || a.object.localeCompare(b.object));
+
+    const custom = [...this.nodes.values()].filter((n) => n.custom);
+    return {
+      summary: {
+        objects: custom.length,
+        edges: this.edges.length,
+        entryPoints: this.getEntryPoints().length,
+        unreachableObjects: deadCode.filter((d) => d.status === 'unreachable').length,
+        unusedObjects: deadCode.filter((d) => d.status === 'unused').length,
+        findingsInDeadCode: deadCode.reduce((n, d) => n + d.findingCount, 0),
+        externalCalls: custom.reduce((n, c) => n + c.externalCalls, 0),
+        dynamicCalls: custom.reduce((n, c) => n + c.dynamicCalls, 0),
+      },
+      deadCode,
+      impact,
+    };
+  }
+
+  /** @private */
+  _addStatementEdges(from, stmt, functionGroups) {
+    const node = this.nodes.get(from);
+    const words = stmt.tokens.map((t) => (t.type === 'word' ? t.value.toUpperCase() : null));
+    const link = (target, kind) => {
+      if (!target) return;
+      if (this.nodes.has(target) && this.nodes.get(target).custom) this.addEdge(from, target, kind, stmt.line);
+      else node.externalCalls++;
+    };
+    const literal = (i) => stmt.tokens[i] && stmt.tokens[i].type === 'string';
+
+    switch (stmt.kind) {
+      case 'call_function':
+        if (!literal(2)) node.dynamicCalls++;
+        else link(functionGroups.get(stmt.name) || stmt.name, 'call_function');
+        break;
+      case 'call_transaction': {
+        const tran = `TRAN:${stmt.name}`;
+        if (!literal(2)) node.dynamicCalls++;
+        else if (this.nodes.has(tran)) this.addEdge(from, tran, 'call_transaction', stmt.line);
+        else node.externalCalls++;
+        break;
+      }
+      case 'perform': {
+        // PERFORM form IN PROGRAM prog / PERFORM form(prog); local forms stay inside the object
+        const inProgram = words.indexOf('PROGRAM');
+        if (inProgram > 0 && words[inProgram - 1] === 'IN') {
+          if (words[inProgram + 1]) link(words[inProgram + 1], 'perform');
+          else node.dynamicCalls++;
+        } else if (stmt.tokens[2] && stmt.tokens[2].value === '(' && words[3]) {
+          link(words[3], 'perform');
+        }
+        break;
+      }
+      case 'submit':
+        if (stmt.name) link(stmt.name, 'submit');
+        else node.dynamicCalls++;
+        break;
+      case 'include':
+        if (stmt.name) link(stmt.name, 'include');
+        break;
+      case 'class':
+        if (words.includes('INHERITING')) link(words[words.indexOf('INHERITING') + 2], 'inherits');
+        break;
+      case 'interfaces':
+        link(words[1], 'implements');
+        break;
+      default:
+        break;
+    }
+
+    // Static method calls (zcl_x=>m) and instantiation (NEW zcl_x( ), CREATE OBJECT ... TYPE zcl_x)
+    words.forEach((w, i) => {
+      if (!w) return;
+      const staticCall = /^([A-Z0-9_/]+)=>/.exec(w);
+      if (staticCall) link(staticCall[1], 'call_method');
+      if (w === 'NEW' && words[i + 1] && words[i + 1] !== '#') link(words[i + 1], 'instantiate');
+    });
+    for (const type of stmt.typeRefs) {
+      if (this.nodes.has(type) && this.nodes.get(type).custom) {
+        this.addEdge(from, type, stmt.kind === 'create' ? 'instantiate' : 'type_ref', stmt.line);
+      }
+    }
+  }
+}
+
+/**
+ * Read transactions (TSTC) and background job steps (TBTCP) that start
+ * custom programs.
+ * @param {object} tableReader - lib/rfc/table-reader.js instance
+ * @param {object} [options] - { namespaces: program name prefixes (default ['Z', 'Y']) }
+ * @returns {Promise<object[]>} [{ type, name, program }]
+ */
+async function readEntryPoints(tableReader, options = {}) {
+  const namespaces = options.namespaces || ['Z', 'Y'];
+  const like = (field) => namespaces.map((ns) => `${field} LIKE '${ns}%'`).join(' OR ');
+
+  const tstc = await tableReader.readTable('TSTC', { fields: ['TCODE', 'PGMNA'], where: like('PGMNA'), maxRows: 0 });
+  const tbtcp = await tableReader.readTable('TBTCP', { fields: ['JOBNAME', 'PROGNAME'], where: like('PROGNAME'), maxRows: 0 });
+
+  const entries = tstc.rows.map((r) => ({ type: 'transaction', name: r.TCODE.trim(), program: r.PGMNA.trim() }));
+  const jobs = new Set();
+  for (const r of tbtcp.rows) {
+    const key = `${r.JOBNAME.trim()}\n${r.PROGNAME.trim()}`;
+    if (jobs.has(key)) continue;
+    jobs.add(key);
+    entries.push({ type: 'job', name: r.JOBNAME.trim(), program: r.PROGNAME.trim() });
+  }
+  return entries;
+}
+
+module.exports = {
+  CallGraph,
+  readEntryPoints,
+  CODE_TYPES,
+  DEFAULT_STALE_DAYS,
+};
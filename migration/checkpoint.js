@@ -78,6 +78,46 @@ class CheckpointManager {
     return false;
   }
 
+  /**
+   * Save chunk-level progress of one object in a streaming run
+   * @param {string} runId
+   * @param {string} objectId
+   * @param {object} progress - { offset, chunks, totals, ... }
+   */
+  saveObjectProgress(runId, objectId, progress) {
+    const data = {
+      runId,
+      objectId,
+      timestamp: new Date().toISOString(),
+      version: 1,
+      progress,
+    };
+    fs.writeFileSync(this._getProgressPath(runId, objectId), JSON.stringify(data));
+    this.logger.debug(`Progress saved: ${runId}/${objectId} (${progress.chunks} chunks, offset ${progress.offset})`);
+    return data;
+  }
+
+  /**
+   * Load chunk-level progress of one object, or null if none saved
+   */
+  loadObjectProgress(runId, objectId) {
+    const filePath = this._getProgressPath(runId, objectId);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Remove chunk-level progress (on object completion)
+   */
+  removeObjectProgress(runId, objectId) {
+    const filePath = this._getProgressPath(runId, objectId);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      return true;
+    }
+    return false;
+  }
+
   /**
    * List all available checkpoints
    */
@@ -121,6 +161,10 @@ class CheckpointManager {
     return path.join(this.checkpointDir, `${runId}.checkpoint.json`);
   }
 
+  _getProgressPath(runId, objectId) {
+    return path.join(this.checkpointDir, `${runId}.${objectId}.progress.json`);
+  }
+
   _ensureDir() {
     if (!fs.existsSync(this.checkpointDir)) {
       fs.mkdirSync(this.checkpointDir, { recursive: true });
@@ -0,0 +1,81 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Client Workspace
+ *
+ * A client folder (clients/<name>/) holds declarative migration objects
+ * (migration-objects/) and value-mapping tables (value-mappings/).
+ * register() adds the client's objects to a MigrationObjectRegistry, bound
+ * to the client's ValueMappingRepository; load() then reads the tables and
+ * fetches every older version the objects' mappings pin with tableVersion.
+ *
+ * Usage:
+ *   const ws = new ClientWorkspace('clients/acme', { persistence });
+ *   ws.register(registry);
+ *   await ws.load(registry);
+ */
+
+const path = require('path');
+const Logger = require('../lib/logger');
+const { ValueMappingRepository } = require('./value-mapping-repository');
+
+class ClientWorkspace {
+  /**
+   * @param {string} clientDir - Client folder
+   * @param {object} [options]
+   * @param {PersistenceAdapter} [options.persistence] - Value-mapping version store (default: in-memory)
+   * @param {string} [options.user] - Recorded as changedBy on new table versions
+   */
+  constructor(clientDir, options = {}) {
+    this.clientDir = clientDir;
+    this.clientName = path.basename(clientDir);
+    this.valueMappings = new ValueMappingRepository({
+      clientDir,
+      persistence: options.persistence,
+      user: options.user,
+      logLevel: options.logLevel,
+    });
+    this.logger = new Logger('client-workspace', { level: options.logLevel || 'info' });
+    this.objectIds = [];
+  }
+
+  /** Directory of the client's declarative migration objects */
+  get descriptorDir() {
+    return path.join(this.clientDir, 'migration-objects');
+  }
+
+  /**
+   * Register the client's declarative objects, bound to its value mappings.
+   * @param {MigrationObjectRegistry} registry
+   * @returns {string[]} Registered object IDs
+   */
+  register(registry) {
+    const loaded = registry.loadDescriptors(this.descriptorDir, { valueMappings: this.valueMappings });
+    this.objectIds = loaded.map((e) => e.objectId);
+    return this.objectIds;
+  }
+
+  /**
+   * Load the client's value-mapping tables and the versions its objects pin.
+   * @param {MigrationObjectRegistry} registry - The registry the objects were registered with
+   * @param {object} [meta] - { by, comment } recorded on new table versions
+   * @returns {Promise<object>} { tables, missingPins }
+   */
+  async load(registry, meta = {}) {
+    const tables = await this.valueMappings.load(meta);
+    const mappings = this.objectIds.flatMap((id) => registry.createObject(id, { mode: 'mock' }).getFieldMappings());
+    const missingPins = await this.valueMappings.preloadPinned(mappings);
+    this.logger.info(`Client ${this.clientName}: ${this.objectIds.length} object(s), ${tables.length} value-mapping table(s)`);
+    return { tables, missingPins };
+  }
+}
+
+module.exports = { ClientWorkspace };
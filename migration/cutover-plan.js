@@ -15,6 +15,8 @@ const Logger = require('../lib/logger');
  *
  * Generates sequenced cutover steps with dependencies, timing,
  * and responsible parties. Mock mode produces a realistic cutover timeline.
+ * Tasks with an `automation` can execute themselves when the plan is run
+ * through CutoverRunbook (cutover-runbook.js).
  */
 class CutoverPlan {
   constructor(options = {}) {
@@ -69,6 +71,53 @@ class CutoverPlan {
     };
   }
 
+  /**
+   * Execute the CUT-2 Delta Data Migration phase.
+   *
+   * Runs every migration object that declares a delta config with
+   * `delta: true`, so only records changed since the last rehearsal
+   * are extracted and loaded, then updates the CUT-2 task statuses. An
+   * object that ends with load errors fails CUT-2.3; the phase stays in
+   * progress until CUT-2.4 is done.
+   *
+   * @param {object} plan - Result of generate()
+   * @param {object} registry - MigrationObjectRegistry
+   * @param {object} gateway - { mode: 'mock' | 'live' }
+   * @param {object} [options] - Passed to registry.runAll() (persistence, objectIds, ...)
+   * @returns {Promise<object>} { status, objectIds, results, stats }
+   */
+  async executeDeltaMigration(plan, registry, gateway, options = {}) {
+    const phase = plan.phases.find((p) => p.id === 'CUT-2');
+    const task = (id) => phase.tasks.find((t) => t.id === id);
+
+    const objectIds = registry.listDeltaObjectIds(gateway, options.objectIds, options);
+    this._log(`Delta migration: ${objectIds.length} delta-capable objects`);
+
+    phase.status = 'in_progress';
+    const run = await registry.runAll(gateway, { ...options, delta: true, objectIds });
+    // Records that failed to load are not in the target yet: the delta is not done
+    const failed = run.results.filter((r) => r.status !== 'completed');
+
+    task('CUT-2.1').status = 'completed';
+    task('CUT-2.2').status = 'completed';
+    task('CUT-2.3').status = failed.length > 0 ? 'failed' : 'completed';
+    task('CUT-2.3').result = {
+      objects: run.results.length,
+      failed: failed.map((r) => r.objectId),
+      deltaRecords: run.results.reduce((sum, r) => sum + (r.stats ? r.stats.extractedRecords : 0), 0),
+    };
+    // CUT-2.4 (opening balance reconciliation) is still ahead
+    phase.status = failed.length > 0 ? 'failed'
+      : phase.tasks.every((t) => t.status === 'completed') ? 'completed' : 'in_progress';
+
+    return {
+      status: failed.length > 0 ? 'failed' : 'completed',
+      objectIds,
+      results: run.results,
+      stats: run.stats,
+    };
+  }
+
   _generatePhases() {
     return [
       {
@@ -105,7 +154,7 @@ class CutoverPlan {
         tasks: [
           { id: 'CUT-2.1', name: 'Extract delta FI documents since last load', owner: 'Data Team', durationHours: 3, depends: ['CUT-1.3'], status: 'pending' },
           { id: 'CUT-2.2', name: 'Extract delta MM/SD transactions', owner: 'Data Team', durationHours: 3, depends: ['CUT-1.4'], status: 'pending' },
-          { id: 'CUT-2.3', name: 'Transform and load delta data', owner: 'Data Team', durationHours: 6, depends: ['CUT-2.1', 'CUT-2.2'], status: 'pending' },
+          { id: 'CUT-2.3', name: 'Transform and load delta data', owner: 'Data Team', durationHours: 6, depends: ['CUT-2.1', 'CUT-2.2'], status: 'pending', automation: { type: 'migration', options: { delta: true } } },
           { id: 'CUT-2.4', name: 'Reconcile opening balances', owner: 'FI Team', durationHours: 8, depends: ['CUT-2.3'], status: 'pending' },
         ],
       },
@@ -115,7 +164,7 @@ class CutoverPlan {
         timing: 'T-0 Saturday',
         status: 'pending',
         tasks: [
-          { id: 'CUT-3.1', name: 'Run data comparison tests', owner: 'Testing', durationHours: 4, depends: ['CUT-2.4'], status: 'pending' },
+          { id: 'CUT-3.1', name: 'Run data comparison tests', owner: 'Testing', durationHours: 4, depends: ['CUT-2.4'], status: 'pending', automation: { type: 'reconciliation' } },
           { id: 'CUT-3.2', name: 'Run business process tests', owner: 'Testing', durationHours: 6, depends: ['CUT-3.1'], status: 'pending' },
           { id: 'CUT-3.3', name: 'Business sign-off on data', owner: 'Business', durationHours: 4, depends: ['CUT-3.1'], status: 'pending' },
           { id: 'CUT-3.4', name: 'Go/No-Go decision', owner: 'Steering Committee', durationHours: 2, depends: ['CUT-3.2', 'CUT-3.3'], status: 'pending' },
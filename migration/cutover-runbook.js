@@ -0,0 +1,586 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Cutover Runbook — executable state machine over a CutoverPlan
+ *
+ * Turns the static task list from CutoverPlan.generate() into live state:
+ *
+ *   pending ──start──▶ in_progress ──complete──▶ completed
+ *      │                    └───────fail──────▶ failed ──start (retry)──▶ …
+ *      └──skip──▶ skipped          (failed tasks can also be skipped)
+ *
+ * A task can only start once every dependency is completed or skipped.
+ * Every transition is appended to the audit history and the whole state is
+ * saved through PersistenceAdapter, so the war room can resume() after a
+ * restart.
+ *
+ * The schedule projects each open task from actual start/finish times and
+ * planned durations, giving the critical path and the projected finish
+ * against the cutover window (default: the CUT-* phases, 48 hours).
+ *
+ * Tasks with an `automation` run themselves via execute()/runAutomated():
+ *   { type: 'migration', objectIds?, options? }      → registry.runAll(), limited to
+ *                                                      delta-capable objects when
+ *                                                      options.delta is set
+ *   { type: 'reconciliation', objectIds?, options? } → ReconciliationEngine.reconcileAll()
+ *                                                      on the last migration run
+ *
+ * The saved state only names the last migration run and summarizes its
+ * objects; their extract and transform records are saved once per run
+ * (PersistenceAdapter.saveResult) and reloaded when reconciling, so task
+ * transitions do not rewrite them.
+ *   { type: '<custom>' }                              → options.handlers[type](task, runbook)
+ */
+
+const Logger = require('../lib/logger');
+const { MigrationObjectError } = require('../lib/errors');
+const { PersistenceAdapter } = require('../lib/persistence');
+const { FAILED_STATUSES } = require('./wave-scheduler');
+const ReconciliationEngine = require('./reconciliation-engine');
+
+const HOUR_MS = 3600000;
+const DEFAULT_WINDOW_HOURS = 48;
+const DONE_STATUSES = ['completed', 'skipped'];
+
+const TRANSITIONS = {
+  start: { from: ['pending', 'failed'], to: 'in_progress' },
+  complete: { from: ['in_progress'], to: 'completed' },
+  fail: { from: ['in_progress'], to: 'failed' },
+  skip: { from: ['pending', 'failed'], to: 'skipped' },
+};
+
+class CutoverRunbook {
+  /**
+   * @param {object} plan - Result of CutoverPlan.generate() (ignored when options.state is given)
+   * @param {object} [options]
+   * @param {string} [options.runbookId] - Default: cutover-<goLiveDate>
+   * @param {PersistenceAdapter} [options.persistence] - State store (default: in-memory)
+   * @param {object} [options.automations] - { taskId: automation } added to the plan's tasks
+   * @param {number} [options.windowHours] - Default: plan.stats.cutoverWindowHours or 48
+   * @param {string[]} [options.windowPhases] - Phase IDs inside the window (default: CUT-*)
+   * @param {object} [options.registry] - MigrationObjectRegistry for migration automations
+   * @param {object} [options.gateway] - { mode } for migration automations
+   * @param {object} [options.migrationOptions] - Passed to registry.runAll() (persistence, quarantine, ...)
+   * @param {ReconciliationEngine} [options.reconciliation] - Engine for reconciliation automations
+   * @param {object} [options.handlers] - { type: async (task, runbook) => result } for custom automations
+   * @param {object} [options.progressBus] - ProgressBus for cutover:task events
+   * @param {object} [options.state] - Saved state to continue from (see resume())
+   */
+  constructor(plan, options = {}) {
+    this.options = options;
+    this.store = options.persistence || new PersistenceAdapter({ mode: 'memory' });
+    this.progressBus = options.progressBus || null;
+    this.logger = new Logger('cutover-runbook', { level: options.logLevel || 'info' });
+    this.state = options.state || this._initialState(plan, options);
+    this._tasks = new Map(this.state.tasks.map((t) => [t.id, t]));
+    this._validate();
+  }
+
+  /**
+   * Load a saved runbook.
+   * @param {string} runbookId
+   * @param {object} options - Same as the constructor; persistence is required
+   * @returns {Promise<CutoverRunbook>}
+   */
+  static async resume(runbookId, options = {}) {
+    if (!options.persistence) {
+      throw new MigrationObjectError('Resuming a runbook requires a persistence adapter', 'RUNBOOK_NO_PERSISTENCE');
+    }
+    const saved = await options.persistence.loadCutoverRunbook(runbookId);
+    if (!saved) {
+      throw new MigrationObjectError(`Cutover runbook not found: ${runbookId}`, 'RUNBOOK_NOT_FOUND');
+    }
+    const runbook = new CutoverRunbook(null, { ...options, state: saved.state });
+    runbook.logger.info(`Resumed runbook ${runbookId} (${runbook.getStatus()})`);
+    return runbook;
+  }
+
+  get runbookId() {
+    return this.state.runbookId;
+  }
+
+  /** @returns {object|null} */
+  getTask(id) {
+    return this._tasks.get(id) || null;
+  }
+
+  /** @returns {object[]} */
+  getTasks() {
+    return this.state.tasks;
+  }
+
+  /** Audit trail of every transition, oldest first */
+  getHistory() {
+    return this.state.history;
+  }
+
+  /** 'not_started' | 'in_progress' | 'completed' */
+  getStatus() {
+    const tasks = this.state.tasks;
+    if (tasks.every((t) => DONE_STATUSES.includes(t.status))) return 'completed';
+    if (tasks.every((t) => t.status === 'pending')) return 'not_started';
+    return 'in_progress';
+  }
+
+  /** Pending or failed tasks whose dependencies are all completed or skipped */
+  getReadyTasks() {
+    return this.state.tasks.filter((t) => (t.status === 'pending' || t.status === 'failed') && this._depsDone(t));
+  }
+
+  // ── Transitions ──────────────────────────────────────────────────
+
+  /**
+   * Start a task (or retry a failed one).
+   * @param {string} id
+   * @param {object} [meta] - { by, at, note }
+   */
+  async start(id, meta = {}) {
+    const task = this._require(id);
+    if (!this._depsDone(task)) {
+      const open = task.depends.filter((d) => !DONE_STATUSES.includes(this._tasks.get(d).status));
+      throw new MigrationObjectError(`Task ${id} is waiting for ${open.join(', ')}`, 'RUNBOOK_DEPENDENCIES');
+    }
+    return this._transition(task, 'start', meta, (at) => {
+      task.startedAt = at;
+      task.completedAt = null;
+      task.error = null;
+      task.attempts = (task.attempts || 0) + 1;
+      if (task.inWindow && !this.state.windowStart) this.state.windowStart = at;
+    });
+  }
+
+  /**
+   * Complete a running task.
+   * @param {string} id
+   * @param {object} [meta] - { by, at, note, result }
+   */
+  async complete(id, meta = {}) {
+    const task = this._require(id);
+    return this._transition(task, 'complete', meta, (at) => {
+      task.completedAt = at;
+      task.actualHours = round2((Date.parse(at) - Date.parse(task.startedAt)) / HOUR_MS);
+      if (meta.result !== undefined) task.result = meta.result;
+    });
+  }
+
+  /**
+   * Mark a running task as failed.
+   * @param {string} id
+   * @param {object} [meta] - { by, at, error, result }
+   */
+  async fail(id, meta = {}) {
+    const task = this._require(id);
+    return this._transition(task, 'fail', meta, () => {
+      task.error = meta.error || 'Failed';
+      if (meta.result !== undefined) task.result = meta.result;
+    });
+  }
+
+  /**
+   * Skip a task that is not needed; its dependents may proceed.
+   * @param {string} id
+   * @param {object} [meta] - { by, at, reason }
+   */
+  async skip(id, meta = {}) {
+    const task = this._require(id);
+    return this._transition(task, 'skip', meta, (at) => {
+      task.completedAt = at;
+      task.skipReason = meta.reason || null;
+    });
+  }
+
+  // ── Automation ───────────────────────────────────────────────────
+
+  /**
+   * Run an automated task: start it, execute its automation, then complete
+   * or fail it with the outcome.
+   * @param {string} id
+   * @param {object} [meta] - { by }
+   * @returns {Promise<object>} The task
+   */
+  async execute(id, meta = {}) {
+    const task = this._require(id);
+    if (!task.automation) {
+      throw new MigrationObjectError(`Task ${id} is not automated`, 'RUNBOOK_NOT_AUTOMATED');
+    }
+    const by = meta.by || 'automation';
+    await this.start(id, { by });
+
+    let outcome;
+    try {
+      outcome = await this._runAutomation(task);
+    } catch (err) {
+      outcome = { ok: false, error: err.message, result: null };
+    }
+    if (outcome.ok) return this.complete(id, { by, result: outcome.result });
+    return this.fail(id, { by, error: outcome.error, result: outcome.result });
+  }
+
+  /**
+   * Execute every automated task that is ready, repeating until no more
+   * become ready. Manual tasks are left for the war room.
+   * @param {object} [meta] - { by }
+   * @returns {Promise<object[]>} [{ id, status, error }] in execution order
+   */
+  async runAutomated(meta = {}) {
+    const executed = [];
+    const attempted = new Set();
+    for (;;) {
+      const next = this.getReadyTasks().find((t) => t.automation && !attempted.has(t.id));
+      if (!next) break;
+      attempted.add(next.id);
+      const task = await this.execute(next.id, meta);
+      executed.push({ id: task.id, status: task.status, error: task.error || null });
+    }
+    return executed;
+  }
+
+  /** @private — { ok, result, error } */
+  async _runAutomation(task) {
+    const auto = task.automation;
+    this.logger.info(`Executing ${task.id} (${auto.type} automation)`);
+
+    if (auto.type === 'migration') {
+      const { registry, gateway } = this.options;
+      if (!registry || !gateway) {
+        return { ok: false, result: null, error: 'Migration automation requires a registry and gateway' };
+      }
+      const options = { ...this.options.migrationOptions, ...auto.options };
+      let objectIds = auto.objectIds || options.objectIds;
+      if (options.delta) {
+        objectIds = registry.listDeltaObjectIds(gateway, objectIds, options);
+        this.logger.info(`${task.id}: ${objectIds.length} delta-capable objects`);
+      }
+      const runId = options.runId || `${this.runbookId}-${task.id}-${task.attempts}`;
+      const run = await registry.runAll(gateway, { ...options, runId, ...(objectIds ? { objectIds } : {}) });
+      // Named in the saved state, so reconciliation also works after resume()
+      await this._saveMigrationRun(runId, run.results);
+      const failed = run.results.filter((r) => r.status === 'skipped' || FAILED_STATUSES.includes(r.status));
+      return {
+        ok: failed.length === 0,
+        result: {
+          objects: run.results.length,
+          failed: failed.map((r) => r.objectId),
+          extractedRecords: run.results.reduce((sum, r) => sum + (r.stats ? r.stats.extractedRecords : 0), 0),
+          loadedRecords: run.results.reduce((sum, r) => sum + (r.stats ? r.stats.loadedRecords : 0), 0),
+        },
+        error: failed.length > 0 ? `Migration failed for ${failed.map((r) => r.objectId).join(', ')}` : null,
+      };
+    }
+
+    if (auto.type === 'reconciliation') {
+      if (!this.state.migrationRun) {
+        return { ok: false, result: null, error: 'No migration results to reconcile — run the migration task first' };
+      }
+      const engine = this.options.reconciliation || new ReconciliationEngine(auto.options);
+      const migrationResults = await this._loadMigrationResults();
+      const results = auto.objectIds
+        ? migrationResults.filter((r) => auto.objectIds.includes(r.objectId))
+        : migrationResults;
+      const { summary, reports } = engine.reconcileAll(results);
+      const failedObjects = reports.filter((r) => r.summary.status === 'FAILED').map((r) => r.objectId);
+      // Streaming runs keep no records: passing on nothing compared proves nothing
+      if (!summary.objectsReconciled) {
+        return { ok: false, result: { ...summary, failedObjects }, error: 'No records to reconcile in the last migration run' };
+      }
+      return {
+        ok: summary.overallStatus === 'PASSED',
+        result: { ...summary, failedObjects },
+        error: failedObjects.length > 0 ? `Reconciliation failed for ${failedObjects.join(', ')}` : null,
+      };
+    }
+
+    const handler = (this.options.handlers || {})[auto.type];
+    if (!handler) {
+      return { ok: false, result: null, error: `No handler for automation type '${auto.type}'` };
+    }
+    const result = await handler(task, this);
+    const failed = Boolean(result && result.status === 'failed');
+    return { ok: !failed, result: result === undefined ? null : result, error: failed ? (result.error || 'Failed') : null };
+  }
+
+  /** @private — save each object's records once and name the run in the state */
+  async _saveMigrationRun(runId, results) {
+    for (const result of results) {
+      const input = reconciliationInput(result);
+      await this.store.saveResult(runId, {
+        extractorId: result.objectId,
+        status: result.status,
+        recordCount: result.stats ? result.stats.extractedRecords : 0,
+        data: input.phases || {},
+      });
+    }
+    this.state.migrationRun = {
+      runId,
+      objects: results.map((r) => ({
+        objectId: r.objectId,
+        status: r.status,
+        extractedRecords: r.stats ? r.stats.extractedRecords : 0,
+        loadedRecords: r.stats ? r.stats.loadedRecords : 0,
+      })),
+    };
+  }
+
+  /** @private — the last migration run's results with their records, in reconcileAll() shape */
+  async _loadMigrationResults() {
+    const { runId, objects } = this.state.migrationRun;
+    const saved = new Map((await this.store.getResults(runId)).map((r) => [r.extractorId, r]));
+    return objects.map(({ objectId, status }) => {
+      const input = { objectId, status };
+      const data = saved.has(objectId) ? JSON.parse(saved.get(objectId).data || '{}') : {};
+      if (data.extract && data.transform) input.phases = data;
+      return input;
+    });
+  }
+
+  // ── Schedule ─────────────────────────────────────────────────────
+
+  /**
+   * Project the schedule from actuals and planned durations.
+   *
+   * @param {Date|string} [now] - Reference time (default: current time)
+   * @returns {object} { runbookId, status, counts, ready, projectedFinish, criticalPath,
+   *   window: { hours, start, deadline, projectedFinish, slackHours, onTrack, criticalPath }, tasks }
+   */
+  getSchedule(now = new Date()) {
+    const nowMs = new Date(now).getTime();
+    const times = this._projectTimes(nowMs);
+
+    const counts = { pending: 0, in_progress: 0, completed: 0, failed: 0, skipped: 0 };
+    for (const t of this.state.tasks) counts[t.status]++;
+
+    const last = (tasks) => tasks.reduce((best, t) => (!best || times.get(t.id).finish > times.get(best.id).finish ? t : best), null);
+    const end = last(this.state.tasks);
+    const windowTasks = this.state.tasks.filter((t) => t.inWindow);
+    const windowEnd = last(windowTasks);
+
+    let window = null;
+    if (windowEnd) {
+      const startMs = this.state.windowStart
+        ? Date.parse(this.state.windowStart)
+        : Math.min(...windowTasks.map((t) => times.get(t.id).start));
+      const deadlineMs = startMs + this.state.windowHours * HOUR_MS;
+      const finishMs = times.get(windowEnd.id).finish;
+      window = {
+        hours: this.state.windowHours,
+        phases: this.state.windowPhases,
+        started: Boolean(this.state.windowStart),
+        start: iso(startMs),
+        deadline: iso(deadlineMs),
+        projectedFinish: iso(finishMs),
+        slackHours: round2((deadlineMs - finishMs) / HOUR_MS),
+        onTrack: finishMs <= deadlineMs,
+        criticalPath: this._criticalPath(windowEnd, times),
+      };
+    }
+
+    return {
+      runbookId: this.runbookId,
+      status: this.getStatus(),
+      asOf: iso(nowMs),
+      counts,
+      ready: this.getReadyTasks().map((t) => t.id),
+      projectedFinish: end ? iso(times.get(end.id).finish) : null,
+      criticalPath: end ? this._criticalPath(end, times) : [],
+      window,
+      tasks: this.state.tasks.map((t) => ({
+        id: t.id,
+        name: t.name,
+        phaseId: t.phaseId,
+        owner: t.owner,
+        status: t.status,
+        durationHours: t.durationHours,
+        projectedStart: iso(times.get(t.id).start),
+        projectedFinish: iso(times.get(t.id).finish),
+        automated: Boolean(t.automation),
+      })),
+    };
+  }
+
+  /** @private — Map(id → { start, finish }) in epoch ms */
+  _projectTimes(nowMs) {
+    const times = new Map();
+    const visit = (task) => {
+      if (times.has(task.id)) return times.get(task.id);
+      const depsFinish = Math.max(-Infinity, ...task.depends.map((d) => visit(this._tasks.get(d)).finish));
+      const durationMs = task.durationHours * HOUR_MS;
+      let t;
+      if (task.status === 'completed' || task.status === 'skipped') {
+        const finish = Date.parse(task.completedAt);
+        t = { start: task.startedAt ? Date.parse(task.startedAt) : finish, finish };
+      } else if (task.status === 'in_progress') {
+        const start = Date.parse(task.startedAt);
+        t = { start, finish: Math.max(nowMs, start + durationMs) };
+      } else {
+        const start = Math.max(nowMs, depsFinish);
+        t = { start, finish: start + durationMs };
+      }
+      times.set(task.id, t);
+      return t;
+    };
+    for (const task of this.state.tasks) visit(task);
+    return times;
+  }
+
+  /** @private — walk back from `end` through the dependency that determined each start */
+  _criticalPath(end, times) {
+    const path = [];
+    let task = end;
+    while (task) {
+      path.unshift(task.id);
+      // Work already started is where the remaining path begins
+      if (task.status !== 'pending' && task.status !== 'failed') break;
+      const start = times.get(task.id).start;
+      let driver = null;
+      for (const d of task.depends) {
+        if (!driver || times.get(d).finish > times.get(driver).finish) driver = d;
+      }
+      task = driver && times.get(driver).finish === start ? this._tasks.get(driver) : null;
+    }
+    return path;
+  }
+
+  // ── Internals ────────────────────────────────────────────────────
+
+  /** @private */
+  _initialState(plan, options) {
+    if (!plan || !Array.isArray(plan.phases)) {
+      throw new MigrationObjectError('A cutover plan with phases is required', 'RUNBOOK_INVALID_PLAN');
+    }
+    const stats = plan.stats || {};
+    const windowPhases = options.windowPhases
+      || plan.phases.filter((p) => p.id.startsWith('CUT-')).map((p) => p.id);
+    const automations = options.automations || {};
+
+    const tasks = [];
+    for (const phase of plan.phases) {
+      for (const t of phase.tasks) {
+        tasks.push({
+          id: t.id,
+          phaseId: phase.id,
+          name: t.name,
+          owner: t.owner || null,
+          durationHours: t.durationHours || 0,
+          depends: [...(t.depends || [])],
+          automation: automations[t.id] || t.automation || null,
+          inWindow: windowPhases.includes(phase.id),
+          status: 'pending',
+          startedAt: null,
+          completedAt: null,
+          actualHours: null,
+          attempts: 0,
+          error: null,
+        });
+      }
+    }
+
+    return {
+      runbookId: options.runbookId || `cutover-${stats.goLiveDate || new Date().toISOString().split('T')[0]}`,
+      goLiveDate: stats.goLiveDate || null,
+      windowHours: options.windowHours || stats.cutoverWindowHours || DEFAULT_WINDOW_HOURS,
+      windowPhases,
+      windowStart: null,
+      createdAt: new Date().toISOString(),
+      tasks,
+      history: [],
+      migrationRun: null,
+    };
+  }
+
+  /** @private — unknown dependencies and cycles make the plan unexecutable */
+  _validate() {
+    for (const task of this.state.tasks) {
+      for (const d of task.depends) {
+        if (!this._tasks.has(d)) {
+          throw new MigrationObjectError(`Task ${task.id} depends on unknown task ${d}`, 'RUNBOOK_INVALID_PLAN');
+        }
+      }
+    }
+    const visiting = new Set();
+    const visited = new Set();
+    const visit = (id, trail) => {
+      if (visited.has(id)) return;
+      if (visiting.has(id)) {
+        throw new MigrationObjectError(`Circular task dependency: ${[...trail, id].join(' → ')}`, 'RUNBOOK_INVALID_PLAN');
+      }
+      visiting.add(id);
+      for (const d of this._tasks.get(id).depends) visit(d, [...trail, id]);
+      visiting.delete(id);
+      visited.add(id);
+    };
+    for (const task of this.state.tasks) visit(task.id, []);
+  }
+
+  /** @private */
+  _require(id) {
+    const task = this._tasks.get(id);
+    if (!task) throw new MigrationObjectError(`Unknown cutover task: ${id}`, 'RUNBOOK_UNKNOWN_TASK');
+    return task;
+  }
+
+  /** @private */
+  _depsDone(task) {
+    return task.depends.every((d) => DONE_STATUSES.includes(this._tasks.get(d).status));
+  }
+
+  /** @private — check, apply, record and persist one transition */
+  async _transition(task, action, meta, apply) {
+    const { from, to } = TRANSITIONS[action];
+    if (!from.includes(task.status)) {
+      throw new MigrationObjectError(`Cannot ${action} task ${task.id}: it is ${task.status}`, 'RUNBOOK_TRANSITION');
+    }
+    const at = meta.at ? new Date(meta.at).toISOString() : new Date().toISOString();
+    const previous = task.status;
+    apply(at);
+    task.status = to;
+
+    const entry = { at, taskId: task.id, action, from: previous, to, by: meta.by || null };
+    const detail = meta.note || meta.error || meta.reason;
+    if (detail) entry.note = detail;
+    this.state.history.push(entry);
+    this.logger.info(`${task.id} ${previous} → ${to}${meta.by ? ` (${meta.by})` : ''}`);
+
+    await this.save();
+    if (this.progressBus) {
+      try {
+        this.progressBus.emit('cutover:task', { runbookId: this.runbookId, taskId: task.id, from: previous, to, by: entry.by });
+      } catch { /* progress must never break the runbook */ }
+    }
+    return task;
+  }
+
+  /** Persist the current state */
+  async save() {
+    await this.store.saveCutoverRunbook({ runbookId: this.runbookId, status: this.getStatus(), state: this.state });
+  }
+}
+
+/** The part of a migration object result that reconciliation reads */
+function reconciliationInput(result) {
+  const input = { objectId: result.objectId, status: result.status };
+  if (result.phases && result.phases.extract && result.phases.transform) {
+    input.phases = {
+      extract: { records: result.phases.extract.records || [] },
+      transform: { records: result.phases.transform.records || [] },
+    };
+  }
+  return input;
+}
+
+function iso(ms) {
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+module.exports = { CutoverRunbook, TRANSITIONS };
@@ -24,6 +24,10 @@
  *   GET /api/dashboard/tests          — Test scenario status
  *   POST /api/dashboard/run           — Trigger migration run
  *   POST /api/dashboard/run/:id       — Trigger single object run
+ *   GET /api/dashboard/quarantine     — List quarantined records
+ *   GET /api/dashboard/quarantine/:id — Single quarantined record
+ *   PUT /api/dashboard/quarantine/:id — Fix a quarantined record's payload
+ *   POST /api/dashboard/quarantine/resubmit — Re-submit quarantined records
  */
 
 const Logger = require('../../lib/logger');
@@ -36,6 +40,11 @@ class DashboardAPI {
     this.reconciliationEngine = options.reconciliationEngine || null;
     this.testEngine = options.testEngine || null;
     this.gateway = options.gateway || { mode: 'mock' };
+    this.quarantine = options.quarantine || null;
+    this.valueMappings = options.valueMappings || null;
+    this.progressBus = options.progressBus || null;
+    this.circuitBreaker = options.circuitBreaker || null;
+    this.concurrency = options.concurrency;
     this._lastRun = null;
     this._runHistory = [];
   }
@@ -173,15 +182,27 @@ class DashboardAPI {
   }
 
   /**
-   * Trigger a full migration run
+   * Trigger a full migration run. Objects of each dependency wave run
+   * concurrently; progress is published on the progress bus.
+   * @param {object} [params] - { concurrency }
    */
-  async runAll() {
+  async runAll(params = {}) {
     if (!this.registry) {
       return { error: 'No registry configured' };
     }
 
+    const concurrency = params.concurrency === undefined ? this.concurrency : Number(params.concurrency);
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+      return { error: 'concurrency must be a positive integer' };
+    }
+
     this.logger.info('Starting full migration run...');
-    const result = await this.registry.runAll(this.gateway);
+    const result = await this.registry.runAll(this.gateway, {
+      ...this._objectOptions(),
+      concurrency,
+      progressBus: this.progressBus || undefined,
+      circuitBreaker: this.circuitBreaker || undefined,
+    });
     result.timestamp = new Date().toISOString();
     this._lastRun = result;
     this._runHistory.push(result);
@@ -203,20 +224,60 @@ class DashboardAPI {
     }
 
     try {
-      const obj = this.registry.createObject(objectId, this.gateway);
+      const obj = this.registry.createObject(objectId, this.gateway, this._objectOptions());
       this.logger.info(`Running ${obj.name} (${obj.objectId})...`);
       const result = await obj.run();
-      return {
+      const response = {
         status: result.status,
         objectId: result.objectId,
         phases: result.phases,
         stats: result.stats,
       };
+      if (result.quarantine) response.quarantine = result.quarantine;
+      return response;
     } catch (e) {
       return { error: e.message, objectId };
     }
   }
 
+  /**
+   * List quarantined records
+   * @param {object} [filter] - { objectId, runId, phase, status }
+   */
+  async listQuarantine(filter = {}) {
+    if (!this.quarantine) return { error: 'No quarantine configured' };
+    const entries = await this.quarantine.list(filter, filter.limit || 100);
+    return { count: entries.length, entries, summary: await this.quarantine.summary() };
+  }
+
+  /**
+   * Fix a quarantined record's payload or source record
+   */
+  async fixQuarantine(id, changes, meta = {}) {
+    if (!this.quarantine) return { error: 'No quarantine configured' };
+    try {
+      return await this.quarantine.fix(id, changes, meta);
+    } catch (e) {
+      return { error: e.message, code: e.details };
+    }
+  }
+
+  /**
+   * Re-submit quarantined records through their migration objects
+   */
+  async resubmitQuarantine(ids) {
+    if (!this.quarantine || !this.registry) return { error: 'No quarantine configured' };
+    try {
+      if (ids && ids.length > 0) {
+        return await this.quarantine.resubmitAll(this.registry, this.gateway, ids);
+      }
+      const open = await this.quarantine.list({ status: 'open' }, Number.MAX_SAFE_INTEGER);
+      return await this.quarantine.resubmitAll(this.registry, this.gateway, open.map((e) => e.ID));
+    } catch (e) {
+      return { error: e.message, code: e.details };
+    }
+  }
+
   /**
    * Register Express routes on a router
    */
@@ -247,8 +308,9 @@ class DashboardAPI {
       res.json(this.getTestScenarios());
     });
 
-    router.post('/api/dashboard/run', async (_req, res) => {
-      const result = await this.runAll();
+    router.post('/api/dashboard/run', async (req, res) => {
+      const result = await this.runAll({ concurrency: (req.body || {}).concurrency });
+      if (result.error) return res.status(400).json(result);
       res.json(result);
     });
 
@@ -258,11 +320,45 @@ class DashboardAPI {
       res.json(result);
     });
 
+    router.get('/api/dashboard/quarantine', async (req, res) => {
+      const { objectId, runId, phase, status } = req.query;
+      const result = await this.listQuarantine({ objectId, runId, phase, status });
+      if (result.error) return res.status(400).json(result);
+      res.json(result);
+    });
+
+    router.get('/api/dashboard/quarantine/:id', async (req, res) => {
+      if (!this.quarantine) return res.status(400).json({ error: 'No quarantine configured' });
+      const entry = await this.quarantine.get(req.params.id);
+      if (!entry) return res.status(404).json({ error: 'Quarantine entry not found' });
+      res.json(entry);
+    });
+
+    router.put('/api/dashboard/quarantine/:id', async (req, res) => {
+      const { payload, sourceRecord, by, comment } = req.body || {};
+      const result = await this.fixQuarantine(req.params.id, { payload, sourceRecord }, { by, comment });
+      if (result.error) return res.status(result.code === 'QUARANTINE_NOT_FOUND' ? 404 : 400).json(result);
+      res.json(result);
+    });
+
+    router.post('/api/dashboard/quarantine/resubmit', async (req, res) => {
+      const result = await this.resubmitQuarantine((req.body || {}).ids);
+      if (result.error) return res.status(result.code === 'QUARANTINE_NOT_FOUND' ? 404 : 400).json(result);
+      res.json(result);
+    });
+
     return router;
   }
 
   // ── Helpers ──────────────────────────────────────────────────
 
+  _objectOptions() {
+    const options = {};
+    if (this.quarantine) options.quarantine = this.quarantine;
+    if (this.valueMappings) options.valueMappings = this.valueMappings;
+    return options;
+  }
+
   _getRulesBreakdown(rules) {
     const breakdown = { critical: 0, high: 0, medium: 0, low: 0 };
     for (const r of rules) {
@@ -0,0 +1,276 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Delta Tracker — incremental extraction for migration objects
+ *
+ * Filters extracted records down to those that are new or changed since the
+ * last successful run, using a per-object high-water mark stored through
+ * PersistenceAdapter.
+ *
+ * Change-tracking strategies (declared by getDeltaConfig() on the object):
+ *   timestamp:       { strategy: 'timestamp', field: 'CPUDT', timeField?: 'CPUTM', keyFields?: [...] }
+ *   changeDocument:  { strategy: 'changeDocument', objectClass: 'DEBI', keyFields: ['KUNNR'] }
+ *   hash:            { strategy: 'hash', keyFields: ['KOKRS', 'KOSTL'], fields?: [...] }
+ *
+ * The high-water mark is only advanced by commit(), which the caller invokes
+ * after the filtered records have been loaded successfully.
+ *
+ * Timestamp fields are often coarser than the postings they track (CPUDT
+ * has day granularity), so records posted later on the watermark day would
+ * be skipped by a strict comparison. timeField adds the time of day; with
+ * keyFields the comparison is inclusive and the watermark remembers the keys
+ * already delivered at its timestamp ({ at, keys }), so nothing is lost or
+ * loaded twice.
+ */
+
+const crypto = require('crypto');
+const Logger = require('../lib/logger');
+const { MigrationObjectError } = require('../lib/errors');
+
+const STRATEGIES = ['timestamp', 'changeDocument', 'hash'];
+
+/**
+ * Normalize SAP dates/timestamps (YYYYMMDD, YYYYMMDDhhmmss, ISO) to a
+ * 14-digit string so values compare lexicographically.
+ */
+function normalizeTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const digits = String(value).replace(/[^0-9]/g, '').slice(0, 14);
+  if (!digits) return null;
+  return digits.padEnd(14, '0');
+}
+
+/**
+ * Timestamp of a record for the timestamp strategy (date plus optional time field).
+ */
+function recordTimestamp(record, config) {
+  const date = record[config.field];
+  if (!config.timeField || date === null || date === undefined || date === '') return normalizeTimestamp(date);
+  const time = String(record[config.timeField] || '').replace(/[^0-9]/g, '');
+  return normalizeTimestamp(String(date).replace(/[^0-9]/g, '').slice(0, 8) + time);
+}
+
+/**
+ * Timestamp watermark as { at, keys }; plain strings are watermarks without boundary keys.
+ */
+function timestampWatermark(watermark) {
+  if (watermark === null || watermark === undefined) return null;
+  if (typeof watermark === 'object') return { at: watermark.at, keys: watermark.keys || [] };
+  return { at: watermark, keys: [] };
+}
+
+function recordKey(record, keyFields) {
+  return keyFields.map((f) => (record[f] === null || record[f] === undefined ? '' : String(record[f]))).join('|');
+}
+
+function recordHash(record, fields) {
+  const names = (fields || Object.keys(record)).slice().sort();
+  const canonical = names.map((f) => [f, record[f] === undefined ? null : record[f]]);
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+class DeltaTracker {
+  /**
+   * @param {import('../lib/persistence').PersistenceAdapter} store
+   * @param {object} [options]
+   */
+  constructor(store, options = {}) {
+    if (!store) {
+      throw new MigrationObjectError('DeltaTracker requires a persistence store', 'DELTA_NO_STORE');
+    }
+    this.store = store;
+    this.logger = new Logger('delta-tracker', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * Validate a delta config declared by a migration object.
+   * @param {object} config
+   * @returns {{ valid: boolean, errors: string[] }}
+   */
+  static validateConfig(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object') {
+      return { valid: false, errors: ['Delta config must be an object'] };
+    }
+    if (!STRATEGIES.includes(config.strategy)) {
+      errors.push(`Unknown delta strategy '${config.strategy}' (expected ${STRATEGIES.join(', ')})`);
+    }
+    if (config.strategy === 'timestamp' && !config.field) {
+      errors.push('Timestamp strategy requires a field');
+    }
+    if (config.strategy === 'timestamp' && config.keyFields !== undefined
+      && (!Array.isArray(config.keyFields) || config.keyFields.length === 0)) {
+      errors.push('Timestamp strategy keyFields must be a non-empty array');
+    }
+    if (config.strategy === 'changeDocument' && !config.objectClass) {
+      errors.push('Change document strategy requires an objectClass');
+    }
+    if ((config.strategy === 'changeDocument' || config.strategy === 'hash')
+      && (!Array.isArray(config.keyFields) || config.keyFields.length === 0)) {
+      errors.push(`${config.strategy} strategy requires keyFields`);
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Combine the next watermarks of two filter() calls over consecutive
+   * slices of the same extract (streaming runs filter chunk by chunk).
+   * @param {string} strategy
+   * @param {*} a
+   * @param {*} b
+   * @returns {*}
+   */
+  static mergeWatermarks(strategy, a, b) {
+    if (a === null || a === undefined) return b;
+    if (b === null || b === undefined) return a;
+    if (strategy === 'hash') return { ...a, ...b };
+    if (strategy === 'timestamp' && (typeof a === 'object' || typeof b === 'object')) {
+      const wa = timestampWatermark(a);
+      const wb = timestampWatermark(b);
+      if (wa.at !== wb.at) return wb.at > wa.at ? b : a;
+      return { at: wa.at, keys: [...new Set([...wa.keys, ...wb.keys])] };
+    }
+    return b > a ? b : a;
+  }
+
+  /**
+   * Load the stored high-water mark for an object.
+   * @param {string} objectId
+   * @returns {object|null}
+   */
+  async load(objectId) {
+    return this.store.loadWatermark(objectId);
+  }
+
+  /**
+   * Filter records to those new or changed since the stored watermark.
+   *
+   * @param {string} objectId
+   * @param {object} config - Delta config from getDeltaConfig()
+   * @param {object[]} records - Full extracted record set
+   * @param {object} [context]
+   * @param {object[]} [context.changeDocuments] - [{ objectKey, changedAt }] for changeDocument strategy
+   * @returns {{ records: object[], previousWatermark: *, nextWatermark: *, stats: object }}
+   */
+  async filter(objectId, config, records, context = {}) {
+    const check = DeltaTracker.validateConfig(config);
+    if (!check.valid) {
+      throw new MigrationObjectError(`Invalid delta config for ${objectId}: ${check.errors.join('; ')}`, 'DELTA_INVALID_CONFIG');
+    }
+
+    const stored = await this.load(objectId);
+    const previous = stored && stored.strategy === config.strategy ? stored.watermark : null;
+    if (stored && stored.strategy !== config.strategy) {
+      this.logger.warn(`Delta strategy for ${objectId} changed (${stored.strategy} → ${config.strategy}), running full extraction`);
+    }
+
+    let result;
+    if (config.strategy === 'timestamp') {
+      result = this._filterTimestamp(config, records, previous);
+    } else if (config.strategy === 'changeDocument') {
+      result = this._filterChangeDocument(config, records, previous, context.changeDocuments || []);
+    } else {
+      result = this._filterHash(config, records, previous);
+    }
+
+    const stats = {
+      strategy: config.strategy,
+      initialLoad: previous === null,
+      totalRecords: records.length,
+      changedRecords: result.records.length,
+      skippedRecords: records.length - result.records.length,
+    };
+    this.logger.info(`Delta ${objectId}: ${stats.changedRecords}/${stats.totalRecords} records new or changed (${config.strategy})`);
+
+    return { records: result.records, previousWatermark: previous, nextWatermark: result.nextWatermark, stats };
+  }
+
+  /**
+   * Persist the new high-water mark after a successful load.
+   * @param {string} objectId
+   * @param {object} config
+   * @param {*} watermark
+   * @param {object} [meta] - { recordCount, runId }
+   */
+  async commit(objectId, config, watermark, meta = {}) {
+    await this.store.saveWatermark(objectId, {
+      strategy: config.strategy,
+      watermark,
+      recordCount: meta.recordCount || 0,
+      runId: meta.runId || null,
+    });
+    this.logger.debug(`Delta watermark committed for ${objectId}`);
+  }
+
+  /**
+   * Forget the watermark so the next run extracts everything.
+   * @param {string} objectId
+   */
+  async reset(objectId) {
+    return this.store.clearWatermark(objectId);
+  }
+
+  _filterTimestamp(config, records, previous) {
+    const keyed = Array.isArray(config.keyFields);
+    const prev = timestampWatermark(previous);
+    const delivered = new Set(prev ? prev.keys : []);
+    let max = prev ? prev.at : null;
+    let boundary = new Set(delivered);
+    const changed = [];
+    for (const rec of records) {
+      const ts = recordTimestamp(rec, config);
+      const key = keyed ? recordKey(rec, config.keyFields) : null;
+      // Records without a change timestamp cannot be proven unchanged
+      if (ts === null || prev === null || ts > prev.at || (keyed && ts === prev.at && !delivered.has(key))) {
+        changed.push(rec);
+      }
+      if (ts === null) continue;
+      if (max === null || ts > max) {
+        max = ts;
+        boundary = new Set();
+      }
+      if (keyed && ts === max) boundary.add(key);
+    }
+    if (!keyed || max === null) return { records: changed, nextWatermark: max };
+    return { records: changed, nextWatermark: { at: max, keys: [...boundary] } };
+  }
+
+  _filterChangeDocument(config, records, previous, changeDocuments) {
+    let max = previous;
+    const changedKeys = new Set();
+    for (const doc of changeDocuments) {
+      const ts = normalizeTimestamp(doc.changedAt);
+      if (ts === null) continue;
+      if (previous === null || ts > previous) changedKeys.add(String(doc.objectKey));
+      if (max === null || ts > max) max = ts;
+    }
+
+    const changed = previous === null
+      ? records
+      : records.filter((rec) => changedKeys.has(recordKey(rec, config.keyFields)));
+    return { records: changed, nextWatermark: max };
+  }
+
+  _filterHash(config, records, previous) {
+    const known = previous || {};
+    const next = {};
+    const changed = [];
+    for (const rec of records) {
+      const key = recordKey(rec, config.keyFields);
+      const hash = recordHash(rec, config.fields);
+      next[key] = hash;
+      if (known[key] !== hash) changed.push(rec);
+    }
+    return { records: changed, nextWatermark: next };
+  }
+}
+
+module.exports = { DeltaTracker, normalizeTimestamp, recordTimestamp, STRATEGIES };
@@ -13,10 +13,18 @@
  *
  * Maps source records to target records using declarative mapping definitions.
  * Supports simple rename, type conversion, value mapping, concatenation,
- * defaults, and conditional transforms.
+ * defaults, conditional transforms, sandboxed expressions
+ * (see mapping-expression.js) that can be stored as JSON, and external
+ * value-mapping tables (see value-mapping-repository.js). Source values
+ * missing from a value table are counted per mapping for the run report.
  */
 
 const Logger = require('../lib/logger');
+const { TransformError } = require('../lib/errors');
+const { compileExpression, evaluateExpression, validateExpression } = require('./mapping-expression');
+
+// Distinct unmapped values kept per mapping; further values are only counted
+const MAX_UNMAPPED_VALUES = 100;
 
 // ── Built-in converters ──────────────────────────────────────────────
 
@@ -79,6 +87,11 @@ const CONVERTERS = {
 //  concatenation: { target, sources: ['F1', 'F2'], separator: ' ' }
 //  default:       { target, default: value }
 //  conditional:   { source, target, transform: fn(value, record) }
+//  expression:    { target, expression: "IF(KTOKD = 'CPD', 'X', NAME1)", source? }
+//                 (source is optional and is available as $ in the expression)
+//  valueTable:    { source, target, valueTable: 'plants', tableVersion?: 2, default?, onUnmapped?: 'keep' | 'error' }
+//                 (table from options.valueMappings; unmapped values fall back to
+//                 the mapping default, then the table default, then the raw value)
 
 class FieldMappingEngine {
   /**
@@ -86,11 +99,17 @@ class FieldMappingEngine {
    * @param {object} [options]
    * @param {boolean} [options.strict] - Throw on unmapped source fields
    * @param {boolean} [options.passThrough] - Copy unmapped fields as-is
+   * @param {object} [options.referenceTables] - { TABLE: { key: value | row } } for LOOKUP()
+   * @param {object} [options.valueMappings] - ValueMappingRepository, or { TABLE: { SRC: TGT } }
    */
   constructor(mappings, options = {}) {
     this.mappings = mappings;
     this.strict = options.strict || false;
     this.passThrough = options.passThrough || false;
+    this.referenceTables = options.referenceTables || null;
+    this.valueMappings = options.valueMappings || null;
+    this._expressions = new Map();
+    this._unmapped = new Map();
     this.logger = new Logger('field-mapping', { level: options.logLevel || 'warn' });
     this._stats = { processed: 0, mapped: 0, unmapped: 0, errors: 0 };
   }
@@ -111,6 +130,11 @@ class FieldMappingEngine {
    * @returns {object} Target record
    */
   applyRecord(record) {
+    return this._applyRecord(record, null);
+  }
+
+  /** @private — apply mappings, collecting per-field errors into `errors` when given */
+  _applyRecord(record, errors) {
     const target = {};
     const mappedSources = new Set();
 
@@ -123,6 +147,19 @@ class FieldMappingEngine {
             return record[s] !== null && record[s] !== undefined ? String(record[s]) : '';
           });
           target[m.target] = parts.join(m.separator !== null && m.separator !== undefined ? m.separator : ' ');
+        } else if (m.target && m.expression !== undefined) {
+          // Expression
+          const expr = this._compile(m);
+          if (m.source) mappedSources.add(m.source);
+          for (const f of expr.fields) mappedSources.add(f);
+          target[m.target] = evaluateExpression(expr, record, {
+            value: m.source ? record[m.source] : undefined,
+            referenceTables: this.referenceTables || {},
+          });
+        } else if (m.source && m.target && m.valueTable) {
+          // External value-mapping table
+          mappedSources.add(m.source);
+          target[m.target] = this._mapTableValue(m, record[m.source]);
         } else if (m.source && m.target && m.valueMap) {
           // Value map
           mappedSources.add(m.source);
@@ -155,6 +192,7 @@ class FieldMappingEngine {
         this._stats.errors++;
         this.logger.warn(`Mapping error on field ${m.source || m.target}: ${err.message}`);
         if (m.target) target[m.target] = null;
+        if (errors) errors.push({ field: m.target || m.source, message: err.message });
       }
     }
 
@@ -181,6 +219,26 @@ class FieldMappingEngine {
     return records.map((r) => this.applyRecord(r));
   }
 
+  /**
+   * Apply mappings to a batch, separating records whose mappings threw.
+   * @param {object[]} records
+   * @returns {{ records: object[], failures: { index: number, record: object, errors: object[] }[] }}
+   */
+  applyBatchDetailed(records) {
+    const mapped = [];
+    const failures = [];
+    for (let i = 0; i < records.length; i++) {
+      const errors = [];
+      const target = this._applyRecord(records[i], errors);
+      if (errors.length > 0) {
+        failures.push({ index: i, record: records[i], errors });
+      } else {
+        mapped.push(target);
+      }
+    }
+    return { records: mapped, failures };
+  }
+
   /**
    * Validate mapping definitions for common errors
    * @returns {{ valid: boolean, errors: string[] }}
@@ -194,8 +252,21 @@ class FieldMappingEngine {
       if (!m.target) {
         errors.push(`Mapping[${i}]: missing target field`);
       }
-      if (!m.source && !m.sources && m.default === undefined) {
-        errors.push(`Mapping[${i}]: no source, sources, or default defined`);
+      if (!m.source && !m.sources && m.default === undefined && m.expression === undefined) {
+        errors.push(`Mapping[${i}]: no source, sources, expression, or default defined`);
+      }
+      if (m.expression !== undefined) {
+        const check = validateExpression(m.expression, {
+          hasSource: Boolean(m.source),
+          referenceTables: this.referenceTables || undefined,
+        });
+        for (const err of check.errors) {
+          errors.push(`Mapping[${i}]: invalid expression for '${m.target}' — ${err}`);
+        }
+      }
+      if (m.valueTable && !this._resolveTable(m)) {
+        const version = m.tableVersion ? ` version ${m.tableVersion}` : '';
+        errors.push(`Mapping[${i}]: value table '${m.valueTable}'${version} is not loaded`);
       }
       if (m.convert && typeof m.convert === 'string' && !CONVERTERS[m.convert]) {
         errors.push(`Mapping[${i}]: unknown converter '${m.convert}'`);
@@ -209,6 +280,97 @@ class FieldMappingEngine {
     return { valid: errors.length === 0, errors };
   }
 
+  /** @private — compile each expression once per engine */
+  _compile(mapping) {
+    let compiled = this._expressions.get(mapping);
+    if (!compiled) {
+      compiled = compileExpression(mapping.expression);
+      this._expressions.set(mapping, compiled);
+    }
+    return compiled;
+  }
+
+  /** @private — translate a value through the mapping's value table */
+  _mapTableValue(m, raw) {
+    const table = this._resolveTable(m);
+    if (!table) {
+      throw new TransformError(`Value table '${m.valueTable}' is not loaded`, { table: m.valueTable, version: m.tableVersion || null });
+    }
+    if (raw === null || raw === undefined || raw === '') return raw;
+    const key = String(raw);
+    if (Object.prototype.hasOwnProperty.call(table.entries, key)) return table.entries[key];
+
+    this._trackUnmapped(m, table, key);
+    if (m.onUnmapped === 'error') {
+      throw new TransformError(`No mapping for '${key}' in value table '${m.valueTable}'`, { table: m.valueTable, value: key });
+    }
+    if (m.default !== null && m.default !== undefined) return m.default;
+    if (table.defaultValue !== null && table.defaultValue !== undefined) return table.defaultValue;
+    return raw;
+  }
+
+  /** @private — { entries, defaultValue, version } for a valueTable mapping, or null */
+  _resolveTable(m) {
+    const source = this.valueMappings;
+    if (!source) return null;
+    if (typeof source.get === 'function') return source.get(m.valueTable, m.tableVersion);
+    const entries = source[m.valueTable];
+    return entries ? { entries, defaultValue: null, version: null } : null;
+  }
+
+  /** @private */
+  _trackUnmapped(m, table, value) {
+    let entry = this._unmapped.get(m);
+    if (!entry) {
+      entry = {
+        table: m.valueTable,
+        version: table.version,
+        source: m.source,
+        target: m.target,
+        total: 0,
+        counts: new Map(),
+        truncated: false,
+      };
+      this._unmapped.set(m, entry);
+    }
+    entry.total++;
+    if (entry.counts.has(value)) {
+      entry.counts.set(value, entry.counts.get(value) + 1);
+    } else if (entry.counts.size < MAX_UNMAPPED_VALUES) {
+      entry.counts.set(value, 1);
+    } else {
+      entry.truncated = true;
+    }
+  }
+
+  /** True if any mapping reads from a value table */
+  usesValueTables() {
+    return this.mappings.some((m) => m.valueTable);
+  }
+
+  /**
+   * Source values that had no entry in their value table since the last
+   * resetUnmapped(), most frequent first.
+   * @returns {object[]} [{ table, version, source, target, total, values: [{ value, count }], truncated }]
+   */
+  getUnmappedReport() {
+    return Array.from(this._unmapped.values()).map((e) => ({
+      table: e.table,
+      version: e.version,
+      source: e.source,
+      target: e.target,
+      total: e.total,
+      values: Array.from(e.counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+      truncated: e.truncated,
+    }));
+  }
+
+  /** Clear unmapped-value tracking (start of a run) */
+  resetUnmapped() {
+    this._unmapped = new Map();
+  }
+
   /**
    * Get processing statistics
    */
@@ -227,4 +389,4 @@ class FieldMappingEngine {
   }
 }
 
-module.exports = { FieldMappingEngine, CONVERTERS };
+module.exports = { FieldMappingEngine, CONVERTERS, MAX_UNMAPPED_VALUES };
@@ -0,0 +1,227 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Load Journal and Rollback
+ *
+ * Records every document and master-data key a migration load creates in
+ * the target (see BaseMigrationObject options.journal), and reverses those
+ * loads per object or per run: reversal postings for FI documents,
+ * deletion flags for master data, as declared by each object's
+ * getRollbackStrategy().
+ *
+ * Rollback runs in reverse dependency order (DependencyGraph waves, last
+ * wave first), so open items are reversed before the business partners
+ * they reference. An object is blocked while objects depending on it still
+ * have loaded records outside the rollback scope, and is skipped when one
+ * of its dependents failed to roll back. Every rollback can be previewed
+ * with dryRun.
+ *
+ * Entry lifecycle: loaded → rolled_back
+ *                  loaded → rollback_failed → rolled_back (retry)
+ */
+
+const Logger = require('../lib/logger');
+const { MigrationObjectError } = require('../lib/errors');
+const { PersistenceAdapter } = require('../lib/persistence');
+
+const REVERSIBLE_STATUSES = ['loaded', 'rollback_failed'];
+
+class LoadJournal {
+  /**
+   * @param {object} [options]
+   * @param {PersistenceAdapter} [options.persistence] - Store (default: in-memory)
+   */
+  constructor(options = {}) {
+    this.store = options.persistence || new PersistenceAdapter({ mode: 'memory' });
+    this.logger = new Logger('load-journal', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * Journal records created by a load.
+   * @param {string} objectId
+   * @param {object[]} items - [{ targetKey, keys, documentNumber? }]
+   * @param {object} [meta] - { runId, strategy }
+   * @returns {Promise<object[]>} Saved entries
+   */
+  async record(objectId, items, meta = {}) {
+    const saved = [];
+    for (const item of items) {
+      saved.push(await this.store.saveLoadJournalEntry({
+        runId: meta.runId || null,
+        objectId,
+        targetKey: item.targetKey || '',
+        keys: item.keys || {},
+        documentNumber: item.documentNumber || null,
+        strategy: meta.strategy || null,
+        status: 'loaded',
+        reversalKey: null,
+        error: null,
+        rolledBackAt: null,
+      }));
+    }
+    return saved;
+  }
+
+  /**
+   * List journal entries in load order.
+   * @param {object} [filter] - { runId, objectId, status }
+   * @param {number} [limit=100]
+   */
+  async list(filter = {}, limit = 100) {
+    return this.store.listLoadJournalEntries(filter, limit);
+  }
+
+  /**
+   * Count entries by object and status.
+   * @param {string} [runId] - Restrict to one run
+   * @returns {Promise<object>} { total, byObject: { [objectId]: { loaded, rolled_back, rollback_failed } } }
+   */
+  async summary(runId) {
+    const entries = await this.store.listLoadJournalEntries({ runId }, Number.MAX_SAFE_INTEGER);
+    const byObject = {};
+    for (const e of entries) {
+      byObject[e.objectId] = byObject[e.objectId] || { loaded: 0, rolled_back: 0, rollback_failed: 0 };
+      byObject[e.objectId][e.status]++;
+    }
+    return { total: entries.length, byObject };
+  }
+
+  /**
+   * Roll back journaled loads of a run, an object, or one object within a run.
+   *
+   * @param {object} registry - MigrationObjectRegistry (object instances and dependency order)
+   * @param {object} gateway - { mode }
+   * @param {object} scope - { runId?, objectId?, dryRun?, force? }; runId or objectId is required
+   * @param {object} [options] - Migration object options
+   * @returns {Promise<object>} { runId, objectId, dryRun, status, totalEntries, blockedBy, waves, objects }
+   */
+  async rollback(registry, gateway, scope = {}, options = {}) {
+    const { runId, objectId } = scope;
+    if (!runId && !objectId) {
+      throw new MigrationObjectError('Rollback requires a runId or an objectId', 'JOURNAL_SCOPE');
+    }
+
+    const entries = await this._reversible({ runId, objectId });
+    const byObject = new Map();
+    for (const e of entries) {
+      if (!byObject.has(e.objectId)) byObject.set(e.objectId, []);
+      byObject.get(e.objectId).push(e);
+    }
+    const objectIds = [...byObject.keys()];
+    const waves = registry.getExecutionWaves(objectIds).reverse();
+    const objects = waves.flat().map((id) => ({
+      objectId: id,
+      strategy: registry.createObject(id, gateway, options).getRollbackStrategy(),
+      entryCount: byObject.get(id).length,
+      status: 'pending',
+    }));
+
+    const result = {
+      runId: runId || null,
+      objectId: objectId || null,
+      dryRun: Boolean(scope.dryRun),
+      status: 'planned',
+      totalEntries: entries.length,
+      blockedBy: await this._blockers(registry, objectIds, new Set(entries.map((e) => e.ID))),
+      waves: waves.map((ids, i) => ({ wave: i + 1, objects: ids })),
+      objects,
+    };
+
+    if (result.blockedBy.length > 0 && !scope.force) {
+      result.status = 'blocked';
+      return result;
+    }
+    if (scope.dryRun || entries.length === 0) {
+      if (entries.length === 0) result.status = 'nothing_to_roll_back';
+      return result;
+    }
+
+    const failed = new Set();
+    for (const summary of objects) {
+      const failedDependents = registry.getDependents(summary.objectId).filter((id) => failed.has(id));
+      if (failedDependents.length > 0) {
+        summary.status = 'skipped';
+        summary.reason = 'dependent_rollback_failed';
+        summary.blockedBy = failedDependents;
+        failed.add(summary.objectId);
+        continue;
+      }
+      if (summary.strategy === 'manual') {
+        summary.status = 'manual';
+        summary.reason = 'Strategy is manual — reverse these records in the target system';
+        continue;
+      }
+      await this._rollbackObject(registry.createObject(summary.objectId, gateway, options), byObject.get(summary.objectId), summary);
+      if (summary.failed > 0) failed.add(summary.objectId);
+    }
+
+    result.status = failed.size > 0 ? 'completed_with_errors' : 'completed';
+    this.logger.info(`Rollback ${runId || objectId}: ${result.status}`);
+    return result;
+  }
+
+  /** @private — reverse one object's entries and record the outcome on each */
+  async _rollbackObject(migrationObject, entries, summary) {
+    let outcomes;
+    try {
+      outcomes = await migrationObject.rollback(entries);
+    } catch (err) {
+      outcomes = entries.map(() => ({ status: 'failed', error: err.message }));
+    }
+
+    const now = new Date().toISOString();
+    summary.rolledBack = 0;
+    summary.failed = 0;
+    for (let i = 0; i < entries.length; i++) {
+      const outcome = outcomes[i] || { status: 'failed', error: 'No rollback outcome returned' };
+      const ok = outcome.status === 'rolled_back';
+      await this.store.saveLoadJournalEntry({
+        ...entries[i],
+        status: ok ? 'rolled_back' : 'rollback_failed',
+        reversalKey: outcome.reversalKey || null,
+        error: ok ? null : outcome.error || 'Rollback failed',
+        rolledBackAt: ok ? now : null,
+      });
+      if (ok) summary.rolledBack++;
+      else summary.failed++;
+    }
+    summary.status = summary.failed > 0 ? 'completed_with_errors' : 'completed';
+  }
+
+  /** @private */
+  async _reversible(filter) {
+    const entries = [];
+    for (const status of REVERSIBLE_STATUSES) {
+      entries.push(...await this.store.listLoadJournalEntries({ ...filter, status }, Number.MAX_SAFE_INTEGER));
+    }
+    return entries.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+  }
+
+  /**
+   * @private — dependents that still have loaded records outside the scope
+   * @returns {Promise<object[]>} [{ objectId, dependent, entryCount }]
+   */
+  async _blockers(registry, objectIds, inScope) {
+    const outside = new Map();
+    for (const e of await this._reversible({})) {
+      if (!inScope.has(e.ID)) outside.set(e.objectId, (outside.get(e.objectId) || 0) + 1);
+    }
+    const blockers = [];
+    for (const id of objectIds) {
+      for (const dependent of registry.getDependents(id)) {
+        if (outside.has(dependent)) blockers.push({ objectId: id, dependent, entryCount: outside.get(dependent) });
+      }
+    }
+    return blockers;
+  }
+}
+
+module.exports = { LoadJournal, REVERSIBLE_STATUSES };
@@ -0,0 +1,696 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Mapping Expression Language
+ *
+ * A small, spreadsheet-style expression language for field mappings that can
+ * be stored as JSON and edited by functional consultants:
+ *
+ *   IF(KTOKD = 'CPD', 'ONE_TIME', UPPER(TRIM(NAME1)))
+ *   LOOKUP('T005', LAND1, 'ISO3', 'XXX')
+ *   PADLEFT(KUNNR, 10) & '-' & BUKRS
+ *   ROUND(NUMBER(DMBTR) * 1.19, 2)
+ *
+ * Syntax:
+ *   literals     123, 1.5, 'text', "text", TRUE, FALSE, NULL
+ *   fields       NAME1, [/BIC/ZFIELD]  (source record fields; missing → NULL)
+ *   $            the mapping's own source value
+ *   operators    + - * / %   & (concatenate)   = <> != < <= > >=   AND OR NOT
+ *   functions    see FUNCTIONS (names are case-insensitive)
+ *
+ * Expressions are parsed into an AST and interpreted — there is no eval, no
+ * property access beyond the record's own fields and reference tables, and
+ * no way to reach globals. Length and nesting depth are bounded, and so are
+ * the strings an expression builds (nested REPLACE or & could otherwise
+ * grow them exponentially).
+ */
+
+const { TransformError } = require('../lib/errors');
+
+const MAX_LENGTH = 4000;
+const MAX_DEPTH = 64;
+const MAX_PAD = 1000;
+const MAX_TEXT = 100000;
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'TRUE', 'FALSE', 'NULL'];
+const COMPARATORS = ['=', '<>', '!=', '<', '<=', '>', '>='];
+
+// ── Value helpers ────────────────────────────────────────────────────
+
+function isBlank(v) {
+  return v === null || v === undefined || v === '';
+}
+
+function truthy(v) {
+  return !(isBlank(v) || v === false || v === 0);
+}
+
+function text(v) {
+  return isBlank(v) ? '' : String(v);
+}
+
+/** Numbers from JS values or SAP strings ('1.234,00' is not supported; '100-' is -100) */
+function toNumber(v, fn) {
+  if (isBlank(v)) return null;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  let s = String(v).trim();
+  let sign = 1;
+  if (s.endsWith('-')) {
+    sign = -1;
+    s = s.slice(0, -1);
+  }
+  const n = Number(s);
+  if (s === '' || isNaN(n)) {
+    throw new TransformError(`${fn ? `${fn}: ` : ''}'${v}' is not a number`);
+  }
+  return sign * n;
+}
+
+/** Normalize SAP (YYYYMMDD) and ISO dates to YYYY-MM-DD, or null */
+function toDate(v) {
+  if (isBlank(v)) return null;
+  const digits = String(v).replace(/[^0-9]/g, '').slice(0, 8);
+  if (digits.length !== 8 || /^0+$/.test(digits)) return null;
+  const iso = `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+  // Round-trip through Date to reject 2024-02-30 and friends
+  const d = new Date(`${iso}T00:00:00Z`);
+  if (isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== iso) {
+    throw new TransformError(`'${v}' is not a date`);
+  }
+  return iso;
+}
+
+function dateParts(v) {
+  const iso = toDate(v);
+  return iso === null ? null : new Date(`${iso}T00:00:00Z`);
+}
+
+function compare(a, b) {
+  if (isBlank(a) && isBlank(b)) return 0;
+  if (isBlank(a)) return -1;
+  if (isBlank(b)) return 1;
+  const na = typeof a === 'number' ? a : Number(a);
+  const nb = typeof b === 'number' ? b : Number(b);
+  if (typeof a !== 'boolean' && typeof b !== 'boolean' && !isNaN(na) && !isNaN(nb)
+    && String(a).trim() !== '' && String(b).trim() !== '') {
+    return na === nb ? 0 : na < nb ? -1 : 1;
+  }
+  const sa = String(a);
+  const sb = String(b);
+  return sa === sb ? 0 : sa < sb ? -1 : 1;
+}
+
+function own(obj, key) {
+  return obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+// ── Function library ─────────────────────────────────────────────────
+//
+// { min, max, fn(args, ctx) }  — lazy functions receive thunks instead of values.
+
+const FUNCTIONS = Object.freeze({
+  // Conditionals and blanks
+  IF: { min: 2, max: 3, lazy: true, fn: ([cond, a, b]) => (truthy(cond()) ? a() : b ? b() : null) },
+  SWITCH: {
+    min: 3,
+    max: Infinity,
+    lazy: true,
+    fn: (args) => {
+      const value = args[0]();
+      let i = 1;
+      for (; i + 1 < args.length; i += 2) {
+        if (compare(value, args[i]()) === 0) return args[i + 1]();
+      }
+      return i < args.length ? args[i]() : null;
+    },
+  },
+  COALESCE: {
+    min: 1,
+    max: Infinity,
+    lazy: true,
+    fn: (args) => {
+      for (const arg of args) {
+        const v = arg();
+        if (!isBlank(v)) return v;
+      }
+      return null;
+    },
+  },
+  ISBLANK: { min: 1, max: 1, fn: ([v]) => isBlank(v) },
+  IN: { min: 2, max: Infinity, fn: ([v, ...list]) => list.some((x) => compare(v, x) === 0) },
+
+  // Strings
+  TEXT: { min: 1, max: 1, fn: ([v]) => text(v) },
+  UPPER: { min: 1, max: 1, fn: ([v]) => text(v).toUpperCase() },
+  LOWER: { min: 1, max: 1, fn: ([v]) => text(v).toLowerCase() },
+  TRIM: { min: 1, max: 1, fn: ([v]) => text(v).trim() },
+  LEN: { min: 1, max: 1, fn: ([v]) => text(v).length },
+  LEFT: { min: 2, max: 2, fn: ([v, n]) => text(v).slice(0, Math.max(0, toNumber(n, 'LEFT') || 0)) },
+  RIGHT: {
+    min: 2,
+    max: 2,
+    fn: ([v, n]) => {
+      const count = Math.max(0, toNumber(n, 'RIGHT') || 0);
+      return count === 0 ? '' : text(v).slice(-count);
+    },
+  },
+  SUBSTR: {
+    min: 2,
+    max: 3,
+    fn: ([v, start, len]) => {
+      const from = Math.max(0, (toNumber(start, 'SUBSTR') || 1) - 1);
+      const s = text(v);
+      return len === undefined ? s.slice(from) : s.slice(from, from + Math.max(0, toNumber(len, 'SUBSTR') || 0));
+    },
+  },
+  CONCAT: { min: 1, max: Infinity, fn: (args) => bounded(args.map(text).join(''), 'CONCAT') },
+  REPLACE: { min: 3, max: 3, fn: ([v, find, repl]) => replaceAll(text(v), text(find), text(repl)) },
+  PADLEFT: { min: 2, max: 3, fn: ([v, n, ch]) => pad(v, n, ch === undefined ? '0' : ch, 'PADLEFT') },
+  PADRIGHT: { min: 2, max: 3, fn: ([v, n, ch]) => pad(v, n, ch === undefined ? ' ' : ch, 'PADRIGHT') },
+  STRIPZEROS: { min: 1, max: 1, fn: ([v]) => (isBlank(v) ? '' : text(v).replace(/^0+/, '') || '0') },
+  CONTAINS: { min: 2, max: 2, fn: ([v, s]) => text(v).includes(text(s)) },
+  STARTSWITH: { min: 2, max: 2, fn: ([v, s]) => text(v).startsWith(text(s)) },
+  ENDSWITH: { min: 2, max: 2, fn: ([v, s]) => text(v).endsWith(text(s)) },
+
+  // Numbers
+  NUMBER: { min: 1, max: 1, fn: ([v]) => toNumber(v, 'NUMBER') },
+  INT: { min: 1, max: 1, fn: ([v]) => numeric(v, 'INT', Math.trunc) },
+  ABS: { min: 1, max: 1, fn: ([v]) => numeric(v, 'ABS', Math.abs) },
+  FLOOR: { min: 1, max: 1, fn: ([v]) => numeric(v, 'FLOOR', Math.floor) },
+  CEIL: { min: 1, max: 1, fn: ([v]) => numeric(v, 'CEIL', Math.ceil) },
+  ROUND: {
+    min: 1,
+    max: 2,
+    fn: ([v, digits]) => {
+      const n = toNumber(v, 'ROUND');
+      if (n === null) return null;
+      const factor = 10 ** (toNumber(digits, 'ROUND') || 0);
+      // Half away from zero: -2.5 → -3, like 2.5 → 3
+      return (Math.sign(n) * Math.round((Math.abs(n) + Number.EPSILON) * factor)) / factor;
+    },
+  },
+  MIN: { min: 1, max: Infinity, fn: (args) => extreme(args, 'MIN', Math.min) },
+  MAX: { min: 1, max: Infinity, fn: (args) => extreme(args, 'MAX', Math.max) },
+
+  // Dates (YYYY-MM-DD strings)
+  DATE: { min: 1, max: 1, fn: ([v]) => toDate(v) },
+  TODAY: { min: 0, max: 0, fn: () => new Date().toISOString().slice(0, 10) },
+  YEAR: { min: 1, max: 1, fn: ([v]) => part(v, (d) => d.getUTCFullYear()) },
+  MONTH: { min: 1, max: 1, fn: ([v]) => part(v, (d) => d.getUTCMonth() + 1) },
+  DAY: { min: 1, max: 1, fn: ([v]) => part(v, (d) => d.getUTCDate()) },
+  ADDDAYS: {
+    min: 2,
+    max: 2,
+    fn: ([v, n]) => {
+      const d = dateParts(v);
+      if (d === null) return null;
+      d.setUTCDate(d.getUTCDate() + (toNumber(n, 'ADDDAYS') || 0));
+      return d.toISOString().slice(0, 10);
+    },
+  },
+  DATEDIFF: {
+    min: 2,
+    max: 2,
+    fn: ([a, b]) => {
+      const da = dateParts(a);
+      const db = dateParts(b);
+      if (da === null || db === null) return null;
+      return Math.round((db.getTime() - da.getTime()) / 86400000);
+    },
+  },
+  FORMATDATE: {
+    min: 2,
+    max: 2,
+    fn: ([v, pattern]) => {
+      const iso = toDate(v);
+      if (iso === null) return null;
+      return text(pattern)
+        .replace(/YYYY/g, iso.slice(0, 4))
+        .replace(/MM/g, iso.slice(5, 7))
+        .replace(/DD/g, iso.slice(8, 10));
+    },
+  },
+
+  // Lookups
+  FIELD: { min: 1, max: 1, fn: ([name], ctx) => (own(ctx.record, text(name)) ? ctx.record[text(name)] : null) },
+  LOOKUP: {
+    min: 2,
+    max: 4,
+    fn: ([table, key, column, fallback], ctx) => {
+      const name = text(table);
+      if (!own(ctx.referenceTables, name)) {
+        throw new TransformError(`LOOKUP: unknown reference table '${name}'`);
+      }
+      const rows = ctx.referenceTables[name];
+      const miss = fallback === undefined ? null : fallback;
+      if (!own(rows, text(key))) return miss;
+      const entry = rows[text(key)];
+      if (isBlank(column)) return entry;
+      return own(entry, text(column)) ? entry[text(column)] : miss;
+    },
+  },
+});
+
+function bounded(s, fn) {
+  if (s.length > MAX_TEXT) throw new TransformError(`${fn}: result longer than ${MAX_TEXT} characters`);
+  return s;
+}
+
+/** Checked before joining, so an oversized result is never built */
+function replaceAll(s, find, repl) {
+  if (find === '') return s;
+  const parts = s.split(find);
+  if (s.length + (parts.length - 1) * (repl.length - find.length) > MAX_TEXT) {
+    throw new TransformError(`REPLACE: result longer than ${MAX_TEXT} characters`);
+  }
+  return parts.join(repl);
+}
+
+function pad(v, n, ch, fn) {
+  const width = toNumber(n, fn) || 0;
+  if (width > MAX_PAD) throw new TransformError(`${fn}: width ${width} exceeds ${MAX_PAD}`);
+  const fill = text(ch) || ' ';
+  return fn === 'PADLEFT' ? text(v).padStart(width, fill) : text(v).padEnd(width, fill);
+}
+
+function numeric(v, fn, op) {
+  const n = toNumber(v, fn);
+  return n === null ? null : op(n);
+}
+
+function extreme(args, fn, op) {
+  const nums = args.map((a) => toNumber(a, fn)).filter((n) => n !== null);
+  return nums.length === 0 ? null : op(...nums);
+}
+
+function part(v, get) {
+  const d = dateParts(v);
+  return d === null ? null : get(d);
+}
+
+// ── Tokenizer ────────────────────────────────────────────────────────
+
+function fail(message, source, pos) {
+  return new TransformError(`${message} at position ${pos + 1}`, { expression: source, position: pos });
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const m = /^(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(m[0]), pos: i });
+      i += m[0].length;
+    } else if (ch === "'" || ch === '"') {
+      // Quotes are escaped by doubling them: 'O''Brien'
+      let value = '';
+      let j = i + 1;
+      for (;;) {
+        if (j >= source.length) throw fail('Unterminated string', source, i);
+        if (source[j] === ch) {
+          if (source[j + 1] === ch) {
+            value += ch;
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += source[j++];
+      }
+      tokens.push({ type: 'string', value, pos: i });
+      i = j + 1;
+    } else if (ch === '[') {
+      const end = source.indexOf(']', i);
+      if (end === -1) throw fail('Unterminated field name', source, i);
+      const name = source.slice(i + 1, end).trim();
+      if (!name) throw fail('Empty field name', source, i);
+      tokens.push({ type: 'field', value: name, pos: i });
+      i = end + 1;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+      const upper = m[0].toUpperCase();
+      tokens.push(KEYWORDS.includes(upper)
+        ? { type: 'keyword', value: upper, pos: i }
+        : { type: 'ident', value: m[0], pos: i });
+      i += m[0].length;
+    } else {
+      const two = source.slice(i, i + 2);
+      if (['<>', '!=', '<=', '>='].includes(two)) {
+        tokens.push({ type: 'op', value: two, pos: i });
+        i += 2;
+      } else if ('+-*/%&=<>(),$'.includes(ch)) {
+        tokens.push({ type: 'op', value: ch, pos: i });
+        i++;
+      } else {
+        throw fail(`Unexpected character '${ch}'`, source, i);
+      }
+    }
+  }
+  tokens.push({ type: 'eof', pos: source.length });
+  return tokens;
+}
+
+// ── Parser (recursive descent) ───────────────────────────────────────
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.i = 0;
+    this.depth = 0;
+    this.fields = new Set();
+    this.usesValue = false;
+  }
+
+  peek() { return this.tokens[this.i]; }
+
+  next() { return this.tokens[this.i++]; }
+
+  isOp(value) {
+    const t = this.peek();
+    return t.type === 'op' && t.value === value;
+  }
+
+  isKeyword(value) {
+    const t = this.peek();
+    return t.type === 'keyword' && t.value === value;
+  }
+
+  expect(value) {
+    const t = this.next();
+    if (t.type !== 'op' || t.value !== value) {
+      throw fail(`Expected '${value}' but found ${describeToken(t)}`, this.source, t.pos);
+    }
+  }
+
+  parse() {
+    const ast = this.orExpr();
+    const t = this.peek();
+    if (t.type !== 'eof') throw fail(`Unexpected ${describeToken(t)}`, this.source, t.pos);
+    return ast;
+  }
+
+  nested(fn) {
+    if (++this.depth > MAX_DEPTH) {
+      throw fail(`Expression nested deeper than ${MAX_DEPTH} levels`, this.source, this.peek().pos);
+    }
+    const node = fn();
+    this.depth--;
+    return node;
+  }
+
+  orExpr() {
+    let left = this.andExpr();
+    while (this.isKeyword('OR')) {
+      this.next();
+      left = { type: 'logical', op: 'OR', left, right: this.andExpr() };
+    }
+    return left;
+  }
+
+  andExpr() {
+    let left = this.notExpr();
+    while (this.isKeyword('AND')) {
+      this.next();
+      left = { type: 'logical', op: 'AND', left, right: this.notExpr() };
+    }
+    return left;
+  }
+
+  notExpr() {
+    if (this.isKeyword('NOT')) {
+      this.next();
+      return this.nested(() => ({ type: 'not', arg: this.notExpr() }));
+    }
+    return this.comparison();
+  }
+
+  comparison() {
+    const left = this.concat();
+    const t = this.peek();
+    if (t.type === 'op' && COMPARATORS.includes(t.value)) {
+      this.next();
+      return { type: 'compare', op: t.value === '!=' ? '<>' : t.value, left, right: this.concat() };
+    }
+    return left;
+  }
+
+  concat() {
+    let left = this.additive();
+    while (this.isOp('&')) {
+      this.next();
+      left = { type: 'binary', op: '&', left, right: this.additive() };
+    }
+    return left;
+  }
+
+  additive() {
+    let left = this.multiplicative();
+    while (this.isOp('+') || this.isOp('-')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.multiplicative() };
+    }
+    return left;
+  }
+
+  multiplicative() {
+    let left = this.unary();
+    while (this.isOp('*') || this.isOp('/') || this.isOp('%')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.unary() };
+    }
+    return left;
+  }
+
+  unary() {
+    if (this.isOp('-')) {
+      this.next();
+      return this.nested(() => ({ type: 'negate', arg: this.unary() }));
+    }
+    return this.primary();
+  }
+
+  primary() {
+    const t = this.next();
+    if (t.type === 'number' || t.type === 'string') return { type: 'literal', value: t.value };
+    if (t.type === 'keyword') {
+      if (t.value === 'TRUE') return { type: 'literal', value: true };
+      if (t.value === 'FALSE') return { type: 'literal', value: false };
+      if (t.value === 'NULL') return { type: 'literal', value: null };
+    }
+    if (t.type === 'field') {
+      this.fields.add(t.value);
+      return { type: 'field', name: t.value };
+    }
+    if (t.type === 'op' && t.value === '$') {
+      this.usesValue = true;
+      return { type: 'value' };
+    }
+    if (t.type === 'op' && t.value === '(') {
+      const node = this.nested(() => this.orExpr());
+      this.expect(')');
+      return node;
+    }
+    if (t.type === 'ident') {
+      if (this.isOp('(')) return this.call(t);
+      this.fields.add(t.value);
+      return { type: 'field', name: t.value };
+    }
+    throw fail(`Unexpected ${describeToken(t)}`, this.source, t.pos);
+  }
+
+  call(t) {
+    const name = t.value.toUpperCase();
+    const spec = own(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+    if (!spec) throw fail(`Unknown function '${t.value}'`, this.source, t.pos);
+    this.expect('(');
+    const args = [];
+    this.nested(() => {
+      if (!this.isOp(')')) {
+        args.push(this.orExpr());
+        while (this.isOp(',')) {
+          this.next();
+          args.push(this.orExpr());
+        }
+      }
+    });
+    this.expect(')');
+    if (args.length < spec.min || args.length > spec.max) {
+      const expected = spec.max === Infinity ? `at least ${spec.min}` : spec.min === spec.max ? `${spec.min}` : `${spec.min}-${spec.max}`;
+      throw fail(`${name} expects ${expected} argument(s), got ${args.length}`, this.source, t.pos);
+    }
+    return { type: 'call', name, args, pos: t.pos };
+  }
+}
+
+function describeToken(t) {
+  return t.type === 'eof' ? 'end of expression' : `'${t.value}'`;
+}
+
+// ── Interpreter ──────────────────────────────────────────────────────
+
+function evaluate(node, ctx) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return own(ctx.record, node.name) ? ctx.record[node.name] : null;
+    case 'value':
+      return ctx.value === undefined ? null : ctx.value;
+    case 'negate': {
+      const n = toNumber(evaluate(node.arg, ctx));
+      return n === null ? null : -n;
+    }
+    case 'not':
+      return !truthy(evaluate(node.arg, ctx));
+    case 'logical': {
+      const left = truthy(evaluate(node.left, ctx));
+      if (node.op === 'AND') return left && truthy(evaluate(node.right, ctx));
+      return left || truthy(evaluate(node.right, ctx));
+    }
+    case 'compare': {
+      const c = compare(evaluate(node.left, ctx), evaluate(node.right, ctx));
+      switch (node.op) {
+        case '=': return c === 0;
+        case '<>': return c !== 0;
+        case '<': return c < 0;
+        case '<=': return c <= 0;
+        case '>': return c > 0;
+        default: return c >= 0;
+      }
+    }
+    case 'binary': {
+      const left = evaluate(node.left, ctx);
+      const right = evaluate(node.right, ctx);
+      if (node.op === '&') return bounded(text(left) + text(right), '&');
+      const a = toNumber(left);
+      const b = toNumber(right);
+      if (a === null || b === null) return null;
+      switch (node.op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+          if (b === 0) throw new TransformError('Division by zero');
+          return a / b;
+        default:
+          if (b === 0) throw new TransformError('Division by zero');
+          return a % b;
+      }
+    }
+    case 'call': {
+      const spec = FUNCTIONS[node.name];
+      const args = spec.lazy
+        ? node.args.map((arg) => () => evaluate(arg, ctx))
+        : node.args.map((arg) => evaluate(arg, ctx));
+      return spec.fn(args, ctx);
+    }
+    default:
+      throw new TransformError(`Unknown expression node '${node.type}'`);
+  }
+}
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/**
+ * Parse an expression into a compiled, reusable form.
+ * @param {string} source
+ * @returns {{ source: string, ast: object, fields: string[], usesValue: boolean, tables: string[] }}
+ * @throws {TransformError} On syntax errors, unknown functions or wrong arity
+ */
+function compileExpression(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new TransformError('Expression must be a non-empty string', { expression: source });
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new TransformError(`Expression longer than ${MAX_LENGTH} characters`, { expression: source.slice(0, 100) });
+  }
+  const parser = new Parser(source);
+  const ast = parser.parse();
+  return {
+    source,
+    ast,
+    fields: [...parser.fields],
+    usesValue: parser.usesValue,
+    tables: literalTables(ast),
+  };
+}
+
+/** Reference table names used as literal first arguments of LOOKUP() */
+function literalTables(node, out = []) {
+  if (node.type === 'call' && node.name === 'LOOKUP' && node.args[0].type === 'literal') {
+    const name = text(node.args[0].value);
+    if (!out.includes(name)) out.push(name);
+  }
+  for (const key of ['arg', 'left', 'right']) {
+    if (node[key]) literalTables(node[key], out);
+  }
+  for (const arg of node.args || []) literalTables(arg, out);
+  return out;
+}
+
+/**
+ * Evaluate a compiled expression (or expression source) against a record.
+ * @param {object|string} compiled - Result of compileExpression() or source
+ * @param {object} record - Source record
+ * @param {object} [context] - { value, referenceTables }
+ * @returns {*}
+ */
+function evaluateExpression(compiled, record, context = {}) {
+  const expr = typeof compiled === 'string' ? compileExpression(compiled) : compiled;
+  return evaluate(expr.ast, {
+    record: record || {},
+    value: context.value,
+    referenceTables: context.referenceTables || {},
+  });
+}
+
+/**
+ * Check an expression without evaluating it.
+ * @param {string} source
+ * @param {object} [options]
+ * @param {object} [options.referenceTables] - When given, LOOKUP table names are checked against it
+ * @param {boolean} [options.hasSource] - Whether the mapping has a source field for `$`
+ * @returns {{ valid: boolean, errors: string[], fields: string[] }}
+ */
+function validateExpression(source, options = {}) {
+  let compiled;
+  try {
+    compiled = compileExpression(source);
+  } catch (err) {
+    return { valid: false, errors: [err.message], fields: [] };
+  }
+  const errors = [];
+  if (compiled.usesValue && options.hasSource === false) {
+    errors.push("'$' used but the mapping has no source field");
+  }
+  if (options.referenceTables) {
+    for (const table of compiled.tables) {
+      if (!own(options.referenceTables, table)) errors.push(`Unknown reference table '${table}'`);
+    }
+  }
+  return { valid: errors.length === 0, errors, fields: compiled.fields };
+}
+
+module.exports = {
+  compileExpression,
+  evaluateExpression,
+  validateExpression,
+  FUNCTIONS,
+  MAX_LENGTH,
+  MAX_DEPTH,
+  MAX_TEXT,
+};
@@ -95,6 +95,8 @@ class AssetAcquisitionMigrationObject extends BaseMigrationObject {
     };
   }
 
+  getRollbackStrategy() { return 'reversal'; }
+
   _extractMock() {
     const records = [];
 
@@ -20,12 +20,45 @@
  *   - _extractMock()
  *
  * The base class provides shared transform(), validate(), load(), and run().
+ *
+ * Delta mode (options.delta = true): objects that declare getDeltaConfig()
+ * only extract, transform and load records that are new or changed since
+ * the last successful run. The high-water mark is stored via
+ * options.persistence (PersistenceAdapter), and only advances once every
+ * record loaded or went to the quarantine.
+ *
+ * Quarantine (options.quarantine = QuarantineManager): records that fail
+ * transform, validate or load are captured individually with their key,
+ * payload and error, and the remaining records continue to load. They can
+ * be fixed and re-submitted later through reprocess().
+ *
+ * Streaming (options.streaming = true | { chunkSize, checkpoint }): run()
+ * pulls records in bounded chunks and takes each chunk through
+ * transform → validate → load before extracting the next, checkpointing
+ * progress per chunk through CheckpointManager. Memory is bounded by the
+ * chunk size, provided _extractChunks() pages at the source.
+ *
+ * Value-mapping tables (options.valueMappings = ValueMappingRepository):
+ * mappings with valueTable translate through client-maintained tables, and
+ * source values missing from a table are reported in result.unmappedValues.
+ * The repository's tables and the versions this object pins are loaded
+ * before the first record is transformed.
+ *
+ * Reference tables (options.referenceTables or getReferenceTables()): the
+ * { TABLE: { key: value | row } } lookups that LOOKUP() expressions read.
+ *
+ * Load journal (options.journal = LoadJournal): every record the load
+ * creates in the target is journaled under options.runId, so the run or the
+ * object can be rolled back later with the object's rollback strategy —
+ * reversal postings for FI documents, deletion flags for master data.
  */
 
 const Logger = require('../../lib/logger');
 const { MigrationObjectError } = require('../../lib/errors');
 const { FieldMappingEngine } = require('../field-mapping');
 const { DataQualityChecker } = require('../data-quality');
+const { DeltaTracker } = require('../delta-tracker');
+const { PersistenceAdapter } = require('../../lib/persistence');
 
 class BaseMigrationObject {
   constructor(gateway, options = {}) {
@@ -40,6 +73,8 @@ class BaseMigrationObject {
     this.logger = new Logger(`mig-obj:${this.objectId}`, { level: options.logLevel || 'info' });
     this._mappingEngine = null;
     this._qualityChecker = new DataQualityChecker({ logLevel: options.logLevel });
+    this._deltaTracker = options.deltaTracker || null;
+    this._pendingDelta = null;
   }
 
   /** @abstract */
@@ -57,6 +92,25 @@ class BaseMigrationObject {
   /** @abstract — return mock records for demo/test */
   _extractMock() { return []; }
 
+  /**
+   * Change-tracking key for delta extraction, or null if the object only
+   * supports full loads. See migration/delta-tracker.js for strategies.
+   * @returns {object|null}
+   */
+  getDeltaConfig() { return null; }
+
+  /**
+   * Reference tables for LOOKUP() in mapping expressions. Defaults to
+   * options.referenceTables; override to build them from the source.
+   * @returns {object|null} { TABLE: { key: value | row } }
+   */
+  getReferenceTables() { return this.options.referenceTables || null; }
+
+  /** True when this run should extract only new or changed records */
+  get deltaEnabled() {
+    return Boolean(this.options.delta) && this.getDeltaConfig() !== null;
+  }
+
   /**
    * Extract records from source system
    */
@@ -64,28 +118,103 @@ class BaseMigrationObject {
     const start = Date.now();
     this.logger.info(`Extracting ${this.name}...`);
 
+    const deltaConfig = this.deltaEnabled ? this.getDeltaConfig() : null;
+    const stored = deltaConfig ? await this._getDeltaTracker().load(this.objectId) : null;
+    const since = stored && stored.strategy === deltaConfig.strategy ? stored.watermark : null;
+
     let records;
     if (this.gateway.mode === 'mock') {
       records = this._extractMock();
     } else {
-      // Live/vsp: subclasses can override _extractLive()
-      records = await this._extractLive();
+      // Live/vsp: subclasses can override _extractLive() and use `since` to
+      // push the delta filter down to the source
+      records = await this._extractLive({ since });
+    }
+
+    if (!deltaConfig) {
+      this._pendingDelta = null;
+      return {
+        status: 'completed',
+        recordCount: records.length,
+        records,
+        durationMs: Date.now() - start,
+      };
+    }
+
+    const context = {};
+    if (deltaConfig.strategy === 'changeDocument') {
+      context.changeDocuments = await this._extractChangeDocuments(deltaConfig, since);
     }
+    const delta = await this._getDeltaTracker().filter(this.objectId, deltaConfig, records, context);
+    this._pendingDelta = { config: deltaConfig, watermark: delta.nextWatermark };
 
     return {
       status: 'completed',
-      recordCount: records.length,
-      records,
+      mode: 'delta',
+      recordCount: delta.records.length,
+      records: delta.records,
+      delta: { ...delta.stats, previousWatermark: delta.previousWatermark },
       durationMs: Date.now() - start,
     };
   }
 
   /** Override in subclass for live extraction */
-  async _extractLive() {
+  async _extractLive(_deltaContext) {
     this.logger.warn('Live extraction not implemented, falling back to mock');
     return this._extractMock();
   }
 
+  /**
+   * Read change document headers (CDHDR) for the changeDocument delta strategy.
+   * @param {object} deltaConfig - { objectClass, keyFields }
+   * @param {string|null} since - Normalized timestamp of the last run
+   * @returns {Promise<object[]>} [{ objectKey, changedAt }]
+   */
+  async _extractChangeDocuments(deltaConfig, since) {
+    if (this.gateway.mode === 'mock') {
+      return this._extractMockChangeDocuments(deltaConfig, since);
+    }
+    this.logger.warn('Live change document extraction not implemented, falling back to mock');
+    return this._extractMockChangeDocuments(deltaConfig, since);
+  }
+
+  /** Override to return mock change documents for demo/test */
+  _extractMockChangeDocuments(_deltaConfig, _since) { return []; }
+
+  /**
+   * Forget the delta high-water mark so the next delta run is a full load.
+   * @returns {Promise<boolean>}
+   */
+  async resetDelta() {
+    return this._getDeltaTracker().reset(this.objectId);
+  }
+
+  /** @private */
+  _getDeltaTracker() {
+    if (!this._deltaTracker) {
+      if (!this.options.persistence) {
+        this.logger.warn('No persistence adapter configured — delta watermarks will not survive this process');
+      }
+      const store = this.options.persistence || new PersistenceAdapter({ mode: 'memory' });
+      this._deltaTracker = new DeltaTracker(store, { logLevel: this.options.logLevel });
+    }
+    return this._deltaTracker;
+  }
+
+  /** @private — advance the watermark once the delta has been loaded */
+  async _commitDelta(result) {
+    const pending = this._pendingDelta;
+    this._pendingDelta = null;
+    if (!pending) return;
+
+    const summary = result.delta;
+    await this._getDeltaTracker().commit(this.objectId, pending.config, pending.watermark, {
+      recordCount: summary.changedRecords,
+      runId: this.options.runId,
+    });
+    summary.committed = true;
+  }
+
   /**
    * Transform source records to target format using field mappings
    */
@@ -93,22 +222,28 @@ class BaseMigrationObject {
     const start = Date.now();
     this.logger.info(`Transforming ${records.length} records...`);
 
-    if (!this._mappingEngine) {
-      this._mappingEngine = new FieldMappingEngine(this.getFieldMappings(), {
-        logLevel: this.options.logLevel,
-      });
+    const engine = this._getMappingEngine();
+    let transformed;
+    let failures = [];
+    if (this.options.quarantine) {
+      ({ records: transformed, failures } = engine.applyBatchDetailed(records));
+    } else {
+      transformed = engine.applyBatch(records);
     }
+    const summary = engine.getSummary();
 
-    const transformed = this._mappingEngine.applyBatch(records);
-    const summary = this._mappingEngine.getSummary();
-
-    return {
+    const result = {
       status: 'completed',
       recordCount: transformed.length,
       records: transformed,
       mappingSummary: summary,
       durationMs: Date.now() - start,
     };
+    if (this.options.quarantine) {
+      result.failedCount = failures.length;
+      result.failures = failures;
+    }
+    return result;
   }
 
   /**
@@ -128,10 +263,28 @@ class BaseMigrationObject {
       errorCount: result.errorCount,
       warningCount: result.warningCount,
       checks: result.checks,
+      rowErrors: this._collectRowErrors(result.errors),
       durationMs: Date.now() - start,
     };
   }
 
+  /** @private — map error-severity check details to { row: [messages] } */
+  _collectRowErrors(errorChecks) {
+    const rows = {};
+    for (const check of errorChecks) {
+      for (const d of check.details || []) {
+        if (d.row === undefined) continue;
+        let msg;
+        if (check.name === 'required') msg = `Missing required field ${d.field}`;
+        else if (check.name === 'exactDuplicate') msg = `Duplicate key ${d.key} (first seen in row ${d.duplicateOf})`;
+        else if (check.name === 'referentialIntegrity') msg = `Invalid reference ${d.field}=${d.value}`;
+        else msg = `${check.name} check failed${d.field ? ` on ${d.field}` : ''}`;
+        (rows[d.row] = rows[d.row] || []).push(msg);
+      }
+    }
+    return rows;
+  }
+
   /**
    * Load records into target system
    */
@@ -139,41 +292,96 @@ class BaseMigrationObject {
     const start = Date.now();
     this.logger.info(`Loading ${records.length} records...`);
 
-    if (this.gateway.mode === 'mock') {
-      return this._loadMock(records);
-    }
-    return this._loadLive(records);
+    const result = this.gateway.mode === 'mock'
+      ? this._loadMock(records)
+      : await this._loadLive(records);
+    if (this.options.journal) await this._journalLoad(records, result);
+    return result;
   }
 
   /** Mock load simulation */
   _loadMock(records) {
     const batchSize = this.options.batchSize || 100;
     const batches = Math.ceil(records.length / batchSize);
-    // Simulate ~2% error rate
+    // Simulate ~2% error rate, spread evenly across the batch
     const errorCount = Math.floor(records.length * 0.02);
     const successCount = records.length - errorCount;
+    const failures = [];
+    for (let k = 0; k < errorCount; k++) {
+      failures.push({
+        index: Math.floor(((k + 1) * records.length) / (errorCount + 1)),
+        error: 'Target API rejected record (simulated)',
+      });
+    }
 
     return {
       status: errorCount > 0 ? 'completed_with_errors' : 'completed',
       recordCount: records.length,
       successCount,
       errorCount,
+      failures,
       batches,
       batchSize,
       durationMs: Date.now() - Date.now(), // instant in mock
     };
   }
 
-  /** Override in subclass for live loading */
+  /**
+   * Override in subclass for live loading. Return created: [{ index,
+   * documentNumber?, keys? }] when the target assigns document numbers, so
+   * the load journal records them; otherwise every record not listed in
+   * failures is journaled by its key fields.
+   */
   async _loadLive(records) {
     this.logger.warn('Live loading not implemented, falling back to mock');
     return this._loadMock(records);
   }
 
+  /**
+   * How loaded records are reversed on rollback:
+   *   - 'reversal': post a reversal document (FI documents)
+   *   - 'deletion_flag': set the deletion flag (master data, orders)
+   *   - 'manual': not reversible by the tool (configuration)
+   * @returns {'reversal'|'deletion_flag'|'manual'}
+   */
+  getRollbackStrategy() { return 'deletion_flag'; }
+
+  /**
+   * Reverse journaled loads of this object.
+   * @param {object[]} entries - Load journal entries
+   * @returns {Promise<object[]>} [{ status: 'rolled_back'|'failed', action, reversalKey, error }]
+   */
+  async rollback(entries) {
+    this.logger.info(`Rolling back ${entries.length} loaded record(s) (${this.getRollbackStrategy()})...`);
+    if (this.gateway.mode === 'mock') {
+      return this._rollbackMock(entries);
+    }
+    return this._rollbackLive(entries);
+  }
+
+  /** Mock rollback: reversal documents are numbered like FB08 postings */
+  _rollbackMock(entries) {
+    const action = this.getRollbackStrategy();
+    return entries.map((entry, i) => ({
+      status: 'rolled_back',
+      action,
+      reversalKey: action === 'reversal' ? `49${String(i + 1).padStart(8, '0')}` : null,
+      error: null,
+    }));
+  }
+
+  /** Override in subclass for live rollback (reversal BAPI / deletion flag update) */
+  async _rollbackLive(entries) {
+    this.logger.warn('Live rollback not implemented, falling back to mock');
+    return this._rollbackMock(entries);
+  }
+
   /**
    * Run full ETLV lifecycle: Extract → Transform → Validate → Load
    */
   async run() {
+    if (this.options.streaming) return this._runStreaming();
+
     const start = Date.now();
     this.logger.info(`Running ${this.name} migration object...`);
 
@@ -184,14 +392,22 @@ class BaseMigrationObject {
       phases: {},
       stats: {},
     };
+    this._resetUnmapped();
 
     try {
+      await this._prepareValueMappings();
+
       // Extract
       const extractResult = await this.extract();
       result.phases.extract = extractResult;
+      if (extractResult.delta) {
+        result.delta = { ...extractResult.delta, committed: false };
+      }
 
       if (extractResult.recordCount === 0) {
         result.status = 'completed';
+        await this._commitDelta(result);
+        this._attachUnmapped(result);
         result.stats = this._buildStats(result, Date.now() - start);
         this.logger.info(`No records to migrate for ${this.name}`);
         return result;
@@ -200,22 +416,32 @@ class BaseMigrationObject {
       // Transform
       const transformResult = this.transform(extractResult.records);
       result.phases.transform = transformResult;
+      await this._quarantineTransformFailures(result, transformResult);
 
       // Validate
       const validateResult = this.validate(transformResult.records);
       result.phases.validate = validateResult;
 
+      // With a quarantine, invalid rows are set aside and the rest still load
+      const loadRecords = await this._quarantineInvalidRows(result, transformResult.records, validateResult);
+
       // Load — skip if validation errors
-      if (validateResult.status === 'failed') {
+      if (validateResult.status === 'failed' && !this.options.quarantine) {
         result.status = 'validation_failed';
         result.phases.load = { status: 'skipped', reason: 'Validation errors found' };
         this.logger.warn(`Load skipped for ${this.name}: validation errors`);
       } else {
-        const loadResult = await this.load(transformResult.records);
+        const loadResult = await this.load(loadRecords);
         result.phases.load = loadResult;
         if (loadResult.status === 'completed_with_errors') {
           result.status = 'completed_with_errors';
         }
+        await this._quarantineLoadFailures(result, loadRecords, loadResult);
+        if (this._loadSettled(loadResult)) {
+          await this._commitDelta(result);
+        } else if (result.delta) {
+          this.logger.warn(`Delta watermark for ${this.name} not advanced: ${loadResult.errorCount} record(s) failed to load`);
+        }
       }
     } catch (err) {
       result.status = 'error';
@@ -223,10 +449,483 @@ class BaseMigrationObject {
       this.logger.error(`Migration object ${this.name} failed: ${err.message}`);
     }
 
+    // Watermark only advances once every record loaded or was quarantined
+    this._pendingDelta = null;
+    this._attachUnmapped(result);
     result.stats = this._buildStats(result, Date.now() - start);
     return result;
   }
 
+  /**
+   * Source table read page by page in live streaming runs, or null.
+   * Override (with options.tableReader set) to page at the source.
+   * @returns {{ table: string, fields?: string[], where?: string }|null}
+   */
+  _sourceQuery() { return null; }
+
+  /**
+   * Yield source records in chunks of at most chunkSize, skipping the first
+   * ctx.offset records (already processed by an interrupted run).
+   *
+   * In live mode, objects with a _sourceQuery() are paged at the source
+   * through options.tableReader (RFC_READ_TABLE with ROWSKIPS/ROWCOUNT), so
+   * memory stays bounded by the chunk size and the checkpointed offset is
+   * the row the next page starts at. Otherwise the full extract is sliced.
+   *
+   * @param {number} chunkSize
+   * @param {object} ctx - { offset, since }
+   * @returns {AsyncIterable<object[]>}
+   */
+  async *_extractChunks(chunkSize, ctx) {
+    const query = this.gateway.mode === 'mock' ? null : this._sourceQuery();
+    if (query && this.options.tableReader) {
+      this.logger.info(`Paging ${query.table} from row ${ctx.offset} (${chunkSize} rows per page)`);
+      for await (const page of this.options.tableReader.streamTable(query.table, {
+        fields: query.fields,
+        where: query.where,
+        chunkSize,
+        offset: ctx.offset,
+      })) {
+        yield page.rows;
+      }
+      return;
+    }
+
+    const records = this.gateway.mode === 'mock'
+      ? this._extractMock()
+      : await this._extractLive({ since: ctx.since });
+    for (let i = ctx.offset; i < records.length; i += chunkSize) {
+      yield records.slice(i, i + chunkSize);
+    }
+  }
+
+  /**
+   * Stream extracted records chunk by chunk, applying the delta filter to
+   * each chunk. A chunk is only pulled from the source when the consumer
+   * asks for the next one, so extraction never runs ahead of load.
+   *
+   * @param {number} chunkSize
+   * @param {number} [offset=0] - Source records to skip
+   * @returns {AsyncGenerator<{ records: object[], consumed: number, delta: object|null }>}
+   */
+  async *extractStream(chunkSize, offset = 0) {
+    const deltaConfig = this.deltaEnabled ? this.getDeltaConfig() : null;
+    const tracker = deltaConfig ? this._getDeltaTracker() : null;
+    const stored = tracker ? await tracker.load(this.objectId) : null;
+    const since = stored && stored.strategy === deltaConfig.strategy ? stored.watermark : null;
+
+    const context = {};
+    if (deltaConfig && deltaConfig.strategy === 'changeDocument') {
+      context.changeDocuments = await this._extractChangeDocuments(deltaConfig, since);
+    }
+
+    for await (const chunk of this._extractChunks(chunkSize, { offset, since })) {
+      if (!deltaConfig) {
+        yield { records: chunk, consumed: chunk.length, delta: null };
+        continue;
+      }
+      const delta = await tracker.filter(this.objectId, deltaConfig, chunk, context);
+      yield { records: delta.records, consumed: chunk.length, delta };
+    }
+  }
+
+  /**
+   * Streaming ETLV: each chunk is transformed, validated and loaded before
+   * the next one is extracted, and progress is checkpointed after every
+   * loaded chunk so an interrupted run resumes where it stopped. Only
+   * counters are kept across chunks, never records.
+   *
+   * Quality checks see one chunk at a time, so duplicate detection does not
+   * span chunk boundaries.
+   */
+  async _runStreaming() {
+    const start = Date.now();
+    const { chunkSize, checkpoint } = this._streamingConfig();
+    const runId = this.options.runId || `${this.objectId}-${start}`;
+    this.logger.info(`Running ${this.name} migration object (streaming, ${chunkSize} records per chunk)...`);
+
+    const saved = checkpoint ? checkpoint.loadObjectProgress(runId, this.objectId) : null;
+    const progress = saved ? saved.progress : {
+      offset: 0,
+      chunks: 0,
+      status: 'completed',
+      quarantine: null,
+      delta: null,
+      totals: {
+        extracted: 0, peakChunkSize: 0, transformed: 0, transformFailed: 0,
+        validationErrors: 0, validationWarnings: 0, invalidRows: 0,
+        loadInput: 0, loaded: 0, loadErrors: 0, unsettledLoadErrors: 0, batches: 0,
+      },
+    };
+    if (saved) {
+      this.logger.info(`Resuming ${this.name} at source record ${progress.offset} (${progress.chunks} chunks done)`);
+    }
+
+    const result = {
+      objectId: this.objectId,
+      name: this.name,
+      status: progress.status,
+      mode: 'streaming',
+      runId,
+      resumedFrom: saved ? progress.offset : null,
+      phases: {},
+      stats: {},
+    };
+    if (progress.quarantine) result.quarantine = progress.quarantine;
+    this._resetUnmapped();
+
+    try {
+      await this._prepareValueMappings();
+      for await (const chunk of this.extractStream(chunkSize, progress.offset)) {
+        const loaded = await this._runChunk(result, chunk.records, progress.totals);
+        if (!loaded) {
+          result.status = 'validation_failed';
+          result.failedChunk = progress.chunks;
+          this.logger.warn(`Streaming stopped for ${this.name}: validation errors in chunk ${progress.chunks}`);
+          break;
+        }
+        if (chunk.delta) progress.delta = this._mergeDeltaChunk(progress.delta, chunk.delta);
+        progress.offset += chunk.consumed;
+        progress.chunks++;
+        progress.status = result.status;
+        progress.quarantine = result.quarantine || null;
+        if (checkpoint) checkpoint.saveObjectProgress(runId, this.objectId, progress);
+      }
+
+      if (progress.delta) {
+        result.delta = { ...progress.delta.stats, committed: false };
+        const unsettled = progress.totals.unsettledLoadErrors || 0;
+        if (result.status !== 'validation_failed' && unsettled === 0) {
+          this._pendingDelta = { config: this.getDeltaConfig(), watermark: progress.delta.watermark };
+          await this._commitDelta(result);
+        } else if (unsettled > 0) {
+          this.logger.warn(`Delta watermark for ${this.name} not advanced: ${unsettled} record(s) failed to load`);
+        }
+      }
+      // Keep the checkpoint of a stopped run so it can resume after the fix
+      if (checkpoint && result.status !== 'validation_failed') {
+        checkpoint.removeObjectProgress(runId, this.objectId);
+      }
+    } catch (err) {
+      result.status = 'error';
+      result.error = err.message;
+      this.logger.error(`Migration object ${this.name} failed: ${err.message}`);
+    }
+
+    this._pendingDelta = null;
+    result.chunks = progress.chunks;
+    result.phases = this._streamingPhases(progress.totals, progress.chunks, chunkSize, result.status);
+    this._attachUnmapped(result);
+    result.stats = this._buildStats(result, Date.now() - start);
+    return result;
+  }
+
+  /** @private — { chunkSize, checkpoint } from options.streaming (true or an object) */
+  _streamingConfig() {
+    const streaming = typeof this.options.streaming === 'object' ? this.options.streaming : {};
+    const chunkSize = streaming.chunkSize ?? this.options.chunkSize ?? 1000;
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new MigrationObjectError(`Invalid chunk size: ${chunkSize}`, 'MIGOBJ_CHUNK_SIZE');
+    }
+    return { chunkSize, checkpoint: streaming.checkpoint || this.options.checkpoint || null };
+  }
+
+  /**
+   * @private — transform, validate and load one chunk, adding to the totals.
+   * @returns {Promise<boolean>} false if the chunk failed validation and was not loaded
+   */
+  async _runChunk(result, records, totals) {
+    totals.extracted += records.length;
+    totals.peakChunkSize = Math.max(totals.peakChunkSize, records.length);
+    if (records.length === 0) return true;
+
+    const transformResult = this.transform(records);
+    totals.transformed += transformResult.recordCount;
+    totals.transformFailed += transformResult.failedCount || 0;
+    await this._quarantineTransformFailures(result, transformResult);
+
+    const validateResult = this.validate(transformResult.records);
+    totals.validationErrors += validateResult.errorCount;
+    totals.validationWarnings += validateResult.warningCount;
+    if (validateResult.status === 'failed' && !this.options.quarantine) return false;
+    const loadRecords = await this._quarantineInvalidRows(result, transformResult.records, validateResult);
+    totals.invalidRows += validateResult.quarantinedCount || 0;
+
+    const loadResult = await this.load(loadRecords);
+    totals.loadInput += loadRecords.length;
+    totals.loaded += loadResult.successCount || 0;
+    totals.loadErrors += loadResult.errorCount || 0;
+    totals.batches += loadResult.batches || 0;
+    if (loadResult.status === 'completed_with_errors' && result.status === 'completed') {
+      result.status = 'completed_with_errors';
+    }
+    await this._quarantineLoadFailures(result, loadRecords, loadResult);
+    if (!this._loadSettled(loadResult)) {
+      totals.unsettledLoadErrors = (totals.unsettledLoadErrors || 0) + loadResult.errorCount;
+    }
+    return true;
+  }
+
+  /** @private — fold one chunk's delta filter result into the running delta state */
+  _mergeDeltaChunk(current, delta) {
+    if (!current) {
+      return {
+        stats: { ...delta.stats, previousWatermark: delta.previousWatermark },
+        watermark: delta.nextWatermark,
+      };
+    }
+    const stats = current.stats;
+    stats.totalRecords += delta.stats.totalRecords;
+    stats.changedRecords += delta.stats.changedRecords;
+    stats.skippedRecords += delta.stats.skippedRecords;
+    return {
+      stats,
+      watermark: DeltaTracker.mergeWatermarks(stats.strategy, current.watermark, delta.nextWatermark),
+    };
+  }
+
+  /** @private — phase summaries in the same shape as run() */
+  _streamingPhases(totals, chunks, chunkSize, status) {
+    const phases = {
+      extract: {
+        status: 'completed',
+        recordCount: totals.extracted,
+        chunks,
+        chunkSize,
+        peakChunkSize: totals.peakChunkSize,
+      },
+    };
+    if (totals.transformed === 0 && totals.transformFailed === 0) return phases;
+
+    phases.transform = {
+      status: 'completed',
+      recordCount: totals.transformed,
+      failedCount: totals.transformFailed,
+    };
+    phases.validate = {
+      status: status === 'validation_failed' ? 'failed' : 'completed',
+      qualityStatus: totals.validationErrors > 0 ? 'errors' : totals.validationWarnings > 0 ? 'warnings' : 'passed',
+      recordCount: totals.transformed,
+      errorCount: totals.validationErrors,
+      warningCount: totals.validationWarnings,
+      quarantinedCount: totals.invalidRows,
+    };
+    phases.load = {
+      status: totals.loadErrors > 0 ? 'completed_with_errors' : 'completed',
+      recordCount: totals.loadInput,
+      successCount: totals.loaded,
+      errorCount: totals.loadErrors,
+      batches: totals.batches,
+    };
+    return phases;
+  }
+
+  /**
+   * Re-submit quarantined entries through this object.
+   *
+   * Transform-phase entries are re-mapped from their (fixed) source record;
+   * validate/load entries re-use their (fixed) payload. Everything that
+   * passes validation is loaded in one batch.
+   *
+   * @param {object[]} entries - Quarantine entries for this object
+   * @returns {Promise<object[]>} [{ id, status: 'resolved'|'failed', phase, error, payload }]
+   */
+  async reprocess(entries) {
+    await this._prepareValueMappings();
+    const outcomes = entries.map((e) => ({ id: e.ID, status: 'failed', phase: e.phase, error: null, payload: e.payload }));
+    const pending = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (entry.phase === 'transform') {
+        const { records, failures } = this._getMappingEngine().applyBatchDetailed([entry.sourceRecord || {}]);
+        if (failures.length > 0) {
+          outcomes[i].error = failures[0].errors.map((e) => `${e.field}: ${e.message}`).join('; ');
+          continue;
+        }
+        outcomes[i].payload = records[0];
+      }
+      pending.push(i);
+    }
+
+    const payloads = pending.map((i) => outcomes[i].payload);
+    const validateResult = payloads.length > 0 ? this.validate(payloads) : { rowErrors: {} };
+    const loadable = [];
+    pending.forEach((i, row) => {
+      if (validateResult.rowErrors[row]) {
+        outcomes[i].phase = 'validate';
+        outcomes[i].error = validateResult.rowErrors[row].join('; ');
+      } else {
+        loadable.push(i);
+      }
+    });
+
+    if (loadable.length > 0) {
+      const loadResult = await this.load(loadable.map((i) => outcomes[i].payload));
+      const failed = new Map((loadResult.failures || []).map((f) => [f.index, f.error]));
+      loadable.forEach((i, idx) => {
+        if (failed.has(idx)) {
+          outcomes[i].phase = 'load';
+          outcomes[i].error = failed.get(idx);
+        } else {
+          outcomes[i].status = 'resolved';
+          outcomes[i].error = null;
+        }
+      });
+    }
+
+    return outcomes;
+  }
+
+  /** @private */
+  _getMappingEngine() {
+    if (!this._mappingEngine) {
+      this._mappingEngine = new FieldMappingEngine(this.getFieldMappings(), {
+        logLevel: this.options.logLevel,
+        valueMappings: this.options.valueMappings,
+        referenceTables: this.getReferenceTables() || undefined,
+      });
+    }
+    return this._mappingEngine;
+  }
+
+  /** @private — load the repository's tables and the versions this object pins */
+  async _prepareValueMappings() {
+    const repo = this.options.valueMappings;
+    if (!repo || typeof repo.ensureLoaded !== 'function') return;
+    await repo.ensureLoaded();
+    await repo.preloadPinned(this.getFieldMappings());
+  }
+
+  /** @private */
+  _resetUnmapped() {
+    if (this._mappingEngine) this._mappingEngine.resetUnmapped();
+  }
+
+  /** @private — source values that had no entry in their value-mapping table this run */
+  _attachUnmapped(result) {
+    const engine = this._mappingEngine;
+    if (engine && engine.usesValueTables()) result.unmappedValues = engine.getUnmappedReport();
+  }
+
+  /**
+   * Source fields that identify a record (used for quarantine keys).
+   * Defaults to the source fields behind the exact-duplicate check keys,
+   * falling back to the first mapped source field.
+   * @returns {string[]}
+   */
+  getKeyFields() {
+    const mappings = this.getFieldMappings();
+    const dupKeys = (this.getQualityChecks().exactDuplicate || {}).keys || [];
+    const keys = dupKeys
+      .map((target) => (mappings.find((m) => m.target === target && m.source) || {}).source)
+      .filter(Boolean);
+    if (keys.length > 0) return keys;
+    const first = mappings.find((m) => m.source);
+    return first ? [first.source] : [];
+  }
+
+  /** @private — build a readable key from a source or transformed record */
+  _recordKey(record, side) {
+    if (!record) return '';
+    const mappings = this.getFieldMappings();
+    return this.getKeyFields().map((field) => {
+      let value = record[field];
+      if (side === 'target') {
+        const m = mappings.find((x) => x.source === field && x.target);
+        value = m ? record[m.target] : undefined;
+      }
+      return `${field}=${value === null || value === undefined ? '' : value}`;
+    }).join(',');
+  }
+
+  /** @private — target key fields and values of a transformed record */
+  _targetKeys(record) {
+    const mappings = this.getFieldMappings();
+    const keys = {};
+    for (const field of this.getKeyFields()) {
+      const m = mappings.find((x) => x.source === field && x.target);
+      if (m) keys[m.target] = record[m.target] === undefined ? null : record[m.target];
+    }
+    return keys;
+  }
+
+  /** @private — journal the records a load created in the target */
+  async _journalLoad(records, loadResult) {
+    const failed = new Set((loadResult.failures || []).map((f) => f.index));
+    const created = loadResult.created
+      || records.map((_, index) => ({ index })).filter((c) => !failed.has(c.index));
+    if (created.length === 0) return;
+    const items = created.map((c) => {
+      const record = records[c.index];
+      return {
+        targetKey: this._recordKey(record, 'target'),
+        keys: c.keys || this._targetKeys(record || {}),
+        documentNumber: c.documentNumber || null,
+      };
+    });
+    loadResult.journaled = items.length;
+    await this.options.journal.record(this.objectId, items, {
+      runId: this.options.runId,
+      strategy: this.getRollbackStrategy(),
+    });
+  }
+
+  /** @private — hand failed records to the quarantine and tally them on the run result */
+  async _quarantineRecords(result, phase, items) {
+    if (!this.options.quarantine || items.length === 0) return;
+    const counts = result.quarantine || { transform: 0, validate: 0, load: 0, total: 0 };
+    result.quarantine = counts;
+    await this.options.quarantine.capture(this.objectId, phase, items, { runId: this.options.runId });
+    counts[phase] += items.length;
+    counts.total += items.length;
+    if (result.status === 'completed') result.status = 'completed_with_errors';
+    this.logger.warn(`Quarantined ${items.length} record(s) in ${phase} phase`);
+  }
+
+  /** @private */
+  async _quarantineTransformFailures(result, transformResult) {
+    if (!transformResult.failedCount) return;
+    await this._quarantineRecords(result, 'transform', transformResult.failures.map((f) => ({
+      sourceRecord: f.record,
+      sourceKey: this._recordKey(f.record, 'source'),
+      error: f.errors.map((e) => `${e.field}: ${e.message}`).join('; '),
+    })));
+  }
+
+  /** @private — quarantine invalid rows and return the records that can still load */
+  async _quarantineInvalidRows(result, records, validateResult) {
+    if (validateResult.status !== 'failed' || !this.options.quarantine) return records;
+    const badRows = validateResult.rowErrors;
+    validateResult.quarantinedCount = Object.keys(badRows).length;
+    await this._quarantineRecords(result, 'validate', Object.keys(badRows).map((row) => ({
+      payload: records[row],
+      sourceKey: this._recordKey(records[row], 'target'),
+      error: badRows[row].join('; '),
+    })));
+    return records.filter((_, i) => !badRows[i]);
+  }
+
+  /**
+   * @private — true when no record failed to load, or every failed record
+   * went to the quarantine (where reprocess() picks it up again)
+   */
+  _loadSettled(loadResult) {
+    const errors = loadResult.errorCount || 0;
+    if (errors === 0) return true;
+    return Boolean(this.options.quarantine) && (loadResult.failures || []).length >= errors;
+  }
+
+  /** @private */
+  async _quarantineLoadFailures(result, records, loadResult) {
+    if (!this.options.quarantine || !loadResult.failures || loadResult.failures.length === 0) return;
+    await this._quarantineRecords(result, 'load', loadResult.failures.map((f) => ({
+      payload: records[f.index],
+      sourceKey: this._recordKey(records[f.index], 'target'),
+      error: f.error,
+    })));
+  }
+
   /** Build summary stats from phase results */
   _buildStats(result, totalMs) {
     return {
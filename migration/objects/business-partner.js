@@ -177,6 +177,19 @@ class BusinessPartnerMigrationObject extends BaseMigrationObject {
     return merged;
   }
 
+  getDeltaConfig() {
+    return { strategy: 'changeDocument', objectClass: 'BUPA_BUP', keyFields: ['PARTNER'] };
+  }
+
+  _extractMockChangeDocuments() {
+    // CDHDR headers for business partners changed after the initial load
+    return [
+      { objectKey: '100001', changedAt: '20240301093000' },
+      { objectKey: '100002', changedAt: '20240301101500' },
+      { objectKey: '100007', changedAt: '20240302140000' },
+    ];
+  }
+
   _extractMock() {
     const records = [];
     const cities = ['New York', 'Chicago', 'Los Angeles', 'Houston', 'Phoenix'];
@@ -78,6 +78,8 @@ class COConfigMigrationObject extends BaseMigrationObject {
     };
   }
 
+  getRollbackStrategy() { return 'manual'; }
+
   _extractMock() {
     const records = [];
 
@@ -71,6 +71,10 @@ class CostCenterMigrationObject extends BaseMigrationObject {
     };
   }
 
+  getDeltaConfig() {
+    return { strategy: 'hash', keyFields: ['KOKRS', 'KOSTL', 'DATBI'] };
+  }
+
   _extractMock() {
     const records = [];
     const categories = ['E', 'F', 'H', 'L', 'P']; // Production, Admin, Mgmt, Logistics, Project
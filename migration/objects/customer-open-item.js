@@ -75,6 +75,12 @@ class CustomerOpenItemMigrationObject extends BaseMigrationObject {
     };
   }
 
+  getRollbackStrategy() { return 'reversal'; }
+
+  getDeltaConfig() {
+    return { strategy: 'timestamp', field: 'CPUDT', timeField: 'CPUTM', keyFields: ['BUKRS', 'BELNR', 'GJAHR', 'BUZEI'] };
+  }
+
   _extractMock() {
     const records = [];
     const customers = ['CUST001', 'CUST002', 'CUST003', 'CUST004', 'CUST005',
@@ -0,0 +1,179 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Declarative Migration Objects
+ *
+ * Builds BaseMigrationObject subclasses from JSON or YAML descriptors, so
+ * client-specific objects can live under clients/<name>/migration-objects/
+ * without code. A descriptor declares the objectId, source table (fields,
+ * selection), target API, field mappings, quality checks, dependencies and
+ * optionally delta config, rollback strategy and mock records.
+ *
+ * Descriptors are validated against migration-object.schema.json, then
+ * semantically: mapping converters and expressions, delta config, and
+ * quality-check fields that no mapping produces.
+ *
+ * Live extraction reads source.table through options.tableReader
+ * (lib/rfc/table-reader.js) when one is given, page by page in streaming
+ * runs; otherwise it falls back to mock records like the built-in objects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const BaseMigrationObject = require('./base-migration-object');
+const { MigrationObjectError } = require('../../lib/errors');
+const { validateSchema } = require('../../lib/json-schema');
+const { FieldMappingEngine } = require('../field-mapping');
+const { DeltaTracker } = require('../delta-tracker');
+const DESCRIPTOR_SCHEMA = require('./migration-object.schema.json');
+
+const DESCRIPTOR_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Validate a descriptor against the schema and the mapping engine.
+ * @param {object} descriptor
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateDescriptor(descriptor) {
+  const errors = validateSchema(descriptor, DESCRIPTOR_SCHEMA, { label: 'descriptor' });
+  if (errors.length > 0) return { valid: false, errors };
+
+  // Value tables are loaded per run, so a missing table is not a descriptor error
+  const engine = new FieldMappingEngine(descriptor.mappings, { logLevel: 'error' });
+  for (const err of engine.validateMappings().errors) {
+    if (!/value table .* is not loaded/.test(err)) errors.push(`mappings: ${err}`);
+  }
+
+  if (descriptor.delta) {
+    for (const err of DeltaTracker.validateConfig(descriptor.delta).errors) errors.push(`delta: ${err}`);
+  }
+
+  const targets = new Set(descriptor.mappings.map((m) => m.target));
+  const checks = descriptor.qualityChecks || {};
+  const checkFields = [
+    ...(checks.required || []),
+    ...((checks.exactDuplicate || {}).keys || []),
+    ...((checks.fuzzyDuplicate || {}).keys || []),
+    ...(checks.format || []).map((f) => f.field),
+    ...(checks.range || []).map((r) => r.field),
+  ];
+  for (const field of new Set(checkFields)) {
+    if (!targets.has(field)) errors.push(`qualityChecks: '${field}' is not a mapped target field`);
+  }
+  for (const fmt of checks.format || []) {
+    try {
+      new RegExp(fmt.pattern);
+    } catch (err) {
+      errors.push(`qualityChecks: invalid format pattern for '${fmt.field}' — ${err.message}`);
+    }
+  }
+  if ((descriptor.dependencies || []).includes(descriptor.objectId)) {
+    errors.push(`dependencies: ${descriptor.objectId} cannot depend on itself`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Build a migration object class from a descriptor.
+ * @param {object} descriptor - Validated descriptor
+ * @param {object} [meta] - { file } the descriptor was read from
+ * @returns {typeof BaseMigrationObject}
+ */
+function createDeclarativeClass(descriptor, meta = {}) {
+  const check = validateDescriptor(descriptor);
+  if (!check.valid) {
+    const where = meta.file ? ` (${path.basename(meta.file)})` : '';
+    throw new MigrationObjectError(
+      `Invalid migration object descriptor ${descriptor && descriptor.objectId ? descriptor.objectId : ''}${where}: ${check.errors.join('; ')}`,
+      'MIGOBJ_DESCRIPTOR_INVALID'
+    );
+  }
+
+  const def = JSON.parse(JSON.stringify(descriptor));
+
+  return class DeclarativeMigrationObject extends BaseMigrationObject {
+    /** The descriptor this class was built from */
+    static get descriptor() { return def; }
+    static get sourceFile() { return meta.file || null; }
+
+    get objectId() { return def.objectId; }
+    get name() { return def.name; }
+    get description() { return def.description || ''; }
+    get source() { return def.source; }
+    get target() { return def.target; }
+
+    getFieldMappings() { return def.mappings; }
+
+    getQualityChecks() { return def.qualityChecks || {}; }
+
+    getDeltaConfig() { return def.delta || null; }
+
+    getRollbackStrategy() { return def.rollbackStrategy || super.getRollbackStrategy(); }
+
+    _extractMock() { return (def.mockData || []).map((r) => ({ ...r })); }
+
+    _sourceQuery() {
+      return { table: def.source.table, fields: def.source.fields, where: def.source.where };
+    }
+
+    async _extractLive(deltaContext) {
+      const reader = this.options.tableReader;
+      if (!reader) return super._extractLive(deltaContext);
+      this.logger.info(`Reading ${def.source.table}${def.source.where ? ` WHERE ${def.source.where}` : ''}`);
+      const result = await reader.readTable(def.source.table, {
+        fields: def.source.fields,
+        where: def.source.where,
+        maxRows: 0,
+      });
+      return result.rows;
+    }
+  };
+}
+
+/**
+ * Read a JSON or YAML descriptor file.
+ * @param {string} file
+ * @returns {object}
+ */
+function readDescriptorFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+  } catch (err) {
+    throw new MigrationObjectError(
+      `Cannot parse migration object descriptor ${path.basename(file)}: ${err.message}`,
+      'MIGOBJ_DESCRIPTOR_PARSE'
+    );
+  }
+}
+
+/**
+ * List descriptor files in a directory (sorted; none if it does not exist).
+ * @param {string} dir
+ * @returns {string[]} Absolute file paths
+ */
+function listDescriptorFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => DESCRIPTOR_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+    .sort()
+    .map((f) => path.join(dir, f));
+}
+
+module.exports = {
+  createDeclarativeClass,
+  validateDescriptor,
+  readDescriptorFile,
+  listDescriptorFiles,
+  DESCRIPTOR_SCHEMA,
+};
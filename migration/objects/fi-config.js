@@ -91,6 +91,8 @@ class FIConfigMigrationObject extends BaseMigrationObject {
     };
   }
 
+  getRollbackStrategy() { return 'manual'; }
+
   _extractMock() {
     const records = [];
 
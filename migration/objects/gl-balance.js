@@ -88,6 +88,12 @@ class GLBalanceMigrationObject extends BaseMigrationObject {
     };
   }
 
+  getRollbackStrategy() { return 'reversal'; }
+
+  getDeltaConfig() {
+    return { strategy: 'timestamp', field: 'TIMESTAMP' };
+  }
+
   _extractMock() {
     const companies = ['1000', '2000', '3000'];
     const accounts = [
@@ -82,6 +82,8 @@ class MMConfigMigrationObject extends BaseMigrationObject {
     };
   }
 
+  getRollbackStrategy() { return 'manual'; }
+
   _extractMock() {
     const records = [];
 
@@ -14,19 +14,40 @@
  * Central registry for all migration objects.
  * Auto-registers built-in objects; supports custom object registration.
  * Supports dependency-ordered execution via DependencyGraph.
+ *
+ * Declarative objects (JSON/YAML descriptors, see declarative-object.js)
+ * are loaded from options.descriptorDirs at construction, or later with
+ * loadDescriptors(dir, objectOptions), typically clients/<name>/migration-objects/.
+ * objectOptions (e.g. the client's valueMappings) are passed to every
+ * instance of those objects, under the options given at creation. Objects
+ * loaded from a client's migration-objects/ folder without valueMappings
+ * get a ValueMappingRepository over the client's value-mappings/ folder.
  */
 
+const fs = require('fs');
+const path = require('path');
 const Logger = require('../../lib/logger');
 const { MigrationObjectError } = require('../../lib/errors');
 const { DependencyGraph } = require('../dependency-graph');
+const { WaveScheduler } = require('../wave-scheduler');
+const { createDeclarativeClass, readDescriptorFile, listDescriptorFiles } = require('./declarative-object');
+const { ValueMappingRepository } = require('../value-mapping-repository');
 
 class MigrationObjectRegistry {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.descriptorDirs] - Directories of declarative object descriptors
+   */
+  constructor(options = {}) {
     this._classes = new Map();
     this._cache = new Map();
+    this._objectOptions = new Map();
     this.logger = new Logger('mig-registry');
     this._depGraph = new DependencyGraph();
     this._registerBuiltins();
+    for (const dir of options.descriptorDirs || []) {
+      this.loadDescriptors(dir);
+    }
   }
 
   /** Register a migration object class by ID */
@@ -34,6 +55,63 @@ class MigrationObjectRegistry {
     this._classes.set(id, cls);
   }
 
+  /**
+   * Register a declarative migration object from its descriptor.
+   * @param {object} descriptor - See migration-object.schema.json
+   * @param {object} [meta] - { file } for error messages
+   * @returns {string} The objectId
+   */
+  registerDescriptor(descriptor, meta = {}) {
+    const cls = createDeclarativeClass(descriptor, meta);
+    const id = descriptor.objectId;
+    if (this._classes.has(id)) {
+      throw new MigrationObjectError(`Migration object ${id} is already registered`, 'MIGOBJ_DUPLICATE');
+    }
+    this.registerClass(id, cls);
+    this._depGraph.setDependencies(id, descriptor.dependencies || []);
+    return id;
+  }
+
+  /**
+   * Load every descriptor (.json, .yaml, .yml) in a directory. All files are
+   * validated before any is registered, and dependencies must resolve to
+   * registered objects, so a bad file leaves the registry unchanged.
+   *
+   * @param {string} dir
+   * @param {object} [objectOptions] - Default options for instances of these objects
+   * @returns {object[]} [{ objectId, file }]
+   */
+  loadDescriptors(dir, objectOptions = {}) {
+    const entries = listDescriptorFiles(dir).map((file) => ({ file, descriptor: readDescriptorFile(file) }));
+    const known = new Set([...this.listObjectIds(), ...entries.map((e) => e.descriptor && e.descriptor.objectId)]);
+    const seen = new Set();
+    for (const { file, descriptor } of entries) {
+      createDeclarativeClass(descriptor, { file });
+      if (this._classes.has(descriptor.objectId) || seen.has(descriptor.objectId)) {
+        throw new MigrationObjectError(`Migration object ${descriptor.objectId} (${file}) is already registered`, 'MIGOBJ_DUPLICATE');
+      }
+      seen.add(descriptor.objectId);
+      const missing = (descriptor.dependencies || []).filter((dep) => !known.has(dep));
+      if (missing.length > 0) {
+        throw new MigrationObjectError(
+          `Migration object ${descriptor.objectId} (${file}) depends on unknown object(s): ${missing.join(', ')}`,
+          'MIGOBJ_DESCRIPTOR_INVALID'
+        );
+      }
+    }
+
+    const loaded = entries.map(({ file, descriptor }) => ({
+      objectId: this.registerDescriptor(descriptor, { file }),
+      file,
+    }));
+    const options = loaded.length > 0 ? this._clientObjectOptions(dir, objectOptions) : objectOptions;
+    for (const { objectId } of loaded) this._objectOptions.set(objectId, options);
+    if (loaded.length > 0) {
+      this.logger.info(`Loaded ${loaded.length} declarative migration object(s) from ${dir}`);
+    }
+    return loaded;
+  }
+
   /** Get or create a cached instance */
   getObject(id, gateway, options = {}) {
     if (!this._classes.has(id)) {
@@ -41,7 +119,7 @@ class MigrationObjectRegistry {
     }
     const cacheKey = `${id}:${gateway.mode}`;
     if (!this._cache.has(cacheKey)) {
-      this._cache.set(cacheKey, new (this._classes.get(id))(gateway, options));
+      this._cache.set(cacheKey, new (this._classes.get(id))(gateway, this._optionsFor(id, options)));
     }
     return this._cache.get(cacheKey);
   }
@@ -51,7 +129,23 @@ class MigrationObjectRegistry {
     if (!this._classes.has(id)) {
       throw new MigrationObjectError(`Unknown migration object: ${id}`, 'MIGOBJ_UNKNOWN');
     }
-    return new (this._classes.get(id))(gateway, options);
+    return new (this._classes.get(id))(gateway, this._optionsFor(id, options));
+  }
+
+  /** @private — bind objects of clients/<name>/migration-objects to the client's value mappings */
+  _clientObjectOptions(dir, objectOptions) {
+    const clientDir = path.dirname(path.resolve(dir));
+    if (objectOptions.valueMappings || path.basename(path.resolve(dir)) !== 'migration-objects'
+      || !fs.existsSync(path.join(clientDir, 'value-mappings'))) {
+      return objectOptions;
+    }
+    return { ...objectOptions, valueMappings: new ValueMappingRepository({ clientDir, logLevel: 'warn' }) };
+  }
+
+  /** @private — registered default options of an object under the given ones */
+  _optionsFor(id, options) {
+    const defaults = this._objectOptions.get(id);
+    return defaults ? { ...defaults, ...options } : options;
   }
 
   /** List all registered object IDs */
@@ -59,6 +153,19 @@ class MigrationObjectRegistry {
     return Array.from(this._classes.keys());
   }
 
+  /**
+   * Objects that declare a delta config. A delta run is limited to these:
+   * the others would be extracted and loaded again in full.
+   * @param {object} gateway
+   * @param {string[]} [objectIds] - Default: all registered objects
+   * @param {object} [options] - Passed to each migration object
+   * @returns {string[]}
+   */
+  listDeltaObjectIds(gateway, objectIds, options = {}) {
+    return (objectIds || this.listObjectIds())
+      .filter((id) => this.createObject(id, gateway, options).getDeltaConfig() !== null);
+  }
+
   /** List all objects with metadata (requires gateway for instantiation) */
   listObjects(gateway) {
     return this.listObjectIds().map((id) => {
@@ -67,66 +174,90 @@ class MigrationObjectRegistry {
     });
   }
 
+  /**
+   * Dependency-ordered execution waves for a set of objects.
+   * @param {string[]} [objectIds] - Default: all registered objects
+   * @returns {string[][]}
+   */
+  getExecutionWaves(objectIds) {
+    return this._depGraph.getExecutionWaves(objectIds || this.listObjectIds());
+  }
+
+  /**
+   * Objects that depend (transitively) on an object — they must be rolled
+   * back before it.
+   * @param {string} objectId
+   * @returns {string[]}
+   */
+  getDependents(objectId) {
+    return this._depGraph.getImpact(objectId);
+  }
+
   /**
    * Run all registered migration objects in dependency order.
-   * Objects within the same execution wave run in parallel.
+   * Objects within the same execution wave run concurrently through
+   * WaveScheduler; dependents of failed objects are skipped.
    *
    * @param {object} gateway - { mode: 'mock' | 'live' }
-   * @param {object} [options]
+   * @param {object} [options] - Also passed to each migration object
    * @param {boolean} [options.parallel=true] - Run independent objects in parallel waves
+   * @param {number} [options.concurrency=4] - Max objects running at once within a wave
+   * @param {boolean} [options.haltOnFailure=true] - Skip dependents of failed objects
+   * @param {object} [options.circuitBreaker] - Shared CircuitBreaker (default: one per run)
+   * @param {object} [options.progressBus] - ProgressBus for per-object progress events
    * @param {string[]} [options.objectIds] - Subset of objects to run (default: all)
    * @param {Function} [options.onProgress] - Callback(objectId, result) per completed object
+   * @param {object} [options.journal] - LoadJournal recording created keys for rollback
+   * @param {string} [options.runId] - Run identifier (generated when journaling)
    */
   async runAll(gateway, options = {}) {
     const parallel = options.parallel !== false;
     const requestedIds = options.objectIds || this.listObjectIds();
-    const results = [];
-    const resultMap = new Map();
     const start = Date.now();
-    let completed = 0;
-    let failed = 0;
+    if (options.journal && !options.runId) {
+      options = { ...options, runId: `run-${start}` };
+    }
 
     // Get dependency-ordered execution waves
-    const waves = this._depGraph.getExecutionWaves(requestedIds);
+    const waves = this.getExecutionWaves(requestedIds);
     this.logger.info(`Execution plan: ${waves.length} waves for ${requestedIds.length} objects`);
 
-    for (let waveIdx = 0; waveIdx < waves.length; waveIdx++) {
-      const wave = waves[waveIdx];
-      this.logger.info(`Wave ${waveIdx + 1}/${waves.length}: [${wave.join(', ')}]`);
-
-      const runOne = async (id) => {
-        const obj = this.createObject(id, gateway, options);
-        this.logger.info(`Running ${obj.name} (${obj.objectId})...`);
-        const result = await obj.run();
-        resultMap.set(id, result);
-        results.push(result);
-        if (result.status === 'error' || result.status === 'validation_failed') {
-          failed++;
-        } else {
-          completed++;
-        }
-        if (options.onProgress) {
-          try { options.onProgress(id, result); } catch { /* ignore callback errors */ }
-        }
-      };
-
-      if (parallel && wave.length > 1) {
-        await Promise.all(wave.map(id => runOne(id)));
-      } else {
-        for (const id of wave) {
-          await runOne(id);
-        }
+    const scheduler = new WaveScheduler({
+      concurrency: parallel ? options.concurrency : 1,
+      circuitBreaker: options.circuitBreaker,
+      progressBus: options.progressBus,
+      haltOnFailure: options.haltOnFailure,
+      runId: options.runId,
+      logLevel: options.logLevel,
+    });
+
+    const outcome = await scheduler.run(waves, async (id) => {
+      const obj = this.createObject(id, gateway, options);
+      this.logger.info(`Running ${obj.name} (${obj.objectId})...`);
+      return obj.run();
+    }, {
+      getDependencies: (id) => this._depGraph.getDependencies(id),
+      onResult: options.onProgress,
+    });
+
+    for (const result of outcome.results) {
+      if (!result.name && this._classes.has(result.objectId)) {
+        result.name = this.createObject(result.objectId, gateway).name;
       }
     }
 
     return {
-      results,
+      runId: options.runId || null,
+      results: outcome.results,
       stats: {
         total: requestedIds.length,
-        completed,
-        failed,
+        completed: outcome.completed,
+        failed: outcome.failed,
+        skipped: outcome.skipped,
         waves: waves.length,
+        concurrency: scheduler.concurrency,
         executionOrder: waves,
+        waveStatus: outcome.waves,
         totalDurationMs: Date.now() - start,
       },
     };
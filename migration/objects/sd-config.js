@@ -83,6 +83,8 @@ class SDConfigMigrationObject extends BaseMigrationObject {
     };
   }
 
+  getRollbackStrategy() { return 'manual'; }
+
   _extractMock() {
     const records = [];
 
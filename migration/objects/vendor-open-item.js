@@ -75,6 +75,12 @@ class VendorOpenItemMigrationObject extends BaseMigrationObject {
     };
   }
 
+  getRollbackStrategy() { return 'reversal'; }
+
+  getDeltaConfig() {
+    return { strategy: 'timestamp', field: 'CPUDT', timeField: 'CPUTM', keyFields: ['BUKRS', 'BELNR', 'GJAHR', 'BUZEI'] };
+  }
+
   _extractMock() {
     const records = [];
     const vendors = ['VEND001', 'VEND002', 'VEND003', 'VEND004', 'VEND005',
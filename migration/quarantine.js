@@ -0,0 +1,252 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Record Quarantine Manager
+ *
+ * Captures individual records that fail transform, validate or load in a
+ * migration object run, stores them through PersistenceAdapter, and lets
+ * them be fixed (payload edited) and re-submitted through the same
+ * migration object without rerunning the whole object.
+ *
+ * Entry lifecycle: open → (fix) → resubmit → resolved | open (attempts++)
+ *                  open → discarded
+ */
+
+const Logger = require('../lib/logger');
+const { MigrationObjectError } = require('../lib/errors');
+const { PersistenceAdapter } = require('../lib/persistence');
+
+const PHASES = ['transform', 'validate', 'load'];
+
+class QuarantineManager {
+  /**
+   * @param {object} [options]
+   * @param {PersistenceAdapter} [options.persistence] - Store (default: in-memory)
+   */
+  constructor(options = {}) {
+    this.store = options.persistence || new PersistenceAdapter({ mode: 'memory' });
+    this.logger = new Logger('quarantine', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * Capture failed records for an object.
+   * @param {string} objectId
+   * @param {'transform'|'validate'|'load'} phase
+   * @param {object[]} items - [{ sourceKey, error, payload?, sourceRecord? }]
+   * @param {object} [meta] - { runId }
+   * @returns {Promise<object[]>} Saved entries
+   */
+  async capture(objectId, phase, items, meta = {}) {
+    if (!PHASES.includes(phase)) {
+      throw new MigrationObjectError(`Unknown quarantine phase: ${phase}`, 'QUARANTINE_PHASE');
+    }
+    const now = new Date().toISOString();
+    const saved = [];
+    for (const item of items) {
+      saved.push(await this.store.saveQuarantineEntry({
+        objectId,
+        runId: meta.runId || null,
+        sourceKey: item.sourceKey || '',
+        phase,
+        error: item.error || 'Unknown error',
+        payload: item.payload === undefined ? null : item.payload,
+        sourceRecord: item.sourceRecord === undefined ? null : item.sourceRecord,
+        status: 'open',
+        attempts: 0,
+        history: [{ at: now, action: 'captured', phase, error: item.error || null }],
+      }));
+    }
+    return saved;
+  }
+
+  /**
+   * List quarantined records.
+   * @param {object} [filter] - { objectId, runId, phase, status }
+   * @param {number} [limit=100]
+   */
+  async list(filter = {}, limit = 100) {
+    return this.store.listQuarantineEntries(filter, limit);
+  }
+
+  /**
+   * Get a single quarantined record.
+   * @param {string} id
+   */
+  async get(id) {
+    return this.store.getQuarantineEntry(id);
+  }
+
+  /**
+   * Count open entries by object and phase.
+   * @returns {Promise<object>} { total, byObject: { [objectId]: { transform, validate, load } } }
+   */
+  async summary() {
+    const open = await this.store.listQuarantineEntries({ status: 'open' }, Number.MAX_SAFE_INTEGER);
+    const byObject = {};
+    for (const e of open) {
+      byObject[e.objectId] = byObject[e.objectId] || { transform: 0, validate: 0, load: 0 };
+      byObject[e.objectId][e.phase]++;
+    }
+    return { total: open.length, byObject };
+  }
+
+  /**
+   * Fix a quarantined record by replacing its payload (validate/load
+   * failures) or source record (transform failures).
+   *
+   * @param {string} id
+   * @param {object} changes - { payload } and/or { sourceRecord }
+   * @param {object} [meta] - { by, comment }
+   * @returns {Promise<object>} Updated entry
+   */
+  async fix(id, changes = {}, meta = {}) {
+    const entry = await this._requireOpen(id);
+    if (changes.payload === undefined && changes.sourceRecord === undefined) {
+      throw new MigrationObjectError('Fix requires a payload or sourceRecord', 'QUARANTINE_NO_CHANGES');
+    }
+
+    const updated = { ...entry };
+    if (changes.payload !== undefined) updated.payload = changes.payload;
+    if (changes.sourceRecord !== undefined) updated.sourceRecord = changes.sourceRecord;
+    updated.history = [...(entry.history || []), {
+      at: new Date().toISOString(),
+      action: 'fixed',
+      by: meta.by || null,
+      comment: meta.comment || null,
+    }];
+    return this.store.saveQuarantineEntry(updated);
+  }
+
+  /**
+   * Discard a quarantined record (accept it will not be migrated).
+   * @param {string} id
+   * @param {object} [meta] - { by, comment }
+   */
+  async discard(id, meta = {}) {
+    const entry = await this._requireOpen(id);
+    return this.store.saveQuarantineEntry({
+      ...entry,
+      status: 'discarded',
+      history: [...(entry.history || []), {
+        at: new Date().toISOString(),
+        action: 'discarded',
+        by: meta.by || null,
+        comment: meta.comment || null,
+      }],
+    });
+  }
+
+  /**
+   * Re-submit open entries through a migration object instance.
+   *
+   * @param {object} migrationObject - BaseMigrationObject instance
+   * @param {string[]} [ids] - Entries to re-submit (default: all open entries of the object)
+   * @returns {Promise<object>} { objectId, resubmitted, resolved, failed, outcomes }
+   */
+  async resubmit(migrationObject, ids) {
+    const objectId = migrationObject.objectId;
+    let entries;
+    if (ids && ids.length > 0) {
+      entries = [];
+      for (const id of ids) {
+        const entry = await this._requireOpen(id);
+        if (entry.objectId !== objectId) {
+          throw new MigrationObjectError(`Quarantine entry ${id} belongs to ${entry.objectId}, not ${objectId}`, 'QUARANTINE_OBJECT_MISMATCH');
+        }
+        entries.push(entry);
+      }
+    } else {
+      entries = await this.store.listQuarantineEntries({ objectId, status: 'open' }, Number.MAX_SAFE_INTEGER);
+    }
+
+    if (entries.length === 0) {
+      return { objectId, resubmitted: 0, resolved: 0, failed: 0, outcomes: [] };
+    }
+
+    this.logger.info(`Re-submitting ${entries.length} quarantined record(s) for ${objectId}`);
+    const outcomes = await migrationObject.reprocess(entries);
+    const now = new Date().toISOString();
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const outcome = outcomes[i];
+      const resolved = outcome.status === 'resolved';
+      await this.store.saveQuarantineEntry({
+        ...entry,
+        status: resolved ? 'resolved' : 'open',
+        phase: resolved ? entry.phase : outcome.phase,
+        error: resolved ? entry.error : outcome.error,
+        payload: outcome.payload === undefined ? entry.payload : outcome.payload,
+        attempts: (entry.attempts || 0) + 1,
+        history: [...(entry.history || []), {
+          at: now,
+          action: resolved ? 'resolved' : 'resubmit_failed',
+          phase: outcome.phase,
+          error: outcome.error || null,
+        }],
+      });
+    }
+
+    const resolvedCount = outcomes.filter((o) => o.status === 'resolved').length;
+    return {
+      objectId,
+      resubmitted: entries.length,
+      resolved: resolvedCount,
+      failed: entries.length - resolvedCount,
+      outcomes,
+    };
+  }
+
+  /**
+   * Re-submit entries across objects, creating each object from the registry.
+   *
+   * @param {object} registry - MigrationObjectRegistry
+   * @param {object} gateway - { mode }
+   * @param {string[]} ids - Entry IDs
+   * @param {object} [options] - Migration object options
+   * @returns {Promise<object>} { resubmitted, resolved, failed, objects: [] }
+   */
+  async resubmitAll(registry, gateway, ids, options = {}) {
+    const byObject = new Map();
+    for (const id of ids) {
+      const entry = await this._requireOpen(id);
+      if (!byObject.has(entry.objectId)) byObject.set(entry.objectId, []);
+      byObject.get(entry.objectId).push(id);
+    }
+
+    const objects = [];
+    for (const [objectId, objectIds] of byObject) {
+      const obj = registry.createObject(objectId, gateway, options);
+      objects.push(await this.resubmit(obj, objectIds));
+    }
+
+    return {
+      resubmitted: objects.reduce((sum, o) => sum + o.resubmitted, 0),
+      resolved: objects.reduce((sum, o) => sum + o.resolved, 0),
+      failed: objects.reduce((sum, o) => sum + o.failed, 0),
+      objects,
+    };
+  }
+
+  /** @private */
+  async _requireOpen(id) {
+    const entry = await this.store.getQuarantineEntry(id);
+    if (!entry) {
+      throw new MigrationObjectError(`Quarantine entry not found: ${id}`, 'QUARANTINE_NOT_FOUND');
+    }
+    if (entry.status !== 'open') {
+      throw new MigrationObjectError(`Quarantine entry ${id} is ${entry.status}`, 'QUARANTINE_NOT_OPEN');
+    }
+    return entry;
+  }
+}
+
+module.exports = { QuarantineManager, PHASES };
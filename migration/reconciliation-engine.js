@@ -16,16 +16,32 @@
  * - Aggregate value reconciliation (sums, counts)
  * - Field-level sample reconciliation
  * - Hash-based integrity verification
+ * - Full-population comparison (mode: 'full'): every record is hashed on
+ *   its key and value fields and a record-level diff is produced (missing
+ *   in target, extra in target, duplicate keys, value mismatches per field), with
+ *   amount / percentage / currency tolerance rules per field. The diff can
+ *   be exported as CSV or JSON for sign-off.
  *
  * This is the "trust but verify" layer — after migration,
  * every record must be accounted for.
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const Logger = require('../lib/logger');
 
+// Minor units of currencies that do not use 2 decimals (ISO 4217)
+const CURRENCY_DECIMALS = {
+  BHD: 3, CLP: 0, ISK: 0, JOD: 3, JPY: 0, KRW: 0, KWD: 3, LYD: 3, OMR: 3, PYG: 0, TND: 3, UGX: 0, VND: 0,
+};
+
+const DIFF_COLUMNS = ['objectId', 'type', 'key', 'field', 'sourceValue', 'targetValue', 'difference', 'tolerance'];
+
 class ReconciliationEngine {
   constructor(options = {}) {
     this.logger = new Logger('reconciliation', { level: options.verbose ? 'debug' : 'info' });
+    this.mode = options.mode || 'sample';
     this.tolerances = {
       amount: options.amountTolerance || 0.01,
       count: options.countTolerance || 0,
@@ -36,7 +52,13 @@ class ReconciliationEngine {
 
   /**
    * Run full reconciliation between source and target datasets.
-   * @param {object} config - { objectId, sourceRecords, targetRecords, keyFields, valueFields, options }
+   *
+   * In full mode the field check compares every record instead of a sample
+   * and the report carries the record-level diff in report.diff.
+   *
+   * @param {object} config - { objectId, sourceRecords, targetRecords, keyFields, valueFields, aggregateFields,
+   *   mode?: 'sample'|'full', fieldMap?: { sourceField: targetField } (full mode),
+   *   toleranceRules?: { field: 'amount'|'percentage'|{ absolute, relative, decimals, currencyField, currencies } } }
    * @returns {object} Reconciliation report
    */
   reconcile(config) {
@@ -48,12 +70,14 @@ class ReconciliationEngine {
       valueFields = [],
       aggregateFields = [],
     } = config;
+    const mode = config.mode || this.mode;
 
     this.logger.info(`Reconciling ${objectId}: ${sourceRecords.length} source vs ${targetRecords.length} target records`);
 
     const report = {
       objectId,
       timestamp: new Date().toISOString(),
+      mode,
       checks: [],
       summary: { total: 0, passed: 0, failed: 0, warnings: 0 },
     };
@@ -71,8 +95,11 @@ class ReconciliationEngine {
       report.checks.push(this._checkAggregateValue(sourceRecords, targetRecords, field));
     }
 
-    // 4. Field-level sample check
-    if (valueFields.length > 0 && keyFields && keyFields.length > 0) {
+    // 4. Field-level check — sample, or every record in full mode
+    if (mode === 'full' && keyFields && keyFields.length > 0) {
+      report.diff = this.diffPopulation({ ...config, objectId, keyFields, valueFields });
+      report.checks.push(this._fullPopulationCheck(report.diff));
+    } else if (valueFields.length > 0 && keyFields && keyFields.length > 0) {
       report.checks.push(this._checkFieldSample(sourceRecords, targetRecords, keyFields, valueFields));
     }
 
@@ -144,8 +171,172 @@ class ReconciliationEngine {
     };
   }
 
+  /**
+   * Compare every source record with its target record by key.
+   *
+   * Records are hashed on their value fields; only records whose hashes
+   * differ are compared field by field, applying the tolerance rules.
+   * Duplicate keys keep the first record for the comparison and are
+   * reported as differences (difference = number of extra records).
+   *
+   * @param {object} config - Same as reconcile()
+   * @returns {object} { objectId, keyFields, valueFields, toleranceRules, summary, hashes, differences }
+   */
+  diffPopulation(config) {
+    const { objectId, sourceRecords, targetRecords, keyFields, valueFields = [] } = config;
+    const fieldMap = config.fieldMap || {};
+    const rules = config.toleranceRules || {};
+    const targetKeyFields = keyFields.map(f => fieldMap[f] || f);
+    const targetValueFields = valueFields.map(f => fieldMap[f] || f);
+
+    const source = this._indexPopulation(sourceRecords, keyFields, valueFields);
+    const target = this._indexPopulation(targetRecords, targetKeyFields, targetValueFields);
+
+    const differences = [];
+    const fieldMismatches = {};
+    let matched = 0;
+    let withinTolerance = 0;
+    let mismatchedRecords = 0;
+
+    for (const [key, src] of source.index) {
+      const tgt = target.index.get(key);
+      if (!tgt) {
+        differences.push({ objectId, type: 'missing_in_target', key, field: null, sourceValue: null, targetValue: null, difference: null, tolerance: null });
+        continue;
+      }
+      if (src.hash === tgt.hash) {
+        matched++;
+        continue;
+      }
+
+      let recordMismatch = false;
+      let recordTolerated = false;
+      valueFields.forEach((field, i) => {
+        const cmp = this._compareField(src.record, tgt.record, field, targetValueFields[i], rules[field]);
+        if (cmp.equal) {
+          if (cmp.tolerated) recordTolerated = true;
+          return;
+        }
+        recordMismatch = true;
+        fieldMismatches[field] = (fieldMismatches[field] || 0) + 1;
+        differences.push({
+          objectId,
+          type: 'value_mismatch',
+          key,
+          field,
+          sourceValue: src.record[field] ?? null,
+          targetValue: tgt.record[targetValueFields[i]] ?? null,
+          difference: cmp.difference,
+          tolerance: cmp.tolerance,
+        });
+      });
+      if (recordMismatch) {
+        mismatchedRecords++;
+      } else {
+        matched++;
+        if (recordTolerated) withinTolerance++;
+      }
+    }
+
+    for (const key of target.index.keys()) {
+      if (!source.index.has(key)) {
+        differences.push({ objectId, type: 'extra_in_target', key, field: null, sourceValue: null, targetValue: null, difference: null, tolerance: null });
+      }
+    }
+
+    for (const [type, population] of [['duplicate_in_source', source], ['duplicate_in_target', target]]) {
+      for (const [key, extra] of population.duplicateKeys) {
+        differences.push({ objectId, type, key, field: null, sourceValue: null, targetValue: null, difference: extra, tolerance: null });
+      }
+    }
+
+    const missing = differences.filter(d => d.type === 'missing_in_target').length;
+    const extra = differences.filter(d => d.type === 'extra_in_target').length;
+
+    return {
+      objectId,
+      timestamp: new Date().toISOString(),
+      keyFields,
+      valueFields,
+      fieldMap,
+      toleranceRules: rules,
+      summary: {
+        sourceRecords: sourceRecords.length,
+        targetRecords: targetRecords.length,
+        matched,
+        withinTolerance,
+        mismatchedRecords,
+        missingInTarget: missing,
+        extraInTarget: extra,
+        duplicateSourceKeys: source.duplicates,
+        duplicateTargetKeys: target.duplicates,
+        fieldMismatches,
+        status: differences.length === 0 ? 'MATCHED' : 'DIFFERENCES',
+      },
+      hashes: { source: source.digest, target: target.digest },
+      differences,
+    };
+  }
+
+  /**
+   * Export a population diff (or a full-mode report) for sign-off.
+   * @param {object} diff - diffPopulation() result or reconcile() report with diff
+   * @param {'csv'|'json'} [format='csv']
+   * @returns {string}
+   */
+  exportDiff(diff, format = 'csv') {
+    const d = diff.diff || diff;
+    if (!d.differences) throw new Error('No population diff to export — run reconcile() with mode "full"');
+
+    if (format === 'json') return JSON.stringify(d, null, 2);
+    if (format !== 'csv') throw new Error(`Unsupported export format: ${format}`);
+
+    const lines = [DIFF_COLUMNS.join(',')];
+    for (const row of d.differences) {
+      lines.push(DIFF_COLUMNS.map(c => csvField(row[c])).join(','));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Write a population diff to disk; the format follows the extension (.json, else CSV).
+   * @param {object} diff - diffPopulation() result or full-mode report
+   * @param {string} filePath
+   * @returns {string} The path written
+   */
+  writeDiff(diff, filePath) {
+    const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, this.exportDiff(diff, format));
+    this.logger.info(`Reconciliation diff written to ${filePath}`);
+    return filePath;
+  }
+
   // ── Check implementations ──────────────────────────────────────
 
+  _fullPopulationCheck(diff) {
+    const s = diff.summary;
+    const duplicates = s.duplicateSourceKeys + s.duplicateTargetKeys;
+    const issues = s.missingInTarget + s.extraInTarget + s.mismatchedRecords + duplicates;
+    return {
+      name: 'Full Population Check',
+      type: 'full',
+      comparedRecords: s.sourceRecords,
+      fieldsChecked: diff.valueFields.length,
+      matched: s.matched,
+      withinTolerance: s.withinTolerance,
+      mismatchedRecords: s.mismatchedRecords,
+      missingInTarget: s.missingInTarget,
+      extraInTarget: s.extraInTarget,
+      mismatchDetails: diff.differences.filter(d => d.type === 'value_mismatch').slice(0, 5),
+      status: issues === 0 ? 'passed' : 'failed',
+      message: issues === 0
+        ? `All ${s.sourceRecords} records match across ${diff.valueFields.length} fields`
+        : `${s.mismatchedRecords} mismatched, ${s.missingInTarget} missing, ${s.extraInTarget} extra of ${s.sourceRecords} records`
+          + (duplicates > 0 ? `, ${duplicates} duplicate key record(s)` : ''),
+    };
+  }
+
   _checkRecordCount(source, target) {
     const diff = target.length - source.length;
     const withinTolerance = Math.abs(diff) <= this.tolerances.count;
@@ -314,6 +505,79 @@ class ReconciliationEngine {
 
   // ── Helpers ────────────────────────────────────────────────────
 
+  /**
+   * Index records by key with a hash of their value fields and a digest of
+   * the whole population (duplicate records included).
+   */
+  _indexPopulation(records, keyFields, valueFields) {
+    const index = new Map();
+    const duplicateKeys = new Map(); // key → extra records
+    const lines = [];
+    for (const record of records) {
+      const key = this._makeKey(record, keyFields);
+      const hash = this._hashRecord(record, valueFields);
+      lines.push(`${key}\u0000${hash}\n`);
+      if (index.has(key)) {
+        duplicateKeys.set(key, (duplicateKeys.get(key) || 0) + 1);
+        continue;
+      }
+      index.set(key, { record, hash });
+    }
+
+    const digest = crypto.createHash('sha256');
+    for (const line of lines.sort()) digest.update(line);
+    const duplicates = records.length - index.size;
+    return { index, duplicates, duplicateKeys, digest: digest.digest('hex') };
+  }
+
+  _hashRecord(record, fields) {
+    const values = fields.map(f => (record[f] === null || record[f] === undefined ? '' : String(record[f])));
+    return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+  }
+
+  /**
+   * Compare one field, numerically when a tolerance rule applies.
+   * @returns {{ equal: boolean, tolerated?: boolean, difference: number|null, tolerance: number|null }}
+   */
+  _compareField(srcRec, tgtRec, srcField, tgtField, rule) {
+    const srcVal = srcRec[srcField];
+    const tgtVal = tgtRec[tgtField];
+    if (!rule) {
+      const equal = normalizeValue(srcVal) === normalizeValue(tgtVal);
+      return { equal, difference: null, tolerance: null };
+    }
+
+    const a = parseAmount(srcVal);
+    const b = parseAmount(tgtVal);
+    if (a === null || b === null) {
+      return { equal: normalizeValue(srcVal) === normalizeValue(tgtVal), difference: null, tolerance: null };
+    }
+
+    const r = this._resolveRule(rule, srcRec);
+    const round = (n) => (r.decimals === undefined ? n : Number(n.toFixed(r.decimals)));
+    const difference = round(Math.abs(round(b) - round(a)));
+    const tolerance = Math.max(r.absolute || 0, (r.relative || 0) * Math.abs(a));
+    // Allow for binary floating-point noise in the subtraction
+    const equal = difference <= tolerance + 1e-9;
+    return { equal, tolerated: equal && difference > 0, difference, tolerance };
+  }
+
+  /** Resolve shorthand and currency-dependent rules to { absolute, relative, decimals } */
+  _resolveRule(rule, srcRec) {
+    if (rule === 'amount') return { absolute: this.tolerances.amount };
+    if (rule === 'percentage') return { relative: this.tolerances.percentage };
+    if (!rule.currencyField) return rule;
+
+    const currency = String(srcRec[rule.currencyField] || '').toUpperCase();
+    const overrides = rule.currencies || {};
+    const decimals = CURRENCY_DECIMALS[currency] ?? 2;
+    return {
+      ...rule,
+      // One minor unit of the record's currency unless overridden
+      absolute: overrides[currency] ?? rule.absolute ?? Math.pow(10, -decimals),
+    };
+  }
+
   _makeKey(record, keyFields) {
     return keyFields.map(f => String(record[f] || '')).join('|');
   }
@@ -348,4 +612,30 @@ class ReconciliationEngine {
   }
 }
 
+/** null/undefined → '', everything else as a string */
+function normalizeValue(v) {
+  return v === null || v === undefined ? '' : String(v);
+}
+
+/** Parse a number, accepting SAP trailing minus ('100.00-'); null if not numeric */
+function parseAmount(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (v === null || v === undefined) return null;
+  let s = String(v).trim();
+  if (s === '') return null;
+  let sign = 1;
+  if (s.endsWith('-')) {
+    sign = -1;
+    s = s.slice(0, -1);
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? sign * n : null;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
 module.exports = ReconciliationEngine;
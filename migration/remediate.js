@@ -21,6 +21,7 @@
  */
 
 const SapGateway = require('../agent/sap-gateway');
+const AdtClient = require('../lib/adt/client');
 const Remediator = require('./remediator');
 
 function parseArgs(argv) {
@@ -87,6 +88,10 @@ automated transforms where possible. Produces a remediation report with
 diffs and manual review items.
 
 Runs in mock mode with dry-run by default (no SAP system required).
+With --sap-system, fixes are syntax-checked by the system's ADT service
+(credentials from SAP_USERNAME / SAP_PASSWORD, client from SAP_CLIENT).
+In vsp mode the ADT service is --sap-system or SAP_BASE_URL; without one,
+--no-dry-run writes nothing back, since only the local syntax check ran.
 
 Usage:
   npm run remediate [options]
@@ -97,14 +102,14 @@ Options:
   -s, --sap-system <url>   SAP system URL (enables live connection)
   -P, --vsp-path <path>    Path to vsp binary (enables vsp mode)
   -S, --vsp-system <name>  vsp system profile (from .vsp.json)
-  --no-dry-run             Apply changes (only effective in vsp mode)
+  --no-dry-run             Apply changes (vsp mode with an ADT syntax check only)
   -v, --verbose            Show detailed remediation logs
   -h, --help               Show this help
 
 Examples:
   npm run remediate
   npm run remediate -- --format md --client "Acme Corp"
-  npm run remediate -- -P /usr/local/bin/vsp -S DEV --no-dry-run -v
+  npm run remediate -- -P /usr/local/bin/vsp -S DEV -s https://dev.example.com:44300 --no-dry-run -v
   `);
 }
 
@@ -133,6 +138,9 @@ function formatTerminal(result, clientName) {
   lines.push(`  Manual Review:     ${stats.manualReview}`);
   lines.push(`  No Transform:      ${stats.noTransform}`);
   lines.push(`  Errors:            ${stats.errors}`);
+  lines.push(`  Edit Conflicts:    ${stats.conflicts || 0}`);
+  lines.push(`  Syntax Rejected:   ${stats.syntaxRejected || 0}`);
+  if (stats.writeBackSkipped) lines.push(`  Not Written Back:  ${stats.writeBackSkipped} (no system syntax check)`);
   lines.push('');
 
   const pct = stats.totalFindings > 0
@@ -177,6 +185,9 @@ function formatTerminal(result, clientName) {
       lines.push(`  ${sevTag} ${r.ruleId}: ${r.title}`);
       lines.push(`      Object:  ${r.object}`);
       lines.push(`      Action:  ${r.remediation || r.reason}`);
+      if (r.conflictsWith || r.syntaxErrors) {
+        lines.push(`      Reason:  ${r.reason}`);
+      }
       lines.push('');
     }
   }
@@ -224,6 +235,9 @@ function formatMarkdown(result, clientName) {
   lines.push(`| Auto-Fixed | ${stats.autoFixed} |`);
   lines.push(`| Manual Review | ${stats.manualReview} |`);
   lines.push(`| Errors | ${stats.errors} |`);
+  lines.push(`| Edit Conflicts | ${stats.conflicts || 0} |`);
+  lines.push(`| Syntax Rejected | ${stats.syntaxRejected || 0} |`);
+  if (stats.writeBackSkipped) lines.push(`| Not Written Back (no system syntax check) | ${stats.writeBackSkipped} |`);
   lines.push('');
 
   // Fixed
@@ -292,10 +306,24 @@ async function main() {
   console.log('  Scanning and remediating custom code...');
   console.log('');
 
+  // Live and vsp gateways use the system's own syntax check; otherwise the
+  // remediator checks locally (and does not write back)
+  const adtUrl = gateway.mode === 'live' ? gateway.system
+    : gateway.mode === 'vsp' ? gateway.system || process.env.SAP_BASE_URL : null;
+  const syntaxChecker = adtUrl
+    ? new AdtClient({
+      baseUrl: adtUrl,
+      username: gateway.username,
+      password: gateway.password,
+      client: process.env.SAP_CLIENT,
+    })
+    : null;
+
   try {
     const remediator = new Remediator(gateway, {
       verbose: args.verbose,
       dryRun: args.dryRun,
+      syntaxChecker,
     });
     const result = await remediator.remediate();
 
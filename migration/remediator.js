@@ -10,20 +10,42 @@
  */
 const Scanner = require('./scanner');
 const Analyzer = require('./analyzer');
-const { getTransform, hasTransform } = require('./transforms');
+const { getTransform, planEdits } = require('./transforms');
+const { parseSource, checkSyntax } = require('./abap-parser');
+const { applyEdits, editsOverlap, sameEdit, unifiedDiff } = require('./source-edits');
 const Logger = require('../lib/logger');
 
+/** ADT URI path per object type, for syntax checks against the system */
+const ADT_PATHS = {
+  PROG: 'programs/programs',
+  REPS: 'programs/includes',
+  CLAS: 'oo/classes',
+  INTF: 'oo/interfaces',
+  FUGR: 'functions/groups',
+};
+
 /**
  * Custom Code Remediator
  *
  * Runs Phase 1 assessment (scanner + analyzer), then for each finding
- * with a transform, applies it. Generates unified diff and tracks stats.
+ * with a transform, plans its edits against the original source. Edits that
+ * overlap an edit already accepted from another transform are not applied;
+ * the finding goes to manual review instead. The accepted edits are applied
+ * once per object and the result is syntax checked — through
+ * options.syntaxChecker (anything with getSyntaxCheck(source, objectUri),
+ * e.g. AdtClient) or the local checker in abap-parser.js — before it is
+ * offered as a unified diff or written back. Fixes that break the syntax are
+ * rejected to manual review. Sources are only written back after the
+ * system's syntax check: the local checker cannot see unknown types or
+ * removed APIs, so without a syntaxChecker write-back is skipped.
  */
 class Remediator {
   constructor(gateway, options = {}) {
     this.gateway = gateway;
     this.verbose = options.verbose || false;
     this.dryRun = options.dryRun !== undefined ? options.dryRun : true;
+    this.syntaxChecker = options.syntaxChecker || null;
+    this.ruleRegistry = options.ruleRegistry || null;
     this.logger = new Logger('remediator', { level: options.logLevel || 'info' });
   }
 
@@ -33,7 +55,7 @@ class Remediator {
 
   /**
    * Run full remediation pipeline
-   * @returns {object} { remediations[], stats, scanResult, analysis }
+   * @returns {object} { remediations[], objects[], stats, scanResult, analysis }
    */
   async remediate() {
     // Step 1: Run assessment
@@ -42,18 +64,22 @@ class Remediator {
     const scanResult = await scanner.scan();
 
     this._log('Running compatibility analysis...');
-    const analyzer = new Analyzer({ verbose: this.verbose });
+    const analyzer = new Analyzer({ verbose: this.verbose, ruleRegistry: this.ruleRegistry });
     const analysis = analyzer.analyze(scanResult);
 
-    // Step 2: Apply transforms to each finding
+    // Step 2: Plan transform edits for each finding
     this._log(`Processing ${analysis.findings.length} findings...`);
     const remediations = [];
+    const objects = [];
     const stats = {
       totalFindings: analysis.findings.length,
       autoFixed: 0,
       manualReview: 0,
       noTransform: 0,
       errors: 0,
+      conflicts: 0,
+      syntaxRejected: 0,
+      writeBackSkipped: 0,
     };
 
     // Group findings by object for batch processing
@@ -81,8 +107,10 @@ class Remediator {
         continue;
       }
 
-      let currentSource = sourceInfo.source;
       const originalSource = sourceInfo.source;
+      const parsed = parseSource(originalSource);
+      const fixes = [];
+      const accepted = [];
 
       for (const finding of findings) {
         const transform = getTransform(finding.ruleId);
@@ -103,34 +131,58 @@ class Remediator {
         }
 
         try {
-          this._log(`  ${objectName}/${finding.ruleId}: applying transform...`);
-          const result = transform.apply(currentSource, finding);
+          this._log(`  ${objectName}/${finding.ruleId}: planning edits...`);
+          const plan = planEdits(transform, originalSource, finding, parsed);
 
-          if (result.changes.length > 0) {
-            currentSource = result.source;
+          if (plan.changes.length === 0 || plan.edits.length === 0) {
             remediations.push({
               object: objectName,
-              objectType: finding.objectType,
               ruleId: finding.ruleId,
               title: finding.title,
               severity: finding.severity,
-              status: 'fixed',
-              changes: result.changes,
-              changeCount: result.changes.length,
+              status: 'manual-review',
+              reason: 'Transform matched but no changes applied',
+              remediation: finding.remediation,
             });
-            stats.autoFixed++;
-          } else {
+            stats.manualReview++;
+            continue;
+          }
+
+          // Identical edits from another transform are already covered
+          const edits = plan.edits.filter((e) => !accepted.some((a) => sameEdit(a.edit, e)));
+          const conflict = accepted.find((a) => edits.some((e) => editsOverlap(a.edit, e)));
+          if (conflict) {
+            const line = parsed.locate(conflict.edit.start).line;
+            this._log(`  ${objectName}/${finding.ruleId}: edits overlap ${conflict.ruleId}, manual review`);
             remediations.push({
               object: objectName,
               ruleId: finding.ruleId,
               title: finding.title,
               severity: finding.severity,
               status: 'manual-review',
-              reason: 'Transform matched but no changes applied',
+              reason: `Edits overlap ${conflict.ruleId} at line ${line}`,
+              conflictsWith: conflict.ruleId,
               remediation: finding.remediation,
             });
             stats.manualReview++;
+            stats.conflicts++;
+            continue;
           }
+
+          const remediation = {
+            object: objectName,
+            objectType: finding.objectType,
+            ruleId: finding.ruleId,
+            title: finding.title,
+            severity: finding.severity,
+            status: 'fixed',
+            changes: plan.changes,
+            changeCount: plan.changes.length,
+          };
+          remediations.push(remediation);
+          fixes.push({ finding, remediation, edits });
+          for (const edit of edits) accepted.push({ ruleId: finding.ruleId, edit });
+          stats.autoFixed++;
         } catch (err) {
           this._log(`  ${objectName}/${finding.ruleId}: error: ${err.message}`);
           remediations.push({
@@ -145,63 +197,97 @@ class Remediator {
         }
       }
 
-      // Generate diff
-      if (currentSource !== originalSource) {
-        const diff = this._generateDiff(objectName, originalSource, currentSource);
-        const objRemediations = remediations.filter(
-          (r) => r.object === objectName && r.status === 'fixed'
-        );
-        for (const r of objRemediations) {
-          r.diff = diff;
-        }
+      if (fixes.length === 0) continue;
+
+      // Step 3: Apply the accepted edits and verify the rewritten source
+      const verified = await this._verify(objectName, sourceInfo.type, originalSource, fixes, stats);
+      const diff = unifiedDiff(objectName, originalSource, verified.source);
+      for (const fix of verified.applied) fix.remediation.diff = diff;
+      objects.push({
+        object: objectName,
+        objectType: sourceInfo.type,
+        diff,
+        syntaxCheck: verified.syntaxCheck,
+        applied: verified.applied.map((f) => f.finding.ruleId),
+      });
 
-        // Write back if not dry run and in vsp mode
-        if (!this.dryRun && this.gateway.mode === 'vsp') {
-          this._log(`  Writing back ${objectName}...`);
-          await this.gateway.writeAbapSource(
-            objectName,
-            currentSource,
-            sourceInfo.type
-          );
+      // Write back if not dry run and in vsp mode, once the system checked the syntax
+      if (verified.source !== originalSource && !this.dryRun && this.gateway.mode === 'vsp') {
+        if (!this.syntaxChecker) {
+          this.logger.warn(`  ${objectName}: not written back — no system syntax check configured`);
+          stats.writeBackSkipped++;
+          continue;
         }
+        this._log(`  Writing back ${objectName}...`);
+        await this.gateway.writeAbapSource(
+          objectName,
+          verified.source,
+          sourceInfo.type
+        );
       }
     }
 
-    return { remediations, stats, scanResult, analysis };
+    return { remediations, objects, stats, scanResult, analysis };
   }
 
   /**
-   * Generate a simple unified diff
+   * Apply fixes to the original source and syntax check the result. The
+   * rewrite passes when it has no more errors than the original. When it
+   * fails, each fix is checked alone and those that introduce errors are
+   * rejected; if the remaining fixes still fail together, all are rejected.
+   * @returns {{ source: string, applied: object[], syntaxCheck: object }}
    */
-  _generateDiff(objectName, before, after) {
-    const beforeLines = before.split('\n');
-    const afterLines = after.split('\n');
-    const diffLines = [`--- a/${objectName}`, `+++ b/${objectName}`];
-
-    let i = 0;
-    let j = 0;
-    while (i < beforeLines.length || j < afterLines.length) {
-      if (i < beforeLines.length && j < afterLines.length) {
-        if (beforeLines[i] === afterLines[j]) {
-          diffLines.push(` ${beforeLines[i]}`);
-          i++;
-          j++;
-        } else {
-          diffLines.push(`-${beforeLines[i]}`);
-          diffLines.push(`+${afterLines[j]}`);
-          i++;
-          j++;
-        }
-      } else if (i < beforeLines.length) {
-        diffLines.push(`-${beforeLines[i]}`);
-        i++;
-      } else {
-        diffLines.push(`+${afterLines[j]}`);
-        j++;
-      }
+  async _verify(objectName, objectType, originalSource, fixes, stats) {
+    const errorCount = (check) => check.messages.filter((m) => m.severity === 'error').length;
+    const rewrite = (list) => applyEdits(originalSource, list.flatMap((f) => f.edits));
+    const baseline = errorCount(await this._syntaxCheck(objectName, objectType, originalSource));
+
+    let applied = fixes;
+    let source = rewrite(applied);
+    let syntaxCheck = await this._syntaxCheck(objectName, objectType, source);
+    if (errorCount(syntaxCheck) <= baseline) return { source, applied, syntaxCheck };
+
+    this._log(`  ${objectName}: rewritten source fails syntax check, isolating fixes...`);
+    applied = [];
+    for (const fix of fixes) {
+      const check = await this._syntaxCheck(objectName, objectType, rewrite([fix]));
+      if (errorCount(check) > baseline) this._reject(fix, check, stats);
+      else applied.push(fix);
+    }
+
+    if (applied.length > 0) {
+      source = rewrite(applied);
+      syntaxCheck = await this._syntaxCheck(objectName, objectType, source);
+      if (errorCount(syntaxCheck) <= baseline) return { source, applied, syntaxCheck };
+      for (const fix of applied) this._reject(fix, syntaxCheck, stats);
     }
+    return {
+      source: originalSource,
+      applied: [],
+      syntaxCheck: await this._syntaxCheck(objectName, objectType, originalSource),
+    };
+  }
+
+  /** @private — move a fix that breaks the syntax to manual review */
+  _reject(fix, check, stats) {
+    const r = fix.remediation;
+    this._log(`  ${r.object}/${r.ruleId}: rejected, rewritten source fails syntax check`);
+    r.status = 'manual-review';
+    r.reason = 'Rewritten source fails syntax check';
+    r.syntaxErrors = check.messages.filter((m) => m.severity === 'error');
+    r.remediation = fix.finding.remediation;
+    delete r.changes;
+    delete r.changeCount;
+    stats.autoFixed--;
+    stats.manualReview++;
+    stats.syntaxRejected++;
+  }
 
-    return diffLines.join('\n');
+  /** @private */
+  async _syntaxCheck(objectName, objectType, source) {
+    if (!this.syntaxChecker) return checkSyntax(source);
+    const path = ADT_PATHS[objectType] || `repository/${String(objectType).toLowerCase()}`;
+    return this.syntaxChecker.getSyntaxCheck(source, `/sap/bc/adt/${path}/${encodeURIComponent(objectName)}`);
   }
 }
 
@@ -11,11 +11,14 @@
 /**
  * Assessment Report Generator
  *
- * Formats the analysis results for terminal or markdown display.
+ * Formats the analysis results for terminal or markdown display, or as
+ * SARIF for code-scanning tools (see sarif.js).
  * Produces executive summary, object inventory, findings detail,
  * risk matrix, and remediation roadmap.
  */
 
+const { buildSarifLog } = require('./sarif');
+
 class AssessmentReport {
   constructor(analysis, scanResult, options = {}) {
     this.analysis = analysis;
@@ -25,6 +28,7 @@ class AssessmentReport {
     this.interfaceData = options.interfaceData || null;
     this.atcData = options.atcData || null;
     this.usageData = options.usageData || null;
+    this.callGraphData = options.callGraphData || null;
   }
 
   /**
@@ -57,10 +61,71 @@ class AssessmentReport {
     lines.push(`  Total Objects:     ${summary.totalObjects}`);
     lines.push(`  Objects Scanned:   ${summary.objectsScanned}`);
     lines.push(`  Total Findings:    ${summary.totalFindings}`);
+    if (summary.suppressedFindings) {
+      lines.push(`  Suppressed:        ${summary.suppressedFindings}`);
+    }
     lines.push(`  Remediation:       ${summary.effortEstimate.level} (${summary.effortEstimate.range})`);
+    if (summary.effortEstimate.interval) {
+      lines.push(`  Effort Estimate:   ${this._effortIntervalLabel(summary.effortEstimate.interval)}`);
+    }
     lines.push(`  Rules Checked:     ${this.analysis.rulesChecked}`);
     lines.push('');
 
+    // Rule packs (only when client packs were loaded)
+    const rulePacks = this.analysis.rulePacks || [];
+    if (rulePacks.length > 1) {
+      lines.push('-'.repeat(w));
+      lines.push('  RULE PACKS');
+      lines.push('-'.repeat(w));
+      lines.push('');
+      for (const p of rulePacks) {
+        const version = p.version ? ` v${p.version}` : '';
+        lines.push(`  ${p.packId}${version}: ${p.name}`);
+        lines.push(`      Rules: ${p.ruleCount}, Findings: ${p.findingCount}`);
+        if (p.severityOverrides && p.severityOverrides.length > 0) {
+          lines.push(`      Severity overrides: ${p.severityOverrides.join(', ')}`);
+        }
+        if (p.disabled && p.disabled.length > 0) {
+          lines.push(`      Disabled: ${p.disabled.join(', ')}`);
+        }
+      }
+      lines.push('');
+    }
+
+    // Baseline comparison and suppressions (only with --baseline)
+    const { baseline, suppressions } = this.analysis;
+    if (baseline) {
+      lines.push('-'.repeat(w));
+      lines.push('  BASELINE COMPARISON');
+      lines.push('-'.repeat(w));
+      lines.push('');
+      lines.push(`  Baseline:          ${baseline.createdAt ? baseline.createdAt.split('T')[0] : 'unknown date'}`);
+      lines.push(`  New Findings:      ${baseline.newCount}`);
+      lines.push(`  Unchanged:         ${baseline.existingCount}`);
+      lines.push(`  Resolved:          ${baseline.resolvedCount} occurrence(s)`);
+      for (const r of baseline.resolved.slice(0, 10)) {
+        lines.push(`    - ${r.ruleId} in ${r.object}${r.line ? ` (line ${r.line})` : ''}`);
+      }
+      if (baseline.resolved.length > 10) {
+        lines.push(`    ... and ${baseline.resolved.length - 10} more`);
+      }
+      lines.push('');
+    }
+    if (suppressions) {
+      lines.push('-'.repeat(w));
+      lines.push('  SUPPRESSIONS');
+      lines.push('-'.repeat(w));
+      lines.push('');
+      lines.push(`  Suppressed Findings: ${suppressions.applied}`);
+      for (const s of suppressions.expired) {
+        lines.push(`  [EXPIRED] ${this._suppressionLabel(s)} (expired ${s.expires}, approver ${s.approver})`);
+      }
+      for (const s of suppressions.unused) {
+        lines.push(`  [UNUSED]  ${this._suppressionLabel(s)} (matches no finding)`);
+      }
+      lines.push('');
+    }
+
     // Severity Breakdown
     lines.push('-'.repeat(w));
     lines.push('  FINDINGS BY SEVERITY');
@@ -116,11 +181,14 @@ class AssessmentReport {
 
     // Top Findings Detail
     lines.push('-'.repeat(w));
-    lines.push('  TOP FINDINGS (Critical & High)');
+    lines.push(baseline ? '  NEW FINDINGS (Critical & High)' : '  TOP FINDINGS (Critical & High)');
     lines.push('-'.repeat(w));
     lines.push('');
-    const topFindings = findings.filter((f) => f.severity === 'critical' || f.severity === 'high');
-    if (topFindings.length === 0) {
+    const topFindings = this._reportedFindings()
+      .filter((f) => f.severity === 'critical' || f.severity === 'high');
+    if (topFindings.length === 0 && baseline) {
+      lines.push('  No new critical or high findings since the baseline.');
+    } else if (topFindings.length === 0) {
       lines.push('  No critical or high findings. System is well-positioned for migration.');
     } else {
       for (const f of topFindings) {
@@ -128,6 +196,9 @@ class AssessmentReport {
         lines.push(`  ${sevTag} ${f.ruleId}: ${f.title}`);
         lines.push(`      Object:  ${f.object} (${f.objectType})`);
         lines.push(`      Hits:    ${f.matchCount} occurrence(s)`);
+        if (f.rulePack) {
+          lines.push(`      Pack:    ${f.rulePack}${this._overrideNote(f)}`);
+        }
         lines.push(`      Action:  ${f.remediation}`);
         if (f.matches.length > 0 && f.matches[0].line > 0) {
           const sample = f.matches[0];
@@ -203,6 +274,44 @@ class AssessmentReport {
       }
     }
 
+    // Call graph: retirement candidates and critical finding impact (optional)
+    if (this.callGraphData) {
+      const { summary: g, deadCode, impact } = this.callGraphData;
+      lines.push('-'.repeat(w));
+      lines.push('  CALL GRAPH');
+      lines.push('-'.repeat(w));
+      lines.push('');
+      lines.push(`  Objects / Calls:      ${g.objects} / ${g.edges}`);
+      lines.push(`  Entry Points:         ${g.entryPoints} (transactions and jobs)`);
+      lines.push(`  Unreachable:          ${g.entryPoints > 0 ? g.unreachableObjects : 'not assessed (no entry points)'}`);
+      lines.push(`  Unused:               ${g.unusedObjects}`);
+      lines.push(`  Dead Code Findings:   ${g.findingsInDeadCode}`);
+      if (g.dynamicCalls > 0) {
+        lines.push(`  Dynamic Calls:        ${g.dynamicCalls} (not resolved; may reach "dead" objects)`);
+      }
+      lines.push('');
+      if (deadCode.length > 0) {
+        lines.push('  Retire Before Remediation:');
+        for (const d of deadCode.slice(0, 15)) {
+          const findings = d.findingCount > 0 ? `, ${d.findingCount} finding(s)` : '';
+          lines.push(`    - ${d.object} (${d.type}, ${d.confidence} confidence${findings}): ${d.reasons.join('; ')}`);
+        }
+        if (deadCode.length > 15) {
+          lines.push(`    ... and ${deadCode.length - 15} more`);
+        }
+        lines.push('');
+      }
+      if (impact.length > 0) {
+        lines.push('  Critical Finding Impact:');
+        for (const i of impact) {
+          lines.push(`    ${i.object} (${i.ruleIds.join(', ')})`);
+          lines.push(`      Transactions: ${i.transactions.map((t) => t.name).join(', ') || 'none'}`);
+          lines.push(`      Jobs:         ${i.jobs.map((j) => j.name).join(', ') || 'none'}`);
+        }
+        lines.push('');
+      }
+    }
+
     // Remediation Roadmap
     lines.push('-'.repeat(w));
     lines.push('  REMEDIATION ROADMAP');
@@ -262,10 +371,71 @@ class AssessmentReport {
     lines.push(`| Total Objects | ${summary.totalObjects} |`);
     lines.push(`| Objects Scanned | ${summary.objectsScanned} |`);
     lines.push(`| Total Findings | ${summary.totalFindings} |`);
+    if (summary.suppressedFindings) {
+      lines.push(`| Suppressed Findings | ${summary.suppressedFindings} |`);
+    }
     lines.push(`| Remediation Effort | ${summary.effortEstimate.level} (${summary.effortEstimate.range}) |`);
+    if (summary.effortEstimate.interval) {
+      lines.push(`| Effort Estimate | ${this._effortIntervalLabel(summary.effortEstimate.interval)} |`);
+    }
     lines.push(`| Rules Checked | ${this.analysis.rulesChecked} |`);
     lines.push('');
 
+    const rulePacks = this.analysis.rulePacks || [];
+    if (rulePacks.length > 1) {
+      lines.push('## Rule Packs');
+      lines.push('');
+      lines.push('| Pack | Name | Version | Rules | Findings | Severity Overrides | Disabled |');
+      lines.push('| --- | --- | --- | --- | --- | --- | --- |');
+      for (const p of rulePacks) {
+        const overrides = (p.severityOverrides || []).join(', ') || '-';
+        const disabled = (p.disabled || []).join(', ') || '-';
+        lines.push(`| ${p.packId} | ${p.name} | ${p.version || '-'} | ${p.ruleCount} | ${p.findingCount} | ${overrides} | ${disabled} |`);
+      }
+      lines.push('');
+    }
+
+    const { baseline, suppressions } = this.analysis;
+    if (baseline) {
+      lines.push('## Baseline Comparison');
+      lines.push('');
+      lines.push(`Compared with the baseline of ${baseline.createdAt ? baseline.createdAt.split('T')[0] : 'unknown date'}: `
+        + `**${baseline.newCount}** new, ${baseline.existingCount} unchanged, ${baseline.resolvedCount} resolved occurrence(s).`);
+      lines.push('');
+      if (baseline.resolved.length > 0) {
+        lines.push('| Resolved Rule | Object | Line | Content |');
+        lines.push('| --- | --- | --- | --- |');
+        for (const r of baseline.resolved) {
+          lines.push(`| ${r.ruleId} | ${r.object} | ${r.line || '-'} | ${r.content ? `\`${r.content}\`` : '-'} |`);
+        }
+        lines.push('');
+      }
+    }
+    if (suppressions) {
+      lines.push('## Suppressions');
+      lines.push('');
+      const suppressed = this.analysis.suppressedFindings || [];
+      if (suppressed.length > 0) {
+        lines.push('| Rule | Object | Occurrences | Justification | Approver | Expires |');
+        lines.push('| --- | --- | --- | --- | --- | --- |');
+        for (const f of suppressed) {
+          const s = f.suppression;
+          lines.push(`| ${f.ruleId} | ${f.object} | ${f.matchCount} | ${s.justification} | ${s.approver} | ${s.expires} |`);
+        }
+        lines.push('');
+      } else {
+        lines.push('No findings suppressed.');
+        lines.push('');
+      }
+      for (const s of suppressions.expired) {
+        lines.push(`- **Expired:** ${this._suppressionLabel(s)} (expired ${s.expires}, approver ${s.approver})`);
+      }
+      for (const s of suppressions.unused) {
+        lines.push(`- **Unused:** ${this._suppressionLabel(s)} matches no finding`);
+      }
+      if (suppressions.expired.length + suppressions.unused.length > 0) lines.push('');
+    }
+
     // Severity
     lines.push('## Findings by Severity');
     lines.push('');
@@ -300,14 +470,17 @@ class AssessmentReport {
     lines.push('');
 
     // Detailed Findings
-    lines.push('## Detailed Findings');
+    lines.push(baseline ? '## New Findings' : '## Detailed Findings');
     lines.push('');
-    for (const f of findings) {
+    for (const f of this._reportedFindings()) {
       const sevEmoji = { critical: '**CRITICAL**', high: '**HIGH**', medium: 'MEDIUM', low: 'LOW' };
       lines.push(`### ${f.ruleId}: ${f.title}`);
       lines.push('');
       lines.push(`- **Severity:** ${sevEmoji[f.severity] || f.severity}`);
       lines.push(`- **Category:** ${f.category}`);
+      if (f.rulePack) {
+        lines.push(`- **Rule Pack:** ${f.rulePack}${this._overrideNote(f)}`);
+      }
       lines.push(`- **Object:** ${f.object} (${f.objectType})`);
       lines.push(`- **Occurrences:** ${f.matchCount}`);
       lines.push(`- **Description:** ${f.description}`);
@@ -370,6 +543,42 @@ class AssessmentReport {
       lines.push('');
     }
 
+    // Call graph (optional)
+    if (this.callGraphData) {
+      const { summary: g, deadCode, impact } = this.callGraphData;
+      lines.push('## Call Graph');
+      lines.push('');
+      lines.push(`${g.objects} objects, ${g.edges} calls, ${g.entryPoints} entry points (transactions and jobs).`);
+      if (g.entryPoints === 0) {
+        lines.push('Without entry points reachability was not assessed; only usage statistics mark dead code.');
+      }
+      if (g.dynamicCalls > 0) {
+        lines.push(`${g.dynamicCalls} dynamic call(s) could not be resolved and may reach objects listed as dead code.`);
+      }
+      lines.push('');
+      if (deadCode.length > 0) {
+        lines.push('### Retirement Candidates');
+        lines.push('');
+        lines.push('| Object | Type | Status | Confidence | Findings | Reason |');
+        lines.push('| --- | --- | --- | --- | --- | --- |');
+        for (const d of deadCode) {
+          lines.push(`| ${d.object} | ${d.type} | ${d.status} | ${d.confidence} | ${d.findingCount} | ${d.reasons.join('; ')} |`);
+        }
+        lines.push('');
+      }
+      if (impact.length > 0) {
+        lines.push('### Critical Finding Impact');
+        lines.push('');
+        lines.push('| Object | Rules | Transactions | Jobs |');
+        lines.push('| --- | --- | --- | --- |');
+        for (const i of impact) {
+          const names = (list) => list.map((e) => `${e.name} (${e.path.join(' → ')})`).join('<br>') || '-';
+          lines.push(`| ${i.object} | ${i.ruleIds.join(', ')} | ${names(i.transactions)} | ${names(i.jobs)} |`);
+        }
+        lines.push('');
+      }
+    }
+
     // Remediation Roadmap
     lines.push('## Remediation Roadmap');
     lines.push('');
@@ -411,6 +620,48 @@ class AssessmentReport {
     return lines.join('\n');
   }
 
+  /**
+   * Format report as a SARIF 2.1.0 log (simplification rules, plus ATC
+   * findings when available)
+   * @param {object} [options] - See buildSarifLog()
+   * @returns {object}
+   */
+  toSarif(options = {}) {
+    return buildSarifLog(this.analysis, { atcData: this.atcData, ...options });
+  }
+
+  /**
+   * Findings listed in detail: with a baseline, only those with new occurrences
+   */
+  _reportedFindings() {
+    const { findings, baseline } = this.analysis;
+    return baseline ? findings.filter((f) => f.baselineStatus === 'new') : findings;
+  }
+
+  /**
+   * Short label for a suppression entry
+   */
+  _suppressionLabel(s) {
+    const scope = s.object ? ` on ${s.object}` : '';
+    return `${s.id ? `${s.id}: ` : ''}${s.ruleId}${scope}${s.fingerprint ? ` [${s.fingerprint}]` : ''}`;
+  }
+
+  /**
+   * Effort estimate with its confidence interval
+   */
+  _effortIntervalLabel(i) {
+    const basis = i.calibrated ? `calibrated on ${i.sampleSize} completed finding(s)` : 'uncalibrated';
+    return `${i.hours} h (${Math.round(i.confidence * 100)}% interval ${i.low}-${i.high} h, ${basis})`;
+  }
+
+  /**
+   * Note for a finding whose severity a rule pack overrode
+   */
+  _overrideNote(finding) {
+    const o = finding.severityOverride;
+    return o ? ` (severity ${o.previousSeverity} -> ${finding.severity} by ${o.packId})` : '';
+  }
+
   /**
    * Visual progress bar for terminal
    */
@@ -48,8 +48,9 @@ module.exports = [
     severity: 'medium',
     title: 'Direct database modification statements',
     description: 'Direct INSERT/UPDATE/DELETE on standard SAP tables bypasses application logic.',
-    pattern: /\b(INSERT INTO|UPDATE\s+|DELETE FROM)\s+(BKPF|BSEG|EKKO|EKPO|VBAK|VBAP|LIKP|LIPS|MKPF|MSEG)\b/i,
-    patternType: 'source',
+    pattern: /^(BKPF|BSEG|EKKO|EKPO|VBAK|VBAP|LIKP|LIPS|MKPF|MSEG)$/i,
+    patternType: 'statement',
+    statement: { kinds: ['insert', 'update', 'modify', 'delete'], on: 'tables' },
     remediation: 'Use BAPIs or APIs instead of direct DB modifications on standard tables.',
     simplificationId: 'S4TWL-ABAP-003',
   },
@@ -351,8 +352,9 @@ module.exports = [
     severity: 'high',
     title: 'Cluster/pool table access (obsolete table types)',
     description: 'Cluster and pool tables are converted to transparent tables in S/4HANA. Direct access patterns may change.',
-    pattern: /\bSELECT\s+.*\bFROM\s+(BSEG|KONV|CDPOS|RFBLG|BSET|CDCLS)\b/i,
-    patternType: 'source',
+    pattern: /^(BSEG|KONV|CDPOS|RFBLG|BSET|CDCLS)$/i,
+    patternType: 'statement',
+    statement: { kinds: ['select', 'open_cursor'], on: 'tables' },
     remediation: 'Review access to former cluster/pool tables. Indexes and access patterns may differ.',
     simplificationId: 'S4TWL-ABAP-030',
   },
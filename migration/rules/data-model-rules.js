@@ -170,8 +170,9 @@ module.exports = [
     severity: 'critical',
     title: 'BSEG accounting document line items replaced',
     description: 'BSEG (accounting document segment table) is replaced by ACDOCA in S/4HANA. BSEG exists only as a compatibility view with significant performance limitations. Aggregate queries on BSEG will be extremely slow.',
-    pattern: /\bBSEG\b/i,
-    patternType: 'source',
+    pattern: /^BSEG$/i,
+    patternType: 'statement',
+    statement: { on: 'tables' },
     remediation: 'Replace BSEG access with ACDOCA or CDS view I_JournalEntryItem. For line item reports use I_GLAccountLineItem.',
     simplificationId: 'S4TWL-DM-014',
   },
@@ -23,8 +23,9 @@ module.exports = [
     severity: 'critical',
     title: 'BSEG direct access removed',
     description: 'Table BSEG is replaced by ACDOCA (Universal Journal) in S/4HANA. Direct SELECT on BSEG will fail or return incomplete data.',
-    pattern: /\bBSEG\b/i,
-    patternType: 'source',
+    pattern: /^BSEG$/i,
+    patternType: 'statement',
+    statement: { on: 'tables' },
     remediation: 'Replace BSEG access with ACDOCA or CDS views I_JournalEntry / I_JournalEntryItem.',
     simplificationId: 'S4TWL-FI-001',
   },
@@ -34,8 +35,9 @@ module.exports = [
     severity: 'critical',
     title: 'Customer/Vendor line item tables removed',
     description: 'Tables BSID, BSIK, BSAD, BSAK (open/cleared items) are removed. Data consolidated in ACDOCA.',
-    pattern: /\b(BSID|BSIK|BSAD|BSAK)\b/i,
-    patternType: 'source',
+    pattern: /^(BSID|BSIK|BSAD|BSAK)$/i,
+    patternType: 'statement',
+    statement: { on: 'tables' },
     remediation: 'Use ACDOCA with appropriate filters or CDS views I_OperationalAcctgDocItem.',
     simplificationId: 'S4TWL-FI-002',
   },
@@ -56,8 +58,9 @@ module.exports = [
     severity: 'critical',
     title: 'BKPF header table restructured',
     description: 'BKPF is restructured in S/4HANA. Fields may be moved or removed. Direct access should use CDS views.',
-    pattern: /\bSELECT\s+.*\bFROM\s+BKPF\b/i,
-    patternType: 'source',
+    pattern: /^BKPF$/i,
+    patternType: 'statement',
+    statement: { kinds: ['select', 'open_cursor'], on: 'tables' },
     remediation: 'Use CDS view I_JournalEntry for document headers.',
     simplificationId: 'S4TWL-FI-004',
   },
@@ -12,9 +12,15 @@
  * Rule Registry - Aggregates all rule modules
  *
  * Backward-compatible: exports { RULES, getAllRules, getRulesBySeverity,
- * getRulesByCategory, checkSource, severityWeight, registry }
+ * getRulesByCategory, checkSource, severityWeight, registry, RuleRegistry,
+ * createRuleRegistry }
+ *
+ * createRuleRegistry() builds a separate registry with the built-in rules
+ * plus a client's rule packs (clients/<name>/rules/, see rule-packs.js);
+ * the shared registry above is never changed by client packs.
  */
 
+const path = require('path');
 const fiRules = require('./fi-rules');
 const coRules = require('./co-rules');
 const mmRules = require('./mm-rules');
@@ -36,11 +42,16 @@ const tmRules = require('./tm-rules');
 const gtsRules = require('./gts-rules');
 const plmRules = require('./plm-rules');
 const bwRules = require('./bw-rules');
+const { parseSource } = require('../abap-parser');
+const { loadRulePacks, createRulePack } = require('./rule-packs');
+const { RuleValidationError } = require('../../lib/errors');
 
 class RuleRegistry {
   constructor() {
     this._rules = [];
     this._byId = new Map();
+    this._packs = [];
+    this._disabled = new Map(); // rule id → { packId, reason }
   }
 
   register(rule) {
@@ -55,6 +66,70 @@ class RuleRegistry {
     }
   }
 
+  /**
+   * Apply a rule pack (createRulePack() result): register its rules, then
+   * apply its overrides to rules registered before it. Nothing changes when
+   * the pack redefines a registered rule or overrides an unknown one.
+   * @param {object} pack
+   */
+  registerPack(pack) {
+    if (this._packs.some((p) => p.packId === pack.packId)) {
+      throw new RuleValidationError(`Rule pack ${pack.packId} is already registered`, { packId: pack.packId });
+    }
+    const redefined = pack.rules.filter((r) => this._byId.has(r.id)).map((r) => r.id);
+    if (redefined.length > 0) {
+      throw new RuleValidationError(
+        `Rule pack ${pack.packId} redefines registered rule(s) ${redefined.join(', ')}; use overrides to change them`,
+        { packId: pack.packId, rules: redefined }
+      );
+    }
+    const unknown = pack.overrides.filter((o) => !this._byId.has(o.id)).map((o) => o.id);
+    if (unknown.length > 0) {
+      throw new RuleValidationError(
+        `Rule pack ${pack.packId} overrides unknown rule(s) ${unknown.join(', ')}`,
+        { packId: pack.packId, rules: unknown }
+      );
+    }
+
+    this.registerAll(pack.rules);
+    for (const override of pack.overrides) {
+      const rule = this._byId.get(override.id);
+      if (override.disabled) {
+        this._rules.splice(this._rules.indexOf(rule), 1);
+        this._byId.delete(rule.id);
+        this._disabled.set(rule.id, { packId: pack.packId, reason: override.reason || null });
+      } else if (override.severity && override.severity !== rule.severity) {
+        // Copy, so rule objects shared with other registries stay untouched
+        const changed = {
+          ...rule,
+          severity: override.severity,
+          override: { packId: pack.packId, previousSeverity: rule.severity, reason: override.reason || null },
+        };
+        this._rules[this._rules.indexOf(rule)] = changed;
+        this._byId.set(rule.id, changed);
+      }
+    }
+
+    const { packId, name, version, description, owner, file } = pack;
+    this._packs.push({ packId, name, version, description, owner, file });
+  }
+
+  /**
+   * Registered packs with the rules they currently contribute and change.
+   * @returns {object[]} [{ packId, name, version, description, owner, file, ruleCount, severityOverrides[], disabled[] }]
+   */
+  getPacks() {
+    return this._packs.map((p) => ({
+      ...p,
+      ruleCount: this._rules.filter((r) => r.pack === p.packId).length,
+      severityOverrides: this._rules.filter((r) => r.override && r.override.packId === p.packId).map((r) => r.id),
+      disabled: [...this._disabled].filter(([, d]) => d.packId === p.packId).map(([id]) => id),
+    }));
+  }
+
+  /** @returns {object|null} { packId, reason } if a pack disabled the rule */
+  getDisabled(id) { return this._disabled.get(id) || null; }
+
   getAll() { return this._rules; }
   getById(id) { return this._byId.get(id) || null; }
 
@@ -72,17 +147,30 @@ class RuleRegistry {
     return this._rules.filter((r) => r.id.toLowerCase().includes(lower));
   }
 
+  /**
+   * Check ABAP source and an object name against all rules.
+   *
+   * 'source' rules are regexes tested per statement (comments and free-text
+   * literals blanked, line breaks inside a statement collapsed), reported at
+   * the line where the match starts. 'statement' rules test their pattern
+   * against one property of parsed statements, optionally restricted to
+   * statement kinds: rule.statement = { kinds?: string[], on: 'tables' |
+   * 'typeRefs' | 'name' | 'text' }. 'objectName' rules test the name.
+   *
+   * @param {string} source
+   * @param {string} objectName
+   * @returns {object[]} [{ rule, matches: [{ line, column, content, kind?, value? }] }]
+   */
   checkSource(source, objectName) {
     const findings = [];
+    let parsed = null;
     for (const rule of this._rules) {
-      if (rule.patternType === 'source') {
-        const matches = [];
-        const lines = source.split('\n');
-        for (let i = 0; i < lines.length; i++) {
-          if (rule.pattern.test(lines[i])) {
-            matches.push({ line: i + 1, content: lines[i].trim() });
-          }
-        }
+      if (rule.patternType === 'source' || rule.patternType === 'statement') {
+        if (!source) continue;
+        parsed = parsed || parseSource(source);
+        const matches = rule.patternType === 'source'
+          ? sourceMatches(rule, parsed)
+          : statementMatches(rule, parsed);
         if (matches.length > 0) {
           findings.push({ rule, matches });
         }
@@ -99,29 +187,124 @@ class RuleRegistry {
   }
 }
 
+// ── Matching ──────────────────────────────────────────────────
+
+const globalPatterns = new WeakMap();
+
+/** Global copy of a rule regex, for finding every match in a statement */
+function globalPattern(pattern) {
+  if (!globalPatterns.has(pattern)) {
+    globalPatterns.set(pattern, new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`));
+  }
+  return globalPatterns.get(pattern);
+}
+
+/** Statement text with whitespace collapsed, and the source offset of each character */
+function segmentText(parsed, segment) {
+  if (segment.text === undefined) {
+    let text = '';
+    const offsets = [];
+    for (let i = segment.start; i < segment.end; i++) {
+      const ch = parsed.masked[i];
+      if (/\s/.test(ch)) {
+        if (text.length > 0 && text[text.length - 1] !== ' ') {
+          text += ' ';
+          offsets.push(i);
+        }
+      } else {
+        text += ch;
+        offsets.push(i);
+      }
+    }
+    segment.text = text;
+    segment.offsets = offsets;
+  }
+  return segment;
+}
+
+/** Regex matches per statement, at most one per line */
+function sourceMatches(rule, parsed) {
+  const matches = [];
+  const seen = new Set();
+  const re = globalPattern(rule.pattern);
+  for (const segment of parsed.segments) {
+    const { text, offsets } = segmentText(parsed, segment);
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      if (m[0].length === 0) re.lastIndex++;
+      const { line, column } = parsed.locate(offsets[Math.min(m.index, offsets.length - 1)]);
+      if (!seen.has(line)) {
+        seen.add(line);
+        matches.push({ line, column, content: parsed.lines[line - 1].trim() });
+      }
+    }
+  }
+  return matches;
+}
+
+/** Pattern matches against a parsed statement property */
+function statementMatches(rule, parsed) {
+  const { kinds, on = 'text' } = rule.statement || {};
+  const refType = { tables: 'table', typeRefs: 'type', name: 'name' }[on];
+  const matches = [];
+  for (const stmt of parsed.statements) {
+    if (kinds && !kinds.includes(stmt.kind)) continue;
+    if (on === 'text') {
+      if (rule.pattern.test(stmt.text)) {
+        matches.push({ line: stmt.line, column: stmt.column, content: parsed.lines[stmt.line - 1].trim(), kind: stmt.kind, value: stmt.text });
+      }
+      continue;
+    }
+    const ref = stmt.refs.find((r) => r.type === refType && rule.pattern.test(r.value));
+    if (ref) {
+      matches.push({ line: ref.line, column: ref.column, content: parsed.lines[ref.line - 1].trim(), kind: stmt.kind, value: ref.value });
+    }
+  }
+  return matches;
+}
+
+/** Register the built-in rule modules */
+function registerBuiltins(target) {
+  for (const rules of [
+    fiRules, coRules, mmRules, sdRules, bpRules, hrRules, ppRules, pmRules,
+    abapRules, enhancementRules, dataModelRules, removedRules, psRules, qmRules,
+    interfaceRules, configRules, ewmRules, tmRules, gtsRules, plmRules, bwRules,
+  ]) {
+    target.registerAll(rules);
+  }
+}
+
 // Build the global registry
 const registry = new RuleRegistry();
-registry.registerAll(fiRules);
-registry.registerAll(coRules);
-registry.registerAll(mmRules);
-registry.registerAll(sdRules);
-registry.registerAll(bpRules);
-registry.registerAll(hrRules);
-registry.registerAll(ppRules);
-registry.registerAll(pmRules);
-registry.registerAll(abapRules);
-registry.registerAll(enhancementRules);
-registry.registerAll(dataModelRules);
-registry.registerAll(removedRules);
-registry.registerAll(psRules);
-registry.registerAll(qmRules);
-registry.registerAll(interfaceRules);
-registry.registerAll(configRules);
-registry.registerAll(ewmRules);
-registry.registerAll(tmRules);
-registry.registerAll(gtsRules);
-registry.registerAll(plmRules);
-registry.registerAll(bwRules);
+registerBuiltins(registry);
+
+/**
+ * Build a registry with the built-in rules and client rule packs.
+ * Packs from each directory are applied in file name order.
+ *
+ * @param {object} [options]
+ * @param {string} [options.clientName] - Loads <baseDir>/<clientName>/rules/
+ * @param {string} [options.clientDir] - Explicit client directory (overrides clientName/baseDir)
+ * @param {string} [options.baseDir='clients'] - Directory holding client folders
+ * @param {string[]} [options.packDirs] - Further rule pack directories
+ * @param {object[]} [options.packs] - Pack objects, applied after the directories
+ * @returns {RuleRegistry}
+ */
+function createRuleRegistry(options = {}) {
+  const result = new RuleRegistry();
+  registerBuiltins(result);
+
+  const clientDir = options.clientDir
+    || (options.clientName ? path.join(options.baseDir || 'clients', options.clientName) : null);
+  const dirs = [...(clientDir ? [path.join(clientDir, 'rules')] : []), ...(options.packDirs || [])];
+  const packs = [
+    ...dirs.flatMap((dir) => loadRulePacks(dir)),
+    ...(options.packs || []).map((pack) => createRulePack(pack)),
+  ];
+  for (const pack of packs) result.registerPack(pack);
+  return result;
+}
 
 // Backward-compatible exports
 const RULES = registry.getAll();
@@ -149,4 +332,6 @@ module.exports = {
   checkSource,
   severityWeight,
   registry,
+  RuleRegistry,
+  createRuleRegistry,
 };
@@ -0,0 +1,168 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Client Rule Packs
+ *
+ * Client-specific checks — naming conventions, banned APIs — live as rule
+ * packs under clients/<name>/rules/: JSON files, or JS modules exporting the
+ * same shape, where patterns may be RegExp literals. A pack adds its own
+ * rules and can override rules registered before it (built-in rules or
+ * earlier packs) by id: a different severity, or disabled: true.
+ *
+ * Packs are validated against rule-pack.schema.json and their patterns
+ * compiled here; RuleRegistry.registerPack() applies them. Pack rules carry
+ * pack: packId, so findings can be traced back to the pack that produced them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RuleValidationError } = require('../../lib/errors');
+const { validateSchema } = require('../../lib/json-schema');
+const RULE_PACK_SCHEMA = require('./rule-pack.schema.json');
+
+const PACK_EXTENSIONS = ['.json', '.js'];
+
+/** Pack metadata reported for the built-in rules */
+const BUILTIN_PACK = Object.freeze({
+  packId: 'BUILTIN',
+  name: 'S/4HANA Simplification Rules',
+  version: null,
+});
+
+/**
+ * Validate a rule pack against the schema and compile its patterns.
+ * @param {object} pack
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateRulePack(pack) {
+  const errors = validateSchema(withPatternSources(pack), RULE_PACK_SCHEMA, { label: 'pack' });
+  if (errors.length > 0) return { valid: false, errors };
+
+  const ids = new Set();
+  (pack.rules || []).forEach((rule, i) => {
+    if (ids.has(rule.id)) errors.push(`rules[${i}]: duplicate rule id ${rule.id}`);
+    ids.add(rule.id);
+    try {
+      compilePattern(rule);
+    } catch (err) {
+      errors.push(`rules[${i}].pattern: ${err.message}`);
+    }
+    if (rule.statement && rule.patternType !== 'statement') {
+      errors.push(`rules[${i}]: statement is only used with patternType 'statement'`);
+    }
+  });
+  (pack.overrides || []).forEach((override, i) => {
+    if (override.severity === undefined && override.disabled === undefined) {
+      errors.push(`overrides[${i}]: needs severity or disabled`);
+    }
+    if (ids.has(override.id)) {
+      errors.push(`overrides[${i}]: ${override.id} is defined in this pack`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a pack and build the rules it registers.
+ * @param {object} raw - Pack as read from the file
+ * @param {object} [meta] - { file } the pack was read from
+ * @returns {object} { packId, name, version, description, owner, file, rules[], overrides[] }
+ */
+function createRulePack(raw, meta = {}) {
+  const check = validateRulePack(raw);
+  if (!check.valid) {
+    const where = meta.file ? ` (${path.basename(meta.file)})` : '';
+    throw new RuleValidationError(
+      `Invalid rule pack ${raw && raw.packId ? raw.packId : ''}${where}: ${check.errors.join('; ')}`,
+      { file: meta.file || null, errors: check.errors }
+    );
+  }
+
+  return {
+    packId: raw.packId,
+    name: raw.name,
+    version: raw.version || null,
+    description: raw.description || '',
+    owner: raw.owner || null,
+    file: meta.file || null,
+    rules: (raw.rules || []).map((rule) => {
+      const compiled = { ...rule, pattern: compilePattern(rule), pack: raw.packId };
+      delete compiled.flags;
+      return compiled;
+    }),
+    overrides: (raw.overrides || []).map((o) => ({ ...o })),
+  };
+}
+
+/**
+ * Read a JSON or JS rule pack file.
+ * @param {string} file
+ * @returns {object}
+ */
+function readRulePackFile(file) {
+  try {
+    if (path.extname(file).toLowerCase() === '.js') {
+      return require(path.resolve(file));
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new RuleValidationError(`Cannot load rule pack ${path.basename(file)}: ${err.message}`, { file });
+  }
+}
+
+/**
+ * List rule pack files in a directory (sorted; none if it does not exist).
+ * @param {string} dir
+ * @returns {string[]} Absolute file paths
+ */
+function listRulePackFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => PACK_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+    .sort()
+    .map((f) => path.resolve(dir, f));
+}
+
+/**
+ * Read and validate every rule pack in a directory.
+ * @param {string} dir
+ * @returns {object[]} createRulePack() results, in file name order
+ */
+function loadRulePacks(dir) {
+  return listRulePackFiles(dir).map((file) => createRulePack(readRulePackFile(file), { file }));
+}
+
+/** @private — RegExp patterns (JS packs) as source + flags, for schema validation */
+function withPatternSources(pack) {
+  if (!pack || !Array.isArray(pack.rules)) return pack;
+  return {
+    ...pack,
+    rules: pack.rules.map((rule) => (rule && rule.pattern instanceof RegExp
+      ? { ...rule, pattern: rule.pattern.source, flags: rule.pattern.flags }
+      : rule)),
+  };
+}
+
+/** @private */
+function compilePattern(rule) {
+  return rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern, rule.flags || '');
+}
+
+module.exports = {
+  validateRulePack,
+  createRulePack,
+  readRulePackFile,
+  listRulePackFiles,
+  loadRulePacks,
+  BUILTIN_PACK,
+  RULE_PACK_SCHEMA,
+};
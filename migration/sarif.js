@@ -0,0 +1,229 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * SARIF 2.1.0 Export
+ *
+ * Writes custom code assessment findings as a SARIF log, so results can be
+ * loaded into code-scanning viewers and compared across runs. The log holds
+ * one run for the simplification rules (Analyzer.analyze() output) and, when
+ * given, one for ATC findings (AtcClient.runCheck() output).
+ *
+ * ABAP objects are not files, so each object maps to an abapGit-style
+ * artifact path (zcl_foo.clas.abap) relative to the SRCROOT base id, and is
+ * also named as a logical location. Results carry the Analyzer's finding
+ * fingerprints as partialFingerprints; suppressed findings are included with
+ * an external suppression, and baselineState is set when the analysis was
+ * compared with a baseline.
+ */
+
+const crypto = require('crypto');
+const pkg = require('../package.json');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const FINGERPRINT_KEY = 'senFindingHash/v1';
+
+/** Default helpUri for rules with a simplification item id */
+const DEFAULT_HELP_URI_TEMPLATE = 'urn:sap:simplification-item:{id}';
+
+const SEVERITY_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+const ATC_PRIORITY_LEVELS = { 1: 'error', 2: 'warning', 3: 'note' };
+
+/**
+ * Build a SARIF log.
+ * @param {object} analysis - Analyzer.analyze() result
+ * @param {object} [options]
+ * @param {object} [options.atcData] - AtcClient.runCheck() result
+ * @param {string} [options.sourceRoot] - URI the artifact paths are relative to (SRCROOT)
+ * @param {string} [options.helpUriTemplate] - '{id}' is replaced by the simplification item id
+ * @param {function} [options.artifactUri] - (objectName, objectType) => relative path
+ * @returns {object} SARIF log
+ */
+function buildSarifLog(analysis, options = {}) {
+  const runs = [buildAnalysisRun(analysis, options)];
+  if (options.atcData) {
+    // ATC findings name the object only; take its type from the scan
+    const types = new Map();
+    for (const o of [...(analysis.objectSummary || []), ...analysis.findings]) {
+      types.set(o.name || o.object, o.type || o.objectType);
+    }
+    runs.push(buildAtcRun(options.atcData, types, options));
+  }
+  return { $schema: SARIF_SCHEMA, version: SARIF_VERSION, runs };
+}
+
+/**
+ * abapGit-style file name of an object, e.g. zcl_foo.clas.abap; namespace
+ * slashes become '#'.
+ * @param {string} objectName
+ * @param {string} [objectType]
+ * @returns {string}
+ */
+function artifactPath(objectName, objectType) {
+  const name = objectName.toLowerCase().replace(/\//g, '#');
+  return `${name}.${(objectType || 'prog').toLowerCase()}.abap`;
+}
+
+// ── Simplification rule findings ─────────────────────────────────────
+
+function buildAnalysisRun(analysis, options) {
+  const findings = [...analysis.findings, ...(analysis.suppressedFindings || [])];
+  const rules = [];
+  const ruleIndex = new Map();
+  for (const f of findings) {
+    if (ruleIndex.has(f.ruleId)) continue;
+    ruleIndex.set(f.ruleId, rules.length);
+    rules.push(ruleDescriptor(f, options));
+  }
+
+  const results = [];
+  for (const f of findings) {
+    for (const m of f.matches) {
+      const result = {
+        ruleId: f.ruleId,
+        ruleIndex: ruleIndex.get(f.ruleId),
+        level: SEVERITY_LEVELS[f.severity] || 'warning',
+        message: { text: m.line > 0 ? `${f.title}: ${m.content}` : `${f.title} (${f.object})` },
+        locations: [location(f.object, f.objectType, m, options)],
+      };
+      if (m.fingerprint) result.partialFingerprints = { [FINGERPRINT_KEY]: m.fingerprint };
+      if (analysis.baseline && m.baselineStatus) {
+        result.baselineState = m.baselineStatus === 'new' ? 'new' : 'unchanged';
+      }
+      if (f.suppression) {
+        result.suppressions = [{
+          kind: 'external',
+          status: 'accepted',
+          justification: f.suppression.justification,
+          properties: { id: f.suppression.id, approver: f.suppression.approver, expires: f.suppression.expires },
+        }];
+      }
+      results.push(result);
+    }
+  }
+
+  return {
+    tool: { driver: driver('SEN S/4HANA Readiness', rules) },
+    ...originalUriBaseIds(options),
+    results,
+    properties: {
+      readinessScore: analysis.summary.readinessScore,
+      readinessGrade: analysis.summary.readinessGrade,
+      rulesChecked: analysis.rulesChecked,
+    },
+  };
+}
+
+function ruleDescriptor(finding, options) {
+  const rule = {
+    id: finding.ruleId,
+    shortDescription: { text: finding.title },
+    fullDescription: { text: finding.description || finding.title },
+    defaultConfiguration: { level: SEVERITY_LEVELS[finding.severity] || 'warning' },
+    properties: {
+      category: finding.category,
+      severity: finding.severity,
+      tags: [finding.category],
+    },
+  };
+  if (finding.remediation) {
+    rule.help = { text: finding.remediation, markdown: `**Remediation:** ${finding.remediation}` };
+  }
+  if (finding.simplificationId) {
+    const template = options.helpUriTemplate || DEFAULT_HELP_URI_TEMPLATE;
+    rule.helpUri = template.replace('{id}', encodeURIComponent(finding.simplificationId));
+    rule.properties.simplificationId = finding.simplificationId;
+  }
+  if (finding.rulePack) rule.properties.rulePack = finding.rulePack;
+  return rule;
+}
+
+// ── ATC findings ─────────────────────────────────────────────────────
+
+function buildAtcRun(atcData, types, options) {
+  const rules = [];
+  const ruleIndex = new Map();
+  const seen = new Map();
+  const results = [];
+
+  for (const f of atcData.findings) {
+    if (!ruleIndex.has(f.checkId)) {
+      ruleIndex.set(f.checkId, rules.length);
+      rules.push({ id: f.checkId, shortDescription: { text: f.checkId } });
+    }
+    // Line numbers stay out of the fingerprint, as for the simplification rules
+    const key = `${f.checkId}\n${f.object}\n${f.messageTitle}`;
+    const ordinal = (seen.get(key) || 0) + 1;
+    seen.set(key, ordinal);
+    results.push({
+      ruleId: f.checkId,
+      ruleIndex: ruleIndex.get(f.checkId),
+      level: ATC_PRIORITY_LEVELS[f.priority] || 'note',
+      message: { text: f.messageTitle },
+      locations: [location(f.object, types.get(f.object), f, options)],
+      partialFingerprints: {
+        [FINGERPRINT_KEY]: crypto.createHash('sha256').update(`${key}\n${ordinal}`).digest('hex').slice(0, 20),
+      },
+      properties: { priority: f.priority },
+    });
+  }
+
+  return {
+    tool: { driver: driver('ABAP Test Cockpit', rules) },
+    ...originalUriBaseIds(options),
+    results,
+    properties: { checkVariant: atcData.summary.checkVariant },
+  };
+}
+
+// ── Shared ───────────────────────────────────────────────────────────
+
+function driver(name, rules) {
+  return {
+    name,
+    organization: 'SEN',
+    semanticVersion: pkg.version,
+    informationUri: pkg.homepage,
+    rules,
+  };
+}
+
+function originalUriBaseIds(options) {
+  if (!options.sourceRoot) return {};
+  const uri = options.sourceRoot.endsWith('/') ? options.sourceRoot : `${options.sourceRoot}/`;
+  return { originalUriBaseIds: { SRCROOT: { uri } } };
+}
+
+/**
+ * @param {string} objectName
+ * @param {string} objectType
+ * @param {object} pos - { line, column, content } (line 0 = no source position)
+ */
+function location(objectName, objectType, pos, options) {
+  const uri = (options.artifactUri || artifactPath)(objectName, objectType);
+  const physicalLocation = { artifactLocation: { uri, uriBaseId: 'SRCROOT' } };
+  if (pos.line > 0) {
+    physicalLocation.region = { startLine: pos.line };
+    if (pos.column > 0) physicalLocation.region.startColumn = pos.column;
+    if (pos.content) physicalLocation.region.snippet = { text: pos.content };
+  }
+  const logical = { name: objectName, kind: 'module' };
+  if (objectType) logical.fullyQualifiedName = `${objectType}/${objectName}`;
+  return { physicalLocation, logicalLocations: [logical] };
+}
+
+module.exports = {
+  buildSarifLog,
+  artifactPath,
+  SARIF_VERSION,
+  SARIF_SCHEMA,
+  FINGERPRINT_KEY,
+};
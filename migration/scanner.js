@@ -43,7 +43,8 @@ class Scanner {
 
   /**
    * Full scan: discover all custom objects and read their source
-   * @returns {object} { packages, objects, sources, stats }
+   * @returns {object} { packages, objects, sources, stats }, plus entryPoints
+   *   (transactions / jobs starting custom programs) in mock mode
    */
   async scan() {
     this._log('Starting custom code scan...');
@@ -139,6 +140,7 @@ class Scanner {
       objects: data.objects,
       sources: data.sources,
       stats: data.stats,
+      entryPoints: data.entryPoints || [],
     };
   }
 }
@@ -0,0 +1,239 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Source Edits and Unified Diffs
+ *
+ * Remediation transforms describe their changes as span edits against the
+ * original source — { start, end, text } with end exclusive, start === end
+ * for an insertion — so edits from different transforms can be checked for
+ * overlap before any of them is applied.
+ *
+ * Two edits conflict when their replaced ranges intersect, or when one
+ * inserts strictly inside the range the other replaces. Insertions at the
+ * same point, or at the edge of a replaced range, do not conflict.
+ */
+
+/**
+ * Apply non-conflicting edits to a source.
+ * @param {string} source
+ * @param {object[]} edits - [{ start, end, text }] relative to source
+ * @returns {string}
+ */
+function applyEdits(source, edits) {
+  const sorted = edits
+    .map((e, i) => ({ ...e, i }))
+    .sort((a, b) => a.start - b.start || a.end - b.end || a.i - b.i);
+  let out = '';
+  let pos = 0;
+  for (const e of sorted) {
+    out += source.slice(pos, e.start) + e.text;
+    pos = Math.max(pos, e.end);
+  }
+  return out + source.slice(pos);
+}
+
+/**
+ * @param {object} a - { start, end }
+ * @param {object} b - { start, end }
+ * @returns {boolean} Whether the two edits touch the same text
+ */
+function editsOverlap(a, b) {
+  if (a.start === a.end && b.start === b.end) return false;
+  if (a.start === a.end) return b.start < a.start && a.start < b.end;
+  if (b.start === b.end) return a.start < b.start && b.start < a.end;
+  return a.start < b.end && b.start < a.end;
+}
+
+/** @returns {boolean} Whether two edits make the identical change */
+function sameEdit(a, b) {
+  return a.start === b.start && a.end === b.end && a.text === b.text;
+}
+
+// ── Line diff ────────────────────────────────────────────────────────
+
+/**
+ * Line-level diff (Myers) between two sources.
+ * @param {string[]} a - Lines before
+ * @param {string[]} b - Lines after
+ * @returns {object[]} [{ op: 'equal' | 'delete' | 'insert', a, b }] — a / b are line indexes
+ */
+function diffLines(a, b) {
+  // Common prefix and suffix never take part in the search
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head
+    && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const n = a.length - head - tail;
+  const m = b.length - head - tail;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = max === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[head + x] === b[head + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace back from (n, m)
+  const middle = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      middle.push({ op: 'equal', a: head + --x, b: head + --y });
+    }
+    if (d > 0) {
+      if (x === prevX) middle.push({ op: 'insert', a: head + x, b: head + --y });
+      else middle.push({ op: 'delete', a: head + --x, b: head + y });
+    }
+  }
+  while (x > 0 && y > 0) middle.push({ op: 'equal', a: head + --x, b: head + --y });
+
+  const ops = [];
+  for (let i = 0; i < head; i++) ops.push({ op: 'equal', a: i, b: i });
+  ops.push(...middle.reverse());
+  for (let i = 0; i < tail; i++) {
+    ops.push({ op: 'equal', a: a.length - tail + i, b: b.length - tail + i });
+  }
+  return ops;
+}
+
+/**
+ * Unified diff of two sources.
+ * @param {string} name - Object name used in the --- / +++ headers
+ * @param {string} before
+ * @param {string} after
+ * @param {object} [options] - { context: lines of context around changes (default 3) }
+ * @returns {string} Empty string when the sources are equal
+ */
+function unifiedDiff(name, before, after, options = {}) {
+  if (before === after) return '';
+  const context = options.context === undefined ? 3 : options.context;
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const ops = diffLines(a, b);
+
+  // Group changes that are within 2 * context lines of each other into hunks
+  const hunks = [];
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].op === 'equal') {
+      i++;
+      continue;
+    }
+    const from = Math.max(0, i - context);
+    let to = i;
+    let equalRun = 0;
+    for (let j = i; j < ops.length; j++) {
+      if (ops[j].op === 'equal') {
+        equalRun++;
+        if (equalRun > 2 * context) break;
+      } else {
+        equalRun = 0;
+        to = j;
+      }
+    }
+    const end = Math.min(ops.length, to + context + 1);
+    hunks.push(ops.slice(from, end));
+    i = end;
+  }
+
+  const lines = [`--- a/${name}`, `+++ b/${name}`];
+  for (const hunk of hunks) {
+    const aLines = hunk.filter((o) => o.op !== 'insert');
+    const bLines = hunk.filter((o) => o.op !== 'delete');
+    const aStart = aLines.length > 0 ? aLines[0].a + 1 : hunk[0].a;
+    const bStart = bLines.length > 0 ? bLines[0].b + 1 : hunk[0].b;
+    lines.push(`@@ -${aStart},${aLines.length} +${bStart},${bLines.length} @@`);
+    for (const o of hunk) {
+      if (o.op === 'equal') lines.push(` ${a[o.a]}`);
+      else if (o.op === 'delete') lines.push(`-${a[o.a]}`);
+      else lines.push(`+${b[o.b]}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Express a rewrite as whole-line edits against the original source.
+ * Used for transforms that return a rewritten string instead of edits.
+ * @param {string} before
+ * @param {string} after
+ * @returns {object[]} [{ start, end, text }]
+ */
+function lineEdits(before, after) {
+  if (before === after) return [];
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const starts = [0];
+  for (let i = 0; i < a.length - 1; i++) starts.push(starts[i] + a[i].length + 1);
+
+  const edits = [];
+  const ops = diffLines(a, b);
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].op === 'equal') {
+      k++;
+      continue;
+    }
+    const first = ops[k].a;
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].op !== 'equal') {
+      if (ops[k].op === 'delete') removed.push(ops[k].a);
+      else added.push(b[ops[k].b]);
+      k++;
+    }
+    const lastRemoved = removed.length > 0 ? removed[removed.length - 1] : first - 1;
+    if (lastRemoved + 1 < a.length) {
+      // Replace whole lines including their line breaks
+      edits.push({ start: starts[first], end: starts[lastRemoved + 1], text: added.map((l) => `${l}\n`).join('') });
+    } else if (first === 0) {
+      edits.push({ start: 0, end: before.length, text: added.join('\n') });
+    } else {
+      // Change reaches the last line: take the preceding line break along
+      const start = first === a.length ? before.length : starts[first] - 1;
+      edits.push({ start, end: before.length, text: added.map((l) => `\n${l}`).join('') });
+    }
+  }
+  return edits;
+}
+
+module.exports = {
+  applyEdits,
+  editsOverlap,
+  sameEdit,
+  diffLines,
+  unifiedDiff,
+  lineEdits,
+};
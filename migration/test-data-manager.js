@@ -0,0 +1,558 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Test Data Manager
+ *
+ * Supplies the concrete data generated test scenarios run against. Pools of
+ * customers, vendors, materials and open sales orders are built from the
+ * records migration objects extracted (run() results), and each scenario
+ * gets a data set drawn from them: process scenarios by what their module's
+ * flows need, comparison and regression scenarios a sample of their
+ * object's records to spot-check. When a pool runs short, records are
+ * synthesized and flagged so test setup creates them first.
+ *
+ * Sensitive fields (names, addresses, phone numbers, e-mail, birth dates,
+ * pay, tax and bank identifiers) are masked as the pools are built, so only
+ * masked records are kept. Object samples can come from any object, so
+ * they are masked the other way round: only the fields SAMPLE_FIELDS lists
+ * for the object (keys and organizational codes) are kept as extracted.
+ * Masking is a keyed hash: the same source value gets the same
+ * masked value in every pool. The key (salt) is never written to the data
+ * file — anyone holding it could confirm guessed source values — so it
+ * comes from options.salt or TEST_DATA_MASKING_KEY; without one a random
+ * key is used and masked values differ between processes. Business keys
+ * (KUNNR, MATNR, VBELN) are kept, since tests must find the records in the
+ * target.
+ *
+ * Every allocation for a run is recorded (run, scenario, pool, key). Open
+ * orders are consumed — a test that delivers or returns an order changes
+ * it — so each is handed out once per test cycle; master data is reused.
+ * reset() starts the next cycle (or releases one run's data for a rerun),
+ * regenerate() rebuilds the pools under a new key.
+ *
+ * State is kept per client in clients/<name>/test-data.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../lib/logger');
+const { TestingError } = require('../lib/errors');
+
+const DATA_FILE = 'test-data.json';
+const DATA_VERSION = 1;
+const DEFAULT_SAMPLE_SIZE = 5;
+
+const isBlank = (v) => v === undefined || v === null || v === '';
+const active = (r) => isBlank(r.LOEVM) && isBlank(r.SPERR);
+
+/**
+ * Pools built from extracted records.
+ * variable: TestExecutor variable name for the first record's key
+ * consumable: handed out once per test cycle
+ */
+const POOLS = {
+  customers: {
+    objectId: 'BUSINESS_PARTNER',
+    key: 'KUNNR',
+    variable: 'customer',
+    filter: (r) => !isBlank(r.KUNNR) && active(r),
+    synthesize: (key) => ({ KUNNR: key, PARTNER: key, TYPE: 'ORG', NAME1: `Test Customer ${key}`, KTOKD: 'D', LAND1: 'US' }),
+  },
+  vendors: {
+    objectId: 'BUSINESS_PARTNER',
+    key: 'LIFNR',
+    variable: 'vendor',
+    filter: (r) => !isBlank(r.LIFNR) && active(r),
+    synthesize: (key) => ({ LIFNR: key, PARTNER: key, TYPE: 'ORG', NAME1: `Test Vendor ${key}`, KTOKD: 'K', LAND1: 'US' }),
+  },
+  materials: {
+    objectId: 'MATERIAL_MASTER',
+    key: 'MATNR',
+    variable: 'material',
+    filter: (r) => !isBlank(r.MATNR) && isBlank(r.LVORM),
+    synthesize: (key) => ({ MATNR: key, MTART: 'FERT', MEINS: 'EA', WERKS: '1000', LGORT: '0001' }),
+  },
+  openOrders: {
+    objectId: 'SALES_ORDER',
+    key: 'VBELN',
+    variable: 'openOrder',
+    consumable: true,
+    // Item-level extract: one record per order, open unless rejected or completed
+    group: true,
+    filter: (r) => !isBlank(r.VBELN) && isBlank(r.ABGRU) && r.GBSTK !== 'C',
+    synthesize: (key) => ({ VBELN: key, AUART: 'OR', VKORG: '1000', VTWEG: '10', SPART: '00', items: [] }),
+  },
+};
+
+/** What process scenarios need, by module; PROCESS_REQUIREMENTS overrides per process */
+const MODULE_REQUIREMENTS = {
+  SD: { customers: 1, materials: 2 },
+  MM: { vendors: 1, materials: 2 },
+  PP: { materials: 1 },
+  QM: { materials: 1 },
+  EWM: { materials: 1 },
+  PLM: { materials: 1 },
+};
+
+const PROCESS_REQUIREMENTS = {
+  'PROC-FI-002': { customers: 1 },
+  'PROC-FI-003': { customers: 1 },
+  'PROC-FI-004': { vendors: 1 },
+  'PROC-FI-009': { customers: 2 },
+  'PROC-MM-002': { materials: 1 },
+  'PROC-MM-003': { materials: 2 },
+  'PROC-SD-002': { customers: 1, openOrders: 1 },
+  'PROC-SD-003': { customers: 1 },
+  'PROC-TM-001': { customers: 1, openOrders: 1 },
+  'PROC-GTS-001': { customers: 1, materials: 1 },
+  'PROC-INT-001': { vendors: 1 },
+  'PROC-INT-002': { customers: 1, materials: 1 },
+};
+
+/** Sensitive fields and how they are masked; options.masking overrides (false keeps a field) */
+const DEFAULT_MASKING = {
+  NAME1: 'name', NAME2: 'name', NAME3: 'name', NAME4: 'name', KOINH: 'name', NAME_FIRST: 'name', NAME_LAST: 'name',
+  NACHN: 'name', VORNA: 'name', MIDNM: 'preserve', SORTL: 'preserve', MCOD1: 'name', MCOD2: 'name', MCOD3: 'name',
+  STRAS: 'street', HAUSNR: 'preserve', PFACH: 'preserve', ORT01: 'preserve', ORT02: 'preserve', PSTLZ: 'preserve',
+  TELF1: 'preserve', TELF2: 'preserve', TELFX: 'preserve', TELF1_V: 'preserve', TELNR: 'preserve',
+  SMTP_ADDR: 'email', EMAIL: 'email', USRID: 'preserve',
+  GBDAT: 'preserve', BETRAG: 'preserve',
+  STCEG: 'preserve', STCD1: 'preserve', STCD2: 'preserve',
+  BANKN: 'preserve', IBAN: 'preserve',
+  BSTNK: 'preserve',
+};
+
+/**
+ * Fields object samples keep as extracted ('*': every object); all others
+ * are masked, with their DEFAULT_MASKING strategy or 'preserve'.
+ * options.sampleFields overrides per object.
+ */
+const SAMPLE_FIELDS = {
+  '*': ['MANDT', 'BUKRS', 'WERKS', 'LGORT', 'VKORG', 'VTWEG', 'SPART', 'EKORG', 'KOKRS', 'LAND1', 'SPRAS', 'WAERS',
+    'ERDAT', 'AEDAT', 'LOEVM', 'LVORM', 'SPERR'],
+  BUSINESS_PARTNER: ['PARTNER', 'KUNNR', 'LIFNR', 'TYPE', 'KTOKD', 'BRSCH', 'REGIO', 'STKZN', 'KONZS'],
+  EMPLOYEE_MASTER: ['PERNR', 'BEGDA', 'ENDDA', 'BTRTL', 'PERSG', 'PERSK', 'PLANS', 'STELL', 'ORGEH', 'KOSTL', 'PRCTR',
+    'ABKRS', 'LGART'],
+  MATERIAL_MASTER: ['MATNR', 'MTART', 'MBRSH', 'MATKL', 'MEINS', 'MAKTX', 'BRGEW', 'NTGEW', 'GEWEI', 'VOLUM', 'VOLEH',
+    'DISMM', 'DISPO', 'BESKZ', 'SOBSL', 'EKGRP', 'PLIFZ', 'XCHPF', 'MINBE', 'EISBE', 'LABST'],
+  SALES_ORDER: ['VBELN', 'POSNR', 'AUART', 'AUDAT', 'VDATU', 'VKBUR', 'VKGRP', 'KUNNR', 'KUNWE', 'KUNRE', 'KUNRG',
+    'MATNR', 'PSTYV', 'KWMENG', 'VRKME', 'KMEIN', 'NETPR', 'NETWR', 'NETWR_I', 'WAERK', 'VSTEL', 'ROUTE', 'INCO1',
+    'ZTERM', 'MWSKZ', 'KALSM', 'PRCTR', 'KOSTL'],
+};
+
+const DIGITS = '0123456789';
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Mask one value.
+ * @param {*} value
+ * @param {string} strategy - 'name', 'street', 'email' or 'preserve' (same
+ *   length and character classes, e.g. phone numbers and IBANs keep their format)
+ * @param {string} salt
+ * @returns {*} Masked value; blank values are returned unchanged
+ */
+function maskValue(value, strategy, salt) {
+  if (isBlank(value)) return value;
+  const text = String(value);
+  const digest = crypto.createHmac('sha256', salt).update(`${strategy}:${text}`).digest();
+  const hex = digest.toString('hex');
+  switch (strategy) {
+    case 'name':
+      return `Masked ${hex.slice(0, 8).toUpperCase()}`;
+    case 'street':
+      return `${(digest.readUInt16BE(0) % 900) + 100} Test Street`;
+    case 'email':
+      return `user-${hex.slice(0, 10)}@example.com`;
+    case 'preserve': {
+      let i = 0;
+      return text.replace(/[0-9A-Za-z]/g, (ch) => {
+        const byte = digest[i++ % digest.length];
+        if (/[0-9]/.test(ch)) return DIGITS[byte % 10];
+        const letter = LETTERS[byte % 26];
+        return ch === ch.toLowerCase() ? letter.toLowerCase() : letter;
+      });
+    }
+    default:
+      throw new TestingError(`Unknown masking strategy '${strategy}'`, { strategy });
+  }
+}
+
+const randomSalt = () => crypto.randomBytes(16).toString('hex');
+
+class TestDataManager {
+  /**
+   * @param {object} [data] - Saved state (toJSON() output)
+   * @param {object} [options]
+   * @param {string} [options.file] - State file save() writes to
+   * @param {object} [options.masking] - { FIELD: strategy | false } over DEFAULT_MASKING
+   * @param {object} [options.sampleFields] - { objectId: [FIELD] } over SAMPLE_FIELDS
+   * @param {string} [options.salt] - Masking key, e.g. from a secret store
+   *   (default: TEST_DATA_MASKING_KEY, else random per instance)
+   * @param {number} [options.sampleSize=5] - Records per comparison/regression scenario
+   * @param {string} [options.logLevel]
+   */
+  constructor(data = {}, options = {}) {
+    if (data.version && data.version !== DATA_VERSION) {
+      throw new TestingError(`Unsupported test data version ${data.version}`, { version: data.version });
+    }
+    this.salt = options.salt || process.env.TEST_DATA_MASKING_KEY || randomSalt();
+    this.cycle = data.cycle || 1;
+    this.builtAt = data.builtAt || null;
+    this.pools = JSON.parse(JSON.stringify(data.pools || {}));
+    this.samples = JSON.parse(JSON.stringify(data.samples || {}));
+    this.consumption = (data.consumption || []).map((c) => ({ ...c }));
+    this.synthesized = data.synthesized || 0;
+    this.masking = { ...DEFAULT_MASKING, ...(options.masking || {}) };
+    this.sampleFields = { ...SAMPLE_FIELDS, ...(options.sampleFields || {}) };
+    this.sampleSize = options.sampleSize || DEFAULT_SAMPLE_SIZE;
+    this.file = options.file || null;
+    this.logger = new Logger('test-data', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * Load a client's test data; an empty manager when the client has none yet.
+   * @param {object} options - { clientName, clientDir, baseDir = 'clients', file, masking, sampleFields, salt, sampleSize, logLevel }
+   * @returns {TestDataManager}
+   */
+  static load(options = {}) {
+    const file = TestDataManager.dataFile(options);
+    const settings = {
+      masking: options.masking,
+      sampleFields: options.sampleFields,
+      salt: options.salt,
+      sampleSize: options.sampleSize,
+      logLevel: options.logLevel,
+      file,
+    };
+    if (!fs.existsSync(file)) return new TestDataManager({}, settings);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new TestingError(`Cannot read test data ${path.basename(file)}: ${err.message}`, { file });
+    }
+    return new TestDataManager(data, settings);
+  }
+
+  /**
+   * @param {object} options - { clientName, clientDir, baseDir = 'clients', file }
+   * @returns {string} Path of the client's test data file
+   */
+  static dataFile(options = {}) {
+    if (options.file) return options.file;
+    const clientDir = options.clientDir
+      || (options.clientName ? path.join(options.baseDir || 'clients', options.clientName) : null);
+    if (!clientDir) throw new TestingError('Test data requires clientName, clientDir or file');
+    return path.join(clientDir, DATA_FILE);
+  }
+
+  /**
+   * Build the pools and object samples from migration run results. Records
+   * consumed earlier in the cycle stay consumed.
+   * @param {object[]} migrationResults - run() results with phases.extract.records
+   * @param {object} [options] - { now }
+   * @returns {object} Pool sizes { customers, vendors, materials, openOrders }
+   */
+  build(migrationResults, options = {}) {
+    const byObject = {};
+    for (const result of migrationResults || []) {
+      const records = result && result.phases && result.phases.extract && result.phases.extract.records;
+      if (!result || !result.objectId || !Array.isArray(records)) continue;
+      byObject[result.objectId] = (byObject[result.objectId] || []).concat(records);
+    }
+
+    this.pools = {};
+    for (const [name, def] of Object.entries(POOLS)) {
+      const records = (byObject[def.objectId] || []).filter(def.filter);
+      this.pools[name] = this._poolEntries(records, def);
+    }
+
+    this.samples = {};
+    for (const [objectId, records] of Object.entries(byObject)) {
+      this.samples[objectId] = this._sample(records).map((r) => this.maskSample(objectId, r));
+    }
+
+    this.builtAt = (options.now || new Date()).toISOString();
+    const sizes = this.poolSizes();
+    this.logger.info(`Built test data pools: ${Object.entries(sizes).map(([k, n]) => `${n} ${k}`).join(', ')}`);
+    return sizes;
+  }
+
+  /** @returns {object} Records per pool */
+  poolSizes() {
+    const sizes = {};
+    for (const name of Object.keys(POOLS)) sizes[name] = (this.pools[name] || []).length;
+    return sizes;
+  }
+
+  /**
+   * Mask a record's sensitive fields.
+   * @param {object} record
+   * @returns {object} Masked copy
+   */
+  mask(record) {
+    const out = {};
+    for (const [field, value] of Object.entries(record)) {
+      const strategy = this.masking[field];
+      if (Array.isArray(value)) out[field] = value.map((v) => (v && typeof v === 'object' ? this.mask(v) : v));
+      else out[field] = strategy ? maskValue(value, strategy, this.salt) : value;
+    }
+    return out;
+  }
+
+  /**
+   * Mask every field of an object sample except the ones SAMPLE_FIELDS keeps
+   * for the object (and fields options.masking sets to false).
+   * @param {string} objectId
+   * @param {object} record
+   * @returns {object} Masked copy
+   */
+  maskSample(objectId, record) {
+    const kept = new Set([...(this.sampleFields['*'] || []), ...(this.sampleFields[objectId] || [])]);
+    const out = {};
+    for (const [field, value] of Object.entries(record)) {
+      if (Array.isArray(value)) {
+        out[field] = value.map((v) => (v && typeof v === 'object' ? this.maskSample(objectId, v) : v));
+      } else if (kept.has(field) || this.masking[field] === false) {
+        out[field] = value;
+      } else if (typeof value === 'number') {
+        out[field] = Number(maskValue(value, 'preserve', this.salt));
+      } else if (typeof value === 'string') {
+        out[field] = maskValue(value, this.masking[field] || 'preserve', this.salt);
+      } else {
+        out[field] = value;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * What a scenario needs from the pools. Comparison and regression
+   * scenarios need none; they get their object's samples.
+   * @param {object} scenario - TestScenarioEngine scenario
+   * @returns {object} { poolName: count }
+   */
+  requirementsFor(scenario) {
+    if (scenario.testDataRequirements) return scenario.testDataRequirements;
+    if (scenario.type !== 'process') return {};
+    return PROCESS_REQUIREMENTS[scenario.id] || MODULE_REQUIREMENTS[scenario.module] || {};
+  }
+
+  /**
+   * Select a data set for each scenario. With a runId the selection is
+   * recorded against the run and consumable records are used up for the
+   * cycle; without one it is a preview.
+   * @param {object[]|object} scenarios - Scenario list, or generateFromMigrationResults().scenarios
+   * @param {object} [options] - { runId, now }
+   * @returns {object} { scenarioId: { pools: { name: [{ key, synthetic, record }] }, samples: [record], variables } }
+   */
+  allocate(scenarios, options = {}) {
+    const list = Array.isArray(scenarios) ? scenarios : Object.values(scenarios || {}).flat();
+    const runId = options.runId || null;
+    const consumedAt = (options.now || new Date()).toISOString();
+    const taken = new Set(this._consumedKeys());
+    const cursor = {};
+    const dataSets = {};
+
+    for (const scenario of list) {
+      const pools = {};
+      for (const [name, count] of Object.entries(this.requirementsFor(scenario))) {
+        const def = POOLS[name];
+        if (!def) throw new TestingError(`Unknown test data pool '${name}'`, { scenario: scenario.id, pools: Object.keys(POOLS) });
+        pools[name] = [];
+        for (let i = 0; i < count; i++) {
+          const entry = def.consumable ? this._takeConsumable(name, taken) : this._takeReusable(name, cursor);
+          pools[name].push(entry);
+          if (runId) {
+            this.consumption.push({ runId, scenarioId: scenario.id, pool: name, key: entry.key, cycle: this.cycle, consumedAt });
+          }
+        }
+      }
+      const samples = scenario.objectId && this.samples[scenario.objectId] ? this.samples[scenario.objectId] : [];
+      if (Object.keys(pools).length === 0 && samples.length === 0) continue;
+      dataSets[scenario.id] = { pools, samples, variables: this.variablesFor(pools) };
+    }
+    return dataSets;
+  }
+
+  /**
+   * TestExecutor variables for a data set's pools: the first key under the
+   * pool's variable name ('customer') and all keys under the pool name.
+   * @param {object} pools - Data set pools
+   * @returns {object}
+   */
+  variablesFor(pools) {
+    const vars = {};
+    for (const [name, entries] of Object.entries(pools)) {
+      if (entries.length === 0) continue;
+      vars[POOLS[name].variable] = entries[0].key;
+      vars[name] = entries.map((e) => e.key);
+    }
+    return vars;
+  }
+
+  /**
+   * Allocations recorded for a run.
+   * @param {string} runId
+   * @returns {object[]} [{ runId, scenarioId, pool, key, cycle, consumedAt }]
+   */
+  consumedBy(runId) {
+    return this.consumption.filter((c) => c.runId === runId);
+  }
+
+  /**
+   * Pool usage in the current cycle.
+   * @returns {object} { cycle, pools: { name: { total, consumed, available, synthetic } }, runs }
+   */
+  usage() {
+    const consumed = new Set(this._consumedKeys());
+    const pools = {};
+    for (const [name, def] of Object.entries(POOLS)) {
+      const entries = this.pools[name] || [];
+      const used = def.consumable ? entries.filter((e) => consumed.has(`${name}:${e.key}`)).length : 0;
+      pools[name] = {
+        total: entries.length,
+        consumed: used,
+        available: entries.length - used,
+        synthetic: entries.filter((e) => e.synthetic).length,
+      };
+    }
+    const runs = [...new Set(this.consumption.filter((c) => c.cycle === this.cycle).map((c) => c.runId))];
+    return { cycle: this.cycle, pools, runs };
+  }
+
+  /**
+   * Make consumed data available again: with a runId only that run's
+   * allocations in the current cycle (e.g. before rerunning it), otherwise
+   * by starting the next test cycle. Allocation history is kept.
+   * @param {object} [options] - { runId }
+   * @returns {number} The current cycle
+   */
+  reset(options = {}) {
+    if (options.runId) {
+      const before = this.consumption.length;
+      this.consumption = this.consumption.filter((c) => !(c.runId === options.runId && c.cycle === this.cycle));
+      this.logger.info(`Released ${before - this.consumption.length} test data allocation(s) of run ${options.runId}`);
+    } else {
+      this.cycle += 1;
+      this.logger.info(`Started test data cycle ${this.cycle}`);
+    }
+    return this.cycle;
+  }
+
+  /**
+   * Rebuild the pools from fresh extracts under a new masking key and start
+   * the next cycle; synthetic records are dropped.
+   * @param {object[]} migrationResults
+   * @param {object} [options] - { now, salt: the new key (default: random) }
+   * @returns {object} Pool sizes
+   */
+  regenerate(migrationResults, options = {}) {
+    this.salt = options.salt || randomSalt();
+    this.synthesized = 0;
+    this.reset();
+    return this.build(migrationResults, options);
+  }
+
+  toJSON() {
+    return {
+      version: DATA_VERSION,
+      cycle: this.cycle,
+      builtAt: this.builtAt,
+      synthesized: this.synthesized,
+      pools: this.pools,
+      samples: this.samples,
+      consumption: this.consumption,
+    };
+  }
+
+  /**
+   * Write the pools and allocation history.
+   * @param {string} [file] - Defaults to the file it was loaded from
+   */
+  save(file = this.file) {
+    if (!file) throw new TestingError('No file to save the test data to');
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(this.toJSON(), null, 2)}\n`);
+    this.file = file;
+    this.logger.info(`Wrote test data (cycle ${this.cycle}, ${this.consumption.length} allocation(s)) to ${file}`);
+  }
+
+  /** @private Masked pool entries, one per key */
+  _poolEntries(records, def) {
+    const byKey = new Map();
+    for (const record of records) {
+      const key = String(record[def.key]);
+      if (!byKey.has(key)) {
+        byKey.set(key, def.group ? { ...record, items: [] } : record);
+      }
+      if (def.group) byKey.get(key).items.push({ POSNR: record.POSNR, MATNR: record.MATNR, KWMENG: record.KWMENG, VRKME: record.VRKME });
+    }
+    return [...byKey.entries()].map(([key, record]) => {
+      if (def.group) {
+        for (const field of ['POSNR', 'MATNR', 'KWMENG', 'VRKME', 'ARKTX', 'NETPR', 'NETWR_I']) delete record[field];
+      }
+      return { key, synthetic: false, record: this.mask(record) };
+    });
+  }
+
+  /** @private Evenly spaced records, so samples span the extract */
+  _sample(records) {
+    if (records.length <= this.sampleSize) return records.slice();
+    const step = records.length / this.sampleSize;
+    return Array.from({ length: this.sampleSize }, (_, i) => records[Math.floor(i * step)]);
+  }
+
+  /** @private Keys of consumable records used up in the current cycle */
+  _consumedKeys() {
+    return this.consumption
+      .filter((c) => c.cycle === this.cycle && POOLS[c.pool] && POOLS[c.pool].consumable)
+      .map((c) => `${c.pool}:${c.key}`);
+  }
+
+  /** @private */
+  _takeConsumable(name, taken) {
+    const pool = this.pools[name] || (this.pools[name] = []);
+    let entry = pool.find((e) => !taken.has(`${name}:${e.key}`));
+    if (!entry) entry = this._synthesize(name);
+    taken.add(`${name}:${entry.key}`);
+    return entry;
+  }
+
+  /** @private Round-robin over the pool, so scenarios get varied records */
+  _takeReusable(name, cursor) {
+    const pool = this.pools[name] || (this.pools[name] = []);
+    if (pool.length === 0) return this._synthesize(name);
+    const index = (cursor[name] || 0) % pool.length;
+    cursor[name] = index + 1;
+    return pool[index];
+  }
+
+  /** @private */
+  _synthesize(name) {
+    this.synthesized += 1;
+    const key = `TD${String(this.synthesized).padStart(6, '0')}`;
+    const entry = { key, synthetic: true, record: POOLS[name].synthesize(key) };
+    this.pools[name].push(entry);
+    this.logger.warn(`Pool ${name} exhausted; synthesized ${key} (create it in the target before the run)`);
+    return entry;
+  }
+}
+
+module.exports = {
+  TestDataManager,
+  maskValue,
+  POOLS,
+  DEFAULT_MASKING,
+  SAMPLE_FIELDS,
+  DATA_FILE,
+};
@@ -27,15 +27,19 @@ class TestScenarioEngine {
   constructor(options = {}) {
     this.logger = new Logger('test-engine', { level: options.verbose ? 'debug' : 'info' });
     this.modules = options.modules || null; // null = all
+    this.testData = options.testData || null; // TestDataManager
   }
 
   /**
    * Generate all test scenarios from a set of migration objects.
+   * With a TestDataManager (options.testData), its pools are built from the
+   * extracted records and each scenario gets its data set as scenario.testData.
    * @param {Array} migrationResults - Array of run() results from migration objects
    * @param {object} usageData - Optional transaction usage data (from UsageAnalyzer)
+   * @param {object} [options] - { runId } records the test data allocation against a run
    * @returns {object} Complete test suite
    */
-  generateFromMigrationResults(migrationResults, usageData = null) {
+  generateFromMigrationResults(migrationResults, usageData = null, options = {}) {
     this.logger.debug(`Generating tests from ${migrationResults.length} migration results`);
 
     const scenarios = {
@@ -61,6 +65,8 @@ class TestScenarioEngine {
       scenarios.performance.push(...this._generatePerformanceScenarios(usageData));
     }
 
+    if (this.testData) this._attachTestData(scenarios, migrationResults, options);
+
     const stats = {
       comparison: scenarios.comparison.length,
       process: scenarios.process.length,
@@ -69,12 +75,30 @@ class TestScenarioEngine {
       total: scenarios.comparison.length + scenarios.process.length +
              scenarios.regression.length + scenarios.performance.length,
     };
+    if (this.testData) {
+      stats.withTestData = Object.values(scenarios).flat().filter((s) => s.testData).length;
+    }
 
     this.logger.info(`Generated ${stats.total} test scenarios`);
 
     return { scenarios, stats };
   }
 
+  /**
+   * Build the test data pools from the extracted records and attach each
+   * scenario's data set.
+   */
+  _attachTestData(scenarios, migrationResults, options) {
+    const hasRecords = migrationResults.some((r) => r.phases && r.phases.extract && Array.isArray(r.phases.extract.records) && r.phases.extract.records.length > 0);
+    if (hasRecords) this.testData.build(migrationResults);
+    const dataSets = this.testData.allocate(scenarios, { runId: options.runId });
+    for (const list of Object.values(scenarios)) {
+      for (const scenario of list) {
+        if (dataSets[scenario.id]) scenario.testData = dataSets[scenario.id];
+      }
+    }
+  }
+
   /**
    * Generate comparison (reconciliation) scenarios from a migration result.
    */
@@ -12,239 +12,206 @@
  * Code Transform Functions for S/4HANA Custom Code Remediation
  *
  * Each transform is keyed by rule ID and accepts (source, finding) -> { source, changes[] }.
- * Pattern-based regex transforms that work without AI.
+ * Pattern-based transforms that work without AI.
+ *
+ * Statement-based transforms also expose edits(parsed, finding), which works
+ * on migration/abap-parser.js statements (so comments and literals are never
+ * rewritten) and returns span edits [{ start, end, text, change }] against
+ * the original source. The Remediator uses planEdits() to collect edits from
+ * every transform on the original source and detect overlaps; transforms
+ * with only apply() are adapted to whole-line edits.
  */
 
-const TRANSFORMS = {
-  // ── Finance: BSEG -> ACDOCA ──────────────────────────────────────
-  'SIMPL-FIN-001': {
-    id: 'SIMPL-FIN-001',
-    description: 'Replace BSEG access with ACDOCA / CDS views',
-    apply(source, finding) {
-      const changes = [];
-      let result = source;
-
-      // Replace SELECT * FROM bseg with ACDOCA CDS view
-      result = result.replace(
-        /SELECT\s+\*\s+FROM\s+bseg\b/gi,
-        (match) => {
-          changes.push({ type: 'replace', from: match, to: 'SELECT * FROM acdoca' });
-          return 'SELECT * FROM acdoca';
-        }
-      );
-
-      // Replace TYPE TABLE OF bseg
-      result = result.replace(
-        /TYPE\s+TABLE\s+OF\s+bseg\b/gi,
-        (match) => {
-          changes.push({ type: 'replace', from: match, to: 'TYPE TABLE OF acdoca' });
-          return 'TYPE TABLE OF acdoca';
-        }
-      );
+const { parseSource } = require('./abap-parser');
+const { applyEdits, lineEdits } = require('./source-edits');
 
-      // Replace TYPE bseg
-      result = result.replace(
-        /TYPE\s+bseg\b(?!\s+OCCURS)/gi,
-        (match) => {
-          changes.push({ type: 'replace', from: match, to: 'TYPE acdoca' });
-          return 'TYPE acdoca';
-        }
-      );
+// ── Statement-based edits ────────────────────────────────────────────
 
-      // Replace TABLES: bseg declarations
-      result = result.replace(
-        /\bTABLES:\s*(.*?)bseg\b/gi,
-        (match, prefix) => {
-          const replacement = `TABLES: ${prefix}acdoca`;
-          changes.push({ type: 'replace', from: match, to: replacement });
-          return replacement;
-        }
-      );
-
-      return { source: result, changes };
+/**
+ * Build a transform from an edits(parsed, finding) function; apply() is derived.
+ */
+function statementTransform(id, description, edits) {
+  return {
+    id,
+    description,
+    edits,
+    apply(source, finding) {
+      const planned = edits(parseSource(source), finding || {});
+      return { source: applyEdits(source, planned), changes: planned.map((e) => e.change) };
     },
-  },
+  };
+}
 
-  // ── Finance: BSID/BSIK/BSAD/BSAK -> ACDOCA ────────────────────
-  'SIMPL-FIN-002': {
-    id: 'SIMPL-FIN-002',
-    description: 'Replace customer/vendor line item tables with ACDOCA',
-    apply(source, finding) {
-      const changes = [];
-      let result = source;
-      const mapping = {
-        bsid: { table: 'acdoca', comment: '\" S/4: was BSID (customer open items)' },
-        bsik: { table: 'acdoca', comment: '\" S/4: was BSIK (vendor open items)' },
-        bsad: { table: 'acdoca', comment: '\" S/4: was BSAD (customer cleared items)' },
-        bsak: { table: 'acdoca', comment: '\" S/4: was BSAK (vendor cleared items)' },
-      };
-
-      for (const [old, { table }] of Object.entries(mapping)) {
-        const pattern = new RegExp(`\\bSELECT\\s+(.*?)\\s+FROM\\s+${old}\\b`, 'gi');
-        result = result.replace(pattern, (match, fields) => {
-          const replacement = `SELECT ${fields} FROM ${table}`;
-          changes.push({ type: 'replace', from: match, to: replacement });
-          return replacement;
-        });
+/**
+ * Rename table and type references.
+ * @param {object} parsed - parseSource() result
+ * @param {object} mapping - { OLD_NAME: 'new_name' } (keys upper case)
+ */
+function renameEdits(parsed, mapping) {
+  const edits = [];
+  const seen = new Set();
+  for (const stmt of parsed.statements) {
+    for (const ref of stmt.refs) {
+      const target = mapping[ref.value];
+      if (!target || (ref.type !== 'table' && ref.type !== 'type') || seen.has(ref.start)) continue;
+      seen.add(ref.start);
+      const from = parsed.source.slice(ref.start, ref.end);
+      edits.push({
+        start: ref.start,
+        end: ref.end,
+        text: target,
+        change: { type: 'replace', from, to: target },
+      });
+    }
+  }
+  return edits;
+}
 
-        const typePattern = new RegExp(`TYPE\\s+TABLE\\s+OF\\s+${old}\\b`, 'gi');
-        result = result.replace(typePattern, (match) => {
-          const replacement = `TYPE TABLE OF ${table}`;
-          changes.push({ type: 'replace', from: match, to: replacement });
-          return replacement;
-        });
-      }
+/**
+ * Insert a TODO comment line above each statement for which flag(stmt)
+ * returns { comment, change }.
+ */
+function flagEdits(parsed, flag) {
+  const edits = [];
+  const seen = new Set();
+  for (const stmt of parsed.statements) {
+    if (seen.has(stmt.start)) continue;
+    const result = flag(stmt);
+    if (!result) continue;
+    seen.add(stmt.start);
+    const lineStart = parsed.source.lastIndexOf('\n', stmt.start - 1) + 1;
+    const indent = /^[ \t]*/.exec(parsed.source.slice(lineStart))[0];
+    edits.push({
+      start: lineStart,
+      end: lineStart,
+      text: `${indent}" TODO(S/4): ${result.comment}\n`,
+      change: result.change,
+    });
+  }
+  return edits;
+}
 
-      return { source: result, changes };
-    },
-  },
+/**
+ * Plan a transform's edits against the original source.
+ * @param {object} transform - From getTransform()
+ * @param {string} source - Original source
+ * @param {object} finding
+ * @param {object} [parsed] - parseSource(source), shared across transforms
+ * @returns {{ edits: object[], changes: object[] }}
+ */
+function planEdits(transform, source, finding, parsed) {
+  if (transform.edits) {
+    const edits = transform.edits(parsed || parseSource(source), finding || {});
+    return { edits, changes: edits.map((e) => e.change) };
+  }
+  const result = transform.apply(source, finding || {});
+  return { edits: lineEdits(source, result.source), changes: result.changes };
+}
 
-  // ── Finance: BSIS/BSAS -> ACDOCA ────────────────────────────────
-  'SIMPL-FIN-003': {
-    id: 'SIMPL-FIN-003',
-    description: 'Replace GL line item tables with ACDOCA',
-    apply(source, finding) {
-      const changes = [];
-      let result = source;
+const TRANSFORMS = {
+  // ── Finance: BSEG -> ACDOCA ──────────────────────────────────────
+  'SIMPL-FIN-001': statementTransform(
+    'SIMPL-FIN-001',
+    'Replace BSEG access with ACDOCA / CDS views',
+    (parsed) => renameEdits(parsed, { BSEG: 'acdoca' })
+  ),
 
-      for (const old of ['bsis', 'bsas']) {
-        const pattern = new RegExp(`\\b${old}\\b`, 'gi');
-        result = result.replace(pattern, (match) => {
-          changes.push({ type: 'replace', from: match, to: 'acdoca' });
-          return 'acdoca';
-        });
-      }
+  // ── Finance: BSID/BSIK/BSAD/BSAK -> ACDOCA ────────────────────
+  'SIMPL-FIN-002': statementTransform(
+    'SIMPL-FIN-002',
+    'Replace customer/vendor line item tables with ACDOCA',
+    (parsed) => renameEdits(parsed, { BSID: 'acdoca', BSIK: 'acdoca', BSAD: 'acdoca', BSAK: 'acdoca' })
+  ),
 
-      return { source: result, changes };
-    },
-  },
+  // ── Finance: BSIS/BSAS -> ACDOCA ────────────────────────────────
+  'SIMPL-FIN-003': statementTransform(
+    'SIMPL-FIN-003',
+    'Replace GL line item tables with ACDOCA',
+    (parsed) => renameEdits(parsed, { BSIS: 'acdoca', BSAS: 'acdoca' })
+  ),
 
   // ── Finance: CSKA/CSKB -> SKA1 ──────────────────────────────────
-  'SIMPL-FIN-004': {
-    id: 'SIMPL-FIN-004',
-    description: 'Replace cost element tables with GL account master',
-    apply(source, finding) {
-      const changes = [];
-      let result = source;
-
-      result = result.replace(/\bCSKA\b/gi, (match) => {
-        changes.push({ type: 'replace', from: match, to: 'SKA1' });
-        return 'SKA1';
-      });
-      result = result.replace(/\bCSKB\b/gi, (match) => {
-        changes.push({ type: 'replace', from: match, to: 'SKB1' });
-        return 'SKB1';
-      });
-
-      return { source: result, changes };
-    },
-  },
+  'SIMPL-FIN-004': statementTransform(
+    'SIMPL-FIN-004',
+    'Replace cost element tables with GL account master',
+    (parsed) => renameEdits(parsed, { CSKA: 'SKA1', CSKB: 'SKB1' })
+  ),
 
   // ── Business Partner: KNA1 -> BUT000 ─────────────────────────────
-  'SIMPL-BP-001': {
-    id: 'SIMPL-BP-001',
-    description: 'Replace customer master tables with Business Partner',
-    apply(source, finding) {
-      const changes = [];
-      let result = source;
-      const mapping = { kna1: 'but000', knb1: 'but020', knvv: 'but050' };
-
-      for (const [old, replacement] of Object.entries(mapping)) {
-        const pattern = new RegExp(`\\b${old}\\b`, 'gi');
-        result = result.replace(pattern, (match) => {
-          changes.push({ type: 'replace', from: match, to: replacement });
-          return replacement;
-        });
-      }
-
-      return { source: result, changes };
-    },
-  },
+  'SIMPL-BP-001': statementTransform(
+    'SIMPL-BP-001',
+    'Replace customer master tables with Business Partner',
+    (parsed) => renameEdits(parsed, { KNA1: 'but000', KNB1: 'but020', KNVV: 'but050' })
+  ),
 
   // ── Business Partner: LFA1 -> BUT000 ─────────────────────────────
-  'SIMPL-BP-002': {
-    id: 'SIMPL-BP-002',
-    description: 'Replace vendor master tables with Business Partner',
-    apply(source, finding) {
-      const changes = [];
-      let result = source;
-      const mapping = { lfa1: 'but000', lfb1: 'but020', lfbk: 'but100' };
-
-      for (const [old, replacement] of Object.entries(mapping)) {
-        const pattern = new RegExp(`\\b${old}\\b`, 'gi');
-        result = result.replace(pattern, (match) => {
-          changes.push({ type: 'replace', from: match, to: replacement });
-          return replacement;
-        });
-      }
-
-      return { source: result, changes };
-    },
-  },
+  'SIMPL-BP-002': statementTransform(
+    'SIMPL-BP-002',
+    'Replace vendor master tables with Business Partner',
+    (parsed) => renameEdits(parsed, { LFA1: 'but000', LFB1: 'but020', LFBK: 'but100' })
+  ),
 
   // ── Business Partner BAPIs -> OData ───────────────────────────────
-  'SIMPL-BP-003': {
-    id: 'SIMPL-BP-003',
-    description: 'Flag deprecated customer/vendor BAPIs for manual review',
-    apply(source, finding) {
-      const changes = [];
-      let result = source;
-
-      // Add comment before BAPI calls — these need manual review
-      result = result.replace(
-        /(\s*)(CALL FUNCTION\s+'(BAPI_CUSTOMER_|BAPI_VENDOR_)\w+')/gi,
-        (match, ws, call) => {
-          const comment = `${ws}\" TODO(S/4): Replace with API_BUSINESS_PARTNER OData service\n`;
-          changes.push({ type: 'comment', before: call, note: 'Needs manual migration to OData' });
-          return `${comment}${ws}${call}`;
+  'SIMPL-BP-003': statementTransform(
+    'SIMPL-BP-003',
+    'Flag deprecated customer/vendor BAPIs for manual review',
+    // Add comment before BAPI calls — these need manual review
+    (parsed) => flagEdits(parsed, (stmt) => (
+      stmt.kind === 'call_function' && /^(BAPI_CUSTOMER_|BAPI_VENDOR_)/.test(stmt.name || '')
+        ? {
+          comment: 'Replace with API_BUSINESS_PARTNER OData service',
+          change: {
+            type: 'comment',
+            before: `CALL FUNCTION '${stmt.name}'`,
+            note: 'Needs manual migration to OData',
+          },
         }
-      );
-
-      return { source: result, changes };
-    },
-  },
+        : null
+    ))
+  ),
 
   // ── ABAP: OCCURS -> TABLE OF ──────────────────────────────────────
-  'SIMPL-ABAP-001': {
-    id: 'SIMPL-ABAP-001',
-    description: 'Replace OCCURS with TYPE TABLE OF',
-    apply(source, finding) {
-      const changes = [];
-      let result = source;
-
-      result = result.replace(
-        /(\w+)\s+OCCURS\s+\d+/gi,
-        (match, typeName) => {
-          const replacement = `TABLE OF ${typeName}`;
-          changes.push({ type: 'replace', from: match, to: replacement });
-          return replacement;
+  'SIMPL-ABAP-001': statementTransform(
+    'SIMPL-ABAP-001',
+    'Replace OCCURS with TYPE TABLE OF',
+    (parsed) => {
+      const edits = [];
+      const seen = new Set();
+      for (const stmt of parsed.statements) {
+        const t = stmt.tokens;
+        for (let i = 1; i + 1 < t.length; i++) {
+          // BEGIN OF name OCCURS n declares a structure; leave it to manual review
+          if (!/^OCCURS$/i.test(t[i].value) || !/^\d+$/.test(t[i + 1].value)) continue;
+          if (t[i - 1].type !== 'word' || (t[i - 2] && /^OF$/i.test(t[i - 2].value))) continue;
+          if (seen.has(t[i].start)) continue;
+          seen.add(t[i].start);
+          const from = parsed.source.slice(t[i - 1].start, t[i + 1].end);
+          const to = `TABLE OF ${t[i - 1].value}`;
+          edits.push({
+            start: t[i - 1].start,
+            end: t[i + 1].end,
+            text: to,
+            change: { type: 'replace', from, to },
+          });
         }
-      );
-
-      return { source: result, changes };
-    },
-  },
+      }
+      return edits;
+    }
+  ),
 
   // ── ABAP: BDC / CALL TRANSACTION -> BAPI ──────────────────────────
-  'SIMPL-ABAP-002': {
-    id: 'SIMPL-ABAP-002',
-    description: 'Flag BDC CALL TRANSACTION for manual BAPI replacement',
-    apply(source, finding) {
-      const changes = [];
-      let result = source;
-
-      result = result.replace(
-        /(\s*)(CALL TRANSACTION\s+'(\w+)'\s+USING\s+\w+\s+MODE\s+'[A-Z]')/gi,
-        (match, ws, call, tcode) => {
-          const comment = `${ws}\" TODO(S/4): Replace CALL TRANSACTION '${tcode}' with BAPI/API\n`;
-          changes.push({ type: 'comment', tcode, note: 'BDC needs BAPI replacement' });
-          return `${comment}${ws}${call}`;
+  'SIMPL-ABAP-002': statementTransform(
+    'SIMPL-ABAP-002',
+    'Flag BDC CALL TRANSACTION for manual BAPI replacement',
+    (parsed) => flagEdits(parsed, (stmt) => (
+      stmt.kind === 'call_transaction' && stmt.name && stmt.tokens.some((t) => /^USING$/i.test(t.value))
+        ? {
+          comment: `Replace CALL TRANSACTION '${stmt.name}' with BAPI/API`,
+          change: { type: 'comment', tcode: stmt.name, note: 'BDC needs BAPI replacement' },
         }
-      );
-
-      return { source: result, changes };
-    },
-  },
+        : null
+    ))
+  ),
 
   // ── Removed: NAST -> BRF+ ────────────────────────────────────────
   'SIMPL-FUNC-002': {
@@ -314,24 +281,30 @@ const TRANSFORMS = {
   },
 
   // ── Material: MATNR length ────────────────────────────────────────
-  'SIMPL-MM-001': {
-    id: 'SIMPL-MM-001',
-    description: 'Replace hardcoded MATNR length 18 with TYPE matnr',
-    apply(source, finding) {
-      const changes = [];
-      let result = source;
-
-      result = result.replace(
-        /TYPE\s+C\s+LENGTH\s+18/gi,
-        (match) => {
-          changes.push({ type: 'replace', from: match, to: 'TYPE matnr' });
-          return 'TYPE matnr';
+  'SIMPL-MM-001': statementTransform(
+    'SIMPL-MM-001',
+    'Replace hardcoded MATNR length 18 with TYPE matnr',
+    (parsed) => {
+      const edits = [];
+      const seen = new Set();
+      for (const stmt of parsed.statements) {
+        const t = stmt.tokens;
+        for (let i = 0; i + 3 < t.length; i++) {
+          const words = t.slice(i, i + 4).map((x) => x.value.toUpperCase()).join(' ');
+          if (words !== 'TYPE C LENGTH 18' || seen.has(t[i].start)) continue;
+          seen.add(t[i].start);
+          const from = parsed.source.slice(t[i].start, t[i + 3].end);
+          edits.push({
+            start: t[i].start,
+            end: t[i + 3].end,
+            text: 'TYPE matnr',
+            change: { type: 'replace', from, to: 'TYPE matnr' },
+          });
         }
-      );
-
-      return { source: result, changes };
-    },
-  },
+      }
+      return edits;
+    }
+  ),
 };
 
 /**
@@ -397,41 +370,37 @@ TRANSFORMS['SIMPL-ABAP-006'] = {
 };
 
 // ABAP: SELECT * → explicit columns (flag only — columns are context-dependent)
-TRANSFORMS['SIMPL-ABAP-004'] = {
-  id: 'SIMPL-ABAP-004',
-  description: 'Flag SELECT * for manual column specification',
-  apply(source, finding) {
-    const changes = [];
-    let result = source;
-    result = result.replace(
-      /(\s*)(SELECT\s+\*\s+FROM\s+(BKPF|EKKO|EKPO|VBAK|VBAP|MARA|MARC|MARD)\b)/gi,
-      (match, ws, stmt, table) => {
-        const comment = `${ws}" TODO(S/4): Replace SELECT * with explicit columns for ${table}\n`;
-        changes.push({ type: 'comment', note: `Specify columns for ${table}` });
-        return `${comment}${ws}${stmt}`;
-      }
+TRANSFORMS['SIMPL-ABAP-004'] = statementTransform(
+  'SIMPL-ABAP-004',
+  'Flag SELECT * for manual column specification',
+  (parsed) => flagEdits(parsed, (stmt) => {
+    const star = stmt.tokens.findIndex((t, i) => i > 0 && t.value === '*');
+    if (stmt.kind !== 'select' || star === -1 || star > 2) return null;
+    const ref = stmt.refs.find(
+      (r) => r.type === 'table' && /^(BKPF|EKKO|EKPO|VBAK|VBAP|MARA|MARC|MARD)$/.test(r.value)
     );
-    return { source: result, changes };
-  },
-};
+    if (!ref) return null;
+    const table = parsed.source.slice(ref.start, ref.end);
+    return {
+      comment: `Replace SELECT * with explicit columns for ${table}`,
+      change: { type: 'comment', note: `Specify columns for ${table}` },
+    };
+  })
+);
 
 // ABAP: TABLES declaration → comment
-TRANSFORMS['SIMPL-ABAP-015'] = {
-  id: 'SIMPL-ABAP-015',
-  description: 'Flag TABLES declarations for removal',
-  apply(source, finding) {
-    const changes = [];
-    let result = source;
-    result = result.replace(
-      /^(\s*)(TABLES:\s+\w+.*)/gim,
-      (match, ws, stmt) => {
-        changes.push({ type: 'comment', note: 'Remove TABLES declaration' });
-        return `${ws}" TODO(S/4): Replace TABLES with typed DATA declarations\n${ws}${stmt}`;
+TRANSFORMS['SIMPL-ABAP-015'] = statementTransform(
+  'SIMPL-ABAP-015',
+  'Flag TABLES declarations for removal',
+  (parsed) => flagEdits(parsed, (stmt) => (
+    stmt.kind === 'tables'
+      ? {
+        comment: 'Replace TABLES with typed DATA declarations',
+        change: { type: 'comment', note: 'Remove TABLES declaration' },
       }
-    );
-    return { source: result, changes };
-  },
-};
+      : null
+  ))
+);
 
 // ══════════════════════════════════════════════════════════════════════════════
 // Phase 6A: High-Volume Mechanical Transforms
@@ -487,20 +456,11 @@ const TABLE_RENAMES = {
 for (const [oldTable, newTable] of Object.entries(TABLE_RENAMES)) {
   const ruleId = `SIMPL-TBL-${oldTable}`;
   if (!TRANSFORMS[ruleId]) {
-    TRANSFORMS[ruleId] = {
-      id: ruleId,
-      description: `Replace ${oldTable} with ${newTable}`,
-      apply(source) {
-        const changes = [];
-        let result = source;
-        const pattern = new RegExp(`\\b${oldTable}\\b`, 'gi');
-        result = result.replace(pattern, (match) => {
-          changes.push({ type: 'replace', from: match, to: newTable });
-          return newTable;
-        });
-        return { source: result, changes };
-      },
-    };
+    TRANSFORMS[ruleId] = statementTransform(
+      ruleId,
+      `Replace ${oldTable} with ${newTable}`,
+      (parsed) => renameEdits(parsed, { [oldTable]: newTable })
+    );
   }
 }
 
@@ -559,21 +519,18 @@ const FM_REPLACEMENTS = {
 for (const [oldFM, newApi] of Object.entries(FM_REPLACEMENTS)) {
   const ruleId = `SIMPL-FM-${oldFM.substring(0, 20)}`;
   if (!TRANSFORMS[ruleId]) {
-    TRANSFORMS[ruleId] = {
-      id: ruleId,
-      description: `Flag ${oldFM} for replacement with ${newApi}`,
-      apply(source) {
-        const changes = [];
-        let result = source;
-        const pattern = new RegExp(`(\\s*)(CALL FUNCTION\\s+'${oldFM}')`, 'gi');
-        result = result.replace(pattern, (match, ws, call) => {
-          const comment = `${ws}" TODO(S/4): Replace ${oldFM} with ${newApi}\n`;
-          changes.push({ type: 'comment', from: oldFM, to: newApi });
-          return `${comment}${ws}${call}`;
-        });
-        return { source: result, changes };
-      },
-    };
+    TRANSFORMS[ruleId] = statementTransform(
+      ruleId,
+      `Flag ${oldFM} for replacement with ${newApi}`,
+      (parsed) => flagEdits(parsed, (stmt) => (
+        stmt.kind === 'call_function' && stmt.name === oldFM
+          ? {
+            comment: `Replace ${oldFM} with ${newApi}`,
+            change: { type: 'comment', from: oldFM, to: newApi },
+          }
+          : null
+      ))
+    );
   }
 }
 
@@ -793,4 +750,4 @@ function getTransformStats() {
   return { total: ids.length, byCategory: categories };
 }
 
-module.exports = { getTransform, getAllTransforms, hasTransform, getTransformStats };
+module.exports = { getTransform, getAllTransforms, hasTransform, getTransformStats, planEdits };
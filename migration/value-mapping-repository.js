@@ -0,0 +1,374 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Value-Mapping Repository
+ *
+ * Cross-reference tables (company codes, plants, payment terms, tax codes…)
+ * maintained by functional teams, loaded per client from
+ * clients/<name>/value-mappings/ and referenced by name from
+ * FieldMappingEngine mappings ({ source, target, valueTable: 'plants' }).
+ *
+ * File formats (table name = file name without extension):
+ *   - CSV:  header row with source,target[,description]; '#' lines are
+ *           comments; a row with source '*' sets the default target
+ *   - JSON: { description?, default?, entries: { SRC: TGT } | [{ source, target }] }
+ *
+ * Every table is versioned through PersistenceAdapter: when its content hash
+ * differs from the latest stored version, a new version is saved with the
+ * added / removed / changed keys, who loaded it and why. Mappings can pin a
+ * version with tableVersion; otherwise the latest is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('../lib/logger');
+const { MigrationObjectError } = require('../lib/errors');
+const { PersistenceAdapter } = require('../lib/persistence');
+
+const FILE_EXTENSIONS = ['.csv', '.json'];
+const DEFAULT_KEY = '*';
+
+class ValueMappingRepository {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.clientName] - Client folder under baseDir
+   * @param {string} [options.clientDir] - Explicit client directory (overrides clientName/baseDir)
+   * @param {string} [options.baseDir='clients'] - Directory holding client folders
+   * @param {PersistenceAdapter} [options.persistence] - Version store (default: in-memory)
+   * @param {string} [options.user] - Recorded as changedBy on new versions
+   */
+  constructor(options = {}) {
+    this.clientName = options.clientName || (options.clientDir ? path.basename(options.clientDir) : '');
+    this.clientDir = options.clientDir
+      || (options.clientName ? path.join(options.baseDir || 'clients', options.clientName) : null);
+    this.store = options.persistence || new PersistenceAdapter({ mode: 'memory' });
+    this.user = options.user || null;
+    this.logger = new Logger('value-mappings', { level: options.logLevel || 'info' });
+    this._tables = new Map(); // name → Map(version → version record)
+    this._latest = new Map(); // name → latest version number
+    this._loaded = null; // load() promise, once started
+  }
+
+  /** Directory the table files are read from */
+  get mappingDir() {
+    return this.clientDir ? path.join(this.clientDir, 'value-mappings') : null;
+  }
+
+  /**
+   * Load every table file of the client, creating a new version for each
+   * table whose content changed since the last load.
+   *
+   * @param {object} [meta] - { by, comment } recorded on new versions
+   * @returns {Promise<object[]>} [{ name, version, changed, entryCount, source }]
+   */
+  load(meta = {}) {
+    this._loaded = this._loadTables(meta);
+    return this._loaded;
+  }
+
+  /**
+   * Load the client's tables unless load() has already run (or is running).
+   * Repositories without a client directory have nothing to load.
+   * @returns {Promise<void>}
+   */
+  async ensureLoaded() {
+    if (!this._loaded && this.mappingDir) this.load();
+    if (this._loaded) await this._loaded;
+  }
+
+  /** @private */
+  async _loadTables(meta) {
+    const dir = this.mappingDir;
+    if (!dir) {
+      throw new MigrationObjectError('Value-mapping repository has no client directory', 'VALUE_MAPPING_NO_CLIENT');
+    }
+    if (!fs.existsSync(dir)) {
+      this.logger.info(`No value-mapping tables in ${dir}`);
+      return [];
+    }
+
+    const files = fs.readdirSync(dir)
+      .filter((f) => FILE_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+      .sort();
+    const loaded = [];
+    for (const file of files) {
+      const name = path.basename(file, path.extname(file));
+      const table = parseTableFile(path.join(dir, file));
+      const version = await this.define(name, table, { ...meta, source: file });
+      loaded.push({
+        name,
+        version: version.version,
+        changed: version.changed,
+        entryCount: Object.keys(version.entries).length,
+        source: file,
+      });
+    }
+    this.logger.info(`Loaded ${loaded.length} value-mapping table(s) for ${this.clientName || dir}`);
+    return loaded;
+  }
+
+  /**
+   * Register table content, saving a new version if it differs from the
+   * latest stored one.
+   *
+   * @param {string} name
+   * @param {object} table - { entries: { SRC: TGT }, default?, description? }
+   * @param {object} [meta] - { by, comment, source }
+   * @returns {Promise<object>} The version record, with changed: true if it is new
+   */
+  async define(name, table, meta = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new MigrationObjectError('Value-mapping table name is required', 'VALUE_MAPPING_NAME');
+    }
+    const entries = normalizeEntries(table.entries, name);
+    const defaultValue = table.default === undefined ? null : table.default;
+    const hash = hashTable(entries, defaultValue);
+
+    const latest = await this.store.getValueMappingVersion(this.clientName, name);
+    if (latest && latest.hash === hash) {
+      this._cache(latest);
+      return { ...latest, changed: false };
+    }
+
+    const saved = await this.store.saveValueMappingVersion({
+      clientName: this.clientName,
+      name,
+      version: latest ? latest.version + 1 : 1,
+      hash,
+      entries,
+      defaultValue,
+      description: table.description || null,
+      source: meta.source || null,
+      changes: diffEntries(latest ? latest.entries : {}, entries),
+      changedBy: meta.by || this.user,
+      comment: meta.comment || null,
+    });
+    this._cache(saved);
+    this.logger.info(`Value-mapping table ${name} is now version ${saved.version}`);
+    return { ...saved, changed: true };
+  }
+
+  /**
+   * Get a loaded table version (synchronous, for use during transform).
+   * Older versions must be fetched with preload() first.
+   *
+   * @param {string} name
+   * @param {number} [version] - Latest loaded if omitted
+   * @returns {object|null} { name, version, entries, defaultValue, ... }
+   */
+  get(name, version) {
+    const versions = this._tables.get(name);
+    if (!versions) return null;
+    return versions.get(version === undefined || version === null ? this._latest.get(name) : version) || null;
+  }
+
+  /**
+   * Fetch a stored version into the cache so get() can serve it.
+   * @param {string} name
+   * @param {number} [version] - Latest stored if omitted
+   * @returns {Promise<object|null>}
+   */
+  async preload(name, version) {
+    const cached = this.get(name, version);
+    if (cached) return cached;
+    const stored = await this.store.getValueMappingVersion(this.clientName, name, version);
+    if (stored) this._cache(stored);
+    return stored;
+  }
+
+  /**
+   * Fetch every version that mappings pin with tableVersion, so transform
+   * can serve them synchronously.
+   * @param {object[]} mappings - FieldMappingEngine mapping definitions
+   * @returns {Promise<object[]>} Pins with no stored version: [{ name, version }]
+   */
+  async preloadPinned(mappings) {
+    const missing = [];
+    for (const m of mappings) {
+      if (!m.valueTable || !m.tableVersion) continue;
+      if (!(await this.preload(m.valueTable, m.tableVersion))) {
+        missing.push({ name: m.valueTable, version: m.tableVersion });
+      }
+    }
+    for (const pin of missing) {
+      this.logger.warn(`Value-mapping table ${pin.name} version ${pin.version} is pinned but not stored`);
+    }
+    return missing;
+  }
+
+  /**
+   * Version history of a table (audit trail), oldest first, without entries.
+   * @param {string} name
+   * @returns {Promise<object[]>} [{ version, hash, entryCount, changes, changedBy, comment, source, createdAt }]
+   */
+  async listVersions(name) {
+    const versions = await this.store.listValueMappingVersions(this.clientName, name);
+    return versions.map((v) => ({
+      version: v.version,
+      hash: v.hash,
+      entryCount: Object.keys(v.entries || {}).length,
+      changes: v.changes,
+      changedBy: v.changedBy,
+      comment: v.comment,
+      source: v.source,
+      createdAt: v.createdAt,
+    }));
+  }
+
+  /** Names of the tables loaded into this repository */
+  getTableNames() {
+    return Array.from(this._tables.keys()).sort();
+  }
+
+  /** @private */
+  _cache(record) {
+    if (!this._tables.has(record.name)) this._tables.set(record.name, new Map());
+    this._tables.get(record.name).set(record.version, record);
+    if (!this._latest.has(record.name) || record.version > this._latest.get(record.name)) {
+      this._latest.set(record.name, record.version);
+    }
+  }
+}
+
+// ── File parsing ─────────────────────────────────────────────────────
+
+/**
+ * Parse a CSV or JSON table file.
+ * @param {string} file
+ * @returns {{ entries: object, default?: *, description?: string }}
+ */
+function parseTableFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() === '.json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new MigrationObjectError(`Invalid JSON in value-mapping file ${path.basename(file)}: ${err.message}`, 'VALUE_MAPPING_PARSE');
+    }
+    if (!data || typeof data !== 'object' || !data.entries) {
+      throw new MigrationObjectError(`Value-mapping file ${path.basename(file)} has no entries`, 'VALUE_MAPPING_PARSE');
+    }
+    return data;
+  }
+  return parseCsvTable(text, path.basename(file));
+}
+
+/**
+ * Parse CSV table text. Fields may be double-quoted (with "" escapes) but
+ * must not span lines.
+ *
+ * @param {string} text
+ * @param {string} [label] - File name for error messages
+ */
+function parseCsvTable(text, label = 'CSV') {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map((line, i) => ({ line, lineNo: i + 1 }))
+    .filter(({ line }) => line.trim() !== '' && !line.trim().startsWith('#'));
+  if (lines.length === 0) return { entries: {} };
+
+  const header = parseCsvLine(lines[0].line).map((h) => h.trim().toLowerCase());
+  const srcIdx = header.indexOf('source');
+  const tgtIdx = header.indexOf('target');
+  if (srcIdx === -1 || tgtIdx === -1) {
+    throw new MigrationObjectError(`${label}: header must contain 'source' and 'target' columns`, 'VALUE_MAPPING_PARSE');
+  }
+
+  const table = { entries: [] };
+  for (const { line, lineNo } of lines.slice(1)) {
+    const fields = parseCsvLine(line);
+    const source = (fields[srcIdx] || '').trim();
+    const target = (fields[tgtIdx] || '').trim();
+    if (source === '') {
+      throw new MigrationObjectError(`${label} line ${lineNo}: empty source value`, 'VALUE_MAPPING_PARSE');
+    }
+    if (source === DEFAULT_KEY) table.default = target;
+    else table.entries.push({ source, target, line: lineNo });
+  }
+  return table;
+}
+
+/** @private — split one CSV line into fields, honouring double quotes */
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  fields.push(current);
+  return fields;
+}
+
+// ── Versioning helpers ───────────────────────────────────────────────
+
+/** @private — { SRC: TGT } from an object or [{ source, target }], rejecting conflicting duplicates */
+function normalizeEntries(entries, name) {
+  if (!entries || typeof entries !== 'object') {
+    throw new MigrationObjectError(`Value-mapping table ${name} has no entries`, 'VALUE_MAPPING_ENTRIES');
+  }
+  if (!Array.isArray(entries)) {
+    const out = {};
+    for (const [k, v] of Object.entries(entries)) out[k] = v;
+    return out;
+  }
+
+  const out = {};
+  for (const e of entries) {
+    const source = String(e.source);
+    if (Object.prototype.hasOwnProperty.call(out, source) && out[source] !== e.target) {
+      const where = e.line ? ` (line ${e.line})` : '';
+      throw new MigrationObjectError(
+        `Value-mapping table ${name}: conflicting targets for '${source}'${where}`,
+        'VALUE_MAPPING_DUPLICATE'
+      );
+    }
+    out[source] = e.target;
+  }
+  return out;
+}
+
+/** @private — content hash independent of key order */
+function hashTable(entries, defaultValue) {
+  const sorted = Object.keys(entries).sort().map((k) => [k, entries[k]]);
+  return crypto.createHash('sha256').update(JSON.stringify({ entries: sorted, default: defaultValue })).digest('hex');
+}
+
+/** @private */
+function diffEntries(previous, next) {
+  const has = (obj, k) => Object.prototype.hasOwnProperty.call(obj, k);
+  const added = Object.keys(next).filter((k) => !has(previous, k));
+  const removed = Object.keys(previous).filter((k) => !has(next, k));
+  const changed = Object.keys(next)
+    .filter((k) => has(previous, k) && previous[k] !== next[k])
+    .map((k) => ({ source: k, from: previous[k], to: next[k] }));
+  return { added, removed, changed };
+}
+
+module.exports = { ValueMappingRepository, parseCsvTable };
@@ -0,0 +1,214 @@
+/**
+ * Copyright 2024-2026 SEN Contributors
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ */
+/**
+ * Wave Scheduler — concurrent execution of dependency waves
+ *
+ * Runs the objects of each wave from DependencyGraph.getExecutionWaves()
+ * concurrently, up to a concurrency limit, and waits for the wave to finish
+ * before starting the next one.
+ *
+ *   - Objects whose prerequisites failed (error / validation_failed) or were
+ *     skipped are not run and are reported as 'skipped' with blockedBy.
+ *   - Every object run goes through a CircuitBreaker (lib/resilience.js);
+ *     runs that end in 'error' count as failures, and once the breaker opens
+ *     the remaining objects are skipped instead of hammering the target.
+ *   - Per-object progress is emitted on a ProgressBus (lib/progress-bus.js):
+ *     migration:start, migration:complete, migration:error, migration:progress.
+ */
+
+const Logger = require('../lib/logger');
+const { MigrationObjectError } = require('../lib/errors');
+const { CircuitBreaker, CircuitBreakerOpenError } = require('../lib/resilience');
+
+const DEFAULT_CONCURRENCY = 4;
+const FAILED_STATUSES = ['error', 'validation_failed'];
+
+class ObjectRunError extends Error {
+  constructor(result) {
+    super(result.error || `${result.objectId} failed`);
+    this.name = 'ObjectRunError';
+    this.result = result;
+  }
+}
+
+class WaveScheduler {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.concurrency=4] - Max objects running at once
+   * @param {CircuitBreaker} [options.circuitBreaker] - Shared breaker (default: one per run)
+   * @param {object} [options.progressBus] - ProgressBus for per-object events
+   * @param {boolean} [options.haltOnFailure=true] - Skip dependents of failed objects
+   * @param {string} [options.runId]
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
+    if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+      throw new MigrationObjectError(`Invalid concurrency: ${options.concurrency}`, 'MIGRATION_CONCURRENCY');
+    }
+    this.circuitBreaker = options.circuitBreaker || new CircuitBreaker({ logLevel: options.logLevel });
+    this.progressBus = options.progressBus || null;
+    this.haltOnFailure = options.haltOnFailure !== false;
+    this.runId = options.runId || null;
+    this.logger = new Logger('wave-scheduler', { level: options.logLevel || 'info' });
+  }
+
+  /**
+   * Execute the waves.
+   *
+   * @param {string[][]} waves - Output of DependencyGraph.getExecutionWaves()
+   * @param {Function} runObject - async (objectId) => run result ({ objectId, status, ... })
+   * @param {object} [hooks]
+   * @param {Function} [hooks.getDependencies] - (objectId) => direct dependency IDs
+   * @param {Function} [hooks.onResult] - (objectId, result) after each object (incl. skipped)
+   * @returns {Promise<object>} { results, completed, failed, skipped, waves: [{ wave, objects, status }] }
+   */
+  async run(waves, runObject, hooks = {}) {
+    const getDependencies = hooks.getDependencies || (() => []);
+    const total = waves.reduce((sum, w) => sum + w.length, 0);
+    const blocked = new Set();
+    const results = [];
+    const summary = [];
+    const counts = { completed: 0, failed: 0, skipped: 0 };
+
+    const record = (id, result) => {
+      results.push(result);
+      if (result.status === 'skipped') counts.skipped++;
+      else if (FAILED_STATUSES.includes(result.status)) counts.failed++;
+      else counts.completed++;
+      if (result.status === 'skipped' || FAILED_STATUSES.includes(result.status)) blocked.add(id);
+      this._emit('migration:progress', {
+        objectId: id,
+        done: results.length,
+        total,
+        percent: Math.round((results.length / total) * 100),
+      });
+      if (hooks.onResult) {
+        try { hooks.onResult(id, result); } catch { /* ignore callback errors */ }
+      }
+    };
+
+    for (let waveIdx = 0; waveIdx < waves.length; waveIdx++) {
+      const wave = waves[waveIdx];
+      const runnable = [];
+      for (const id of wave) {
+        const blockedBy = this.haltOnFailure ? getDependencies(id).filter((d) => blocked.has(d)) : [];
+        if (blockedBy.length > 0) {
+          this.logger.warn(`Skipping ${id}: prerequisite ${blockedBy.join(', ')} did not complete`);
+          this._emit('migration:error', { objectId: id, wave: waveIdx + 1, status: 'skipped', blockedBy });
+          record(id, skippedResult(id, 'dependency_failed', { blockedBy }));
+        } else {
+          runnable.push(id);
+        }
+      }
+
+      this.logger.info(`Wave ${waveIdx + 1}/${waves.length}: [${runnable.join(', ')}] (concurrency ${this.concurrency})`);
+      await this._runPool(runnable, (id) => this._runOne(id, waveIdx + 1, runObject), record);
+      summary.push({
+        wave: waveIdx + 1,
+        objects: wave,
+        status: wave.every((id) => !blocked.has(id)) ? 'completed' : 'failed',
+      });
+    }
+
+    return { results, ...counts, waves: summary };
+  }
+
+  /** @private — run ids with at most `concurrency` in flight */
+  async _runPool(ids, task, record) {
+    let next = 0;
+    const worker = async () => {
+      while (next < ids.length) {
+        const id = ids[next++];
+        record(id, await task(id));
+      }
+    };
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, ids.length); i++) workers.push(worker());
+    await Promise.all(workers);
+  }
+
+  /** @private */
+  async _runOne(id, wave, runObject) {
+    const start = Date.now();
+    this._emit('migration:start', { objectId: id, wave });
+    let result;
+    try {
+      result = await this.circuitBreaker.execute(async () => {
+        const r = await runObject(id);
+        // Only hard errors trip the breaker; validation failures are data problems
+        if (r.status === 'error') throw new ObjectRunError(r);
+        return r;
+      });
+    } catch (err) {
+      if (err instanceof ObjectRunError) {
+        result = err.result;
+      } else if (err instanceof CircuitBreakerOpenError) {
+        this.logger.warn(`Skipping ${id}: ${err.message}`);
+        result = skippedResult(id, 'circuit_open', { error: err.message });
+      } else {
+        result = { objectId: id, status: 'error', error: err.message, phases: {}, stats: emptyStats() };
+      }
+    }
+
+    if (result.status === 'skipped' || FAILED_STATUSES.includes(result.status)) {
+      this._emit('migration:error', {
+        objectId: id,
+        wave,
+        status: result.status,
+        error: result.error || null,
+        durationMs: Date.now() - start,
+      });
+    } else {
+      this._emit('migration:complete', {
+        objectId: id,
+        wave,
+        status: result.status,
+        stats: result.stats,
+        durationMs: Date.now() - start,
+      });
+    }
+    return result;
+  }
+
+  /** @private */
+  _emit(type, data) {
+    if (!this.progressBus) return;
+    try {
+      this.progressBus.emit(type, this.runId ? { runId: this.runId, ...data } : data);
+    } catch { /* progress must never break the run */ }
+  }
+}
+
+/** Result placeholder for an object that was not run */
+function skippedResult(objectId, reason, extra = {}) {
+  return {
+    objectId,
+    status: 'skipped',
+    reason,
+    ...extra,
+    phases: {},
+    stats: emptyStats(),
+  };
+}
+
+/** Same shape as BaseMigrationObject._buildStats() */
+function emptyStats() {
+  return {
+    totalDurationMs: 0,
+    extractedRecords: 0,
+    transformedRecords: 0,
+    validationStatus: 'n/a',
+    loadedRecords: 0,
+    loadErrors: 0,
+  };
+}
+
+module.exports = { WaveScheduler, DEFAULT_CONCURRENCY, FAILED_STATUSES };
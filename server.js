@@ -44,6 +44,9 @@ const { errorHandler, notFoundHandler } = require('./lib/middleware/error-handle
 // Migration Dashboard
 const DashboardAPI = require('./migration/dashboard/api');
 const MigrationObjectRegistry = require('./migration/objects/registry');
+const { QuarantineManager } = require('./migration/quarantine');
+const { PersistenceAdapter } = require('./lib/persistence');
+const { ClientWorkspace } = require('./migration/client-workspace');
 
 // Forensic Dashboard
 const { createDashboardRouter } = require('./extraction/report/dashboard-api');
@@ -62,6 +65,8 @@ const { createSignavioRouter } = require('./extraction/signavio-api');
 
 // Testing API
 const { createTestingRouter } = require('./extraction/testing-api');
+const { TestExecutor } = require('./lib/testing/test-executor');
+const { TestHistory } = require('./lib/testing/test-history');
 
 // Cloud API
 const { createCloudRouter } = require('./extraction/cloud-api');
@@ -173,13 +178,46 @@ function createApp(configOverrides = {}) {
     res.json(auditLogger.getStats());
   });
 
+  // ── Progress Bus (SSE) ────────────────────────────────────
+  const progressBus = new ProgressBus();
+
+  // ── Migration state ────────────────────────────────────────
+  // One store and one quarantine for the dashboard and MCP handlers
+  const persistence = new PersistenceAdapter({ mode: config.persistenceMode });
+  const quarantine = new QuarantineManager({ persistence, logLevel: config.logLevel });
+
   // ── Migration Dashboard API ────────────────────────────────
   const gateway = { mode: config.migrationMode };
-  const registry = new MigrationObjectRegistry();
+  const registry = new MigrationObjectRegistry({ descriptorDirs: config.migrationObjectDirs });
+
+  // Client objects are bound to their client's value-mapping tables, which
+  // load (with every pinned version) before the server starts listening
+  const workspaces = config.clientDirs.map((dir) => new ClientWorkspace(dir, { persistence, logLevel: config.logLevel }));
+  for (const workspace of workspaces) workspace.register(registry);
+  const clientsReady = Promise.all(workspaces.map(async (workspace) => {
+    try {
+      return { client: workspace.clientName, ...(await workspace.load(registry, { by: 'server' })) };
+    } catch (err) {
+      log.error(`Cannot load value mappings of client ${workspace.clientName}: ${err.message}`);
+      return { client: workspace.clientName, error: err.message };
+    }
+  }));
+  health.register('client-workspaces', async () => {
+    const clients = await clientsReady;
+    const failed = clients.filter((c) => c.error);
+    return {
+      status: failed.length > 0 ? 'down' : 'up',
+      details: { clients: clients.map((c) => ({ client: c.client, tables: c.tables ? c.tables.length : 0, error: c.error })) },
+    };
+  });
 
   const dashboard = new DashboardAPI({
     registry,
     gateway,
+    quarantine,
+    // Built-in objects translate through the tables when one client is served
+    valueMappings: workspaces.length === 1 ? workspaces[0].valueMappings : undefined,
+    progressBus,
     verbose: config.logLevel === 'debug',
   });
   dashboard.registerRoutes(app);
@@ -201,6 +239,9 @@ function createApp(configOverrides = {}) {
     latestPlan: null,
     signavio: null,
     testing: null,
+    testExecutor: TestExecutor.fromConfig(config, { logLevel: config.logLevel }),
+    // Test runs go to the server's store (TestRuns entity in cds mode)
+    testHistory: new TestHistory({ persistence, logLevel: config.logLevel }),
     cloud: null,
   };
   app.use(createDashboardRouter(forensicState));
@@ -246,8 +287,6 @@ function createApp(configOverrides = {}) {
     });
   });
 
-  // ── Progress Bus (SSE) ────────────────────────────────────
-  const progressBus = new ProgressBus();
   forensicState.progressBus = progressBus;
 
   // SSE stream endpoint
@@ -289,6 +328,10 @@ function createApp(configOverrides = {}) {
   app._auditLogger = auditLogger;
   app._rateLimiter = rateLimiter;
   app._dashboard = dashboard;
+  app._persistence = persistence;
+  app._quarantine = quarantine;
+  app._workspaces = workspaces;
+  app._ready = clientsReady;
   app._forensicState = forensicState;
   app._processMining = true;
   app._apiKeyAuth = apiKeyAuth;
@@ -342,18 +385,21 @@ if (require.main === module) {
   const app = createApp();
   const log = new Logger('server');
   const port = app._config.port === 4004 ? 4005 : app._config.port; // avoid collision with CAP
-  const server = app.listen(port, app._config.host, () => {
-    console.log(`SEN Migration API running at http://${app._config.host}:${port}`);
-    console.log(`  Health:      http://localhost:${port}/health`);
-    console.log(`  Ready:       http://localhost:${port}/ready`);
-    console.log(`  Metrics:     http://localhost:${port}/metrics`);
-    console.log(`  Dashboard:   http://localhost:${port}/api/dashboard/summary`);
-    console.log(`  Forensic:    http://localhost:${port}/api/forensic/summary`);
-    console.log(`  Mining:      http://localhost:${port}/api/process-mining/processes`);
-    console.log(`  Platform:    http://localhost:${port}/api/platform/summary`);
-    console.log(`  Mode:        ${app._config.migrationMode}`);
+  // Client value mappings load before the first request
+  app._ready.then(() => {
+    const server = app.listen(port, app._config.host, () => {
+      console.log(`SEN Migration API running at http://${app._config.host}:${port}`);
+      console.log(`  Health:      http://localhost:${port}/health`);
+      console.log(`  Ready:       http://localhost:${port}/ready`);
+      console.log(`  Metrics:     http://localhost:${port}/metrics`);
+      console.log(`  Dashboard:   http://localhost:${port}/api/dashboard/summary`);
+      console.log(`  Forensic:    http://localhost:${port}/api/forensic/summary`);
+      console.log(`  Mining:      http://localhost:${port}/api/process-mining/processes`);
+      console.log(`  Platform:    http://localhost:${port}/api/platform/summary`);
+      console.log(`  Mode:        ${app._config.migrationMode}`);
+    });
+    installCrashHandlers(log, server);
   });
-  installCrashHandlers(log, server);
 }
 
 module.exports = { createApp, installCrashHandlers };
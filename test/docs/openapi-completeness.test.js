@@ -27,6 +27,7 @@ describe('OpenAPI Spec Completeness', () => {
     '/api/dashboard/reconciliation',
     '/api/dashboard/tests',
     '/api/dashboard/run',
+    '/api/dashboard/quarantine',
 
     // Audit
     '/api/audit',
@@ -0,0 +1,304 @@
+/**
+ * Tests for AlignmentChecker and AlignmentResult
+ */
+
+const { AlignmentChecker, AlignmentResult } = require('../../../extraction/process-mining/alignment-checker');
+const { PetriNet } = require('../../../extraction/process-mining/petri-net');
+const { ReferenceModel, getReferenceModel } = require('../../../extraction/process-mining/reference-models');
+const { ConformanceChecker } = require('../../../extraction/process-mining/conformance-checker');
+const { HeuristicMiner } = require('../../../extraction/process-mining/heuristic-miner');
+const { Event, Trace, EventLog } = require('../../../extraction/process-mining/event-log');
+const { BpmnParser } = require('../../../lib/signavio');
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const BASE = new Date('2025-01-01T00:00:00Z').getTime();
+const HOUR = 3_600_000;
+
+function buildLinearModel() {
+  return new ReferenceModel({
+    id: 'TEST',
+    name: 'Test Linear Model',
+    activities: ['A', 'B', 'C', 'D', 'E'],
+    edges: [
+      { from: 'A', to: 'B', type: 'sequence' },
+      { from: 'B', to: 'C', type: 'sequence' },
+      { from: 'C', to: 'D', type: 'sequence' },
+      { from: 'D', to: 'E', type: 'sequence' },
+    ],
+    startActivities: ['A'],
+    endActivities: ['E'],
+  });
+}
+
+/**
+ * @param {Array<{ caseId: string, activities: string[] }>} traces
+ * @returns {EventLog}
+ */
+function buildLog(traces) {
+  const log = new EventLog('TestLog');
+  for (const t of traces) {
+    const trace = new Trace(t.caseId);
+    t.activities.forEach((activity, i) => {
+      trace.addEvent(new Event({ activity, timestamp: new Date(BASE + i * HOUR) }));
+    });
+    log.addTrace(trace);
+  }
+  return log;
+}
+
+const PARALLEL_BPMN = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL">
+  <bpmn:process id="P1" name="Parallel">
+    <bpmn:startEvent id="S"/>
+    <bpmn:task id="A" name="A"/>
+    <bpmn:parallelGateway id="G1"/>
+    <bpmn:task id="B" name="B"/>
+    <bpmn:task id="C" name="C"/>
+    <bpmn:parallelGateway id="G2"/>
+    <bpmn:task id="D" name="D"/>
+    <bpmn:endEvent id="E"/>
+    <bpmn:sequenceFlow id="f1" sourceRef="S" targetRef="A"/>
+    <bpmn:sequenceFlow id="f2" sourceRef="A" targetRef="G1"/>
+    <bpmn:sequenceFlow id="f3" sourceRef="G1" targetRef="B"/>
+    <bpmn:sequenceFlow id="f4" sourceRef="G1" targetRef="C"/>
+    <bpmn:sequenceFlow id="f5" sourceRef="B" targetRef="G2"/>
+    <bpmn:sequenceFlow id="f6" sourceRef="C" targetRef="G2"/>
+    <bpmn:sequenceFlow id="f7" sourceRef="G2" targetRef="D"/>
+    <bpmn:sequenceFlow id="f8" sourceRef="D" targetRef="E"/>
+  </bpmn:process>
+</bpmn:definitions>`;
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('AlignmentChecker', () => {
+  let checker;
+
+  beforeEach(() => {
+    checker = new AlignmentChecker({ logLevel: 'silent' });
+  });
+
+  describe('fitting traces', () => {
+    it('aligns a trace of the model with synchronous moves only', () => {
+      const result = checker.check(buildLog([{ caseId: 'C1', activities: ['A', 'B', 'C', 'D', 'E'] }]), buildLinearModel());
+
+      expect(result).toBeInstanceOf(AlignmentResult);
+      expect(result.fitness).toBe(1);
+      expect(result.caseResults[0].cost).toBe(0);
+      expect(result.caseResults[0].isConformant).toBe(true);
+      expect(result.caseResults[0].alignment.map((m) => m.type)).toEqual(['sync', 'sync', 'sync', 'sync', 'sync']);
+      expect(result.precision).toBe(1);
+    });
+
+    it('accepts both interleavings of a BPMN parallel block', () => {
+      const log = buildLog([
+        { caseId: 'C1', activities: ['A', 'B', 'C', 'D'] },
+        { caseId: 'C2', activities: ['A', 'C', 'B', 'D'] },
+      ]);
+      const result = checker.check(log, BpmnParser.parse(PARALLEL_BPMN));
+
+      expect(result.fitness).toBe(1);
+      expect(result.fitCases).toBe(2);
+      expect(result.precision).toBe(1);
+    });
+  });
+
+  describe('deviations', () => {
+    it('reports a skipped activity as one model move', () => {
+      const result = checker.check(buildLog([{ caseId: 'C1', activities: ['A', 'B', 'D', 'E'] }]), buildLinearModel());
+      const caseResult = result.caseResults[0];
+
+      expect(caseResult.cost).toBe(1);
+      expect(caseResult.alignment).toContainEqual(expect.objectContaining({ type: 'model', activity: 'C' }));
+      // 1 - 1 / (4 events + 5 for the shortest model run)
+      expect(caseResult.fitness).toBeCloseTo(1 - 1 / 9, 4);
+      expect(result.moveStats.modelMoves).toBe(1);
+      expect(result.moveStats.byActivity).toEqual([{ activity: 'C', logMoves: 0, modelMoves: 1 }]);
+    });
+
+    it('reports an inserted activity as one log move', () => {
+      const result = checker.check(buildLog([{ caseId: 'C1', activities: ['A', 'B', 'X', 'C', 'D', 'E'] }]), buildLinearModel());
+      const moves = result.caseResults[0].alignment;
+
+      expect(result.caseResults[0].cost).toBe(1);
+      expect(moves[2]).toEqual({ type: 'log', activity: 'X' });
+      expect(result.moveStats.logMoves).toBe(1);
+    });
+
+    it('finds the cheapest alignment for swapped activities', () => {
+      const result = checker.check(buildLog([{ caseId: 'C1', activities: ['A', 'C', 'B', 'D', 'E'] }]), buildLinearModel());
+      // One log move and one model move, not five
+      expect(result.caseResults[0].cost).toBe(2);
+    });
+
+    it('flags a missing parallel branch that directly-follows replay would miss', () => {
+      const result = checker.check(buildLog([{ caseId: 'C1', activities: ['A', 'B', 'D'] }]), BpmnParser.parse(PARALLEL_BPMN));
+      expect(result.caseResults[0].alignment).toContainEqual(expect.objectContaining({ type: 'model', activity: 'C' }));
+    });
+
+    it('computes log fitness over all cases', () => {
+      const log = buildLog([
+        { caseId: 'C1', activities: ['A', 'B', 'C', 'D', 'E'] },
+        { caseId: 'C2', activities: ['A', 'B', 'C', 'D', 'E'] },
+        { caseId: 'C3', activities: ['A', 'E'] },
+      ]);
+      const result = checker.check(log, buildLinearModel());
+
+      // C3 costs 3 model moves; worst cases 5 + 5, 5 + 5, 2 + 5
+      expect(result.fitness).toBeCloseTo(1 - 3 / 27, 4);
+      expect(result.fitCases).toBe(2);
+      expect(result.getSummary().percentageFitTraces).toBeCloseTo(66.67, 2);
+    });
+  });
+
+  describe('precision', () => {
+    it('drops when the model allows behaviour the log never shows', () => {
+      const model = new ReferenceModel({
+        id: 'CHOICE',
+        name: 'Choice',
+        activities: ['A', 'B', 'C', 'D'],
+        edges: [
+          { from: 'A', to: 'B', type: 'sequence' },
+          { from: 'A', to: 'C', type: 'choice' },
+          { from: 'B', to: 'D', type: 'sequence' },
+          { from: 'C', to: 'D', type: 'sequence' },
+        ],
+        startActivities: ['A'],
+        endActivities: ['D'],
+      });
+      const result = checker.check(buildLog([{ caseId: 'C1', activities: ['A', 'B', 'D'] }]), model);
+
+      expect(result.fitness).toBe(1);
+      // After A the model enables B and C but only B is observed
+      expect(result.precision).toBeLessThan(1);
+      expect(result.precision).toBeGreaterThan(0.5);
+    });
+  });
+
+  describe('models', () => {
+    it('checks against HeuristicMiner output', () => {
+      const traces = [];
+      for (let i = 0; i < 10; i++) {
+        traces.push({ caseId: `C${i}`, activities: i % 2 ? ['A', 'B', 'C', 'D'] : ['A', 'C', 'B', 'D'] });
+      }
+      const log = buildLog(traces);
+      const model = new HeuristicMiner({ logLevel: 'silent' }).mine(log);
+
+      expect(checker.check(log, model).fitness).toBe(1);
+    });
+
+    it('checks the shipped reference models and agrees with replay on a happy path', () => {
+      const model = getReferenceModel('O2C');
+      const path = [model.startActivities[0]];
+      const seen = new Set(path);
+      for (;;) {
+        const edge = model.edges.find((e) => e.from === path[path.length - 1] && !seen.has(e.to));
+        if (!edge || model.endActivities.includes(path[path.length - 1])) break;
+        path.push(edge.to);
+        seen.add(edge.to);
+      }
+      const log = buildLog([{ caseId: 'C1', activities: path }]);
+
+      const replay = new ConformanceChecker({ logLevel: 'silent' }).check(log, model);
+      const aligned = checker.check(log, model);
+      expect(replay.fitness).toBe(1);
+      expect(aligned.fitness).toBe(1);
+    });
+
+    it('accepts a PetriNet directly', () => {
+      const net = PetriNet.fromReferenceModel(buildLinearModel());
+      const result = checker.check(buildLog([{ caseId: 'C1', activities: ['A', 'B', 'C', 'D', 'E'] }]), net);
+      expect(result.getSummary().model).toBe('Test Linear Model');
+    });
+
+    it('rejects nets whose final marking is unreachable', () => {
+      const net = new PetriNet('broken');
+      net.addPlace('source').addPlace('sink');
+      net.initialMarking = { source: 1 };
+      net.finalMarking = { sink: 1 };
+      expect(() => checker.check(buildLog([]), net)).toThrow(/not reachable/);
+    });
+  });
+
+  describe('search', () => {
+    // Twelve parallel branches between a silent split and join. Optional branches
+    // either skip silently or loop over A<i>: 3^12 markings without a single visible move.
+    function wideParallelNet(optional) {
+      const net = new PetriNet('Wide').addPlace('source').addPlace('sink');
+      const ins = [];
+      const outs = [];
+      for (let i = 0; i < 12; i++) {
+        const [pin, pout] = [`in${i}`, `out${i}`];
+        net.addPlace(pin).addPlace(pout);
+        ins.push(pin);
+        outs.push(pout);
+        if (!optional) {
+          net.addTransition(`a${i}`, `A${i}`, { pre: [pin], post: [pout] });
+          continue;
+        }
+        net.addPlace(`do${i}`).addPlace(`done${i}`)
+          .addTransition(`skip${i}`, null, { pre: [pin], post: [pout] })
+          .addTransition(`enter${i}`, null, { pre: [pin], post: [`do${i}`] })
+          .addTransition(`a${i}`, `A${i}`, { pre: [`do${i}`], post: [`done${i}`] })
+          .addTransition(`redo${i}`, null, { pre: [`done${i}`], post: [`do${i}`] })
+          .addTransition(`exit${i}`, null, { pre: [`done${i}`], post: [pout] });
+      }
+      net.addTransition('split', null, { pre: ['source'], post: ins })
+        .addTransition('join', null, { pre: outs, post: ['sink'] });
+      net.initialMarking = { source: 1 };
+      net.finalMarking = { sink: 1 };
+      return net;
+    }
+
+    it('does not enumerate interleavings of silent moves', () => {
+      const net = wideParallelNet(true);
+      const empty = checker.align([], net);
+      const fitting = checker.align(['A7', 'A3', 'A7'], net);
+
+      expect(empty.cost).toBe(0);
+      expect(empty.statesVisited).toBeLessThan(100);
+      expect(fitting.cost).toBe(0);
+      expect(fitting.statesVisited).toBeLessThan(100);
+    });
+
+    it('bounds repetitions the model cannot do without exhausting cheaper states', () => {
+      const alignment = checker.align(['A1', 'A2', 'A1', 'A3'], wideParallelNet(false));
+
+      // A1 twice is one log move; the other nine branches are model moves
+      expect(alignment.cost).toBe(10);
+      expect(alignment.moves.filter((m) => m.type === 'log')).toEqual([{ type: 'log', activity: 'A1' }]);
+      expect(alignment.statesVisited).toBeLessThan(500);
+    });
+  });
+
+  describe('limits and results', () => {
+    it('reports traces that exceed the search limit as not aligned', () => {
+      const limited = new AlignmentChecker({ logLevel: 'silent', maxStates: 10 });
+      const result = limited.check(buildLog([{ caseId: 'C1', activities: ['E', 'D', 'C', 'B', 'A'] }]), buildLinearModel());
+
+      expect(result.caseResults[0]).toMatchObject({ caseId: 'C1', aligned: false, fitness: null });
+      expect(result.getSummary().unalignedCases).toBe(1);
+    });
+
+    it('aligns each variant once and caps case results', () => {
+      const traces = [];
+      for (let i = 0; i < 150; i++) traces.push({ caseId: `C${i}`, activities: ['A', 'B', 'C', 'D', 'E'] });
+      const spy = vi.spyOn(checker, '_align');
+      const result = checker.check(buildLog(traces), buildLinearModel());
+
+      // The empty trace plus one variant
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(result.totalCases).toBe(150);
+      expect(result.caseResults.length).toBe(100);
+    });
+
+    it('serializes to JSON with a summary', () => {
+      const result = checker.check(buildLog([{ caseId: 'C1', activities: ['A', 'B', 'D', 'E'] }]), buildLinearModel());
+      const json = result.toJSON();
+
+      expect(json.summary).toMatchObject({ fitCases: 0, totalCases: 1, modelMoves: 1, logMoves: 0 });
+      expect(json.caseResults[0].alignment.length).toBe(5);
+      expect(JSON.parse(JSON.stringify(json))).toEqual(json);
+    });
+  });
+});
@@ -1,14 +1,16 @@
 /**
  * Tests for extraction/process-mining/api.js — Process Mining REST API
  *
- * Tests all 11 endpoints: process listing, config, reference model,
+ * Tests all 15 endpoints: process listing, config, reference model,
  * analyze, discover, conformance, performance, variants, social network,
- * KPIs, and demo.
+ * KPIs, predictions, object-centric logs, XES import, and demo.
  */
 
 const http = require('http');
+const zlib = require('zlib');
 const { createProcessMiningRouter } = require('../../../extraction/process-mining/api');
 const { getAllProcessIds, getProcessConfig } = require('../../../extraction/process-mining/sap-table-config');
+const { EventLog, Event } = require('../../../extraction/process-mining/event-log');
 const express = require('express');
 
 // ── HTTP test helper ─────────────────────────────────────────
@@ -24,10 +26,11 @@ function request(app) {
   return {
     get: (path) => _request(app, 'GET', path),
     post: (path, body) => _request(app, 'POST', path, body),
+    postRaw: (path, body, contentType) => _request(app, 'POST', path, body, contentType),
   };
 }
 
-function _request(app, method, path, body) {
+function _request(app, method, path, body, contentType) {
   return new Promise((resolve, reject) => {
     const server = http.createServer(app);
     server.listen(0, '127.0.0.1', () => {
@@ -37,7 +40,7 @@ function _request(app, method, path, body) {
         port,
         path,
         method,
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': contentType || 'application/json' },
       };
       const req = http.request(options, (res) => {
         let data = '';
@@ -50,7 +53,7 @@ function _request(app, method, path, body) {
         });
       });
       req.on('error', (e) => { server.close(); reject(e); });
-      if (body) req.write(JSON.stringify(body));
+      if (body) req.write(contentType ? body : JSON.stringify(body));
       req.end();
     });
   });
@@ -185,6 +188,21 @@ describe('Process Mining API', () => {
       const res = await request(app).post('/api/process-mining/discover', { events: [] });
       expect(res.status).toBe(400);
     });
+
+    it('should discover a process tree with the inductive miner', async () => {
+      const res = await request(app).post('/api/process-mining/discover?algorithm=inductive', sampleEventPayload());
+      expect(res.status).toBe(200);
+      expect(res.body.tree).toBe("->('Create Order', 'Approve', 'Ship', 'Invoice', 'Pay')");
+      expect(res.body.processTree.operator).toBe('sequence');
+      expect(res.body.petriNet.transitions.length).toBe(5);
+      expect(res.body.bpmn).toContain('<bpmn:task id="Activity_1" name="Create Order"/>');
+    });
+
+    it('should return 400 for an unknown algorithm', async () => {
+      const res = await request(app).post('/api/process-mining/discover?algorithm=alpha', sampleEventPayload());
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('alpha');
+    });
   });
 
   // ── POST /api/process-mining/conformance ──────────────────
@@ -202,6 +220,39 @@ describe('Process Mining API', () => {
       expect(res.status).toBe(200);
       expect(res.body.fitness).toBeDefined();
     });
+
+    it('should compute alignments against a BPMN model', async () => {
+      const flows = ['Create Order', 'Approve', 'Ship', 'Invoice', 'Pay'];
+      const bpmn = `<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL">
+        <bpmn:process id="P" name="Orders">
+          <bpmn:startEvent id="S"/>
+          ${flows.map((name, i) => `<bpmn:task id="T${i}" name="${name}"/>`).join('')}
+          <bpmn:endEvent id="E"/>
+          ${['S', ...flows.map((_, i) => `T${i}`)].map((src, i, all) =>
+    `<bpmn:sequenceFlow id="F${i}" sourceRef="${src}" targetRef="${all[i + 1] || 'E'}"/>`).join('')}
+        </bpmn:process>
+      </bpmn:definitions>`;
+      const payload = { ...sampleEventPayload(), options: { method: 'alignments', bpmn } };
+      const res = await request(app).post('/api/process-mining/conformance', payload);
+      expect(res.status).toBe(200);
+      expect(res.body.summary).toMatchObject({ model: 'Orders', fitness: 1, totalCases: 5 });
+      expect(res.body.caseResults[0].alignment.every((m) => m.type === 'sync')).toBe(true);
+    });
+
+    it('should compute alignments against the O2C reference model', async () => {
+      const payload = { ...sampleEventPayload(), options: { method: 'alignments', processId: 'O2C' } };
+      const res = await request(app).post('/api/process-mining/conformance', payload);
+      expect(res.status).toBe(200);
+      expect(res.body.fitness).toBeLessThan(1);
+      expect(res.body.moveStats.logMoves).toBeGreaterThan(0);
+    });
+
+    it('should return 400 for alignments without a model', async () => {
+      const payload = { ...sampleEventPayload(), options: { method: 'alignments' } };
+      const res = await request(app).post('/api/process-mining/conformance', payload);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('options.bpmn');
+    });
   });
 
   // ── POST /api/process-mining/performance ──────────────────
@@ -248,6 +299,41 @@ describe('Process Mining API', () => {
     });
   });
 
+  // ── POST /api/process-mining/predict ──────────────────────
+
+  describe('POST /api/process-mining/predict', () => {
+    const openEvents = [
+      { caseId: 'OPEN-1', activity: 'Create Order', timestamp: '2024-02-01T08:00:00Z' },
+      { caseId: 'OPEN-1', activity: 'Approve', timestamp: '2024-02-01T09:00:00Z' },
+    ];
+
+    it('should predict open cases from a separate payload', async () => {
+      const payload = { ...sampleEventPayload(), openEvents, options: { sla: { target: 2, unit: 'days' } } };
+      const res = await request(app).post('/api/process-mining/predict', payload);
+      expect(res.status).toBe(200);
+      expect(res.body.evaluation).toMatchObject({ trainCases: 4, testCases: 1 });
+      expect(res.body.predictions).toHaveLength(1);
+      expect(res.body.predictions[0]).toMatchObject({ caseId: 'OPEN-1', nextActivity: 'Ship', remainingTimeMs: 3 * 3600000 });
+      expect(res.body.predictions[0].slaBreachProbability).toBe(0);
+    });
+
+    it('should find open cases by end activity', async () => {
+      const payload = sampleEventPayload();
+      payload.events.push(...openEvents);
+      payload.options = { endActivities: ['Pay'] };
+      const res = await request(app).post('/api/process-mining/predict', payload);
+      expect(res.status).toBe(200);
+      expect(res.body.model.trainedCases).toBe(5);
+      expect(res.body.predictions.map((p) => p.caseId)).toEqual(['OPEN-1']);
+    });
+
+    it('should reject requests without a way to find open cases', async () => {
+      const res = await request(app).post('/api/process-mining/predict', sampleEventPayload());
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('openEvents');
+    });
+  });
+
   // ── GET /api/process-mining/demo/:processId ───────────────
 
   describe('GET /api/process-mining/demo/:processId', () => {
@@ -268,6 +354,100 @@ describe('Process Mining API', () => {
     });
   });
 
+  // ── Object-centric event logs ─────────────────────────────
+
+  describe('POST /api/process-mining/ocel', () => {
+    const tables = {
+      VBAK: [{ VBELN: '10001', KUNNR: 'C1', ERDAT: '20260301', ERNAM: 'U1' }],
+      LIKP: [{ VBELN: '80001', KUNNR: 'C1', ERDAT: '20260302', WADAT_IST: '20260303' }],
+      VBFA: [{ VBELV: '10001', VBELN: '80001', VBTYP_V: 'C', VBTYP_N: 'J' }],
+    };
+
+    it('should build an OCEL from SAP tables with a DFG per object type', async () => {
+      const res = await request(app).post('/api/process-mining/ocel', { processId: 'o2c', tables, objectTypes: ['SalesOrder'] });
+      expect(res.status).toBe(200);
+      expect(res.body.summary.objectTypes).toEqual({ SalesOrder: 1, Delivery: 1, Customer: 1 });
+      expect(Object.keys(res.body.dfg)).toEqual(['SalesOrder']);
+      expect(res.body.dfg.SalesOrder.edges).toContainEqual({ from: 'Create Sales Order', to: 'Create Delivery', count: 1, objects: 1 });
+      expect(res.body.ocel.events.length).toBe(3);
+    });
+
+    it('should return OCEL 2.0 XML when asked', async () => {
+      const res = await request(app).post('/api/process-mining/ocel', { processId: 'O2C', tables, format: 'xml' });
+      expect(res.status).toBe(200);
+      expect(res.body).toContain('<object id="SalesOrder:10001" type="SalesOrder">');
+    });
+
+    it('should flatten an uploaded OCEL to one object type', async () => {
+      const built = await request(app).post('/api/process-mining/ocel', { processId: 'O2C', tables });
+      const res = await request(app).post('/api/process-mining/ocel/flatten', { ocel: built.body.ocel, objectType: 'Delivery' });
+      expect(res.status).toBe(200);
+      expect(res.body.summary.cases).toBe(1);
+      expect(res.body.eventLog.traces[0].events.map((e) => e.activity)).toEqual(['Create Delivery', 'Goods Issue']);
+    });
+
+    it('should reject missing input and unknown object types', async () => {
+      expect((await request(app).post('/api/process-mining/ocel', {})).status).toBe(400);
+      const res = await request(app).post('/api/process-mining/ocel/flatten', { processId: 'O2C', tables, objectType: 'Truck' });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain("Unknown object type 'Truck'");
+      expect((await request(app).post('/api/process-mining/ocel/flatten', { processId: 'O2C', tables })).body.error).toContain('objectType');
+    });
+  });
+
+  // ── XES import ────────────────────────────────────────────
+
+  describe('POST /api/process-mining/import/xes', () => {
+    const xes = (() => {
+      const log = new EventLog('Foreign');
+      for (const caseId of ['A-1', 'A-2', 'A-3']) {
+        log.addEvent(caseId, new Event({ activity: 'Receive', timestamp: '2026-02-01T08:00:00Z' }));
+        log.addEvent(caseId, new Event({ activity: 'Approve', timestamp: '2026-02-01T09:00:00Z', resource: 'U1' }));
+      }
+      return log.toXES();
+    })();
+
+    it('should stream an XES body into an event log', async () => {
+      const res = await request(app).postRaw('/api/process-mining/import/xes?activities=Approve', xes, 'application/xml');
+      expect(res.status).toBe(200);
+      expect(res.body.summary).toMatchObject({ name: 'Foreign', cases: 3, events: 3, activities: 1 });
+      expect(res.body.stats).toMatchObject({ traces: 3, events: 6, importedEvents: 3 });
+      expect(res.body.eventLog.traces[0].events[0]).toMatchObject({ activity: 'Approve', resource: 'U1' });
+    });
+
+    it('should accept gzip bodies and a trace limit', async () => {
+      const res = await request(app).postRaw('/api/process-mining/import/xes?limit=2&name=Sample', zlib.gzipSync(xes), 'application/gzip');
+      expect(res.status).toBe(200);
+      expect(res.body.summary).toMatchObject({ name: 'Sample', cases: 2 });
+      expect(res.body.stats.limitReached).toBe(true);
+    });
+
+    it('should cap the import at 1000 traces unless a limit or sample rate is given', async () => {
+      const log = new EventLog('Large');
+      for (let i = 0; i < 1001; i++) {
+        log.addEvent(`C-${i}`, new Event({ activity: 'Receive', timestamp: '2026-02-01T08:00:00Z' }));
+      }
+      const large = log.toXES();
+
+      const capped = await request(app).postRaw('/api/process-mining/import/xes', large, 'application/xml');
+      expect(capped.status).toBe(200);
+      expect(capped.body.summary.cases).toBe(1000);
+      expect(capped.body.stats.limitReached).toBe(true);
+
+      const sampled = await request(app).postRaw('/api/process-mining/import/xes?sampleRate=1', large, 'application/xml');
+      expect(sampled.body.summary.cases).toBe(1001);
+      expect(sampled.body.stats.limitReached).toBe(false);
+    });
+
+    it('should reject malformed XES, JSON bodies and invalid options', async () => {
+      const bad = await request(app).postRaw('/api/process-mining/import/xes', '<log><trace></log>', 'application/xml');
+      expect(bad.status).toBe(400);
+      expect(bad.body.error).toContain('Malformed XML');
+      expect((await request(app).post('/api/process-mining/import/xes', { xes })).body.error).toContain('raw request body');
+      expect((await request(app).postRaw('/api/process-mining/import/xes?sampleRate=2', xes, 'application/xml')).status).toBe(400);
+    });
+  });
+
   // ── Event log reconstruction ──────────────────────────────
 
   describe('event log reconstruction', () => {
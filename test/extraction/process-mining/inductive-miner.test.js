@@ -0,0 +1,212 @@
+/**
+ * Tests for InductiveMiner and ProcessTree
+ */
+
+const { InductiveMiner, ProcessTree } = require('../../../extraction/process-mining/inductive-miner');
+const { PetriNet } = require('../../../extraction/process-mining/petri-net');
+const { AlignmentChecker } = require('../../../extraction/process-mining/alignment-checker');
+const { Event, Trace, EventLog } = require('../../../extraction/process-mining/event-log');
+const { BpmnParser } = require('../../../lib/signavio');
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const BASE = new Date('2025-01-01T00:00:00Z').getTime();
+const HOUR = 3_600_000;
+
+/**
+ * Build an event log from [activities, count] variants.
+ * @param {Array<[string[], number]>} variants
+ * @returns {EventLog}
+ */
+function buildLog(variants) {
+  const log = new EventLog('TestLog');
+  let n = 0;
+  for (const [activities, count] of variants) {
+    for (let c = 0; c < count; c++) {
+      const trace = new Trace(`C${++n}`);
+      activities.forEach((activity, i) => {
+        trace.addEvent(new Event({ activity, timestamp: new Date(BASE + i * HOUR) }));
+      });
+      log.addTrace(trace);
+    }
+  }
+  return log;
+}
+
+function mine(variants, options = {}) {
+  return new InductiveMiner({ logLevel: 'silent', ...options }).mine(buildLog(variants));
+}
+
+function fitness(variants, model) {
+  return new AlignmentChecker({ logLevel: 'silent' }).check(buildLog(variants), model).fitness;
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe('InductiveMiner', () => {
+  describe('cuts', () => {
+    it('discovers a sequence', () => {
+      expect(mine([[['A', 'B', 'C'], 3]]).toString()).toBe("->('A', 'B', 'C')");
+    });
+
+    it('discovers an exclusive choice', () => {
+      expect(mine([[['A', 'B', 'D'], 2], [['A', 'C', 'D'], 1]]).toString()).toBe("->('A', X('B', 'C'), 'D')");
+    });
+
+    it('discovers concurrency', () => {
+      expect(mine([[['A', 'B', 'C', 'D'], 1], [['A', 'C', 'B', 'D'], 1]]).toString()).toBe("->('A', +('B', 'C'), 'D')");
+    });
+
+    it('discovers a loop with a redo part', () => {
+      const tree = mine([[['A', 'B', 'D'], 1], [['A', 'B', 'C', 'B', 'D'], 1]]);
+      expect(tree.toString()).toBe("->('A', *('B', 'C'), 'D')");
+    });
+
+    it('discovers optional and repeated activities', () => {
+      expect(mine([[['A', 'C'], 1], [['A', 'B', 'C'], 1]]).toString()).toBe("->('A', X(tau, 'B'), 'C')");
+      expect(mine([[['A', 'B', 'C'], 1], [['A', 'B', 'B', 'C'], 1]]).toString()).toBe("->('A', *('B', tau), 'C')");
+    });
+
+    it('discovers the nested SAP order-to-cash shape', () => {
+      const variants = [
+        [['Create Order', 'Credit Check', 'Create Delivery', 'Goods Issue', 'Create Invoice', 'Payment'], 10],
+        [['Create Order', 'Create Delivery', 'Credit Check', 'Goods Issue', 'Create Invoice', 'Payment'], 5],
+        [['Create Order', 'Credit Check', 'Create Delivery', 'Goods Issue', 'Create Invoice', 'Dunning', 'Create Invoice', 'Payment'], 2],
+      ];
+      const tree = mine(variants);
+
+      expect(tree.toString()).toBe(
+        "->('Create Order', +('Create Delivery', 'Credit Check'), 'Goods Issue', *('Create Invoice', 'Dunning'), 'Payment')"
+      );
+      expect(fitness(variants, tree)).toBe(1);
+    });
+  });
+
+  describe('fall-throughs', () => {
+    it('puts an activity that occurs once per trace in parallel', () => {
+      const variants = [[['A', 'B', 'C'], 1], [['C', 'A', 'B'], 1], [['B', 'C', 'A'], 1]];
+      const tree = mine(variants);
+      expect(tree.operator).toBe('and');
+      expect(fitness(variants, tree)).toBe(1);
+    });
+
+    it('always returns a model that fits every trace', () => {
+      const variants = [
+        [['A', 'B', 'C', 'A'], 1],
+        [['B', 'A', 'C'], 1],
+        [['C', 'C', 'B', 'A', 'B'], 1],
+        [[], 1],
+      ];
+      const tree = mine(variants);
+      expect(tree.getActivities()).toEqual(['A', 'B', 'C']);
+      expect(fitness(variants, tree)).toBe(1);
+    });
+
+    it('returns tau for a log of empty traces', () => {
+      expect(mine([[[], 3]]).isTau()).toBe(true);
+    });
+  });
+
+  describe('infrequent variant (IMf)', () => {
+    const noisy = [
+      [['A', 'B', 'C', 'D'], 50],
+      [['A', 'C', 'B', 'D'], 45],
+      [['A', 'B', 'D'], 1],
+    ];
+
+    it('filters infrequent behaviour', () => {
+      const tree = mine(noisy, { noiseThreshold: 0.2 });
+      expect(tree.toString()).toBe("->('A', +('B', 'C'), 'D')");
+    });
+
+    it('keeps all behaviour without a threshold', () => {
+      const tree = mine(noisy);
+      expect(tree.toString()).toBe("->('A', +('B', X(tau, 'C')), 'D')");
+      expect(fitness(noisy, tree)).toBe(1);
+    });
+
+    it('drops infrequent empty traces', () => {
+      const variants = [[['A', 'B'], 50], [[], 1]];
+      expect(mine(variants).toString()).toBe("X(tau, ->('A', 'B'))");
+      expect(mine(variants, { noiseThreshold: 0.1 }).toString()).toBe("->('A', 'B')");
+    });
+
+    it('validates the threshold', () => {
+      expect(() => new InductiveMiner({ noiseThreshold: 1 })).toThrow(/noiseThreshold/);
+    });
+  });
+});
+
+describe('ProcessTree', () => {
+  const tree = ProcessTree.node('sequence', [
+    ProcessTree.leaf('A'),
+    ProcessTree.node('and', [
+      ProcessTree.node('xor', [ProcessTree.leaf('B'), ProcessTree.tau()]),
+      ProcessTree.leaf('C'),
+    ]),
+    ProcessTree.node('loop', [ProcessTree.leaf('D'), ProcessTree.leaf('E')]),
+  ]);
+  const variants = [
+    [['A', 'B', 'C', 'D'], 1],
+    [['A', 'C', 'D', 'E', 'D'], 1],
+    [['A', 'C', 'B', 'D'], 1],
+  ];
+
+  it('flattens nested operators of the same kind', () => {
+    const nested = ProcessTree.node('sequence', [ProcessTree.leaf('A'), ProcessTree.node('sequence', [ProcessTree.leaf('B'), ProcessTree.leaf('C')])]);
+    expect(nested.toString()).toBe("->('A', 'B', 'C')");
+    expect(ProcessTree.node('xor', [ProcessTree.leaf('A')]).toString()).toBe("'A'");
+  });
+
+  it('rejects malformed nodes', () => {
+    expect(() => new ProcessTree({ operator: 'loop', children: [ProcessTree.leaf('A')] })).toThrow(/two children/);
+    expect(() => new ProcessTree({ operator: 'or', children: [] })).toThrow(/Unknown/);
+  });
+
+  it('round-trips through JSON', () => {
+    const copy = ProcessTree.fromJSON(JSON.parse(JSON.stringify(tree.toJSON())));
+    expect(copy.toString()).toBe(tree.toString());
+    expect(copy.getStats()).toMatchObject({ activities: 5, silent: 1, sequence: 1, and: 1, xor: 1, loop: 1, depth: 3 });
+  });
+
+  it('converts to a sound workflow net with the same language', () => {
+    const net = tree.toPetriNet('Tree');
+    expect(net.validate().valid).toBe(true);
+    expect(fitness(variants, net)).toBe(1);
+    expect(fitness([[['A', 'D'], 1]], net)).toBeLessThan(1);
+    // PetriNet.from accepts trees directly
+    expect(PetriNet.from(tree).getLabels()).toEqual(new Set(['A', 'B', 'C', 'D', 'E']));
+  });
+
+  it('exports BPMN that round-trips through BpmnParser', () => {
+    const xml = tree.toBpmn({ id: 'Process_Mined', name: 'Mined & Checked' });
+    const parsed = BpmnParser.parse(xml);
+    const process = parsed.processes[0];
+
+    expect(process.id).toBe('Process_Mined');
+    expect(process.name).toBe('Mined & Checked');
+    expect(process.tasks.map((t) => t.name).sort()).toEqual(['A', 'B', 'C', 'D', 'E']);
+    expect(process.gateways.filter((g) => g.type === 'parallelGateway').length).toBe(2);
+    expect(process.events.map((e) => e.type)).toEqual(['startEvent', 'endEvent']);
+
+    const net = PetriNet.fromBpmn(parsed);
+    expect(net.validate().valid).toBe(true);
+    expect(fitness(variants, parsed)).toBe(1);
+    expect(fitness([[['A', 'D'], 1]], parsed)).toBeLessThan(1);
+  });
+
+  it('exports discovered models as BPMN with the same behaviour', () => {
+    const log = [
+      [['A', 'B', 'C', 'D', 'F'], 3],
+      [['A', 'C', 'B', 'E', 'F'], 2],
+      [['A', 'B', 'C', 'D', 'B', 'C', 'D', 'F'], 1],
+    ];
+    const mined = mine(log);
+    expect(fitness(log, BpmnParser.parse(mined.toBpmn()))).toBe(1);
+  });
+
+  it('escapes activity names in BPMN', () => {
+    const xml = ProcessTree.leaf('Check "A" <&> B').toBpmn();
+    expect(BpmnParser.parse(xml).processes[0].tasks[0].name).toBe('Check "A" <&> B');
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Tests for extraction/process-mining/ocel.js — object-centric event log
+ */
+
+const {
+  ObjectCentricEventLog,
+  parseSapTimestamp,
+  matchesCondition,
+} = require('../../../extraction/process-mining/ocel');
+const { EventLog } = require('../../../extraction/process-mining/event-log');
+
+// Two sales orders shipped in one delivery and billed on one invoice
+function o2cTables() {
+  return {
+    VBAK: [
+      { VBELN: '0000010001', KUNNR: 'C100', AUART: 'OR', NETWR: 1200, ERDAT: '20260301', ERZET: '090000', ERNAM: 'SALES1' },
+      { VBELN: '0000010002', KUNNR: 'C100', AUART: 'OR', NETWR: 300, ERDAT: '20260302', ERZET: '100000', ERNAM: 'SALES2' },
+    ],
+    VBAP: [
+      { VBELN: '0000010001', POSNR: '10', MATNR: 'M-1' },
+      { VBELN: '0000010001', POSNR: '20', MATNR: 'M-2' },
+      { VBELN: '0000010002', POSNR: '10', MATNR: 'M-1' },
+    ],
+    LIKP: [
+      { VBELN: '0080000001', KUNNR: 'C100', ERDAT: '20260303', ERZET: '080000', ERNAM: 'SHIP1', WADAT_IST: '20260304', KODAT: '00000000' },
+    ],
+    VBFA: [
+      { VBELV: '0000010001', VBELN: '0080000001', VBTYP_V: 'C', VBTYP_N: 'J' },
+      { VBELV: '0000010002', VBELN: '0080000001', VBTYP_V: 'C', VBTYP_N: 'J' },
+      { VBELV: '0080000001', VBELN: '0090000001', VBTYP_V: 'J', VBTYP_N: 'M' },
+    ],
+    VBRK: [
+      { VBELN: '0090000001', KUNAG: 'C100', FKART: 'F2', ERDAT: '20260305', ERZET: '070000', ERNAM: 'BILL1', BUKRS: '1000', BELNR: '0100000001', GJAHR: '2026' },
+    ],
+    NAST: [
+      { OBJKY: '0090000001', VSTAT: '1', ERDAT: '20260306', USNAM: 'BILL1' },
+      { OBJKY: '0090000001', VSTAT: '0', ERDAT: '20260307', USNAM: 'BILL1' },
+    ],
+    BKPF: [
+      { BELNR: '0100000001', BUKRS: '1000', GJAHR: '2026', AWKEY: '00900000011000', CPUDT: '20260305', CPUTM: '070500', USNAM: 'BILL1' },
+    ],
+    BSAD: [
+      { BUKRS: '1000', BELNR: '0100000001', GJAHR: '2026', KUNNR: 'C100', AUGDT: '20260320' },
+    ],
+  };
+}
+
+function p2pTables() {
+  return {
+    EBAN: [{ BANFN: '0010000001', EBELN: '4500000001', MATNR: 'M-9', ERDAT: '20260201', ERNAM: 'REQ1', FRGKZ: 'X', FRGDT: '20260202' }],
+    EKKO: [{ EBELN: '4500000001', LIFNR: 'V200', AEDAT: '20260203', ERNAM: 'BUY1', FRGKE: '' }],
+    EKPO: [{ EBELN: '4500000001', EBELP: '10', MATNR: 'M-9' }],
+    EKBE: [
+      { EBELN: '4500000001', EBELP: '10', VGABE: '1', BELNR: '5000000001', GJAHR: '2026', CPUDT: '20260210', CPUTM: '120000', USNAM: 'WH1' },
+      { EBELN: '4500000001', EBELP: '20', VGABE: '1', BELNR: '5000000001', GJAHR: '2026', CPUDT: '20260210', CPUTM: '120000', USNAM: 'WH1' },
+      { EBELN: '4500000001', EBELP: '10', VGABE: '2', BELNR: '5100000001', GJAHR: '2026', CPUDT: '20260212', CPUTM: '090000', USNAM: 'AP1' },
+    ],
+    RBKP: [{ BELNR: '5100000001', GJAHR: '2026', LIFNR: 'V200', CPUDT: '20260212', CPUTM: '090000', USNAM: 'AP1' }],
+    RSEG: [{ BELNR: '5100000001', GJAHR: '2026', EBELN: '4500000001' }],
+    // Document numbers restart per company code and fiscal year
+    BKPF: [
+      { BUKRS: '1000', BELNR: '5100000001', GJAHR: '2026', AWKEY: '51000000012026', CPUDT: '20260212', CPUTM: '090500', USNAM: 'AP1' },
+      { BUKRS: '2000', BELNR: '5100000001', GJAHR: '2026', AWKEY: '', CPUDT: '20260213', CPUTM: '100000', USNAM: 'AP2' },
+    ],
+  };
+}
+
+describe('ObjectCentricEventLog', () => {
+  function smallLog() {
+    const ocel = new ObjectCentricEventLog('orders');
+    ocel.addObject({ id: 'o1', type: 'Order', attributes: { value: 100 } });
+    ocel.addObject({ id: 'o2', type: 'Order' });
+    ocel.addObject({ id: 'i1', type: 'Item' });
+    ocel.relate('o1', 'i1', 'contains');
+    ocel.addEvent({ id: 'e1', type: 'Create', time: '2026-01-01T08:00:00Z', attributes: { resource: 'U1' }, relationships: [{ objectId: 'o1', qualifier: 'order' }, { objectId: 'i1' }] });
+    ocel.addEvent({ id: 'e2', type: 'Create', time: '2026-01-01T09:00:00Z', relationships: [{ objectId: 'o2' }] });
+    ocel.addEvent({ id: 'e3', type: 'Ship', time: '2026-01-02T08:00:00Z', relationships: [{ objectId: 'o1' }, { objectId: 'o2' }, { objectId: 'i1' }] });
+    ocel.addEvent({ id: 'e4', type: 'Pay', time: '2026-01-03T08:00:00Z', relationships: [{ objectId: 'o1' }] });
+    return ocel;
+  }
+
+  it('keeps time-varying object attributes', () => {
+    const ocel = smallLog();
+    ocel.setObjectAttribute('o1', 'value', 80, '2026-01-02T12:00:00Z');
+    const order = ocel.getObject('o1');
+    expect(order.getAttribute('value', '2026-01-01T00:00:00Z')).toBe(100);
+    expect(order.getAttribute('value')).toBe(80);
+    expect(order.getCurrentAttributes()).toEqual({ value: 80 });
+    expect(ocel.objectTypes.get('Order').get('value')).toBe('integer');
+  });
+
+  it('checks relationships and object types', () => {
+    const ocel = smallLog();
+    expect(() => ocel.relate('o1', 'x9')).toThrow(/Unknown object 'x9'/);
+    expect(() => ocel.addEvent({ type: 'A', time: '2026-01-01', relationships: [{ objectId: 'x9' }] })).toThrow(/Unknown object/);
+    expect(() => ocel.addObject({ id: 'o1', type: 'Item' })).toThrow(/already exists with type 'Order'/);
+    expect(() => ocel.addEvent({ id: 'e1', type: 'A', time: '2026-01-01' })).toThrow(/Event 'e1' already exists/);
+    expect(ocel.addEvent({ type: 'A', time: '2026-01-01' }).id).toBe('e5');
+  });
+
+  it('flattens to a classic EventLog per object type', () => {
+    const log = smallLog().flatten('Order');
+    expect(log).toBeInstanceOf(EventLog);
+    expect(log.getCaseCount()).toBe(2);
+    expect(log.getTrace('o1').getActivities()).toEqual(['Create', 'Ship', 'Pay']);
+    expect(log.getTrace('o2').getActivities()).toEqual(['Create', 'Ship']);
+    expect(log.getTrace('o1').events[0].resource).toBe('U1');
+    expect(log.getTrace('o1').events[1].attributes.get('ocel:eid')).toBe('e3');
+    expect(log.getTrace('o1').attributes.get('value')).toBe(100);
+    // The shared Ship event appears in both traces
+    expect(log.getEventCount()).toBe(5);
+    expect(() => smallLog().flatten('Invoice')).toThrow(/Unknown object type 'Invoice'/);
+  });
+
+  it('builds a directly-follows graph per object type', () => {
+    const dfg = smallLog().getDirectlyFollowsGraph();
+    expect(dfg.Order.objects).toBe(2);
+    expect(dfg.Order.activities).toEqual({ Create: 2, Ship: 2, Pay: 1 });
+    expect(dfg.Order.edges).toEqual([
+      { from: 'Create', to: 'Ship', count: 2, objects: 2 },
+      { from: 'Ship', to: 'Pay', count: 1, objects: 1 },
+    ]);
+    expect(dfg.Order.startActivities).toEqual({ Create: 2 });
+    expect(dfg.Order.endActivities).toEqual({ Ship: 1, Pay: 1 });
+    expect(dfg.Item.edges).toEqual([{ from: 'Create', to: 'Ship', count: 1, objects: 1 }]);
+    expect(Object.keys(smallLog().getDirectlyFollowsGraph({ objectTypes: ['Item'] }))).toEqual(['Item']);
+  });
+
+  it('round-trips OCEL 2.0 JSON', () => {
+    const ocel = smallLog();
+    ocel.setObjectAttribute('o1', 'value', 80, '2026-01-02T12:00:00Z');
+    const json = ocel.toJSON();
+    expect(json.objectTypes).toContainEqual({ name: 'Order', attributes: [{ name: 'value', type: 'integer' }] });
+    expect(json.objects[0]).toEqual({
+      id: 'o1',
+      type: 'Order',
+      attributes: [
+        { name: 'value', time: '1970-01-01T00:00:00.000Z', value: 100 },
+        { name: 'value', time: '2026-01-02T12:00:00.000Z', value: 80 },
+      ],
+      relationships: [{ objectId: 'i1', qualifier: 'contains' }],
+    });
+    expect(json.events[0].relationships).toEqual([{ objectId: 'o1', qualifier: 'order' }, { objectId: 'i1', qualifier: '' }]);
+
+    const copy = ObjectCentricEventLog.fromJSON(JSON.stringify(json));
+    expect(copy.toJSON()).toEqual(json);
+    expect(() => ObjectCentricEventLog.fromJSON({ objects: [] })).toThrow(/expected objects and events arrays/);
+  });
+
+  it('round-trips OCEL 2.0 XML with typed attributes', () => {
+    const ocel = smallLog();
+    ocel.addObject({ id: 'c<1>', type: 'Customer & Co', attributes: { name: 'A "quoted" name', vip: true, limit: 2.5 } });
+    ocel.relate('o1', 'c<1>', 'sold-to');
+    const xml = ocel.toXML();
+    expect(xml).toContain('<object id="c&lt;1&gt;" type="Customer &amp; Co">');
+    expect(xml).toContain('<relationship object-id="i1" qualifier="contains"/>');
+    expect(xml).toContain('<event id="e1" type="Create" time="2026-01-01T08:00:00.000Z">');
+
+    const copy = ObjectCentricEventLog.fromXML(xml);
+    expect(copy.toJSON()).toEqual(ocel.toJSON());
+    expect(copy.getObject('c<1>').getAttribute('vip')).toBe(true);
+    expect(copy.getObject('c<1>').getAttribute('limit')).toBe(2.5);
+    expect(() => ObjectCentricEventLog.fromXML('<xes/>')).toThrow(/expected <log> root/);
+  });
+
+  it('summarizes objects, events and relationships', () => {
+    expect(smallLog().getSummary()).toEqual({
+      name: 'orders',
+      objects: 3,
+      events: 4,
+      objectTypes: { Order: 2, Item: 1 },
+      eventTypes: { Create: 2, Ship: 1, Pay: 1 },
+      o2o: 1,
+      e2o: 7,
+    });
+  });
+});
+
+describe('ObjectCentricEventLog.fromSapTables', () => {
+  it('builds O2C objects, relationships and events from the table configuration', () => {
+    const ocel = ObjectCentricEventLog.fromSapTables('O2C', o2cTables());
+    const summary = ocel.getSummary();
+    expect(summary.objectTypes).toEqual({
+      SalesOrder: 2, Delivery: 1, Invoice: 1, AccountingDocument: 1, Customer: 1, Material: 2,
+    });
+    expect(ocel.getObject('SalesOrder:0000010001').relationships).toEqual([
+      { objectId: 'Customer:C100', qualifier: 'sold-to party' },
+      { objectId: 'Material:M-1', qualifier: 'item' },
+      { objectId: 'Material:M-2', qualifier: 'item' },
+    ]);
+    expect(ocel.getObject('Delivery:0080000001').relationships).toContainEqual({ objectId: 'SalesOrder:0000010002', qualifier: 'predecessor' });
+    // AWKEY carries the billing document followed by the company code
+    expect(ocel.getObject('AccountingDocument:1000/0100000001/2026').relationships).toContainEqual({ objectId: 'Invoice:0090000001', qualifier: 'reference document' });
+    expect(ocel.getObject('SalesOrder:0000010001').getAttribute('NETWR')).toBe(1200);
+
+    // One delivery, two orders: the goods issue belongs to both
+    const goodsIssue = [...ocel.events.values()].find((e) => e.type === 'Goods Issue');
+    expect(goodsIssue.time.toISOString()).toBe('2026-03-04T00:00:00.000Z');
+    expect(goodsIssue.relationships.map((r) => r.objectId)).toEqual(expect.arrayContaining([
+      'Delivery:0080000001', 'SalesOrder:0000010001', 'SalesOrder:0000010002', 'Customer:C100',
+    ]));
+    // Initial dates and failed outputs produce no events
+    expect(summary.eventTypes.Pick).toBeUndefined();
+    expect(summary.eventTypes['Send Invoice']).toBe(1);
+    expect(summary.eventTypes['Create Sales Order']).toBe(2);
+
+    const orders = ocel.flatten('SalesOrder');
+    expect(orders.getTrace('SalesOrder:0000010001').getActivities()).toEqual(['Create Sales Order', 'Create Delivery', 'Goods Issue']);
+    const invoices = ocel.flatten('Invoice');
+    expect(invoices.getTrace('Invoice:0090000001').getActivities()).toEqual([
+      'Create Invoice', 'Post Accounting Document', 'Send Invoice', 'Payment Received',
+    ]);
+
+    const dfg = ocel.getDirectlyFollowsGraph({ objectTypes: ['SalesOrder'] });
+    expect(dfg.SalesOrder.edges[0]).toEqual({ from: 'Create Delivery', to: 'Goods Issue', count: 2, objects: 2 });
+  });
+
+  it('turns P2P goods receipts from the PO history into events', () => {
+    const ocel = ObjectCentricEventLog.fromSapTables('P2P', p2pTables());
+    expect(ocel.getObjectsByType('GoodsReceipt').map((o) => o.id)).toEqual(['GoodsReceipt:5000000001/2026']);
+    expect(ocel.getObjectsByType('AccountingDocument').map((o) => o.id)).toEqual([
+      'AccountingDocument:1000/5100000001/2026', 'AccountingDocument:2000/5100000001/2026',
+    ]);
+    // AWKEY carries the invoice document followed by its fiscal year
+    expect(ocel.getObject('AccountingDocument:1000/5100000001/2026').relationships)
+      .toContainEqual({ objectId: 'SupplierInvoice:5100000001/2026', qualifier: 'reference document' });
+    expect(ocel.getObject('AccountingDocument:2000/5100000001/2026').relationships).toEqual([]);
+    const po = ocel.flatten('PurchaseOrder').getTrace('PurchaseOrder:4500000001');
+    expect(po.getActivities()).toEqual(['Create Purchase Order', 'Goods Receipt', 'Invoice Receipt']);
+    expect(po.events[1].resource).toBe('WH1');
+    const pr = ocel.flatten('PurchaseRequisition').getTrace('PurchaseRequisition:0010000001');
+    expect(pr.getActivities()).toEqual(['Create Purchase Requisition', 'Approve Purchase Requisition', 'Create Purchase Order']);
+    expect(ocel.getSummary().eventTypes['Approve Purchase Order']).toBeUndefined();
+  });
+
+  it('rejects processes without an object-centric configuration', () => {
+    expect(() => ObjectCentricEventLog.fromSapTables('R2R', {})).toThrow(/no object-centric configuration/);
+    expect(() => ObjectCentricEventLog.fromSapTables('XYZ', {})).toThrow(/Unknown process 'XYZ'/);
+  });
+});
+
+describe('SAP helpers', () => {
+  it('parses SAP dates and times', () => {
+    expect(parseSapTimestamp('20260315', '143005').toISOString()).toBe('2026-03-15T14:30:05.000Z');
+    expect(parseSapTimestamp('2026-03-15', '14:30:05').toISOString()).toBe('2026-03-15T14:30:05.000Z');
+    expect(parseSapTimestamp('00000000')).toBeNull();
+    expect(parseSapTimestamp('')).toBeNull();
+    expect(parseSapTimestamp(null)).toBeNull();
+  });
+
+  it('evaluates configuration conditions', () => {
+    expect(matchesCondition('FRGKZ = X', { FRGKZ: 'X' })).toBe(true);
+    expect(matchesCondition('FRGKZ = X', { FRGKZ: '' })).toBe(false);
+    expect(matchesCondition('BSTAT = " "', { BSTAT: '' })).toBe(true);
+    expect(matchesCondition('KODAT IS NOT NULL', { KODAT: '00000000' })).toBe(false);
+    expect(matchesCondition('VGABE IN (1,E)', { VGABE: 'E' })).toBe(true);
+    expect(matchesCondition('VSTAT = 1 AND KAPPL = EF', { VSTAT: '1', KAPPL: 'V3' })).toBe(false);
+    expect(matchesCondition('ORGEH changed', { ORGEH: '1' })).toBe(false);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Tests for extraction/process-mining/petri-net.js
+ */
+
+const { PetriNet, markingKey } = require('../../../extraction/process-mining/petri-net');
+const { ReferenceModel, getReferenceModel } = require('../../../extraction/process-mining/reference-models');
+const { HeuristicMiner } = require('../../../extraction/process-mining/heuristic-miner');
+const { Event, Trace, EventLog } = require('../../../extraction/process-mining/event-log');
+const { BpmnParser } = require('../../../lib/signavio');
+
+const BASE = new Date('2025-01-01T00:00:00Z').getTime();
+
+function buildLog(variants) {
+  const log = new EventLog('TestLog');
+  let n = 0;
+  for (const [activities, count] of variants) {
+    for (let c = 0; c < count; c++) {
+      const trace = new Trace(`C${++n}`);
+      activities.forEach((activity, i) => trace.addEvent(new Event({ activity, timestamp: new Date(BASE + i * 60000) })));
+      log.addTrace(trace);
+    }
+  }
+  return log;
+}
+
+/** Markings reachable by silent steps and then one `label` transition (label null: silent steps only) */
+function step(net, markings, label) {
+  const out = new Map();
+  const seen = new Set();
+  const queue = [...markings];
+  while (queue.length > 0) {
+    const cur = queue.shift();
+    const key = markingKey(cur);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (label === null) out.set(key, cur);
+    for (const t of net.enabledTransitions(cur)) {
+      if (t.label === null) queue.push(net.fire(t.id, cur));
+      else if (t.label === label) out.set(markingKey(net.fire(t.id, cur)), net.fire(t.id, cur));
+    }
+  }
+  return [...out.values()];
+}
+
+/** True when the net can replay the labels and reach its final marking */
+function accepts(net, labels) {
+  let markings = [net.initialMarking];
+  for (const label of labels) markings = step(net, markings, label);
+  const finalKey = markingKey(net.finalMarking);
+  return step(net, markings, null).some((m) => markingKey(m) === finalKey);
+}
+
+const PARALLEL_BPMN = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL">
+  <bpmn:process id="P1" name="Parallel">
+    <bpmn:startEvent id="S"/>
+    <bpmn:task id="A" name="A"/>
+    <bpmn:parallelGateway id="G1"/>
+    <bpmn:task id="B" name="B"/>
+    <bpmn:task id="C" name="C"/>
+    <bpmn:parallelGateway id="G2"/>
+    <bpmn:task id="D" name="D"/>
+    <bpmn:endEvent id="E"/>
+    <bpmn:sequenceFlow id="f1" sourceRef="S" targetRef="A"/>
+    <bpmn:sequenceFlow id="f2" sourceRef="A" targetRef="G1"/>
+    <bpmn:sequenceFlow id="f3" sourceRef="G1" targetRef="B"/>
+    <bpmn:sequenceFlow id="f4" sourceRef="G1" targetRef="C"/>
+    <bpmn:sequenceFlow id="f5" sourceRef="B" targetRef="G2"/>
+    <bpmn:sequenceFlow id="f6" sourceRef="C" targetRef="G2"/>
+    <bpmn:sequenceFlow id="f7" sourceRef="G2" targetRef="D"/>
+    <bpmn:sequenceFlow id="f8" sourceRef="D" targetRef="E"/>
+  </bpmn:process>
+</bpmn:definitions>`;
+
+describe('PetriNet', () => {
+  describe('construction and firing', () => {
+    it('fires enabled transitions and rejects disabled ones', () => {
+      const net = new PetriNet('n');
+      net.addPlace('p1').addPlace('p2').addPlace('p3');
+      net.addTransition('t1', 'A', { pre: ['p1'], post: ['p2', 'p3'] });
+      net.addTransition('t2', null, { pre: ['p2', 'p3'], post: ['p1'] });
+
+      expect(net.isEnabled('t1', { p1: 1 })).toBe(true);
+      expect(net.fire('t1', { p1: 1 })).toEqual({ p2: 1, p3: 1 });
+      expect(net.enabledTransitions({ p2: 1, p3: 1 }).map((t) => t.id)).toEqual(['t2']);
+      expect(() => net.fire('t2', { p2: 1 })).toThrow(/not enabled/);
+      expect(net.getLabels()).toEqual(new Set(['A']));
+    });
+
+    it('rejects duplicate transitions and unknown places', () => {
+      const net = new PetriNet('n');
+      net.addPlace('p');
+      net.addTransition('t', 'A', { pre: ['p'], post: ['p'] });
+      expect(() => net.addTransition('t', 'B', { pre: ['p'], post: ['p'] })).toThrow(/already exists/);
+      expect(() => net.addTransition('u', 'B', { pre: ['x'], post: ['p'] })).toThrow(/unknown place/);
+    });
+
+    it('builds canonical marking keys', () => {
+      expect(markingKey({ b: 1, a: 2, c: 0 })).toBe('a*2,b');
+    });
+  });
+
+  describe('fromReferenceModel()', () => {
+    it('accepts exactly the paths of the reference model', () => {
+      const net = PetriNet.fromReferenceModel(new ReferenceModel({
+        id: 'T',
+        name: 'T',
+        activities: ['A', 'B', 'C', 'D'],
+        edges: [
+          { from: 'A', to: 'B', type: 'sequence' },
+          { from: 'A', to: 'C', type: 'choice' },
+          { from: 'B', to: 'D', type: 'sequence' },
+          { from: 'C', to: 'D', type: 'sequence' },
+        ],
+        startActivities: ['A'],
+        endActivities: ['D'],
+      }));
+
+      expect(net.validate().valid).toBe(true);
+      expect(accepts(net, ['A', 'B', 'D'])).toBe(true);
+      expect(accepts(net, ['A', 'C', 'D'])).toBe(true);
+      expect(accepts(net, ['A', 'D'])).toBe(false);
+    });
+
+    it('converts the shipped reference models into sound-looking workflow nets', () => {
+      const net = PetriNet.from(getReferenceModel('O2C'));
+      expect(net.validate()).toEqual({ valid: true, issues: [] });
+      expect(net.getLabels().size).toBeGreaterThan(3);
+    });
+  });
+
+  describe('fromBpmn()', () => {
+    it('accepts both interleavings of a parallel block', () => {
+      const net = PetriNet.from(BpmnParser.parse(PARALLEL_BPMN));
+
+      expect(net.name).toBe('Parallel');
+      expect(net.validate().valid).toBe(true);
+      expect(accepts(net, ['A', 'B', 'C', 'D'])).toBe(true);
+      expect(accepts(net, ['A', 'C', 'B', 'D'])).toBe(true);
+      expect(accepts(net, ['A', 'B', 'D'])).toBe(false);
+    });
+
+    it('treats exclusive gateways as choices', () => {
+      const xml = PARALLEL_BPMN.replace(/parallelGateway/g, 'exclusiveGateway');
+      const net = PetriNet.from(BpmnParser.parse(xml));
+      expect(accepts(net, ['A', 'B', 'D'])).toBe(true);
+      expect(accepts(net, ['A', 'C', 'D'])).toBe(true);
+      expect(accepts(net, ['A', 'B', 'C', 'D'])).toBe(false);
+    });
+
+    it('lets inclusive gateways take any non-empty subset of branches', () => {
+      const xml = PARALLEL_BPMN.replace(/parallelGateway/g, 'inclusiveGateway');
+      const net = PetriNet.from(BpmnParser.parse(xml));
+      expect(accepts(net, ['A', 'B', 'D'])).toBe(true);
+      expect(accepts(net, ['A', 'C', 'B', 'D'])).toBe(true);
+      expect(accepts(net, ['A', 'D'])).toBe(false);
+    });
+  });
+
+  describe('fromProcessModel()', () => {
+    it('converts HeuristicMiner output with AND concurrency', () => {
+      const log = buildLog([[['A', 'B', 'C', 'D'], 20], [['A', 'C', 'B', 'D'], 20]]);
+      const model = new HeuristicMiner({ logLevel: 'silent' }).mine(log);
+      const net = PetriNet.from(model);
+
+      expect(net.validate().valid).toBe(true);
+      expect(accepts(net, ['A', 'B', 'C', 'D'])).toBe(true);
+      expect(accepts(net, ['A', 'C', 'B', 'D'])).toBe(true);
+    });
+  });
+
+  describe('serialization', () => {
+    it('round-trips through JSON', () => {
+      const net = PetriNet.from(BpmnParser.parse(PARALLEL_BPMN));
+      const copy = PetriNet.fromJSON(JSON.parse(JSON.stringify(net.toJSON())));
+      expect(copy.toJSON()).toEqual(net.toJSON());
+      expect(accepts(copy, ['A', 'C', 'B', 'D'])).toBe(true);
+    });
+
+    it('exports PNML with silent transitions and markings', () => {
+      const net = PetriNet.from(BpmnParser.parse(PARALLEL_BPMN));
+      const pnml = net.toPNML();
+      expect(pnml).toContain('<pnml>');
+      expect(pnml).toContain('<text>A</text>');
+      expect(pnml).toContain('activity="$invisible$"');
+      expect(pnml).toContain('<finalmarkings>');
+    });
+
+    it('rejects unsupported models', () => {
+      expect(() => PetriNet.from({})).toThrow(/Unsupported model/);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for extraction/process-mining/predictive-monitor.js — predictive process monitoring
+ */
+
+const { PredictiveMonitor, PredictionResult, END } = require('../../../extraction/process-mining/predictive-monitor');
+const { Event, Trace, EventLog } = require('../../../extraction/process-mining/event-log');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const BASE = Date.parse('2026-01-05T08:00:00Z');
+
+const FAST = ['Create Order', 'Credit Check', 'Ship', 'Invoice'];
+const BLOCKED = ['Create Order', 'Credit Check', 'Credit Block', 'Release', 'Ship', 'Invoice'];
+
+function addCase(log, caseId, start, activities, stepMs) {
+  activities.forEach((activity, i) => {
+    log.addEvent(caseId, new Event({ activity, timestamp: new Date(start + i * stepMs) }));
+  });
+}
+
+// Every third order gets a credit block; blocked orders move a day per step instead of an hour
+function historyLog(cases = 45) {
+  const log = new EventLog('O2C history');
+  for (let c = 0; c < cases; c++) {
+    const blocked = c % 3 === 2;
+    addCase(log, `SO-${c}`, BASE + c * DAY, blocked ? BLOCKED : FAST, blocked ? DAY : HOUR);
+  }
+  return log;
+}
+
+function openCase(caseId, activities, stepMs = HOUR) {
+  const trace = new Trace(caseId);
+  activities.forEach((activity, i) => {
+    trace.addEvent(new Event({ activity, timestamp: new Date(BASE + 100 * DAY + i * stepMs) }));
+  });
+  return trace;
+}
+
+describe('PredictiveMonitor', () => {
+  describe('constructor', () => {
+    it('validates its options', () => {
+      expect(() => new PredictiveMonitor({ abstraction: 'graph' })).toThrow(/abstraction/);
+      expect(() => new PredictiveMonitor({ remainingTimeModel: 'lstm' })).toThrow(/remainingTimeModel/);
+      expect(() => new PredictiveMonitor({ testRatio: 1 })).toThrow(/testRatio/);
+      expect(() => new PredictiveMonitor({ sla: { target: -1, unit: 'days' } })).toThrow(/sla/);
+      expect(new PredictiveMonitor({ sla: { target: 2, unit: 'days' } }).slaMs).toBe(2 * DAY);
+    });
+  });
+
+  describe('train()', () => {
+    it('evaluates on the most recently started cases', () => {
+      const monitor = new PredictiveMonitor({ sla: DAY, logLevel: 'silent' }).train(historyLog());
+      const { evaluation } = monitor;
+
+      expect(evaluation.trainCases).toBe(36);
+      expect(evaluation.testCases).toBe(9);
+      expect(evaluation.testPrefixes).toBe(6 * 4 + 3 * 6);
+      expect(evaluation.remainingTime.maeMs).toBeLessThan(evaluation.remainingTime.baselineMaeMs);
+      expect(evaluation.remainingTime.maeMs).toBe(evaluation.remainingTime.byModel[evaluation.remainingTime.selected]);
+      expect(evaluation.nextActivity.accuracy).toBeGreaterThan(evaluation.nextActivity.baselineAccuracy);
+      expect(evaluation.slaBreach.breachRate).toBeCloseTo(18 / 42, 4);
+      expect(evaluation.slaBreach.brierScore).toBeLessThan(0.25);
+      expect(monitor.trainedCases).toBe(45);
+    });
+
+    it('skips the evaluation when there are too few cases', () => {
+      const log = new EventLog();
+      addCase(log, 'SO-1', BASE, FAST, HOUR);
+      const monitor = new PredictiveMonitor({ logLevel: 'silent' }).train(log);
+      expect(monitor.evaluation).toBeNull();
+      expect(monitor.selectedModel).toBe('transition-system');
+    });
+
+    it('trains only on completed cases when end activities are known', () => {
+      const log = historyLog(9);
+      addCase(log, 'SO-open', BASE, ['Create Order'], HOUR);
+      const monitor = new PredictiveMonitor({ endActivities: ['Invoice'], testRatio: 0, logLevel: 'silent' }).train(log);
+      expect(monitor.trainedCases).toBe(9);
+
+      const noneCompleted = new EventLog();
+      addCase(noneCompleted, 'SO-1', BASE, ['Create Order'], HOUR);
+      expect(() => new PredictiveMonitor({ endActivities: ['Invoice'], logLevel: 'silent' }).train(noneCompleted))
+        .toThrow(/completed case/);
+    });
+  });
+
+  describe('predict()', () => {
+    let monitor;
+
+    beforeAll(() => {
+      monitor = new PredictiveMonitor({ sla: { target: 1, unit: 'days' }, remainingTimeModel: 'transition-system', logLevel: 'silent' })
+        .train(historyLog());
+    });
+
+    it('requires a trained model', () => {
+      expect(() => new PredictiveMonitor().predict(new EventLog())).toThrow(/trained/);
+    });
+
+    it('predicts a blocked order to need days and to breach the SLA', () => {
+      const [p] = monitor.predict(openCase('SO-B', ['Create Order', 'Credit Check', 'Credit Block'], DAY)).predictions;
+      expect(p).toMatchObject({ caseId: 'SO-B', events: 3, lastActivity: 'Credit Block', elapsedMs: 2 * DAY });
+      expect(p.remainingTimeMs).toBe(3 * DAY);
+      expect(p.predictedCompletion).toBe(new Date(BASE + 100 * DAY + 5 * DAY).toISOString());
+      expect(p.nextActivity).toBe('Release');
+      expect(p.nextActivityProbability).toBe(1);
+      expect(p.slaBreachProbability).toBe(1);
+      expect(p.state).toEqual({ horizon: 3, support: 15 });
+    });
+
+    it('weighs the branches of an undecided order', () => {
+      const [p] = monitor.predict(openCase('SO-U', ['Create Order', 'Credit Check'])).predictions;
+      expect(p.nextActivity).toBe('Ship');
+      expect(p.nextActivities).toEqual([
+        { activity: 'Ship', probability: 0.6667 },
+        { activity: 'Credit Block', probability: 0.3333 },
+      ]);
+      expect(p.slaBreachProbability).toBe(0.3333);
+    });
+
+    it('predicts the end of a case', () => {
+      const [p] = monitor.predict(openCase('SO-F', FAST)).predictions;
+      expect(p.nextActivity).toBe(END);
+      expect(p.remainingTimeMs).toBe(0);
+      expect(p.slaBreachProbability).toBe(0);
+    });
+
+    it('backs off to shorter horizons for unseen states', () => {
+      const [p] = monitor.predict(openCase('SO-X', ['Change Order', 'Credit Check', 'Ship'])).predictions;
+      expect(p.state.horizon).toBe(2);
+      expect(p.nextActivity).toBe('Invoice');
+    });
+
+    it('uses the kNN regressor when asked', () => {
+      const knn = new PredictiveMonitor({ sla: DAY, remainingTimeModel: 'knn', k: 5, logLevel: 'silent' }).train(historyLog());
+      const result = knn.predict(openCase('SO-B', ['Create Order', 'Credit Check', 'Credit Block'], DAY));
+      expect(result.model.remainingTimeModel).toBe('knn');
+      expect(result.predictions[0].remainingTimeMs).toBe(3 * DAY);
+      expect(result.predictions[0].slaBreachProbability).toBe(1);
+    });
+
+    it('supports multiset and set abstractions', () => {
+      for (const abstraction of ['multiset', 'set']) {
+        const m = new PredictiveMonitor({ abstraction, testRatio: 0, logLevel: 'silent' }).train(historyLog());
+        const [p] = m.predict(openCase('SO-B', ['Create Order', 'Credit Check', 'Credit Block'], DAY)).predictions;
+        expect(p.nextActivity).toBe('Release');
+      }
+    });
+
+    it('predicts only open cases of a log when end activities are known', () => {
+      const log = historyLog(6);
+      addCase(log, 'SO-open', BASE + 50 * DAY, ['Create Order', 'Credit Check', 'Credit Block'], DAY);
+      const result = new PredictiveMonitor({ endActivities: ['Invoice'], sla: DAY, logLevel: 'silent' })
+        .train(log)
+        .predict(log);
+      expect(result.predictions.map((p) => p.caseId)).toEqual(['SO-open']);
+    });
+  });
+
+  describe('PredictionResult', () => {
+    it('summarizes predictions and lists cases at risk', () => {
+      const monitor = new PredictiveMonitor({ sla: DAY, logLevel: 'silent' }).train(historyLog());
+      const open = new EventLog('open');
+      open.addTrace(openCase('SO-B', ['Create Order', 'Credit Check', 'Credit Block'], DAY));
+      open.addTrace(openCase('SO-F', ['Create Order', 'Credit Check', 'Ship']));
+      const result = monitor.predict(open);
+
+      expect(result).toBeInstanceOf(PredictionResult);
+      expect(result.getAtRisk().map((p) => p.caseId)).toEqual(['SO-B']);
+      const summary = result.getSummary();
+      expect(summary).toMatchObject({ openCases: 2, atRisk: 1, remainingTimeModel: monitor.selectedModel });
+      expect(summary.remainingTimeMaeMs).toBe(monitor.evaluation.remainingTime.maeMs);
+
+      const json = result.toJSON();
+      expect(Object.keys(json)).toEqual(['summary', 'model', 'evaluation', 'predictions']);
+      expect(json.model).toMatchObject({ abstraction: 'sequence', horizon: 3, trainedCases: 45, slaMs: DAY });
+    });
+
+    it('reports no risk figures without an SLA', () => {
+      const result = new PredictiveMonitor({ logLevel: 'silent' }).train(historyLog()).predict(openCase('SO-U', ['Create Order']));
+      expect(result.predictions[0].slaBreachProbability).toBeNull();
+      expect(result.getSummary().atRisk).toBeNull();
+      expect(result.evaluation.slaBreach).toBeNull();
+    });
+  });
+});
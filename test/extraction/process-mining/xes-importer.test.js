@@ -0,0 +1,239 @@
+/**
+ * Tests for extraction/process-mining/xes-importer.js — streaming XES import
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { XesImporter } = require('../../../extraction/process-mining/xes-importer');
+const { Event, EventLog } = require('../../../extraction/process-mining/event-log');
+
+function sampleLog(cases = 4) {
+  const log = new EventLog('O2C Export', { source: 'ERP', year: 2026 });
+  for (let c = 1; c <= cases; c++) {
+    const caseId = `SO-${c}`;
+    log.addEvent(caseId, new Event({
+      activity: 'Create Order', timestamp: `2026-03-0${c}T09:00:00.000Z`, resource: 'SALES1',
+      attributes: { amount: 1200.5, items: c, rush: c % 2 === 0 },
+      sourceRef: { table: 'VBAK', key: caseId, field: 'ERDAT' },
+    }));
+    log.addEvent(caseId, new Event({ activity: 'Ship & Bill', timestamp: `2026-03-0${c}T15:30:00.000Z`, resource: 'SHIP1' }));
+  }
+  return log;
+}
+
+// A log as exported by other mining tools: custom prefixes, globals, nested attributes
+const FOREIGN_XES = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- exported by another tool -->
+<log xes.version="1849-2016" xmlns="http://www.xes-standard.org/">
+  <extension name="Concept" prefix="cn" uri="http://www.xes-standard.org/concept.xesext"/>
+  <extension name="Time" prefix="time" uri="http://www.xes-standard.org/time.xesext"/>
+  <extension name="Lifecycle" prefix="lifecycle" uri="http://www.xes-standard.org/lifecycle.xesext"/>
+  <extension name="Cost" prefix="cost" uri="http://www.xes-standard.org/cost.xesext"/>
+  <global scope="event">
+    <string key="lifecycle:transition" value="complete"/>
+    <string key="org:resource" value="SYSTEM"/>
+  </global>
+  <classifier name="Event Name" keys="cn:name lifecycle:transition"/>
+  <string key="cn:name" value="Purchase Log"/>
+  <trace>
+    <string key="cn:name" value="PO-1"/>
+    <float key="cost:total" value="99.5"/>
+    <event>
+      <string key="cn:name" value="Create PO"><string key="meta" value="ignored"/></string>
+      <date key="time:timestamp" value="2026-01-05T10:00:00.000+01:00"/>
+      <string key="lifecycle:transition" value="start"/>
+      <list key="approvers"><values><string key="a" value="U1"/><string key="b" value="U2"/></values></list>
+      <container key="vendor"><id key="id" value="V-7"/><boolean key="blocked" value="false"/></container>
+    </event>
+    <event>
+      <string key="cn:name" value="Create PO"/>
+      <date key="time:timestamp" value="2026-01-05T10:30:00.000+01:00"/>
+      <string key="org:resource" value="BUYER1"/>
+      <int key="cost:amount" value="42"/>
+    </event>
+    <event>
+      <string key="cn:name" value="Broken"/>
+      <date key="time:timestamp" value="not a date"/>
+    </event>
+  </trace>
+</log>`;
+
+describe('XesImporter', () => {
+  describe('constructor', () => {
+    it('validates sampling and limit options', () => {
+      expect(() => new XesImporter({ sampleRate: 0 })).toThrow(/sampleRate/);
+      expect(() => new XesImporter({ sampleRate: 1.5 })).toThrow(/sampleRate/);
+      expect(() => new XesImporter({ limit: 0 })).toThrow(/limit/);
+      expect(() => new XesImporter({ timeRange: { start: 'soon' } })).toThrow(/timeRange/);
+    });
+  });
+
+  describe('parse()', () => {
+    it('round-trips EventLog.toXES()', () => {
+      const log = sampleLog();
+      const imported = new XesImporter({ logLevel: 'silent' }).parse(log.toXES());
+      expect(imported.toJSON()).toEqual(log.toJSON());
+      expect(imported.getTrace('SO-2').events[0].attributes.get('rush')).toBe(true);
+      expect(imported.getTrace('SO-1').events[0].sourceRef).toEqual({ table: 'VBAK', key: 'SO-1', field: 'ERDAT' });
+    });
+
+    it('maps declared prefixes, globals and typed attributes', () => {
+      const importer = new XesImporter({ logLevel: 'silent' });
+      const log = importer.parse(FOREIGN_XES);
+
+      expect(log.name).toBe('Purchase Log');
+      expect(log.extensions).toEqual(['concept', 'time', 'lifecycle']);
+      expect(log.classifiers['event name']).toBe('cn:name lifecycle:transition');
+
+      const trace = log.getTrace('PO-1');
+      expect(trace.attributes.get('cost:total')).toBe(99.5);
+      expect(trace.attributes.has('cn:name')).toBe(false);
+
+      const [start, complete] = trace.events;
+      expect(start.activity).toBe('Create PO');
+      expect(start.timestamp.toISOString()).toBe('2026-01-05T09:00:00.000Z');
+      expect(start.lifecycle).toBe('start');
+      expect(start.resource).toBe('SYSTEM');
+      expect(start.attributes.get('approvers')).toEqual(['U1', 'U2']);
+      expect(start.attributes.get('vendor')).toEqual({ id: 'V-7', blocked: false });
+      expect(start.attributes.has('meta')).toBe(false);
+      expect(complete.lifecycle).toBe('complete');
+      expect(complete.resource).toBe('BUYER1');
+      expect(complete.attributes.get('cost:amount')).toBe(42);
+
+      expect(importer.stats).toEqual({
+        traces: 1, events: 3, importedTraces: 1, importedEvents: 2, invalidEvents: 1, limitReached: false,
+      });
+    });
+
+    it('accepts gzip-compressed buffers', () => {
+      const log = new XesImporter({ logLevel: 'silent' }).parse(zlib.gzipSync(sampleLog().toXES()));
+      expect(log.getCaseCount()).toBe(4);
+    });
+
+    it('names traces without a case id and keeps the name option', () => {
+      const xes = '<log><trace><event><string key="concept:name" value="A"/>'
+        + '<date key="time:timestamp" value="2026-01-01T00:00:00Z"/></event></trace></log>';
+      const log = new XesImporter({ name: 'Mine', logLevel: 'silent' }).parse(xes);
+      expect(log.name).toBe('Mine');
+      expect([...log.traces.keys()]).toEqual(['trace-1']);
+    });
+
+    it('rejects documents that are not XES', () => {
+      expect(() => new XesImporter({ logLevel: 'silent' }).parse('<ocel/>')).toThrow(/expected <log>/);
+      expect(() => new XesImporter({ logLevel: 'silent' }).parse('<log><trace></log>')).toThrow(/Malformed XML/);
+      expect(() => new XesImporter().parse(42)).toThrow(/XES string or Buffer/);
+    });
+  });
+
+  describe('sampling and filtering', () => {
+    const xes = sampleLog(9).toXES();
+
+    it('samples traces deterministically by case id', () => {
+      const first = new XesImporter({ sampleRate: 0.5, logLevel: 'silent' }).parse(xes);
+      const again = new XesImporter({ sampleRate: 0.5, logLevel: 'silent' }).parse(xes);
+      const other = new XesImporter({ sampleRate: 0.5, seed: 7, logLevel: 'silent' }).parse(xes);
+
+      expect(first.getCaseCount()).toBeGreaterThan(0);
+      expect(first.getCaseCount()).toBeLessThan(9);
+      expect([...again.traces.keys()]).toEqual([...first.traces.keys()]);
+      expect([...other.traces.keys()]).not.toEqual([...first.traces.keys()]);
+    });
+
+    it('stops after the trace limit', () => {
+      const importer = new XesImporter({ limit: 2, logLevel: 'silent' });
+      const log = importer.parse(xes);
+      expect([...log.traces.keys()]).toEqual(['SO-1', 'SO-2']);
+      expect(importer.stats.limitReached).toBe(true);
+      expect(importer.stats.traces).toBe(2);
+    });
+
+    it('filters events by activity, lifecycle and time range and drops emptied traces', () => {
+      const byActivity = new XesImporter({ activities: ['Ship & Bill'], logLevel: 'silent' }).parse(xes);
+      expect(byActivity.getActivitySet()).toEqual(new Set(['Ship & Bill']));
+      expect(byActivity.getEventCount()).toBe(9);
+
+      expect(new XesImporter({ lifecycles: ['start'], logLevel: 'silent' }).parse(xes).getCaseCount()).toBe(0);
+      expect(new XesImporter({ lifecycles: ['start'], keepEmptyTraces: true, logLevel: 'silent' })
+        .parse(xes).getCaseCount()).toBe(9);
+
+      const ranged = new XesImporter({
+        timeRange: { start: '2026-03-02T00:00:00Z', end: '2026-03-03T12:00:00Z' }, logLevel: 'silent',
+      }).parse(xes);
+      expect([...ranged.traces.keys()]).toEqual(['SO-2', 'SO-3']);
+      expect(ranged.getTrace('SO-3').events).toHaveLength(1);
+    });
+
+    it('applies event and trace predicates', () => {
+      const log = new XesImporter({
+        eventFilter: (e) => e.resource === 'SALES1',
+        traceFilter: (t) => t.events[0].attributes.get('items') > 7,
+        logLevel: 'silent',
+      }).parse(xes);
+      expect([...log.traces.keys()]).toEqual(['SO-8', 'SO-9']);
+      expect(log.getEventCount()).toBe(2);
+    });
+  });
+
+  describe('streaming', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xes-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('imports plain and gzip files read in small chunks', async () => {
+      const log = sampleLog(6);
+      fs.writeFileSync(path.join(tmpDir, 'log.xes'), log.toXES());
+      fs.writeFileSync(path.join(tmpDir, 'log.xes.gz'), zlib.gzipSync(log.toXES()));
+      const importer = new XesImporter({ highWaterMark: 64, logLevel: 'silent' });
+
+      const plain = await importer.importFile(path.join(tmpDir, 'log.xes'));
+      const gzipped = await importer.importFile(path.join(tmpDir, 'log.xes.gz'));
+      expect(plain.toJSON()).toEqual(log.toJSON());
+      expect(gzipped.toJSON()).toEqual(log.toJSON());
+      expect(importer.stats.importedEvents).toBe(12);
+    });
+
+    it('decodes multi-byte characters split across chunks', async () => {
+      const log = new EventLog('Umlaute');
+      log.addEvent('C-1', new Event({ activity: 'Prüfung – Freigabe', timestamp: '2026-01-01T00:00:00Z' }));
+      const bytes = Buffer.from(log.toXES(), 'utf8');
+      const chunks = [];
+      for (let i = 0; i < bytes.length; i += 3) chunks.push(bytes.subarray(i, i + 3));
+
+      const imported = await new XesImporter({ logLevel: 'silent' }).importStream(Readable.from(chunks));
+      expect(imported.getTrace('C-1').events[0].activity).toBe('Prüfung – Freigabe');
+    });
+
+    it('yields traces one at a time and closes the file when stopped early', async () => {
+      const file = path.join(tmpDir, 'log.xes.gz');
+      fs.writeFileSync(file, zlib.gzipSync(sampleLog(9).toXES()));
+      const importer = new XesImporter({ highWaterMark: 32, logLevel: 'silent' });
+      const open = vi.spyOn(fs, 'createReadStream');
+
+      const seen = [];
+      for await (const trace of importer.traces(file)) {
+        seen.push(trace.caseId);
+        if (seen.length === 3) break;
+      }
+      expect(seen).toEqual(['SO-1', 'SO-2', 'SO-3']);
+      expect(importer.stats.traces).toBeLessThan(9);
+      expect(open.mock.results[0].value.destroyed).toBe(true);
+      open.mockRestore();
+    });
+
+    it('rejects truncated streams', async () => {
+      const xes = sampleLog(2).toXES();
+      const truncated = Readable.from([xes.slice(0, xes.length - 20)]);
+      await expect(new XesImporter({ logLevel: 'silent' }).importStream(truncated)).rejects.toThrow(/Malformed XML/);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for extraction/process-mining/xml-reader.js
+ */
+
+const { XmlTokenizer, parseXml, childrenNamed, decodeEntities } = require('../../../extraction/process-mining/xml-reader');
+
+describe('parseXml', () => {
+  it('builds an element tree with attributes and text', () => {
+    const root = parseXml(`<?xml version="1.0"?>
+<!DOCTYPE log [ <!ENTITY x "y"> ]>
+<!-- comment -->
+<log version='2.0'>
+  <string key="concept:name" value="A &amp; B"/>
+  <note>Text &lt;1&gt; &#65;&#x42;<![CDATA[ <raw> ]]></note>
+</log>`);
+    expect(root.name).toBe('log');
+    expect(root.attributes).toEqual({ version: '2.0' });
+    expect(root.children.map((c) => c.name)).toEqual(['string', 'note']);
+    expect(childrenNamed(root, 'string')[0].attributes.value).toBe('A & B');
+    expect(childrenNamed(root, 'note')[0].text).toBe('Text <1> AB <raw> ');
+  });
+
+  it('rejects malformed documents', () => {
+    expect(() => parseXml('<a><b></a>')).toThrow(/<\/a> does not close <b>/);
+    expect(() => parseXml('<a>')).toThrow(/unclosed element <a>/);
+    expect(() => parseXml('<a/><b/>')).toThrow(/second root element/);
+    expect(() => parseXml('text')).toThrow(/text outside the root element/);
+    expect(() => parseXml('')).toThrow(/no root element/);
+    expect(() => parseXml('<a attr="x')).toThrow(/unterminated markup/);
+  });
+});
+
+describe('XmlTokenizer', () => {
+  it('reports the same tokens however the input is chunked', () => {
+    const xml = '<log><trace><string key="k" value="a>b"/><date key="t">2026</date></trace><!-- c --></log>';
+    const tokens = (chunkSize) => {
+      const out = [];
+      const tokenizer = new XmlTokenizer({
+        onOpen: (name, attrs, selfClosing) => out.push(['open', name, attrs, selfClosing]),
+        onClose: (name) => out.push(['close', name]),
+        onText: (text) => out.push(['text', text]),
+      });
+      for (let i = 0; i < xml.length; i += chunkSize) tokenizer.write(xml.slice(i, i + chunkSize));
+      tokenizer.end();
+      return out;
+    };
+    const whole = tokens(xml.length);
+    expect(whole).toContainEqual(['open', 'string', { key: 'k', value: 'a>b' }, true]);
+    expect(whole).toContainEqual(['text', '2026']);
+    expect(tokens(1)).toEqual(whole);
+    expect(tokens(7)).toEqual(whole);
+  });
+
+  it('decodes entities', () => {
+    expect(decodeEntities('&quot;&apos;&unknown;')).toBe('"\'&unknown;');
+  });
+});
@@ -1,12 +1,13 @@
 /**
  * Tests for Testing API endpoints
  *
- * Verifies all 6 Testing endpoints: generate, templates, template detail,
- * instantiate, execute, and report.
+ * Verifies all 7 Testing endpoints: generate, templates, template detail,
+ * instantiate, execute, history, and report.
  */
 
 const http = require('http');
 const { createApp } = require('../../server');
+const { stepSignature } = require('../../lib/testing/execution-adapters');
 
 // ── HTTP test helpers ─────────────────────────────────────────
 
@@ -83,6 +84,11 @@ function request(app) {
   };
 }
 
+/** Recording that answers each [step, response] call */
+function recordingOf(...calls) {
+  return { version: 1, steps: Object.fromEntries(calls.map(([step, response]) => [stepSignature(step), [{ response }]])) };
+}
+
 // ── Tests ────────────────────────────────────────────────────
 
 describe('Testing API', () => {
@@ -203,6 +209,7 @@ describe('Testing API', () => {
   describe('POST /api/testing/execute', () => {
     it('should return 200 with execution results', async () => {
       const res = await request(app).post('/api/testing/execute', {
+        recording: recordingOf(),
         testCases: [
           { id: 'tc-1', name: 'Test 1' },
           { id: 'tc-2', name: 'Test 2' },
@@ -216,16 +223,123 @@ describe('Testing API', () => {
       expect(typeof res.body.summary.failed).toBe('number');
       expect(Array.isArray(res.body.results)).toBe(true);
       expect(res.body.results.length).toBe(3);
+      expect(res.body.summary.passed).toBe(0);
+    });
+
+    it('should reject execution without a target or recording', async () => {
+      const res = await request(app).post('/api/testing/execute', {
+        testCases: [{ id: 'tc-1', module: 'FI', steps: [{ action: 'Read', type: 'table_check', params: { table: 'BKPF' } }] }],
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/No test target configured/);
+    });
+
+    it('should run steps against the configured target', async () => {
+      const live = createApp({ NODE_ENV: 'test', LOG_LEVEL: 'error', SAP_BASE_URL: 'http://127.0.0.1:9', SAP_RETRIES: '0' });
+      const res = await request(live).post('/api/testing/execute', {
+        testCases: [{ id: 'tc-1', module: 'SD', steps: [{ action: 'Read', type: 'odata_request', params: { path: '/API_SALES_ORDER_SRV/A_SalesOrder' } }] }],
+      });
+      expect(res.status).toBe(200);
+      expect(res.body.results[0].status).toBe('error');
+      expect(res.body.results[0].steps[0].adapter).toBe('odata');
+    });
+
+    it('should run generated steps through the recorded mock and keep the report', async () => {
+      const read = { type: 'table_check', params: { table: 'MARD' } };
+      const post = { type: 'bapi_call', params: { bapi: 'BAPI_GOODSMVT_CREATE' } };
+      const testCases = [{
+        id: 'tc-mm-1',
+        name: 'Stock check',
+        module: 'MM',
+        steps: [{ action: 'Read stock', ...read }, { action: 'Post GR', ...post }],
+      }];
+      const recording = recordingOf([read, { rows: [{ MATNR: 'M-1' }] }], [post, { RETURN: [] }]);
+      const res = await request(app).post('/api/testing/execute', { testCases, recording });
+      expect(res.status).toBe(200);
+      expect(res.body.results[0].status).toBe('passed');
+      expect(res.body.results[0].steps.map((s) => s.adapter)).toEqual(['recorded', 'recorded']);
+
+      const report = await request(app).get('/api/testing/report');
+      expect(report.body.summary.total).toBe(1);
+      expect(report.body.modules.MM.passed).toBe(1);
+    });
+
+    it('should skip steps a supplied recording does not cover', async () => {
+      const res = await request(app).post('/api/testing/execute', {
+        recording: { version: 1, steps: {} },
+        testCases: [{ id: 'tc-1', module: 'FI', steps: [{ action: 'Read', type: 'table_check', params: { table: 'BKPF' } }] }],
+      });
+      expect(res.status).toBe(200);
+      expect(res.body.results[0].status).toBe('skipped');
     });
 
     it('should handle empty test cases array', async () => {
-      const res = await request(app).post('/api/testing/execute', { testCases: [] });
+      const res = await request(app).post('/api/testing/execute', { testCases: [], recording: recordingOf() });
       expect(res.status).toBe(200);
       expect(res.body.summary.total).toBe(0);
       expect(res.body.results).toEqual([]);
     });
   });
 
+  // ── GET /api/testing/history ────────────────────────────────
+
+  describe('GET /api/testing/history', () => {
+    // The recorded table read returns one row
+    const check = { type: 'table_check', params: { table: 'BKPF' } };
+    const run = (op) => ({
+      suite: 'smoke',
+      environment: 'QAS',
+      recording: recordingOf([check, { rows: [{}] }]),
+      testCases: [
+        { id: 'tc-1', module: 'FI', steps: [{ action: 'Check', type: 'table_check', params: { table: 'BKPF' }, assertions: [{ path: 'rows', op }] }] },
+      ],
+    });
+
+    it('should record executed runs and chart them per suite and environment', async () => {
+      await request(app).post('/api/testing/execute', run('notEmpty'));
+      const failing = await request(app).post('/api/testing/execute', run('empty'));
+      expect(failing.body.runId).toMatch(/^smoke-/);
+      await request(app).post('/api/testing/execute', { testCases: [{ id: 'x', module: 'MM', steps: [] }], recording: recordingOf() });
+
+      const res = await request(app).get('/api/testing/history?suite=smoke&environment=QAS');
+      expect(res.status).toBe(200);
+      expect(res.body.runs).toHaveLength(2);
+      expect(res.body.trend.passRate).toEqual([100, 0]);
+      expect(res.body.trend.modules.FI).toEqual([100, 0]);
+      expect(res.body.lastGreenRun.runId).toBe(res.body.runs[0].runId);
+      expect(res.body.newlyFailing.map((t) => t.testId)).toEqual(['tc-1']);
+    });
+
+    it('should keep runs in the server persistence', async () => {
+      await request(app).post('/api/testing/execute', run('notEmpty'));
+      const runs = await app._persistence.listTestRuns({ suite: 'smoke' });
+      expect(runs).toHaveLength(1);
+      expect(runs[0]).toMatchObject({ environment: 'QAS', summary: { passed: 1 } });
+    });
+
+    it('should reject an invalid limit', async () => {
+      const res = await request(app).get('/api/testing/history?suite=smoke&environment=QAS&limit=0');
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/positive integer/);
+    });
+
+    it('should require a suite and an environment', async () => {
+      await request(app).post('/api/testing/execute', run('notEmpty'));
+      for (const query of ['', '?suite=smoke', '?environment=QAS']) {
+        const res = await request(app).get(`/api/testing/history${query}`);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/suite and environment are required/);
+      }
+    });
+
+    it('should reject a run id longer than the history keeps', async () => {
+      const res = await request(app).post('/api/testing/execute', { ...run('notEmpty'), runId: 'r'.repeat(65) });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/at most 64 characters/);
+      expect(await app._persistence.listTestRuns()).toEqual([]);
+    });
+  });
+
   // ── GET /api/testing/report ─────────────────────────────────
 
   describe('GET /api/testing/report', () => {
@@ -7,7 +7,7 @@
 
 const path = require('path');
 
-const { loadConfig, validateConfig, DEFAULTS } = require('../../lib/config');
+const { loadConfig, validateConfig, rfcConnectionParams, DEFAULTS } = require('../../lib/config');
 
 describe('lib/config', () => {
   // Preserve original env and restore after each test to prevent leakage
@@ -72,6 +72,7 @@ describe('lib/config', () => {
       expect(DEFAULTS.MIGRATION_MODE).toBe('mock');
       expect(DEFAULTS.MIGRATION_BATCH_SIZE).toBe(500);
       expect(DEFAULTS.MIGRATION_CONCURRENCY).toBe(5);
+      expect(DEFAULTS.PERSISTENCE_MODE).toBe('memory');
       expect(DEFAULTS.CLOUD_ALM_MODE).toBe('mock');
       expect(DEFAULTS.METRICS_PREFIX).toBe('sapconnect');
       expect(DEFAULTS.HEALTH_TIMEOUT_MS).toBe(5000);
@@ -106,11 +107,13 @@ describe('lib/config', () => {
       expect(config.sapRfcSysnr).toBeNull();
       expect(config.sapRfcSapRouter).toBeNull();
       expect(config.migrationMode).toBe('mock');
+      expect(config.persistenceMode).toBe('memory');
       expect(config.checkpointDir).toBe(
         path.join(process.cwd(), '.sapconnect-checkpoints')
       );
       expect(config.migrationBatchSize).toBe(500);
       expect(config.migrationConcurrency).toBe(5);
+      expect(config.migrationObjectDirs).toEqual([]);
       expect(config.cloudAlmMode).toBe('mock');
       expect(config.cloudAlmBaseUrl).toBeNull();
       expect(config.cloudAlmTokenUrl).toBeNull();
@@ -208,6 +211,11 @@ describe('lib/config', () => {
       expect(config.corsOrigins).toEqual(['a.com', 'b.com', 'c.com']);
     });
 
+    it('should parse comma-separated MIGRATION_OBJECT_DIRS into an array', () => {
+      const config = loadConfig({ MIGRATION_OBJECT_DIRS: 'clients/acme/migration-objects, shared/objects' });
+      expect(config.migrationObjectDirs).toEqual(['clients/acme/migration-objects', 'shared/objects']);
+    });
+
     it('should trim whitespace in CORS_ORIGINS entries', () => {
       const config = loadConfig({ CORS_ORIGINS: ' a.com , b.com , c.com ' });
       expect(config.corsOrigins).toEqual(['a.com', 'b.com', 'c.com']);
@@ -346,6 +354,14 @@ describe('lib/config', () => {
       expect(result.errors.some((e) => e.includes('Invalid LOG_LEVEL'))).toBe(true);
     });
 
+    it('should fail when PERSISTENCE_MODE is invalid', () => {
+      const config = loadConfig({ PERSISTENCE_MODE: 'file' });
+      const result = validateConfig(config, 'mock');
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.some((e) => e.includes('Invalid PERSISTENCE_MODE'))).toBe(true);
+    });
+
     it('should accept all valid LOG_LEVEL values', () => {
       for (const level of ['debug', 'info', 'warn', 'error']) {
         const config = loadConfig();
@@ -374,4 +390,18 @@ describe('lib/config', () => {
       expect(result.errors.length).toBeGreaterThanOrEqual(4);
     });
   });
+
+  describe('rfcConnectionParams', () => {
+    it('should return null without an RFC host', () => {
+      expect(rfcConnectionParams(loadConfig({ SAP_RFC_ASHOST: '', SAP_RFC_MSHOST: '' }))).toBeNull();
+    });
+
+    it('should map the RFC settings and SAP logon to connection parameters', () => {
+      const params = rfcConnectionParams(loadConfig({
+        SAP_RFC_MSHOST: 'ms.example.com', SAP_RFC_GROUP: 'PUBLIC', SAP_RFC_R3NAME: 'PRD',
+        SAP_CLIENT: '100', SAP_USERNAME: 'RFCUSER', SAP_PASSWORD: 'secret',
+      }));
+      expect(params).toMatchObject({ mshost: 'ms.example.com', group: 'PUBLIC', r3name: 'PRD', client: '100', user: 'RFCUSER', passwd: 'secret' });
+    });
+  });
 });
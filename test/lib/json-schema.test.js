@@ -0,0 +1,35 @@
+const { validateSchema } = require('../../lib/json-schema');
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['id'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', pattern: '^[A-Z]+$' },
+      tags: { type: 'array', minItems: 1, items: { $ref: '#/definitions/Tag' } },
+      weight: { type: 'number', minimum: 0, maximum: 1 },
+    },
+    definitions: {
+      Tag: { type: 'string', enum: ['a', 'b'] },
+    },
+  };
+
+  it('accepts valid values', () => {
+    expect(validateSchema({ id: 'X', tags: ['a'], weight: 0.5 }, schema)).toEqual([]);
+  });
+
+  it('reports errors with their path and resolves $refs against the root', () => {
+    expect(validateSchema({ id: 'x', tags: ['c'], weight: 2, extra: 1 }, schema, { label: 'item' })).toEqual([
+      'id: does not match ^[A-Z]+$',
+      'tags[0]: must be one of a, b',
+      'weight: must be <= 1',
+      "item: unknown property 'extra'",
+    ]);
+    expect(validateSchema([], schema)).toEqual(['value: expected object']);
+    expect(validateSchema({ tags: [] }, schema)).toEqual([
+      "value: missing required property 'id'",
+      'tags: must have at least 1 item(s)',
+    ]);
+  });
+});
@@ -151,5 +151,81 @@ describe('AssessmentToolHandlers', () => {
       await h.handle('assessment_plan_migration', {});
       expect(ctx.lastMigrationPlan).toBeDefined();
     });
+
+    it('should estimate remediation from the mock assessment', async () => {
+      const result = await handlers.handle('assessment_plan_migration', { confidence: 0.9 });
+      const estimate = result.remediationEstimate;
+      expect(estimate.findings).toBeGreaterThan(0);
+      expect(estimate).toMatchObject({ confidence: 0.9, calibrated: false });
+      expect(estimate.low).toBeLessThan(estimate.hours);
+      expect(result.phases[1].activities[1]).toContain(`est. ${estimate.hours} hours`);
+      expect(result.risks[0].mitigation).toContain(`90% effort interval (${estimate.high} hours)`);
+    });
+
+    it('should use the effort model and the session assessment', async () => {
+      const { EffortModel } = require('../../../lib/scoring/effort-model');
+      const model = new EffortModel({}, { logLevel: 'error' });
+      for (let i = 0; i < 5; i++) model.recordActual({ ruleId: 'R1', severity: 'low', objectType: 'PROG' }, 40);
+      model.fit();
+      const findings = [{ ruleId: 'R1', severity: 'low', objectType: 'PROG', object: 'ZREP_A' }];
+      const h = new AssessmentToolHandlers({ effortModel: model, sessionContext: { lastAssessment: { findings } } });
+      const result = await h.handle('assessment_plan_migration', {});
+      expect(result.remediationEstimate).toMatchObject({ findings: 1, objects: 1, calibrated: true, sampleSize: 5 });
+      expect(result.remediationEstimate.hours).toBeGreaterThan(4);
+    });
+
+    it('should leave remediation unestimated in live mode without an assessment', async () => {
+      const h = new AssessmentToolHandlers({ mode: 'live' });
+      const result = await h.handle('assessment_plan_migration', {});
+      expect(result.remediationEstimate).toBeNull();
+      expect(result.phases[1].activities[1]).toBe('Remediate custom ABAP code (142 programs)');
+    });
+  });
+
+  describe('assessment_record_remediation_actual', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let clientsDir;
+
+    beforeEach(() => {
+      clientsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'effort-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(clientsDir, { recursive: true, force: true });
+    });
+
+    it('should record the actual, refit and save the client model', async () => {
+      const h = new AssessmentToolHandlers({ clientsDir, logger: handlers.logger });
+      const params = { clientName: 'acme', ruleId: 'R1', severity: 'low', objectType: 'PROG', object: 'ZREP_A', recordedBy: 'jdoe' };
+      await h.handle('assessment_record_remediation_actual', { ...params, hours: 40 });
+      const result = await h.handle('assessment_record_remediation_actual', { ...params, hours: 40 });
+
+      expect(result.actual).toMatchObject({ ruleId: 'R1', object: 'ZREP_A', hours: 40, recordedBy: 'jdoe' });
+      expect(result.file).toBe(path.join(clientsDir, 'acme', 'effort-model.json'));
+      expect(result).toMatchObject({ fittedSamples: 2, ruleFactor: { samples: 2 } });
+      expect(result.estimate.hours).toBeGreaterThan(4);
+
+      const saved = JSON.parse(fs.readFileSync(result.file, 'utf8'));
+      expect(saved.actuals).toHaveLength(2);
+      expect(saved.ruleFactors.R1.factor).toBeGreaterThan(1);
+
+      const plan = await h.handle('assessment_plan_migration', { clientName: 'acme' });
+      expect(plan.remediationEstimate).toMatchObject({ calibrated: true, sampleSize: 2 });
+    });
+
+    it('should reject invalid actuals and client names', async () => {
+      const h = new AssessmentToolHandlers({ clientsDir });
+      await expect(h.handle('assessment_record_remediation_actual', { clientName: 'acme', ruleId: 'R1', severity: 'low', hours: 0 }))
+        .rejects.toThrow(/positive number of hours/);
+      await expect(h.handle('assessment_record_remediation_actual', { clientName: '../acme', ruleId: 'R1', severity: 'low', hours: 2 }))
+        .rejects.toThrow(/Invalid clientName/);
+      await expect(h.handle('assessment_record_remediation_actual', { clientName: 'acme', ruleId: 'R1', hours: 2 }))
+        .rejects.toThrow(/Invalid severity: undefined/);
+      await expect(h.handle('assessment_record_remediation_actual', { clientName: 'acme', ruleId: 'R1', severity: 'urgent', hours: 2 }))
+        .rejects.toThrow(/Invalid severity: urgent/);
+      expect(fs.existsSync(path.join(clientsDir, 'acme'))).toBe(false);
+    });
   });
 });
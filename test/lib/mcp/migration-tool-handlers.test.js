@@ -141,4 +141,111 @@ describe('MigrationToolHandlers', () => {
       expect(result.objectsByCategory).toBeDefined();
     });
   });
+
+  describe('migration_run_all', () => {
+    it('returns the wave plan on dry run', async () => {
+      const result = await handlers.handle('migration_run_all', { objectIds: ['GL_ACCOUNT_MASTER', 'GL_BALANCE'] });
+      expect(result.dryRun).toBe(true);
+      expect(result.status).toBe('planned');
+      expect(result.waves.map(w => w.objects)).toEqual([['GL_ACCOUNT_MASTER'], ['GL_BALANCE']]);
+    });
+
+    it('runs the waves when dryRun is false', async () => {
+      const result = await handlers.handle('migration_run_all', {
+        dryRun: false,
+        concurrency: 2,
+        objectIds: ['GL_ACCOUNT_MASTER', 'COST_CENTER', 'GL_BALANCE'],
+      });
+      expect(result.dryRun).toBe(false);
+      expect(result.concurrency).toBe(2);
+      expect(result.completed).toBe(3);
+      expect(result.waves).toHaveLength(2);
+      expect(result.totalRecords).toBeGreaterThan(0);
+    });
+
+    it('rejects unknown objects and invalid concurrency', async () => {
+      expect((await handlers.handle('migration_run_all', { objectIds: ['NOPE'] })).error).toBe('not_found');
+      expect((await handlers.handle('migration_run_all', { concurrency: -1 })).error).toBe('invalid');
+    });
+  });
+
+  describe('migration_rollback', () => {
+    it('rolls back a journaled run after a preview', async () => {
+      const run = await handlers.handle('migration_run_all', { dryRun: false, objectIds: ['GL_ACCOUNT_MASTER', 'GL_BALANCE'] });
+      expect(run.runId).toMatch(/^run-/);
+
+      const preview = await handlers.handle('migration_rollback', { runId: run.runId });
+      expect(preview.dryRun).toBe(true);
+      expect(preview.status).toBe('planned');
+      expect(preview.waves.map(w => w.objects)).toEqual([['GL_BALANCE'], ['GL_ACCOUNT_MASTER']]);
+
+      const result = await handlers.handle('migration_rollback', { runId: run.runId, dryRun: false });
+      expect(result.status).toBe('completed');
+      expect(result.objects.map(o => [o.objectId, o.strategy])).toEqual([
+        ['GL_BALANCE', 'reversal'], ['GL_ACCOUNT_MASTER', 'deletion_flag'],
+      ]);
+    });
+
+    it('requires a run or object', async () => {
+      expect((await handlers.handle('migration_rollback', {})).error).toBe('invalid');
+    });
+  });
+
+  describe('quarantine tools', () => {
+    let quarantine;
+
+    beforeEach(() => {
+      const { QuarantineManager } = require('../../../migration/quarantine');
+      quarantine = new QuarantineManager({ logLevel: 'error' });
+      handlers = new MigrationToolHandlers({ mode: 'mock', quarantine });
+    });
+
+    it('lists open quarantined records', async () => {
+      await quarantine.capture('COST_CENTER', 'load', [{ sourceKey: 'KOKRS=1000', error: 'rejected', payload: { ControllingArea: '1000' } }]);
+      const result = await handlers.handle('migration_quarantine_list', {});
+      expect(result.count).toBe(1);
+      expect(result.entries[0].phase).toBe('load');
+      expect(result.summary.total).toBe(1);
+    });
+
+    it('fixes a quarantined payload', async () => {
+      const [entry] = await quarantine.capture('COST_CENTER', 'load', [{ error: 'x', payload: { A: 1 } }]);
+      const result = await handlers.handle('migration_quarantine_fix', { id: entry.ID, payload: { A: 2 } });
+      expect(result.payload).toEqual({ A: 2 });
+    });
+
+    it('returns not_found when fixing an unknown entry', async () => {
+      const result = await handlers.handle('migration_quarantine_fix', { id: 'nope', payload: {} });
+      expect(result.error).toBe('not_found');
+    });
+
+    it('passes the quarantine to run_all', async () => {
+      const MigrationObjectRegistry = require('../../../migration/objects/registry');
+      const registry = new MigrationObjectRegistry();
+      const runAll = vi.spyOn(registry, 'runAll');
+      handlers = new MigrationToolHandlers({ mode: 'mock', quarantine, registry });
+
+      await handlers.handle('migration_run_all', { dryRun: false, objectIds: ['COST_CENTER'] });
+      expect(runAll.mock.calls[0][1].quarantine).toBe(quarantine);
+    });
+
+    it('backs the default quarantine with the given persistence', async () => {
+      const { PersistenceAdapter } = require('../../../lib/persistence');
+      const { QuarantineManager } = require('../../../migration/quarantine');
+      const persistence = new PersistenceAdapter();
+      await new QuarantineManager({ persistence, logLevel: 'error' })
+        .capture('COST_CENTER', 'validate', [{ sourceKey: 'KOSTL=1', error: 'x' }]);
+
+      const result = await new MigrationToolHandlers({ mode: 'mock', persistence })
+        .handle('migration_quarantine_list', {});
+      expect(result.count).toBe(1);
+    });
+
+    it('previews re-submission by default', async () => {
+      await quarantine.capture('COST_CENTER', 'load', [{ error: 'x', payload: { A: 1 } }]);
+      const result = await handlers.handle('migration_quarantine_resubmit', {});
+      expect(result.dryRun).toBe(true);
+      expect(result.wouldResubmit).toBe(1);
+    });
+  });
 });
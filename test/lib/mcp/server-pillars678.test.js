@@ -16,9 +16,9 @@ describe('McpServer — Pillars 6-8 Tools', () => {
   // ─────────────────────────────────────────────────────────────────────────
 
   describe('tools/list includes Pillar 6-8 tools', () => {
-    it('should have 108 total tools (43 SAP + 15 Infor + 50 universal)', async () => {
+    it('should have 113 total tools (43 SAP + 15 Infor + 55 universal)', async () => {
       const result = await server._handleToolsList();
-      expect(result.tools).toHaveLength(108);
+      expect(result.tools).toHaveLength(113);
     });
 
     it('should include all signavio tools', async () => {
@@ -19,9 +19,9 @@ describe('McpServer — Universal Bridge Integration', () => {
   // ─────────────────────────────────────────────────────────────────────────
 
   describe('tool registration', () => {
-    it('should list 108 total tools (43 SAP + 15 Infor + 50 universal)', async () => {
+    it('should list 113 total tools (43 SAP + 15 Infor + 55 universal)', async () => {
       const result = await server.handleMessage({ id: 1, method: 'tools/list' });
-      expect(result.result.tools).toHaveLength(108);
+      expect(result.result.tools).toHaveLength(113);
     });
 
     it('should include all forensic tools', async () => {
@@ -253,5 +253,19 @@ describe('McpServer — Universal Bridge Integration', () => {
       const progress = JSON.parse(progressResult.result.content[0].text);
       expect(progress.status).toBe('completed');
     });
+
+    it('hands the shared quarantine to the migration handlers', async () => {
+      const { QuarantineManager } = require('../../../migration/quarantine');
+      const quarantine = new QuarantineManager({ logLevel: 'error' });
+      await quarantine.capture('COST_CENTER', 'load', [{ sourceKey: 'KOSTL=1', error: 'rejected' }]);
+      server = new McpServer({ mode: 'mock', quarantine });
+
+      const result = await server.handleMessage({
+        id: 32, method: 'tools/call',
+        params: { name: 'migration_quarantine_list', arguments: {} },
+      });
+      expect(JSON.parse(result.result.content[0].text).count).toBe(1);
+      expect(server._migrationHandlers._quarantine).toBe(quarantine);
+    });
   });
 });
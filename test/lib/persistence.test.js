@@ -226,6 +226,106 @@ describe('PersistenceAdapter (memory)', () => {
 
   // ── End-to-end: Extraction lifecycle ────────────────────────
 
+  describe('saveWatermark / loadWatermark', () => {
+    it('should save and load a watermark', async () => {
+      await store.saveWatermark('GL_BALANCE', { strategy: 'timestamp', watermark: '20240115120000', recordCount: 30 });
+      const wm = await store.loadWatermark('GL_BALANCE');
+      expect(wm.strategy).toBe('timestamp');
+      expect(wm.watermark).toBe('20240115120000');
+      expect(wm.recordCount).toBe(30);
+    });
+
+    it('should round-trip object watermarks', async () => {
+      await store.saveWatermark('COST_CENTER', { strategy: 'hash', watermark: { 'K|1': 'abc' } });
+      const wm = await store.loadWatermark('COST_CENTER');
+      expect(wm.watermark).toEqual({ 'K|1': 'abc' });
+    });
+
+    it('should keep the record ID on update', async () => {
+      const first = await store.saveWatermark('GL_BALANCE', { strategy: 'timestamp', watermark: '1' });
+      const second = await store.saveWatermark('GL_BALANCE', { strategy: 'timestamp', watermark: '2' });
+      expect(second.ID).toBe(first.ID);
+      expect((await store.loadWatermark('GL_BALANCE')).watermark).toBe('2');
+    });
+
+    it('should return null when no watermark exists', async () => {
+      expect(await store.loadWatermark('NONE')).toBeNull();
+    });
+
+    it('should clear a watermark', async () => {
+      await store.saveWatermark('GL_BALANCE', { strategy: 'timestamp', watermark: '1' });
+      expect(await store.clearWatermark('GL_BALANCE')).toBe(true);
+      expect(await store.loadWatermark('GL_BALANCE')).toBeNull();
+      expect(await store.clearWatermark('GL_BALANCE')).toBe(false);
+    });
+  });
+
+  describe('value-mapping versions', () => {
+    it('should list versions oldest first and return the latest by default', async () => {
+      await store.saveValueMappingVersion({ clientName: 'acme', name: 'plants', version: 2, entries: { P1: '1010' } });
+      await store.saveValueMappingVersion({ clientName: 'acme', name: 'plants', version: 1, entries: { P1: '1000' } });
+      const versions = await store.listValueMappingVersions('acme', 'plants');
+      expect(versions.map((v) => v.version)).toEqual([1, 2]);
+      expect((await store.getValueMappingVersion('acme', 'plants')).entries).toEqual({ P1: '1010' });
+      expect((await store.getValueMappingVersion('acme', 'plants', 1)).entries).toEqual({ P1: '1000' });
+    });
+
+    it('should keep clients apart', async () => {
+      await store.saveValueMappingVersion({ clientName: 'acme', name: 'plants', version: 1, entries: {} });
+      expect(await store.getValueMappingVersion('other', 'plants')).toBeNull();
+      expect(await store.listValueMappingVersions('other', 'plants')).toEqual([]);
+    });
+  });
+
+  describe('saveCutoverRunbook / loadCutoverRunbook', () => {
+    it('should save, update and load runbook state', async () => {
+      const first = await store.saveCutoverRunbook({ runbookId: 'cut-1', status: 'not_started', state: { tasks: [] } });
+      const second = await store.saveCutoverRunbook({ runbookId: 'cut-1', status: 'in_progress', state: { tasks: [{ id: 'A' }] } });
+      expect(second.ID).toBe(first.ID);
+      const loaded = await store.loadCutoverRunbook('cut-1');
+      expect(loaded.status).toBe('in_progress');
+      expect(loaded.state).toEqual({ tasks: [{ id: 'A' }] });
+    });
+
+    it('should store a copy of the state', async () => {
+      const state = { tasks: [{ id: 'A', status: 'pending' }] };
+      await store.saveCutoverRunbook({ runbookId: 'cut-1', state });
+      state.tasks[0].status = 'completed';
+      expect((await store.loadCutoverRunbook('cut-1')).state.tasks[0].status).toBe('pending');
+      expect(await store.loadCutoverRunbook('missing')).toBeNull();
+    });
+  });
+
+  describe('saveLoadJournalEntry / listLoadJournalEntries', () => {
+    it('should save, update and filter journal entries', async () => {
+      const entry = await store.saveLoadJournalEntry({ runId: 'r1', objectId: 'GL_BALANCE', targetKey: 'BUKRS=1000', keys: { CompanyCode: '1000' } });
+      await store.saveLoadJournalEntry({ runId: 'r2', objectId: 'GL_BALANCE', targetKey: 'BUKRS=2000' });
+      expect(entry.status).toBe('loaded');
+
+      await store.saveLoadJournalEntry({ ...entry, status: 'rolled_back', reversalKey: '4900000001' });
+      expect(await store.listLoadJournalEntries({ status: 'loaded' })).toHaveLength(1);
+      const [saved] = await store.listLoadJournalEntries({ runId: 'r1' });
+      expect(saved.ID).toBe(entry.ID);
+      expect(saved.reversalKey).toBe('4900000001');
+      expect(saved.keys).toEqual({ CompanyCode: '1000' });
+    });
+  });
+
+  describe('saveTestRun / listTestRuns', () => {
+    it('should list the most recent runs per suite and environment, oldest first', async () => {
+      await store.saveTestRun({ runId: 't2', suite: 'smoke', environment: 'QAS', executedAt: '2026-10-02T00:00:00Z', results: [{ id: 'A', status: 'pass' }] });
+      await store.saveTestRun({ runId: 't1', suite: 'smoke', environment: 'QAS', executedAt: '2026-10-01T00:00:00Z' });
+      await store.saveTestRun({ runId: 't3', suite: 'smoke', environment: 'QAS', executedAt: '2026-10-03T00:00:00Z' });
+      await store.saveTestRun({ runId: 'p1', suite: 'smoke', environment: 'PRD', executedAt: '2026-10-04T00:00:00Z' });
+
+      const runs = await store.listTestRuns({ suite: 'smoke', environment: 'QAS' });
+      expect(runs.map((r) => r.runId)).toEqual(['t1', 't2', 't3']);
+      expect(runs[1].results).toEqual([{ id: 'A', status: 'pass' }]);
+      expect((await store.listTestRuns({ environment: 'QAS' }, 2)).map((r) => r.runId)).toEqual(['t2', 't3']);
+      expect(await store.listTestRuns()).toHaveLength(4);
+    });
+  });
+
   describe('extraction lifecycle', () => {
     it('should support full create → run → checkpoint → complete flow', async () => {
       // 1. Create run
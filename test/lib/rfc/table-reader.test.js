@@ -81,6 +81,18 @@ describe('TableReader', () => {
       expect(chunks.length).toBeGreaterThanOrEqual(1);
       expect(chunks[0].rows.length).toBeGreaterThan(0);
     });
+
+    it('should start at the given row offset', async () => {
+      reader._resolvedFm = 'RFC_READ_TABLE';
+      const chunks = [];
+      for await (const chunk of reader.streamTable('T001', { chunkSize: 5, offset: 40 })) {
+        chunks.push(chunk);
+      }
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].offset).toBe(40);
+      expect(mockClient.call.mock.calls[0][1].ROWSKIPS).toBe(40);
+      expect(mockClient.call.mock.calls[0][1].ROWCOUNT).toBe(5);
+    });
   });
 
   describe('getTableMetadata', () => {
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  EffortModel,
+  normalQuantile,
+  DEFAULT_HOURS_PER_SEVERITY,
+} = require('../../../lib/scoring/effort-model');
+
+const finding = (ruleId, severity = 'high', objectType = 'PROG', object = 'ZREP_TEST') => ({
+  ruleId, severity, objectType, object,
+});
+
+describe('normalQuantile', () => {
+  it('inverts the standard normal CDF', () => {
+    expect(normalQuantile(0.5)).toBeCloseTo(0, 8);
+    expect(normalQuantile(0.9)).toBeCloseTo(1.28155, 4);
+    expect(normalQuantile(0.975)).toBeCloseTo(1.95996, 4);
+    expect(normalQuantile(0.01)).toBeCloseTo(-2.32635, 4);
+  });
+});
+
+describe('EffortModel', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'effort-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('uses the fixed hours per severity until calibrated', () => {
+    const model = new EffortModel();
+    expect(model.calibrated).toBe(false);
+    const one = model.estimateFinding(finding('R1', 'critical'));
+    expect(one.hours).toBe(DEFAULT_HOURS_PER_SEVERITY.critical);
+    expect(one.low).toBeLessThan(40);
+    expect(one.high).toBeGreaterThan(40);
+    expect(one.basis).toBe('default');
+  });
+
+  it('estimates totals with a confidence interval that widens with confidence', () => {
+    const model = new EffortModel();
+    const findings = [finding('R1', 'critical'), finding('R2', 'medium'), finding('R2', 'low')];
+    const e80 = model.estimate(findings);
+    const e95 = model.estimate(findings, { confidence: 0.95 });
+    expect(e80.confidence).toBe(0.8);
+    expect(e80.findings).toBe(3);
+    expect(e80.low).toBeLessThan(e80.hours);
+    expect(e80.high).toBeGreaterThan(e80.hours);
+    expect(e95.low).toBeLessThan(e80.low);
+    expect(e95.high).toBeGreaterThan(e80.high);
+    expect(e80.byRule.map((r) => r.ruleId)).toEqual(['R1', 'R2']);
+    expect(model.estimate([])).toMatchObject({ hours: 0, low: 0, high: 0 });
+  });
+
+  it('adds up the fixed hours until calibrated', () => {
+    const model = new EffortModel();
+    const total = model.estimate([finding('R1', 'critical'), finding('R2', 'low')]);
+    expect(total.hours).toBe(44);
+    expect(total.days).toBe(5.5);
+    expect(total.mean).toBeGreaterThan(44);
+    // One finding: the total's interval is the finding's
+    const { hours, low, high } = model.estimateFinding(finding('R1', 'critical'));
+    expect(model.estimate([finding('R1', 'critical')])).toMatchObject({ hours, low, high });
+  });
+
+  it('fits rule factors from actuals, shrunk toward the default', () => {
+    const model = new EffortModel();
+    for (let i = 0; i < 6; i++) model.recordActual(finding('SLOW', 'medium'), 32);
+    model.recordActual(finding('FAST', 'medium'), 2);
+    model.fit({ now: new Date('2026-10-01T00:00:00Z') });
+
+    expect(model.calibrated).toBe(true);
+    expect(model.fittedAt).toBe('2026-10-01T00:00:00.000Z');
+    const slow = model.estimateFinding(finding('SLOW', 'medium'));
+    const fast = model.estimateFinding(finding('FAST', 'medium'));
+    const other = model.estimateFinding(finding('OTHER', 'medium'));
+    // 6 samples at 4x pull most of the way; 1 sample at 1/4x only partly
+    expect(slow.hours).toBeGreaterThan(16);
+    expect(slow.hours).toBeLessThan(32);
+    expect(fast.hours).toBeGreaterThan(2);
+    expect(fast.hours).toBeLessThan(8);
+    expect(slow.basis).toBe('rule');
+    expect(other.basis).toBe('object_type');
+    expect(model.estimateFinding(finding('OTHER', 'medium', 'FUGR')).basis).toBe('default');
+    expect(model.ruleFactors.SLOW.samples).toBe(6);
+  });
+
+  it('fits object type factors across rules', () => {
+    const model = new EffortModel({ priorWeight: 1 });
+    for (const rule of ['R1', 'R2', 'R3', 'R4']) {
+      model.recordActual(finding(rule, 'high', 'CLAS'), 48);
+      model.recordActual(finding(rule, 'high', 'PROG'), 24);
+    }
+    model.fit();
+    expect(model.typeFactors.CLAS.factor).toBeGreaterThan(model.typeFactors.PROG.factor);
+    expect(model.estimateFinding(finding('NEW', 'high', 'CLAS')).hours)
+      .toBeGreaterThan(model.estimateFinding(finding('NEW', 'high', 'PROG')).hours);
+  });
+
+  it('narrows the interval when actuals match the estimates', () => {
+    const model = new EffortModel();
+    for (let i = 0; i < 20; i++) model.recordActual(finding('R1', 'high'), i % 2 ? 23 : 25);
+    const before = model.estimateFinding(finding('R1', 'high'));
+    model.fit();
+    const after = model.estimateFinding(finding('R1', 'high'));
+    expect(after.high - after.low).toBeLessThan(before.high - before.low);
+  });
+
+  it('rejects invalid actuals and confidence levels', () => {
+    const model = new EffortModel();
+    expect(() => model.recordActual({}, 4)).toThrow(/requires a finding with a ruleId/);
+    expect(() => model.recordActual(finding('R1'), 0)).toThrow(/positive number of hours/);
+    expect(() => model.estimate([], { confidence: 1.5 })).toThrow(/between 0 and 1/);
+  });
+
+  it('persists the calibrated model and its actuals per client', () => {
+    const model = EffortModel.load({ clientName: 'acme', baseDir: dir, logLevel: 'error' });
+    expect(model.calibrated).toBe(false);
+    model.recordActual(finding('R1', 'low'), 6, { completedAt: '2026-09-30T12:00:00Z', recordedBy: 'dev1' });
+    model.fit();
+    model.save();
+
+    const file = path.join(dir, 'acme', 'effort-model.json');
+    expect(fs.existsSync(file)).toBe(true);
+    const loaded = EffortModel.load({ clientName: 'acme', baseDir: dir, logLevel: 'error' });
+    expect(loaded.calibrated).toBe(true);
+    expect(loaded.actuals[0]).toMatchObject({ ruleId: 'R1', hours: 6, recordedBy: 'dev1' });
+    expect(loaded.estimateFinding(finding('R1', 'low'))).toEqual(model.estimateFinding(finding('R1', 'low')));
+  });
+
+  it('reports unreadable model files and missing client folders', () => {
+    fs.writeFileSync(path.join(dir, 'effort-model.json'), '{ broken');
+    expect(() => EffortModel.load({ clientDir: dir })).toThrow(/Cannot read effort model effort-model.json/);
+    expect(() => EffortModel.load({})).toThrow(/requires clientName, clientDir or file/);
+  });
+});
@@ -133,6 +133,35 @@ describe('ScoringReport', () => {
     });
   });
 
+  // ── Remediation effort ────────────────────────────────────────────
+
+  describe('remediation effort', () => {
+    const { EffortModel } = require('../../../lib/scoring/effort-model');
+    const estimate = new EffortModel({}, { logLevel: 'error' }).estimate([
+      { ruleId: 'R1', severity: 'critical', objectType: 'PROG' },
+      { ruleId: 'R2', severity: 'low', objectType: 'CLAS' },
+    ]);
+
+    it('is null without an effort estimate', () => {
+      const report = ScoringReport.generate(mediumResult, mediumData);
+      expect(report.toJSON().remediationEffort).toBeNull();
+      expect(report.toMarkdown()).not.toContain('## Remediation Effort');
+    });
+
+    it('reports the estimate with its confidence interval', () => {
+      const report = ScoringReport.generate(mediumResult, mediumData, { effortEstimate: estimate });
+      const json = report.toJSON();
+      expect(json.remediationEffort).toMatchObject({ hours: estimate.hours, low: estimate.low, high: estimate.high, calibrated: false });
+      expect(json.remediationEffort.topRules.map((r) => r.ruleId)).toEqual(['R1', 'R2']);
+      expect(report.executiveSummary).toContain(`estimated at ${estimate.hours} hours (80% interval`);
+
+      const md = report.toMarkdown();
+      expect(md).toContain('## Remediation Effort');
+      expect(md).toContain(`| 80% Interval | ${estimate.low}-${estimate.high} hours |`);
+      expect(md).toContain('| Calibration | Default hours per severity |');
+    });
+  });
+
   // ── toMarkdown() ──────────────────────────────────────────────────
 
   describe('toMarkdown()', () => {
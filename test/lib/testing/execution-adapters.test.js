@@ -0,0 +1,143 @@
+/**
+ * Tests for test execution adapters and step assertions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ODataExecutionAdapter,
+  BapiExecutionAdapter,
+  RecordedMockAdapter,
+  stepSignature,
+} = require('../../../lib/testing/execution-adapters');
+const { evaluateAssertions, resolveTemplate, assertionsFor } = require('../../../lib/testing/step-assertions');
+
+const bapiStep = (params) => ({ stepNumber: 1, action: 'Call', type: 'bapi_call', params });
+
+describe('ODataExecutionAdapter', () => {
+  it('maps step methods to the OData client', async () => {
+    const client = {
+      get: vi.fn(async () => ({ d: { ok: true } })),
+      getAll: vi.fn(async () => [{ a: 1 }, { a: 2 }]),
+      post: vi.fn(async (p, body) => ({ d: body })),
+      patch: vi.fn(async () => undefined),
+      delete: vi.fn(async () => undefined),
+    };
+    const adapter = new ODataExecutionAdapter(client);
+    const step = (params) => ({ type: 'odata_request', params });
+
+    expect(adapter.supports(step({ path: '/X' }))).toBe(true);
+    expect(adapter.supports(step({}))).toBe(false);
+    expect(await adapter.execute(step({ path: '/X', query: { $top: 1 } }))).toEqual({ d: { ok: true } });
+    expect(client.get).toHaveBeenCalledWith('/X', { $top: 1 });
+    expect(await adapter.execute(step({ path: '/X', all: true }))).toEqual({ results: [{ a: 1 }, { a: 2 }] });
+    expect(await adapter.execute(step({ method: 'post', path: '/X', body: { b: 1 } }))).toEqual({ d: { b: 1 } });
+    expect(await adapter.execute(step({ method: 'PATCH', path: '/X', body: {} }))).toEqual({});
+    await expect(adapter.execute(step({ method: 'PUT', path: '/X' }))).rejects.toThrow(/Unsupported OData method PUT/);
+  });
+});
+
+describe('BapiExecutionAdapter', () => {
+  it('calls BAPIs through the function caller and reads tables', async () => {
+    const caller = { call: vi.fn(async () => ({ RETURN: [] })), callWithCommit: vi.fn(async () => ({ PO: '45' })) };
+    const reader = { readTable: vi.fn(async () => ({ rows: [{ MATNR: 'M1' }], totalRows: 1 })) };
+    const adapter = new BapiExecutionAdapter(caller, { tableReader: reader });
+
+    expect(adapter.supports(bapiStep({ bapi: 'BAPI_TRANSACTION_COMMIT' }))).toBe(false);
+    expect(adapter.supports(bapiStep({}))).toBe(false);
+    await adapter.execute(bapiStep({ bapi: 'BAPI_MATERIAL_GET_DETAIL', imports: { MATERIAL: 'M1' } }));
+    expect(caller.call).toHaveBeenCalledWith('BAPI_MATERIAL_GET_DETAIL', { MATERIAL: 'M1' }, {});
+    expect(await adapter.execute(bapiStep({ bapi: 'BAPI_PO_CREATE1', commit: true }))).toEqual({ PO: '45' });
+
+    const check = { type: 'table_check', params: { table: 'MARA', where: "MATNR = 'M1'" } };
+    expect(adapter.supports(check)).toBe(true);
+    expect((await adapter.execute(check)).rows).toHaveLength(1);
+    expect(reader.readTable).toHaveBeenCalledWith('MARA', { fields: undefined, where: "MATNR = 'M1'", maxRows: 100 });
+    expect(new BapiExecutionAdapter(caller).supports(check)).toBe(false);
+  });
+});
+
+describe('RecordedMockAdapter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('records responses and errors, then replays them in order', async () => {
+    let n = 0;
+    const target = {
+      supports: () => true,
+      execute: vi.fn(async (step) => {
+        if (step.params.bapi === 'FAIL') throw Object.assign(new Error('No authority'), { statusCode: 403 });
+        n++;
+        return { DOC: String(n) };
+      }),
+    };
+    const recorder = new RecordedMockAdapter({ mode: 'record', targets: [target], logLevel: 'error' });
+    await recorder.execute(bapiStep({ bapi: 'POST' }));
+    await recorder.execute(bapiStep({ bapi: 'POST' }));
+    await expect(recorder.execute(bapiStep({ bapi: 'FAIL' }))).rejects.toThrow('No authority');
+    const file = path.join(dir, 'rec.json');
+    recorder.save(file);
+
+    const replay = RecordedMockAdapter.load(file);
+    expect(await replay.execute(bapiStep({ bapi: 'POST' }))).toEqual({ DOC: '1' });
+    expect(await replay.execute(bapiStep({ bapi: 'POST' }))).toEqual({ DOC: '2' });
+    expect(await replay.execute(bapiStep({ bapi: 'POST' }))).toEqual({ DOC: '2' });
+    await expect(replay.execute(bapiStep({ bapi: 'FAIL' }))).rejects.toMatchObject({ message: 'No authority', statusCode: 403 });
+    replay.rewind();
+    expect(await replay.execute(bapiStep({ bapi: 'POST' }))).toEqual({ DOC: '1' });
+    expect(target.execute).toHaveBeenCalledTimes(3);
+  });
+
+  it('reports unrecorded steps unless told to synthesize', async () => {
+    const strict = new RecordedMockAdapter();
+    expect(strict.supports(bapiStep({ bapi: 'X' }))).toBe(false);
+    await expect(strict.execute(bapiStep({ bapi: 'X' }))).rejects.toThrow(/No recorded response for step 1 \(bapi_call X /);
+
+    const loose = new RecordedMockAdapter({ onMissing: 'synthesize' });
+    expect(loose.supports({ type: 'rfc_call', params: { tcode: 'VA01' } })).toBe(false);
+    expect(await loose.execute({ type: 'table_check', params: { table: 'T', expectEmpty: true } })).toMatchObject({ rows: [] });
+  });
+
+  it('keys recordings by call, not by step wording', () => {
+    const a = { type: 'bapi_call', action: 'Create PO', params: { bapi: 'BAPI_PO_CREATE1', imports: { A: 1, B: 2 } } };
+    const b = { type: 'bapi_call', action: 'Save purchase order', params: { imports: { B: 2, A: 1 }, bapi: 'BAPI_PO_CREATE1' } };
+    expect(stepSignature(a)).toBe(stepSignature(b));
+    expect(stepSignature(a)).toMatch(/^bapi_call BAPI_PO_CREATE1 [0-9a-f]{12}$/);
+  });
+
+  it('rejects unknown modes and recording versions', () => {
+    expect(() => new RecordedMockAdapter({ mode: 'live' })).toThrow(/Unknown recording mode 'live'/);
+    expect(() => new RecordedMockAdapter({ recording: { version: 9 } })).toThrow(/Unsupported recording version 9/);
+  });
+});
+
+describe('step assertions', () => {
+  it('evaluates operators against response paths and variables', () => {
+    const response = { d: { results: [{ Qty: '5', Status: 'C' }] }, rows: [] };
+    const results = evaluateAssertions([
+      { path: 'd.results[0].Qty', op: 'gte', value: 5 },
+      { path: 'd.results', op: 'length', value: 1 },
+      { path: 'rows', op: 'empty' },
+      { path: '$vars.doc', op: 'equals', value: '4711' },
+      { path: 'd.results[0].Status', op: 'notEquals', value: 'C' },
+    ], response, { doc: 4711 });
+    expect(results.map((r) => r.passed)).toEqual([true, true, true, true, false]);
+    expect(results[4].message).toBe('Expected d.results[0].Status notEquals "C", got "C"');
+    expect(() => evaluateAssertions([{ path: 'x', op: 'near' }], {})).toThrow(/Unknown assertion operator 'near'/);
+  });
+
+  it('resolves placeholders and derives default assertions', () => {
+    expect(resolveTemplate({ a: '{{n}}', b: ['id {{s}}', '{{missing}}'] }, { n: 3, s: 'x' }))
+      .toEqual({ a: 3, b: ['id x', '{{missing}}'] });
+    expect(assertionsFor({ type: 'table_check', params: { expectEmpty: true } })).toEqual([{ path: 'rows', op: 'empty' }]);
+    expect(assertionsFor({ type: 'bapi_call', params: {} })).toEqual([]);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for TestExecutor — running generated test cases through adapters
+ */
+
+const { TestExecutor, TestEngine, RecordedMockAdapter, TestReport } = require('../../../lib/testing');
+
+const stubAdapter = (name, types, handler) => ({
+  name,
+  supports: (step) => types.includes(step.type),
+  execute: vi.fn(handler),
+});
+
+const orderCase = () => ({
+  id: 'TC-SD-001',
+  name: 'Create sales order',
+  module: 'SD',
+  type: 'e2e',
+  priority: 'critical',
+  steps: [
+    { stepNumber: 1, action: 'Open VA01', type: 'rfc_call', params: { tcode: 'VA01' }, expectedResult: 'Screen opens' },
+    {
+      stepNumber: 2,
+      action: 'Create order',
+      type: 'odata_request',
+      params: { method: 'POST', path: '/API_SALES_ORDER_SRV/A_SalesOrder', body: { SoldToParty: '{{customer}}' } },
+      capture: { orderNumber: 'd.SalesOrder' },
+      assertions: [{ path: 'd.SalesOrder', op: 'matches', value: '^\\d+$' }],
+      expectedResult: 'Sales order number generated',
+    },
+    {
+      stepNumber: 3,
+      action: 'Read order',
+      type: 'odata_request',
+      params: { path: "/API_SALES_ORDER_SRV/A_SalesOrder('{{orderNumber}}')" },
+      assertions: [{ path: 'd.SoldToParty', op: 'equals', value: '{{customer}}' }, { path: '$vars.orderNumber', op: 'exists' }],
+      expectedResult: 'Order found',
+    },
+  ],
+});
+
+describe('TestExecutor', () => {
+  it('runs OData call sequences with captured variables and assertions', async () => {
+    const odata = stubAdapter('odata', ['odata_request'], async (step) => {
+      if (step.params.method === 'POST') return { d: { SalesOrder: '4711', SoldToParty: step.params.body.SoldToParty } };
+      return { d: { SalesOrder: '4711', SoldToParty: 'CUST01' } };
+    });
+    const executor = new TestExecutor({ adapters: [odata], variables: { customer: 'CUST01' }, logLevel: 'error' });
+    const report = await executor.execute([orderCase()]);
+    expect(report).toBeInstanceOf(TestReport);
+    const [result] = report.results;
+    expect(result.outcome.status).toBe('pass');
+    expect(odata.execute.mock.calls[0][0].params.body).toEqual({ SoldToParty: 'CUST01' });
+    expect(odata.execute.mock.calls[1][0].params.path).toBe("/API_SALES_ORDER_SRV/A_SalesOrder('4711')");
+    expect(result.outcome.details.steps.map((s) => s.status)).toEqual(['skip', 'pass', 'pass']);
+    expect(result.outcome.details.variables.orderNumber).toBe('4711');
+  });
+
+  it('fails on assertion mismatches and skips the remaining steps', async () => {
+    const odata = stubAdapter('odata', ['odata_request'], async () => ({ d: { SalesOrder: 'ABC' } }));
+    const executor = new TestExecutor({ adapters: [odata], logLevel: 'error' });
+    const report = await executor.execute([orderCase()]);
+    const outcome = report.results[0].outcome;
+    expect(outcome.status).toBe('fail');
+    expect(outcome.message).toMatch(/^Step 2 \(Create order\): Expected d.SalesOrder matches "\^\\\\d\+\$", got "ABC"/);
+    expect(outcome.details.steps[2]).toMatchObject({ status: 'skip', message: 'Skipped after step 2 failed' });
+    expect(odata.execute).toHaveBeenCalledTimes(1);
+  });
+
+  it('classifies rejected calls as failures and other errors as errors', async () => {
+    const bapiError = Object.assign(new Error('BAPI BAPI_PO_CREATE1 returned errors: ME-123: Vendor not found'), {
+      details: { bapiErrors: [{ TYPE: 'E' }] },
+    });
+    const bapi = stubAdapter('bapi', ['bapi_call'], async (step) => {
+      if (step.params.bapi === 'BAPI_PO_CREATE1') throw bapiError;
+      throw new Error('Connection reset');
+    });
+    const executor = new TestExecutor({ adapters: [bapi], logLevel: 'error' });
+    const report = await executor.execute([
+      { id: 'A', module: 'MM', steps: [{ action: 'Create PO', type: 'bapi_call', params: { bapi: 'BAPI_PO_CREATE1' } }] },
+      { id: 'B', module: 'MM', steps: [{ action: 'Post GR', type: 'bapi_call', params: { bapi: 'BAPI_GOODSMVT_CREATE' } }] },
+    ]);
+    expect(report.results.map((r) => r.outcome.status)).toEqual(['fail', 'error']);
+    expect(report.getFailureAnalysis()[0].category).toBe('data_missing');
+  });
+
+  it('passes negative steps when the call fails', async () => {
+    const bapi = stubAdapter('bapi', ['bapi_call'], async () => {
+      throw Object.assign(new Error('Required field missing'), { details: { bapiErrors: [{}] } });
+    });
+    const executor = new TestExecutor({ adapters: [bapi], logLevel: 'error' });
+    const outcome = await executor.runTestCase({
+      id: 'N',
+      steps: [
+        { action: 'Post with invalid data', type: 'bapi_call', params: { bapi: 'X', invalidData: true } },
+        { action: 'Post again', type: 'bapi_call', params: { bapi: 'X' }, expectError: 'field missing' },
+        { action: 'Post once more', type: 'bapi_call', params: { bapi: 'X' }, expectError: 'locked' },
+      ],
+    });
+    expect(outcome.details.steps.map((s) => s.status)).toEqual(['pass', 'pass', 'fail']);
+  });
+
+  it('reports negative steps as errors when the target did not answer', async () => {
+    const failures = [
+      Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:443'), { code: 'ECONNREFUSED' }),
+      new Error('Request timed out'),
+      Object.assign(new Error('Internal Server Error'), { statusCode: 500 }),
+    ];
+    const odata = stubAdapter('odata', ['odata_request'], async () => { throw failures.shift(); });
+    const executor = new TestExecutor({ adapters: [odata], stopOnFailure: false, logLevel: 'error' });
+    const outcome = await executor.runTestCase({
+      id: 'N',
+      steps: [
+        { action: 'Post with invalid data', type: 'odata_request', params: { path: '/X', invalidData: true } },
+        { action: 'Post incomplete', type: 'odata_request', params: { path: '/X', incomplete: true } },
+        { action: 'Post again', type: 'odata_request', params: { path: '/X' }, expectError: true },
+      ],
+    });
+    expect(outcome.status).toBe('error');
+    expect(outcome.details.steps.map((s) => s.status)).toEqual(['error', 'error', 'error']);
+  });
+
+  it('records an invalid expectError pattern as a step error without calling the target', async () => {
+    const bapi = stubAdapter('bapi', ['bapi_call'], async () => ({}));
+    const executor = new TestExecutor({ adapters: [bapi], logLevel: 'error' });
+    const outcome = await executor.runTestCase({
+      id: 'P',
+      steps: [{ action: 'Post', type: 'bapi_call', params: { bapi: 'X' }, expectError: 'amount (' }],
+    });
+    expect(outcome.details.steps[0].status).toBe('error');
+    expect(outcome.details.steps[0].message).toMatch(/^Invalid expectError pattern/);
+    expect(bapi.execute).not.toHaveBeenCalled();
+  });
+
+  it('skips test cases no adapter can execute', async () => {
+    const executor = new TestExecutor({ logLevel: 'error' });
+    const report = await executor.execute([{ id: 'E', steps: [] }, orderCase()]);
+    expect(report.results.map((r) => r.outcome.message)).toEqual([
+      'Test case has no steps',
+      'No step could be executed by the configured adapters',
+    ]);
+    expect(report.getSummary().skipped).toBe(2);
+  });
+
+  it('executes generated suites offline through the recorded mock', async () => {
+    const engine = new TestEngine({ mode: 'mock' });
+    const suite = engine.generateRegressionSuite('MM', 'smoke');
+    const executor = new TestExecutor({
+      adapters: [new RecordedMockAdapter({ onMissing: 'synthesize' })],
+      logLevel: 'error',
+    });
+    const report = await executor.execute(suite);
+    const summary = report.getSummary();
+    expect(summary.total).toBeGreaterThan(0);
+    expect(summary.failed + summary.errors).toBe(0);
+    expect(report.getByModule().MM.total).toBe(summary.total);
+  });
+
+  it('builds adapters for the target in the server config', () => {
+    const { loadConfig } = require('../../../lib/config');
+    expect(TestExecutor.fromConfig(loadConfig({}))).toBeNull();
+
+    const executor = TestExecutor.fromConfig(loadConfig({
+      SAP_BASE_URL: 'https://s4.example.com',
+      SAP_USERNAME: 'TESTER',
+      SAP_PASSWORD: 'secret',
+      SAP_CLIENT: '100',
+      SAP_RFC_ASHOST: 's4.example.com',
+      SAP_RFC_SYSNR: '00',
+    }), { logLevel: 'error' });
+    expect(executor.adapters.map((a) => a.name)).toEqual(['odata', 'bapi']);
+    expect(executor.adapters[0].client).toMatchObject({ baseUrl: 'https://s4.example.com', sapClient: '100' });
+    expect(executor.adapters[1].tableReader).not.toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for TestHistory — persisted test runs and trend analysis
+ */
+
+const { TestHistory, TestReport } = require('../../../lib/testing');
+const { PersistenceAdapter } = require('../../../lib/persistence');
+
+const TESTS = {
+  A: { id: 'A', name: 'Post GL document', module: 'FI' },
+  B: { id: 'B', name: 'Create PO', module: 'MM' },
+  C: { id: 'C', name: 'Create sales order', module: 'SD' },
+};
+
+/** Report with the given outcomes, e.g. { A: 'pass', B: 'fail' } */
+function report(day, outcomes) {
+  const r = new TestReport({ name: 'Regression', timestamp: `2026-10-${String(day).padStart(2, '0')}T06:00:00.000Z` });
+  for (const [id, status] of Object.entries(outcomes)) {
+    r.addResult(TESTS[id], { status, message: status === 'pass' ? '' : `${id} failed` });
+  }
+  return r;
+}
+
+async function recordAll(history, runs, meta = {}) {
+  for (const [i, outcomes] of runs.entries()) {
+    await history.record(report(i + 1, outcomes), { runId: `run-${i + 1}`, suite: 'regression', environment: 'QAS', ...meta });
+  }
+}
+
+describe('TestHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    history = new TestHistory({ logLevel: 'error' });
+  });
+
+  it('records runs per suite and environment', async () => {
+    await recordAll(history, [{ A: 'pass' }, { A: 'fail' }]);
+    await history.record(report(3, { A: 'pass' }), { suite: 'smoke', environment: 'QAS' });
+    await history.record(report(4, { A: 'pass' }), { suite: 'regression', environment: 'PRD' });
+
+    const runs = await history.list({ suite: 'regression', environment: 'QAS' });
+    expect(runs.map((r) => r.runId)).toEqual(['run-1', 'run-2']);
+    expect(runs[1].results).toEqual([{ id: 'A', name: 'Post GL document', module: 'FI', status: 'fail', message: 'A failed' }]);
+    expect(runs[1].summary).toMatchObject({ total: 1, failed: 1, passRate: 0 });
+    expect((await history.list({ suite: 'smoke' }))[0].runId).toBe('smoke-2026-10-03T06:00:00.000Z');
+    expect(await history.list({ environment: 'PRD' })).toHaveLength(1);
+    await expect(history.record(null)).rejects.toThrow(/requires an executed TestReport/);
+  });
+
+  it('charts the pass rate per module across runs', async () => {
+    await recordAll(history, [
+      { A: 'pass', B: 'pass' },
+      { A: 'pass', B: 'fail', C: 'pass' },
+      { A: 'skip', B: 'pass', C: 'fail' },
+    ]);
+    const { trend } = await history.analyze({ suite: 'regression', environment: 'QAS' });
+    expect(trend.runIds).toEqual(['run-1', 'run-2', 'run-3']);
+    expect(trend.labels[0]).toBe('2026-10-01T06:00:00.000Z');
+    expect(trend.passRate).toEqual([100, 66.67, 50]);
+    expect(trend.modules).toEqual({
+      FI: [100, 100, null],
+      MM: [100, 0, 100],
+      SD: [null, 100, 0],
+    });
+  });
+
+  it('flags tests with alternating outcomes as flaky', async () => {
+    await recordAll(history, [
+      { A: 'pass', B: 'pass', C: 'pass' },
+      { A: 'fail', B: 'pass', C: 'pass' },
+      { A: 'pass', B: 'skip', C: 'fail' },
+      { A: 'error', B: 'pass', C: 'fail' },
+      { A: 'pass', B: 'pass', C: 'fail' },
+    ]);
+    const flaky = history.flaky(await history.list());
+    expect(flaky).toHaveLength(1);
+    expect(flaky[0]).toMatchObject({ testId: 'A', module: 'FI', flips: 4, flipRate: 1, lastStatus: 'pass' });
+    expect(flaky[0].outcomes.map((o) => o.status)).toEqual(['pass', 'fail', 'pass', 'error', 'pass']);
+
+    const strict = new TestHistory({ persistence: history.store, minFlips: 5, logLevel: 'error' });
+    expect(strict.flaky(await strict.list())).toEqual([]);
+  });
+
+  it('finds tests failing since the last green run', async () => {
+    await recordAll(history, [
+      { A: 'pass', B: 'fail', C: 'pass' },
+      { A: 'pass', B: 'pass', C: 'pass' },
+      { A: 'pass', B: 'pass', C: 'fail' },
+      { A: 'fail', B: 'pass', C: 'fail' },
+    ]);
+    const analysis = await history.analyze({ suite: 'regression', environment: 'QAS' });
+    expect(analysis.lastGreenRun).toEqual({ runId: 'run-2', executedAt: '2026-10-02T06:00:00.000Z' });
+    expect(analysis.newlyFailing).toEqual([
+      { testId: 'A', name: 'Post GL document', module: 'FI', status: 'fail', message: 'A failed', failingSince: 'run-4', failedRuns: 1, flaky: false },
+      { testId: 'C', name: 'Create sales order', module: 'SD', status: 'fail', message: 'C failed', failingSince: 'run-3', failedRuns: 2, flaky: false },
+    ]);
+    expect(analysis.runs).toHaveLength(4);
+    expect(analysis.runs[0]).not.toHaveProperty('results');
+  });
+
+  it('reports nothing newly failing without a green run or when the latest run is green', async () => {
+    await recordAll(history, [{ A: 'fail' }, { A: 'fail' }]);
+    const series = { suite: 'regression', environment: 'QAS' };
+    expect((await history.analyze(series)).newlyFailing).toEqual([]);
+    expect((await history.analyze(series)).lastGreenRun).toBeNull();
+
+    await history.record(report(3, { A: 'pass' }), { runId: 'run-3', ...series });
+    expect((await history.analyze(series)).newlyFailing).toEqual([]);
+    expect(await new TestHistory({ logLevel: 'error' }).analyze()).toMatchObject({ runs: [], flaky: [], newlyFailing: [] });
+  });
+
+  it('analyzes only the most recent runs', async () => {
+    await recordAll(history, [{ A: 'pass' }, { A: 'fail' }, { A: 'pass' }, { A: 'fail' }, { A: 'pass' }]);
+    const analysis = await history.analyze({ suite: 'regression', environment: 'QAS', limit: 2 });
+    expect(analysis.runs.map((r) => r.runId)).toEqual(['run-4', 'run-5']);
+    expect(analysis.flaky).toEqual([]);
+  });
+
+  it('analyzes one suite in one environment, the default ones when omitted', async () => {
+    await recordAll(history, [{ A: 'pass' }, { A: 'fail' }]);
+    await recordAll(history, [{ A: 'fail' }], { runId: 'prd-1', environment: 'PRD' });
+    await history.record(report(4, { A: 'pass' }), {});
+
+    const qas = await history.analyze({ suite: 'regression', environment: 'QAS' });
+    expect(qas.runs.map((r) => r.runId)).toEqual(['run-1', 'run-2']);
+    const defaults = await history.analyze();
+    expect(defaults).toMatchObject({ suite: 'default', environment: 'default' });
+    expect(defaults.runs.map((r) => r.runId)).toEqual(['default-2026-10-04T06:00:00.000Z']);
+  });
+
+  it('keeps default run ids within 64 characters and rejects longer ones', async () => {
+    const run = await history.record(report(1, { A: 'pass' }), { suite: 'S'.repeat(100) });
+    expect(run.runId).toHaveLength(64);
+    expect(run.runId.endsWith('-2026-10-01T06:00:00.000Z')).toBe(true);
+    await expect(history.record(report(2, { A: 'pass' }), { runId: 'r'.repeat(65) })).rejects.toThrow(/at most 64 characters/);
+  });
+
+  it('keeps history in the given persistence adapter', async () => {
+    const store = new PersistenceAdapter({ mode: 'memory' });
+    await recordAll(new TestHistory({ persistence: store, logLevel: 'error' }), [{ A: 'pass' }]);
+    expect(await store.listTestRuns({ suite: 'regression' })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,180 @@
+const { tokenize, parseSource, parseStatements, maskSource, checkSyntax } = require('../../migration/abap-parser');
+const { checkSource } = require('../../migration/rules');
+
+describe('ABAP parser', () => {
+  describe('checkSyntax', () => {
+    it('accepts well-formed source', () => {
+      const source = [
+        'CLASS lcl DEFINITION DEFERRED.',
+        'IF lv = 1.',
+        '  LOOP AT lt INTO ls.',
+        "    WRITE: / ls-f, 'x'.",
+        '  ENDLOOP.',
+        'ENDIF.',
+      ].join('\n');
+      expect(checkSyntax(source)).toEqual({ valid: true, messages: [] });
+    });
+
+    it('reports unterminated literals, unbalanced parentheses and blocks', () => {
+      const { valid, messages } = checkSyntax([
+        'IF lv = 1.',
+        "  WRITE 'open.",
+        '  lv = foo( 1.',
+        'ENDLOOP.',
+        'DATA x TYPE i',
+      ].join('\n'));
+      expect(valid).toBe(false);
+      expect(messages.map((m) => [m.line, m.column, m.text])).toEqual([
+        [1, 1, 'IF is not closed by ENDIF'],
+        [2, 9, 'Literal is not closed'],
+        [3, 11, 'Parenthesis is not closed'],
+        [4, 1, 'ENDLOOP without LOOP'],
+        [5, 1, 'Statement is not terminated by a period'],
+      ]);
+      expect(messages.every((m) => m.severity === 'error')).toBe(true);
+    });
+  });
+
+  describe('tokenize', () => {
+    it('recognises comments, literals, templates and pragmas', () => {
+      const tokens = tokenize([
+        '* full line comment',
+        "WRITE: / 'It''s', `text`, |Total { lv_sum }|. \" trailing",
+        'DATA lv TYPE i ##NEEDED.',
+      ].join('\n'));
+      expect(tokens.map((t) => t.type)).toEqual([
+        'comment',
+        'word', 'punct', 'word', 'string', 'punct', 'string', 'punct', 'template', 'period', 'comment',
+        'word', 'word', 'word', 'word', 'pragma', 'period',
+      ]);
+      expect(tokens[4]).toMatchObject({ value: "It's", line: 2, column: 10 });
+      expect(tokens[8].value).toBe('Total { lv_sum }');
+    });
+
+    it('keeps periods that do not end a statement inside words', () => {
+      const words = tokenize('CALL TRANSACTION F.5F. WRITE lv.').filter((t) => t.type === 'word');
+      expect(words.map((t) => t.value)).toEqual(['CALL', 'TRANSACTION', 'F.5F', 'WRITE', 'lv']);
+    });
+
+    it('treats an asterisk as a comment only in column 1', () => {
+      expect(tokenize('  SELECT * FROM mara.').some((t) => t.type === 'comment')).toBe(false);
+    });
+  });
+
+  describe('parseStatements', () => {
+    it('joins statements across lines and expands chains', () => {
+      const statements = parseStatements([
+        'DATA: lt_items TYPE STANDARD TABLE OF bseg,',
+        '      lr_doc   TYPE REF TO zcl_document.',
+        'SELECT bukrs, belnr',
+        '  FROM bkpf AS h',
+        '  INNER JOIN bseg AS i ON i~belnr = h~belnr',
+        '  INTO TABLE @DATA(lt_docs).',
+      ].join('\n'));
+      expect(statements.map((s) => [s.kind, s.line, s.chained])).toEqual([
+        ['data', 1, true], ['data', 2, true], ['select', 3, false],
+      ]);
+      expect(statements[0].typeRefs).toEqual(['BSEG']);
+      expect(statements[1].typeRefs).toEqual(['ZCL_DOCUMENT']);
+      expect(statements[2]).toMatchObject({ tables: ['BKPF', 'BSEG'], endLine: 6 });
+      expect(statements[2].refs[1]).toMatchObject({ type: 'table', value: 'BSEG', line: 5, column: 14 });
+    });
+
+    it('classifies calls and database writes', () => {
+      const statements = parseStatements([
+        "CALL FUNCTION 'BAPI_CUSTOMER_GETLIST' DESTINATION lv_dest.",
+        "CALL TRANSACTION 'VA01' USING lt_bdc.",
+        'PERFORM build_header USING ls_doc.',
+        'SUBMIT zreport AND RETURN.',
+        "UPDATE bkpf SET bktxt = 'X' WHERE belnr = lv_belnr.",
+        'INSERT INTO vbak VALUES ls_vbak.',
+        'DELETE FROM ekpo WHERE ebeln = lv_ebeln.',
+        'MODIFY lt_items FROM ls_item INDEX 1.',
+        'lo_doc->post( iv_test = abap_true ).',
+        'lv_total = lo_doc->total( ).',
+      ].join('\n'));
+      expect(statements.map((s) => s.kind)).toEqual([
+        'call_function', 'call_transaction', 'perform', 'submit', 'update', 'insert', 'delete', 'modify',
+        'method_call', 'assignment',
+      ]);
+      expect(statements.slice(0, 4).map((s) => s.name)).toEqual(['BAPI_CUSTOMER_GETLIST', 'VA01', 'BUILD_HEADER', 'ZREPORT']);
+      expect(statements.slice(4, 8).map((s) => s.tables)).toEqual([['BKPF'], ['VBAK'], ['EKPO'], []]);
+    });
+
+    it('does not treat LIKE in a WHERE clause as a type reference', () => {
+      const [stmt] = parseStatements("SELECT * FROM kna1 INTO TABLE lt WHERE name1 LIKE lv_pattern.");
+      expect(stmt.typeRefs).toEqual([]);
+      expect(stmt.tables).toEqual(['KNA1']);
+    });
+
+    it('returns an unterminated trailing statement and ignores non-ABAP noise', () => {
+      expect(parseStatements('SELECT * FROM bseg').map((s) => s.tables)).toEqual([['BSEG']]);
+      expect(parseStatements('')).toEqual([]);
+      expect(() => parseStatements("define view ZI_X as select from bkpf { key 'open }")).not.toThrow();
+    });
+  });
+
+  describe('maskSource', () => {
+    it('blanks comments and free-text literals but keeps name literals and offsets', () => {
+      const source = "WRITE 'Reading BSEG'. \" BSEG\nCALL FUNCTION 'Z_READ_BSEG'.";
+      const masked = maskSource(source);
+      expect(masked).toHaveLength(source.length);
+      expect(masked).not.toMatch(/Reading|" BSEG/);
+      expect(masked).toContain("'Z_READ_BSEG'");
+      expect(parseSource(source).locate(source.indexOf('CALL'))).toEqual({ line: 2, column: 1 });
+    });
+  });
+});
+
+describe('RuleRegistry.checkSource with parsed statements', () => {
+  const ids = (source) => checkSource(source, 'ZTEST').map((f) => f.rule.id);
+
+  it('ignores table names in comments and string literals', () => {
+    const source = [
+      '* Formerly read from BSEG and KONV',
+      "WRITE 'No BSEG access here'. \" SELECT * FROM bseg",
+    ].join('\n');
+    expect(ids(source)).not.toContain('SIMPL-FI-001');
+    expect(ids(source)).not.toContain('SIMPL-ABAP-030');
+  });
+
+  it('matches statements split across lines at the line of the match', () => {
+    const finding = checkSource('SELECT belnr\n  FROM bseg\n  INTO TABLE lt_bseg.', 'ZTEST')
+      .find((f) => f.rule.id === 'SIMPL-ABAP-030');
+    expect(finding.matches).toEqual([
+      { line: 2, column: 8, content: 'FROM bseg', kind: 'select', value: 'BSEG' },
+    ]);
+  });
+
+  it('runs regex rules on whole statements', () => {
+    const finding = checkSource("CALL FUNCTION 'Z_POST'\n  IN BACKGROUND TASK\n  EXPORTING iv = 1.", 'ZTEST')
+      .find((f) => f.rule.id === 'SIMPL-ABAP-052');
+    expect(finding.matches).toEqual([{ line: 1, column: 1, content: "CALL FUNCTION 'Z_POST'" }]);
+  });
+
+  it('only flags database writes to standard tables, not type references', () => {
+    expect(ids('DATA ls_bkpf TYPE bkpf.')).not.toContain('SIMPL-ABAP-003');
+    expect(ids("UPDATE bkpf SET bktxt = 'X' WHERE belnr = lv_belnr.")).toContain('SIMPL-ABAP-003');
+    expect(ids('DATA lt_bseg TYPE STANDARD TABLE OF bseg.')).not.toContain('SIMPL-FI-001');
+  });
+
+  it('supports statement rules on called names', () => {
+    const { RuleRegistry } = require('../../migration/rules');
+    const registry = new RuleRegistry();
+    registry.register({
+      id: 'Z-BANNED-FM',
+      category: 'Client',
+      severity: 'high',
+      title: 'Banned function module',
+      pattern: /^Z_OLD_/,
+      patternType: 'statement',
+      statement: { kinds: ['call_function'], on: 'name' },
+      remediation: 'Use the replacement API.',
+    });
+    const findings = registry.checkSource("\" CALL FUNCTION 'Z_OLD_POST'.\nCALL FUNCTION 'Z_OLD_READ'.", 'ZTEST');
+    expect(findings).toHaveLength(1);
+    expect(findings[0].matches).toEqual([
+      { line: 2, column: 15, content: "CALL FUNCTION 'Z_OLD_READ'.", kind: 'call_function', value: 'Z_OLD_READ' },
+    ]);
+  });
+});
@@ -59,6 +59,23 @@ describe('Analyzer', () => {
       }));
       expect(result.summary.effortEstimate.level).toBe('Low');
     });
+
+    it('should use an effort model with its confidence interval', () => {
+      const { EffortModel } = require('../../lib/scoring/effort-model');
+      const scan = makeScanResult({ Z_TEST: { type: 'CLAS', source: 'SELECT * FROM BSEG.', lines: 1 } });
+      const plain = analyzer.analyze(scan).summary.effortEstimate;
+
+      const model = new EffortModel({}, { logLevel: 'error' });
+      const ruleId = analyzer.analyze(scan).findings[0].ruleId;
+      for (let i = 0; i < 10; i++) model.recordActual({ ruleId, severity: 'critical', objectType: 'CLAS' }, 80);
+      model.fit();
+      const calibrated = new Analyzer({ effortModel: model }).analyze(scan).summary.effortEstimate;
+
+      expect(plain.interval).toBeUndefined();
+      expect(calibrated.days).toBeGreaterThan(plain.days);
+      expect(calibrated.interval).toMatchObject({ confidence: 0.8, calibrated: true, sampleSize: 10 });
+      expect(calibrated.interval.low).toBeLessThan(calibrated.interval.hours);
+    });
   });
 
   describe('risk matrix', () => {
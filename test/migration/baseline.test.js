@@ -0,0 +1,206 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  AssessmentBaseline,
+  fingerprintFindings,
+  normalizeContent,
+} = require('../../migration/baseline');
+const Analyzer = require('../../migration/analyzer');
+const AssessmentReport = require('../../migration/report');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const scan = (sources) => ({
+  objects: Object.keys(sources).map((name) => ({ name, type: 'PROG' })),
+  sources: Object.fromEntries(Object.entries(sources).map(([name, source]) => [name, { type: 'PROG', source, lines: source.split('\n').length }])),
+  stats: {},
+});
+
+const v1 = {
+  Z_FI: 'REPORT z_fi.\nSELECT * FROM bseg INTO TABLE lt.\n',
+  Z_BP: 'REPORT z_bp.\nSELECT * FROM kna1 INTO TABLE lt.\n',
+};
+
+const analyze = (sources, baseline) =>
+  new Analyzer({ logLevel: 'error', baseline, now: NOW }).analyze(scan(sources));
+
+const waiver = (overrides = {}) => ({
+  id: 'W-1',
+  ruleId: 'SIMPL-FI-001',
+  object: 'Z_FI',
+  justification: 'Archived report, decommissioned with the cutover',
+  approver: 'jdoe',
+  expires: '2026-06-30',
+  ...overrides,
+});
+
+describe('fingerprintFindings', () => {
+  it('ignores line numbers, whitespace and case', () => {
+    const fp = (content, line) => fingerprintFindings([{ ruleId: 'R', object: 'O', matches: [{ line, content }] }])[0].matches[0].fingerprint;
+    expect(fp('SELECT * FROM bseg.', 2)).toMatch(/^[0-9a-f]{20}$/);
+    expect(fp('SELECT * FROM bseg.', 2)).toBe(fp('select  *   FROM BSEG.', 40));
+    expect(fp('SELECT * FROM bseg.', 2)).not.toBe(fp('SELECT * FROM bkpf.', 2));
+    expect(normalizeContent('  a \t b ')).toBe('A B');
+  });
+
+  it('distinguishes repeated identical lines by ordinal', () => {
+    const [f] = fingerprintFindings([{ ruleId: 'R', object: 'O', matches: [{ line: 1, content: 'X' }, { line: 9, content: 'x' }] }]);
+    expect(f.matches[0].fingerprint).not.toBe(f.matches[1].fingerprint);
+  });
+});
+
+describe('AssessmentBaseline comparison', () => {
+  it('reports only new findings and resolved occurrences', () => {
+    const baseline = AssessmentBaseline.fromAnalysis(analyze(v1), { now: NOW, systemId: 'PRD' });
+    expect(baseline.toJSON()).toMatchObject({ version: 1, createdAt: NOW.toISOString(), systemId: 'PRD' });
+
+    // Z_FI gains lines above the finding; Z_BP's finding is fixed; Z_NEW appears
+    const v2 = {
+      Z_FI: 'REPORT z_fi.\n\n* header\nSELECT  *  FROM bseg INTO TABLE lt.\n',
+      Z_BP: 'REPORT z_bp.\nSELECT * FROM but000 INTO TABLE lt.\n',
+      Z_NEW: 'REPORT z_new.\nSELECT * FROM bsid INTO TABLE lt.\n',
+    };
+    const analysis = analyze(v2, baseline);
+
+    expect(analysis.findings.filter((f) => f.object === 'Z_FI').every((f) => f.baselineStatus === 'existing')).toBe(true);
+    expect(analysis.findings.filter((f) => f.object === 'Z_NEW').every((f) => f.baselineStatus === 'new')).toBe(true);
+    const newObjects = new Set(analysis.findings.filter((f) => f.baselineStatus === 'new').map((f) => f.object));
+    expect([...newObjects].sort()).toEqual(['Z_BP', 'Z_NEW']); // BUT000 is itself flagged
+    expect(analysis.baseline.newCount + analysis.baseline.existingCount).toBe(analysis.findings.length);
+    expect(analysis.baseline.resolved.map((r) => r.object)).toEqual(['Z_BP', 'Z_BP']);
+    expect(analysis.baseline.resolved[0]).toMatchObject({ line: 2, content: 'SELECT * FROM kna1 INTO TABLE lt.' });
+  });
+
+  it('counts a finding as new when it gains an occurrence', () => {
+    const baseline = AssessmentBaseline.fromAnalysis(analyze(v1), { now: NOW });
+    const analysis = analyze({ ...v1, Z_FI: `${v1.Z_FI}SELECT * FROM bseg INTO TABLE lt.\n` }, baseline);
+    const fi = analysis.findings.find((f) => f.ruleId === 'SIMPL-FI-001');
+    expect(fi).toMatchObject({ baselineStatus: 'new', newMatchCount: 1, matchCount: 2 });
+  });
+
+  it('skips the comparison for a suppressions-only file', () => {
+    const analysis = analyze(v1, new AssessmentBaseline({ version: 1, suppressions: [waiver()] }));
+    expect(analysis.baseline).toBeNull();
+    expect(analysis.suppressions.applied).toBe(1);
+  });
+});
+
+describe('suppressions', () => {
+  it('removes waived findings from counts and raises readiness', () => {
+    const plain = analyze(v1);
+    const waived = analyze(v1, new AssessmentBaseline({ suppressions: [waiver({ ruleId: '*', object: 'z_f*' })] }));
+
+    expect(waived.findings.some((f) => f.object === 'Z_FI')).toBe(false);
+    expect(waived.suppressedFindings.length).toBe(plain.findings.filter((f) => f.object === 'Z_FI').length);
+    expect(waived.suppressedFindings[0].suppression).toEqual({
+      id: 'W-1', justification: waiver().justification, approver: 'jdoe', expires: '2026-06-30',
+    });
+    expect(waived.summary.totalFindings + waived.summary.suppressedFindings).toBe(plain.summary.totalFindings);
+    expect(waived.summary.readinessScore).toBeGreaterThan(plain.summary.readinessScore);
+    expect(waived.severityCounts.critical).toBe(0);
+    expect(waived.objectSummary.find((o) => o.name === 'Z_FI')).toMatchObject({ findingCount: 0, maxSeverity: 'none' });
+  });
+
+  it('ignores expired waivers and reports them', () => {
+    const baseline = new AssessmentBaseline({ suppressions: [waiver({ expires: '2026-02-28' }), waiver({ id: 'W-2', object: 'Z_GONE' })] });
+    const analysis = analyze(v1, baseline);
+    expect(analysis.findings.some((f) => f.ruleId === 'SIMPL-FI-001')).toBe(true);
+    expect(analysis.suppressions.expired.map((s) => s.id)).toEqual(['W-1']);
+    expect(analysis.suppressions.unused.map((s) => s.id)).toEqual(['W-2']);
+  });
+
+  it('applies a waiver until the end of its expiry day', () => {
+    const baseline = new AssessmentBaseline({ suppressions: [waiver({ expires: '2026-03-01' })] });
+    expect(analyze(v1, baseline).suppressions.applied).toBe(1);
+  });
+
+  it('waives a single occurrence by fingerprint', () => {
+    const source = { Z_FI: 'REPORT z_fi.\nSELECT * FROM bseg INTO TABLE lt.\nSELECT * FROM bseg INTO TABLE lt2.\n' };
+    const first = analyze(source).findings.find((f) => f.ruleId === 'SIMPL-FI-001').matches[0];
+    const analysis = analyze(source, new AssessmentBaseline({ suppressions: [waiver({ fingerprint: first.fingerprint })] }));
+
+    const active = analysis.findings.find((f) => f.ruleId === 'SIMPL-FI-001');
+    expect(active.matchCount).toBe(1);
+    expect(active.matches[0].line).toBe(3);
+    expect(analysis.suppressedFindings[0].matches.map((m) => m.line)).toEqual([2]);
+  });
+
+  it('keeps suppressed occurrences in a rewritten baseline', () => {
+    const existing = new AssessmentBaseline({ suppressions: [waiver()] });
+    const analysis = analyze(v1, existing);
+    const updated = AssessmentBaseline.fromAnalysis(analysis, { suppressions: existing.suppressions, now: NOW });
+    expect(updated.findings.some((f) => f.ruleId === 'SIMPL-FI-001')).toBe(true);
+    expect(updated.suppressions).toEqual([waiver()]);
+  });
+});
+
+describe('baseline files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('round-trips through save and load', () => {
+    const file = path.join(dir, 'nested', 'baseline.json');
+    const baseline = AssessmentBaseline.fromAnalysis(analyze(v1), { suppressions: [waiver()], now: NOW, logLevel: 'error' });
+    baseline.save(file);
+    const loaded = AssessmentBaseline.load(file);
+    expect(loaded.toJSON()).toEqual(baseline.toJSON());
+    expect(loaded.file).toBe(file);
+    expect(analyze(v1, loaded).baseline).toMatchObject({ newCount: 0, resolvedCount: 0 });
+  });
+
+  it('rejects suppressions without justification, approver or valid expiry', () => {
+    expect(() => new AssessmentBaseline({ suppressions: [{ ruleId: 'SIMPL-FI-001', justification: 'short', expires: '30.06.2026' }] }))
+      .toThrow(/suppressions\[0\]: missing required property 'approver'/);
+    expect(() => new AssessmentBaseline({ suppressions: [waiver({ expires: '2026-02-30x' })] })).toThrow(/does not match/);
+    expect(() => new AssessmentBaseline({ suppressions: [waiver({ expires: '2026-13-45' })] }))
+      .toThrow(/suppressions\[0\]\.expires: 2026-13-45 is not a valid date/);
+  });
+
+  it('reports unreadable files', () => {
+    fs.writeFileSync(path.join(dir, 'bad.json'), '{ nope');
+    expect(() => AssessmentBaseline.load(path.join(dir, 'bad.json'))).toThrow(/Cannot read baseline bad.json/);
+  });
+});
+
+describe('AssessmentReport with a baseline', () => {
+  const baseline = () => new AssessmentBaseline({
+    createdAt: '2026-01-15T00:00:00.000Z',
+    findings: AssessmentBaseline.fromAnalysis(analyze({ Z_BP: v1.Z_BP })).findings,
+    suppressions: [waiver({ expires: '2026-01-31', id: 'W-OLD' }), waiver({ ruleId: 'SIMPL-DM-014' })],
+  });
+
+  it('shows the comparison, suppressions and only new findings', () => {
+    const analysis = analyze({ Z_FI: v1.Z_FI }, baseline());
+    const report = new AssessmentReport(analysis, scan({ Z_FI: v1.Z_FI }));
+
+    const terminal = report.toTerminal();
+    expect(terminal).toContain('BASELINE COMPARISON');
+    expect(terminal).toMatch(/Resolved: +2 occurrence\(s\)/);
+    expect(terminal).toContain('[EXPIRED] W-OLD: SIMPL-FI-001 on Z_FI (expired 2026-01-31, approver jdoe)');
+    expect(terminal).toContain('NEW FINDINGS (Critical & High)');
+    expect(terminal).toContain('SIMPL-FI-001');
+    expect(terminal).not.toContain('SIMPL-DM-014');
+
+    const md = report.toMarkdown();
+    expect(md).toContain('## Baseline Comparison');
+    expect(md).toContain('| SIMPL-BP-001 | Z_BP | 2 | `SELECT * FROM kna1 INTO TABLE lt.` |');
+    expect(md).toContain(`| SIMPL-DM-014 | Z_FI | 1 | ${waiver().justification} | jdoe | 2026-06-30 |`);
+    expect(md).toContain('- **Expired:** W-OLD');
+    expect(md).toContain('## New Findings');
+  });
+
+  it('leaves the report unchanged without a baseline', () => {
+    const md = new AssessmentReport(analyze(v1), scan(v1)).toMarkdown();
+    expect(md).not.toContain('## Baseline Comparison');
+    expect(md).not.toContain('## Suppressions');
+    expect(md).toContain('## Detailed Findings');
+  });
+});
@@ -0,0 +1,198 @@
+const { CallGraph, readEntryPoints } = require('../../migration/call-graph');
+const Scanner = require('../../migration/scanner');
+const Analyzer = require('../../migration/analyzer');
+const AssessmentReport = require('../../migration/report');
+
+const sources = {
+  ZREP_ORDERS: {
+    type: 'PROG',
+    source: [
+      'REPORT zrep_orders.',
+      'DATA(lv_total) = zcl_order_calc=>total( ).',
+      "CALL FUNCTION 'Z_ORDER_NOTIFY'.",
+      "CALL FUNCTION 'BAPI_SALESORDER_GETLIST'.",
+      'CALL FUNCTION lv_dynamic_fm.',
+      'PERFORM print IN PROGRAM zorder_forms.',
+      'PERFORM local_form.',
+      'SUBMIT zrep_archive AND RETURN.',
+      'INCLUDE zorders_top.',
+    ].join('\n'),
+  },
+  ZCL_ORDER_CALC: {
+    type: 'CLAS',
+    source: [
+      'CLASS zcl_order_calc DEFINITION INHERITING FROM zcl_calc_base.',
+      '  PUBLIC SECTION.',
+      '    INTERFACES zif_calc.',
+      '    DATA mo_log TYPE REF TO zcl_order_log.',
+      'ENDCLASS.',
+      'CLASS zcl_order_calc IMPLEMENTATION.',
+      '  METHOD total.',
+      '    SELECT * FROM bseg INTO TABLE @DATA(lt).',
+      '  ENDMETHOD.',
+      'ENDCLASS.',
+    ].join('\n'),
+  },
+  ZFG_ORDERS: {
+    type: 'FUGR',
+    source: "FUNCTION z_order_notify.\n  CALL TRANSACTION 'ZORD_MAIL'.\n  lo = NEW zcl_mailer( ).\nENDFUNCTION.",
+  },
+  ZCL_LEGACY: {
+    type: 'CLAS',
+    source: 'CLASS zcl_legacy DEFINITION.\nENDCLASS.\nCLASS zcl_legacy IMPLEMENTATION.\n  METHOD run.\n    SELECT * FROM bseg INTO TABLE @DATA(lt).\n  ENDMETHOD.\nENDCLASS.',
+  },
+};
+
+const otherObjects = [
+  ['ZORDER_FORMS', 'PROG'], ['ZREP_ARCHIVE', 'PROG'], ['ZORDERS_TOP', 'PROG'], ['ZCL_CALC_BASE', 'CLAS'],
+  ['ZIF_CALC', 'INTF'], ['ZCL_ORDER_LOG', 'CLAS'], ['ZCL_MAILER', 'CLAS'], ['ZREP_MAIL', 'PROG'], ['ZORDER_T', 'TABL'],
+];
+
+const scanResult = (entryPoints) => ({
+  objects: [
+    ...Object.entries(sources).map(([name, s]) => ({ name, type: s.type })),
+    ...otherObjects.map(([name, type]) => ({ name, type })),
+  ],
+  sources: Object.fromEntries(Object.entries(sources).map(([n, s]) => [n, { ...s, lines: s.source.split('\n').length }])),
+  stats: {},
+  entryPoints,
+});
+
+const entryPoints = [
+  { type: 'transaction', name: 'ZORDERS', program: 'ZREP_ORDERS' },
+  { type: 'transaction', name: 'ZORD_MAIL', program: 'ZREP_MAIL' },
+  { type: 'job', name: 'Z_ORDERS_NIGHTLY', program: 'zrep_orders' },
+];
+
+describe('CallGraph.fromScan', () => {
+  it('links custom objects through calls, includes, types and inheritance', () => {
+    const graph = CallGraph.fromScan(scanResult(entryPoints), { logLevel: 'error' });
+    const edges = graph.edges.map((e) => `${e.from} -${e.kind}-> ${e.to}`);
+    expect(edges).toEqual(expect.arrayContaining([
+      'TRAN:ZORDERS -starts-> ZREP_ORDERS',
+      'JOB:Z_ORDERS_NIGHTLY -job_step-> ZREP_ORDERS',
+      'ZREP_ORDERS -call_method-> ZCL_ORDER_CALC',
+      'ZREP_ORDERS -call_function-> ZFG_ORDERS',
+      'ZREP_ORDERS -perform-> ZORDER_FORMS',
+      'ZREP_ORDERS -submit-> ZREP_ARCHIVE',
+      'ZREP_ORDERS -include-> ZORDERS_TOP',
+      'ZCL_ORDER_CALC -inherits-> ZCL_CALC_BASE',
+      'ZCL_ORDER_CALC -implements-> ZIF_CALC',
+      'ZCL_ORDER_CALC -type_ref-> ZCL_ORDER_LOG',
+      'ZFG_ORDERS -call_transaction-> TRAN:ZORD_MAIL',
+      'ZFG_ORDERS -instantiate-> ZCL_MAILER',
+    ]));
+    expect(edges.some((e) => e.includes('ZCL_LEGACY'))).toBe(false);
+    expect(graph.nodes.get('ZREP_ORDERS')).toMatchObject({ externalCalls: 1, dynamicCalls: 1 });
+    expect(graph.edges.find((e) => e.kind === 'submit').line).toBe(8);
+  });
+
+  it('takes entry points from the options over the scan', () => {
+    const graph = CallGraph.fromScan(scanResult(entryPoints), { entryPoints: [], logLevel: 'error' });
+    expect(graph.getEntryPoints()).toEqual([]);
+  });
+});
+
+describe('findDeadCode', () => {
+  it('lists code objects no transaction or job reaches', () => {
+    const dead = CallGraph.fromScan(scanResult(entryPoints), { logLevel: 'error' }).findDeadCode();
+    expect(dead.map((d) => d.object)).toEqual(['ZCL_LEGACY']);
+    expect(dead[0]).toMatchObject({ status: 'unreachable', confidence: 'medium', reasons: ['Not reachable from any transaction or job'] });
+  });
+
+  it('joins usage statistics', () => {
+    const usageData = {
+      usageStats: [
+        { object: 'ZCL_LEGACY', callCount: 0, lastUsed: '2024-01-01', daysSinceLastUse: 900 },
+        { object: 'ZREP_ARCHIVE', callCount: 4, lastUsed: '2025-01-01', daysSinceLastUse: 500 },
+        { object: 'ZCL_MAILER', callCount: 90, lastUsed: '2026-03-01', daysSinceLastUse: 3 },
+        { object: 'ZIF_CALC', callCount: 12, lastUsed: '2026-03-01', daysSinceLastUse: 3 },
+      ],
+      callHierarchy: { ZCL_MAILER: { callers: ['ZCL_LEGACY', 'Z_CALLER_12'], callees: [] } },
+    };
+    const graph = CallGraph.fromScan(scanResult(entryPoints), { usageData, logLevel: 'error' });
+    expect(graph.edges.filter((e) => e.kind === 'where_used').map((e) => e.from)).toEqual(['ZCL_LEGACY']);
+
+    const dead = graph.findDeadCode();
+    expect(dead.map((d) => [d.object, d.status, d.confidence])).toEqual([
+      ['ZCL_LEGACY', 'unreachable', 'high'],
+      ['ZREP_ARCHIVE', 'unused', 'medium'],
+    ]);
+    expect(dead[1].reasons).toEqual(['Not executed in 500 days']);
+    expect(graph.findDeadCode({ staleDays: 600 }).map((d) => d.object)).toEqual(['ZCL_LEGACY']);
+  });
+
+  it('reports no unreachable objects without entry points', () => {
+    expect(CallGraph.fromScan(scanResult([]), { logLevel: 'error' }).findDeadCode()).toEqual([]);
+
+    const usageData = { usageStats: [{ object: 'ZREP_ORDERS', callCount: 0, lastUsed: null, daysSinceLastUse: 999 }] };
+    const graph = CallGraph.fromScan(scanResult([]), { usageData, logLevel: 'error' });
+    expect(graph.findDeadCode().map((d) => [d.object, d.status, d.reasons])).toEqual([
+      ['ZREP_ORDERS', 'unused', ['Never executed']],
+    ]);
+
+    const scan = scanResult([]);
+    const analysis = new Analyzer({ logLevel: 'error' }).analyze(scan);
+    const report = new AssessmentReport(analysis, scan, { callGraphData: graph.analyze(analysis) });
+    expect(report.toTerminal()).toContain('Unreachable:          not assessed (no entry points)');
+  });
+});
+
+describe('impactOf', () => {
+  it('finds the transactions and jobs reaching an object, with call paths', () => {
+    const graph = CallGraph.fromScan(scanResult(entryPoints), { logLevel: 'error' });
+    expect(graph.impactOf('ZCL_ORDER_LOG')).toEqual({
+      transactions: [{ name: 'ZORDERS', path: ['ZORDERS', 'ZREP_ORDERS', 'ZCL_ORDER_CALC', 'ZCL_ORDER_LOG'] }],
+      jobs: [{ name: 'Z_ORDERS_NIGHTLY', path: ['Z_ORDERS_NIGHTLY', 'ZREP_ORDERS', 'ZCL_ORDER_CALC', 'ZCL_ORDER_LOG'] }],
+    });
+    expect(graph.impactOf('ZCL_MAILER').transactions.map((t) => t.name)).toEqual(['ZORDERS']);
+    expect(graph.impactOf('ZCL_LEGACY')).toEqual({ transactions: [], jobs: [] });
+  });
+});
+
+describe('CallGraph.analyze', () => {
+  it('traces critical findings and counts findings in dead code', () => {
+    const scan = scanResult(entryPoints);
+    const analysis = new Analyzer({ logLevel: 'error' }).analyze(scan);
+    const result = CallGraph.fromScan(scan, { logLevel: 'error' }).analyze(analysis);
+
+    const calc = result.impact.find((i) => i.object === 'ZCL_ORDER_CALC');
+    expect(calc.ruleIds).toContain('SIMPL-FI-001');
+    expect(calc.transactions.map((t) => t.name)).toEqual(['ZORDERS']);
+    expect(result.impact[result.impact.length - 1]).toMatchObject({ object: 'ZCL_LEGACY', transactions: [], jobs: [] });
+    expect(result.summary).toMatchObject({ entryPoints: 3, unreachableObjects: 1, unusedObjects: 0, dynamicCalls: 1 });
+    expect(result.summary.findingsInDeadCode).toBe(result.deadCode[0].findingCount);
+    expect(result.deadCode[0].findingCount).toBeGreaterThan(0);
+
+    const report = new AssessmentReport(analysis, scan, { callGraphData: result });
+    expect(report.toTerminal()).toContain('ZCL_LEGACY (CLAS, medium confidence');
+    expect(report.toMarkdown()).toContain('ZORDERS (ZORDERS → ZREP_ORDERS → ZCL_ORDER_CALC)');
+  });
+
+  it('builds from the mock scan', async () => {
+    const scan = await new Scanner({ mode: 'mock' }, { logLevel: 'error' }).scan();
+    const graph = CallGraph.fromScan(scan, { logLevel: 'error' });
+    expect(graph.impactOf('ZCL_FI_CUSTOMER_AGING').jobs.map((j) => j.name)).toEqual(['Z_FI_MONTH_END_CLOSE']);
+    expect(graph.findDeadCode().map((d) => d.object)).toContain('ZCL_MM_VENDOR_EVAL');
+  });
+});
+
+describe('readEntryPoints', () => {
+  it('reads transactions and distinct job programs', async () => {
+    const rows = {
+      TSTC: [{ TCODE: 'ZORDERS ', PGMNA: 'ZREP_ORDERS ' }],
+      TBTCP: [
+        { JOBNAME: 'Z_NIGHTLY', PROGNAME: 'ZREP_ORDERS' },
+        { JOBNAME: 'Z_NIGHTLY', PROGNAME: 'ZREP_ORDERS' },
+        { JOBNAME: 'Z_NIGHTLY', PROGNAME: 'YREP_CLEANUP' },
+      ],
+    };
+    const reader = { readTable: vi.fn(async (table) => ({ rows: rows[table] })) };
+    expect(await readEntryPoints(reader)).toEqual([
+      { type: 'transaction', name: 'ZORDERS', program: 'ZREP_ORDERS' },
+      { type: 'job', name: 'Z_NIGHTLY', program: 'ZREP_ORDERS' },
+      { type: 'job', name: 'Z_NIGHTLY', program: 'YREP_CLEANUP' },
+    ]);
+    expect(reader.readTable).toHaveBeenCalledWith('TSTC', { fields: ['TCODE', 'PGMNA'], where: "PGMNA LIKE 'Z%' OR PGMNA LIKE 'Y%'", maxRows: 0 });
+  });
+});
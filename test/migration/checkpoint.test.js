@@ -91,4 +91,21 @@ describe('CheckpointManager', () => {
       expect(removed).toBe(1);
     });
   });
+
+  describe('object progress', () => {
+    it('saves, loads and removes chunk progress per object', () => {
+      mgr.saveObjectProgress('run-s', 'GL_BALANCE', { offset: 2000, chunks: 2, totals: { loaded: 1990 } });
+      const loaded = mgr.loadObjectProgress('run-s', 'GL_BALANCE');
+      expect(loaded.objectId).toBe('GL_BALANCE');
+      expect(loaded.progress.offset).toBe(2000);
+      expect(mgr.loadObjectProgress('run-s', 'BUSINESS_PARTNER')).toBeNull();
+      expect(mgr.removeObjectProgress('run-s', 'GL_BALANCE')).toBe(true);
+      expect(mgr.loadObjectProgress('run-s', 'GL_BALANCE')).toBeNull();
+    });
+
+    it('is not listed as a run checkpoint', () => {
+      mgr.saveObjectProgress('run-s', 'GL_BALANCE', { offset: 0, chunks: 0 });
+      expect(mgr.list()).toHaveLength(0);
+    });
+  });
 });
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ClientWorkspace } = require('../../migration/client-workspace');
+const { ValueMappingRepository } = require('../../migration/value-mapping-repository');
+const MigrationObjectRegistry = require('../../migration/objects/registry');
+const { PersistenceAdapter } = require('../../lib/persistence');
+
+describe('ClientWorkspace', () => {
+  let clientDir;
+  let persistence;
+
+  const descriptor = {
+    objectId: 'ACME_STORAGE_LOCATION',
+    name: 'Storage Location',
+    source: { table: 'T001L', fields: ['WERKS', 'LGORT'] },
+    target: { api: 'API_STORAGELOCATION_SRV' },
+    mappings: [
+      { source: 'WERKS', target: 'Plant', valueTable: 'plants' },
+      { source: 'WERKS', target: 'LegacyPlant', valueTable: 'plants', tableVersion: 1 },
+      { source: 'LGORT', target: 'StorageLocation' },
+    ],
+    mockData: [{ WERKS: 'P1', LGORT: '0001' }],
+  };
+
+  beforeEach(() => {
+    clientDir = fs.mkdtempSync(path.join(os.tmpdir(), 'acme-'));
+    fs.mkdirSync(path.join(clientDir, 'migration-objects'));
+    fs.mkdirSync(path.join(clientDir, 'value-mappings'));
+    fs.writeFileSync(path.join(clientDir, 'migration-objects', 'storage-location.json'), JSON.stringify(descriptor));
+    fs.writeFileSync(path.join(clientDir, 'value-mappings', 'plants.csv'), 'source,target\nP1,1001\n');
+    persistence = new PersistenceAdapter();
+  });
+
+  afterEach(() => {
+    fs.rmSync(clientDir, { recursive: true, force: true });
+  });
+
+  it('binds the client objects to its tables, including pinned versions', async () => {
+    const clientName = path.basename(clientDir);
+    await new ValueMappingRepository({ clientName, persistence }).define('plants', { entries: { P1: '1000' } });
+
+    const registry = new MigrationObjectRegistry();
+    const workspace = new ClientWorkspace(clientDir, { persistence, logLevel: 'error' });
+    expect(workspace.register(registry)).toEqual(['ACME_STORAGE_LOCATION']);
+    const loaded = await workspace.load(registry);
+
+    expect(loaded.tables).toEqual([expect.objectContaining({ name: 'plants', version: 2, changed: true })]);
+    expect(loaded.missingPins).toEqual([]);
+    const obj = registry.createObject('ACME_STORAGE_LOCATION', { mode: 'mock' }, { logLevel: 'error' });
+    expect(obj.options.valueMappings).toBe(workspace.valueMappings);
+    const result = await obj.run();
+    expect(result.phases.transform.records[0]).toMatchObject({ Plant: '1001', LegacyPlant: '1000' });
+  });
+
+  it('reports pinned versions that are not stored', async () => {
+    const pinned = { ...descriptor, mappings: [{ source: 'WERKS', target: 'Plant', valueTable: 'plants', tableVersion: 3 }] };
+    fs.writeFileSync(path.join(clientDir, 'migration-objects', 'storage-location.json'), JSON.stringify(pinned));
+    const registry = new MigrationObjectRegistry();
+    const workspace = new ClientWorkspace(clientDir, { persistence, logLevel: 'error' });
+    workspace.register(registry);
+    expect((await workspace.load(registry)).missingPins).toEqual([{ name: 'plants', version: 3 }]);
+  });
+});
@@ -104,4 +104,48 @@ describe('CutoverPlan', () => {
       expect(result.stats.goLiveDate).toBe('2026-06-15');
     });
   });
+
+  describe('executeDeltaMigration()', () => {
+    it('runs delta-capable objects and updates CUT-2 tasks', async () => {
+      const MigrationObjectRegistry = require('../../migration/objects/registry');
+      const { PersistenceAdapter } = require('../../lib/persistence');
+      const cutover = new CutoverPlan({ goLiveDate: '2026-06-15', logLevel: 'error' });
+      const plan = cutover.generate();
+      const registry = new MigrationObjectRegistry();
+      const persistence = new PersistenceAdapter();
+
+      const result = await cutover.executeDeltaMigration(plan, registry, { mode: 'mock' }, {
+        persistence,
+        objectIds: ['GL_BALANCE', 'COST_CENTER', 'FI_CONFIG'],
+        logLevel: 'error',
+      });
+
+      expect(result.objectIds).toEqual(['GL_BALANCE', 'COST_CENTER']);
+      const phase = plan.phases.find((p) => p.id === 'CUT-2');
+      // Opening balances are still to be reconciled
+      expect(phase.status).toBe('in_progress');
+      expect(phase.tasks.find((t) => t.id === 'CUT-2.4').status).toBe('pending');
+      expect(phase.tasks.find((t) => t.id === 'CUT-2.1').status).toBe('completed');
+      expect(phase.tasks.find((t) => t.id === 'CUT-2.3').result.objects).toBe(2);
+      expect(await persistence.loadWatermark('GL_BALANCE')).not.toBeNull();
+    });
+
+    it('fails CUT-2.3 when an object ends with load errors', async () => {
+      const cutover = new CutoverPlan({ goLiveDate: '2026-06-15', logLevel: 'error' });
+      const plan = cutover.generate();
+      const registry = {
+        listDeltaObjectIds: () => ['GL_BALANCE'],
+        runAll: async () => ({
+          results: [{ objectId: 'GL_BALANCE', status: 'completed_with_errors', stats: { extractedRecords: 10 } }],
+          stats: {},
+        }),
+      };
+
+      const result = await cutover.executeDeltaMigration(plan, registry, { mode: 'mock' });
+      expect(result.status).toBe('failed');
+      const phase = plan.phases.find((p) => p.id === 'CUT-2');
+      expect(phase.status).toBe('failed');
+      expect(phase.tasks.find((t) => t.id === 'CUT-2.3').result.failed).toEqual(['GL_BALANCE']);
+    });
+  });
 });
@@ -0,0 +1,332 @@
+const { CutoverRunbook } = require('../../migration/cutover-runbook');
+const CutoverPlan = require('../../migration/cutover-plan');
+const { PersistenceAdapter } = require('../../lib/persistence');
+
+// Small plan: A → B → D, A → C → D; B and C are in the window phase
+const smallPlan = () => ({
+  stats: { goLiveDate: '2026-06-15', cutoverWindowHours: 10 },
+  phases: [
+    { id: 'PRE-1', tasks: [{ id: 'A', name: 'Prepare', durationHours: 2, depends: [] }] },
+    {
+      id: 'CUT-1',
+      tasks: [
+        { id: 'B', name: 'Load', durationHours: 4, depends: ['A'] },
+        { id: 'C', name: 'Check', durationHours: 1, depends: ['A'] },
+        { id: 'D', name: 'Go-live', durationHours: 2, depends: ['B', 'C'] },
+      ],
+    },
+  ],
+});
+
+const T0 = '2026-06-12T18:00:00.000Z';
+const at = (hours) => new Date(Date.parse(T0) + hours * 3600000).toISOString();
+
+describe('CutoverRunbook', () => {
+  let persistence;
+
+  beforeEach(() => {
+    persistence = new PersistenceAdapter();
+  });
+
+  const create = (plan = smallPlan(), options = {}) =>
+    new CutoverRunbook(plan, { persistence, logLevel: 'error', ...options });
+
+  describe('construction', () => {
+    it('flattens the plan into pending tasks', () => {
+      const rb = create();
+      expect(rb.runbookId).toBe('cutover-2026-06-15');
+      expect(rb.getTasks().map((t) => [t.id, t.status, t.inWindow])).toEqual([
+        ['A', 'pending', false], ['B', 'pending', true], ['C', 'pending', true], ['D', 'pending', true],
+      ]);
+      expect(rb.getStatus()).toBe('not_started');
+      expect(rb.getReadyTasks().map((t) => t.id)).toEqual(['A']);
+    });
+
+    it('accepts the generated cutover plan with its automations', () => {
+      const rb = create(new CutoverPlan({ goLiveDate: '2026-06-15', logLevel: 'error' }).generate());
+      expect(rb.getTask('CUT-2.3').automation).toEqual({ type: 'migration', options: { delta: true } });
+      expect(rb.getTask('CUT-3.1').automation.type).toBe('reconciliation');
+      expect(rb.state.windowHours).toBe(48);
+      expect(rb.getTask('PRE-1.1').inWindow).toBe(false);
+      expect(rb.getTask('CUT-1.1').inWindow).toBe(true);
+    });
+
+    it('rejects unknown dependencies and cycles', () => {
+      const plan = smallPlan();
+      plan.phases[0].tasks[0].depends = ['ZZZ'];
+      expect(() => create(plan)).toThrow(/depends on unknown task ZZZ/);
+
+      const cyclic = smallPlan();
+      cyclic.phases[0].tasks[0].depends = ['D'];
+      expect(() => create(cyclic)).toThrow(/Circular task dependency/);
+    });
+  });
+
+  describe('transitions', () => {
+    it('runs tasks through start and complete with actual hours', async () => {
+      const rb = create();
+      await rb.start('A', { by: 'basis', at: T0 });
+      const task = await rb.complete('A', { by: 'basis', at: at(2.5) });
+      expect(task.status).toBe('completed');
+      expect(task.actualHours).toBe(2.5);
+      expect(rb.getReadyTasks().map((t) => t.id)).toEqual(['B', 'C']);
+      expect(rb.getStatus()).toBe('in_progress');
+    });
+
+    it('refuses to start a task before its dependencies finish', async () => {
+      await expect(create().start('B')).rejects.toThrow('Task B is waiting for A');
+    });
+
+    it('rejects invalid transitions', async () => {
+      const rb = create();
+      await expect(rb.complete('A')).rejects.toThrow('Cannot complete task A: it is pending');
+      await expect(rb.start('NOPE')).rejects.toThrow(/Unknown cutover task/);
+    });
+
+    it('retries failed tasks and lets skipped tasks unblock dependents', async () => {
+      const rb = create();
+      await rb.start('A');
+      await rb.fail('A', { error: 'Transport import failed' });
+      expect(rb.getTask('A').error).toBe('Transport import failed');
+      await rb.start('A');
+      expect(rb.getTask('A').attempts).toBe(2);
+      await rb.complete('A');
+
+      await rb.skip('C', { reason: 'Covered by B' });
+      await rb.start('B');
+      await rb.complete('B');
+      expect(rb.getReadyTasks().map((t) => t.id)).toEqual(['D']);
+    });
+
+    it('records every transition in the history', async () => {
+      const rb = create();
+      await rb.start('A', { by: 'alice', at: T0, note: 'Go' });
+      await rb.complete('A', { by: 'alice', at: at(1) });
+      expect(rb.getHistory()).toEqual([
+        { at: T0, taskId: 'A', action: 'start', from: 'pending', to: 'in_progress', by: 'alice', note: 'Go' },
+        { at: at(1), taskId: 'A', action: 'complete', from: 'in_progress', to: 'completed', by: 'alice' },
+      ]);
+    });
+
+    it('emits cutover:task events', async () => {
+      const events = [];
+      const rb = create(smallPlan(), { progressBus: { emit: (type, data) => events.push({ type, data }) } });
+      await rb.start('A', { by: 'bob' });
+      expect(events).toEqual([{ type: 'cutover:task', data: { runbookId: 'cutover-2026-06-15', taskId: 'A', from: 'pending', to: 'in_progress', by: 'bob' } }]);
+    });
+  });
+
+  describe('persistence', () => {
+    it('resumes where the war room left off', async () => {
+      const rb = create();
+      await rb.start('A', { at: T0 });
+      await rb.complete('A', { at: at(2) });
+      await rb.start('B', { at: at(2) });
+
+      const resumed = await CutoverRunbook.resume('cutover-2026-06-15', { persistence, logLevel: 'error' });
+      expect(resumed.getTask('A').status).toBe('completed');
+      expect(resumed.getTask('B').status).toBe('in_progress');
+      expect(resumed.state.windowStart).toBe(at(2));
+      expect(resumed.getHistory()).toHaveLength(3);
+      await resumed.complete('B', { at: at(6) });
+      expect((await persistence.loadCutoverRunbook('cutover-2026-06-15')).state.tasks[1].status).toBe('completed');
+    });
+
+    it('fails to resume an unknown runbook', async () => {
+      await expect(CutoverRunbook.resume('nope', { persistence })).rejects.toThrow(/not found/);
+      await expect(CutoverRunbook.resume('nope')).rejects.toThrow(/requires a persistence adapter/);
+    });
+  });
+
+  describe('schedule', () => {
+    it('projects the critical path and window from planned durations', () => {
+      const s = create().getSchedule(T0);
+      expect(s.criticalPath).toEqual(['A', 'B', 'D']);
+      expect(s.projectedFinish).toBe(at(8));
+      expect(s.window).toMatchObject({
+        hours: 10,
+        started: false,
+        start: at(2),
+        deadline: at(12),
+        projectedFinish: at(8),
+        slackHours: 4,
+        onTrack: true,
+        criticalPath: ['A', 'B', 'D'],
+      });
+    });
+
+    it('uses actual times and flags an overrun of the window', async () => {
+      const rb = create();
+      await rb.start('A', { at: T0 });
+      await rb.complete('A', { at: at(2) });
+      await rb.start('B', { at: at(2) });
+      await rb.start('C', { at: at(2) });
+      await rb.complete('C', { at: at(3) });
+
+      // B planned 4h but still running 9h later
+      const s = rb.getSchedule(at(11));
+      expect(s.criticalPath).toEqual(['B', 'D']);
+      expect(s.window.start).toBe(at(2));
+      expect(s.window.projectedFinish).toBe(at(13));
+      expect(s.window.slackHours).toBe(-1);
+      expect(s.window.onTrack).toBe(false);
+      expect(s.counts).toEqual({ pending: 1, in_progress: 1, completed: 2, failed: 0, skipped: 0 });
+      expect(s.tasks.find((t) => t.id === 'D').projectedStart).toBe(at(11));
+    });
+
+    it('starts open tasks no earlier than now', () => {
+      const s = create().getSchedule(at(5));
+      expect(s.tasks[0].projectedStart).toBe(at(5));
+      expect(s.criticalPath).toEqual(['A', 'B', 'D']);
+    });
+  });
+
+  describe('automation', () => {
+    const automatedPlan = () => {
+      const plan = smallPlan();
+      plan.phases[1].tasks[0].automation = { type: 'migration', objectIds: ['GL_BALANCE'] };
+      plan.phases[1].tasks[1].depends = ['B'];
+      plan.phases[1].tasks[1].automation = { type: 'reconciliation' };
+      return plan;
+    };
+
+    it('executes migration and reconciliation tasks once they are ready', async () => {
+      const registry = {
+        listDeltaObjectIds: vi.fn((gateway, ids) => ids),
+        runAll: vi.fn(async () => ({
+          results: [{ objectId: 'GL_BALANCE', status: 'completed', stats: { extractedRecords: 5, loadedRecords: 5 } }],
+        })),
+      };
+      const reconciliation = {
+        reconcileAll: vi.fn(() => ({ reports: [], summary: { objectsReconciled: 1, overallStatus: 'PASSED' } })),
+      };
+      const rb = create(automatedPlan(), { registry, gateway: { mode: 'mock' }, reconciliation, migrationOptions: { delta: true } });
+
+      expect(await rb.runAutomated()).toEqual([]);
+      await rb.start('A');
+      await rb.complete('A');
+
+      const executed = await rb.runAutomated();
+      expect(executed).toEqual([{ id: 'B', status: 'completed', error: null }, { id: 'C', status: 'completed', error: null }]);
+      expect(registry.runAll).toHaveBeenCalledWith({ mode: 'mock' }, {
+        delta: true, runId: 'cutover-2026-06-15-B-1', objectIds: ['GL_BALANCE'],
+      });
+      expect(rb.getTask('B').result).toEqual({ objects: 1, failed: [], extractedRecords: 5, loadedRecords: 5 });
+      expect(reconciliation.reconcileAll.mock.calls[0][0][0].objectId).toBe('GL_BALANCE');
+      expect(rb.getHistory().filter((h) => h.taskId === 'B').map((h) => h.by)).toEqual(['automation', 'automation']);
+    });
+
+    it('fails the task when migration objects fail', async () => {
+      const registry = { runAll: async () => ({ results: [{ objectId: 'GL_BALANCE', status: 'error' }] }) };
+      const rb = create(automatedPlan(), { registry, gateway: { mode: 'mock' } });
+      await rb.start('A');
+      await rb.complete('A');
+      const task = await rb.execute('B');
+      expect(task.status).toBe('failed');
+      expect(task.error).toBe('Migration failed for GL_BALANCE');
+    });
+
+    it('reconciles the migration results of a resumed runbook', async () => {
+      const records = [{ BUKRS: '1000', HKONT: '400000', AMOUNT: '10' }];
+      const registry = {
+        runAll: async () => ({
+          results: [{
+            objectId: 'GL_BALANCE',
+            status: 'completed',
+            stats: { extractedRecords: 1, loadedRecords: 1 },
+            phases: { extract: { records, durationMs: 3 }, transform: { records, mappingSummary: {} }, load: { status: 'completed' } },
+          }],
+        }),
+      };
+      const rb = create(automatedPlan(), { registry, gateway: { mode: 'mock' } });
+      await rb.start('A');
+      await rb.complete('A');
+      expect((await rb.execute('B')).status).toBe('completed');
+
+      // The saved state names the run; the records are stored once, beside it
+      const saved = await persistence.loadCutoverRunbook(rb.runbookId);
+      expect(saved.state.migrationRun).toEqual({
+        runId: 'cutover-2026-06-15-B-1',
+        objects: [{ objectId: 'GL_BALANCE', status: 'completed', extractedRecords: 1, loadedRecords: 1 }],
+      });
+      expect(JSON.stringify(saved.state)).not.toContain('400000');
+
+      const reconciliation = {
+        reconcileAll: vi.fn(() => ({ reports: [], summary: { objectsReconciled: 1, overallStatus: 'PASSED' } })),
+      };
+      const resumed = await CutoverRunbook.resume(rb.runbookId, { persistence, reconciliation, logLevel: 'error' });
+      expect((await resumed.execute('C')).status).toBe('completed');
+      expect(reconciliation.reconcileAll).toHaveBeenCalledWith([{
+        objectId: 'GL_BALANCE',
+        status: 'completed',
+        phases: { extract: { records }, transform: { records } },
+      }]);
+    });
+
+    it('fails reconciliation when the migration kept no records', async () => {
+      const registry = {
+        runAll: async () => ({
+          results: [{ objectId: 'GL_BALANCE', status: 'completed', mode: 'streaming', stats: { extractedRecords: 5000, loadedRecords: 5000 } }],
+        }),
+      };
+      const rb = create(automatedPlan(), { registry, gateway: { mode: 'mock' } });
+      await rb.start('A');
+      await rb.complete('A');
+      await rb.execute('B');
+      const task = await rb.execute('C');
+      expect(task.status).toBe('failed');
+      expect(task.error).toMatch(/No records to reconcile/);
+      expect(task.result.objectsReconciled).toBe(0);
+    });
+
+    it('limits delta migrations to delta-capable objects', async () => {
+      const MigrationObjectRegistry = require('../../migration/objects/registry');
+      const registry = new MigrationObjectRegistry();
+      const runAll = vi.spyOn(registry, 'runAll').mockResolvedValue({ results: [] });
+      const plan = new CutoverPlan({ goLiveDate: '2026-06-15', logLevel: 'error' }).generate();
+      const rb = create(plan, { registry, gateway: { mode: 'mock' } });
+
+      await rb._runAutomation(rb.getTask('CUT-2.3'));
+      const { objectIds } = runAll.mock.calls[0][1];
+      expect(objectIds).toEqual(registry.listDeltaObjectIds({ mode: 'mock' }));
+      expect(objectIds.length).toBeGreaterThan(0);
+      expect(objectIds.length).toBeLessThan(registry.listObjectIds().length);
+    });
+
+    it('fails reconciliation without migration results', async () => {
+      const plan = smallPlan();
+      plan.phases[1].tasks[1].automation = { type: 'reconciliation' };
+      const rb = create(plan);
+      await rb.start('A');
+      await rb.complete('A');
+      const task = await rb.execute('C');
+      expect(task.status).toBe('failed');
+      expect(task.error).toMatch(/No migration results/);
+    });
+
+    it('runs custom handlers', async () => {
+      const plan = smallPlan();
+      plan.phases[0].tasks[0].automation = { type: 'backup' };
+      const backup = vi.fn(async () => ({ snapshot: 'SNAP-1' }));
+      const rb = create(plan, { handlers: { backup } });
+      const task = await rb.execute('A');
+      expect(task.status).toBe('completed');
+      expect(task.result).toEqual({ snapshot: 'SNAP-1' });
+      expect(backup).toHaveBeenCalledWith(task, rb);
+    });
+
+    it('records handler errors as task failures', async () => {
+      const rb = create(smallPlan(), {
+        automations: { A: { type: 'backup' } },
+        handlers: { backup: async () => { throw new Error('disk full'); } },
+      });
+      const task = await rb.execute('A');
+      expect(task.status).toBe('failed');
+      expect(task.error).toBe('disk full');
+    });
+
+    it('rejects executing a manual task', async () => {
+      await expect(create().execute('A')).rejects.toThrow(/not automated/);
+    });
+  });
+});
@@ -162,6 +162,23 @@ describe('DashboardAPI', () => {
       const summary = api.getSummary();
       expect(summary.runHistory.length).toBe(2);
     });
+
+    it('runs waves with the requested concurrency and publishes progress', async () => {
+      const { ProgressBus } = require('../../../lib/progress-bus');
+      const progressBus = new ProgressBus();
+      const withBus = new DashboardAPI({ registry, gateway: gw, progressBus });
+      const result = await withBus.runAll({ concurrency: 2 });
+      expect(result.stats.concurrency).toBe(2);
+      expect(result.stats.skipped).toBe(0);
+      const done = progressBus.getHistory(200, 'migration:complete');
+      expect(done.length).toBeGreaterThan(0);
+      expect(done[0].data).toHaveProperty('objectId');
+    });
+
+    it('rejects an invalid concurrency', async () => {
+      const result = await api.runAll({ concurrency: 0 });
+      expect(result.error).toMatch(/concurrency/);
+    });
   });
 
   // ── runObject ──────────────────────────────────────────────
@@ -183,17 +200,19 @@ describe('DashboardAPI', () => {
   // ── registerRoutes ─────────────────────────────────────────
 
   describe('registerRoutes', () => {
-    it('registers 8 routes on a router', () => {
+    it('registers 12 routes on a router', () => {
       const routes = [];
       const mockRouter = {
         get: (path, handler) => routes.push({ method: 'GET', path, handler }),
         post: (path, handler) => routes.push({ method: 'POST', path, handler }),
+        put: (path, handler) => routes.push({ method: 'PUT', path, handler }),
       };
 
       api.registerRoutes(mockRouter);
-      expect(routes).toHaveLength(8);
-      expect(routes.filter(r => r.method === 'GET')).toHaveLength(6);
-      expect(routes.filter(r => r.method === 'POST')).toHaveLength(2);
+      expect(routes).toHaveLength(12);
+      expect(routes.filter(r => r.method === 'GET')).toHaveLength(8);
+      expect(routes.filter(r => r.method === 'POST')).toHaveLength(3);
+      expect(routes.filter(r => r.method === 'PUT')).toHaveLength(1);
     });
   });
 
@@ -211,4 +230,52 @@ describe('DashboardAPI', () => {
       expect(bare.getRulesAnalysis().total).toBe(0);
     });
   });
+
+  // ── Quarantine ─────────────────────────────────────────────
+
+  describe('quarantine', () => {
+    const { QuarantineManager } = require('../../../migration/quarantine');
+    let quarantine;
+
+    beforeEach(() => {
+      quarantine = new QuarantineManager({ logLevel: 'error' });
+      api = new DashboardAPI({ registry, gateway: gw, quarantine });
+    });
+
+    it('passes the value mappings to the objects it runs', () => {
+      const valueMappings = { plants: {} };
+      api = new DashboardAPI({ registry, gateway: gw, quarantine, valueMappings });
+      expect(api._objectOptions()).toEqual({ quarantine, valueMappings });
+    });
+
+    it('returns an error when no quarantine is configured', async () => {
+      const bare = new DashboardAPI({ registry });
+      expect((await bare.listQuarantine()).error).toBeDefined();
+    });
+
+    it('captures load failures from object runs', async () => {
+      const run = await api.runObject('BUSINESS_PARTNER');
+      expect(run.quarantine.load).toBe(1);
+      const list = await api.listQuarantine({ objectId: 'BUSINESS_PARTNER' });
+      expect(list.count).toBe(run.quarantine.total);
+      expect(list.entries[0].payload.BusinessPartner).toBeDefined();
+    });
+
+    it('fixes and re-submits entries', async () => {
+      const [entry] = await quarantine.capture('COST_CENTER', 'validate', [{
+        error: 'Missing required field CostCenterName',
+        payload: { ControllingArea: '1000', CostCenter: '0000004711' },
+      }]);
+      const fixed = await api.fixQuarantine(entry.ID, { payload: { ControllingArea: '1000', CostCenter: '0000004711', CostCenterName: 'Ops' } });
+      expect(fixed.payload.CostCenterName).toBe('Ops');
+
+      const result = await api.resubmitQuarantine([entry.ID]);
+      expect(result.resubmitted).toBe(1);
+    });
+
+    it('reports unknown entries', async () => {
+      const result = await api.fixQuarantine('missing', { payload: {} });
+      expect(result.code).toBe('QUARANTINE_NOT_FOUND');
+    });
+  });
 });
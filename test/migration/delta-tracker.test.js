@@ -0,0 +1,213 @@
+const { DeltaTracker, normalizeTimestamp, recordTimestamp } = require('../../migration/delta-tracker');
+const { PersistenceAdapter } = require('../../lib/persistence');
+
+describe('DeltaTracker', () => {
+  let store;
+  let tracker;
+
+  beforeEach(() => {
+    store = new PersistenceAdapter({ mode: 'memory' });
+    tracker = new DeltaTracker(store, { logLevel: 'error' });
+  });
+
+  it('requires a persistence store', () => {
+    expect(() => new DeltaTracker()).toThrow(/persistence store/);
+  });
+
+  describe('normalizeTimestamp', () => {
+    it('pads SAP dates to 14 digits', () => {
+      expect(normalizeTimestamp('20240115')).toBe('20240115000000');
+    });
+
+    it('strips ISO separators', () => {
+      expect(normalizeTimestamp('2024-01-15T12:30:00Z')).toBe('20240115123000');
+    });
+
+    it('returns null for empty values', () => {
+      expect(normalizeTimestamp('')).toBeNull();
+      expect(normalizeTimestamp(null)).toBeNull();
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('accepts a timestamp config', () => {
+      expect(DeltaTracker.validateConfig({ strategy: 'timestamp', field: 'AEDAT' }).valid).toBe(true);
+    });
+
+    it('rejects unknown strategies', () => {
+      const check = DeltaTracker.validateConfig({ strategy: 'magic' });
+      expect(check.valid).toBe(false);
+      expect(check.errors[0]).toMatch(/Unknown delta strategy/);
+    });
+
+    it('requires keyFields for hash and changeDocument', () => {
+      expect(DeltaTracker.validateConfig({ strategy: 'hash' }).valid).toBe(false);
+      expect(DeltaTracker.validateConfig({ strategy: 'changeDocument', objectClass: 'DEBI' }).valid).toBe(false);
+    });
+
+    it('filter() throws on invalid config', async () => {
+      await expect(tracker.filter('X', { strategy: 'timestamp' }, [])).rejects.toThrow(/Invalid delta config/);
+    });
+  });
+
+  describe('timestamp strategy', () => {
+    const config = { strategy: 'timestamp', field: 'AEDAT' };
+    const records = [
+      { ID: 1, AEDAT: '20240101' },
+      { ID: 2, AEDAT: '20240201' },
+      { ID: 3, AEDAT: '20240301' },
+    ];
+
+    it('returns all records on the initial load', async () => {
+      const delta = await tracker.filter('OBJ', config, records);
+      expect(delta.records).toHaveLength(3);
+      expect(delta.stats.initialLoad).toBe(true);
+      expect(delta.nextWatermark).toBe('20240301000000');
+    });
+
+    it('returns only records newer than the committed watermark', async () => {
+      await tracker.commit('OBJ', config, '20240115000000');
+      const delta = await tracker.filter('OBJ', config, records);
+      expect(delta.records.map((r) => r.ID)).toEqual([2, 3]);
+      expect(delta.stats.skippedRecords).toBe(1);
+      expect(delta.previousWatermark).toBe('20240115000000');
+    });
+
+    it('includes records without a timestamp', async () => {
+      await tracker.commit('OBJ', config, '20250101000000');
+      const delta = await tracker.filter('OBJ', config, [...records, { ID: 4 }]);
+      expect(delta.records.map((r) => r.ID)).toEqual([4]);
+      expect(delta.nextWatermark).toBe('20250101000000');
+    });
+  });
+
+  describe('timestamp strategy with time and key fields', () => {
+    const config = { strategy: 'timestamp', field: 'CPUDT', timeField: 'CPUTM', keyFields: ['BELNR'] };
+
+    it('combines the date and time fields', () => {
+      expect(recordTimestamp({ CPUDT: '20240301', CPUTM: '101500' }, config)).toBe('20240301101500');
+      expect(recordTimestamp({ CPUDT: '2024-03-01', CPUTM: '10:15:00' }, config)).toBe('20240301101500');
+      expect(recordTimestamp({ CPUDT: '20240301' }, config)).toBe('20240301000000');
+      expect(recordTimestamp({ CPUTM: '101500' }, config)).toBeNull();
+    });
+
+    it('picks up records posted later on the watermark day without reloading delivered ones', async () => {
+      const first = await tracker.filter('OBJ', config, [
+        { BELNR: '1', CPUDT: '20240301', CPUTM: '090000' },
+        { BELNR: '2', CPUDT: '20240301', CPUTM: '090000' },
+      ]);
+      expect(first.nextWatermark).toEqual({ at: '20240301090000', keys: ['1', '2'] });
+      await tracker.commit('OBJ', config, first.nextWatermark);
+
+      const second = await tracker.filter('OBJ', config, [
+        { BELNR: '1', CPUDT: '20240301', CPUTM: '090000' },
+        { BELNR: '2', CPUDT: '20240301', CPUTM: '090000' },
+        { BELNR: '3', CPUDT: '20240301', CPUTM: '090000' },
+        { BELNR: '4', CPUDT: '20240301', CPUTM: '170000' },
+      ]);
+      expect(second.records.map((r) => r.BELNR)).toEqual(['3', '4']);
+      expect(second.nextWatermark).toEqual({ at: '20240301170000', keys: ['4'] });
+    });
+
+    it('compares day-granular dates inclusively when only keys are configured', async () => {
+      const dayOnly = { strategy: 'timestamp', field: 'CPUDT', keyFields: ['BELNR'] };
+      await tracker.commit('OBJ', dayOnly, { at: '20240301000000', keys: ['1'] });
+      const delta = await tracker.filter('OBJ', dayOnly, [
+        { BELNR: '1', CPUDT: '20240301' },
+        { BELNR: '2', CPUDT: '20240301' },
+        { BELNR: '0', CPUDT: '20240229' },
+      ]);
+      expect(delta.records.map((r) => r.BELNR)).toEqual(['2']);
+      expect(delta.nextWatermark).toEqual({ at: '20240301000000', keys: ['1', '2'] });
+    });
+
+    it('accepts a legacy string watermark', async () => {
+      await tracker.commit('OBJ', config, '20240301000000');
+      const delta = await tracker.filter('OBJ', config, [
+        { BELNR: '1', CPUDT: '20240301', CPUTM: '000000' },
+        { BELNR: '2', CPUDT: '20240229', CPUTM: '235959' },
+      ]);
+      expect(delta.records.map((r) => r.BELNR)).toEqual(['1']);
+    });
+
+    it('rejects keyFields that are not a list', () => {
+      expect(DeltaTracker.validateConfig({ ...config, keyFields: 'BELNR' }).valid).toBe(false);
+    });
+  });
+
+  describe('changeDocument strategy', () => {
+    const config = { strategy: 'changeDocument', objectClass: 'DEBI', keyFields: ['KUNNR'] };
+    const records = [{ KUNNR: 'A' }, { KUNNR: 'B' }, { KUNNR: 'C' }];
+    const changeDocuments = [
+      { objectKey: 'A', changedAt: '20240101080000' },
+      { objectKey: 'C', changedAt: '20240301080000' },
+    ];
+
+    it('returns all records on the initial load', async () => {
+      const delta = await tracker.filter('OBJ', config, records, { changeDocuments });
+      expect(delta.records).toHaveLength(3);
+      expect(delta.nextWatermark).toBe('20240301080000');
+    });
+
+    it('returns records with change documents after the watermark', async () => {
+      await tracker.commit('OBJ', config, '20240201000000');
+      const delta = await tracker.filter('OBJ', config, records, { changeDocuments });
+      expect(delta.records).toEqual([{ KUNNR: 'C' }]);
+    });
+  });
+
+  describe('hash strategy', () => {
+    const config = { strategy: 'hash', keyFields: ['ID'] };
+
+    it('detects new and changed records', async () => {
+      const first = await tracker.filter('OBJ', config, [{ ID: 1, V: 'a' }, { ID: 2, V: 'b' }]);
+      await tracker.commit('OBJ', config, first.nextWatermark);
+
+      const delta = await tracker.filter('OBJ', config, [{ ID: 1, V: 'a' }, { ID: 2, V: 'x' }, { ID: 3, V: 'c' }]);
+      expect(delta.records.map((r) => r.ID)).toEqual([2, 3]);
+    });
+
+    it('ignores field order and untracked fields', async () => {
+      const scoped = { ...config, fields: ['V'] };
+      const first = await tracker.filter('OBJ', scoped, [{ ID: 1, V: 'a', TS: '1' }]);
+      await tracker.commit('OBJ', scoped, first.nextWatermark);
+
+      const delta = await tracker.filter('OBJ', scoped, [{ TS: '2', V: 'a', ID: 1 }]);
+      expect(delta.records).toHaveLength(0);
+    });
+  });
+
+  it('runs a full extraction when the strategy changes', async () => {
+    await tracker.commit('OBJ', { strategy: 'timestamp', field: 'T' }, '20990101000000');
+    const delta = await tracker.filter('OBJ', { strategy: 'hash', keyFields: ['ID'] }, [{ ID: 1 }]);
+    expect(delta.stats.initialLoad).toBe(true);
+    expect(delta.records).toHaveLength(1);
+  });
+
+  it('reset() clears the watermark', async () => {
+    await tracker.commit('OBJ', { strategy: 'timestamp', field: 'T' }, '20240101000000');
+    expect(await tracker.reset('OBJ')).toBe(true);
+    expect(await tracker.load('OBJ')).toBeNull();
+  });
+
+  describe('mergeWatermarks', () => {
+    it('keeps the later timestamp', () => {
+      expect(DeltaTracker.mergeWatermarks('timestamp', '20240101000000', '20240301000000')).toBe('20240301000000');
+      expect(DeltaTracker.mergeWatermarks('timestamp', '20240301000000', null)).toBe('20240301000000');
+    });
+
+    it('unions boundary keys of equal timestamp watermarks', () => {
+      const a = { at: '20240301000000', keys: ['1'] };
+      expect(DeltaTracker.mergeWatermarks('timestamp', a, { at: '20240301000000', keys: ['2'] }))
+        .toEqual({ at: '20240301000000', keys: ['1', '2'] });
+      expect(DeltaTracker.mergeWatermarks('timestamp', a, { at: '20240302000000', keys: ['3'] }))
+        .toEqual({ at: '20240302000000', keys: ['3'] });
+      expect(DeltaTracker.mergeWatermarks('timestamp', '20240401000000', a)).toBe('20240401000000');
+    });
+
+    it('unions hash maps', () => {
+      expect(DeltaTracker.mergeWatermarks('hash', { a: '1' }, { b: '2' })).toEqual({ a: '1', b: '2' });
+      expect(DeltaTracker.mergeWatermarks('hash', null, { b: '2' })).toEqual({ b: '2' });
+    });
+  });
+});
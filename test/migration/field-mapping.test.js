@@ -1,4 +1,4 @@
-const { FieldMappingEngine, CONVERTERS } = require('../../migration/field-mapping');
+const { FieldMappingEngine, CONVERTERS, MAX_UNMAPPED_VALUES } = require('../../migration/field-mapping');
 
 describe('CONVERTERS', () => {
   it('padLeft40 pads to 40 chars', () => {
@@ -210,6 +210,121 @@ describe('FieldMappingEngine', () => {
       const v = engine.validateMappings();
       expect(v.valid).toBe(false);
     });
+
+    it('accepts expression mappings without a source', () => {
+      const engine = new FieldMappingEngine([{ target: 'B', expression: "UPPER(A) & '-1'" }]);
+      expect(engine.validateMappings()).toEqual({ valid: true, errors: [] });
+    });
+
+    it('reports expression parse errors', () => {
+      const engine = new FieldMappingEngine([
+        { target: 'B', expression: 'IF(A = 1, 2' },
+        { target: 'C', expression: 'NOPE(A)' },
+        { target: 'D', expression: 'UPPER($)' },
+      ]);
+      const v = engine.validateMappings();
+      expect(v.errors).toHaveLength(3);
+      expect(v.errors[0]).toMatch(/Mapping\[0\]: invalid expression for 'B' — Expected '\)'/);
+      expect(v.errors[1]).toMatch(/Unknown function 'NOPE'/);
+      expect(v.errors[2]).toMatch(/no source field/);
+    });
+
+    it('checks LOOKUP tables against configured reference tables', () => {
+      const engine = new FieldMappingEngine(
+        [{ target: 'B', expression: "LOOKUP('T005', LAND1)" }],
+        { referenceTables: { T006: {} } }
+      );
+      expect(engine.validateMappings().errors[0]).toMatch(/Unknown reference table 'T005'/);
+    });
+  });
+
+  describe('expression', () => {
+    const mappings = [
+      { source: 'NAME1', target: 'Name', expression: 'UPPER(TRIM($))' },
+      { target: 'Type', expression: "IF(KTOKD = 'CPD', 'ONE_TIME', 'REGULAR')" },
+      { target: 'Country', expression: "LOOKUP('T005', LAND1, 'ISO3', 'XXX')" },
+      { target: 'Amount', expression: 'ROUND(NUMBER(DMBTR) * 1.19, 2)' },
+    ];
+    const referenceTables = { T005: { DE: { ISO3: 'DEU' } } };
+
+    it('evaluates expressions against the source record', () => {
+      const engine = new FieldMappingEngine(mappings, { referenceTables });
+      const result = engine.applyRecord({ NAME1: ' acme ', KTOKD: 'CPD', LAND1: 'DE', DMBTR: '100-' });
+      expect(result).toEqual({ Name: 'ACME', Type: 'ONE_TIME', Country: 'DEU', Amount: -119 });
+    });
+
+    it('does not pass through fields used by expressions', () => {
+      const engine = new FieldMappingEngine([{ target: 'Type', expression: 'KTOKD & LAND1' }], { passThrough: true });
+      expect(engine.applyRecord({ KTOKD: 'A', LAND1: 'DE', OTHER: 1 })).toEqual({ Type: 'ADE', OTHER: 1 });
+    });
+
+    it('reports evaluation errors per field', () => {
+      const engine = new FieldMappingEngine(mappings, { referenceTables });
+      const { records, failures } = engine.applyBatchDetailed([{ NAME1: 'x', DMBTR: 'abc' }]);
+      expect(records).toHaveLength(0);
+      expect(failures[0].errors).toEqual([{ field: 'Amount', message: "NUMBER: 'abc' is not a number" }]);
+    });
+  });
+
+  describe('valueTable', () => {
+    const mappings = [{ source: 'WERKS', target: 'Plant', valueTable: 'plants' }];
+
+    it('translates through a plain table and falls back to the raw value', () => {
+      const engine = new FieldMappingEngine(mappings, { valueMappings: { plants: { P1: '1000' } } });
+      expect(engine.applyBatch([{ WERKS: 'P1' }, { WERKS: 'P9' }])).toEqual([{ Plant: '1000' }, { Plant: 'P9' }]);
+    });
+
+    it('prefers the mapping default, then the table default', () => {
+      const repo = { get: () => ({ entries: { P1: '1000' }, defaultValue: '9999', version: 3 }) };
+      const engine = new FieldMappingEngine([
+        ...mappings,
+        { source: 'WERKS', target: 'Plant2', valueTable: 'plants', default: 'XXXX' },
+      ], { valueMappings: repo });
+      expect(engine.applyRecord({ WERKS: 'P9' })).toEqual({ Plant: '9999', Plant2: 'XXXX' });
+    });
+
+    it('passes the pinned version to the repository', () => {
+      const get = vi.fn(() => ({ entries: { P1: 'old' }, defaultValue: null, version: 1 }));
+      const engine = new FieldMappingEngine([{ ...mappings[0], tableVersion: 1 }], { valueMappings: { get } });
+      expect(engine.applyRecord({ WERKS: 'P1' })).toEqual({ Plant: 'old' });
+      expect(get).toHaveBeenCalledWith('plants', 1);
+    });
+
+    it('reports unmapped values per mapping, most frequent first', () => {
+      const engine = new FieldMappingEngine(mappings, { valueMappings: { plants: { P1: '1000' } } });
+      engine.applyBatch([{ WERKS: 'P1' }, { WERKS: 'P8' }, { WERKS: 'P9' }, { WERKS: 'P9' }, { WERKS: '' }]);
+      expect(engine.getUnmappedReport()).toEqual([{
+        table: 'plants',
+        version: null,
+        source: 'WERKS',
+        target: 'Plant',
+        total: 3,
+        values: [{ value: 'P9', count: 2 }, { value: 'P8', count: 1 }],
+        truncated: false,
+      }]);
+      engine.resetUnmapped();
+      expect(engine.getUnmappedReport()).toEqual([]);
+    });
+
+    it('caps the distinct unmapped values kept', () => {
+      const engine = new FieldMappingEngine(mappings, { valueMappings: { plants: {} } });
+      engine.applyBatch(Array.from({ length: MAX_UNMAPPED_VALUES + 5 }, (_, i) => ({ WERKS: `P${i}` })));
+      const [report] = engine.getUnmappedReport();
+      expect(report.total).toBe(MAX_UNMAPPED_VALUES + 5);
+      expect(report.values).toHaveLength(MAX_UNMAPPED_VALUES);
+      expect(report.truncated).toBe(true);
+    });
+
+    it('fails the field when onUnmapped is error', () => {
+      const engine = new FieldMappingEngine([{ ...mappings[0], onUnmapped: 'error' }], { valueMappings: { plants: {} } });
+      const { failures } = engine.applyBatchDetailed([{ WERKS: 'P9' }]);
+      expect(failures[0].errors[0].message).toBe("No mapping for 'P9' in value table 'plants'");
+    });
+
+    it('validateMappings reports tables that are not loaded', () => {
+      const engine = new FieldMappingEngine([{ ...mappings[0], tableVersion: 2 }], { valueMappings: { get: () => null } });
+      expect(engine.validateMappings().errors).toEqual(["Mapping[0]: value table 'plants' version 2 is not loaded"]);
+    });
   });
 
   describe('getSummary', () => {
@@ -222,4 +337,18 @@ describe('FieldMappingEngine', () => {
       expect(s.mapped).toBe(2);
     });
   });
+
+  describe('applyBatchDetailed', () => {
+    it('separates records whose mappings throw', () => {
+      const engine = new FieldMappingEngine([
+        { source: 'A', target: 'a' },
+        { source: 'B', target: 'b', transform: (v) => { if (v === 'bad') throw new Error('boom'); return v; } },
+      ]);
+      const result = engine.applyBatchDetailed([{ A: 1, B: 'ok' }, { A: 2, B: 'bad' }]);
+      expect(result.records).toEqual([{ a: 1, b: 'ok' }]);
+      expect(result.failures).toHaveLength(1);
+      expect(result.failures[0].index).toBe(1);
+      expect(result.failures[0].errors[0]).toEqual({ field: 'b', message: 'boom' });
+    });
+  });
 });
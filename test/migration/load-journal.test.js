@@ -0,0 +1,149 @@
+const { LoadJournal } = require('../../migration/load-journal');
+const MigrationObjectRegistry = require('../../migration/objects/registry');
+const CustomerOpenItem = require('../../migration/objects/customer-open-item');
+const { PersistenceAdapter } = require('../../lib/persistence');
+
+describe('LoadJournal', () => {
+  const gateway = { mode: 'mock' };
+  let journal;
+  let registry;
+
+  const load = (objectId, runId, count = 2) => journal.record(
+    objectId,
+    Array.from({ length: count }, (_, i) => ({ targetKey: `${objectId}-${i}`, keys: { id: i } })),
+    { runId, strategy: registry.createObject(objectId, gateway).getRollbackStrategy() }
+  );
+
+  beforeEach(() => {
+    journal = new LoadJournal({ persistence: new PersistenceAdapter(), logLevel: 'error' });
+    registry = new MigrationObjectRegistry();
+  });
+
+  it('records created keys and summarises them per object', async () => {
+    await load('BUSINESS_PARTNER', 'run-1', 3);
+    await load('GL_BALANCE', 'run-2');
+    const [entry] = await journal.list({ objectId: 'BUSINESS_PARTNER' });
+    expect(entry).toMatchObject({ runId: 'run-1', targetKey: 'BUSINESS_PARTNER-0', keys: { id: 0 }, status: 'loaded', strategy: 'deletion_flag' });
+    expect(await journal.summary('run-1')).toEqual({
+      total: 3,
+      byObject: { BUSINESS_PARTNER: { loaded: 3, rolled_back: 0, rollback_failed: 0 } },
+    });
+  });
+
+  it('previews a run rollback in reverse dependency order without changes', async () => {
+    await load('BANK_MASTER', 'run-1');
+    await load('BUSINESS_PARTNER', 'run-1');
+    await load('CUSTOMER_OPEN_ITEM', 'run-1');
+
+    const plan = await journal.rollback(registry, gateway, { runId: 'run-1', dryRun: true });
+    expect(plan.status).toBe('planned');
+    expect(plan.totalEntries).toBe(6);
+    expect(plan.waves.map((w) => w.objects)).toEqual([['CUSTOMER_OPEN_ITEM'], ['BUSINESS_PARTNER'], ['BANK_MASTER']]);
+    expect(plan.objects[0]).toMatchObject({ objectId: 'CUSTOMER_OPEN_ITEM', strategy: 'reversal', entryCount: 2 });
+    expect((await journal.list({ status: 'loaded' })).length).toBe(6);
+  });
+
+  it('reverses documents and flags master data for deletion', async () => {
+    await load('GL_ACCOUNT_MASTER', 'run-1');
+    await load('GL_BALANCE', 'run-1');
+    await load('COST_CENTER', 'run-2');
+
+    const result = await journal.rollback(registry, gateway, { runId: 'run-1' });
+    expect(result.status).toBe('completed');
+    expect(result.objects.map((o) => [o.objectId, o.status, o.rolledBack])).toEqual([
+      ['GL_BALANCE', 'completed', 2], ['GL_ACCOUNT_MASTER', 'completed', 2],
+    ]);
+
+    const balances = await journal.list({ runId: 'run-1', objectId: 'GL_BALANCE' });
+    expect(balances.map((e) => e.status)).toEqual(['rolled_back', 'rolled_back']);
+    expect(balances[0].reversalKey).toMatch(/^49\d{8}$/);
+    expect(balances[0].rolledBackAt).toBeTruthy();
+    expect((await journal.list({ runId: 'run-1', objectId: 'GL_ACCOUNT_MASTER' }))[0].reversalKey).toBeNull();
+    expect(await journal.list({ runId: 'run-2', status: 'loaded' })).toHaveLength(2);
+  });
+
+  it('blocks an object rollback while its dependents are still loaded', async () => {
+    await load('BUSINESS_PARTNER', 'run-1');
+    await load('VENDOR_OPEN_ITEM', 'run-2', 1);
+
+    const blocked = await journal.rollback(registry, gateway, { objectId: 'BUSINESS_PARTNER' });
+    expect(blocked.status).toBe('blocked');
+    expect(blocked.blockedBy).toEqual([{ objectId: 'BUSINESS_PARTNER', dependent: 'VENDOR_OPEN_ITEM', entryCount: 1 }]);
+    expect(await journal.list({ status: 'loaded' })).toHaveLength(3);
+
+    await journal.rollback(registry, gateway, { objectId: 'VENDOR_OPEN_ITEM' });
+    expect((await journal.rollback(registry, gateway, { objectId: 'BUSINESS_PARTNER' })).status).toBe('completed');
+  });
+
+  it('rolls back despite loaded dependents when forced', async () => {
+    await load('BUSINESS_PARTNER', 'run-1');
+    await load('VENDOR_OPEN_ITEM', 'run-2', 1);
+    const result = await journal.rollback(registry, gateway, { objectId: 'BUSINESS_PARTNER', force: true });
+    expect(result.status).toBe('completed');
+    expect(result.blockedBy).toHaveLength(1);
+  });
+
+  it('skips prerequisites of a failed rollback and retries failed entries later', async () => {
+    let attempts = 0;
+    class FlakyOpenItem extends CustomerOpenItem {
+      async rollback(entries) {
+        attempts++;
+        if (attempts === 1) throw new Error('Posting period 012/2026 is closed');
+        return super.rollback(entries);
+      }
+    }
+    registry.registerClass('CUSTOMER_OPEN_ITEM', FlakyOpenItem);
+    await load('BUSINESS_PARTNER', 'run-1');
+    await load('CUSTOMER_OPEN_ITEM', 'run-1');
+
+    const first = await journal.rollback(registry, gateway, { runId: 'run-1' });
+    expect(first.status).toBe('completed_with_errors');
+    expect(first.objects[0]).toMatchObject({ objectId: 'CUSTOMER_OPEN_ITEM', status: 'completed_with_errors', failed: 2 });
+    expect(first.objects[1]).toMatchObject({
+      objectId: 'BUSINESS_PARTNER', status: 'skipped', reason: 'dependent_rollback_failed', blockedBy: ['CUSTOMER_OPEN_ITEM'],
+    });
+    const failed = await journal.list({ status: 'rollback_failed' });
+    expect(failed.map((e) => e.error)).toEqual(['Posting period 012/2026 is closed', 'Posting period 012/2026 is closed']);
+
+    const retry = await journal.rollback(registry, gateway, { runId: 'run-1' });
+    expect(retry.status).toBe('completed');
+    expect(retry.totalEntries).toBe(4);
+    expect(await journal.summary('run-1')).toEqual({
+      total: 4,
+      byObject: {
+        BUSINESS_PARTNER: { loaded: 0, rolled_back: 2, rollback_failed: 0 },
+        CUSTOMER_OPEN_ITEM: { loaded: 0, rolled_back: 2, rollback_failed: 0 },
+      },
+    });
+  });
+
+  it('leaves manual-strategy objects loaded', async () => {
+    await load('FI_CONFIG', 'run-1');
+    const result = await journal.rollback(registry, gateway, { runId: 'run-1' });
+    expect(result.objects[0]).toMatchObject({ objectId: 'FI_CONFIG', strategy: 'manual', status: 'manual' });
+    expect(await journal.list({ status: 'loaded' })).toHaveLength(2);
+  });
+
+  it('reports when there is nothing to roll back', async () => {
+    expect((await journal.rollback(registry, gateway, { runId: 'nope' })).status).toBe('nothing_to_roll_back');
+  });
+
+  it('requires a run or object scope', async () => {
+    await expect(journal.rollback(registry, gateway, {})).rejects.toThrow(/requires a runId or an objectId/);
+  });
+
+  it('journals a registry run and rolls it back end to end', async () => {
+    const run = await registry.runAll(gateway, {
+      objectIds: ['GL_ACCOUNT_MASTER', 'GL_BALANCE'],
+      journal,
+      logLevel: 'error',
+    });
+    expect(run.runId).toMatch(/^run-\d+$/);
+    const loaded = run.results.reduce((sum, r) => sum + r.stats.loadedRecords, 0);
+    expect((await journal.summary(run.runId)).total).toBe(loaded);
+
+    const result = await journal.rollback(registry, gateway, { runId: run.runId });
+    expect(result.status).toBe('completed');
+    expect(result.objects.map((o) => o.rolledBack).reduce((a, b) => a + b, 0)).toBe(loaded);
+  });
+});
@@ -0,0 +1,198 @@
+const {
+  compileExpression,
+  evaluateExpression,
+  validateExpression,
+  FUNCTIONS,
+  MAX_LENGTH,
+  MAX_DEPTH,
+  MAX_TEXT,
+} = require('../../migration/mapping-expression');
+
+const record = {
+  KUNNR: '42',
+  NAME1: '  Acme Corp ',
+  KTOKD: 'CPD',
+  LAND1: 'DE',
+  DMBTR: '1500.5',
+  SHKZG: 'H',
+  BUDAT: '20240229',
+  ERDAT: '00000000',
+  LOEVM: 'X',
+  '/BIC/ZREGION': 'EMEA',
+};
+const run = (expr, context) => evaluateExpression(expr, record, context);
+
+describe('mapping-expression', () => {
+  describe('literals and fields', () => {
+    it('evaluates literals', () => {
+      expect(run('42')).toBe(42);
+      expect(run('.5')).toBe(0.5);
+      expect(run("'O''Brien'")).toBe("O'Brien");
+      expect(run('"double"')).toBe('double');
+      expect(run('TRUE')).toBe(true);
+      expect(run('null')).toBeNull();
+    });
+
+    it('reads fields, bracketed names and the mapping value', () => {
+      expect(run('KUNNR')).toBe('42');
+      expect(run('[/BIC/ZREGION]')).toBe('EMEA');
+      expect(run('MISSING')).toBeNull();
+      expect(run('$', { value: 'v' })).toBe('v');
+    });
+  });
+
+  describe('operators', () => {
+    it('does arithmetic with SAP number formats', () => {
+      expect(run('DMBTR * 2')).toBe(3001);
+      expect(run("'100-' + 1")).toBe(-99);
+      expect(run('7 % 4 - -1')).toBe(4);
+      expect(run('(1 + 2) * 3')).toBe(9);
+      expect(run('MISSING + 1')).toBeNull();
+    });
+
+    it('concatenates with &', () => {
+      expect(run("KUNNR & '-' & LAND1 & MISSING")).toBe('42-DE');
+    });
+
+    it('compares numbers numerically and strings lexically', () => {
+      expect(run("'10' > 9")).toBe(true);
+      expect(run("LAND1 = 'DE'")).toBe(true);
+      expect(run("LAND1 != 'DE'")).toBe(false);
+      expect(run("MISSING = ''")).toBe(true);
+    });
+
+    it('combines conditions with AND / OR / NOT', () => {
+      expect(run("KTOKD = 'CPD' AND NOT ISBLANK(LOEVM)")).toBe(true);
+      expect(run("LAND1 = 'US' OR LAND1 = 'DE'")).toBe(true);
+    });
+
+    it('throws on non-numeric arithmetic and division by zero', () => {
+      expect(() => run('NAME1 * 2')).toThrow(/not a number/);
+      expect(() => run('1 / 0')).toThrow(/Division by zero/);
+    });
+  });
+
+  describe('functions', () => {
+    it('branches lazily', () => {
+      expect(run("IF(SHKZG = 'H', -NUMBER(DMBTR), NUMBER(DMBTR))")).toBe(-1500.5);
+      expect(run("IF(FALSE, NAME1 * 2, 'safe')")).toBe('safe');
+      expect(run('IF(FALSE, 1)')).toBeNull();
+      expect(run("SWITCH(LAND1, 'US', 'Americas', 'DE', 'Europe', 'Other')")).toBe('Europe');
+      expect(run("SWITCH(LAND1, 'US', 'Americas')")).toBeNull();
+      expect(run("COALESCE(MISSING, '', KUNNR)")).toBe('42');
+      expect(run("IN(LAND1, 'AT', 'DE', 'CH')")).toBe(true);
+    });
+
+    it('handles strings', () => {
+      expect(run('UPPER(TRIM(NAME1))')).toBe('ACME CORP');
+      expect(run('LEFT(TRIM(NAME1), 4)')).toBe('Acme');
+      expect(run("RIGHT('ABCDEF', 2)")).toBe('EF');
+      expect(run("SUBSTR('ABCDEF', 2, 3)")).toBe('BCD');
+      expect(run('PADLEFT(KUNNR, 10)')).toBe('0000000042');
+      expect(run("PADRIGHT('A', 3, '.')")).toBe('A..');
+      expect(run("STRIPZEROS('000100')")).toBe('100');
+      expect(run("REPLACE('a.b.c', '.', '/')")).toBe('a/b/c');
+      expect(run("CONCAT(KUNNR, '/', LAND1)")).toBe('42/DE');
+      expect(run('LEN(KUNNR)')).toBe(2);
+      expect(run("STARTSWITH(NAME1, '  A') AND CONTAINS(NAME1, 'Corp')")).toBe(true);
+    });
+
+    it('handles numbers', () => {
+      expect(run('ROUND(DMBTR / 3, 2)')).toBe(500.17);
+      expect(run('ROUND(1.005, 2)')).toBe(1.01);
+      // Halves round away from zero on both sides
+      expect(run('ROUND(2.5)')).toBe(3);
+      expect(run('ROUND(-2.5)')).toBe(-3);
+      expect(run('ROUND(12.345, 2)')).toBe(12.35);
+      expect(run('ROUND(-12.345, 2)')).toBe(-12.35);
+      expect(run("ABS('5-')")).toBe(5);
+      expect(run('MAX(1, DMBTR, MISSING)')).toBe(1500.5);
+      expect(run('INT(-2.7)')).toBe(-2);
+    });
+
+    it('handles SAP dates', () => {
+      expect(run('DATE(BUDAT)')).toBe('2024-02-29');
+      expect(run('DATE(ERDAT)')).toBeNull();
+      expect(run('ADDDAYS(BUDAT, 1)')).toBe('2024-03-01');
+      expect(run("DATEDIFF('20240101', BUDAT)")).toBe(59);
+      expect(run('YEAR(BUDAT) * 100 + MONTH(BUDAT)')).toBe(202402);
+      expect(run("FORMATDATE(BUDAT, 'DD.MM.YYYY')")).toBe('29.02.2024');
+      expect(run('TODAY()')).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(() => run("DATE('20240230')")).toThrow(/not a date/);
+    });
+
+    it('looks up fields and reference tables', () => {
+      const referenceTables = { T005: { DE: { ISO3: 'DEU' } }, REGION: { DE: 'EMEA' } };
+      expect(run("FIELD('KUN' & 'NR')")).toBe('42');
+      expect(run("LOOKUP('REGION', LAND1)", { referenceTables })).toBe('EMEA');
+      expect(run("LOOKUP('T005', LAND1, 'ISO3')", { referenceTables })).toBe('DEU');
+      expect(run("LOOKUP('T005', 'XX', 'ISO3', 'n/a')", { referenceTables })).toBe('n/a');
+      expect(() => run("LOOKUP('NOPE', LAND1)", { referenceTables })).toThrow(/unknown reference table/);
+    });
+
+    it('matches function names case-insensitively and field names exactly', () => {
+      expect(run('upper(LAND1)')).toBe('DE');
+      expect(run('upper(land1)')).toBe('');
+    });
+  });
+
+  describe('sandbox', () => {
+    it('never reaches object prototypes or globals', () => {
+      expect(run('constructor')).toBeNull();
+      expect(run('__proto__')).toBeNull();
+      expect(run("FIELD('__proto__')")).toBeNull();
+      expect(run("LOOKUP('T', 'constructor')", { referenceTables: { T: {} } })).toBeNull();
+      expect(() => run("LOOKUP('toString', 'x')")).toThrow(/unknown reference table/);
+      expect(() => compileExpression('process.exit(1)')).toThrow(/Unexpected character '\.'/);
+      expect(() => compileExpression('eval(1)')).toThrow(/Unknown function 'eval'/);
+    });
+
+    it('bounds length, nesting and padding', () => {
+      expect(() => compileExpression('1+'.repeat(MAX_LENGTH))).toThrow(/longer than/);
+      expect(() => compileExpression('('.repeat(MAX_DEPTH + 1) + '1' + ')'.repeat(MAX_DEPTH + 1))).toThrow(/nested deeper/);
+      expect(() => run('PADLEFT(1, 100000)')).toThrow(/exceeds/);
+    });
+
+    it('bounds the strings nested functions build', () => {
+      // Each level multiplies the length by 100
+      const grow = (inner) => `REPLACE(${inner}, 'a', PADLEFT('', 100, 'a'))`;
+      expect(() => run(grow(grow("'a'")))).not.toThrow();
+      expect(() => run(grow(grow(grow("'a'"))))).toThrow(new RegExp(`REPLACE: result longer than ${MAX_TEXT}`));
+      const kilo = (n) => Array(n).fill("PADLEFT('', 1000, 'x')").join(', ');
+      expect(() => run(`CONCAT(${kilo(101)})`)).toThrow(/CONCAT: result longer than/);
+      expect(() => run(`CONCAT(${kilo(60)}) & CONCAT(${kilo(60)})`)).toThrow(/&: result longer than/);
+    });
+
+    it('exposes a frozen function table', () => {
+      expect(Object.isFrozen(FUNCTIONS)).toBe(true);
+    });
+  });
+
+  describe('compileExpression / validateExpression', () => {
+    it('collects referenced fields and lookup tables', () => {
+      const compiled = compileExpression("IF(A = 1, LOOKUP('T', B), [C/D]) & $");
+      expect(compiled.fields).toEqual(['A', 'B', 'C/D']);
+      expect(compiled.tables).toEqual(['T']);
+      expect(compiled.usesValue).toBe(true);
+    });
+
+    it('reports syntax errors with positions', () => {
+      expect(validateExpression("UPPER('x'").errors[0]).toBe("Expected ')' but found end of expression at position 10");
+      expect(validateExpression("'open").errors[0]).toMatch(/Unterminated string at position 1/);
+      expect(validateExpression('1 2').errors[0]).toMatch(/Unexpected '2'/);
+      expect(validateExpression('').valid).toBe(false);
+    });
+
+    it('checks function arity', () => {
+      expect(validateExpression('IF(A)').errors[0]).toMatch(/IF expects 2-3 argument\(s\), got 1/);
+      expect(validateExpression('TODAY(1)').errors[0]).toMatch(/TODAY expects 0 argument/);
+      expect(validateExpression('COALESCE()').errors[0]).toMatch(/at least 1/);
+    });
+
+    it('reuses compiled expressions', () => {
+      const compiled = compileExpression('UPPER(LAND1)');
+      expect(evaluateExpression(compiled, { LAND1: 'at' })).toBe('AT');
+      expect(evaluateExpression(compiled, { LAND1: 'ch' })).toBe('CH');
+    });
+  });
+});
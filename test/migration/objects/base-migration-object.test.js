@@ -1,4 +1,5 @@
 const BaseMigrationObject = require('../../../migration/objects/base-migration-object');
+const { PersistenceAdapter } = require('../../../lib/persistence');
 
 // Minimal concrete subclass for testing
 class TestObject extends BaseMigrationObject {
@@ -36,6 +37,20 @@ class FailingValidationObject extends BaseMigrationObject {
   }
 }
 
+// Subclass with timestamp-based delta tracking
+class DeltaObject extends TestObject {
+  get objectId() { return 'DELTA_OBJ'; }
+  getDeltaConfig() {
+    return { strategy: 'timestamp', field: 'AEDAT' };
+  }
+  _extractMock() {
+    return [
+      { SRC_A: 'alpha', SRC_B: 'hello', AEDAT: '20240101' },
+      { SRC_A: 'beta', SRC_B: 'world', AEDAT: '20240301' },
+    ];
+  }
+}
+
 describe('BaseMigrationObject', () => {
   const mockGateway = { mode: 'mock' };
 
@@ -96,6 +111,53 @@ describe('BaseMigrationObject', () => {
       expect(result.recordCount).toBe(1);
       expect(result.successCount).toBeDefined();
     });
+
+    it('journals created records by their target keys', async () => {
+      const journal = { record: vi.fn(async () => []) };
+      const obj = new TestObject(mockGateway, { journal, runId: 'run-1' });
+      const result = await obj.load([{ TGT_A: 'alpha', TGT_B: 'X' }, { TGT_A: 'beta', TGT_B: 'Y' }]);
+      expect(result.journaled).toBe(2);
+      expect(journal.record).toHaveBeenCalledWith('TEST_OBJ', [
+        { targetKey: 'SRC_A=alpha', keys: { TGT_A: 'alpha' }, documentNumber: null },
+        { targetKey: 'SRC_A=beta', keys: { TGT_A: 'beta' }, documentNumber: null },
+      ], { runId: 'run-1', strategy: 'deletion_flag' });
+    });
+
+    it('does not journal records the target rejected', async () => {
+      const journal = { record: vi.fn(async () => []) };
+      const records = Array.from({ length: 50 }, (_, i) => ({ TGT_A: `r${i}` }));
+      const result = await new TestObject(mockGateway, { journal }).load(records);
+      expect(result.failures).toHaveLength(1);
+      const journaled = journal.record.mock.calls[0][1].map((i) => i.keys.TGT_A);
+      expect(journaled).toHaveLength(49);
+      expect(journaled).not.toContain(records[result.failures[0].index].TGT_A);
+    });
+
+    it('journals the document numbers a live load reports', async () => {
+      class DocumentObject extends TestObject {
+        async _loadLive(records) {
+          return { status: 'completed', successCount: records.length, errorCount: 0, failures: [], created: [{ index: 0, documentNumber: '100000001' }] };
+        }
+      }
+      const journal = { record: vi.fn(async () => []) };
+      await new DocumentObject({ mode: 'live' }, { journal }).load([{ TGT_A: 'alpha' }]);
+      expect(journal.record.mock.calls[0][1][0].documentNumber).toBe('100000001');
+    });
+  });
+
+  describe('rollback', () => {
+    it('sets deletion flags by default', async () => {
+      const outcomes = await new TestObject(mockGateway).rollback([{ targetKey: 'a' }]);
+      expect(outcomes).toEqual([{ status: 'rolled_back', action: 'deletion_flag', reversalKey: null, error: null }]);
+    });
+
+    it('posts reversal documents for reversal objects', async () => {
+      class PostingObject extends TestObject {
+        getRollbackStrategy() { return 'reversal'; }
+      }
+      const outcomes = await new PostingObject({ mode: 'live' }, { logLevel: 'error' }).rollback([{}, {}]);
+      expect(outcomes.map((o) => [o.action, o.reversalKey])).toEqual([['reversal', '4900000001'], ['reversal', '4900000002']]);
+    });
   });
 
   describe('run (full lifecycle)', () => {
@@ -135,4 +197,291 @@ describe('BaseMigrationObject', () => {
       expect(result.phases.transform).toBeUndefined();
     });
   });
+
+  describe('delta mode', () => {
+    it('has no delta config by default', () => {
+      const obj = new TestObject(mockGateway, { delta: true });
+      expect(obj.getDeltaConfig()).toBeNull();
+      expect(obj.deltaEnabled).toBe(false);
+    });
+
+    it('ignores delta config unless delta option is set', async () => {
+      const obj = new DeltaObject(mockGateway);
+      const result = await obj.extract();
+      expect(result.mode).toBeUndefined();
+      expect(result.recordCount).toBe(2);
+    });
+
+    it('runs a full load first and commits the watermark', async () => {
+      const persistence = new PersistenceAdapter();
+      const obj = new DeltaObject(mockGateway, { delta: true, persistence });
+      const result = await obj.run();
+      expect(result.phases.extract.mode).toBe('delta');
+      expect(result.delta.initialLoad).toBe(true);
+      expect(result.delta.committed).toBe(true);
+      expect(result.stats.extractedRecords).toBe(2);
+      const wm = await persistence.loadWatermark('DELTA_OBJ');
+      expect(wm.watermark).toBe('20240301000000');
+    });
+
+    it('extracts nothing on a second run without changes', async () => {
+      const persistence = new PersistenceAdapter();
+      await new DeltaObject(mockGateway, { delta: true, persistence }).run();
+      const result = await new DeltaObject(mockGateway, { delta: true, persistence }).run();
+      expect(result.status).toBe('completed');
+      expect(result.stats.extractedRecords).toBe(0);
+      expect(result.delta.skippedRecords).toBe(2);
+    });
+
+    it('only processes records changed since the watermark', async () => {
+      const persistence = new PersistenceAdapter();
+      await persistence.saveWatermark('DELTA_OBJ', { strategy: 'timestamp', watermark: '20240201000000' });
+      const result = await new DeltaObject(mockGateway, { delta: true, persistence }).run();
+      expect(result.stats.extractedRecords).toBe(1);
+      expect(result.phases.transform.records[0].TGT_A).toBe('beta');
+    });
+
+    it('does not advance the watermark when validation fails', async () => {
+      class FailingDelta extends DeltaObject {
+        getQualityChecks() { return { required: ['MISSING_FIELD'] }; }
+      }
+      const persistence = new PersistenceAdapter();
+      const result = await new FailingDelta(mockGateway, { delta: true, persistence }).run();
+      expect(result.status).toBe('validation_failed');
+      expect(result.delta.committed).toBe(false);
+      expect(await persistence.loadWatermark('DELTA_OBJ')).toBeNull();
+    });
+
+    // Rejects the second record, as a live target would
+    class RejectingDelta extends DeltaObject {
+      _loadMock(records) {
+        return {
+          ...super._loadMock(records),
+          status: 'completed_with_errors',
+          successCount: records.length - 1,
+          errorCount: 1,
+          failures: [{ index: 1, error: 'rejected' }],
+        };
+      }
+    }
+
+    it('does not advance the watermark when records fail to load', async () => {
+      const persistence = new PersistenceAdapter();
+      const result = await new RejectingDelta(mockGateway, { delta: true, persistence }).run();
+      expect(result.status).toBe('completed_with_errors');
+      expect(result.delta.committed).toBe(false);
+      expect(await persistence.loadWatermark('DELTA_OBJ')).toBeNull();
+      const again = await new DeltaObject(mockGateway, { delta: true, persistence }).run();
+      expect(again.stats.extractedRecords).toBe(2);
+    });
+
+    it('advances the watermark when every failed record was quarantined', async () => {
+      const persistence = new PersistenceAdapter();
+      const quarantine = { capture: async () => {} };
+      const result = await new RejectingDelta(mockGateway, { delta: true, persistence, quarantine }).run();
+      expect(result.quarantine.load).toBe(1);
+      expect(result.delta.committed).toBe(true);
+    });
+
+    it('does not advance a streamed watermark when records fail to load', async () => {
+      const persistence = new PersistenceAdapter();
+      const result = await new RejectingDelta(mockGateway, { delta: true, persistence, streaming: { chunkSize: 1 } }).run();
+      expect(result.phases.load.errorCount).toBe(2);
+      expect(result.delta.committed).toBe(false);
+      expect(await persistence.loadWatermark('DELTA_OBJ')).toBeNull();
+    });
+
+    it('resetDelta() forces a full load', async () => {
+      const persistence = new PersistenceAdapter();
+      const obj = new DeltaObject(mockGateway, { delta: true, persistence });
+      await obj.run();
+      expect(await obj.resetDelta()).toBe(true);
+      const result = await obj.run();
+      expect(result.stats.extractedRecords).toBe(2);
+    });
+  });
+
+  describe('streaming mode', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { CheckpointManager } = require('../../../migration/checkpoint');
+
+    // Generates records lazily so the full set never exists in memory
+    class BulkObject extends TestObject {
+      get objectId() { return 'BULK_OBJ'; }
+      constructor(gateway, options, total = 2500) {
+        super(gateway, options);
+        this.total = total;
+        this.events = [];
+      }
+      async *_extractChunks(chunkSize, ctx) {
+        for (let i = ctx.offset; i < this.total; i += chunkSize) {
+          this.events.push(`extract:${i}`);
+          const chunk = [];
+          for (let j = i; j < Math.min(i + chunkSize, this.total); j++) {
+            chunk.push({ SRC_A: `rec-${j}`, SRC_B: 'x', AEDAT: `2024${String((j % 12) + 1).padStart(2, '0')}01` });
+          }
+          yield chunk;
+        }
+      }
+      async load(records) {
+        this.events.push(`load:${records.length}`);
+        return super.load(records);
+      }
+    }
+
+    let dir;
+    beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mig-stream-')); });
+    afterEach(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+    it('matches the totals of a full run', async () => {
+      const full = await new TestObject(mockGateway).run();
+      const streamed = await new TestObject(mockGateway, { streaming: { chunkSize: 1 } }).run();
+      expect(streamed.mode).toBe('streaming');
+      expect(streamed.chunks).toBe(2);
+      expect(streamed.stats.extractedRecords).toBe(full.stats.extractedRecords);
+      expect(streamed.stats.loadedRecords).toBe(full.stats.loadedRecords);
+      expect(streamed.phases.transform.records).toBeUndefined();
+    });
+
+    it('keeps chunks bounded and loads each one before extracting the next', async () => {
+      const obj = new BulkObject(mockGateway, { streaming: { chunkSize: 1000 } });
+      const result = await obj.run();
+      expect(result.status).toBe('completed_with_errors');
+      expect(result.chunks).toBe(3);
+      expect(result.phases.extract.peakChunkSize).toBe(1000);
+      expect(result.stats.extractedRecords).toBe(2500);
+      expect(result.stats.loadedRecords + result.stats.loadErrors).toBe(2500);
+      expect(obj.events).toEqual(['extract:0', 'load:1000', 'extract:1000', 'load:1000', 'extract:2000', 'load:500']);
+    });
+
+    it('resumes from the last checkpointed chunk', async () => {
+      const checkpoint = new CheckpointManager({ checkpointDir: dir, logLevel: 'error' });
+      class CrashingObject extends BulkObject {
+        async load(records) {
+          if (this.events.filter((e) => e.startsWith('load')).length === 2) throw new Error('connection lost');
+          return super.load(records);
+        }
+      }
+      const options = { streaming: { chunkSize: 1000, checkpoint }, runId: 'run-1' };
+      const first = await new CrashingObject(mockGateway, options).run();
+      expect(first.status).toBe('error');
+      expect(checkpoint.loadObjectProgress('run-1', 'BULK_OBJ').progress.offset).toBe(2000);
+
+      const obj = new BulkObject(mockGateway, options);
+      const second = await obj.run();
+      expect(second.resumedFrom).toBe(2000);
+      expect(obj.events).toEqual(['extract:2000', 'load:500']);
+      expect(second.stats.extractedRecords).toBe(2500);
+      expect(second.chunks).toBe(3);
+      expect(checkpoint.loadObjectProgress('run-1', 'BULK_OBJ')).toBeNull();
+    });
+
+    it('stops at a chunk that fails validation and keeps its checkpoint', async () => {
+      const checkpoint = new CheckpointManager({ checkpointDir: dir, logLevel: 'error' });
+      class BadTail extends BulkObject {
+        async *_extractChunks(chunkSize, ctx) {
+          yield* super._extractChunks(chunkSize, ctx);
+          yield [{ SRC_B: 'no key' }];
+        }
+      }
+      const result = await new BadTail(mockGateway, { streaming: { chunkSize: 1000, checkpoint }, runId: 'run-2' }).run();
+      expect(result.status).toBe('validation_failed');
+      expect(result.failedChunk).toBe(3);
+      expect(result.phases.validate.status).toBe('failed');
+      expect(checkpoint.loadObjectProgress('run-2', 'BULK_OBJ').progress.offset).toBe(2500);
+    });
+
+    it('quarantines invalid rows per chunk and keeps going', async () => {
+      const captured = [];
+      const quarantine = { capture: async (objectId, phase, items) => { captured.push({ phase, count: items.length }); } };
+      class MixedObject extends TestObject {
+        _extractMock() {
+          return [{ SRC_A: 'a', SRC_B: 'x' }, { SRC_B: 'no key' }, { SRC_A: 'c', SRC_B: 'y' }];
+        }
+      }
+      const result = await new MixedObject(mockGateway, { streaming: { chunkSize: 2 }, quarantine }).run();
+      expect(result.status).toBe('completed_with_errors');
+      expect(result.quarantine.validate).toBe(1);
+      expect(result.phases.load.recordCount).toBe(2);
+      expect(captured).toEqual([{ phase: 'validate', count: 1 }]);
+    });
+
+    it('applies the delta filter per chunk and commits the merged watermark', async () => {
+      class BulkDelta extends BulkObject {
+        getDeltaConfig() { return { strategy: 'timestamp', field: 'AEDAT' }; }
+      }
+      const persistence = new PersistenceAdapter();
+      await persistence.saveWatermark('BULK_OBJ', { strategy: 'timestamp', watermark: '20241001000000' });
+      const result = await new BulkDelta(mockGateway, { streaming: { chunkSize: 1000 }, delta: true, persistence }, 120).run();
+      expect(result.stats.extractedRecords).toBe(20);
+      expect(result.delta.totalRecords).toBe(120);
+      expect(result.delta.committed).toBe(true);
+      expect((await persistence.loadWatermark('BULK_OBJ')).watermark).toBe('20241201000000');
+    });
+
+    it('rejects an invalid chunk size', async () => {
+      await expect(new TestObject(mockGateway, { streaming: { chunkSize: 0 } }).run()).rejects.toThrow(/chunk size/);
+    });
+  });
+
+  describe('value-mapping tables', () => {
+    class PlantObject extends TestObject {
+      getFieldMappings() {
+        return [
+          { source: 'SRC_A', target: 'TGT_A' },
+          { source: 'SRC_B', target: 'TGT_B', valueTable: 'words' },
+        ];
+      }
+    }
+    const valueMappings = { words: { hello: 'HALLO' } };
+
+    it('reports unmapped source values for the run', async () => {
+      const obj = new PlantObject(mockGateway, { valueMappings });
+      const result = await obj.run();
+      expect(result.phases.transform.records[0].TGT_B).toBe('HALLO');
+      expect(result.unmappedValues).toHaveLength(1);
+      expect(result.unmappedValues[0].values).toEqual([{ value: 'world', count: 1 }]);
+
+      // Counts start over with every run
+      const again = await obj.run();
+      expect(again.unmappedValues[0].total).toBe(1);
+    });
+
+    it('reports unmapped values in streaming mode', async () => {
+      const result = await new PlantObject(mockGateway, { valueMappings, streaming: { chunkSize: 1 } }).run();
+      expect(result.unmappedValues[0].total).toBe(1);
+    });
+
+    it('omits the report when no mapping uses a value table', async () => {
+      const result = await new TestObject(mockGateway).run();
+      expect(result.unmappedValues).toBeUndefined();
+    });
+  });
+
+  describe('reference tables', () => {
+    class LookupObject extends TestObject {
+      getFieldMappings() {
+        return [
+          { source: 'SRC_A', target: 'TGT_A' },
+          { target: 'TGT_B', source: 'SRC_B', expression: "LOOKUP('GREETINGS', $, 'de', '?')" },
+        ];
+      }
+    }
+    const referenceTables = { GREETINGS: { hello: { de: 'hallo' } } };
+
+    it('resolves LOOKUP() from options.referenceTables', () => {
+      const obj = new LookupObject(mockGateway, { referenceTables });
+      expect(obj.transform(obj._extractMock()).records.map((r) => r.TGT_B)).toEqual(['hallo', '?']);
+    });
+
+    it('resolves LOOKUP() from a getReferenceTables() override', () => {
+      class OwnTables extends LookupObject {
+        getReferenceTables() { return referenceTables; }
+      }
+      const obj = new OwnTables(mockGateway);
+      expect(obj.transform(obj._extractMock()).records[0].TGT_B).toBe('hallo');
+    });
+  });
 });
@@ -49,4 +49,14 @@ describe('BusinessPartnerMigrationObject', () => {
     expect(checks.exactDuplicate).toBeDefined();
     expect(checks.fuzzyDuplicate).toBeDefined();
   });
+
+  it('delta run only extracts partners with change documents', async () => {
+    const { PersistenceAdapter } = require('../../../lib/persistence');
+    const persistence = new PersistenceAdapter();
+    await persistence.saveWatermark('BUSINESS_PARTNER', { strategy: 'changeDocument', watermark: '20240301100000' });
+    const delta = new BusinessPartner(gw, { delta: true, persistence });
+    const result = await delta.extract();
+    expect(result.mode).toBe('delta');
+    expect(result.records.map((r) => r.PARTNER)).toEqual(['100002', '100007']);
+  });
 });
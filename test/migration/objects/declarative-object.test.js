@@ -0,0 +1,248 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createDeclarativeClass,
+  validateDescriptor,
+  readDescriptorFile,
+} = require('../../../migration/objects/declarative-object');
+const MigrationObjectRegistry = require('../../../migration/objects/registry');
+
+const descriptor = (overrides = {}) => ({
+  objectId: 'ACME_STORAGE_LOCATION',
+  name: 'Storage Location',
+  source: { table: 'T001L', fields: ['WERKS', 'LGORT'] },
+  target: { api: 'API_STORAGELOCATION_SRV', entity: 'A_StorageLocation' },
+  dependencies: ['MATERIAL_MASTER'],
+  mappings: [
+    { source: 'WERKS', target: 'Plant' },
+    { source: 'LGORT', target: 'StorageLocation', convert: 'toUpperCase' },
+  ],
+  qualityChecks: {
+    required: ['Plant', 'StorageLocation'],
+    exactDuplicate: { keys: ['Plant', 'StorageLocation'] },
+    format: [{ field: 'StorageLocation', pattern: '^[A-Z0-9]{1,4}$' }],
+  },
+  mockData: [
+    { WERKS: '1000', LGORT: '0001' },
+    { WERKS: '1000', LGORT: 'ab12' },
+  ],
+  ...overrides,
+});
+
+describe('validateDescriptor', () => {
+  it('accepts a complete descriptor', () => {
+    expect(validateDescriptor(descriptor())).toEqual({ valid: true, errors: [] });
+  });
+
+  it('reports schema violations with their path', () => {
+    const bad = descriptor({ objectId: 'acme', target: {}, colour: 'red' });
+    bad.mappings[1].sourceField = 'X';
+    expect(validateDescriptor(bad).errors).toEqual([
+      'objectId: does not match ^[A-Z][A-Z0-9_]{2,63}$',
+      'target: missing required property \'api\'',
+      'mappings[1]: unknown property \'sourceField\'',
+      'descriptor: unknown property \'colour\'',
+    ]);
+  });
+
+  it('rejects non-object descriptors', () => {
+    expect(validateDescriptor(null).errors).toEqual(['descriptor: expected object']);
+  });
+
+  it('checks converters, expressions, delta config and quality-check fields', () => {
+    const result = validateDescriptor(descriptor({
+      mappings: [
+        { source: 'WERKS', target: 'Plant', convert: 'toKlingon' },
+        { target: 'StorageLocation', expression: 'upper(' },
+      ],
+      qualityChecks: { required: ['Plant', 'Bin'], format: [{ field: 'Plant', pattern: '[' }] },
+      delta: { strategy: 'timestamp' },
+      dependencies: ['ACME_STORAGE_LOCATION'],
+    }));
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain("mappings: Mapping[0]: unknown converter 'toKlingon'");
+    expect(result.errors.some((e) => e.startsWith("mappings: Mapping[1]: invalid expression for 'StorageLocation'"))).toBe(true);
+    expect(result.errors).toContain('delta: Timestamp strategy requires a field');
+    expect(result.errors).toContain("qualityChecks: 'Bin' is not a mapped target field");
+    expect(result.errors.some((e) => e.startsWith("qualityChecks: invalid format pattern for 'Plant'"))).toBe(true);
+    expect(result.errors).toContain('dependencies: ACME_STORAGE_LOCATION cannot depend on itself');
+  });
+
+  it('does not require value tables to be loaded', () => {
+    const d = descriptor({ mappings: [{ source: 'WERKS', target: 'Plant', valueTable: 'plants' }, { source: 'LGORT', target: 'StorageLocation' }] });
+    expect(validateDescriptor(d).valid).toBe(true);
+  });
+});
+
+describe('createDeclarativeClass', () => {
+  it('builds a migration object that runs the ETLV lifecycle', async () => {
+    const Cls = createDeclarativeClass(descriptor());
+    const obj = new Cls({ mode: 'mock' }, { logLevel: 'error' });
+    expect(obj.objectId).toBe('ACME_STORAGE_LOCATION');
+    expect(obj.target.api).toBe('API_STORAGELOCATION_SRV');
+    expect(Cls.descriptor.source.table).toBe('T001L');
+
+    const result = await obj.run();
+    expect(result.phases.extract.recordCount).toBe(2);
+    expect(result.phases.transform.records[1]).toEqual({ Plant: '1000', StorageLocation: 'AB12' });
+    expect(result.phases.validate.qualityStatus).toBe('passed');
+  });
+
+  it('applies declared format checks, delta config and rollback strategy', () => {
+    const Cls = createDeclarativeClass(descriptor({
+      delta: { strategy: 'timestamp', field: 'AEDAT' },
+      rollbackStrategy: 'manual',
+    }));
+    const obj = new Cls({ mode: 'mock' });
+    expect(obj.getDeltaConfig()).toEqual({ strategy: 'timestamp', field: 'AEDAT' });
+    expect(obj.getRollbackStrategy()).toBe('manual');
+    expect(obj.validate([{ Plant: '1000', StorageLocation: 'TOO-LONG' }]).qualityStatus).toBe('warnings');
+    expect(obj.validate([{ Plant: '1000' }]).status).toBe('failed');
+  });
+
+  it('reads the source table through a table reader in live mode', async () => {
+    const reader = { readTable: vi.fn(async () => ({ rows: [{ WERKS: '2000', LGORT: '0009' }] })) };
+    const Cls = createDeclarativeClass(descriptor({ source: { table: 'T001L', fields: ['WERKS', 'LGORT'], where: "WERKS = '2000'" } }));
+    const result = await new Cls({ mode: 'live' }, { tableReader: reader, logLevel: 'error' }).extract();
+    expect(reader.readTable).toHaveBeenCalledWith('T001L', { fields: ['WERKS', 'LGORT'], where: "WERKS = '2000'", maxRows: 0 });
+    expect(result.records).toEqual([{ WERKS: '2000', LGORT: '0009' }]);
+  });
+
+  it('pages the source table in live streaming runs and resumes at the checkpoint', async () => {
+    const { CheckpointManager } = require('../../../migration/checkpoint');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decl-stream-'));
+    const rows = ['0001', '0002', '0003'].map((LGORT) => ({ WERKS: '1000', LGORT }));
+    const reader = {
+      streamTable: vi.fn(async function* (table, opts) {
+        for (let i = opts.offset; i < rows.length; i += opts.chunkSize) {
+          yield { rows: rows.slice(i, i + opts.chunkSize), offset: i };
+        }
+      }),
+    };
+    class Crashing extends createDeclarativeClass(descriptor()) {
+      async load(records) {
+        if (records[0].StorageLocation === '0002') throw new Error('connection lost');
+        return super.load(records);
+      }
+    }
+    const checkpoint = new CheckpointManager({ checkpointDir: dir, logLevel: 'error' });
+    const options = { tableReader: reader, streaming: { chunkSize: 1, checkpoint }, runId: 'run-1', logLevel: 'error' };
+    try {
+      expect((await new Crashing({ mode: 'live' }, options).run()).status).toBe('error');
+      const Cls = createDeclarativeClass(descriptor());
+      const result = await new Cls({ mode: 'live' }, options).run();
+      expect(result.resumedFrom).toBe(1);
+      expect(result.stats.extractedRecords).toBe(3);
+      expect(reader.streamTable.mock.calls.map(([table, opts]) => [table, opts.offset, opts.chunkSize]))
+        .toEqual([['T001L', 0, 1], ['T001L', 1, 1]]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('throws on invalid descriptors', () => {
+    expect(() => createDeclarativeClass(descriptor({ mappings: [] }), { file: '/x/acme.yaml' }))
+      .toThrow(/Invalid migration object descriptor ACME_STORAGE_LOCATION \(acme.yaml\): mappings: must have at least 1 item/);
+  });
+});
+
+describe('MigrationObjectRegistry descriptors', () => {
+  let dir;
+
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migobj-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads JSON and YAML descriptors at startup', () => {
+    write('storage-location.json', JSON.stringify(descriptor()));
+    write('bins.yaml', [
+      'objectId: ACME_STORAGE_BIN',
+      'name: Storage Bin',
+      'source: { table: LAGP }',
+      'target: { api: API_WAREHOUSE_STORAGE_BIN }',
+      'dependencies: [ACME_STORAGE_LOCATION]',
+      'mappings:',
+      '  - { source: LGPLA, target: StorageBin }',
+    ].join('\n'));
+    write('README.md', '# ignored');
+
+    const registry = new MigrationObjectRegistry({ descriptorDirs: [dir] });
+    expect(registry.listObjectIds()).toContain('ACME_STORAGE_BIN');
+    expect(registry.getExecutionWaves(['ACME_STORAGE_BIN', 'ACME_STORAGE_LOCATION', 'MATERIAL_MASTER']))
+      .toEqual([['MATERIAL_MASTER'], ['ACME_STORAGE_LOCATION'], ['ACME_STORAGE_BIN']]);
+    expect(registry.createObject('ACME_STORAGE_BIN', { mode: 'mock' }).name).toBe('Storage Bin');
+  });
+
+  it('runs declarative objects alongside built-ins', async () => {
+    write('storage-location.json', JSON.stringify(descriptor({ dependencies: [] })));
+    const registry = new MigrationObjectRegistry({ descriptorDirs: [dir] });
+    const run = await registry.runAll({ mode: 'mock' }, { objectIds: ['ACME_STORAGE_LOCATION'], logLevel: 'error' });
+    expect(run.results[0]).toMatchObject({ objectId: 'ACME_STORAGE_LOCATION', status: 'completed' });
+  });
+
+  it('leaves the registry unchanged when a descriptor is invalid', () => {
+    write('a.json', JSON.stringify(descriptor()));
+    write('b.json', JSON.stringify(descriptor({ objectId: 'ACME_OTHER', dependencies: ['NOPE'] })));
+    const registry = new MigrationObjectRegistry();
+    expect(() => registry.loadDescriptors(dir)).toThrow(/ACME_OTHER .* depends on unknown object\(s\): NOPE/);
+    expect(registry.listObjectIds()).not.toContain('ACME_STORAGE_LOCATION');
+  });
+
+  it('rejects descriptors that reuse a registered objectId', () => {
+    write('gl.json', JSON.stringify(descriptor({ objectId: 'GL_BALANCE' })));
+    expect(() => new MigrationObjectRegistry({ descriptorDirs: [dir] })).toThrow(/GL_BALANCE .* is already registered/);
+  });
+
+  it('reports unparseable files', () => {
+    write('broken.yaml', 'objectId: [unclosed');
+    expect(() => readDescriptorFile(path.join(dir, 'broken.yaml'))).toThrow(/Cannot parse migration object descriptor broken.yaml/);
+  });
+
+  it('passes the directory\'s object options to every instance', () => {
+    write('storage-location.json', JSON.stringify(descriptor()));
+    const valueMappings = { plants: {} };
+    const registry = new MigrationObjectRegistry();
+    registry.loadDescriptors(dir, { valueMappings });
+
+    expect(registry.createObject('ACME_STORAGE_LOCATION', { mode: 'mock' }).options.valueMappings).toBe(valueMappings);
+    expect(registry.getObject('ACME_STORAGE_LOCATION', { mode: 'mock' }, { logLevel: 'error' }).options)
+      .toEqual({ valueMappings, logLevel: 'error' });
+    const other = { plants: { P1: '1' } };
+    expect(registry.createObject('ACME_STORAGE_LOCATION', { mode: 'mock' }, { valueMappings: other }).options.valueMappings).toBe(other);
+    expect(registry.createObject('GL_BALANCE', { mode: 'mock' }).options.valueMappings).toBeUndefined();
+  });
+
+  it('ignores a missing directory', () => {
+    expect(new MigrationObjectRegistry().loadDescriptors(path.join(dir, 'none'))).toEqual([]);
+  });
+
+  it('validates the sample client descriptors', () => {
+    const sampleDir = path.resolve(__dirname, '../../../clients/sample-client/migration-objects');
+    const loaded = new MigrationObjectRegistry().loadDescriptors(sampleDir);
+    expect(loaded.map((l) => l.objectId)).toEqual(['SAMPLE_STORAGE_LOCATION']);
+  });
+
+  it('runs the sample client object through the client value mappings', async () => {
+    const sampleDir = path.resolve(__dirname, '../../../clients/sample-client/migration-objects');
+    const registry = new MigrationObjectRegistry({ descriptorDirs: [sampleDir] });
+    const result = await registry.createObject('SAMPLE_STORAGE_LOCATION', { mode: 'mock' }, { logLevel: 'error' }).run();
+
+    expect(result.status).toBe('completed');
+    expect(result.phases.validate.qualityStatus).toBe('passed');
+    expect(result.phases.transform.records.map((r) => r.Plant)).toEqual(['1000', '1000', '1010', '1020']);
+    expect(result.unmappedValues).toEqual([]);
+  });
+
+  it('leaves objects outside a client folder without value mappings', () => {
+    write('storage-location.json', JSON.stringify(descriptor()));
+    const registry = new MigrationObjectRegistry({ descriptorDirs: [dir] });
+    expect(registry.createObject('ACME_STORAGE_LOCATION', { mode: 'mock' }).options.valueMappings).toBeUndefined();
+  });
+});
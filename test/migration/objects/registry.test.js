@@ -104,6 +104,43 @@ describe('MigrationObjectRegistry', () => {
     expect(ids).toContain('MATERIAL_MASTER');
   });
 
+  it('runAll reports concurrency and wave status', async () => {
+    const result = await registry.runAll(mockGw, { objectIds: ['GL_ACCOUNT_MASTER', 'GL_BALANCE'], concurrency: 3 });
+    expect(result.stats.concurrency).toBe(3);
+    expect(result.stats.skipped).toBe(0);
+    expect(result.stats.waveStatus).toEqual([
+      { wave: 1, objects: ['GL_ACCOUNT_MASTER'], status: 'completed' },
+      { wave: 2, objects: ['GL_BALANCE'], status: 'completed' },
+    ]);
+  });
+
+  it('runAll skips dependents of a failed object', async () => {
+    const Base = require('../../../migration/objects/base-migration-object');
+    class BrokenGlAccounts extends Base {
+      get objectId() { return 'GL_ACCOUNT_MASTER'; }
+      get name() { return 'Broken'; }
+      getFieldMappings() { return [{ source: 'A', target: 'B' }]; }
+      async extract() { throw new Error('RFC down'); }
+    }
+    registry.registerClass('GL_ACCOUNT_MASTER', BrokenGlAccounts);
+    const progress = [];
+    const result = await registry.runAll(mockGw, {
+      objectIds: ['GL_ACCOUNT_MASTER', 'GL_BALANCE', 'COST_CENTER'],
+      onProgress: (id, r) => progress.push(`${id}:${r.status}`),
+    });
+    expect(result.stats.failed).toBe(1);
+    expect(result.stats.skipped).toBe(1);
+    const skipped = result.results.find(r => r.objectId === 'GL_BALANCE');
+    expect(skipped.blockedBy).toEqual(['GL_ACCOUNT_MASTER']);
+    expect(skipped.name).toBeDefined();
+    expect(progress).toContain('GL_BALANCE:skipped');
+  });
+
+  it('runAll runs one object at a time when parallel is false', async () => {
+    const result = await registry.runAll(mockGw, { objectIds: ['COST_CENTER', 'PROFIT_CENTER'], parallel: false, concurrency: 8 });
+    expect(result.stats.concurrency).toBe(1);
+  });
+
   it('supports custom object registration', () => {
     const BaseMigrationObject = require('../../../migration/objects/base-migration-object');
     class CustomObj extends BaseMigrationObject {
@@ -0,0 +1,153 @@
+const { QuarantineManager } = require('../../migration/quarantine');
+const { PersistenceAdapter } = require('../../lib/persistence');
+const BaseMigrationObject = require('../../migration/objects/base-migration-object');
+
+class KeyedObject extends BaseMigrationObject {
+  get objectId() { return 'KEYED'; }
+  get name() { return 'Keyed Object'; }
+  getFieldMappings() {
+    return [
+      { source: 'ID', target: 'Id' },
+      { source: 'NAME', target: 'Name', transform: (v) => { if (v === 'boom') throw new Error('bad name'); return v; } },
+    ];
+  }
+  getQualityChecks() {
+    return { required: ['Name'], exactDuplicate: { keys: ['Id'] } };
+  }
+  _extractMock() {
+    const records = [];
+    for (let i = 1; i <= 100; i++) records.push({ ID: String(i), NAME: `Name ${i}` });
+    records[4].NAME = 'boom';
+    records[9].NAME = '';
+    return records;
+  }
+}
+
+describe('QuarantineManager', () => {
+  const gw = { mode: 'mock' };
+  let quarantine;
+
+  beforeEach(() => {
+    quarantine = new QuarantineManager({ persistence: new PersistenceAdapter(), logLevel: 'error' });
+  });
+
+  it('rejects unknown phases', async () => {
+    await expect(quarantine.capture('X', 'extract', [{}])).rejects.toThrow(/Unknown quarantine phase/);
+  });
+
+  describe('capture via run()', () => {
+    it('quarantines failed records per phase and loads the rest', async () => {
+      const obj = new KeyedObject(gw, { quarantine, runId: 'run-1', logLevel: 'error' });
+      const result = await obj.run();
+
+      expect(result.status).toBe('completed_with_errors');
+      expect(result.quarantine.transform).toBe(1);
+      expect(result.quarantine.validate).toBe(1);
+      // 98 records reach load; mock load rejects 1 (2%)
+      expect(result.phases.load.recordCount).toBe(98);
+      expect(result.quarantine.load).toBe(1);
+      expect(result.quarantine.total).toBe(3);
+
+      const entries = await quarantine.list({ objectId: 'KEYED' });
+      expect(entries).toHaveLength(3);
+      const transformEntry = entries.find((e) => e.phase === 'transform');
+      expect(transformEntry.sourceKey).toBe('ID=5');
+      expect(transformEntry.sourceRecord).toEqual({ ID: '5', NAME: 'boom' });
+      expect(transformEntry.error).toMatch(/bad name/);
+      const validateEntry = entries.find((e) => e.phase === 'validate');
+      expect(validateEntry.sourceKey).toBe('ID=10');
+      expect(validateEntry.payload).toEqual({ Id: '10', Name: '' });
+      expect(validateEntry.error).toMatch(/Missing required field Name/);
+      expect(validateEntry.runId).toBe('run-1');
+    });
+
+    it('keeps validation_failed behaviour without a quarantine', async () => {
+      const result = await new KeyedObject(gw, { logLevel: 'error' }).run();
+      expect(result.status).toBe('validation_failed');
+      expect(result.quarantine).toBeUndefined();
+    });
+  });
+
+  describe('fix / resubmit', () => {
+    let entries;
+
+    beforeEach(async () => {
+      await new KeyedObject(gw, { quarantine, logLevel: 'error' }).run();
+      entries = await quarantine.list({ objectId: 'KEYED' });
+    });
+
+    it('requires a change when fixing', async () => {
+      await expect(quarantine.fix(entries[0].ID, {})).rejects.toThrow(/payload or sourceRecord/);
+    });
+
+    it('records fixes in the history', async () => {
+      const entry = entries.find((e) => e.phase === 'validate');
+      const fixed = await quarantine.fix(entry.ID, { payload: { Id: '10', Name: 'Fixed' } }, { by: 'jdoe', comment: 'name from legacy' });
+      expect(fixed.payload.Name).toBe('Fixed');
+      expect(fixed.history.map((h) => h.action)).toEqual(['captured', 'fixed']);
+      expect(fixed.history[1].by).toBe('jdoe');
+    });
+
+    it('resolves fixed entries on re-submission', async () => {
+      const t = entries.find((e) => e.phase === 'transform');
+      const v = entries.find((e) => e.phase === 'validate');
+      await quarantine.fix(t.ID, { sourceRecord: { ID: '5', NAME: 'Name 5' } });
+      await quarantine.fix(v.ID, { payload: { Id: '10', Name: 'Name 10' } });
+
+      const result = await quarantine.resubmit(new KeyedObject(gw, { logLevel: 'error' }), [t.ID, v.ID]);
+      expect(result.resubmitted).toBe(2);
+      expect(result.resolved).toBe(2);
+      expect((await quarantine.get(t.ID)).status).toBe('resolved');
+      expect((await quarantine.get(t.ID)).payload).toEqual({ Id: '5', Name: 'Name 5' });
+    });
+
+    it('keeps unfixed entries open and counts attempts', async () => {
+      const v = entries.find((e) => e.phase === 'validate');
+      const result = await quarantine.resubmit(new KeyedObject(gw, { logLevel: 'error' }), [v.ID]);
+      expect(result.failed).toBe(1);
+      const after = await quarantine.get(v.ID);
+      expect(after.status).toBe('open');
+      expect(after.attempts).toBe(1);
+      expect(after.history[after.history.length - 1].action).toBe('resubmit_failed');
+    });
+
+    it('re-submits all open entries of an object when no IDs are given', async () => {
+      const result = await quarantine.resubmit(new KeyedObject(gw, { logLevel: 'error' }));
+      expect(result.resubmitted).toBe(3);
+      // the load failure had nothing wrong with its payload
+      expect(result.resolved).toBe(1);
+    });
+
+    it('rejects entries from another object', async () => {
+      const [other] = await quarantine.capture('OTHER', 'load', [{ error: 'x', payload: {} }]);
+      await expect(quarantine.resubmit(new KeyedObject(gw), [other.ID])).rejects.toThrow(/belongs to OTHER/);
+    });
+
+    it('discards entries and refuses to re-submit them', async () => {
+      const entry = entries[0];
+      const discarded = await quarantine.discard(entry.ID, { by: 'jdoe' });
+      expect(discarded.status).toBe('discarded');
+      await expect(quarantine.resubmit(new KeyedObject(gw), [entry.ID])).rejects.toThrow(/is discarded/);
+    });
+
+    it('summarizes open entries by object and phase', async () => {
+      const summary = await quarantine.summary();
+      expect(summary.total).toBe(3);
+      expect(summary.byObject.KEYED).toEqual({ transform: 1, validate: 1, load: 1 });
+    });
+  });
+
+  describe('resubmitAll', () => {
+    it('groups entries by object using the registry', async () => {
+      const MigrationObjectRegistry = require('../../migration/objects/registry');
+      const registry = new MigrationObjectRegistry();
+      const [entry] = await quarantine.capture('COST_CENTER', 'load', [{
+        error: 'rejected',
+        payload: { ControllingArea: '1000', CostCenter: '0000004711', CostCenterName: 'Fixed' },
+      }]);
+      const result = await quarantine.resubmitAll(registry, gw, [entry.ID], { logLevel: 'error' });
+      expect(result.objects[0].objectId).toBe('COST_CENTER');
+      expect(result.resubmitted).toBe(1);
+    });
+  });
+});
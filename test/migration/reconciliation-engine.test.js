@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const ReconciliationEngine = require('../../migration/reconciliation-engine');
 
 describe('ReconciliationEngine', () => {
@@ -436,4 +439,164 @@ describe('ReconciliationEngine', () => {
       expect(engine._inferAggregateFields(result).length).toBeLessThanOrEqual(3);
     });
   });
+
+  // ── Full-population mode ───────────────────────────────────
+
+  describe('full-population mode', () => {
+    const source = [
+      { BELNR: '1', WAERS: 'EUR', DMBTR: '100.00', SGTXT: 'Rent' },
+      { BELNR: '2', WAERS: 'JPY', DMBTR: '5000', SGTXT: 'Fee' },
+      { BELNR: '3', WAERS: 'EUR', DMBTR: '10.00', SGTXT: 'Gas' },
+      { BELNR: '4', WAERS: 'EUR', DMBTR: '1.00', SGTXT: 'Misc' },
+    ];
+    const target = [
+      { BELNR: '1', WAERS: 'EUR', DMBTR: '100.01', SGTXT: 'Rent' },
+      { BELNR: '2', WAERS: 'JPY', DMBTR: '5001', SGTXT: 'Fee' },
+      { BELNR: '3', WAERS: 'EUR', DMBTR: '10.50', SGTXT: 'Power' },
+      { BELNR: '5', WAERS: 'EUR', DMBTR: '2.00', SGTXT: 'New' },
+    ];
+    const config = {
+      objectId: 'GL_BALANCE',
+      sourceRecords: source,
+      targetRecords: target,
+      keyFields: ['BELNR'],
+      valueFields: ['DMBTR', 'SGTXT'],
+      mode: 'full',
+      toleranceRules: { DMBTR: { currencyField: 'WAERS' } },
+    };
+
+    it('compares every record and attaches the diff', () => {
+      const report = engine.reconcile(config);
+      expect(report.mode).toBe('full');
+      const check = report.checks.find(c => c.type === 'full');
+      expect(check.status).toBe('failed');
+      expect(report.checks.find(c => c.type === 'sample')).toBeUndefined();
+      expect(report.diff.summary).toMatchObject({
+        matched: 2,
+        withinTolerance: 2,
+        mismatchedRecords: 1,
+        missingInTarget: 1,
+        extraInTarget: 1,
+        fieldMismatches: { DMBTR: 1, SGTXT: 1 },
+        status: 'DIFFERENCES',
+      });
+    });
+
+    it('lists record-level differences', () => {
+      const diff = engine.diffPopulation(config);
+      expect(diff.differences.map(d => [d.type, d.key, d.field])).toEqual([
+        ['value_mismatch', '3', 'DMBTR'],
+        ['value_mismatch', '3', 'SGTXT'],
+        ['missing_in_target', '4', null],
+        ['extra_in_target', '5', null],
+      ]);
+      expect(diff.differences[0]).toMatchObject({ sourceValue: '10.00', targetValue: '10.50', difference: 0.5, tolerance: 0.01 });
+    });
+
+    it('uses one minor unit of the record currency as tolerance', () => {
+      const diff = engine.diffPopulation({ ...config, sourceRecords: source.slice(0, 2), targetRecords: target.slice(0, 2) });
+      expect(diff.summary.matched).toBe(2);
+
+      const strict = engine.diffPopulation({
+        ...config,
+        sourceRecords: source.slice(0, 2),
+        targetRecords: target.slice(0, 2),
+        toleranceRules: { DMBTR: { currencyField: 'WAERS', currencies: { JPY: 0 } } },
+      });
+      expect(strict.differences.map(d => d.key)).toEqual(['2']);
+    });
+
+    it('supports amount, percentage and decimals rules', () => {
+      const run = (rule, a, b) => engine.diffPopulation({
+        objectId: 'X', keyFields: ['K'], valueFields: ['V'], toleranceRules: { V: rule },
+        sourceRecords: [{ K: 1, V: a }], targetRecords: [{ K: 1, V: b }],
+      }).summary.mismatchedRecords;
+      expect(run('amount', '10.00', '10.01')).toBe(0);
+      expect(run('amount', '10.00', '10.02')).toBe(1);
+      expect(run('percentage', '1000', '1001')).toBe(0);
+      expect(run({ decimals: 2 }, 1.004, 1.001)).toBe(0);
+      expect(run({ absolute: 0.01 }, '100.00-', -100)).toBe(0);
+    });
+
+    it('compares fields without a rule exactly', () => {
+      const diff = engine.diffPopulation({
+        objectId: 'X', keyFields: ['K'], valueFields: ['V'],
+        sourceRecords: [{ K: 1, V: '1.0' }, { K: 2, V: null }], targetRecords: [{ K: 1, V: '1.00' }, { K: 2, V: '' }],
+      });
+      expect(diff.differences.map(d => d.key)).toEqual(['1']);
+    });
+
+    it('maps target field names and produces matching population hashes', () => {
+      const diff = engine.diffPopulation({
+        objectId: 'X',
+        keyFields: ['KUNNR'],
+        valueFields: ['NAME1'],
+        fieldMap: { KUNNR: 'Customer', NAME1: 'Name' },
+        sourceRecords: [{ KUNNR: 'C1', NAME1: 'Acme' }, { KUNNR: 'C2', NAME1: 'Beta' }],
+        targetRecords: [{ Customer: 'C2', Name: 'Beta' }, { Customer: 'C1', Name: 'Acme' }],
+      });
+      expect(diff.summary.status).toBe('MATCHED');
+      expect(diff.hashes.source).toBe(diff.hashes.target);
+    });
+
+    it('reports duplicate keys as differences', () => {
+      const diff = engine.diffPopulation({
+        objectId: 'X', keyFields: ['K'], valueFields: [],
+        sourceRecords: [{ K: 1 }, { K: 1 }], targetRecords: [{ K: 1 }, { K: 2 }, { K: 2 }, { K: 2 }],
+      });
+      expect(diff.summary.duplicateSourceKeys).toBe(1);
+      expect(diff.summary.duplicateTargetKeys).toBe(2);
+      expect(diff.summary.matched).toBe(1);
+      expect(diff.summary.status).toBe('DIFFERENCES');
+      expect(diff.differences.filter((d) => d.type.startsWith('duplicate')).map((d) => [d.type, d.key, d.difference]))
+        .toEqual([['duplicate_in_source', '1', 1], ['duplicate_in_target', '2', 2]]);
+    });
+
+    it('never matches when only one side has duplicates', () => {
+      const diff = engine.diffPopulation({
+        objectId: 'X', keyFields: ['K'], valueFields: ['V'],
+        sourceRecords: [{ K: 1, V: 'a' }], targetRecords: [{ K: 1, V: 'a' }, { K: 1, V: 'a' }],
+      });
+      expect(diff.summary.status).toBe('DIFFERENCES');
+      expect(diff.hashes.source).not.toBe(diff.hashes.target);
+    });
+
+    it('can be enabled for all objects via the constructor', () => {
+      const e = new ReconciliationEngine({ mode: 'full' });
+      const { mode, ...rest } = config;
+      expect(mode).toBe('full');
+      expect(e.reconcile(rest).diff).toBeDefined();
+    });
+
+    it('exports the diff as CSV and JSON', () => {
+      const report = engine.reconcile({
+        ...config,
+        targetRecords: [...target.slice(0, 2), { ...target[2], SGTXT: 'Power, "new"' }, target[3]],
+      });
+      const csv = engine.exportDiff(report, 'csv').trim().split('\n');
+      expect(csv[0]).toBe('objectId,type,key,field,sourceValue,targetValue,difference,tolerance');
+      expect(csv[2]).toBe('GL_BALANCE,value_mismatch,3,SGTXT,Gas,"Power, ""new""",,');
+      expect(csv).toHaveLength(5);
+
+      const json = JSON.parse(engine.exportDiff(report.diff, 'json'));
+      expect(json.summary.missingInTarget).toBe(1);
+      expect(json.differences).toHaveLength(4);
+    });
+
+    it('writes the diff to a file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recon-'));
+      try {
+        const file = engine.writeDiff(engine.diffPopulation(config), path.join(dir, 'out', 'gl.json'));
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).objectId).toBe('GL_BALANCE');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('rejects exporting a sample-mode report', () => {
+      const report = engine.reconcile({ ...config, mode: 'sample' });
+      expect(() => engine.exportDiff(report)).toThrow(/mode "full"/);
+      expect(() => engine.exportDiff(engine.diffPopulation(config), 'xml')).toThrow(/Unsupported export format/);
+    });
+  });
 });
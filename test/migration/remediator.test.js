@@ -1,4 +1,5 @@
 const Remediator = require('../../migration/remediator');
+const Scanner = require('../../migration/scanner');
 
 describe('Remediator', () => {
   function mockGateway() {
@@ -54,4 +55,90 @@ describe('Remediator', () => {
     const remediator = new Remediator(mockGateway());
     expect(remediator.dryRun).toBe(true);
   });
+
+  it('sends overlapping edits to manual review', async () => {
+    const result = await new Remediator(mockGateway(), { logLevel: 'error' }).remediate();
+    const conflicts = result.remediations.filter((r) => r.conflictsWith);
+    expect(result.stats.conflicts).toBe(conflicts.length);
+    expect(conflicts.length).toBeGreaterThan(0);
+    for (const r of conflicts) {
+      expect(r.status).toBe('manual-review');
+      expect(r.reason).toMatch(new RegExp(`^Edits overlap ${r.conflictsWith} at line \\d+$`));
+    }
+  });
+
+  it('produces one unified diff per object', async () => {
+    const result = await new Remediator(mockGateway(), { logLevel: 'error' }).remediate();
+    expect(result.objects.length).toBeGreaterThan(0);
+    for (const obj of result.objects) {
+      expect(obj.diff).toMatch(new RegExp(`^--- a/${obj.object}\n\\+\\+\\+ b/${obj.object}\n@@ -\\d+,\\d+ \\+\\d+,\\d+ @@`));
+      expect(obj.syntaxCheck.valid).toBe(true);
+      const fixed = result.remediations.filter((r) => r.object === obj.object && r.status === 'fixed');
+      expect(fixed.map((r) => r.ruleId)).toEqual(obj.applied);
+      expect(fixed.every((r) => r.diff === obj.diff)).toBe(true);
+    }
+  });
+
+  it('rejects fixes whose rewritten source fails the syntax check', async () => {
+    const syntaxChecker = {
+      getSyntaxCheck: vi.fn(async (source) => {
+        const broken = /\bbut000\b/i.test(source);
+        return {
+          valid: !broken,
+          messages: broken ? [{ severity: 'error', line: 1, column: 1, text: 'BUT000 is unknown' }] : [],
+        };
+      }),
+    };
+    const result = await new Remediator(mockGateway(), { logLevel: 'error', syntaxChecker }).remediate();
+    const rejected = result.remediations.filter((r) => r.syntaxErrors);
+
+    expect(rejected.length).toBeGreaterThan(0);
+    expect(result.stats.syntaxRejected).toBe(rejected.length);
+    for (const r of rejected) {
+      expect(r.status).toBe('manual-review');
+      expect(r.reason).toBe('Rewritten source fails syntax check');
+      expect(r.diff).toBeUndefined();
+    }
+    for (const obj of result.objects) {
+      expect(obj.diff).not.toMatch(/but000/i);
+    }
+    expect(result.stats.autoFixed + result.stats.manualReview + result.stats.noTransform + result.stats.errors)
+      .toBe(result.stats.totalFindings);
+    expect(syntaxChecker.getSyntaxCheck).toHaveBeenCalledWith(
+      expect.any(String),
+      '/sap/bc/adt/oo/classes/ZCL_FI_CUSTOMER_AGING'
+    );
+  });
+
+  it('writes back only verified sources', async () => {
+    const scanResult = await new Scanner(mockGateway()).scan();
+    const scan = vi.spyOn(Scanner.prototype, 'scan').mockResolvedValue(scanResult);
+    const gateway = { mode: 'vsp', writeAbapSource: vi.fn(async () => ({ ok: true })) };
+    const syntaxChecker = {
+      getSyntaxCheck: async (source) => ({
+        valid: false,
+        messages: /TODO\(S\/4\)/.test(source) ? [{ severity: 'error', line: 1, column: 1, text: 'x' }] : [],
+      }),
+    };
+    const remediator = new Remediator(gateway, { logLevel: 'error', dryRun: false, syntaxChecker });
+    const result = await remediator.remediate();
+    scan.mockRestore();
+    const written = gateway.writeAbapSource.mock.calls;
+    expect(written.length).toBeGreaterThan(0);
+    expect(written.length).toBe(result.objects.filter((o) => o.diff).length);
+    for (const [, source] of written) expect(source).not.toMatch(/TODO\(S\/4\)/);
+  });
+
+  it('does not write back without a system syntax check', async () => {
+    const scanResult = await new Scanner(mockGateway()).scan();
+    const scan = vi.spyOn(Scanner.prototype, 'scan').mockResolvedValue(scanResult);
+    const gateway = { mode: 'vsp', writeAbapSource: vi.fn(async () => ({ ok: true })) };
+    const remediator = new Remediator(gateway, { logLevel: 'error', dryRun: false });
+    const result = await remediator.remediate();
+    scan.mockRestore();
+    expect(gateway.writeAbapSource).not.toHaveBeenCalled();
+    expect(result.stats.writeBackSkipped).toBeGreaterThan(0);
+    expect(result.stats.writeBackSkipped).toBe(result.objects.filter((o) => o.diff).length);
+  });
 });
+
@@ -21,7 +21,7 @@ describe('Simplification Rules', () => {
         expect(rule.title).toBeTruthy();
         expect(rule.description).toBeTruthy();
         expect(rule.pattern).toBeDefined();
-        expect(['source', 'objectName']).toContain(rule.patternType);
+        expect(['source', 'statement', 'objectName']).toContain(rule.patternType);
         expect(rule.remediation).toBeTruthy();
       }
     });
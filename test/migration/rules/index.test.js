@@ -110,7 +110,7 @@ describe('Rule Registry (index)', () => {
     });
 
     it('every rule has a patternType', () => {
-      const allowed = ['source', 'objectName'];
+      const allowed = ['source', 'statement', 'objectName'];
       for (const r of RULES) {
         expect(r.patternType).toBeDefined();
         expect(allowed).toContain(r.patternType);
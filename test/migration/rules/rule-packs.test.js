@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateRulePack,
+  createRulePack,
+  loadRulePacks,
+} = require('../../../migration/rules/rule-packs');
+const { registry, createRuleRegistry } = require('../../../migration/rules');
+const Analyzer = require('../../../migration/analyzer');
+const AssessmentReport = require('../../../migration/report');
+
+const pack = (overrides = {}) => ({
+  packId: 'ACME_NAMING',
+  name: 'Acme naming conventions',
+  version: '2.1.0',
+  rules: [
+    {
+      id: 'ACME-001',
+      category: 'Naming Convention',
+      severity: 'medium',
+      title: 'Banned Z_OLD_ function module',
+      pattern: '^Z_OLD_',
+      patternType: 'statement',
+      statement: { kinds: ['call_function'], on: 'name' },
+      remediation: 'Use the replacement API.',
+    },
+  ],
+  overrides: [
+    { id: 'SIMPL-ABAP-004', severity: 'high', reason: 'Review blocker' },
+    { id: 'SIMPL-ABAP-001', disabled: true },
+  ],
+  ...overrides,
+});
+
+const scan = (sources) => ({
+  objects: Object.keys(sources).map((name) => ({ name, type: 'PROG' })),
+  sources: Object.fromEntries(Object.entries(sources).map(([name, source]) => [name, { type: 'PROG', source, lines: 1 }])),
+  stats: {},
+});
+
+describe('rule packs', () => {
+  describe('validateRulePack', () => {
+    it('accepts a complete pack', () => {
+      expect(validateRulePack(pack())).toEqual({ valid: true, errors: [] });
+    });
+
+    it('reports schema violations with their path', () => {
+      const bad = pack({ packId: 'acme', colour: 'red' });
+      bad.rules[0].severity = 'blocker';
+      bad.overrides[0] = { severity: 'low' };
+      expect(validateRulePack(bad).errors).toEqual([
+        'packId: does not match ^[A-Z][A-Z0-9_-]{1,63}$',
+        'rules[0].severity: must be one of critical, high, medium, low',
+        "overrides[0]: missing required property 'id'",
+        "pack: unknown property 'colour'",
+      ]);
+    });
+
+    it('checks patterns, duplicate ids and overrides', () => {
+      const rule = pack().rules[0];
+      const result = validateRulePack(pack({
+        rules: [{ ...rule, pattern: '(' }, { ...rule, patternType: 'source' }],
+        overrides: [{ id: 'SIMPL-ABAP-004' }, { id: 'ACME-001', severity: 'low' }],
+      }));
+      expect(result.errors[0]).toMatch(/^rules\[0\]\.pattern: Invalid regular expression/);
+      expect(result.errors.slice(1)).toEqual([
+        'rules[1]: duplicate rule id ACME-001',
+        "rules[1]: statement is only used with patternType 'statement'",
+        'overrides[0]: needs severity or disabled',
+        'overrides[1]: ACME-001 is defined in this pack',
+      ]);
+    });
+
+    it('accepts RegExp patterns from JS packs', () => {
+      const rule = { ...pack().rules[0], pattern: /^z_old_/i };
+      const created = createRulePack(pack({ rules: [rule] }));
+      expect(created.rules[0].pattern).toBe(rule.pattern);
+      expect(createRulePack(pack()).rules[0]).toMatchObject({ pattern: /^Z_OLD_/, pack: 'ACME_NAMING' });
+      expect(validateRulePack(pack({ rules: [{ ...rule, pattern: /x/g }] })).errors)
+        .toEqual(['rules[0].flags: does not match ^[imsu]*$']);
+    });
+
+    it('throws on invalid packs', () => {
+      expect(() => createRulePack(pack({ rules: 'none' }), { file: '/x/acme.json' }))
+        .toThrow(/Invalid rule pack ACME_NAMING \(acme.json\): rules: expected array/);
+    });
+  });
+
+  describe('RuleRegistry.registerPack', () => {
+    it('adds pack rules and applies overrides without touching the shared registry', () => {
+      const rules = createRuleRegistry({ packs: [pack()] });
+      expect(rules.getById('ACME-001').pack).toBe('ACME_NAMING');
+      expect(rules.getById('SIMPL-ABAP-004')).toMatchObject({
+        severity: 'high',
+        override: { packId: 'ACME_NAMING', previousSeverity: 'low', reason: 'Review blocker' },
+      });
+      expect(rules.getById('SIMPL-ABAP-001')).toBeNull();
+      expect(rules.getDisabled('SIMPL-ABAP-001')).toEqual({ packId: 'ACME_NAMING', reason: null });
+      expect(rules.getAll()).toHaveLength(registry.getAll().length);
+      expect(rules.getPacks()).toEqual([expect.objectContaining({
+        packId: 'ACME_NAMING',
+        version: '2.1.0',
+        ruleCount: 1,
+        severityOverrides: ['SIMPL-ABAP-004'],
+        disabled: ['SIMPL-ABAP-001'],
+      })]);
+
+      expect(registry.getById('SIMPL-ABAP-004').severity).toBe('low');
+      expect(registry.getById('SIMPL-ABAP-001')).not.toBeNull();
+    });
+
+    it('rejects packs that redefine rules or override unknown ones', () => {
+      const redefine = pack({ rules: [{ ...pack().rules[0], id: 'SIMPL-ABAP-004' }], overrides: [] });
+      expect(() => createRuleRegistry({ packs: [redefine] }))
+        .toThrow('Rule pack ACME_NAMING redefines registered rule(s) SIMPL-ABAP-004; use overrides to change them');
+      expect(() => createRuleRegistry({ packs: [pack({ overrides: [{ id: 'NOPE', disabled: true }] })] }))
+        .toThrow('Rule pack ACME_NAMING overrides unknown rule(s) NOPE');
+      expect(() => createRuleRegistry({ packs: [pack(), pack({ rules: [] })] }))
+        .toThrow('Rule pack ACME_NAMING is already registered');
+    });
+  });
+
+  describe('client rule pack directories', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rulepacks-'));
+      fs.mkdirSync(path.join(dir, 'acme', 'rules'), { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('loads JSON and JS packs from clients/<name>/rules/ in file order', () => {
+      const rulesDir = path.join(dir, 'acme', 'rules');
+      fs.writeFileSync(path.join(rulesDir, 'a-naming.json'), JSON.stringify(pack()));
+      fs.writeFileSync(path.join(rulesDir, 'b-apis.js'), `module.exports = ${JSON.stringify(pack({
+        packId: 'ACME_APIS',
+        rules: [],
+        overrides: [{ id: 'ACME-001', severity: 'critical' }],
+      }))};`);
+      fs.writeFileSync(path.join(rulesDir, 'README.md'), '# ignored');
+
+      const rules = createRuleRegistry({ clientName: 'acme', baseDir: dir });
+      expect(rules.getPacks().map((p) => p.packId)).toEqual(['ACME_NAMING', 'ACME_APIS']);
+      expect(rules.getById('ACME-001')).toMatchObject({ severity: 'critical', pack: 'ACME_NAMING' });
+    });
+
+    it('reports unparseable files', () => {
+      fs.writeFileSync(path.join(dir, 'broken.json'), '{ "packId": ');
+      expect(() => loadRulePacks(dir)).toThrow(/Cannot load rule pack broken.json/);
+    });
+
+    it('ignores a client without rules', () => {
+      expect(createRuleRegistry({ clientDir: path.join(dir, 'none') }).getPacks()).toEqual([]);
+    });
+
+    it('validates the sample client packs', () => {
+      const sampleDir = path.resolve(__dirname, '../../../clients/sample-client/rules');
+      expect(loadRulePacks(sampleDir).map((p) => p.packId)).toEqual(['SAMPLE_BANNED_APIS', 'SAMPLE_NAMING']);
+    });
+  });
+
+  describe('assessment output', () => {
+    const source = "CALL FUNCTION 'Z_OLD_POST'.\nSELECT * FROM mara INTO TABLE lt_mara.\nDATA lt OCCURS 0.";
+
+    it('names the rule pack of each finding', () => {
+      const analysis = new Analyzer({ ruleRegistry: createRuleRegistry({ packs: [pack()] }), logLevel: 'error' })
+        .analyze(scan({ ZPROG: source }));
+      const byRule = Object.fromEntries(analysis.findings.map((f) => [f.ruleId, f]));
+
+      expect(byRule['ACME-001'].rulePack).toBe('ACME_NAMING');
+      expect(byRule['SIMPL-ABAP-004']).toMatchObject({ rulePack: 'BUILTIN', severity: 'high' });
+      expect(byRule['SIMPL-ABAP-004'].severityOverride.previousSeverity).toBe('low');
+      expect(byRule['SIMPL-ABAP-001']).toBeUndefined();
+      expect(analysis.rulePacks.map((p) => [p.packId, p.findingCount])).toEqual([
+        ['BUILTIN', analysis.findings.length - 1],
+        ['ACME_NAMING', 1],
+      ]);
+
+      const report = new AssessmentReport(analysis, scan({ ZPROG: source }));
+      expect(report.toTerminal()).toContain('RULE PACKS');
+      expect(report.toTerminal()).toContain('Pack:    BUILTIN (severity low -> high by ACME_NAMING)');
+      const md = report.toMarkdown();
+      expect(md).toContain('| ACME_NAMING | Acme naming conventions | 2.1.0 | 1 | 1 | SIMPL-ABAP-004 | SIMPL-ABAP-001 |');
+      expect(md).toContain('- **Rule Pack:** BUILTIN (severity low -> high by ACME_NAMING)');
+    });
+
+    it('reports only the built-in rules without client packs', () => {
+      const analysis = new Analyzer({ logLevel: 'error' }).analyze(scan({ ZPROG: source }));
+      expect(analysis.rulePacks).toEqual([expect.objectContaining({ packId: 'BUILTIN', findingCount: analysis.findings.length })]);
+      expect(new AssessmentReport(analysis, scan({})).toTerminal()).not.toContain('RULE PACKS');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { buildSarifLog, artifactPath, FINGERPRINT_KEY } = require('../../migration/sarif');
+const { AssessmentBaseline } = require('../../migration/baseline');
+const Analyzer = require('../../migration/analyzer');
+const AssessmentReport = require('../../migration/report');
+
+const scan = (sources, type = 'CLAS') => ({
+  objects: [...Object.keys(sources).map((name) => ({ name, type })), { name: 'ZXXX_USEREXIT', type: 'PROG' }],
+  sources: Object.fromEntries(Object.entries(sources).map(([name, source]) => [name, { type, source, lines: source.split('\n').length }])),
+  stats: {},
+});
+
+const sources = { ZCL_FI: 'CLASS zcl_fi IMPLEMENTATION.\n  SELECT * FROM bseg INTO TABLE lt.\nENDCLASS.\n' };
+const analyze = (baseline) => new Analyzer({ logLevel: 'error', baseline, now: new Date('2026-03-01') }).analyze(scan(sources));
+
+describe('buildSarifLog', () => {
+  it('writes a SARIF 2.1.0 log with rules and located results', () => {
+    const analysis = analyze();
+    const log = buildSarifLog(analysis);
+    expect(log.version).toBe('2.1.0');
+    expect(log.$schema).toMatch(/sarif-2\.1\.0\.json$/);
+    expect(log.runs).toHaveLength(1);
+
+    const run = log.runs[0];
+    const result = run.results.find((r) => r.ruleId === 'SIMPL-FI-001');
+    expect(result).toMatchObject({
+      level: 'error',
+      message: { text: 'BSEG direct access removed: SELECT * FROM bseg INTO TABLE lt.' },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'zcl_fi.clas.abap', uriBaseId: 'SRCROOT' },
+          region: { startLine: 2, startColumn: 17, snippet: { text: 'SELECT * FROM bseg INTO TABLE lt.' } },
+        },
+        logicalLocations: [{ name: 'ZCL_FI', kind: 'module', fullyQualifiedName: 'CLAS/ZCL_FI' }],
+      }],
+    });
+    expect(result.partialFingerprints[FINGERPRINT_KEY]).toMatch(/^[0-9a-f]{20}$/);
+    expect(run.results.length).toBe(analysis.findings.reduce((n, f) => n + f.matchCount, 0));
+    expect(run.properties.readinessScore).toBe(analysis.summary.readinessScore);
+
+    const rule = run.tool.driver.rules[result.ruleIndex];
+    expect(rule).toMatchObject({
+      id: 'SIMPL-FI-001',
+      helpUri: 'urn:sap:simplification-item:S4TWL-FI-001',
+      defaultConfiguration: { level: 'error' },
+      properties: { severity: 'critical', simplificationId: 'S4TWL-FI-001', rulePack: 'BUILTIN' },
+    });
+    expect(rule.help.text).toMatch(/ACDOCA/);
+    expect(new Set(run.tool.driver.rules.map((r) => r.id)).size).toBe(run.tool.driver.rules.length);
+  });
+
+  it('omits the region for object name findings', () => {
+    const result = buildSarifLog(analyze()).runs[0].results.find((r) => r.locations[0].logicalLocations[0].name === 'ZXXX_USEREXIT');
+    expect(result.locations[0].physicalLocation).toEqual({ artifactLocation: { uri: 'zxxx_userexit.prog.abap', uriBaseId: 'SRCROOT' } });
+  });
+
+  it('applies the source root and help URI template', () => {
+    const run = buildSarifLog(analyze(), {
+      sourceRoot: 'file:///work/src',
+      helpUriTemplate: 'https://wiki.example.com/s4/{id}',
+    }).runs[0];
+    expect(run.originalUriBaseIds).toEqual({ SRCROOT: { uri: 'file:///work/src/' } });
+    expect(run.tool.driver.rules.find((r) => r.id === 'SIMPL-FI-001').helpUri).toBe('https://wiki.example.com/s4/S4TWL-FI-001');
+  });
+
+  it('marks suppressed results and baseline state', () => {
+    const first = analyze();
+    const baseline = new AssessmentBaseline({
+      findings: AssessmentBaseline.fromAnalysis(first).findings.filter((f) => f.ruleId !== 'SIMPL-DM-014'),
+      suppressions: [{ ruleId: 'SIMPL-FI-001', justification: 'Read-only archive access', approver: 'jdoe', expires: '2026-12-31' }],
+    });
+    const results = buildSarifLog(analyze(baseline)).runs[0].results;
+
+    expect(results.find((r) => r.ruleId === 'SIMPL-FI-001').suppressions).toEqual([{
+      kind: 'external',
+      status: 'accepted',
+      justification: 'Read-only archive access',
+      properties: { id: null, approver: 'jdoe', expires: '2026-12-31' },
+    }]);
+    expect(results.find((r) => r.ruleId === 'SIMPL-DM-014').baselineState).toBe('new');
+    expect(results.find((r) => r.ruleId === 'SIMPL-ABAP-030').baselineState).toBe('unchanged');
+    expect(buildSarifLog(first).runs[0].results.some((r) => 'baselineState' in r)).toBe(false);
+  });
+
+  it('adds an ATC run with stable fingerprints', () => {
+    const atcFinding = (line) => ({ object: 'ZCL_FI', checkId: 'CHECK_S4_SYNTAX', priority: 1, messageTitle: 'Obsolete statement', line, column: 3 });
+    const atcData = { findings: [atcFinding(10), atcFinding(20)], summary: { checkVariant: 'S4HANA_READINESS' } };
+    const run = buildSarifLog(analyze(), { atcData }).runs[1];
+
+    expect(run.tool.driver.name).toBe('ABAP Test Cockpit');
+    expect(run.tool.driver.rules).toEqual([{ id: 'CHECK_S4_SYNTAX', shortDescription: { text: 'CHECK_S4_SYNTAX' } }]);
+    expect(run.results[0]).toMatchObject({
+      level: 'error',
+      message: { text: 'Obsolete statement' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'zcl_fi.clas.abap' }, region: { startLine: 10, startColumn: 3 } } }],
+    });
+    const [a, b] = run.results.map((r) => r.partialFingerprints[FINGERPRINT_KEY]);
+    expect(a).not.toBe(b);
+    const moved = buildSarifLog(analyze(), { atcData: { ...atcData, findings: [atcFinding(12)] } }).runs[1];
+    expect(moved.results[0].partialFingerprints[FINGERPRINT_KEY]).toBe(a);
+  });
+
+  it('is available from AssessmentReport', () => {
+    const analysis = analyze();
+    const atcData = { findings: [], summary: { checkVariant: 'S4HANA_READINESS' } };
+    expect(new AssessmentReport(analysis, scan(sources), { atcData }).toSarif().runs).toHaveLength(2);
+  });
+});
+
+describe('artifactPath', () => {
+  it('uses abapGit file names', () => {
+    expect(artifactPath('ZCL_FOO', 'CLAS')).toBe('zcl_foo.clas.abap');
+    expect(artifactPath('/ACME/CL_BAR', 'CLAS')).toBe('#acme#cl_bar.clas.abap');
+  });
+});
@@ -0,0 +1,58 @@
+const {
+  applyEdits,
+  editsOverlap,
+  unifiedDiff,
+  lineEdits,
+} = require('../../migration/source-edits');
+
+describe('source edits', () => {
+  it('applies edits in source order regardless of input order', () => {
+    const source = 'SELECT * FROM kna1.';
+    const edits = [
+      { start: 14, end: 18, text: 'but000' },
+      { start: 0, end: 0, text: '" flagged\n' },
+    ];
+    expect(applyEdits(source, edits)).toBe('" flagged\nSELECT * FROM but000.');
+  });
+
+  it('detects overlapping edits', () => {
+    const replace = { start: 10, end: 20 };
+    expect(editsOverlap(replace, { start: 15, end: 25 })).toBe(true);
+    expect(editsOverlap(replace, { start: 20, end: 25 })).toBe(false);
+    expect(editsOverlap(replace, { start: 12, end: 12 })).toBe(true);
+    expect(editsOverlap(replace, { start: 10, end: 10 })).toBe(false);
+    expect(editsOverlap({ start: 5, end: 5 }, { start: 5, end: 5 })).toBe(false);
+  });
+
+  it('produces unified diff hunks with context', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'].join('\n');
+    const after = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l'].join('\n');
+    expect(unifiedDiff('ZPROG', before, after, { context: 1 })).toBe([
+      '--- a/ZPROG',
+      '+++ b/ZPROG',
+      '@@ -1,3 +1,3 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      '@@ -11,1 +11,2 @@',
+      ' k',
+      '+l',
+    ].join('\n'));
+    expect(unifiedDiff('ZPROG', before, before)).toBe('');
+  });
+
+  it('turns a rewrite into line edits that reproduce it', () => {
+    const cases = [
+      ['a\nb\nc', 'a\nx\nc'],
+      ['a\nb\nc', 'a\nb\nc\nd'],
+      ['a\nb\nc', 'a\nb'],
+      ['a\nb', 'z\na\nb'],
+      ['a', 'b'],
+    ];
+    for (const [before, after] of cases) {
+      expect(applyEdits(before, lineEdits(before, after))).toBe(after);
+    }
+    expect(lineEdits('a\nb\nc', 'a\nx\nc')).toEqual([{ start: 2, end: 4, text: 'x\n' }]);
+  });
+});
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestDataManager, maskValue } = require('../../migration/test-data-manager');
+const TestScenarioEngine = require('../../migration/test-scenario-engine');
+const BusinessPartner = require('../../migration/objects/business-partner');
+const MaterialMaster = require('../../migration/objects/material-master');
+const SalesOrder = require('../../migration/objects/sales-order');
+const EmployeeMaster = require('../../migration/objects/employee-master');
+
+const extracted = (objectId, records) => ({
+  objectId,
+  name: objectId,
+  phases: { extract: { recordCount: records.length, records } },
+});
+
+const mockResults = () => {
+  const gw = { mode: 'mock' };
+  return [
+    extracted('BUSINESS_PARTNER', new BusinessPartner(gw)._extractMock()),
+    extracted('MATERIAL_MASTER', new MaterialMaster(gw)._extractMock()),
+    extracted('SALES_ORDER', new SalesOrder(gw)._extractMock()),
+  ];
+};
+
+const processScenario = (id, module) => ({ id, type: 'process', module });
+
+describe('maskValue', () => {
+  it('masks deterministically per salt and keeps the format of identifiers', () => {
+    expect(maskValue('212-555-0001', 'preserve', 's1')).toMatch(/^\d{3}-\d{3}-\d{4}$/);
+    expect(maskValue('US100000001', 'preserve', 's1')).toMatch(/^[A-Z]{2}\d{9}$/);
+    expect(maskValue('Customer Corp 1', 'name', 's1')).toBe(maskValue('Customer Corp 1', 'name', 's1'));
+    expect(maskValue('Customer Corp 1', 'name', 's1')).not.toBe(maskValue('Customer Corp 1', 'name', 's2'));
+    expect(maskValue('a@b.com', 'email', 's1')).toMatch(/^user-[0-9a-f]{10}@example\.com$/);
+    expect(maskValue('', 'name', 's1')).toBe('');
+    expect(() => maskValue('x', 'scramble', 's1')).toThrow(/Unknown masking strategy 'scramble'/);
+  });
+});
+
+describe('TestDataManager', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-data-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('builds masked pools of customers, vendors, materials and open orders from extracts', () => {
+    const manager = new TestDataManager({}, { logLevel: 'error' });
+    expect(manager.build(mockResults())).toEqual({ customers: 50, vendors: 35, materials: 25, openOrders: 15 });
+
+    const customer = manager.pools.customers[0];
+    expect(customer.key).toBe('100001');
+    expect(customer.record.KUNNR).toBe('100001');
+    expect(customer.record.NAME1).toMatch(/^Masked [0-9A-F]{8}$/);
+    expect(customer.record.NAME1).not.toContain('Customer Corp');
+    expect(customer.record.SMTP_ADDR).toMatch(/@example\.com$/);
+    expect(customer.record.STCEG).not.toBe('US100000001');
+    expect(customer.record.ORT01).not.toBe('New York');
+    expect(customer.record.SORTL).not.toBe('CUST001');
+    // Account holder and name mask to the same pseudonym
+    expect(customer.record.KOINH).toBe(customer.record.NAME1);
+
+    const order = manager.pools.openOrders[0];
+    expect(order.record.VBELN).toBe('5000001');
+    expect(order.record.items.length).toBeGreaterThanOrEqual(2);
+    expect(order.record.items[0]).toHaveProperty('MATNR');
+    expect(order.record.BSTNK).not.toBe('PO-CUST-1');
+  });
+
+  it('masks object samples except the fields kept for the object', () => {
+    const manager = new TestDataManager({}, { logLevel: 'error' });
+    const employees = new EmployeeMaster({ mode: 'mock' })._extractMock();
+    manager.build([...mockResults(), extracted('EMPLOYEE_MASTER', employees)]);
+
+    const [employee] = manager.samples.EMPLOYEE_MASTER;
+    expect(employee.PERNR).toBe(employees[0].PERNR);
+    expect(employee.BUKRS).toBe(employees[0].BUKRS);
+    expect(employee.NACHN).toMatch(/^Masked /);
+    expect(employee.VORNA).toMatch(/^Masked /);
+    expect(employee.EMAIL).toMatch(/@example\.com$/);
+    for (const field of ['GBDAT', 'TELNR', 'USRID', 'BETRAG', 'STRAS', 'PSTLZ', 'TRFGR']) {
+      expect(employee[field]).not.toBe(employees[0][field]);
+    }
+    const saved = JSON.stringify(manager.toJSON());
+    for (const value of [employees[0].NACHN, employees[0].VORNA, employees[0].EMAIL, employees[0].BETRAG]) {
+      expect(saved).not.toContain(value);
+    }
+
+    const [partner] = manager.samples.BUSINESS_PARTNER;
+    const source = mockResults()[0].phases.extract.records[0];
+    expect(partner.KUNNR).toBe(source.KUNNR);
+    expect(partner.SORTL).not.toBe(source.SORTL);
+    expect(partner.ERNAM).not.toBe(source.ERNAM);
+  });
+
+  it('keeps sample fields named in the sampleFields option', () => {
+    const manager = new TestDataManager({}, { sampleFields: { EMPLOYEE_MASTER: ['PERNR', 'GBDAT'] }, logLevel: 'error' });
+    manager.build([extracted('EMPLOYEE_MASTER', [{ PERNR: '1', GBDAT: '19800115', NACHN: 'Smith', AGE: 44 }])]);
+    const [employee] = manager.samples.EMPLOYEE_MASTER;
+    expect(employee.GBDAT).toBe('19800115');
+    expect(employee.NACHN).toMatch(/^Masked /);
+    expect(typeof employee.AGE).toBe('number');
+  });
+
+  it('leaves out blocked and rejected records and honors masking overrides', () => {
+    const manager = new TestDataManager({}, { masking: { NAME1: false }, logLevel: 'error' });
+    manager.build([
+      extracted('BUSINESS_PARTNER', [
+        { KUNNR: '1', NAME1: 'Alpha' },
+        { KUNNR: '2', NAME1: 'Beta', SPERR: 'X' },
+      ]),
+      extracted('SALES_ORDER', [
+        { VBELN: '10', POSNR: '10', MATNR: 'M1' },
+        { VBELN: '11', POSNR: '10', MATNR: 'M1', ABGRU: '02' },
+        { VBELN: '12', POSNR: '10', MATNR: 'M1', GBSTK: 'C' },
+      ]),
+    ]);
+    expect(manager.pools.customers.map((e) => e.record.NAME1)).toEqual(['Alpha']);
+    expect(manager.pools.openOrders.map((e) => e.key)).toEqual(['10']);
+  });
+
+  it('allocates data sets per scenario with executor variables and object samples', () => {
+    const manager = new TestDataManager({}, { logLevel: 'error' });
+    manager.build(mockResults());
+    const sets = manager.allocate([
+      processScenario('PROC-SD-001', 'SD'),
+      processScenario('PROC-SD-004', 'SD'),
+      processScenario('PROC-FI-001', 'FI'),
+      { id: 'CMP-BUSINESS_PARTNER-COUNT', type: 'comparison', objectId: 'BUSINESS_PARTNER' },
+    ]);
+
+    expect(sets['PROC-SD-001'].variables).toEqual({
+      customer: '100001',
+      customers: ['100001'],
+      material: 'MAT00001',
+      materials: ['MAT00001', 'MAT00002'],
+    });
+    // Master data rotates across scenarios
+    expect(sets['PROC-SD-004'].variables.customer).toBe('100002');
+    // Nothing to supply for a GL posting
+    expect(sets['PROC-FI-001']).toBeUndefined();
+    expect(sets['CMP-BUSINESS_PARTNER-COUNT'].samples).toHaveLength(5);
+    expect(sets['CMP-BUSINESS_PARTNER-COUNT'].samples[0].NAME1).toMatch(/^Masked /);
+    // A preview records nothing
+    expect(manager.consumption).toEqual([]);
+  });
+
+  it('tracks consumption per run and hands each open order out once per cycle', () => {
+    const manager = new TestDataManager({}, { logLevel: 'error' });
+    manager.build([extracted('SALES_ORDER', [{ VBELN: '10', MATNR: 'M1' }, { VBELN: '11', MATNR: 'M1' }])]);
+    const returns = [processScenario('PROC-SD-002', 'SD')];
+    const now = new Date('2026-10-01T08:00:00Z');
+
+    const first = manager.allocate(returns, { runId: 'run-1', now });
+    const second = manager.allocate(returns, { runId: 'run-2', now });
+    expect(first['PROC-SD-002'].variables.openOrder).toBe('10');
+    expect(second['PROC-SD-002'].variables.openOrder).toBe('11');
+    expect(manager.consumedBy('run-1')).toContainEqual({
+      runId: 'run-1', scenarioId: 'PROC-SD-002', pool: 'openOrders', key: '10', cycle: 1, consumedAt: '2026-10-01T08:00:00.000Z',
+    });
+    expect(manager.usage().pools.openOrders).toMatchObject({ total: 2, consumed: 2, available: 0 });
+    expect(manager.usage().runs).toEqual(['run-1', 'run-2']);
+
+    // Exhausted: an order is synthesized for setup to create
+    const third = manager.allocate(returns, { runId: 'run-3' });
+    const [order] = third['PROC-SD-002'].pools.openOrders;
+    expect(order).toMatchObject({ key: 'TD000002', synthetic: true });
+    // The customer pool is empty too
+    expect(third['PROC-SD-002'].pools.customers[0]).toMatchObject({ key: 'TD000001', synthetic: true });
+
+    // Releasing one run makes its order available again
+    manager.reset({ runId: 'run-1' });
+    expect(manager.allocate(returns, { runId: 'run-1b' })['PROC-SD-002'].variables.openOrder).toBe('10');
+
+    // A new cycle frees all orders but keeps the history
+    expect(manager.reset()).toBe(2);
+    expect(manager.usage().pools.openOrders.consumed).toBe(0);
+    expect(manager.consumedBy('run-2')).toHaveLength(2);
+  });
+
+  it('regenerates pools under a new salt and drops synthetic records', () => {
+    const manager = new TestDataManager({}, { logLevel: 'error' });
+    const results = mockResults();
+    manager.build(results);
+    const masked = manager.pools.customers[0].record.NAME1;
+    manager.allocate([processScenario('PROC-FI-004', 'FI')], { runId: 'run-1' });
+    manager.pools.vendors = [];
+    manager.allocate([processScenario('PROC-FI-004', 'FI')], { runId: 'run-2' });
+    expect(manager.synthesized).toBe(1);
+
+    manager.regenerate(results);
+    expect(manager.cycle).toBe(2);
+    expect(manager.synthesized).toBe(0);
+    expect(manager.pools.vendors.every((e) => !e.synthetic)).toBe(true);
+    expect(manager.pools.customers[0].record.NAME1).not.toBe(masked);
+  });
+
+  it('persists pools and allocations per client without unmasked values or the masking key', () => {
+    const manager = TestDataManager.load({ clientName: 'acme', baseDir: dir, salt: 'vault-key', logLevel: 'error' });
+    manager.build(mockResults());
+    manager.allocate([processScenario('PROC-SD-002', 'SD')], { runId: 'run-1' });
+    manager.save();
+
+    const file = path.join(dir, 'acme', 'test-data.json');
+    const text = fs.readFileSync(file, 'utf8');
+    expect(text).not.toContain('Customer Corp');
+    expect(text).not.toContain('@customer1.com');
+    expect(text).not.toContain('vault-key');
+    expect(JSON.parse(text).salt).toBeUndefined();
+
+    const loaded = TestDataManager.load({ clientName: 'acme', baseDir: dir, salt: 'vault-key', logLevel: 'error' });
+    expect(loaded.mask({ NAME1: 'Customer Corp 1' })).toEqual(manager.mask({ NAME1: 'Customer Corp 1' }));
+    expect(loaded.consumedBy('run-1')).toHaveLength(2);
+    const next = loaded.allocate([processScenario('PROC-SD-002', 'SD')], { runId: 'run-2' });
+    expect(next['PROC-SD-002'].variables.openOrder).toBe('5000002');
+  });
+
+  it('takes the masking key from the environment, else a random one per instance', () => {
+    const record = { NAME1: 'Customer Corp 1' };
+    expect(new TestDataManager().mask(record)).not.toEqual(new TestDataManager().mask(record));
+    expect(new TestDataManager({ salt: 'stored-key' }).salt).not.toBe('stored-key');
+
+    const orig = process.env.TEST_DATA_MASKING_KEY;
+    process.env.TEST_DATA_MASKING_KEY = 'env-key';
+    try {
+      expect(new TestDataManager().mask(record)).toEqual(new TestDataManager({}, { salt: 'env-key' }).mask(record));
+    } finally {
+      if (orig) process.env.TEST_DATA_MASKING_KEY = orig;
+      else delete process.env.TEST_DATA_MASKING_KEY;
+    }
+  });
+
+  it('reports unreadable files and unknown pools', () => {
+    fs.writeFileSync(path.join(dir, 'test-data.json'), '{ broken');
+    expect(() => TestDataManager.load({ clientDir: dir })).toThrow(/Cannot read test data test-data.json/);
+    expect(() => TestDataManager.load({})).toThrow(/requires clientName, clientDir or file/);
+    const manager = new TestDataManager({}, { logLevel: 'error' });
+    expect(() => manager.allocate([{ id: 'X', type: 'process', testDataRequirements: { plants: 1 } }]))
+      .toThrow(/Unknown test data pool 'plants'/);
+  });
+});
+
+describe('TestScenarioEngine with test data', () => {
+  it('attaches data sets to generated scenarios', () => {
+    const testData = new TestDataManager({}, { logLevel: 'error' });
+    const engine = new TestScenarioEngine({ modules: ['SD'], testData });
+    const suite = engine.generateFromMigrationResults(mockResults(), null, { runId: 'run-1' });
+
+    const o2c = suite.scenarios.process.find((s) => s.id === 'PROC-SD-001');
+    expect(o2c.testData.variables.customer).toBe('100001');
+    const count = suite.scenarios.comparison.find((s) => s.id === 'CMP-SALES_ORDER-COUNT');
+    expect(count.testData.samples.length).toBe(5);
+    expect(suite.stats.withTestData).toBeGreaterThan(0);
+    expect(testData.consumedBy('run-1').some((c) => c.pool === 'openOrders')).toBe(true);
+  });
+});
@@ -79,16 +79,21 @@ describe('Table Rename Transforms', () => {
     expect(result.changes).toHaveLength(0);
   });
 
-  it('should replace all occurrences in multi-line source', () => {
+  it('should replace all table references but not comments in multi-line source', () => {
     const source = [
       'SELECT * FROM konv INTO TABLE lt_konv.',
+      'DATA ls_konv TYPE konv.',
       'LOOP AT lt_konv INTO ls_konv.',
       '  " Access KONV data',
       'ENDLOOP.',
     ].join('\n');
     const result = applyTransform('SIMPL-TBL-KONV', source);
-    expect(result.source).not.toMatch(/\bkonv\b/i);
-    expect(result.changes.length).toBeGreaterThanOrEqual(2);
+    expect(result.source.split('\n').slice(0, 2)).toEqual([
+      'SELECT * FROM PRCD_ELEMENTS INTO TABLE lt_konv.',
+      'DATA ls_konv TYPE PRCD_ELEMENTS.',
+    ]);
+    expect(result.source).toContain('" Access KONV data');
+    expect(result.changes).toHaveLength(2);
   });
 
   it('should have all expected table rename transforms registered', () => {
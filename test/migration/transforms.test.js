@@ -1,4 +1,5 @@
-const { getTransform, getAllTransforms, hasTransform } = require('../../migration/transforms');
+const { getTransform, getAllTransforms, hasTransform, planEdits } = require('../../migration/transforms');
+const { applyEdits } = require('../../migration/source-edits');
 
 describe('Code Transforms', () => {
   describe('registry', () => {
@@ -148,4 +149,40 @@ describe('Code Transforms', () => {
       expect(source).toContain('TYPE matnr');
     });
   });
+
+  describe('statement edits', () => {
+    it('leaves comments and string literals untouched', () => {
+      const source = [
+        '" read kna1 for the customer',
+        "SELECT SINGLE * FROM KNA1 INTO ls_kna1 WHERE name1 = 'kna1'.",
+      ].join('\n');
+      const { source: out } = getTransform('SIMPL-BP-001').apply(source, {});
+      expect(out).toBe([
+        '" read kna1 for the customer',
+        "SELECT SINGLE * FROM but000 INTO ls_kna1 WHERE name1 = 'kna1'.",
+      ].join('\n'));
+    });
+
+    it('inserts flag comments above the statement, keeping its indentation', () => {
+      const source = "  CALL FUNCTION 'BAPI_CUSTOMER_GETDETAIL'\n    EXPORTING customerno = lv_kunnr.";
+      const { edits } = planEdits(getTransform('SIMPL-BP-003'), source, {});
+      expect(edits).toHaveLength(1);
+      expect(applyEdits(source, edits).split('\n')[0]).toBe('  " TODO(S/4): Replace with API_BUSINESS_PARTNER OData service');
+    });
+
+    it('does not rewrite OCCURS in BEGIN OF structures', () => {
+      const t = getTransform('SIMPL-ABAP-001');
+      expect(t.apply('DATA: BEGIN OF lt_tab OCCURS 0, f TYPE i, END OF lt_tab.', {}).changes).toEqual([]);
+      expect(t.apply('DATA lt_mara LIKE mara OCCURS 10.', {}).source).toBe('DATA lt_mara LIKE TABLE OF mara.');
+    });
+
+    it('adapts string transforms to line edits', () => {
+      const source = 'DATA lv TYPE i.\nSELECT * FROM lagp INTO TABLE lt_bins.\nWRITE lv.';
+      const t = getTransform('SIMPL-FUNC-003');
+      const { edits, changes } = planEdits(t, source, {});
+      expect(changes.length).toBeGreaterThan(0);
+      expect(edits.every((e) => e.start >= source.indexOf('SELECT'))).toBe(true);
+      expect(applyEdits(source, edits)).toBe(t.apply(source, {}).source);
+    });
+  });
 });
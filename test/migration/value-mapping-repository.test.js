@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ValueMappingRepository, parseCsvTable } = require('../../migration/value-mapping-repository');
+const { FieldMappingEngine } = require('../../migration/field-mapping');
+const { PersistenceAdapter } = require('../../lib/persistence');
+
+describe('parseCsvTable', () => {
+  it('parses source/target rows, comments, quotes and the default row', () => {
+    const table = parseCsvTable([
+      '# Plant cross-reference',
+      'source,target,description',
+      'P1,1000,Hamburg',
+      '"P,2","10""10",Quoted',
+      '',
+      '*,9999,Fallback',
+    ].join('\n'));
+    expect(table.entries).toEqual([
+      { source: 'P1', target: '1000', line: 3 },
+      { source: 'P,2', target: '10"10', line: 4 },
+    ]);
+    expect(table.default).toBe('9999');
+  });
+
+  it('accepts columns in any order', () => {
+    expect(parseCsvTable('target,source\n1000,P1').entries).toEqual([{ source: 'P1', target: '1000', line: 2 }]);
+  });
+
+  it('requires source and target columns', () => {
+    expect(() => parseCsvTable('from,to\nA,B', 'plants.csv')).toThrow(/plants.csv: header must contain/);
+  });
+
+  it('rejects empty source values', () => {
+    expect(() => parseCsvTable('source,target\n,1000')).toThrow(/line 2: empty source value/);
+  });
+});
+
+describe('ValueMappingRepository', () => {
+  let clientDir;
+  let persistence;
+
+  const writeTable = (file, content) => {
+    fs.writeFileSync(path.join(clientDir, 'value-mappings', file), content);
+  };
+
+  beforeEach(() => {
+    clientDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vmap-acme-'));
+    fs.mkdirSync(path.join(clientDir, 'value-mappings'));
+    persistence = new PersistenceAdapter();
+  });
+
+  afterEach(() => {
+    fs.rmSync(clientDir, { recursive: true, force: true });
+  });
+
+  it('loads CSV and JSON tables from the client folder', async () => {
+    writeTable('plants.csv', 'source,target\nP1,1000\nP2,1010\n');
+    writeTable('payment-terms.json', JSON.stringify({ default: 'NT30', entries: [{ source: '30D', target: 'NT30' }] }));
+    writeTable('notes.txt', 'ignored');
+
+    const repo = new ValueMappingRepository({ clientDir, persistence });
+    const loaded = await repo.load();
+    expect(loaded).toEqual([
+      { name: 'payment-terms', version: 1, changed: true, entryCount: 1, source: 'payment-terms.json' },
+      { name: 'plants', version: 1, changed: true, entryCount: 2, source: 'plants.csv' },
+    ]);
+    expect(repo.getTableNames()).toEqual(['payment-terms', 'plants']);
+    expect(repo.get('plants').entries).toEqual({ P1: '1000', P2: '1010' });
+    expect(repo.get('payment-terms').defaultValue).toBe('NT30');
+  });
+
+  it('loads the client tables once on demand', async () => {
+    writeTable('plants.csv', 'source,target\nP1,1000\n');
+    const repo = new ValueMappingRepository({ clientDir, persistence, logLevel: 'error' });
+    const load = vi.spyOn(repo, 'load');
+    await Promise.all([repo.ensureLoaded(), repo.ensureLoaded()]);
+    await repo.ensureLoaded();
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(repo.get('plants').entries).toEqual({ P1: '1000' });
+    await new ValueMappingRepository({ clientName: 'acme' }).ensureLoaded();
+  });
+
+  it('resolves clientName under baseDir', () => {
+    const repo = new ValueMappingRepository({ clientName: 'acme', baseDir: '/srv/clients' });
+    expect(repo.mappingDir).toBe(path.join('/srv/clients', 'acme', 'value-mappings'));
+  });
+
+  it('returns nothing when the client has no value-mappings folder', async () => {
+    fs.rmSync(path.join(clientDir, 'value-mappings'), { recursive: true });
+    expect(await new ValueMappingRepository({ clientDir }).load()).toEqual([]);
+  });
+
+  it('requires a client directory to load', async () => {
+    await expect(new ValueMappingRepository().load()).rejects.toThrow(/no client directory/);
+  });
+
+  it('only creates a new version when the content changes', async () => {
+    writeTable('plants.csv', 'source,target\nP1,1000\nP2,1010\n');
+    const repo = new ValueMappingRepository({ clientDir, persistence, user: 'mm-team' });
+    await repo.load();
+
+    const unchanged = await new ValueMappingRepository({ clientDir, persistence }).load();
+    expect(unchanged[0]).toMatchObject({ version: 1, changed: false });
+
+    writeTable('plants.csv', 'source,target\nP1,1001\nP3,1020\n');
+    const next = new ValueMappingRepository({ clientDir, persistence, user: 'mm-team' });
+    const loaded = await next.load({ comment: 'Plant 1000 renumbered' });
+    expect(loaded[0]).toMatchObject({ version: 2, changed: true });
+
+    const history = await next.listVersions('plants');
+    expect(history).toHaveLength(2);
+    expect(history[0].changes).toEqual({ added: ['P1', 'P2'], removed: [], changed: [] });
+    expect(history[1]).toMatchObject({
+      version: 2,
+      entryCount: 2,
+      changedBy: 'mm-team',
+      comment: 'Plant 1000 renumbered',
+      source: 'plants.csv',
+      changes: { added: ['P3'], removed: ['P2'], changed: [{ source: 'P1', from: '1000', to: '1001' }] },
+    });
+  });
+
+  it('ignores row order when comparing versions', async () => {
+    const repo = new ValueMappingRepository({ clientName: 'acme', persistence });
+    await repo.define('plants', { entries: { P1: '1000', P2: '1010' } });
+    const again = await repo.define('plants', { entries: { P2: '1010', P1: '1000' } });
+    expect(again.changed).toBe(false);
+  });
+
+  it('serves pinned older versions after preload', async () => {
+    const repo = new ValueMappingRepository({ clientName: 'acme', persistence });
+    await repo.define('plants', { entries: { P1: '1000' } });
+    await repo.define('plants', { entries: { P1: '1001' } });
+
+    const fresh = new ValueMappingRepository({ clientName: 'acme', persistence });
+    expect(fresh.get('plants', 1)).toBeNull();
+    await fresh.preload('plants', 1);
+    expect(fresh.get('plants', 1).entries).toEqual({ P1: '1000' });
+  });
+
+  it('preloads the versions mappings pin and reports missing ones', async () => {
+    const repo = new ValueMappingRepository({ clientName: 'acme', persistence });
+    await repo.define('plants', { entries: { P1: '1000' } });
+    await repo.define('plants', { entries: { P1: '1001' } });
+
+    const fresh = new ValueMappingRepository({ clientName: 'acme', persistence, logLevel: 'error' });
+    const missing = await fresh.preloadPinned([
+      { source: 'WERKS', target: 'Plant', valueTable: 'plants', tableVersion: 1 },
+      { source: 'WERKS', target: 'OldPlant', valueTable: 'plants', tableVersion: 7 },
+      { source: 'LGORT', target: 'StorageLocation' },
+    ]);
+    expect(fresh.get('plants', 1).entries).toEqual({ P1: '1000' });
+    expect(missing).toEqual([{ name: 'plants', version: 7 }]);
+  });
+
+  it('rejects conflicting duplicate source values', async () => {
+    writeTable('plants.csv', 'source,target\nP1,1000\nP1,1010\n');
+    await expect(new ValueMappingRepository({ clientDir }).load()).rejects.toThrow(/conflicting targets for 'P1' \(line 3\)/);
+  });
+
+  it('rejects invalid JSON files', async () => {
+    writeTable('plants.json', '{ nope');
+    await expect(new ValueMappingRepository({ clientDir }).load()).rejects.toThrow(/Invalid JSON in value-mapping file plants.json/);
+  });
+
+  it('plugs into FieldMappingEngine with version pinning', async () => {
+    const repo = new ValueMappingRepository({ clientName: 'acme', persistence });
+    await repo.define('plants', { entries: { P1: '1000' } });
+    await repo.define('plants', { entries: { P1: '1001' }, default: '9999' });
+
+    const engine = new FieldMappingEngine([
+      { source: 'WERKS', target: 'Plant', valueTable: 'plants' },
+      { source: 'WERKS', target: 'OldPlant', valueTable: 'plants', tableVersion: 1 },
+    ], { valueMappings: repo });
+    expect(engine.validateMappings().valid).toBe(true);
+    expect(engine.applyRecord({ WERKS: 'P1' })).toEqual({ Plant: '1001', OldPlant: '1000' });
+    expect(engine.applyRecord({ WERKS: 'P7' })).toEqual({ Plant: '9999', OldPlant: 'P7' });
+    expect(engine.getUnmappedReport().map((r) => [r.target, r.version])).toEqual([['Plant', 2], ['OldPlant', 1]]);
+  });
+});
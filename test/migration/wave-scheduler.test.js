@@ -0,0 +1,106 @@
+const { WaveScheduler, DEFAULT_CONCURRENCY } = require('../../migration/wave-scheduler');
+const { CircuitBreaker } = require('../../lib/resilience');
+const { ProgressBus } = require('../../lib/progress-bus');
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 1));
+
+function runner(statuses = {}) {
+  const state = { inFlight: 0, maxInFlight: 0, started: [] };
+  const run = async (id) => {
+    state.started.push(id);
+    state.inFlight++;
+    state.maxInFlight = Math.max(state.maxInFlight, state.inFlight);
+    await tick();
+    state.inFlight--;
+    const status = statuses[id] || 'completed';
+    return { objectId: id, status, error: status === 'error' ? `${id} exploded` : undefined, stats: {} };
+  };
+  return { run, state };
+}
+
+describe('WaveScheduler', () => {
+  const deps = { C: ['A'], D: ['C'], E: ['B'] };
+  const getDependencies = (id) => deps[id] || [];
+
+  it('defaults to a bounded concurrency', () => {
+    expect(new WaveScheduler().concurrency).toBe(DEFAULT_CONCURRENCY);
+  });
+
+  it('rejects an invalid concurrency', () => {
+    expect(() => new WaveScheduler({ concurrency: 0 })).toThrow(/concurrency/);
+  });
+
+  it('runs a wave concurrently up to the limit', async () => {
+    const { run, state } = runner();
+    const scheduler = new WaveScheduler({ concurrency: 2, logLevel: 'error' });
+    const outcome = await scheduler.run([['A', 'B', 'C', 'D', 'E']], run);
+    expect(outcome.completed).toBe(5);
+    expect(state.maxInFlight).toBe(2);
+  });
+
+  it('finishes a wave before starting the next', async () => {
+    const { run, state } = runner();
+    await new WaveScheduler({ logLevel: 'error' }).run([['A', 'B'], ['C', 'E'], ['D']], run, { getDependencies });
+    expect(state.started.indexOf('C')).toBeGreaterThan(state.started.indexOf('B'));
+    expect(state.started[4]).toBe('D');
+  });
+
+  it('skips direct and transitive dependents of a failed object', async () => {
+    const { run, state } = runner({ A: 'validation_failed' });
+    const outcome = await new WaveScheduler({ logLevel: 'error' }).run([['A', 'B'], ['C', 'E'], ['D']], run, { getDependencies });
+    expect(state.started).toEqual(['A', 'B', 'E']);
+    expect(outcome.failed).toBe(1);
+    expect(outcome.skipped).toBe(2);
+    const skippedD = outcome.results.find((r) => r.objectId === 'D');
+    expect(skippedD).toMatchObject({ status: 'skipped', reason: 'dependency_failed', blockedBy: ['C'] });
+    expect(skippedD.stats.extractedRecords).toBe(0);
+    expect(outcome.waves.map((w) => w.status)).toEqual(['failed', 'failed', 'failed']);
+  });
+
+  it('runs dependents anyway when haltOnFailure is false', async () => {
+    const { run } = runner({ A: 'error' });
+    const outcome = await new WaveScheduler({ haltOnFailure: false, logLevel: 'error' })
+      .run([['A'], ['C'], ['D']], run, { getDependencies });
+    expect(outcome.skipped).toBe(0);
+    expect(outcome.completed).toBe(2);
+  });
+
+  it('skips the remaining objects once the circuit breaker opens', async () => {
+    const { run, state } = runner({ A: 'error', B: 'error' });
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 2, logLevel: 'error' });
+    const outcome = await new WaveScheduler({ concurrency: 1, circuitBreaker, logLevel: 'error' })
+      .run([['A', 'B', 'X', 'Y']], run);
+    expect(state.started).toEqual(['A', 'B']);
+    expect(circuitBreaker.getState()).toBe('open');
+    expect(outcome.results.find((r) => r.objectId === 'Y')).toMatchObject({ status: 'skipped', reason: 'circuit_open' });
+  });
+
+  it('does not trip the breaker on validation failures', async () => {
+    const { run } = runner({ A: 'validation_failed', B: 'validation_failed' });
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 1, logLevel: 'error' });
+    const outcome = await new WaveScheduler({ circuitBreaker, logLevel: 'error' }).run([['A', 'B', 'X']], run);
+    expect(circuitBreaker.getState()).toBe('closed');
+    expect(outcome.completed).toBe(1);
+  });
+
+  it('reports thrown errors as failed objects', async () => {
+    const outcome = await new WaveScheduler({ logLevel: 'error' }).run([['A']], async () => { throw new Error('boom'); });
+    expect(outcome.results[0]).toMatchObject({ objectId: 'A', status: 'error', error: 'boom' });
+  });
+
+  it('emits per-object progress on the progress bus', async () => {
+    const bus = new ProgressBus();
+    const { run } = runner({ A: 'error' });
+    await new WaveScheduler({ progressBus: bus, runId: 'run-1', logLevel: 'error' })
+      .run([['A', 'B'], ['C']], run, { getDependencies });
+    const events = bus.getHistory(50, 'migration:');
+    const types = events.map((e) => `${e.type}:${e.data.objectId}`);
+    expect(types).toContain('migration:start:A');
+    expect(types).toContain('migration:error:A');
+    expect(types).toContain('migration:complete:B');
+    expect(types).toContain('migration:error:C');
+    expect(types).not.toContain('migration:start:C');
+    const last = events.filter((e) => e.type === 'migration:progress').pop();
+    expect(last.data).toMatchObject({ runId: 'run-1', done: 3, total: 3, percent: 100 });
+  });
+});
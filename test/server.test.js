@@ -126,6 +126,31 @@ describe('server.js — createApp', () => {
       expect(app._dashboard).toBeDefined();
       expect(typeof app._dashboard.getSummary).toBe('function');
     });
+
+    it('should share one persisted quarantine with the dashboard', () => {
+      expect(app._dashboard.quarantine).toBe(app._quarantine);
+      expect(app._quarantine.store).toBe(app._persistence);
+      expect(app._persistence.mode).toBe('memory');
+    });
+
+    it('should load client value mappings and bind them to the client objects', async () => {
+      const path = require('path');
+      const clientApp = createApp({
+        NODE_ENV: 'test', LOG_LEVEL: 'error', CLIENT_DIRS: path.join(__dirname, '..', 'clients', 'sample-client'),
+      });
+      const [loaded] = await clientApp._ready;
+      const [workspace] = clientApp._workspaces;
+
+      expect(loaded.client).toBe('sample-client');
+      expect(loaded.tables.map((t) => t.name)).toEqual(['payment-terms', 'plants']);
+      expect(workspace.valueMappings.store).toBe(clientApp._persistence);
+      expect(clientApp._dashboard.valueMappings).toBe(workspace.valueMappings);
+      const obj = clientApp._dashboard.registry.createObject('SAMPLE_STORAGE_LOCATION', { mode: 'mock' });
+      expect(obj.options.valueMappings).toBe(workspace.valueMappings);
+
+      const res = await request(clientApp).get('/ready');
+      expect(res.body.checks['client-workspaces']).toMatchObject({ status: 'up' });
+    });
   });
 
   // ── GET /health ────────────────────────────────────────────